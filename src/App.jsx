@@ -1,7 +1,8 @@
 import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
-import ProtectedRoute, { AdminRoute, EmployeeRoute, GuideRoute, CustomerRoute } from './components/ProtectedRoute';
+import { StepUpProvider } from './contexts/StepUpContext';
+import ProtectedRoute, { AdminRoute, EmployeeRoute, GuideRoute, CustomerRoute, ModuleRoute } from './components/ProtectedRoute';
 import AdminLayout from './components/layout/AdminLayout';
 import ErrorBoundary from './components/ErrorBoundary';
 
@@ -15,6 +16,8 @@ import InvoicePage from './pages/admin/InvoicePage'; // Import the new invoice p
 import AdminDashboard from './pages/admin/Dashboard';
 import GuideDashboard from './pages/guide/Dashboard';
 import CustomerDashboard from './pages/customer/Dashboard';
+import BookVehicle from './pages/customer/BookVehicle';
+import MyRentals from './pages/customer/MyRentals';
 
 // Import auth pages
 import Login from './pages/auth/Login';
@@ -33,7 +36,9 @@ import MaintenancePage from './pages/admin/Maintenance';
 import FuelPage from './pages/admin/Fuel';
 import InventoryPage from './pages/admin/Inventory';
 import FinancePage from './pages/admin/Finance';
+import TillPage from './pages/admin/Till';
 import AlertsPage from './pages/admin/Alerts';
+import LiveMap from './pages/admin/LiveMap';
 import UserManagement from './pages/admin/UserManagement';
 import SettingsPage from './pages/admin/Settings';
 import ExportPage from './pages/admin/Export';
@@ -184,104 +189,108 @@ function App() {
     <ErrorBoundary name="App-Root">
       <Router>
         <AuthProvider>
-          <GlobalStatePersistence />
-          <ErrorBoundary name="Router-Wrapper">
-            <div className="min-h-screen bg-gray-50">
-              <Routes>
-                {/* Public Routes */}
-                <Route path="/login" element={<Login />} />
-                <Route path="/register" element={<Register />} />
-                <Route path="/unauthorized" element={<Unauthorized />} />
+          <StepUpProvider>
+            <GlobalStatePersistence />
+            <ErrorBoundary name="Router-Wrapper">
+              <div className="min-h-screen bg-gray-50">
+                <Routes>
+                  {/* Public Routes */}
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/unauthorized" element={<Unauthorized />} />
 
-                {/* Test Route */}
-                <Route path="/test-customer-details" element={<TestCustomerDetails />} />
+                  {/* Test Route */}
+                  <Route path="/test-customer-details" element={<TestCustomerDetails />} />
 
-                {/* Camera Test Route - Public for debugging */}
-                <Route path="/camera-test" element={<CameraTest />} />
+                  {/* Camera Test Route - Public for debugging */}
+                  <Route path="/camera-test" element={<CameraTest />} />
 
-                {/* Invoice Route - Should be accessible to authorized users */}
-                <Route path="/invoice/:id" element={
-                  <ErrorBoundary name="Invoice-Page">
-                    <ProtectedRoute>
-                      <InvoicePage />
-                    </ProtectedRoute>
-                  </ErrorBoundary>
-                } />
+                  {/* Invoice Route - Should be accessible to authorized users */}
+                  <Route path="/invoice/:id" element={
+                    <ErrorBoundary name="Invoice-Page">
+                      <ProtectedRoute>
+                        <InvoicePage />
+                      </ProtectedRoute>
+                    </ErrorBoundary>
+                  } />
 
-                {/* Profile Route - Available to all authenticated users */}
-                <Route path="/profile" element={
-                  <ErrorBoundary name="Profile-Page">
-                    <ProtectedRoute>
-                      <ProfilePage />
-                    </ProtectedRoute>
-                  </ErrorBoundary>
-                } />
+                  {/* Profile Route - Available to all authenticated users */}
+                  <Route path="/profile" element={
+                    <ErrorBoundary name="Profile-Page">
+                      <ProtectedRoute>
+                        <ProfilePage />
+                      </ProtectedRoute>
+                    </ErrorBoundary>
+                  } />
 
-                {/* Protected Admin Routes with Layout */}
-                <Route path="/admin/*" element={
-                  <ErrorBoundary name="Admin-Routes">
-                    <EmployeeRoute>
-                      <AdminLayout />
-                    </EmployeeRoute>
-                  </ErrorBoundary>
-                }>
-                  <Route index element={<Navigate to="/admin/dashboard" replace />} />
-                  <Route path="dashboard" element={<ErrorBoundary name="Admin-Dashboard"><AdminDashboard /></ErrorBoundary>} />
-                  <Route path="calendar" element={<ErrorBoundary name="Calendar-Page"><CalendarPage /></ErrorBoundary>} />
-                  <Route path="tours/*" element={<ErrorBoundary name="Tours-Page"><ToursPage /></ErrorBoundary>} />
-                  <Route path="rentals" element={<ErrorBoundary name="Rentals-Page"><Rentals /></ErrorBoundary>} />
-                  <Route path="rentals/:id" element={<ErrorBoundary name="Rental-Details"><RentalDetails /></ErrorBoundary>} />
-                  <Route path="customers" element={<ErrorBoundary name="Customer-Management-Dashboard"><CustomerManagementDashboard /></ErrorBoundary>} />
-                  <Route path="fleet/*" element={<ErrorBoundary name="Fleet-Page"><FleetPage /></ErrorBoundary>} />
-                  <Route path="pricing/*" element={<ErrorBoundary name="Pricing-Page"><PricingPage /></ErrorBoundary>} />
-                  <Route path="maintenance/*" element={<ErrorBoundary name="Maintenance-Page"><MaintenancePage /></ErrorBoundary>} />
-                  <Route path="fuel/*" element={<ErrorBoundary name="Fuel-Page"><FuelPage /></ErrorBoundary>} />
-                  <Route path="inventory/*" element={<ErrorBoundary name="Inventory-Page"><InventoryPage /></ErrorBoundary>} />
-                  <Route path="finance/*" element={<ErrorBoundary name="Finance-Page"><FinancePage /></ErrorBoundary>} />
-                  <Route path="alerts/*" element={<ErrorBoundary name="Alerts-Page"><AlertsPage /></ErrorBoundary>} />
-                  <Route path="users/*" element={<ErrorBoundary name="User-Management-Page"><UserManagement /></ErrorBoundary>} />
-                  <Route path="settings/*" element={<ErrorBoundary name="Settings-Page"><SettingsPage /></ErrorBoundary>} />
-                  <Route path="export/*" element={<ErrorBoundary name="Export-Page"><ExportPage /></ErrorBoundary>} />
-                  <Route path="vehicles/*" element={<ErrorBoundary name="Vehicles-Page"><Vehicles /></ErrorBoundary>} />
-                  <Route path="profile" element={<ErrorBoundary name="Admin-Profile"><ProfilePage /></ErrorBoundary>} />
-                </Route>
+                  {/* Protected Admin Routes with Layout */}
+                  <Route path="/admin/*" element={
+                    <ErrorBoundary name="Admin-Routes">
+                      <EmployeeRoute>
+                        <AdminLayout />
+                      </EmployeeRoute>
+                    </ErrorBoundary>
+                  }>
+                    <Route index element={<Navigate to="/admin/dashboard" replace />} />
+                    <Route path="dashboard" element={<ModuleRoute module="dashboard"><ErrorBoundary name="Admin-Dashboard"><AdminDashboard /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="calendar" element={<ModuleRoute module="calendar"><ErrorBoundary name="Calendar-Page"><CalendarPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="tours/*" element={<ModuleRoute module="tours"><ErrorBoundary name="Tours-Page"><ToursPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="rentals" element={<ModuleRoute module="rentals"><ErrorBoundary name="Rentals-Page"><Rentals /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="rentals/:id" element={<ModuleRoute module="rentals"><ErrorBoundary name="Rental-Details"><RentalDetails /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="till" element={<ModuleRoute module="rentals"><ErrorBoundary name="Till-Page"><TillPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="customers" element={<ModuleRoute module="customers"><ErrorBoundary name="Customer-Management-Dashboard"><CustomerManagementDashboard /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="fleet/*" element={<ModuleRoute module="fleet"><ErrorBoundary name="Fleet-Page"><FleetPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="pricing/*" element={<ModuleRoute module="pricing"><ErrorBoundary name="Pricing-Page"><PricingPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="maintenance/*" element={<ModuleRoute module="maintenance"><ErrorBoundary name="Maintenance-Page"><MaintenancePage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="fuel/*" element={<ModuleRoute module="fuel"><ErrorBoundary name="Fuel-Page"><FuelPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="inventory/*" element={<ModuleRoute module="inventory"><ErrorBoundary name="Inventory-Page"><InventoryPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="finance/*" element={<ModuleRoute module="finance"><ErrorBoundary name="Finance-Page"><FinancePage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="alerts/*" element={<ModuleRoute module="alerts"><ErrorBoundary name="Alerts-Page"><AlertsPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="map" element={<ModuleRoute module="fleet"><ErrorBoundary name="Live-Map"><LiveMap /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="users/*" element={<ModuleRoute module="users"><ErrorBoundary name="User-Management-Page"><UserManagement /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="settings/*" element={<ModuleRoute module="settings"><ErrorBoundary name="Settings-Page"><SettingsPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="export/*" element={<ModuleRoute module="export"><ErrorBoundary name="Export-Page"><ExportPage /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="vehicles/*" element={<ModuleRoute module="fleet"><ErrorBoundary name="Vehicles-Page"><Vehicles /></ErrorBoundary></ModuleRoute>} />
+                    <Route path="profile" element={<ErrorBoundary name="Admin-Profile"><ProfilePage /></ErrorBoundary>} />
+                  </Route>
 
-                {/* Guide Routes */}
-                <Route path="/guide/*" element={
-                  <ErrorBoundary name="Guide-Routes">
-                    <GuideRoute>
-                      <Routes>
-                        <Route path="dashboard" element={<GuideDashboard />} />
-                        <Route path="tours" element={<ToursPage />} />
-                        <Route path="vehicles" element={<Vehicles />} />
-                        <Route path="profile" element={<ProfilePage />} />
-                      </Routes>
-                    </GuideRoute>
-                  </ErrorBoundary>
-                } />
+                  {/* Guide Routes */}
+                  <Route path="/guide/*" element={
+                    <ErrorBoundary name="Guide-Routes">
+                      <GuideRoute>
+                        <Routes>
+                          <Route path="dashboard" element={<GuideDashboard />} />
+                          <Route path="tours" element={<ModuleRoute module="tours"><ToursPage /></ModuleRoute>} />
+                          <Route path="vehicles" element={<ModuleRoute module="fleet"><Vehicles /></ModuleRoute>} />
+                          <Route path="profile" element={<ProfilePage />} />
+                        </Routes>
+                      </GuideRoute>
+                    </ErrorBoundary>
+                  } />
 
-                {/* Customer Routes */}
-                <Route path="/customer/*" element={
-                  <ErrorBoundary name="Customer-Routes">
-                    <CustomerRoute>
-                      <Routes>
-                        <Route path="dashboard" element={<CustomerDashboard />} />
-                        <Route path="book" element={<div className="p-6"><div className="bg-purple-50 border border-purple-200 rounded-lg p-6"><h2 className="text-lg font-semibold text-purple-900 mb-2">Booking System</h2><p className="text-purple-800">Vehicle booking interface will be implemented here.</p></div></div>} />
-                        <Route path="rentals" element={<div className="p-6"><div className="bg-purple-50 border border-purple-200 rounded-lg p-6"><h2 className="text-lg font-semibold text-purple-900 mb-2">My Rentals</h2><p className="text-purple-800">Personal rental history will be implemented here.</p></div></div>} />
-                        <Route path="profile" element={<ProfilePage />} />
-                      </Routes>
-                    </CustomerRoute>
-                  </ErrorBoundary>
-                } />
+                  {/* Customer Routes */}
+                  <Route path="/customer/*" element={
+                    <ErrorBoundary name="Customer-Routes">
+                      <CustomerRoute>
+                        <Routes>
+                          <Route path="dashboard" element={<CustomerDashboard />} />
+                          <Route path="book" element={<ErrorBoundary name="Customer-Book"><BookVehicle /></ErrorBoundary>} />
+                          <Route path="rentals" element={<ErrorBoundary name="Customer-Rentals"><MyRentals /></ErrorBoundary>} />
+                          <Route path="profile" element={<ProfilePage />} />
+                        </Routes>
+                      </CustomerRoute>
+                    </ErrorBoundary>
+                  } />
 
-                {/* Root path now uses the intelligent redirect */}
-                <Route path="/" element={<HomeRedirect />} />
+                  {/* Root path now uses the intelligent redirect */}
+                  <Route path="/" element={<HomeRedirect />} />
 
-                {/* Catch-all redirect to home */}
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Routes>
-            </div>
-          </ErrorBoundary>
+                  {/* Catch-all redirect to home */}
+                  <Route path="*" element={<Navigate to="/" replace />} />
+                </Routes>
+              </div>
+            </ErrorBoundary>
+          </StepUpProvider>
         </AuthProvider>
       </Router>
     </ErrorBoundary>
@@ -8,6 +8,7 @@ import EnhancedUnifiedIDScanModal from './customers/EnhancedUnifiedIDScanModal';
 import enhancedUnifiedCustomerService from '../services/EnhancedUnifiedCustomerService';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
+import { useStepUp } from '../contexts/StepUpContext';
 import { DollarSign, Calculator, Info, AlertCircle, CheckCircle, Loader, Clock, Scan, RefreshCw, Shield, CalendarX, UserPlus, UserSearch } from 'lucide-react';
 import { getMoroccoTodayString, getMoroccoDateOffset, getMoroccoHourlyTimes, isAfter, parseDateAsLocal, formatDateToYYYYMMDD } from '../utils/moroccoTime';
 import { debounce } from 'lodash';
@@ -21,6 +22,7 @@ const AvailabilityAwareRentalForm = ({
 }) => {
   // Get user role from AuthContext
   const { userProfile } = useAuth();
+  const { requestStepUp } = useStepUp();
 
   const [formData, setFormData] = useState({
     customer_name: '',
@@ -1214,6 +1216,22 @@ const AvailabilityAwareRentalForm = ({
 
         } else if (isAdminOrOwner) {
           console.log('🛡️ GATEKEEPER: Admin/Owner price override - auto-approved');
+          const isEdit = mode === 'edit' && initialData?.id;
+          if (!isEdit || Math.abs(Number(initialData.total_amount) - Number(submissionData.total_amount)) > 0.005) {
+            // A new rental takes its id from here so the grant covers only that rental
+            if (!isEdit) {
+              submissionData.id = crypto.randomUUID();
+            }
+            if (!(await requestStepUp({
+              action: 'price_override',
+              targetIds: [isEdit ? initialData.id : submissionData.id],
+              description: `Override the price: ${manualPrice} MAD per unit instead of ${autoPrice} MAD`
+            }))) {
+              setLoading(false);
+              return;
+            }
+            submissionData.price_overridden_at = new Date().toISOString();
+          }
           submissionData.approval_status = 'approved';
           submissionData.pending_total_request = null;
         } else {
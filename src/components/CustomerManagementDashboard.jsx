@@ -15,6 +15,7 @@ import CustomerService, {
   deleteCustomers,
 } from '../services/EnhancedUnifiedCustomerService.js';
 import ViewCustomerDetailsDrawer from './admin/ViewCustomerDetailsDrawer';
+import { useStepUp } from '../contexts/StepUpContext';
 
 // Hardcoded Supabase credentials
 const SUPABASE_URL = 'https://nnaymteoxvdnsnhlyvkk.supabase.co';
@@ -24,6 +25,7 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 const APP_ID = '4c3a7a6153';
 
 const CustomerManagementDashboard = () => {
+  const { requestStepUp } = useStepUp();
   const [customers, setCustomers] = useState([]);
   const [rentals, setRentals] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -200,6 +202,14 @@ const CustomerManagementDashboard = () => {
             return;
         }
 
+        if (!(await requestStepUp({
+            action: 'delete_customer',
+            targetIds: [customerToDelete.id],
+            description: `Delete customer ${customerToDelete.full_name}`
+        }))) {
+            return;
+        }
+
         const result = await deleteCustomer(customerToDelete.id);
 
         if (result.success) {
@@ -402,6 +412,14 @@ const CustomerManagementDashboard = () => {
         setActionLoading(false);
         return;
       }
+
+      if (!(await requestStepUp({
+        action: 'delete_customer',
+        targetIds: idsToDelete,
+        description: `Delete ${idsToDelete.length} customer(s)`
+      }))) {
+        return;
+      }
       
       const result = await deleteCustomers(idsToDelete);
       
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
-import { Plus, Edit, Trash2, Search, Filter, DollarSign, CheckCircle, AlertCircle, RefreshCw, X, Save, Loader, Truck, Settings, TrendingUp, Clock, Calculator, Package, Info, Shield } from 'lucide-react';
+import { Plus, Edit, Trash2, Search, Filter, DollarSign, CheckCircle, AlertCircle, RefreshCw, X, Save, Loader, Truck, Settings, TrendingUp, Clock, Calculator, Package, Info, Shield, CalendarDays, Ticket } from 'lucide-react';
 import { calculateTieredPrice, getPricingOptions, formatPriceSource } from '../utils/pricingCalculations';
 import KilometerPricingTab from './KilometerPricingTab';
+import SeasonalCalendarManager from './pricing/SeasonalCalendarManager';
+import PromoCodesManager from './admin/pricing/PromoCodesManager';
 
 interface BasePrice {
   id: string;
@@ -76,7 +78,7 @@ const DynamicPricingManagement: React.FC = () => {
   console.log('PRICING_MANAGEMENT: Loading with TIERED PRICING support');
 
   // Tab state - UPDATED to include 'deposits'
-  const [activeTab, setActiveTab] = useState<'base' | 'tiers' | 'extensions' | 'transport' | 'packages' | 'deposits'>('base');
+  const [activeTab, setActiveTab] = useState<'base' | 'tiers' | 'seasons' | 'extensions' | 'transport' | 'packages' | 'deposits' | 'promos'>('base');
 
   // State for Base Prices
   const [basePrices, setBasePrices] = useState<BasePrice[]>([]);
@@ -1000,6 +1002,20 @@ const DynamicPricingManagement: React.FC = () => {
               Pricing Tiers
             </div>
           </button>
+
+          <button
+            onClick={() => setActiveTab('seasons')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'seasons'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <CalendarDays className="w-4 h-4" />
+              Seasons & Holidays
+            </div>
+          </button>
           
           <button
             onClick={() => setActiveTab('extensions')}
@@ -1057,6 +1073,20 @@ const DynamicPricingManagement: React.FC = () => {
               Damage Deposits
             </div>
           </button>
+
+          <button
+            onClick={() => setActiveTab('promos')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'promos'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <Ticket className="w-4 h-4" />
+              Promo Codes
+            </div>
+          </button>
         </nav>
       </div>
 
@@ -1584,6 +1614,26 @@ const DynamicPricingManagement: React.FC = () => {
         </div>
       )}
 
+      {/* PROMO CODES TAB */}
+      {activeTab === 'promos' && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <PromoCodesManager vehicleModels={vehicleModels} />
+        </div>
+      )}
+
+      {/* SEASONS & HOLIDAYS TAB */}
+      {activeTab === 'seasons' && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Seasons & Holidays</h2>
+            <p className="text-sm text-gray-600">Rate multipliers applied day by day to every rental quote</p>
+          </div>
+          <div className="p-6">
+            <SeasonalCalendarManager vehicleModels={vehicleModels} />
+          </div>
+        </div>
+      )}
+
       {/* EXTENSION RULES TAB */}
       {activeTab === 'extensions' && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
@@ -3,9 +3,6 @@ import {
   Fuel, 
   Plus, 
   Minus, 
-  Droplets, 
-  Gauge, 
-  TrendingUp, 
   Car, 
   AlertTriangle,
   Calendar,
@@ -21,12 +18,15 @@ import FuelFiltersPanel from './fuel/FuelFiltersPanel';
 import FuelTransactionsList from './fuel/FuelTransactionsList';
 import AddFuelTransactionModal from './fuel/AddFuelTransactionModal';
 import TransactionDetailsModal from './fuel/TransactionDetailsModal';
+import MainTankDashboard from './admin/fuel/MainTankDashboard';
+import FuelAnalytics from './fuel/FuelAnalytics';
 import FuelTransactionService from '../services/FuelTransactionService';
 
 const FuelManagement = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [fuelData, setFuelData] = useState({
     tank: null,
+    tanks: [],
     refills: [],
     withdrawals: []
   });
@@ -43,6 +43,7 @@ const FuelManagement = () => {
   const [selectedTransaction, setSelectedTransaction] = useState(null);
   const [editTransaction, setEditTransaction] = useState(null);
   const [transactionType, setTransactionType] = useState('refill');
+  const [transactionTankId, setTransactionTankId] = useState(null);
 
   // Filter states for transactions tab
   const [filters, setFilters] = useState({
@@ -96,8 +97,8 @@ const FuelManagement = () => {
     }
   };
 
-  const loadFuelData = async () => {
-    setLoading(true);
+  const loadFuelData = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     try {
       console.log('Loading fuel data...');
       const unifiedData = await FuelTransactionService.getUnifiedFuelData();
@@ -116,6 +117,7 @@ const FuelManagement = () => {
           location: 'Main Depot',
           fuel_type: 'gasoline'
         },
+        tanks: [],
         refills: [],
         withdrawals: []
       });
@@ -124,35 +126,6 @@ const FuelManagement = () => {
     }
   };
 
-  // Calculate current tank volume using unified logic
-  const getCurrentVolume = () => {
-    return FuelTransactionService.calculateCurrentVolume(
-      fuelData.tank, 
-      fuelData.refills, 
-      fuelData.withdrawals
-    );
-  };
-
-  const getTankPercentage = () => {
-    if (!fuelData.tank || !fuelData.tank.capacity) return 0;
-    const currentVolume = getCurrentVolume();
-    return Math.min((currentVolume / fuelData.tank.capacity) * 100, 100);
-  };
-
-  const getTankColor = () => {
-    const percentage = getTankPercentage();
-    if (percentage <= 15) return 'text-red-600';
-    if (percentage <= 30) return 'text-yellow-600';
-    return 'text-green-600';
-  };
-
-  const getProgressBarColor = () => {
-    const percentage = getTankPercentage();
-    if (percentage <= 15) return 'bg-red-500';
-    if (percentage <= 30) return 'bg-yellow-500';
-    return 'bg-green-500';
-  };
-
   // Get recent transactions using unified data
   const getRecentRefills = () => {
     return fuelData.refills
@@ -186,10 +159,11 @@ const FuelManagement = () => {
     setShowVehicleRefillModal(false);
   };
 
-  const handleAddTransaction = (type = 'refill', transaction = null) => {
-    console.log('🎯 handleAddTransaction called:', { type, transaction });
+  const handleAddTransaction = (type = 'refill', transaction = null, tankId = null) => {
+    console.log('🎯 handleAddTransaction called:', { type, transaction, tankId });
     
     setTransactionType(type);
+    setTransactionTankId(tankId);
     setEditTransaction(transaction);
     setShowAddModal(true);
   };
@@ -314,6 +288,16 @@ const FuelManagement = () => {
             >
               All Fuel Transactions
             </button>
+            <button
+              onClick={() => setActiveTab('analytics')}
+              className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
+                activeTab === 'analytics'
+                  ? 'bg-white text-blue-600 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              Analytics
+            </button>
           </div>
         </div>
       </div>
@@ -337,148 +321,82 @@ const FuelManagement = () => {
               </div>
             )}
 
+            {/* Tanks and dip reconciliation */}
+            <MainTankDashboard
+              tanks={fuelData.tanks || []}
+              onRefill={(tank) => handleAddTransaction('tank_refill', null, tank.id)}
+              onWithdraw={(tank) => handleAddTransaction('withdrawal', null, tank.id)}
+              onChanged={() => loadFuelData(false)}
+            />
+
             {/* Main Stats Grid */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              {/* Tank Status */}
-              <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
-                <div className="flex items-center justify-between mb-4">
-                  <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
-                    <Droplets className="w-5 h-5 text-blue-600" />
-                    Main Tank Status
-                  </h3>
-                  <div className="flex gap-2">
-                    <button
-                      onClick={() => setShowRefillModal(true)}
-                      className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
-                    >
-                      <Plus className="w-4 h-4" />
-                      Refill
-                    </button>
-                    <button
-                      onClick={() => setShowWithdrawalModal(true)}
-                      className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
-                    >
-                      <Minus className="w-4 h-4" />
-                      Withdraw
-                    </button>
-                  </div>
-                </div>
-
-                {/* Tank Visual */}
-                <div className="mb-6">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm font-medium text-gray-700">Current Volume</span>
-                    <span className={`text-2xl font-bold ${getTankColor()}`}>
-                      {getCurrentVolume()}L ({getTankPercentage().toFixed(1)}%)
-                    </span>
+              {/* Quick Stats */}
+              <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
+                <div className="flex items-center gap-3 mb-3">
+                  <div className="p-2 bg-green-100 rounded-lg">
+                    <Plus className="w-5 h-5 text-green-600" />
                   </div>
-                  <div className="w-full bg-gray-200 rounded-full h-6 relative overflow-hidden">
-                    <div 
-                      className={`h-6 rounded-full transition-all duration-500 ${getProgressBarColor()}`}
-                      style={{ width: `${Math.min(getTankPercentage(), 100)}%` }}
-                    ></div>
-                    {getTankPercentage() <= 15 && (
-                      <div className="absolute inset-0 flex items-center justify-center">
-                        <AlertTriangle className="w-4 h-4 text-white" />
-                      </div>
-                    )}
+                  <div>
+                    <h3 className="font-semibold text-gray-900">Recent Refills</h3>
+                    <p className="text-sm text-gray-600">{safeRefills.length + safeVehicleRefills.length} this period</p>
                   </div>
-                  {getTankPercentage() <= 15 && (
-                    <p className="text-sm text-red-600 mt-2 flex items-center gap-1">
-                      <AlertTriangle className="w-4 h-4" />
-                      Low fuel alert - Refill recommended
-                    </p>
-                  )}
                 </div>
-
-                {/* Tank Statistics */}
-                <div className="grid grid-cols-3 gap-4">
-                  <div className="text-center p-4 bg-gray-50 rounded-lg">
-                    <Droplets className="w-6 h-6 text-blue-600 mx-auto mb-2" />
-                    <p className="text-2xl font-bold text-gray-900">{getCurrentVolume()}L</p>
-                    <p className="text-sm text-gray-600">Available</p>
-                  </div>
-                  <div className="text-center p-4 bg-gray-50 rounded-lg">
-                    <Gauge className="w-6 h-6 text-green-600 mx-auto mb-2" />
-                    <p className="text-2xl font-bold text-gray-900">{fuelData.tank?.capacity || 0}L</p>
-                    <p className="text-sm text-gray-600">Capacity</p>
-                  </div>
-                  <div className="text-center p-4 bg-gray-50 rounded-lg">
-                    <TrendingUp className="w-6 h-6 text-purple-600 mx-auto mb-2" />
-                    <p className="text-2xl font-bold text-gray-900">{getTankPercentage().toFixed(1)}%</p>
-                    <p className="text-sm text-gray-600">Fill Level</p>
+                {[...safeRefills.slice(0, 2), ...safeVehicleRefills.slice(0, 1)].map((refill, index) => (
+                  <div key={`${refill.id}-${index}`} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {refill.liters_added || refill.liters}L
+                        {refill.saharax_0u4w4d_vehicles && (
+                          <span className="text-xs text-blue-600 ml-1">
+                            ({refill.saharax_0u4w4d_vehicles.name})
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(refill.refill_date)}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-sm font-medium text-gray-900">
+                        {formatCurrency(refill.total_cost)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatCurrency(refill.unit_price || refill.price_per_liter)}/L
+                      </p>
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
 
-              {/* Quick Stats */}
-              <div className="space-y-4">
-                <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
-                  <div className="flex items-center gap-3 mb-3">
-                    <div className="p-2 bg-green-100 rounded-lg">
-                      <Plus className="w-5 h-5 text-green-600" />
-                    </div>
-                    <div>
-                      <h3 className="font-semibold text-gray-900">Recent Refills</h3>
-                      <p className="text-sm text-gray-600">{safeRefills.length + safeVehicleRefills.length} this period</p>
-                    </div>
+              <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
+                <div className="flex items-center gap-3 mb-3">
+                  <div className="p-2 bg-blue-100 rounded-lg">
+                    <Car className="w-5 h-5 text-blue-600" />
+                  </div>
+                  <div>
+                    <h3 className="font-semibold text-gray-900">Recent Withdrawals</h3>
+                    <p className="text-sm text-gray-600">{safeWithdrawals.length} this period</p>
                   </div>
-                  {[...safeRefills.slice(0, 2), ...safeVehicleRefills.slice(0, 1)].map((refill, index) => (
-                    <div key={`${refill.id}-${index}`} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">
-                          {refill.liters_added || refill.liters}L
-                          {refill.saharax_0u4w4d_vehicles && (
-                            <span className="text-xs text-blue-600 ml-1">
-                              ({refill.saharax_0u4w4d_vehicles.name})
-                            </span>
-                          )}
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          {formatDate(refill.refill_date)}
-                        </p>
-                      </div>
-                      <div className="text-right">
-                        <p className="text-sm font-medium text-gray-900">
-                          {formatCurrency(refill.total_cost)}
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          {formatCurrency(refill.unit_price || refill.price_per_liter)}/L
-                        </p>
-                      </div>
-                    </div>
-                  ))}
                 </div>
-
-                <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
-                  <div className="flex items-center gap-3 mb-3">
-                    <div className="p-2 bg-blue-100 rounded-lg">
-                      <Car className="w-5 h-5 text-blue-600" />
-                    </div>
+                {safeWithdrawals.slice(0, 3).map((withdrawal) => (
+                  <div key={withdrawal.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
                     <div>
-                      <h3 className="font-semibold text-gray-900">Recent Withdrawals</h3>
-                      <p className="text-sm text-gray-600">{safeWithdrawals.length} this period</p>
+                      <p className="text-sm font-medium text-gray-900">
+                        {withdrawal.vehicle?.name || `Vehicle ${withdrawal.vehicle_id}`}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(withdrawal.withdrawal_date)}
+                      </p>
                     </div>
-                  </div>
-                  {safeWithdrawals.slice(0, 3).map((withdrawal) => (
-                    <div key={withdrawal.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">
-                          {withdrawal.vehicle?.name || `Vehicle ${withdrawal.vehicle_id}`}
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          {formatDate(withdrawal.withdrawal_date)}
-                        </p>
-                      </div>
-                      <div className="text-right">
-                        <p className="text-sm font-medium text-gray-900">{withdrawal.liters_taken}L</p>
-                        {withdrawal.odometer_reading && (
-                          <p className="text-xs text-gray-500">{withdrawal.odometer_reading}km</p>
-                        )}
-                      </div>
+                    <div className="text-right">
+                      <p className="text-sm font-medium text-gray-900">{withdrawal.liters_taken}L</p>
+                      {withdrawal.odometer_reading && (
+                        <p className="text-xs text-gray-500">{withdrawal.odometer_reading}km</p>
+                      )}
                     </div>
-                  ))}
-                </div>
+                  </div>
+                ))}
               </div>
             </div>
 
@@ -702,6 +620,10 @@ const FuelManagement = () => {
             />
           </div>
         )}
+
+        {activeTab === 'analytics' && (
+          <FuelAnalytics vehicles={vehicles} onViewTransaction={handleViewDetails} />
+        )}
       </div>
 
       {/* Original Modals */}
@@ -731,6 +653,9 @@ const FuelManagement = () => {
           isOpen={showAddModal}
           onClose={handleCloseModal}
           editTransaction={editTransaction}
+          transactionType={transactionType}
+          tanks={fuelData.tanks || []}
+          tankId={transactionTankId}
           vehicles={vehicles}
           onSave={handleTransactionSuccess}
         />
@@ -0,0 +1,129 @@
+import React from 'react';
+
+// Titles in French, the language of Moroccan tax documents, with English below
+const DOCUMENT_TITLES = {
+  invoice: { fr: 'FACTURE', en: 'Invoice' },
+  credit_note: { fr: 'AVOIR', en: 'Credit note' },
+  debit_note: { fr: 'NOTE DE DÉBIT', en: 'Debit note' }
+};
+
+// document: a row of the invoices table, as issued. Everything printed comes
+// from it (including the company identifiers), so a PDF rendered later is
+// the same as one rendered on the day. original: the invoice a note refers to.
+const InvoiceDocumentTemplate = ({ document, original = null, logoUrl, stampUrl }) => {
+  const title = DOCUMENT_TITLES[document.document_type];
+  const seller = document.seller || {};
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('fr-MA', {
+      style: 'decimal',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('fr-FR');
+
+  return (
+    <div className="p-8 bg-white text-gray-900" style={{ maxWidth: '210mm', margin: '0 auto' }}>
+      {/* Seller and document number */}
+      <div className="flex justify-between items-start pb-4 border-b-2 border-gray-800">
+        <div className="flex items-start gap-3">
+          <img src={logoUrl || '/assets/logo.jpg'} alt={seller.name || 'Logo'} className="h-14 w-auto" />
+          <div className="text-xs leading-5">
+            <p className="text-base font-bold">{seller.name}</p>
+            {seller.address && <p>{seller.address}</p>}
+            <p>ICE : {seller.ice}</p>
+            <p>IF : {seller.if} · RC : {seller.rc}</p>
+            {seller.tva && <p>N° TVA : {seller.tva}</p>}
+          </div>
+        </div>
+        <div className="text-right">
+          <h1 className="text-2xl font-extrabold">{title.fr}</h1>
+          <p className="text-xs text-gray-600">{title.en}</p>
+          <p className="mt-2 font-semibold">N° {document.invoice_number}</p>
+          <p className="text-sm">Date : {formatDate(document.issue_date)}</p>
+        </div>
+      </div>
+
+      {/* Buyer */}
+      <div className="grid grid-cols-2 gap-6 mt-4 text-sm">
+        <div>
+          <p className="text-xs font-semibold text-gray-600 uppercase">Client</p>
+          <p className="font-medium">{document.customer_name}</p>
+          {document.customer_address && <p>{document.customer_address}</p>}
+          {document.customer_ice && <p>ICE : {document.customer_ice}</p>}
+          {document.customer_phone && <p>{document.customer_phone}</p>}
+          {document.customer_email && <p>{document.customer_email}</p>}
+        </div>
+        {document.document_type !== 'invoice' && (
+          <div>
+            <p className="text-xs font-semibold text-gray-600 uppercase">Facture d'origine / Original invoice</p>
+            <p className="font-medium">
+              N° {original?.invoice_number || '—'}
+              {original && ` du ${formatDate(original.issue_date)}`}
+            </p>
+            <p className="text-xs font-semibold text-gray-600 uppercase mt-2">Motif / Reason</p>
+            <p>{document.reason}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Lines */}
+      <table className="w-full mt-6 text-sm border-collapse">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="text-left p-2 border">Désignation</th>
+            <th className="text-right p-2 border w-16">Qté</th>
+            <th className="text-right p-2 border w-28">P.U. HT</th>
+            <th className="text-right p-2 border w-32">Montant HT</th>
+          </tr>
+        </thead>
+        <tbody>
+          {document.lines.map((line, index) => (
+            <tr key={index}>
+              <td className="p-2 border">{line.description}</td>
+              <td className="p-2 border text-right">{line.quantity}</td>
+              <td className="p-2 border text-right">{formatCurrency(line.unit_price)}</td>
+              <td className="p-2 border text-right">{formatCurrency(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Tax breakdown */}
+      <div className="flex justify-end mt-4">
+        <table className="text-sm w-72">
+          <tbody>
+            <tr>
+              <td className="p-1">Total HT</td>
+              <td className="p-1 text-right">{formatCurrency(document.subtotal)} {document.currency}</td>
+            </tr>
+            <tr>
+              <td className="p-1">TVA {Number(document.tax_rate)}%</td>
+              <td className="p-1 text-right">{formatCurrency(document.tax_amount)} {document.currency}</td>
+            </tr>
+            <tr className="border-t-2 border-gray-800 font-bold">
+              <td className="p-1">Total TTC</td>
+              <td className="p-1 text-right">{formatCurrency(document.total)} {document.currency}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {Number(document.tax_rate) === 0 && (
+        <p className="mt-2 text-xs text-gray-600">TVA non applicable.</p>
+      )}
+
+      {/* Stamp */}
+      <div className="flex justify-between items-end mt-10">
+        <p className="text-xs text-gray-500">
+          Émis par {document.issued_by_name || seller.name} le {new Date(document.issued_at).toLocaleString('fr-FR')}
+        </p>
+        <img src={stampUrl || '/assets/stamp.png'} alt="Cachet" className="h-20 w-auto opacity-90" />
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceDocumentTemplate;
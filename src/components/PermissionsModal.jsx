@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Modal, Box, Typography, Switch, FormControlLabel, CircularProgress, Tooltip, IconButton } from '@mui/material';
 import { HelpOutline } from '@mui/icons-material';
-import { getUserPermissions, updateUserPermission } from '../services/UserService';
+import PermissionService from '../services/PermissionService';
 import { useAuth } from '../contexts/AuthContext';
 
 const style = {
@@ -25,14 +25,14 @@ const PermissionsModal = ({ open, handleClose, userId, userRole, userName }) =>
     if (!userId) return;
     setLoading(true);
     try {
-      const perms = await getUserPermissions(userId, userRole);
-      setPermissions(perms);
+      const perms = await PermissionService.getUserPermissions(userId);
+      setPermissions(perms.filter(p => p.action === 'view'));
     } catch (error) {
       console.error("Failed to fetch permissions", error);
     } finally {
       setLoading(false);
     }
-  }, [userId, userRole]);
+  }, [userId]);
 
   useEffect(() => {
     if (open) {
@@ -40,23 +40,29 @@ const PermissionsModal = ({ open, handleClose, userId, userRole, userName }) =>
     }
   }, [open, fetchPermissions]);
 
-  const handleToggle = async (moduleName, currentAccess) => {
+  const handleToggle = async (moduleKey, currentAccess, roleAllowed) => {
     const isOwner = userRole === 'owner';
     if (isOwner) return;
 
     const newAccess = !currentAccess;
     // Optimistically update UI
-    setPermissions(prev => prev.map(p => p.module_name === moduleName ? { ...p, has_access: newAccess } : p));
+    setPermissions(prev => prev.map(p => p.module_key === moduleKey ? { ...p, allowed: newAccess } : p));
 
     try {
-      await updateUserPermission(userId, moduleName, newAccess);
+      await PermissionService.setUserPermission({
+        userId,
+        module: moduleKey,
+        action: 'view',
+        // An override only where it differs from the role default
+        effect: roleAllowed === newAccess ? null : (newAccess ? 'grant' : 'deny')
+      });
       // After successful update, refresh the permissions in the auth context
       // to ensure other parts of the app are updated.
       refreshAuthPermissions();
     } catch (error) {
       console.error("Failed to update permission", error);
       // Revert UI change on error
-      setPermissions(prev => prev.map(p => p.module_name === moduleName ? { ...p, has_access: currentAccess } : p));
+      setPermissions(prev => prev.map(p => p.module_key === moduleKey ? { ...p, allowed: currentAccess } : p));
     }
   };
 
@@ -74,19 +80,19 @@ const PermissionsModal = ({ open, handleClose, userId, userRole, userName }) =>
           <CircularProgress />
         ) : (
           <Box sx={{ mt: 2, maxHeight: 300, overflowY: 'auto' }}>
-            {permissions.map(({ module_name, has_access }) => (
+            {permissions.map(({ module_key, label: moduleLabel, allowed, role_allowed }) => (
               <FormControlLabel
-                key={module_name}
+                key={module_key}
                 control={
                   <Switch
-                    checked={has_access}
-                    onChange={() => handleToggle(module_name, has_access)}
+                    checked={allowed}
+                    onChange={() => handleToggle(module_key, allowed, role_allowed)}
                     disabled={userRole === 'owner'}
                   />
                 }
                 label={
                   <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                    {module_name}
+                    {moduleLabel}
                     {userRole === 'owner' && (
                       <Tooltip title="Owners have full access to all modules.">
                         <IconButton size="small" sx={{ ml: 1 }}>
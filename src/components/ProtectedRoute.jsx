@@ -13,6 +13,7 @@ const ProtectedRoute = ({
   requireAuth = true,
   requiredRoles = [],
   requiredPermissions = [], // Expects an array of module names
+  requiredAction = 'view',
   fallbackPath = '/login',
   unauthorizedPath = '/unauthorized'
 }) => {
@@ -46,7 +47,7 @@ const ProtectedRoute = ({
 
   // Check permission requirements (module-based)
   if (requiredPermissions.length > 0) {
-    const hasRequiredPermissions = requiredPermissions.every(moduleName => hasPermission(moduleName));
+    const hasRequiredPermissions = requiredPermissions.every(moduleName => hasPermission(moduleName, requiredAction));
 
     if (!hasRequiredPermissions) {
       return <Navigate to={unauthorizedPath} replace />;
@@ -74,6 +75,16 @@ export const EmployeeRoute = ({ children }) => (
   </ProtectedRoute>
 );
 
+/**
+ * ModuleRoute - Routes for users with an action on a module, as granted
+ * in the database
+ */
+export const ModuleRoute = ({ module, action = 'view', children }) => (
+  <ProtectedRoute requiredPermissions={[module]} requiredAction={action}>
+    {children}
+  </ProtectedRoute>
+);
+
 /**
  * GuideRoute - Routes for guides
  */
@@ -98,6 +109,7 @@ export const CustomerRoute = ({ children }) => (
 export const PermissionGate = ({ 
   children, 
   moduleName, // Changed from resource/action
+  action = 'view',
   roles = [],
   fallback = null,
   showFallback = true
@@ -112,7 +124,7 @@ export const PermissionGate = ({
   });
 
   // Check permission for the module
-  const hasRequiredPermission = moduleName ? hasPermission(moduleName) : true;
+  const hasRequiredPermission = moduleName ? hasPermission(moduleName, action) : true;
   
   console.log('🔍 Permission check result:', {
     moduleName,
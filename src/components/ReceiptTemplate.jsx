@@ -1,6 +1,10 @@
 import React from 'react';
+import PaymentLedgerService, { PAYMENT_TENDERS, TRANSACTION_TYPES } from '../services/PaymentLedgerService';
 
-const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
+// payment: the entry this receipt is for; payments: all entries of the
+// booking, from which the amount paid is taken. Tour bookings are passed
+// as rental.
+const ReceiptTemplate = ({ rental, logoUrl, stampUrl, payment = null, payments = null }) => {
   const calculateTotal = () => {
     const basePrice = rental.unit_price || rental.total_amount || 0;
     const overage = rental.overage_charge || 0;
@@ -9,6 +13,10 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
     return basePrice + overage + extensions;
   };
 
+  const amountPaid = payments
+    ? PaymentLedgerService.summarize(payments).netPaid
+    : (rental.deposit_amount || 0);
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -53,11 +61,11 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
         <div className="grid grid-cols-2 gap-4 mb-4">
           <div>
             <p className="text-sm text-gray-600">Receipt Number</p>
-            <p className="font-medium">{rental.id || 'RNT-' + Date.now()}</p>
+            <p className="font-medium">{payment?.receipt_number || rental.id || 'RNT-' + Date.now()}</p>
           </div>
           <div>
             <p className="text-sm text-gray-600">Date Issued</p>
-            <p className="font-medium">{new Date().toLocaleDateString()}</p>
+            <p className="font-medium">{payment ? formatDate(payment.collected_at) : new Date().toLocaleDateString()}</p>
           </div>
           <div>
             <p className="text-sm text-gray-600">Customer Name</p>
@@ -72,22 +80,67 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
 
       {/* VEHICLE & RENTAL INFO - MINIMAL */}
       <div className="mb-6">
-        <h3 className="text-md font-semibold text-gray-700 mb-2">Rental Information</h3>
+        <h3 className="text-md font-semibold text-gray-700 mb-2">{rental.tour_type ? 'Tour Information' : 'Rental Information'}</h3>
         <div className="bg-gray-50 p-4 rounded-lg">
-          <div className="grid grid-cols-2 gap-4">
+          {rental.tour_type ? (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm text-gray-600">Tour</p>
+                <p className="font-medium capitalize">{rental.tour_type} tour · {rental.number_of_quads} quad(s)</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Departure</p>
+                <p className="font-medium">{rental.tour_date} {rental.tour_time?.slice(0, 5)}</p>
+              </div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm text-gray-600">Vehicle</p>
+                <p className="font-medium">{rental.vehicle?.name || 'Not specified'}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Rental Period</p>
+                <p className="font-medium">
+                  {formatDate(rental.rental_start_date)} - {formatDate(rental.rental_end_date)}
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* THIS PAYMENT */}
+      {payment && (
+        <div className="mb-6">
+          <h3 className="text-md font-semibold text-gray-700 mb-2">
+            {TRANSACTION_TYPES[payment.transaction_type]} {payment.receipt_number}
+          </h3>
+          <div className="bg-gray-50 p-4 rounded-lg grid grid-cols-2 gap-4">
             <div>
-              <p className="text-sm text-gray-600">Vehicle</p>
-              <p className="font-medium">{rental.vehicle?.name || 'Not specified'}</p>
+              <p className="text-sm text-gray-600">Method</p>
+              <p className="font-medium">{PAYMENT_TENDERS[payment.tender] || payment.tender}{payment.reference ? ` · ${payment.reference}` : ''}</p>
             </div>
             <div>
-              <p className="text-sm text-gray-600">Rental Period</p>
+              <p className="text-sm text-gray-600">Amount</p>
               <p className="font-medium">
-                {formatDate(rental.rental_start_date)} - {formatDate(rental.rental_end_date)}
+                {formatCurrency(payment.amount)} {payment.currency}
+                {payment.currency !== 'MAD' && ` @ ${Number(payment.exchange_rate)} = ${formatCurrency(Math.abs(payment.amount_mad))} MAD`}
               </p>
             </div>
+            <div>
+              <p className="text-sm text-gray-600">{payment.transaction_type === 'payment' ? 'Received by' : 'Paid out by'}</p>
+              <p className="font-medium">{payment.collected_by_name || 'SaharaX Rentals'}</p>
+            </div>
+            {payment.notes && (
+              <div>
+                <p className="text-sm text-gray-600">Notes</p>
+                <p className="font-medium">{payment.notes}</p>
+              </div>
+            )}
           </div>
         </div>
-      </div>
+      )}
 
       {/* PATCH 3: PAYMENT BREAKDOWN - DETAILED */}
       <div className="mb-8">
@@ -97,11 +150,12 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
           {/* Base Price */}
           <div className="flex justify-between py-2 border-b">
             <div>
-              <p className="font-medium">Base Rental Rate</p>
+              <p className="font-medium">{rental.tour_type ? 'Tour Price' : 'Base Rental Rate'}</p>
               <p className="text-sm text-gray-600">
-                {rental.rental_type === 'daily' ? 'Daily' : 
-                 rental.rental_type === 'weekly' ? 'Weekly' : 
-                 rental.rental_type === 'monthly' ? 'Monthly' : 'Hourly'} Rental
+                {rental.tour_type ? `${rental.total_participants} participant(s)` :
+                 rental.rental_type === 'daily' ? 'Daily Rental' : 
+                 rental.rental_type === 'weekly' ? 'Weekly Rental' : 
+                 rental.rental_type === 'monthly' ? 'Monthly Rental' : 'Hourly Rental'}
               </p>
             </div>
             <p className="font-medium">{formatCurrency(rental.unit_price || rental.total_amount || 0)} MAD</p>
@@ -164,23 +218,39 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
           
           <div className="grid grid-cols-2 gap-4 mt-4">
             <div className="text-center">
-              <p className="text-sm text-gray-600">Deposit Paid</p>
-              <p className="text-xl font-bold text-green-600">{formatCurrency(rental.deposit_amount || 0)} MAD</p>
+              <p className="text-sm text-gray-600">{payments ? 'Paid to Date' : 'Deposit Paid'}</p>
+              <p className="text-xl font-bold text-green-600">{formatCurrency(amountPaid)} MAD</p>
             </div>
             <div className="text-center">
               <p className="text-sm text-gray-600">Remaining Balance</p>
               <p className={`text-xl font-bold ${
-                (calculateTotal() - (rental.deposit_amount || 0)) > 0 
+                (calculateTotal() - amountPaid) > 0 
                   ? 'text-red-600' 
                   : 'text-green-600'
               }`}>
-                {formatCurrency(Math.max(0, calculateTotal() - (rental.deposit_amount || 0)))} MAD
+                {formatCurrency(Math.max(0, calculateTotal() - amountPaid))} MAD
               </p>
             </div>
           </div>
 
+          {/* Payment History */}
+          {payments?.length > 0 && (
+            <table className="w-full mt-4 pt-4 border-t border-gray-200 text-sm text-left">
+              <tbody>
+                {payments.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="py-1">{entry.receipt_number}</td>
+                    <td className="py-1">{new Date(entry.collected_at).toLocaleDateString()}</td>
+                    <td className="py-1">{TRANSACTION_TYPES[entry.transaction_type]} · {PAYMENT_TENDERS[entry.tender] || entry.tender}</td>
+                    <td className="py-1 text-right">{formatCurrency(entry.amount_mad)} MAD</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
           {/* Payment Timeline */}
-          {rental.payment_status === 'paid' && (
+          {!payments && rental.payment_status === 'paid' && (
             <div className="mt-4 pt-4 border-t border-gray-200">
               <p className="text-sm text-gray-600">
                 Payment completed on: {new Date().toLocaleDateString()}
@@ -193,7 +263,7 @@ const ReceiptTemplate = ({ rental, logoUrl, stampUrl }) => {
       {/* 💰 DAMAGE DEPOSIT SECTION */}
       {rental?.damage_deposit && rental.damage_deposit > 0 && (() => {
         const damageDeposit = parseFloat(rental.damage_deposit || 0);
-        const remainingBalance = Math.max(0, calculateTotal() - (rental.deposit_amount || 0));
+        const remainingBalance = Math.max(0, calculateTotal() - amountPaid);
         const depositReturn = Math.max(0, damageDeposit - remainingBalance);
         
         return (
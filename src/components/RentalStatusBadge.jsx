@@ -17,6 +17,15 @@ const RentalStatusBadge = ({ rental, className = '' }) => {
     }
 
     const status = rental.rental_status || rental.status;
+
+    // Customer portal requests wait for staff confirmation regardless of time
+    if (status === 'pending') {
+      return {
+        label: 'Pending confirmation',
+        variant: 'outline',
+        className: 'bg-purple-100 text-purple-800 hover:bg-purple-200'
+      };
+    }
     const now = getCasablancaTime();
     const startTime = new Date(rental.rental_start_date || rental.start_date);
     const endTime = new Date(rental.rental_end_date || rental.end_date);
@@ -16,6 +16,7 @@ import { TBL } from '../config/tables';
 import FuelTransactionService from '../services/FuelTransactionService';
 import VehicleGridView from './VehicleGridView';
 import VehicleListView from './VehicleListView';
+import { useStepUp } from '../contexts/StepUpContext';
 
 interface Vehicle {
   id: number;
@@ -126,6 +127,7 @@ const VehicleManagement: React.FC = () => {
   // Console log for canonical path identification
   console.log('VEHICLE_FORM_CANONICAL_PATH: /workspace/react_template/src/components/VehicleManagement.tsx');
 
+  const { requestStepUp } = useStepUp();
   const [vehicles, setVehicles] = useState<Vehicle[]>([]);
   const [vehicleModels, setVehicleModels] = useState<VehicleModel[]>([]);
   const [fuelLogs, setFuelLogs] = useState<FuelLog[]>([]);
@@ -320,30 +322,8 @@ const VehicleManagement: React.FC = () => {
 
   // Fixed useEffect with proper dependency handling
   useEffect(() => {
-    let unsubscribeAlerts: (() => void) | undefined;
-
-    try {
-      // Load maintenance data from database
-      loadMaintenanceData();
-
-      unsubscribeAlerts = alertService.subscribe((alerts) => {
-        if (viewingVehicle || editingVehicle) {
-          const vehicleId = (viewingVehicle || editingVehicle)?.id.toString();
-          if (vehicleId) {
-            const vehicleSpecificAlerts = alertService.getVehicleAlerts(vehicleId);
-            setVehicleAlerts(vehicleSpecificAlerts);
-          }
-        }
-      });
-    } catch (error) {
-      console.error('Error setting up subscriptions:', error);
-    }
-
-    return () => {
-      if (unsubscribeAlerts) {
-        unsubscribeAlerts();
-      }
-    };
+    // Load maintenance data from database
+    loadMaintenanceData();
   }, [viewingVehicle, editingVehicle]);
 
   useEffect(() => {
@@ -501,7 +481,6 @@ const VehicleManagement: React.FC = () => {
 
       if (vehiclesResult.status === 'fulfilled' && vehiclesResult.value.data) {
         vehiclesData = vehiclesResult.value.data;
-        alertService.updateAllOilChangeAlerts(vehiclesData);
         
         console.log('📊 Loading document counts for vehicles...');
         vehiclesData = await loadVehicleDocumentCounts(vehiclesData);
@@ -562,8 +541,8 @@ const VehicleManagement: React.FC = () => {
       console.log('✅ Found maintenance records for vehicle:', vehicleRecords.length);
       setVehicleMaintenanceHistory(vehicleRecords);
       
-      // Get alerts for this vehicle
-      const alerts = alertService.getVehicleAlerts(vehicleId);
+      // Get open alerts for this vehicle
+      const alerts = await alertService.getVehicleAlerts(vehicleId);
       setVehicleAlerts(alerts);
     } catch (error) {
       console.error('❌ Error loading vehicle maintenance data:', error);
@@ -572,6 +551,13 @@ const VehicleManagement: React.FC = () => {
     }
   };
 
+  // Re-evaluate the alert rules now rather than at the next scheduled run
+  const refreshAlerts = () => {
+    alertService.evaluateRules().catch(error => {
+      console.warn('⚠️ Alert rule evaluation failed:', error.message);
+    });
+  };
+
   const handleAddMaintenanceRecord = async () => {
     if (!viewingVehicle && !editingVehicle) return;
     
@@ -627,12 +613,7 @@ const VehicleManagement: React.FC = () => {
             current_odometer: vehicleUpdates.current_odometer.toString()
           }));
 
-          alertService.createOrUpdateOilChangeAlert(
-            vehicle.id.toString(),
-            vehicle.name,
-            vehicleUpdates.current_odometer,
-            vehicleUpdates.next_oil_change_odometer
-          );
+          refreshAlerts();
         }
       }
       
@@ -806,15 +787,8 @@ const VehicleManagement: React.FC = () => {
           // In real implementation, save documents to storage and update vehicle record
         }
         
-        // CRITICAL: Trigger AlertService after successful save
-        if (sanitizedData.current_odometer && sanitizedData.next_oil_change_odometer) {
-          alertService.createOrUpdateOilChangeAlert(
-            editingVehicle.id.toString(),
-            sanitizedData.name,
-            sanitizedData.current_odometer,
-            sanitizedData.next_oil_change_odometer
-          );
-        }
+        // Odometer or document dates may have changed the vehicle's alerts
+        refreshAlerts();
         
         alert('Vehicle updated successfully!');
       } else {
@@ -837,15 +811,7 @@ const VehicleManagement: React.FC = () => {
           // In real implementation, save documents to storage and link to vehicle
         }
         
-        // CRITICAL: Trigger AlertService after successful save
-        if (newVehicle && sanitizedData.current_odometer && sanitizedData.next_oil_change_odometer) {
-          alertService.createOrUpdateOilChangeAlert(
-            newVehicle.id.toString(),
-            sanitizedData.name,
-            sanitizedData.current_odometer,
-            sanitizedData.next_oil_change_odometer
-          );
-        }
+        refreshAlerts();
         
         alert('Vehicle created successfully!');
       }
@@ -1016,6 +982,7 @@ const VehicleManagement: React.FC = () => {
 
   const handleDelete = async (id: number) => {
     if (window.confirm('Are you sure you want to delete this vehicle?')) {
+      if (!(await requestStepUp({ action: 'delete_vehicle', targetIds: [id] }))) return;
       try {
         const { error } = await supabase
           .from(TBL.VEHICLES)
@@ -1026,6 +993,7 @@ const VehicleManagement: React.FC = () => {
         fetchData();
       } catch (error) {
         console.error('Error deleting vehicle:', error);
+        alert(`Failed to delete vehicle: ${error.message}`);
       }
     }
   };
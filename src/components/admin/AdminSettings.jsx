@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import StorageUtils from '../../utils/StorageUtils';
 import PricingSettings from './PricingSettings';
 import FinanceTaxSettings from './FinanceTaxSettings';
+import CompanyIdentitySettings from './CompanyIdentitySettings';
 import toast from 'react-hot-toast';
 
 const AdminSettings = ({ currentUser }) => {
@@ -168,7 +169,12 @@ const AdminSettings = ({ currentUser }) => {
       {/* Tab Content */}
       {activeTab === 'pricing' && <PricingSettings />}
       
-      {activeTab === 'tax' && <FinanceTaxSettings currentUser={currentUser} />}
+      {activeTab === 'tax' && (
+        <>
+          <FinanceTaxSettings currentUser={currentUser} />
+          <CompanyIdentitySettings currentUser={currentUser} />
+        </>
+      )}
       
       {activeTab === 'system' && (
         <div className="bg-white rounded-lg shadow p-6">
@@ -1,15 +1,30 @@
 import React, { useEffect } from 'react';
-import { useSelector } from 'react-redux';
-import { selectUnreadAlertsCount } from '../../store/slices/alertsSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchAlerts,
+  setupAlertsRealtimeSubscription,
+  selectAlertsLoaded,
+  selectUnreadAlertsCount
+} from '../../store/slices/alertsSlice';
 import { Bell } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
 /**
  * A notification badge component that shows unread alert count
- * Used in the admin sidebar to indicate new/unread alerts
+ * Used in the admin sidebar to indicate new/unread alerts; loads the
+ * persistent alerts and keeps them live on first mount
  */
 const AlertNotificationBadge = ({ className }) => {
+  const dispatch = useDispatch();
+  const loaded = useSelector(selectAlertsLoaded);
   const unreadCount = useSelector(selectUnreadAlertsCount);
+
+  useEffect(() => {
+    if (!loaded) {
+      dispatch(fetchAlerts());
+    }
+    dispatch(setupAlertsRealtimeSubscription());
+  }, [dispatch, loaded]);
   
   // Play a pulse animation when new alerts arrive
   const [playPulse, setPlayPulse] = React.useState(false);
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Save, BellRing, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Switch } from '../ui/switch';
+import { supabase } from '../../lib/supabase';
+import { TABLE_NAMES } from '../../config/tableNames';
+import alertService from '../../services/AlertService';
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * AlertRuleSettings - Thresholds the server uses to raise vehicle alerts,
+ * as fleet defaults with optional overrides per vehicle model, and how long
+ * an unacknowledged alert waits before it escalates
+ */
+const AlertRuleSettings = () => {
+  const [rules, setRules] = useState([]);
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [newOverride, setNewOverride] = useState({ vehicle_model_id: '', rule_type: 'oil_change' });
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedRules, { data: loadedModels, error }] = await Promise.all([
+          alertService.getRules(),
+          supabase
+            .from(TABLE_NAMES.VEHICLE_MODELS)
+            .select('id, make, model')
+            .order('model')
+        ]);
+
+        if (error) throw error;
+        setRules(loadedRules);
+        setModels(loadedModels || []);
+      } catch (error) {
+        console.error('❌ Error loading alert rules:', error);
+        toast.error(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, []);
+
+  const modelName = (modelId) => {
+    const model = models.find(m => m.id === modelId);
+    return model ? [model.make, model.model].filter(Boolean).join(' ') : 'Unknown model';
+  };
+
+  const updateRule = (key, changes) => {
+    setRules(prev => prev.map(rule => ((rule.id || rule.key) === key ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = async (rule) => {
+    const key = rule.id || rule.key;
+    setSavingId(key);
+    try {
+      const saved = await alertService.saveRule(rule);
+      setRules(prev => prev.map(existing => ((existing.id || existing.key) === key ? saved : existing)));
+      toast.success('Alert rule saved');
+    } catch (error) {
+      console.error('❌ Error saving alert rule:', error);
+      toast.error(error.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      if (rule.id) {
+        await alertService.deleteRule(rule.id);
+      }
+      setRules(prev => prev.filter(existing => existing !== rule));
+    } catch (error) {
+      console.error('❌ Error deleting alert rule:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleAddOverride = () => {
+    const { vehicle_model_id, rule_type } = newOverride;
+    if (!vehicle_model_id) return;
+
+    if (rules.some(rule => rule.vehicle_model_id === vehicle_model_id && rule.rule_type === rule_type)) {
+      toast.error('This model already has a rule of that type');
+      return;
+    }
+
+    // Start from the fleet default so only the differences need editing
+    const fleetDefault = rules.find(rule => !rule.vehicle_model_id && rule.rule_type === rule_type) || {};
+    setRules(prev => [...prev, {
+      key: `new-${Date.now()}`,
+      vehicle_model_id,
+      rule_type,
+      interval_km: fleetDefault.interval_km ?? null,
+      warn_before: fleetDefault.warn_before ?? 0,
+      priority: fleetDefault.priority || 'medium',
+      escalate_after_minutes: fleetDefault.escalate_after_minutes ?? null,
+      is_active: true
+    }]);
+  };
+
+  const renderRule = (rule) => {
+    const key = rule.id || rule.key;
+    const type = alertService.RULE_TYPES[rule.rule_type] || {};
+
+    return (
+      <div key={key} className="grid grid-cols-12 gap-2 items-center py-2 border-b border-gray-100 last:border-0">
+        <div className="col-span-3">
+          <p className="text-sm font-medium text-gray-900">{type.label || rule.rule_type}</p>
+          {rule.vehicle_model_id && <p className="text-xs text-gray-500">{modelName(rule.vehicle_model_id)}</p>}
+        </div>
+        <div className="col-span-2">
+          {type.hasInterval && (
+            <input
+              type="number"
+              min="1"
+              value={rule.interval_km ?? ''}
+              onChange={(e) => updateRule(key, { interval_km: e.target.value })}
+              placeholder="Every km"
+              title="Kilometres between oil changes"
+              className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+          )}
+        </div>
+        <div className="col-span-2">
+          {type.unit && (
+            <input
+              type="number"
+              min="0"
+              value={rule.warn_before ?? 0}
+              onChange={(e) => updateRule(key, { warn_before: e.target.value })}
+              title={`Warn ${type.unit}`}
+              className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+          )}
+        </div>
+        <div className="col-span-1">
+          {type.unit && (
+            <select
+              value={rule.priority}
+              onChange={(e) => updateRule(key, { priority: e.target.value })}
+              className="w-full px-1 py-1 border border-gray-300 rounded text-sm"
+            >
+              {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+            </select>
+          )}
+        </div>
+        <div className="col-span-2">
+          <input
+            type="number"
+            min="1"
+            value={rule.escalate_after_minutes ?? ''}
+            onChange={(e) => updateRule(key, { escalate_after_minutes: e.target.value })}
+            placeholder="Never"
+            className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        </div>
+        <div className="col-span-2 flex items-center justify-end gap-2">
+          <Switch
+            checked={rule.is_active}
+            onCheckedChange={(checked) => updateRule(key, { is_active: checked })}
+          />
+          <button
+            onClick={() => handleSave(rule)}
+            disabled={savingId === key}
+            className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+            title="Save"
+          >
+            {savingId === key ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          </button>
+          {rule.vehicle_model_id && (
+            <button
+              onClick={() => handleDelete(rule)}
+              className="p-1 text-gray-400 hover:text-red-600 rounded"
+              title="Remove override"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const fleetRules = rules.filter(rule => !rule.vehicle_model_id);
+  const modelRules = rules.filter(rule => rule.vehicle_model_id);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5" />
+          Alert Rules
+        </CardTitle>
+        <CardDescription>
+          Checked on the server every 15 minutes. A model override replaces the fleet rule for that model; switch it off to silence the alert for the model.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 uppercase">
+              <span className="col-span-3">Rule</span>
+              <span className="col-span-2">Every (km)</span>
+              <span className="col-span-2">Warn before</span>
+              <span className="col-span-1">Priority</span>
+              <span className="col-span-2">Escalate after (min)</span>
+              <span className="col-span-2 text-right">Active</span>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-900">Fleet defaults</h4>
+              {fleetRules.map(renderRule)}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-900">Model overrides</h4>
+              {modelRules.length === 0 ? (
+                <p className="text-sm text-gray-500 py-2">No overrides; every model uses the fleet defaults.</p>
+              ) : (
+                modelRules.map(renderRule)
+              )}
+              <div className="flex flex-wrap items-center gap-2 mt-3">
+                <select
+                  value={newOverride.vehicle_model_id}
+                  onChange={(e) => setNewOverride(prev => ({ ...prev, vehicle_model_id: e.target.value }))}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="">Select model...</option>
+                  {models.map(model => (
+                    <option key={model.id} value={model.id}>{[model.make, model.model].filter(Boolean).join(' ')}</option>
+                  ))}
+                </select>
+                <select
+                  value={newOverride.rule_type}
+                  onChange={(e) => setNewOverride(prev => ({ ...prev, rule_type: e.target.value }))}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.entries(alertService.RULE_TYPES).map(([value, type]) => (
+                    <option key={value} value={value}>{type.label}</option>
+                  ))}
+                </select>
+                <Button variant="outline" size="sm" onClick={handleAddOverride} disabled={!newOverride.vehicle_model_id}>
+                  <Plus className="w-4 h-4 mr-1" /> Add override
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AlertRuleSettings;
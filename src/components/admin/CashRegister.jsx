@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Wallet, Lock, LockOpen, ArrowDownToLine, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import TillService, { DENOMINATIONS, TILL_MOVEMENT_TYPES, TILL_STATUSES } from '../../services/TillService';
+import { PAYMENT_CURRENCIES } from '../../services/PaymentLedgerService';
+
+const formatAmount = (amount, currency) => `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' }) : '';
+
+const emptyFloat = { MAD: '', EUR: '', USD: '' };
+const emptyCounts = () => Object.fromEntries(PAYMENT_CURRENCIES.map(currency => [currency, {}]));
+const emptyMovement = { type: 'cash_drop', currency: 'MAD', amount: '', description: '' };
+
+/**
+ * CashRegister - The signed-in user's till: open it with a float, see the
+ * cash it has taken in and paid out, drop cash to the safe, and close it
+ * with a count of notes and coins per currency.
+ */
+const CashRegister = () => {
+  const { userProfile } = useAuth();
+  const [session, setSession] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState(emptyFloat);
+  const [movement, setMovement] = useState(emptyMovement);
+  const [counts, setCounts] = useState(emptyCounts);
+  const [closingNotes, setClosingNotes] = useState('');
+  const [closedSession, setClosedSession] = useState(null);
+
+  const loadTill = useCallback(async () => {
+    try {
+      setLoading(true);
+      const open = await TillService.getOpenSession();
+      setSession(open);
+      setMovements(open ? await TillService.getMovements(open.id) : []);
+      setHistory(open || !userProfile?.id ? [] : (await TillService.getSessions({ staffId: userProfile.id })).slice(0, 10));
+    } catch (error) {
+      console.error('Error loading till:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userProfile?.id]);
+
+  useEffect(() => {
+    loadTill();
+  }, [loadTill]);
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await TillService.openSession(openingFloat);
+      toast.success('Till opened');
+      setOpeningFloat(emptyFloat);
+      setClosedSession(null);
+      await loadTill();
+    } catch (error) {
+      console.error('Error opening till:', error);
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await TillService.addMovement(movement);
+      toast.success(`${TILL_MOVEMENT_TYPES[movement.type]} recorded`);
+      setMovement(emptyMovement);
+      setMovements(await TillService.getMovements(session.id));
+    } catch (error) {
+      console.error('Error recording till movement:', error);
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Close your till with this count? It cannot be changed afterwards.')) return;
+    setSubmitting(true);
+    try {
+      const closed = await TillService.closeSession(session.id, counts, closingNotes);
+      toast.success('Till closed; a manager will sign off the count');
+      setClosedSession(closed);
+      setCounts(emptyCounts());
+      setClosingNotes('');
+      await loadTill();
+    } catch (error) {
+      console.error('Error closing till:', error);
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const setCount = (currency, denomination, value) => {
+    setCounts(prev => ({ ...prev, [currency]: { ...prev[currency], [denomination]: value } }));
+  };
+
+  const expected = session ? TillService.expectedCash(session, movements) : {};
+  const countCurrencies = PAYMENT_CURRENCIES.filter(currency =>
+    currency === 'MAD' || expected[currency] || Object.values(counts[currency] || {}).some(Boolean)
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <RefreshCw className="h-6 w-6 animate-spin text-gray-400" />
+        <span className="ml-2 text-gray-600">Loading till...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 sm:p-6 space-y-6">
+      <div className="flex items-center gap-3">
+        <div className="p-2 bg-green-100 rounded-lg">
+          <Wallet className="w-6 h-6 text-green-700" />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Cash Register</h1>
+          <p className="text-sm text-gray-600">
+            Cash payments, deposits and fuel paid in cash go into your open till automatically.
+          </p>
+        </div>
+      </div>
+
+      {closedSession && <ClosingResult session={closedSession} />}
+
+      {!session ? (
+        <>
+          <form onSubmit={handleOpen} className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Open your till</h2>
+            <p className="text-sm text-gray-600 mb-4">Count the float you start the shift with.</p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              {PAYMENT_CURRENCIES.map(currency => (
+                <div key={currency}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Float ({currency})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={openingFloat[currency]}
+                    onChange={(e) => setOpeningFloat(prev => ({ ...prev, [currency]: e.target.value }))}
+                    placeholder="0.00"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="mt-4 flex justify-end">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                <LockOpen className="w-4 h-4" /> {submitting ? 'Opening...' : 'Open till'}
+              </button>
+            </div>
+          </form>
+
+          {history.length > 0 && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Your recent tills</h2>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Opened</th>
+                      <th className="py-2 pr-4">Closed</th>
+                      <th className="py-2 pr-4">Discrepancy</th>
+                      <th className="py-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.map(past => (
+                      <tr key={past.id} className="border-b last:border-0">
+                        <td className="py-2 pr-4">{past.business_date}</td>
+                        <td className="py-2 pr-4">{formatDateTime(past.opened_at)}</td>
+                        <td className="py-2 pr-4">{formatDateTime(past.closed_at)}</td>
+                        <td className="py-2 pr-4">
+                          <DiscrepancyList discrepancy={past.discrepancy} />
+                        </td>
+                        <td className="py-2">{TILL_STATUSES[past.status]}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          {/* Current till */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Till open since {formatDateTime(session.opened_at)}</h2>
+                <p className="text-sm text-gray-600">Business date {session.business_date}</p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(expected).map(([currency, amount]) => (
+                  <span key={currency} className="px-3 py-1 rounded-full bg-green-50 text-green-800 text-sm font-medium">
+                    {formatAmount(amount, currency)} expected
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4">Time</th>
+                    <th className="py-2 pr-4">Movement</th>
+                    <th className="py-2 pr-4">Details</th>
+                    <th className="py-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(session.opening_float || {}).map(([currency, amount]) => (
+                    <tr key={`float-${currency}`} className="border-b">
+                      <td className="py-2 pr-4">{formatDateTime(session.opened_at)}</td>
+                      <td className="py-2 pr-4">Opening float</td>
+                      <td className="py-2 pr-4" />
+                      <td className="py-2 text-right">{formatAmount(amount, currency)}</td>
+                    </tr>
+                  ))}
+                  {movements.map(entry => (
+                    <tr key={entry.id} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{formatDateTime(entry.created_at)}</td>
+                      <td className="py-2 pr-4">{TILL_MOVEMENT_TYPES[entry.movement_type]}</td>
+                      <td className="py-2 pr-4 text-gray-600">{entry.description}</td>
+                      <td className={`py-2 text-right ${Number(entry.amount) < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {formatAmount(entry.amount, entry.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Cash drops and payouts */}
+          <form onSubmit={handleMovement} className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Take cash out</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+              <select
+                value={movement.type}
+                onChange={(e) => setMovement(prev => ({ ...prev, type: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="cash_drop">{TILL_MOVEMENT_TYPES.cash_drop}</option>
+                <option value="payout">{TILL_MOVEMENT_TYPES.payout}</option>
+              </select>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={movement.amount}
+                  onChange={(e) => setMovement(prev => ({ ...prev, amount: e.target.value }))}
+                  placeholder="Amount"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <select
+                  value={movement.currency}
+                  onChange={(e) => setMovement(prev => ({ ...prev, currency: e.target.value }))}
+                  className="px-2 py-2 border border-gray-300 rounded-md"
+                >
+                  {PAYMENT_CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                </select>
+              </div>
+              <input
+                type="text"
+                value={movement.description}
+                onChange={(e) => setMovement(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="What for"
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+              >
+                <ArrowDownToLine className="w-4 h-4" /> Record
+              </button>
+            </div>
+          </form>
+
+          {/* Closing count */}
+          <form onSubmit={handleClose} className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Close your till</h2>
+            <p className="text-sm text-gray-600 mb-4">Count every note and coin in the drawer.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {countCurrencies.map(currency => {
+                const counted = TillService.countTotal(counts[currency]);
+                const difference = Math.round((counted - (expected[currency] || 0)) * 100) / 100;
+                return (
+                  <div key={currency}>
+                    <h3 className="font-medium text-gray-900 mb-2">{currency}</h3>
+                    <div className="space-y-1">
+                      {DENOMINATIONS[currency].map(denomination => (
+                        <div key={denomination} className="flex items-center gap-2">
+                          <span className="w-16 text-right text-sm text-gray-700">{denomination}</span>
+                          <span className="text-gray-400">×</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={counts[currency]?.[denomination] ?? ''}
+                            onChange={(e) => setCount(currency, denomination, e.target.value)}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <div className="mt-2 text-sm">
+                      <p>Counted: <span className="font-medium">{formatAmount(counted, currency)}</span></p>
+                      <p className={difference === 0 ? 'text-green-700' : 'text-red-600'}>
+                        {difference === 0 ? 'Matches the till' : `${difference > 0 ? 'Over' : 'Short'} by ${formatAmount(Math.abs(difference), currency)}`}
+                      </p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">Notes (required if the count is off)</label>
+            <textarea
+              value={closingNotes}
+              onChange={(e) => setClosingNotes(e.target.value)}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <div className="mt-4 flex justify-end">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                <Lock className="w-4 h-4" /> {submitting ? 'Closing...' : 'Close till'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Per-currency difference between counted and expected
+export const DiscrepancyList = ({ discrepancy }) => {
+  const entries = Object.entries(discrepancy || {});
+  if (entries.length === 0) return <span className="text-gray-400">—</span>;
+  return (
+    <span className="flex flex-wrap gap-2">
+      {entries.map(([currency, amount]) => (
+        <span key={currency} className={Number(amount) === 0 ? 'text-green-700' : 'text-red-600 font-medium'}>
+          {Number(amount) > 0 ? '+' : ''}{formatAmount(amount, currency)}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+const ClosingResult = ({ session }) => {
+  const balanced = Object.values(session.discrepancy || {}).every(amount => Number(amount) === 0);
+  return (
+    <div className={`rounded-lg p-4 border ${balanced ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+      <p className="font-medium text-gray-900">
+        Till closed {formatDateTime(session.closed_at)} — {balanced ? 'the count matches' : 'the count does not match'}
+      </p>
+      <div className="mt-2 grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+        {Object.keys({ ...session.expected, ...session.counted }).map(currency => (
+          <div key={currency}>
+            <p>Expected {formatAmount(session.expected?.[currency], currency)}</p>
+            <p>Counted {formatAmount(session.counted?.[currency], currency)}</p>
+            <p className={Number(session.discrepancy?.[currency]) === 0 ? 'text-green-700' : 'text-red-600'}>
+              Difference {formatAmount(session.discrepancy?.[currency], currency)}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CashRegister;
@@ -1,102 +1,186 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
+import html2canvas from 'html2canvas';
+import jsPDF from 'jspdf';
+import { Receipt, Undo2 } from 'lucide-react';
+import ReceiptTemplate from '../ReceiptTemplate';
+import PaymentLedgerService, {
+  PAYMENT_TENDERS,
+  COLLECTABLE_TENDERS,
+  PAYMENT_CURRENCIES,
+  TRANSACTION_TYPES
+} from '../../services/PaymentLedgerService';
+import TillService from '../../services/TillService';
 
-const CollectPaymentModal = ({ rental, isOpen, onSave, onCancel }) => {
+const emptyEntry = {
+  type: 'payment',
+  tender: 'cash',
+  currency: 'MAD',
+  exchange_rate: '1',
+  amount: '',
+  reference: '',
+  notes: ''
+};
+
+const formatMad = (amount) => `${(Number(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * CollectPaymentModal - Payments ledger of a rental or a tour booking.
+ * Records payments (split across tenders and currencies), refunds and
+ * reversals, and prints a numbered receipt for any entry.
+ */
+const CollectPaymentModal = ({ rental = null, tourBooking = null, isOpen, onSave, onCancel, logoUrl = null, stampUrl = null }) => {
   const { t } = useTranslation();
-  const [paymentData, setPaymentData] = useState({
-    payment_amount: '',
-    payment_method: 'cash',
-    payment_notes: ''
-  });
+  const booking = rental || tourBooking;
+  const target = rental ? { rentalId: rental.id } : { tourBookingId: tourBooking?.id };
+
+  const [transactions, setTransactions] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [entry, setEntry] = useState(emptyEntry);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [receiptEntry, setReceiptEntry] = useState(null);
+  const [hasOpenTill, setHasOpenTill] = useState(null);
+  const receiptRef = useRef();
 
-  // Calculate financial breakdown with safe math
-  const totalAmount = parseFloat(rental?.total_amount || 0);
-  const currentDeposit = parseFloat(rental?.deposit_amount || 0);
-  const remainingAmount = Math.max(0, totalAmount - currentDeposit);
+  const loadLedger = useCallback(async () => {
+    if (!booking?.id) return;
+    try {
+      const [entries, totals] = await Promise.all([
+        PaymentLedgerService.getTransactions(target),
+        PaymentLedgerService.getBalance(target)
+      ]);
+      setTransactions(entries);
+      setBalance(totals);
+      return totals;
+    } catch (error) {
+      console.error('Error loading payments:', error);
+      toast.error(error.message);
+    }
+  }, [booking?.id]);
 
   useEffect(() => {
-    if (rental && isOpen) {
-      setPaymentData({
-        payment_amount: remainingAmount.toFixed(2),
-        payment_method: 'cash',
-        payment_notes: ''
-      });
-    }
-  }, [rental, isOpen, remainingAmount]);
+    if (!isOpen) return;
+    setEntry(emptyEntry);
+    TillService.getOpenSession()
+      .then(session => setHasOpenTill(!!session))
+      .catch(error => console.error('Error loading till:', error));
+    loadLedger().then(totals => {
+      if (totals?.balanceDue > 0) {
+        setEntry(prev => ({ ...prev, amount: totals.balanceDue.toFixed(2) }));
+      }
+    });
+  }, [isOpen, loadLedger]);
+
+  // Render the receipt off-screen, then turn it into a PDF
+  useEffect(() => {
+    if (!receiptEntry || !receiptRef.current) return;
 
-  const handleInputChange = (e) => {
+    const generate = async () => {
+      try {
+        const canvas = await html2canvas(receiptRef.current, { scale: 2, useCORS: true, logging: false, backgroundColor: '#ffffff' });
+        const pdf = new jsPDF('p', 'mm', 'a4');
+        const imgWidth = 210;
+        pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, imgWidth, (canvas.height * imgWidth) / canvas.width);
+        pdf.save(`${receiptEntry.receipt_number}.pdf`);
+      } catch (error) {
+        console.error('Error generating receipt:', error);
+        toast.error('Failed to generate receipt');
+      } finally {
+        setReceiptEntry(null);
+      }
+    };
+    generate();
+  }, [receiptEntry]);
+
+  const handleChange = async (e) => {
     const { name, value } = e.target;
-    setPaymentData(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    setEntry(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === 'tender' && value !== 'cash') {
+        next.currency = 'MAD';
+        next.exchange_rate = '1';
+      }
+      return next;
+    });
+
+    if (name === 'currency') {
+      if (value === 'MAD') {
+        setEntry(prev => ({ ...prev, exchange_rate: '1' }));
+        return;
+      }
+      try {
+        const lastRate = await PaymentLedgerService.getLastExchangeRate(value);
+        setEntry(prev => ({
+          ...prev,
+          exchange_rate: lastRate ? String(lastRate) : '',
+          // Offer the balance in that currency, rounded down so it never overpays
+          amount: lastRate && prev.type === 'payment' && balance?.balanceDue > 0
+            ? (Math.floor((balance.balanceDue / lastRate) * 100) / 100).toFixed(2)
+            : prev.amount
+        }));
+      } catch (error) {
+        console.error('Error loading exchange rate:', error);
+        setEntry(prev => ({ ...prev, exchange_rate: '' }));
+      }
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    const paymentAmount = parseFloat(paymentData.payment_amount);
-    
-    if (paymentAmount <= 0) {
-      toast.error('Payment amount must be greater than 0');
-      return;
-    }
-    
-    if (paymentAmount > remainingAmount) {
-      toast.error('Payment amount cannot exceed remaining balance');
-      return;
-    }
-
     setIsSubmitting(true);
-
     try {
-      const newDepositAmount = currentDeposit + paymentAmount;
-      const tolerance = 0.01;
-      
-      // Use proper floating point comparison for payment status
-      let newPaymentStatus;
-      if (Math.abs(newDepositAmount - totalAmount) < tolerance) {
-        newPaymentStatus = 'paid';
-      } else if (newDepositAmount > tolerance) {
-        newPaymentStatus = 'partial';
-      } else {
-        newPaymentStatus = 'pending';
-      }
+      const recorded = await PaymentLedgerService.record({
+        ...target,
+        type: entry.type,
+        tender: entry.tender,
+        currency: entry.currency,
+        amount: entry.amount,
+        exchangeRate: entry.exchange_rate,
+        reference: entry.reference,
+        notes: entry.notes,
+        balanceDue: balance?.balanceDue ?? null
+      });
 
-      const updatedRental = {
-        ...rental,
-        deposit_amount: newDepositAmount,
-        payment_status: newPaymentStatus,
-        payment_notes: paymentData.payment_notes
-      };
-
-      await onSave(updatedRental);
-      
-      toast.success(`Payment of $${paymentAmount.toFixed(2)} collected successfully!`);
-      
-      // Reset form
-      setPaymentData({
-        payment_amount: '',
-        payment_method: 'cash',
-        payment_notes: ''
+      toast.success(`${TRANSACTION_TYPES[recorded.transaction_type]} ${recorded.receipt_number} recorded`);
+      const totals = await loadLedger();
+      setEntry({
+        ...emptyEntry,
+        amount: totals?.balanceDue > 0 ? totals.balanceDue.toFixed(2) : ''
       });
-      
-      onCancel(); // Close modal
+      await onSave?.(recorded);
     } catch (error) {
       console.error('Payment collection failed:', error);
-      toast.error('Failed to process payment. Please try again.');
+      toast.error(error.message);
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  if (!isOpen || !rental) return null;
+  const handleReverse = async (transaction) => {
+    const reason = window.prompt(`Reverse ${transaction.receipt_number}? Enter the reason:`);
+    if (reason === null) return;
+
+    try {
+      const reversal = await PaymentLedgerService.reverse(transaction, reason);
+      toast.success(`${transaction.receipt_number} reversed by ${reversal.receipt_number}`);
+      await loadLedger();
+      await onSave?.(reversal);
+    } catch (error) {
+      console.error('Payment reversal failed:', error);
+      toast.error(error.message);
+    }
+  };
+
+  if (!isOpen || !booking) return null;
+
+  const reversedIds = new Set(transactions.filter(tx => tx.reverses_id).map(tx => tx.reverses_id));
+  const madEquivalent = PaymentLedgerService.toMad(entry.amount, entry.currency === 'MAD' ? 1 : entry.exchange_rate);
+  const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-md shadow-lg rounded-md bg-white">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
         <div className="mt-3">
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-bold text-gray-900">
@@ -112,94 +196,195 @@ const CollectPaymentModal = ({ rental, isOpen, onSave, onCancel }) => {
             </button>
           </div>
 
-          {/* Customer & Rental Info */}
+          {/* Customer & Booking Info */}
           <div className="bg-gray-50 p-4 rounded-lg mb-4">
             <div className="text-sm">
-              <div className="font-medium text-gray-900">{rental.customer_name}</div>
-              <div className="text-gray-500">{rental.customer_email}</div>
+              <div className="font-medium text-gray-900">{booking.customer_name}</div>
+              <div className="text-gray-500">{booking.customer_email}</div>
               <div className="text-xs text-gray-400 mt-1">
-                {rental.rental_start_date ? new Date(rental.rental_start_date).toLocaleDateString() : 'N/A'}
-                {' - '}
-                {rental.rental_end_date ? new Date(rental.rental_end_date).toLocaleDateString() : 'N/A'}
+                {rental ? (
+                  <>
+                    {rental.rental_start_date ? new Date(rental.rental_start_date).toLocaleDateString() : 'N/A'}
+                    {' - '}
+                    {rental.rental_end_date ? new Date(rental.rental_end_date).toLocaleDateString() : 'N/A'}
+                  </>
+                ) : (
+                  <span className="capitalize">{tourBooking.tour_type} tour · {tourBooking.tour_date} {tourBooking.tour_time?.slice(0, 5)}</span>
+                )}
               </div>
             </div>
           </div>
 
           {/* Financial Breakdown */}
-          <div className="bg-blue-50 p-4 rounded-lg mb-4">
-            <h4 className="font-medium text-gray-900 mb-2">Financial Summary</h4>
-            <div className="space-y-2 text-sm">
-              <div className="flex justify-between">
-                <span className="text-gray-600">Total Amount:</span>
-                <span className="font-semibold">${totalAmount.toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-600">Deposit Paid:</span>
-                <span className="text-green-600">${currentDeposit.toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between border-t pt-2">
-                <span className="font-medium text-gray-700">Remaining Balance:</span>
-                <span className="font-bold text-red-600">${remainingAmount.toFixed(2)}</span>
+          {balance && (
+            <div className="bg-blue-50 p-4 rounded-lg mb-4">
+              <h4 className="font-medium text-gray-900 mb-2">Financial Summary</h4>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Total Amount:</span>
+                  <span className="font-semibold">{formatMad(balance.amountDue)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Paid:</span>
+                  <span className="text-green-600">{formatMad(balance.paid)}</span>
+                </div>
+                {balance.refunded > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Refunded:</span>
+                    <span className="text-orange-600">-{formatMad(balance.refunded)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between border-t pt-2">
+                  <span className="font-medium text-gray-700">{balance.balanceDue < 0 ? 'Owed to Customer:' : 'Remaining Balance:'}</span>
+                  <span className={`font-bold ${balance.balanceDue > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatMad(Math.abs(balance.balanceDue))}
+                  </span>
+                </div>
               </div>
             </div>
-          </div>
+          )}
+
+          {/* Ledger */}
+          {transactions.length > 0 && (
+            <div className="mb-4 border rounded-lg divide-y text-sm">
+              {transactions.map(transaction => (
+                <div key={transaction.id} className="flex items-center justify-between gap-2 p-2">
+                  <div>
+                    <div className="font-medium text-gray-900">
+                      {transaction.receipt_number} · {TRANSACTION_TYPES[transaction.transaction_type]} · {PAYMENT_TENDERS[transaction.tender] || transaction.tender}
+                      {reversedIds.has(transaction.id) && <span className="ml-2 text-xs text-red-600">reversed</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(transaction.collected_at).toLocaleString()} · {transaction.collected_by_name || '—'}
+                      {transaction.currency !== 'MAD' && ` · ${Number(transaction.amount).toFixed(2)} ${transaction.currency} @ ${Number(transaction.exchange_rate)}`}
+                      {transaction.notes && ` · ${transaction.notes}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <span className={`font-semibold ${transaction.amount_mad < 0 ? 'text-orange-600' : 'text-green-700'}`}>
+                      {formatMad(transaction.amount_mad)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setReceiptEntry(transaction)}
+                      disabled={Boolean(receiptEntry)}
+                      className="text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                      title="Download receipt"
+                    >
+                      <Receipt className="w-4 h-4" />
+                    </button>
+                    {transaction.transaction_type === 'payment' && !reversedIds.has(transaction.id) && (
+                      <button
+                        type="button"
+                        onClick={() => handleReverse(transaction)}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Reverse this payment"
+                      >
+                        <Undo2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
 
           <form onSubmit={handleSubmit} className="space-y-4">
-            {/* Payment Amount */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Payment Amount *
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <span className="text-gray-500 sm:text-sm">$</span>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Entry</label>
+                <select name="type" value={entry.type} onChange={handleChange} className={inputClass}>
+                  <option value="payment">Payment received</option>
+                  <option value="refund">Refund to customer</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payment Method</label>
+                <select name="tender" value={entry.tender} onChange={handleChange} className={inputClass}>
+                  {COLLECTABLE_TENDERS.map(tender => (
+                    <option key={tender} value={tender}>{PAYMENT_TENDERS[tender]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                <select
+                  name="currency"
+                  value={entry.currency}
+                  onChange={handleChange}
+                  disabled={entry.tender !== 'cash'}
+                  className={inputClass}
+                >
+                  {PAYMENT_CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
+              {entry.currency !== 'MAD' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">MAD per {entry.currency} *</label>
+                  <input
+                    type="number"
+                    step="0.0001"
+                    min="0.0001"
+                    name="exchange_rate"
+                    value={entry.exchange_rate}
+                    onChange={handleChange}
+                    className={inputClass}
+                    required
+                  />
                 </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount ({entry.currency}) *</label>
                 <input
                   type="number"
                   step="0.01"
                   min="0.01"
-                  max={remainingAmount}
-                  name="payment_amount"
-                  value={paymentData.payment_amount}
-                  onChange={handleInputChange}
-                  className="block w-full pl-7 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  name="amount"
+                  value={entry.amount}
+                  onChange={handleChange}
+                  className={inputClass}
                   placeholder="0.00"
                   required
                 />
+                {entry.currency !== 'MAD' && (
+                  <p className="text-xs text-gray-500 mt-1">= {formatMad(madEquivalent)}</p>
+                )}
               </div>
+              {entry.tender !== 'cash' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                  <input
+                    type="text"
+                    name="reference"
+                    value={entry.reference}
+                    onChange={handleChange}
+                    className={inputClass}
+                    placeholder={entry.tender === 'card' ? 'Authorisation code' : 'Transfer reference'}
+                  />
+                </div>
+              )}
             </div>
 
-            {/* Payment Method */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Payment Method
-              </label>
-              <select
-                name="payment_method"
-                value={paymentData.payment_method}
-                onChange={handleInputChange}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              >
-                <option value="cash">Cash</option>
-                <option value="card">Credit/Debit Card</option>
-                <option value="bank_transfer">Bank Transfer</option>
-                <option value="check">Check</option>
-                <option value="other">Other</option>
-              </select>
-            </div>
+            {entry.tender === 'cash' && hasOpenTill === false && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800">
+                You have no till open, so this cash will be reported outside any till. Open yours under Cash Register before collecting.
+              </div>
+            )}
 
-            {/* Payment Notes */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Payment Notes (Optional)
+                Notes {entry.type === 'refund' ? '*' : '(Optional)'}
               </label>
               <textarea
-                name="payment_notes"
-                value={paymentData.payment_notes}
-                onChange={handleInputChange}
+                name="notes"
+                value={entry.notes}
+                onChange={handleChange}
                 rows="2"
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                placeholder="Additional payment details..."
+                className={inputClass}
+                placeholder={entry.type === 'refund' ? 'Reason for the refund' : 'Additional payment details...'}
+                required={entry.type === 'refund'}
               />
             </div>
 
@@ -211,15 +396,15 @@ const CollectPaymentModal = ({ rental, isOpen, onSave, onCancel }) => {
                 className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
                 disabled={isSubmitting}
               >
-                Cancel
+                Close
               </button>
               <button
                 type="submit"
                 disabled={isSubmitting}
                 className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
-                  isSubmitting 
-                    ? 'bg-gray-400 cursor-not-allowed' 
-                    : 'bg-green-600 hover:bg-green-700'
+                  isSubmitting
+                    ? 'bg-gray-400 cursor-not-allowed'
+                    : entry.type === 'refund' ? 'bg-orange-600 hover:bg-orange-700' : 'bg-green-600 hover:bg-green-700'
                 }`}
               >
                 {isSubmitting ? (
@@ -228,15 +413,29 @@ const CollectPaymentModal = ({ rental, isOpen, onSave, onCancel }) => {
                     Processing...
                   </div>
                 ) : (
-                  `Collect $${parseFloat(paymentData.payment_amount || 0).toFixed(2)}`
+                  `${entry.type === 'refund' ? 'Refund' : 'Collect'} ${formatMad(madEquivalent)}`
                 )}
               </button>
             </div>
           </form>
         </div>
       </div>
+
+      {receiptEntry && (
+        <div className="absolute -left-[9999px] top-0 w-[210mm]">
+          <div ref={receiptRef}>
+            <ReceiptTemplate
+              rental={booking}
+              payment={receiptEntry}
+              payments={transactions.slice(0, transactions.findIndex(tx => tx.id === receiptEntry.id) + 1)}
+              logoUrl={logoUrl}
+              stampUrl={stampUrl}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default CollectPaymentModal;
\ No newline at end of file
+export default CollectPaymentModal;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Save, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AppSettingsService from '../../services/AppSettingsService';
+
+const FIELDS = [
+  { name: 'legal_name', label: 'Legal name' },
+  { name: 'address', label: 'Registered address' },
+  { name: 'ice', label: 'ICE (Identifiant Commun de l\'Entreprise)', placeholder: '15 digits' },
+  { name: 'if', label: 'IF (Identifiant Fiscal)' },
+  { name: 'rc', label: 'RC (Registre de Commerce)' },
+  { name: 'tva', label: 'TVA number' }
+];
+
+/**
+ * CompanyIdentitySettings - Legal identity printed on invoices and notes.
+ * Invoices cannot be issued until ICE, IF and RC are set.
+ */
+const CompanyIdentitySettings = ({ currentUser }) => {
+  const [identity, setIdentity] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = currentUser && (currentUser.role === 'owner' || currentUser.role === 'admin');
+
+  const loadIdentity = async () => {
+    try {
+      setIdentity(await AppSettingsService.getCompanyIdentity());
+    } catch (error) {
+      console.error('Error loading company identity:', error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadIdentity();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await AppSettingsService.saveCompanyIdentity(identity);
+      toast.success('Company identity saved');
+    } catch (error) {
+      console.error('Error saving company identity:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!identity) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <div className="flex items-center justify-center py-8">
+          <RefreshCw className="h-6 w-6 animate-spin text-gray-400" />
+          <span className="ml-2 text-gray-600">Loading company identity...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 mt-6">
+      <h2 className="text-xl font-bold text-gray-900">Company Identity</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Printed on every invoice, credit note and debit note. Documents already issued keep the details they were issued with.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {FIELDS.map(field => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+            <input
+              type="text"
+              value={identity[field.name]}
+              onChange={(e) => setIdentity(prev => ({ ...prev, [field.name]: e.target.value }))}
+              placeholder={field.placeholder}
+              disabled={!canEdit}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+          </div>
+        ))}
+      </div>
+      {canEdit && (
+        <div className="mt-4 flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" /> {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default CompanyIdentitySettings;
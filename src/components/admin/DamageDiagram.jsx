@@ -0,0 +1,64 @@
+import React from 'react';
+
+const PANEL_COLORS = {
+  clean: { fill: '#f3f4f6', stroke: '#9ca3af' },
+  damaged: { fill: '#fde68a', stroke: '#d97706' },
+  new: { fill: '#fca5a5', stroke: '#dc2626' },
+  selected: { fill: '#bfdbfe', stroke: '#2563eb' }
+};
+
+/**
+ * DamageDiagram - Top view of the vehicle split into panels (from the
+ * model's inspection template). Panels with damage are shaded; damage
+ * flagged as new at check-in is red. Tapping a panel selects it.
+ */
+const DamageDiagram = ({ panels, damages = [], selectedPanelId = null, onPanelClick, className = '' }) => {
+  const panelState = (panelId) => {
+    if (panelId === selectedPanelId) return 'selected';
+    const panelDamages = damages.filter(d => d.panel_id === panelId);
+    if (panelDamages.some(d => d.is_new)) return 'new';
+    return panelDamages.length > 0 ? 'damaged' : 'clean';
+  };
+
+  return (
+    <svg viewBox="-2 -2 104 164" className={`w-full max-w-xs mx-auto select-none ${className}`}>
+      {panels.map(panel => {
+        const colors = PANEL_COLORS[panelState(panel.id)];
+        const count = damages.filter(d => d.panel_id === panel.id).length;
+        return (
+          <g
+            key={panel.id}
+            onClick={() => onPanelClick?.(panel)}
+            className={onPanelClick ? 'cursor-pointer' : ''}
+          >
+            <title>{panel.label}</title>
+            <rect
+              x={panel.x}
+              y={panel.y}
+              width={panel.w}
+              height={panel.h}
+              rx="2"
+              fill={colors.fill}
+              stroke={colors.stroke}
+              strokeWidth="0.6"
+            />
+            {count > 0 && (
+              <text
+                x={panel.x + panel.w / 2}
+                y={panel.y + panel.h / 2 + 2}
+                textAnchor="middle"
+                fontSize="6"
+                fontWeight="bold"
+                fill={colors.stroke}
+              >
+                {count}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default DamageDiagram;
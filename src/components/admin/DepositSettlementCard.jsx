@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, FileText, FileSignature } from 'lucide-react';
+import DepositService from '../../services/DepositService';
+import DepositSettlementModal from './DepositSettlementModal';
+
+const formatMAD = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * DepositSettlementCard - Damage deposit status on the rental page: the
+ * signed settlement with its deductions, or the button to settle it
+ */
+const DepositSettlementCard = ({ rental, balanceDue, onSettled }) => {
+  const [settlement, setSettlement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+
+  useEffect(() => {
+    if (!rental?.id) return;
+
+    const loadSettlement = async () => {
+      try {
+        setLoading(true);
+        setSettlement(await DepositService.getSettlement(rental.id));
+      } catch (error) {
+        console.error('❌ Error loading deposit settlement:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettlement();
+  }, [rental?.id, rental?.deposit_returned_at]);
+
+  const handleSettled = async (signed) => {
+    setSettlement(await DepositService.getSettlement(signed.rental_id));
+    onSettled?.();
+  };
+
+  if (loading) {
+    return <div className="mt-4 p-4 border-t border-gray-200 text-sm text-gray-500">Loading deposit...</div>;
+  }
+
+  return (
+    <div className="mt-4 p-4 border-t border-gray-200">
+      <h4 className="text-lg font-semibold mb-3 text-gray-800">💰 Damage Deposit</h4>
+
+      {settlement ? (
+        <div className="bg-green-50 border border-green-200 p-3 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2 text-green-700">
+              <CheckCircle className="w-5 h-5" />
+              <span className="font-semibold">Settled {new Date(settlement.signed_at).toLocaleString()}</span>
+            </div>
+            {settlement.document_url && (
+              <a
+                href={settlement.document_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center text-sm text-blue-600 hover:underline"
+              >
+                <FileText className="w-4 h-4 mr-1" /> Settlement PDF
+              </a>
+            )}
+          </div>
+
+          {settlement.deductions.length > 0 && (
+            <div className="space-y-2">
+              {settlement.deductions.map(d => (
+                <div key={d.id} className="bg-white rounded p-2 border border-green-100">
+                  <div className="flex justify-between text-sm">
+                    <span>
+                      <span className="font-medium">{DepositService.CATEGORIES[d.category]?.label || d.category}:</span> {d.description}
+                    </span>
+                    <span className="font-semibold text-red-600">-{formatMAD(d.amount)}</span>
+                  </div>
+                  {d.photo_urls?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {d.photo_urls.map(url => (
+                        <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                          <img src={url} alt="Deduction evidence" className="w-14 h-14 object-cover rounded border border-gray-200" />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="text-sm space-y-1">
+            <div className="flex justify-between"><span>Deposit</span><span>{formatMAD(settlement.deposit_amount)}</span></div>
+            <div className="flex justify-between font-bold">
+              <span>Returned</span><span className="text-green-700">{formatMAD(settlement.refund_amount)}</span>
+            </div>
+            {settlement.customer_owes > 0 && (
+              <div className="flex justify-between font-semibold text-red-700">
+                <span>Still owed</span><span>{formatMAD(settlement.customer_owes)}</span>
+              </div>
+            )}
+          </div>
+
+          {settlement.signature_url && (
+            <img
+              src={settlement.signature_url}
+              alt="Deposit settlement signature"
+              className="border border-gray-300 rounded max-w-xs h-20 object-contain bg-white"
+            />
+          )}
+        </div>
+      ) : rental.deposit_returned_at ? (
+        // Returned before itemised settlements existed
+        <div className="bg-green-50 border border-green-200 p-3 rounded-lg text-sm text-gray-700 space-y-1">
+          <p className="font-semibold text-green-700">Deposit Returned</p>
+          <p><strong>Amount:</strong> {formatMAD(rental.deposit_return_amount)}</p>
+          <p><strong>Date:</strong> {new Date(rental.deposit_returned_at).toLocaleString()}</p>
+          {rental.deposit_deduction_amount > 0 && (
+            <p className="text-red-600"><strong>Deducted:</strong> {formatMAD(rental.deposit_deduction_amount)} ({rental.deposit_deduction_reason || 'Unpaid balance'})</p>
+          )}
+          {rental.deposit_return_signature_url && (
+            <img
+              src={rental.deposit_return_signature_url}
+              alt="Deposit Return Signature"
+              className="border border-gray-300 rounded max-w-xs h-24 object-contain bg-white"
+            />
+          )}
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="bg-blue-50 p-3 rounded-lg text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-700">Deposit held:</span>
+              <span className="font-semibold">{formatMAD(rental.damage_deposit)}</span>
+            </div>
+            {balanceDue > 0 && (
+              <div className="flex justify-between text-red-600">
+                <span>Unpaid rental balance:</span>
+                <span className="font-semibold">{formatMAD(balanceDue)}</span>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={() => setShowModal(true)}
+            className="w-full bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <FileSignature className="w-5 h-5" />
+            Settle Deposit
+          </button>
+        </div>
+      )}
+
+      <DepositSettlementModal
+        isOpen={showModal}
+        rental={rental}
+        balanceDue={balanceDue}
+        onClose={() => setShowModal(false)}
+        onSettled={handleSettled}
+      />
+    </div>
+  );
+};
+
+export default DepositSettlementCard;
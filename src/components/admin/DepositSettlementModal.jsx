@@ -0,0 +1,500 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, Camera, Wrench, Fuel, FileSignature, ArrowLeft, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import html2canvas from 'html2canvas';
+import jsPDF from 'jspdf';
+import SignaturePad from '../SignaturePad';
+import DepositService from '../../services/DepositService';
+import { useStepUp } from '../../contexts/StepUpContext';
+
+const formatMAD = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+const newDeduction = (fields) => ({
+  key: `${Date.now()}-${Math.random()}`,
+  category: 'other',
+  description: '',
+  item_id: null,
+  quantity: 1,
+  unit_amount: 0,
+  amount: 0,
+  photo_urls: [],
+  metadata: {},
+  ...fields
+});
+
+/**
+ * DepositSettlementModal - Itemise deposit deductions, then have the
+ * customer sign the settlement document
+ *
+ * The document is rendered with the signature, saved as PDF and stored
+ * with the settlement.
+ */
+const DepositSettlementModal = ({ isOpen, rental, balanceDue, onClose, onSettled }) => {
+  const { requestStepUp } = useStepUp();
+  const [step, setStep] = useState('deductions');
+  const [deductions, setDeductions] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [parts, setParts] = useState([]);
+  const [selectedPartId, setSelectedPartId] = useState('');
+  const [fuelPrice, setFuelPrice] = useState(0);
+  const [uploadingKey, setUploadingKey] = useState(null);
+  const [signatureDataUrl, setSignatureDataUrl] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const documentRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen || !rental) return;
+
+    setStep('deductions');
+    setNotes('');
+    setSignatureDataUrl(null);
+    setSelectedPartId('');
+
+    const loadSources = async () => {
+      setLoading(true);
+      try {
+        const [suggestions, catalog, pricePerLiter] = await Promise.all([
+          DepositService.getSuggestedDeductions(rental, balanceDue),
+          DepositService.getPartsCatalog(),
+          DepositService.getFuelPricePerLiter()
+        ]);
+        setDeductions(suggestions.map(newDeduction));
+        setParts(catalog);
+        setFuelPrice(pricePerLiter);
+      } catch (error) {
+        console.error('❌ Error loading deposit deductions:', error);
+        toast.error(error.message);
+        setDeductions([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSources();
+  }, [isOpen, rental?.id]);
+
+  if (!isOpen || !rental) return null;
+
+  const totals = DepositService.calculateTotals(rental.damage_deposit, deductions);
+
+  const updateDeduction = (key, changes) => {
+    setDeductions(prev => prev.map(d => {
+      if (d.key !== key) return d;
+      const next = { ...d, ...changes };
+      // Priced lines keep amount = quantity × unit price
+      if (('quantity' in changes || 'unit_amount' in changes) && !DepositService.CATEGORIES[next.category].appliesToBalance) {
+        next.amount = Math.round((parseFloat(next.quantity) || 0) * (parseFloat(next.unit_amount) || 0) * 100) / 100;
+      }
+      return next;
+    }));
+  };
+
+  const removeDeduction = (key) => {
+    setDeductions(prev => prev.filter(d => d.key !== key));
+  };
+
+  const addPart = () => {
+    const part = parts.find(p => String(p.id) === selectedPartId);
+    if (!part) return;
+    setDeductions(prev => [...prev, newDeduction({
+      category: 'damage',
+      description: part.name,
+      item_id: part.id,
+      unit_amount: part.unit_amount,
+      amount: part.unit_amount,
+      metadata: { sku: part.sku || null }
+    })]);
+    setSelectedPartId('');
+  };
+
+  const addFuelShortfall = () => {
+    setDeductions(prev => [...prev, newDeduction({
+      category: 'fuel',
+      description: 'Fuel shortfall (liters)',
+      quantity: 1,
+      unit_amount: fuelPrice,
+      amount: fuelPrice
+    })]);
+  };
+
+  const handlePhotos = async (key, files) => {
+    if (!files?.length) return;
+    setUploadingKey(key);
+    try {
+      const urls = await Promise.all([...files].map(file => DepositService.uploadPhoto(rental.id, file)));
+      setDeductions(prev => prev.map(d => (d.key === key ? { ...d, photo_urls: [...d.photo_urls, ...urls] } : d)));
+    } catch (error) {
+      console.error('❌ Error uploading deduction photo:', error);
+      toast.error(error.message);
+    } finally {
+      setUploadingKey(null);
+    }
+  };
+
+  const goToSignature = () => {
+    const incomplete = deductions.find(d => !d.description.trim() || !(parseFloat(d.amount) > 0));
+    if (incomplete) {
+      toast.error('Each deduction needs a description and an amount');
+      return;
+    }
+    setStep('sign');
+  };
+
+  const renderDocumentPdf = async () => {
+    const canvas = await html2canvas(documentRef.current, { scale: 2, useCORS: true, logging: false, backgroundColor: '#ffffff' });
+    const imgWidth = 210;
+    const pageHeight = 297;
+    const imgHeight = (canvas.height * imgWidth) / canvas.width;
+    const imgData = canvas.toDataURL('image/png');
+    const pdf = new jsPDF('p', 'mm', 'a4');
+
+    let heightLeft = imgHeight;
+    let position = 0;
+    pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+    heightLeft -= pageHeight;
+    while (heightLeft > 0) {
+      position = heightLeft - imgHeight;
+      pdf.addPage();
+      pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+      heightLeft -= pageHeight;
+    }
+    return pdf.output('blob');
+  };
+
+  const handleConfirm = async () => {
+    if (!signatureDataUrl) {
+      toast.error('The customer must sign first');
+      return;
+    }
+
+    if (!(await requestStepUp({
+      action: 'release_deposit',
+      targetIds: [rental.id],
+      description: `Release the deposit of rental ${rental.rental_id || rental.id}`
+    }))) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const signatureUrl = await DepositService.uploadSignature(rental.id, signatureDataUrl);
+
+      let documentUrl = null;
+      try {
+        documentUrl = await DepositService.uploadDocument(rental, await renderDocumentPdf());
+      } catch (error) {
+        console.warn('⚠️ Settlement PDF could not be stored:', error.message);
+        toast.error('Settlement saved without PDF copy');
+      }
+
+      const settlement = await DepositService.signSettlement({
+        rentalId: rental.id,
+        deductions,
+        signatureUrl,
+        documentUrl,
+        notes: notes.trim() || null
+      });
+
+      toast.success(`Deposit settled: ${formatMAD(settlement.refund_amount)} returned`);
+      onSettled?.(settlement);
+      onClose();
+    } catch (error) {
+      console.error('❌ Error signing deposit settlement:', error);
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderDeductionRow = (d) => {
+    const category = DepositService.CATEGORIES[d.category];
+    return (
+      <div key={d.key} className="border border-gray-200 rounded-lg p-3 space-y-2">
+        <div className="grid grid-cols-12 gap-2 items-center">
+          <select
+            value={d.category}
+            onChange={(e) => updateDeduction(d.key, { category: e.target.value })}
+            className="col-span-12 sm:col-span-3 px-2 py-1.5 border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(DepositService.CATEGORIES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={d.description}
+            placeholder="Description"
+            onChange={(e) => updateDeduction(d.key, { description: e.target.value })}
+            className="col-span-12 sm:col-span-4 px-2 py-1.5 border border-gray-300 rounded text-sm"
+          />
+          {category.appliesToBalance ? (
+            <div className="col-span-8 sm:col-span-3 text-xs text-gray-500">Settles rental balance</div>
+          ) : (
+            <>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={d.quantity}
+                title="Quantity"
+                onChange={(e) => updateDeduction(d.key, { quantity: e.target.value })}
+                className="col-span-4 sm:col-span-1 px-2 py-1.5 border border-gray-300 rounded text-sm"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={d.unit_amount}
+                title="Unit price (MAD)"
+                onChange={(e) => updateDeduction(d.key, { unit_amount: e.target.value })}
+                className="col-span-4 sm:col-span-2 px-2 py-1.5 border border-gray-300 rounded text-sm"
+              />
+            </>
+          )}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={d.amount}
+            title="Amount (MAD)"
+            onChange={(e) => updateDeduction(d.key, { amount: e.target.value })}
+            className="col-span-3 sm:col-span-1 px-2 py-1.5 border border-gray-300 rounded text-sm font-medium"
+          />
+          <button
+            onClick={() => removeDeduction(d.key)}
+            className="col-span-1 p-1 text-gray-400 hover:text-red-600"
+            title="Remove"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {d.photo_urls.map(url => (
+            <div key={url} className="relative">
+              <img src={url} alt="Deduction evidence" className="w-16 h-16 object-cover rounded border border-gray-200" />
+              <button
+                onClick={() => updateDeduction(d.key, { photo_urls: d.photo_urls.filter(u => u !== url) })}
+                className="absolute -top-1 -right-1 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          <label className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 border border-dashed border-gray-300 rounded cursor-pointer hover:bg-gray-50">
+            {uploadingKey === d.key ? <Loader2 className="w-3 h-3 animate-spin" /> : <Camera className="w-3 h-3" />}
+            Add photos
+            <input
+              type="file"
+              accept="image/*"
+              capture="environment"
+              multiple
+              className="hidden"
+              disabled={uploadingKey === d.key}
+              onChange={(e) => handlePhotos(d.key, e.target.files)}
+            />
+          </label>
+        </div>
+      </div>
+    );
+  };
+
+  const renderDocument = () => (
+    <div ref={documentRef} className="bg-white p-6 text-sm text-gray-800">
+      <h2 className="text-xl font-bold text-center mb-1">Damage Deposit Settlement</h2>
+      <p className="text-center text-gray-500 mb-4">{new Date().toLocaleString()}</p>
+
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        <p><strong>Rental:</strong> {rental.rental_id || rental.id}</p>
+        <p><strong>Customer:</strong> {rental.customer_name}</p>
+        <p><strong>Vehicle:</strong> {rental.vehicle?.name} {rental.vehicle?.plate_number ? `(${rental.vehicle.plate_number})` : ''}</p>
+        <p><strong>Period:</strong> {rental.rental_start_date?.slice(0, 10)} – {rental.rental_end_date?.slice(0, 10)}</p>
+      </div>
+
+      <table className="w-full border-collapse mb-4">
+        <thead>
+          <tr className="border-b border-gray-300 text-left">
+            <th className="py-1">Deduction</th>
+            <th className="py-1">Details</th>
+            <th className="py-1 text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deductions.length === 0 ? (
+            <tr><td colSpan={3} className="py-2 text-gray-500">No deductions</td></tr>
+          ) : deductions.map(d => (
+            <tr key={d.key} className="border-b border-gray-100 align-top">
+              <td className="py-1">{DepositService.CATEGORIES[d.category].label}</td>
+              <td className="py-1">
+                {d.description}
+                {!DepositService.CATEGORIES[d.category].appliesToBalance && parseFloat(d.quantity) !== 1 && (
+                  <span className="text-gray-500"> ({d.quantity} × {formatMAD(d.unit_amount)})</span>
+                )}
+                {d.photo_urls.length > 0 && (
+                  <div className="flex gap-1 mt-1">
+                    {d.photo_urls.map(url => (
+                      <img key={url} src={url} alt="" crossOrigin="anonymous" className="w-12 h-12 object-cover rounded" />
+                    ))}
+                  </div>
+                )}
+              </td>
+              <td className="py-1 text-right">{formatMAD(d.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="ml-auto w-72 space-y-1">
+        <div className="flex justify-between"><span>Damage deposit</span><span>{formatMAD(totals.depositAmount)}</span></div>
+        {totals.balanceApplied > 0 && (
+          <div className="flex justify-between"><span>Applied to rental balance</span><span>-{formatMAD(totals.balanceApplied)}</span></div>
+        )}
+        {totals.chargesKept > 0 && (
+          <div className="flex justify-between"><span>Kept for charges</span><span>-{formatMAD(totals.chargesKept)}</span></div>
+        )}
+        <div className="flex justify-between font-bold border-t border-gray-300 pt-1">
+          <span>Returned to customer</span><span>{formatMAD(totals.refundAmount)}</span>
+        </div>
+        {totals.customerOwes > 0 && (
+          <div className="flex justify-between font-bold text-red-700">
+            <span>Still owed by customer</span><span>{formatMAD(totals.customerOwes)}</span>
+          </div>
+        )}
+      </div>
+
+      {notes.trim() && <p className="mt-4"><strong>Notes:</strong> {notes}</p>}
+
+      <p className="mt-6">
+        I, {rental.customer_name}, agree with the deductions above and confirm receipt of {formatMAD(totals.refundAmount)} as
+        the return of my damage deposit.
+      </p>
+      <div className="mt-4 h-24">
+        {signatureDataUrl && <img src={signatureDataUrl} alt="Customer signature" className="h-24 object-contain" />}
+      </div>
+      <p className="border-t border-gray-400 w-64 pt-1 text-gray-500">Customer signature</p>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {step === 'deductions' ? 'Settle Damage Deposit' : 'Customer Signature'}
+          </h3>
+          <button onClick={onClose} disabled={submitting} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {step === 'deductions' ? (
+            loading ? (
+              <div className="py-12 text-center text-gray-500">Loading...</div>
+            ) : (
+              <>
+                <div className="space-y-3">
+                  {deductions.length === 0 && (
+                    <p className="text-sm text-gray-500">No deductions: the full deposit will be returned.</p>
+                  )}
+                  {deductions.map(renderDeductionRow)}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={selectedPartId}
+                    onChange={(e) => setSelectedPartId(e.target.value)}
+                    className="px-2 py-1.5 border border-gray-300 rounded text-sm max-w-xs"
+                  >
+                    <option value="">Damaged part from catalog...</option>
+                    {parts.map(part => (
+                      <option key={part.id} value={part.id}>{part.name} – {formatMAD(part.unit_amount)}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={addPart}
+                    disabled={!selectedPartId}
+                    className="flex items-center px-3 py-1.5 text-sm bg-orange-100 text-orange-800 rounded hover:bg-orange-200 disabled:opacity-50"
+                  >
+                    <Wrench className="w-4 h-4 mr-1" /> Add damage
+                  </button>
+                  <button
+                    onClick={addFuelShortfall}
+                    className="flex items-center px-3 py-1.5 text-sm bg-purple-100 text-purple-800 rounded hover:bg-purple-200"
+                  >
+                    <Fuel className="w-4 h-4 mr-1" /> Fuel shortfall
+                  </button>
+                  <button
+                    onClick={() => setDeductions(prev => [...prev, newDeduction()])}
+                    className="flex items-center px-3 py-1.5 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200"
+                  >
+                    <Plus className="w-4 h-4 mr-1" /> Other
+                  </button>
+                </div>
+
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Notes (optional)"
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm space-y-1">
+                  <div className="flex justify-between"><span>Damage deposit</span><span>{formatMAD(totals.depositAmount)}</span></div>
+                  <div className="flex justify-between text-red-600"><span>Deductions</span><span>-{formatMAD(totals.deductionsTotal)}</span></div>
+                  <div className="flex justify-between font-bold border-t border-blue-200 pt-1">
+                    <span>To return</span><span className="text-green-700">{formatMAD(totals.refundAmount)}</span>
+                  </div>
+                  {totals.customerOwes > 0 && (
+                    <div className="flex justify-between font-semibold text-red-700">
+                      <span>Still owed by customer</span><span>{formatMAD(totals.customerOwes)}</span>
+                    </div>
+                  )}
+                </div>
+              </>
+            )
+          ) : (
+            <>
+              <div className="border border-gray-200 rounded-lg">{renderDocument()}</div>
+              <SignaturePad onSave={setSignatureDataUrl} onClear={() => setSignatureDataUrl(null)} />
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-between px-6 py-4 border-t border-gray-200">
+          {step === 'sign' ? (
+            <button
+              onClick={() => setStep('deductions')}
+              disabled={submitting}
+              className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" /> Back
+            </button>
+          ) : <span />}
+          {step === 'deductions' ? (
+            <button
+              onClick={goToSignature}
+              disabled={loading || uploadingKey !== null}
+              className="flex items-center px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <FileSignature className="w-4 h-4 mr-1" /> Review & sign
+            </button>
+          ) : (
+            <button
+              onClick={handleConfirm}
+              disabled={submitting || !signatureDataUrl}
+              className="flex items-center px-4 py-2 text-sm text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              Confirm settlement
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DepositSettlementModal;
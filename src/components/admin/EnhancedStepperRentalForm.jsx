@@ -5,7 +5,7 @@ import {
   Calculator, Info, Phone, Mail, Calendar, MapPin, FileText,
   Upload, Shield, CheckCircle, XCircle, CalendarDays, Car as CarIcon,
   Users, BadgeCheck, FileImage, DownloadCloud, Plus, Minus,
-  ChevronDown, ChevronUp, Eye, Edit2, Trash2, Save
+  ChevronDown, ChevronUp, Eye, Edit2, Trash2, Save, Tag
 } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
 import { useNavigate } from 'react-router-dom';
@@ -13,8 +13,12 @@ import EnhancedUnifiedIDScanModal from '../customers/EnhancedUnifiedIDScanModal'
 import TransactionalRentalService from '../../services/TransactionalRentalService';
 import VehicleModelService from '../../services/VehicleModelService';
 import AppSettingsService from '../../services/AppSettingsService';
+import RentalQuoteService from '../../services/RentalQuoteService';
+import PromoCodeService from '../../services/PromoCodeService';
+import PaymentLedgerService, { PAYMENT_TENDERS, COLLECTABLE_TENDERS } from '../../services/PaymentLedgerService';
 import enhancedUnifiedCustomerService from '../../services/EnhancedUnifiedCustomerService';
 import { useAuth } from '../../contexts/AuthContext';
+import { useStepUp } from '../../contexts/StepUpContext';
 import { 
   getMoroccoTodayString, 
   getMoroccoDateOffset, 
@@ -28,6 +32,7 @@ import { toast } from 'sonner';
 // ==================== CUSTOM HOOK - ALL BUSINESS LOGIC ====================
 const useRentalWizard = (initialData = null, mode = 'create') => {
   const { userProfile } = useAuth();
+  const { requestStepUp } = useStepUp();
   const navigate = useNavigate();
   
   // Core form state
@@ -66,6 +71,7 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     quantity_days: 0,
     unit_price: 0,
     transport_fee: 0,
+    promo_code: '',
     total_amount: 0,
     deposit_amount: 0,
     damage_deposit: 0,
@@ -103,6 +109,9 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
   const [transportFees, setTransportFees] = useState({ pickup_fee: 0, dropoff_fee: 0 });
   const [availabilityStatus, setAvailabilityStatus] = useState('unknown');
   const [autoCalculatedPrice, setAutoCalculatedPrice] = useState(0);
+  // Engine quote at the listed price, and the one actually applied (differs when the unit price is overridden)
+  const [autoQuote, setAutoQuote] = useState(null);
+  const [quote, setQuote] = useState(null);
   
   // NEW: Damage Deposit States
   const [damageDepositConfig, setDamageDepositConfig] = useState({
@@ -111,6 +120,9 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
   });
   const [selectedDepositTab, setSelectedDepositTab] = useState(null);
   const [customDepositAmount, setCustomDepositAmount] = useState('');
+
+  // Tender of the deposit taken with a new booking; later payments go through the rental's payments
+  const [depositTender, setDepositTender] = useState('cash');
   
   // Customer Data
   const [customers, setCustomers] = useState([]);
@@ -124,6 +136,8 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
   const isProgrammaticChange = useRef(false);
   const customerSearchRef = useRef(null);
   const isProcessing = useRef(false);
+  const unitPriceRequest = useRef(0);
+  const quoteRequest = useRef(0);
 
   // ==================== NEW: LOAD DAMAGE DEPOSIT CONFIG ====================
   const loadDamageDepositConfig = async () => {
@@ -326,40 +340,84 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     return isNaN(localDate.getTime()) ? null : localDate;
   };
 
-  const getDirectPricing = (vehicleId, rentalType) => {
-    const pricingMap = {
-      '1': { hourly: 400, daily: 1500 },
-      '2': { hourly: 400, daily: 1500 },
-      '3': { hourly: 600, daily: 1800 },
-      '4': { hourly: 600, daily: 1800 },
-      '5': { hourly: 1000, daily: 3800 },
-      '6': { hourly: 1000, daily: 3800 },
-      '7': { hourly: 400, daily: 1500 },
-      '8': { hourly: 600, daily: 1800 },
-      '9': { hourly: 400, daily: 1500 },
-      '10': { hourly: 600, daily: 1800 },
-      '11': { hourly: 1000, daily: 3800 },
-      '12': { hourly: 1000, daily: 3800 },
-      '13': { hourly: 400, daily: 1500 },
-      '14': { hourly: 600, daily: 1800 },
-      '15': { hourly: 1000, daily: 3800 },
-      '23': { hourly: 400, daily: 1500 }
-    };
+  const getRentalPeriod = () => {
+    const startAt = composeDateTime(formData.rental_start_date, formData.rental_start_time);
+    let endAt = composeDateTime(formData.rental_end_date, formData.rental_end_time);
+    if (!startAt || !endAt) return null;
 
-    const vehiclePricing = pricingMap[vehicleId.toString()];
-    if (!vehiclePricing) {
-      return rentalType === 'hourly' ? 400 : 1500;
+    // Overnight hourly rentals end the next day
+    if (formData.rental_type === 'hourly' && startAt >= endAt) {
+      endAt = new Date(endAt);
+      endAt.setDate(endAt.getDate() + 1);
     }
+    return startAt < endAt ? { startAt, endAt } : null;
+  };
 
-    return vehiclePricing[rentalType] || 0;
+  const getSelectedVehicleModelId = () => {
+    const vehicle = availableVehicles.find(v => v.id == formData.vehicle_id);
+    return vehicle?.vehicle_model_id || null;
   };
 
-  const autoPopulateUnitPrice = () => {
+  const autoPopulateUnitPrice = async () => {
     if (!formData.vehicle_id || !formData.rental_type) return;
-    
-    const unitPrice = getDirectPricing(formData.vehicle_id, formData.rental_type);
-    setAutoCalculatedPrice(unitPrice);
-    setFormData(prev => ({ ...prev, unit_price: unitPrice }));
+
+    const request = ++unitPriceRequest.current;
+    try {
+      const unitPrice = await RentalQuoteService.getUnitPrice(
+        getSelectedVehicleModelId(),
+        formData.rental_type,
+        formData.vehicle_id
+      );
+      if (request !== unitPriceRequest.current) return;
+
+      setAutoCalculatedPrice(unitPrice);
+      setFormData(prev => ({ ...prev, unit_price: unitPrice }));
+    } catch (err) {
+      console.error('Error loading unit price:', err);
+    }
+  };
+
+  const refreshQuote = async () => {
+    const period = getRentalPeriod();
+    if (!formData.vehicle_id || !formData.rental_type || !period) {
+      setQuote(null);
+      setAutoQuote(null);
+      return;
+    }
+
+    const request = ++quoteRequest.current;
+    const params = {
+      vehicleModelId: getSelectedVehicleModelId(),
+      vehicleId: formData.vehicle_id,
+      rentalType: formData.rental_type,
+      startAt: period.startAt,
+      endAt: period.endAt,
+      pickupTransport: formData.pickup_transport,
+      dropoffTransport: formData.dropoff_transport,
+      promoCode: formData.promo_code,
+      channel: 'staff',
+      customer: { email: formData.customer_email, phone: formData.customer_phone },
+      rentalId: mode === 'edit' ? initialData?.id : null
+    };
+    const unitPrice = parseFloat(formData.unit_price);
+    const isOverride = !isNaN(unitPrice) && unitPrice !== (parseFloat(autoCalculatedPrice) || 0);
+
+    try {
+      const [listed, applied] = await Promise.all([
+        RentalQuoteService.getQuote(params),
+        isOverride ? RentalQuoteService.getQuote({ ...params, unitPrice }) : null
+      ]);
+      if (request !== quoteRequest.current) return;
+
+      setAutoQuote(listed);
+      setQuote(applied || listed);
+    } catch (err) {
+      console.error('Error quoting rental:', err);
+      if (request === quoteRequest.current) {
+        setQuote(null);
+        setAutoQuote(null);
+      }
+    }
   };
 
   const calculateTransportFee = () => {
@@ -372,7 +430,7 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
 
   const calculateFinancials = () => {
     const subtotal = (formData.quantity_days || 0) * (formData.unit_price || 0);
-    const total = subtotal + (formData.transport_fee || 0);
+    const total = quote ? quote.total : subtotal + (formData.transport_fee || 0);
     const remaining = total - (formData.deposit_amount || 0);
 
     setFormData(prev => ({
@@ -1038,6 +1096,10 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
         throw new Error('Please fill in all required fields');
       }
 
+      if (submissionReadyFormData.promo_code && quote?.promoError) {
+        throw new Error(quote.promoError);
+      }
+
       if (typeof submissionReadyFormData.vehicle_id !== 'number') {
         const numericId = Number(submissionReadyFormData.vehicle_id);
         if (isNaN(numericId) || numericId <= 0) {
@@ -1093,11 +1155,11 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
         quantity_days: Number(submissionReadyFormData.quantity_days) || 0,
         unit_price: Number(submissionReadyFormData.unit_price) || 0,
         transport_fee: Number(submissionReadyFormData.transport_fee) || 0,
+        promo_code: quote?.promoCode || null,
         total_amount: Number(submissionReadyFormData.total_amount) || 0,
         deposit_amount: Number(submissionReadyFormData.deposit_amount) || 0,
         damage_deposit: Number(submissionReadyFormData.damage_deposit) || 0,
         damage_deposit_source: submissionReadyFormData.damage_deposit_source || null,
-        remaining_amount: Number(submissionReadyFormData.remaining_amount) || 0,
         rental_status: submissionReadyFormData.rental_status || 'scheduled',
         payment_status: submissionReadyFormData.payment_status || 'unpaid',
         rental_start_at: composeDateTime(submissionReadyFormData.rental_start_date, submissionReadyFormData.rental_start_time)?.toISOString(),
@@ -1138,35 +1200,55 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
         if (isStaff) {
           console.log('🛡️ GATEKEEPER: Staff price override detected! Setting pending approval status...');
           
-          const originalSubtotal = (submissionData.quantity_days || 0) * autoPrice;
-          const originalTotal = originalSubtotal + (submissionData.transport_fee || 0);
-          
           submissionData.approval_status = 'pending';
           submissionData.pending_total_request = submissionData.total_amount;
-          submissionData.total_amount = originalTotal;
-          submissionData.remaining_amount = originalTotal - (submissionData.deposit_amount || 0);
+          // Charged at the listed quote, which record_rental_quote sets below
+          delete submissionData.total_amount;
           
           console.log('🛡️ GATEKEEPER: Approval data set for staff:', {
             approval_status: 'pending',
             pending_total_request: submissionData.pending_total_request,
-            original_total_amount: originalTotal,
+            original_total_amount: autoQuote?.total,
             manual_unit_price: manualPrice,
             auto_unit_price: autoPrice
           });
 
         } else if (isAdminOrOwner) {
           console.log('🛡️ GATEKEEPER: Admin/Owner price override - auto-approved');
+          const isEdit = mode === 'edit' && initialData?.id;
+          if (!isEdit || Math.abs(Number(initialData.total_amount) - Number(submissionData.total_amount)) > 0.005) {
+            // A new rental takes its id from here so the grant covers only that rental
+            if (!isEdit) {
+              submissionData.id = crypto.randomUUID();
+            }
+            if (!(await requestStepUp({
+              action: 'price_override',
+              targetIds: [isEdit ? initialData.id : submissionData.id],
+              description: `Override the price: ${manualPrice} MAD per unit instead of ${autoPrice} MAD`
+            }))) {
+              return;
+            }
+            submissionData.price_overridden_at = new Date().toISOString();
+          }
           submissionData.approval_status = 'approved';
           submissionData.pending_total_request = null;
         } else {
           console.log('🛡️ GATEKEEPER: Unknown user role with price override - requiring approval');
           submissionData.approval_status = 'pending';
           submissionData.pending_total_request = submissionData.total_amount;
+          delete submissionData.total_amount;
         }
       } else {
         console.log('🛡️ GATEKEEPER: No price override detected - auto approving');
         submissionData.approval_status = 'auto';
         submissionData.pending_total_request = null;
+        // The listed quote sets the total through record_rental_quote below
+        delete submissionData.total_amount;
+      }
+
+      const quoteLocked = mode === 'edit' && initialData?.signature_url && initialData?.quote_snapshot_id;
+      if (!('total_amount' in submissionData) && !quoteLocked && !autoQuote) {
+        throw new Error('The price could not be quoted. Check the dates and vehicle, then try again.');
       }
 
       let result;
@@ -1182,6 +1264,44 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
       if (result && result.success) {
         setSuccessfullySubmitted(true);
         setErrors({});
+
+        // Until an override is approved the rental is charged at the listed quote
+        const chargedQuote = submissionData.approval_status === 'pending' ? autoQuote : quote;
+        if (chargedQuote && !quoteLocked) {
+          try {
+            await RentalQuoteService.recordSnapshot(result.data.id, chargedQuote);
+          } catch (snapshotError) {
+            console.error('Error saving quote snapshot:', snapshotError);
+            toast.warning('⚠️ Rental saved, but its price could not be set from the quote');
+          }
+        }
+
+        if (chargedQuote?.promoCode && !quoteLocked) {
+          try {
+            await PromoCodeService.redeem({
+              code: chargedQuote.promoCode,
+              rentalId: result.data.id
+            });
+          } catch (promoError) {
+            console.error('Error redeeming promo code:', promoError);
+            toast.warning(`⚠️ Rental saved, but promo code ${chargedQuote.promoCode} was not recorded: ${promoError.message}`);
+          }
+        }
+
+        if (mode !== 'edit' && submissionData.deposit_amount > 0) {
+          try {
+            await PaymentLedgerService.record({
+              rentalId: result.data.id,
+              type: 'payment',
+              tender: depositTender,
+              amount: submissionData.deposit_amount,
+              notes: 'Deposit taken at booking'
+            });
+          } catch (paymentError) {
+            console.error('Error recording deposit:', paymentError);
+            toast.warning(`⚠️ Rental saved, but the deposit was not recorded: ${paymentError.message}`);
+          }
+        }
         
         let successMsg = `✅ Rental successfully ${mode === 'edit' ? 'updated' : 'created'}!`;
         
@@ -1253,6 +1373,7 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
       quantity_days: 0,
       unit_price: 0,
       transport_fee: 0,
+      promo_code: '',
       pickup_transport: false,
       dropoff_transport: false,
       deposit_amount: 0,
@@ -1286,6 +1407,7 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     setSuccessfullySubmitted(false);
     setSelectedDepositTab(null);
     setCustomDepositAmount('');
+    setDepositTender('cash');
   };
 
   // ==================== AUTOMATION HOOKS ====================
@@ -1397,9 +1519,26 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     calculateTransportFee();
   }, [formData.pickup_transport, formData.dropoff_transport, transportFees]);
 
+  useEffect(() => {
+    refreshQuote();
+  }, [
+    formData.vehicle_id,
+    formData.rental_type,
+    formData.rental_start_date,
+    formData.rental_end_date,
+    formData.rental_start_time,
+    formData.rental_end_time,
+    formData.pickup_transport,
+    formData.dropoff_transport,
+    formData.unit_price,
+    formData.promo_code,
+    autoCalculatedPrice,
+    transportFees
+  ]);
+
   useEffect(() => {
     calculateFinancials();
-  }, [formData.quantity_days, formData.unit_price, formData.transport_fee, formData.deposit_amount]);
+  }, [formData.quantity_days, formData.unit_price, formData.transport_fee, formData.deposit_amount, quote]);
 
   useEffect(() => {
     if (isManualStatusChange.current) {
@@ -1476,6 +1615,7 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     transportFees,
     availabilityStatus,
     autoCalculatedPrice,
+    quote,
     customers,
     rentals,
     suggestions,
@@ -1485,6 +1625,8 @@ const useRentalWizard = (initialData = null, mode = 'create') => {
     selectedDepositTab,
     customDepositAmount,
     setCustomDepositAmount,
+    depositTender,
+    setDepositTender,
     
     handleInputChange,
     handleSuggestionClick,
@@ -1699,10 +1841,11 @@ const FileUpload = ({ label, value, onChange, accept = "image/*" }) => {
 };
 
 // ==================== ENHANCED PRICE CALCULATOR WITH EDIT FUNCTIONALITY ====================
-const PriceCalculator = ({ formData, onPriceChange, autoCalculatedPrice, userProfile, disabled }) => {
+const PriceCalculator = ({ formData, quote, onPriceChange, autoCalculatedPrice, userProfile, disabled }) => {
   const [showBreakdown, setShowBreakdown] = useState(false);
   const [isEditingPrice, setIsEditingPrice] = useState(false);
   const [tempUnitPrice, setTempUnitPrice] = useState(formData.unit_price);
+  const [promoInput, setPromoInput] = useState(formData.promo_code || '');
 
   const userRole = userProfile?.role || 'unknown';
   const isStaff = userRole === 'employee' || userRole === 'guide';
@@ -1716,7 +1859,7 @@ const PriceCalculator = ({ formData, onPriceChange, autoCalculatedPrice, userPro
   const calculateBreakdown = () => {
     const rentalCost = (formData.quantity_days || 0) * (formData.unit_price || 0);
     const transportCost = formData.transport_fee || 0;
-    const total = rentalCost + transportCost;
+    const total = quote ? quote.total : rentalCost + transportCost;
     const deposit = formData.deposit_amount || 0;
     const remaining = total - deposit;
 
@@ -1866,18 +2009,82 @@ const PriceCalculator = ({ formData, onPriceChange, autoCalculatedPrice, userPro
           )}
         </div>
 
-        {/* Rental Cost Calculation */}
-        <div className="flex justify-between">
-          <span className="text-gray-600">Rental Cost:</span>
-          <span className="font-medium">
-            {formData.quantity_days} × {formData.unit_price.toFixed(2)} = {breakdown.rentalCost.toFixed(2)} MAD
+        {/* Promo code: checked by the engine, which gives the reason when it is rejected */}
+        <div className="bg-white rounded-lg p-3 border border-gray-200">
+          <span className="text-sm font-medium text-gray-700 flex items-center gap-1 mb-2">
+            <Tag className="w-4 h-4" />
+            Promo Code
           </span>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={promoInput}
+              onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 uppercase"
+              placeholder="Enter code"
+              disabled={disabled}
+            />
+            {formData.promo_code ? (
+              <button
+                type="button"
+                onClick={() => { setPromoInput(''); onPriceChange('promo_code', ''); }}
+                className="px-3 py-2 bg-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-300 transition-colors"
+                disabled={disabled}
+              >
+                Remove
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onPriceChange('promo_code', promoInput.trim())}
+                className="px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                disabled={disabled || !promoInput.trim()}
+              >
+                Apply
+              </button>
+            )}
+          </div>
+          {formData.promo_code && quote?.promoError && (
+            <p className="text-red-500 text-xs mt-1 flex items-center gap-1">
+              <XCircle className="w-3 h-3" />
+              {quote.promoError}
+            </p>
+          )}
+          {formData.promo_code && quote?.promoCode && (
+            <p className="text-green-600 text-xs mt-1 flex items-center gap-1">
+              <CheckCircle className="w-3 h-3" />
+              {quote.promoCode} applied: -{quote.promoDiscount.toFixed(2)} MAD
+            </p>
+          )}
         </div>
-        
-        <div className="flex justify-between">
-          <span className="text-gray-600">Transport:</span>
-          <span className="font-medium">{breakdown.transportCost.toFixed(2)} MAD</span>
-        </div>
+
+        {/* Itemised quote from the pricing engine */}
+        {quote ? (
+          quote.lines.map((line, index) => (
+            <div key={index} className="flex justify-between gap-3 text-sm">
+              <span className="text-gray-600">{line.label}</span>
+              {line.amount !== 0 && (
+                <span className={`font-medium whitespace-nowrap ${line.amount < 0 ? 'text-green-600' : ''}`}>
+                  {line.amount.toFixed(2)} MAD
+                </span>
+              )}
+            </div>
+          ))
+        ) : (
+          <>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Rental Cost:</span>
+              <span className="font-medium">
+                {formData.quantity_days} × {formData.unit_price.toFixed(2)} = {breakdown.rentalCost.toFixed(2)} MAD
+              </span>
+            </div>
+
+            <div className="flex justify-between">
+              <span className="text-gray-600">Transport:</span>
+              <span className="font-medium">{breakdown.transportCost.toFixed(2)} MAD</span>
+            </div>
+          </>
+        )}
         
         <div className="border-t pt-3">
           <div className="flex justify-between text-lg font-bold">
@@ -2037,12 +2244,15 @@ const SimplifiedRentalWizard = ({
     transportFees,
     availabilityStatus,
     autoCalculatedPrice,
+    quote,
     suggestions,
     selectedQuickDuration,
     damageDepositConfig,
     selectedDepositTab,
     customDepositAmount,
     setCustomDepositAmount,
+    depositTender,
+    setDepositTender,
     
     handleInputChange,
     handleSuggestionClick,
@@ -2060,6 +2270,9 @@ const SimplifiedRentalWizard = ({
     customerSearchRef
   } = useRentalWizard(initialData, mode);
 
+  // Money on an existing rental is recorded from its payments, not the form
+  const paymentsLocked = successfullySubmitted || mode === 'edit';
+
   const steps = [
     { number: 1, title: 'Customer', icon: User },
     { number: 2, title: 'Vehicle & Dates', icon: Car },
@@ -2676,7 +2889,7 @@ const SimplifiedRentalWizard = ({
                 </div>
               </div>
 
-              <PriceCalculator formData={formData} onPriceChange={handleInputChange} autoCalculatedPrice={autoCalculatedPrice} userProfile={userProfile} disabled={successfullySubmitted} />
+              <PriceCalculator formData={formData} quote={quote} onPriceChange={handleInputChange} autoCalculatedPrice={autoCalculatedPrice} userProfile={userProfile} disabled={successfullySubmitted} />
 
               <div className="space-y-4">
                 <h3 className="font-semibold text-gray-900">Payment Details</h3>
@@ -2691,12 +2904,12 @@ const SimplifiedRentalWizard = ({
                         key={status}
                         type="button"
                         onClick={() => handlePaymentStatusTabClick(status)}
-                        disabled={successfullySubmitted}
+                        disabled={paymentsLocked}
                         className={`flex-1 px-4 py-2 rounded-lg border-2 font-medium transition-all capitalize ${
                           formData.payment_status === status
                             ? 'border-blue-500 bg-blue-50 text-blue-700 ring-2 ring-blue-200'
                             : 'border-gray-200 bg-white text-gray-700 hover:border-gray-300 hover:bg-gray-50'
-                        } ${successfullySubmitted ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        } ${paymentsLocked ? 'opacity-50 cursor-not-allowed' : ''}`}
                       >
                         {status}
                       </button>
@@ -2704,20 +2917,44 @@ const SimplifiedRentalWizard = ({
                   </div>
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Deposit Amount (MAD)
-                  </label>
-                  <input
-                    type="number"
-                    value={formData.deposit_amount}
-                    onChange={(e) => handleInputChange('deposit_amount', parseFloat(e.target.value) || 0)}
-                    disabled={successfullySubmitted}
-                    className={`w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${successfullySubmitted ? 'opacity-50 cursor-not-allowed' : ''}`}
-                    min="0"
-                    step="0.01"
-                  />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Deposit Amount (MAD)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.deposit_amount}
+                      onChange={(e) => handleInputChange('deposit_amount', parseFloat(e.target.value) || 0)}
+                      disabled={paymentsLocked}
+                      className={`w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${paymentsLocked ? 'opacity-50 cursor-not-allowed' : ''}`}
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                  {mode !== 'edit' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Paid By
+                      </label>
+                      <select
+                        value={depositTender}
+                        onChange={(e) => setDepositTender(e.target.value)}
+                        disabled={paymentsLocked}
+                        className={`w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${paymentsLocked ? 'opacity-50 cursor-not-allowed' : ''}`}
+                      >
+                        {COLLECTABLE_TENDERS.map(tender => (
+                          <option key={tender} value={tender}>{PAYMENT_TENDERS[tender]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
+                {mode === 'edit' && (
+                  <p className="text-xs text-gray-500">
+                    Record payments and refunds from the rental's payments.
+                  </p>
+                )}
 
                 <DamageDepositTabs
                   formData={formData}
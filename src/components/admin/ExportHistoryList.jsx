@@ -62,7 +62,7 @@ const ExportHistoryList = ({
             <Clock className="h-5 w-5" />
             Export History
           </CardTitle>
-          <CardDescription>Manage your previous project exports</CardDescription>
+          <CardDescription>Manage your previous exports</CardDescription>
         </CardHeader>
         <CardContent>
           <div className="flex items-center justify-center py-8">
@@ -85,7 +85,7 @@ const ExportHistoryList = ({
           </Badge>
         </CardTitle>
         <CardDescription>
-          Manage your previous project exports (kept for 30 days)
+          Manage your previous exports
         </CardDescription>
       </CardHeader>
       <CardContent>
@@ -96,7 +96,7 @@ const ExportHistoryList = ({
               No exports yet
             </h3>
             <p className="text-sm text-muted-foreground">
-              Generate your first project export to see it here
+              Generate your first export to see it here
             </p>
           </div>
         ) : (
@@ -110,13 +110,19 @@ const ExportHistoryList = ({
                   <div className="flex items-center gap-3 mb-2">
                     <FileArchive className="h-4 w-4 text-muted-foreground flex-shrink-0" />
                     <span className="font-medium truncate">
-                      project-export-{exportJob.id.slice(0, 8)}.{exportJob.format || 'tar.gz'}
+                      {exportJob.file_name || `project-export-${exportJob.id.slice(0, 8)}.${exportJob.format || 'tar.gz'}`}
                     </span>
                     {getStatusBadge(exportJob.status)}
                   </div>
                   
                   <div className="flex items-center gap-4 text-sm text-muted-foreground">
                     <span>Created: {getTimeAgo(exportJob.created_at)}</span>
+                    {exportJob.trigger === 'scheduled' && (
+                      <Badge variant="outline">Scheduled</Badge>
+                    )}
+                    {exportJob.row_count !== null && exportJob.row_count !== undefined && (
+                      <span>Rows: {exportJob.row_count.toLocaleString()}</span>
+                    )}
                     {exportJob.file_size && (
                       <span>Size: {formatFileSize(exportJob.file_size)}</span>
                     )}
@@ -5,7 +5,12 @@ import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { CheckCircle, XCircle, Clock, Loader2 } from 'lucide-react';
 
-const ExportProgressModal = ({ job, onClose }) => {
+const ExportProgressModal = ({
+  job,
+  onClose,
+  title = 'Project Export Progress',
+  successMessage = 'Your project archive has been generated successfully. You can now download it from the export history.'
+}) => {
   if (!job) return null;
 
   const progress = job.progress || {};
@@ -59,7 +64,7 @@ const ExportProgressModal = ({ job, onClose }) => {
       <DialogContent className="sm:max-w-md" hideCloseButton={!canClose}>
         <DialogHeader>
           <DialogTitle className="flex items-center justify-between">
-            <span>Project Export Progress</span>
+            <span>{title}</span>
             {getStatusBadge()}
           </DialogTitle>
         </DialogHeader>
@@ -130,11 +135,11 @@ const ExportProgressModal = ({ job, onClose }) => {
             <div className="p-3 bg-green-50 border border-green-200 rounded">
               <p className="text-sm font-medium text-green-800 mb-1">Export Ready!</p>
               <p className="text-sm text-green-700">
-                Your project archive has been generated successfully. You can now download it from the export history.
+                {successMessage}
               </p>
               {job.file_size && (
                 <p className="text-xs text-green-600 mt-1">
-                  Archive size: {Math.round(job.file_size / 1024)} KB
+                  File size: {Math.round(job.file_size / 1024)} KB
                 </p>
               )}
             </div>
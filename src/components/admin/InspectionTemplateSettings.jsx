@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Save, ClipboardCheck, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { supabase } from '../../lib/supabase';
+import { TABLE_NAMES } from '../../config/tableNames';
+import DamageDiagram from './DamageDiagram';
+import RentalInspectionService from '../../services/RentalInspectionService';
+
+/**
+ * InspectionTemplateSettings - Per-model inspection template: repair cost
+ * of each diagram panel (used to price new damage at return), the
+ * accessories handed over and the fuel tank size
+ */
+const InspectionTemplateSettings = () => {
+  const [models, setModels] = useState([]);
+  const [modelId, setModelId] = useState('');
+  const [template, setTemplate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadModels = async () => {
+      const { data, error } = await supabase
+        .from(TABLE_NAMES.VEHICLE_MODELS)
+        .select('id, make, model, vehicle_type')
+        .order('model');
+
+      if (error) {
+        console.error('❌ Error loading vehicle models:', error);
+        toast.error('Failed to load vehicle models');
+        return;
+      }
+      setModels(data || []);
+      if (data?.length) setModelId(data[0].id);
+    };
+
+    loadModels();
+  }, []);
+
+  useEffect(() => {
+    if (!modelId) return;
+
+    const loadTemplate = async () => {
+      setLoading(true);
+      const loaded = await RentalInspectionService.getTemplate({ vehicle_model_id: modelId });
+      setTemplate({
+        ...loaded,
+        panels: loaded.panels.map(panel => ({ ...panel })),
+        accessories: loaded.accessories.map(accessory => ({ ...accessory })),
+        fuel_tank_liters: loaded.fuel_tank_liters ?? ''
+      });
+      setLoading(false);
+    };
+
+    loadTemplate();
+  }, [modelId]);
+
+  const updatePanel = (id, changes) => {
+    setTemplate(prev => ({
+      ...prev,
+      panels: prev.panels.map(panel => (panel.id === id ? { ...panel, ...changes } : panel))
+    }));
+  };
+
+  const updateAccessory = (index, changes) => {
+    setTemplate(prev => ({
+      ...prev,
+      accessories: prev.accessories.map((accessory, i) => (i === index ? { ...accessory, ...changes } : accessory))
+    }));
+  };
+
+  const handleSave = async () => {
+    const accessories = template.accessories
+      .filter(accessory => accessory.label.trim())
+      .map(accessory => ({
+        key: accessory.key || accessory.label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+        label: accessory.label.trim(),
+        default_quantity: parseInt(accessory.default_quantity, 10) || 0,
+        replacement_cost: parseFloat(accessory.replacement_cost) || 0
+      }));
+
+    setSaving(true);
+    try {
+      await RentalInspectionService.saveTemplate(modelId, {
+        panels: template.panels.map(panel => ({ ...panel, repair_cost: parseFloat(panel.repair_cost) || 0 })),
+        accessories,
+        fuel_tank_liters: template.fuel_tank_liters
+      });
+      setTemplate(prev => ({ ...prev, accessories, isDefault: false }));
+      toast.success('Inspection template saved');
+    } catch (error) {
+      console.error('❌ Error saving inspection template:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5" />
+          Inspection Templates
+        </CardTitle>
+        <CardDescription>
+          Repair costs per panel, accessories handed over and tank size for each vehicle model
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <select
+          value={modelId}
+          onChange={(e) => setModelId(e.target.value)}
+          className="w-full md:w-80 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          {models.map(model => (
+            <option key={model.id} value={model.id}>
+              {[model.make, model.model].filter(Boolean).join(' ')}{model.vehicle_type ? ` (${model.vehicle_type})` : ''}
+            </option>
+          ))}
+        </select>
+
+        {loading || !template ? (
+          <div className="py-8 text-center text-gray-500">Loading...</div>
+        ) : (
+          <>
+            {template.isDefault && (
+              <p className="text-sm text-gray-500">This model uses the standard quad template until saved.</p>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <DamageDiagram panels={template.panels} />
+
+              <div className="lg:col-span-2 space-y-1">
+                <div className="grid grid-cols-3 gap-2 text-xs font-medium text-gray-500 uppercase">
+                  <span className="col-span-2">Panel</span>
+                  <span>Repair cost (MAD)</span>
+                </div>
+                {template.panels.map(panel => (
+                  <div key={panel.id} className="grid grid-cols-3 gap-2">
+                    <input
+                      type="text"
+                      value={panel.label}
+                      onChange={(e) => updatePanel(panel.id, { label: e.target.value })}
+                      className="col-span-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={panel.repair_cost ?? 0}
+                      onChange={(e) => updatePanel(panel.id, { repair_cost: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="font-medium text-gray-900">Accessories</h4>
+              <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 uppercase">
+                <span className="col-span-6">Name</span>
+                <span className="col-span-2">Default qty</span>
+                <span className="col-span-3">Replacement (MAD)</span>
+              </div>
+              {template.accessories.map((accessory, index) => (
+                <div key={accessory.key || index} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={accessory.label}
+                    onChange={(e) => updateAccessory(index, { label: e.target.value })}
+                    className="col-span-6 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={accessory.default_quantity}
+                    onChange={(e) => updateAccessory(index, { default_quantity: e.target.value })}
+                    className="col-span-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={accessory.replacement_cost}
+                    onChange={(e) => updateAccessory(index, { replacement_cost: e.target.value })}
+                    className="col-span-3 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <button
+                    onClick={() => setTemplate(prev => ({ ...prev, accessories: prev.accessories.filter((_, i) => i !== index) }))}
+                    className="col-span-1 p-1 text-gray-400 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setTemplate(prev => ({
+                  ...prev,
+                  accessories: [...prev.accessories, { key: '', label: '', default_quantity: 1, replacement_cost: 0 }]
+                }))}
+              >
+                <Plus className="w-4 h-4 mr-1" /> Add accessory
+              </Button>
+            </div>
+
+            <div className="space-y-1">
+              <label className="block font-medium text-gray-900">Fuel tank (liters)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={template.fuel_tank_liters}
+                onChange={(e) => setTemplate(prev => ({ ...prev, fuel_tank_liters: e.target.value }))}
+                className="w-40 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <p className="text-xs text-gray-500">Used to price fuel returned below the check-out level.</p>
+            </div>
+
+            <Button onClick={handleSave} disabled={saving}>
+              {saving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+              Save template
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default InspectionTemplateSettings;
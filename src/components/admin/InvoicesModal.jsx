@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { ExternalLink, Upload } from 'lucide-react';
+import InvoiceDocumentTemplate from '../InvoiceDocumentTemplate';
+import InvoiceService, { DOCUMENT_TYPES } from '../../services/InvoiceService';
+import InvoicePDFGenerator from '../../services/InvoicePDFGenerator';
+
+const emptyNote = {
+  type: 'credit_note',
+  description: '',
+  amount: '',
+  reason: ''
+};
+
+const formatMad = (amount) => `${(Number(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * InvoicesModal - Invoice of a rental or a tour booking and the credit
+ * and debit notes issued on it. Each document is stored as a PDF as
+ * soon as it is issued.
+ */
+const InvoicesModal = ({ rental = null, tourBooking = null, isOpen, onClose, logoUrl = null, stampUrl = null }) => {
+  const booking = rental || tourBooking;
+  const target = rental ? { rentalId: rental.id } : { tourBookingId: tourBooking?.id };
+
+  const [documents, setDocuments] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [customer, setCustomer] = useState({ address: '', ice: '' });
+  const [note, setNote] = useState(emptyNote);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [pdfDocument, setPdfDocument] = useState(null);
+  const pdfRef = useRef();
+
+  const invoice = documents.find(document => document.document_type === 'invoice') || null;
+
+  const loadDocuments = useCallback(async () => {
+    if (!booking?.id) return;
+    try {
+      const loaded = await InvoiceService.getDocuments(target);
+      setDocuments(loaded);
+      if (!loaded.some(document => document.document_type === 'invoice')) {
+        setPreview(await InvoiceService.prepareInvoice({ rental, tourBooking }));
+      }
+    } catch (error) {
+      console.error('Error loading invoices:', error);
+      toast.error(error.message);
+    }
+  }, [booking?.id]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setNote(emptyNote);
+    setPreview(null);
+    loadDocuments();
+  }, [isOpen, loadDocuments]);
+
+  // Render the issued document off-screen, then store it as a PDF
+  useEffect(() => {
+    if (!pdfDocument || !pdfRef.current) return;
+
+    const store = async () => {
+      try {
+        const pdfBlob = await InvoicePDFGenerator.generateInvoice(pdfRef.current);
+        await InvoiceService.attachPdf(pdfDocument, pdfBlob);
+        toast.success(`${pdfDocument.invoice_number} stored`);
+      } catch (error) {
+        console.error('Error storing invoice PDF:', error);
+        toast.error(error.message);
+      } finally {
+        setPdfDocument(null);
+        loadDocuments();
+      }
+    };
+
+    // Let the logo and stamp load first
+    const timer = setTimeout(store, 300);
+    return () => clearTimeout(timer);
+  }, [pdfDocument]);
+
+  const handleIssueInvoice = async () => {
+    if (!window.confirm('Issue the invoice? It gets the next number and cannot be changed afterwards.')) return;
+
+    setIsSubmitting(true);
+    try {
+      const issued = await InvoiceService.issueInvoice({ rental, tourBooking, customer });
+      toast.success(`Invoice ${issued.invoice_number} issued`);
+      setDocuments(prev => [...prev, issued]);
+      setPdfDocument(issued);
+    } catch (error) {
+      console.error('Invoice issue failed:', error);
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleIssueNote = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const issued = await InvoiceService.issueNote({ original: invoice, ...note });
+      toast.success(`${DOCUMENT_TYPES[issued.document_type]} ${issued.invoice_number} issued`);
+      setNote(emptyNote);
+      setDocuments(prev => [...prev, issued]);
+      setPdfDocument(issued);
+    } catch (error) {
+      console.error('Note issue failed:', error);
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOpenPdf = async (document) => {
+    // Opened before the await so the browser does not block it as a pop-up
+    const pdfWindow = window.open('', '_blank');
+    try {
+      const url = await InvoiceService.getPdfUrl(document);
+      if (pdfWindow) {
+        pdfWindow.opener = null;
+        pdfWindow.location.href = url;
+      } else {
+        window.location.assign(url);
+      }
+    } catch (error) {
+      pdfWindow?.close();
+      console.error('Error opening invoice PDF:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleNoteChange = (e) => {
+    const { name, value } = e.target;
+    setNote(prev => ({ ...prev, [name]: value }));
+  };
+
+  if (!isOpen || !booking) return null;
+
+  const noteTaxRate = Number(invoice?.tax_rate) || 0;
+  const noteAmount = Number(note.amount) || 0;
+  const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-900">Invoices</h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Issued documents */}
+          {documents.length > 0 && (
+            <div className="mb-4 border rounded-lg divide-y text-sm">
+              {documents.map(document => (
+                <div key={document.id} className="flex items-center justify-between gap-2 p-2">
+                  <div>
+                    <div className="font-medium text-gray-900">
+                      {document.invoice_number} · {DOCUMENT_TYPES[document.document_type]}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(`${document.issue_date}T00:00:00`).toLocaleDateString()} · {document.issued_by_name || '—'}
+                      {document.reason && ` · ${document.reason}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <span className={`font-semibold ${document.document_type === 'credit_note' ? 'text-orange-600' : 'text-gray-900'}`}>
+                      {document.document_type === 'credit_note' ? '-' : ''}{formatMad(document.total)}
+                    </span>
+                    {document.pdf_path ? (
+                      <button
+                        type="button"
+                        onClick={() => handleOpenPdf(document)}
+                        className="text-gray-500 hover:text-blue-600"
+                        title="Open PDF"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setPdfDocument(document)}
+                        disabled={Boolean(pdfDocument)}
+                        className="text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                        title="Store PDF"
+                      >
+                        <Upload className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {invoice && documents.length > 1 && (
+                <div className="flex justify-between p-2 bg-gray-50 font-medium">
+                  <span>Invoiced after notes</span>
+                  <span>{formatMad(InvoiceService.adjustedTotal(invoice, documents))}</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* New invoice */}
+          {!invoice && preview && (
+            <div className="space-y-4">
+              <div className="bg-gray-50 p-4 rounded-lg text-sm space-y-1">
+                {preview.lines.map((line, index) => (
+                  <div key={index} className="flex justify-between gap-4">
+                    <span className="text-gray-700">{line.description}</span>
+                    <span>{formatMad(line.amount)}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between border-t pt-2">
+                  <span className="text-gray-600">Total HT</span>
+                  <span>{formatMad(preview.subtotal)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">TVA {preview.taxRate}%</span>
+                  <span>{formatMad(preview.taxAmount)}</span>
+                </div>
+                <div className="flex justify-between font-bold">
+                  <span>Total TTC</span>
+                  <span>{formatMad(preview.total)}</span>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Customer ICE (businesses)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    maxLength={15}
+                    value={customer.ice}
+                    onChange={(e) => setCustomer(prev => ({ ...prev, ice: e.target.value }))}
+                    className={inputClass}
+                    placeholder="15 digits"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Customer Address</label>
+                  <input
+                    type="text"
+                    value={customer.address}
+                    onChange={(e) => setCustomer(prev => ({ ...prev, address: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  type="button"
+                  onClick={handleIssueInvoice}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+                >
+                  {isSubmitting ? 'Issuing...' : `Issue invoice · ${formatMad(preview.total)}`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Corrections */}
+          {invoice && (
+            <form onSubmit={handleIssueNote} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {invoice.invoice_number} cannot be changed. Correct it with a credit note (less to pay) or a debit note (more to pay).
+              </p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Document</label>
+                  <select name="type" value={note.type} onChange={handleNoteChange} className={inputClass}>
+                    <option value="credit_note">Credit note</option>
+                    <option value="debit_note">Debit note</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount HT (MAD)</label>
+                  <input
+                    type="number"
+                    name="amount"
+                    min="0.01"
+                    step="0.01"
+                    value={note.amount}
+                    onChange={handleNoteChange}
+                    className={inputClass}
+                    required
+                  />
+                  {noteAmount > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      + TVA {noteTaxRate}% = {formatMad(noteAmount * (1 + noteTaxRate / 100))}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={note.description}
+                  onChange={handleNoteChange}
+                  className={inputClass}
+                  placeholder={`${DOCUMENT_TYPES[note.type]} on ${invoice.invoice_number}`}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <textarea
+                  name="reason"
+                  value={note.reason}
+                  onChange={handleNoteChange}
+                  rows={2}
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`px-4 py-2 rounded-md shadow-sm text-sm font-medium text-white disabled:bg-gray-400 ${
+                    note.type === 'credit_note' ? 'bg-orange-600 hover:bg-orange-700' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {isSubmitting ? 'Issuing...' : `Issue ${DOCUMENT_TYPES[note.type].toLowerCase()}`}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {pdfDocument && (
+        <div className="absolute -left-[9999px] top-0 w-[210mm]">
+          <div ref={pdfRef}>
+            <InvoiceDocumentTemplate
+              document={pdfDocument}
+              original={documents.find(document => document.id === pdfDocument.original_invoice_id)}
+              logoUrl={logoUrl}
+              stampUrl={stampUrl}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoicesModal;
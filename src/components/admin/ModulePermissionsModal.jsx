@@ -11,7 +11,7 @@ import { Switch } from '../ui/switch';
 import { Label } from '../ui/label';
 import { Button } from '../ui/button';
 import { Loader2 } from 'lucide-react';
-import { getUserPermissions, updateUserPermission } from '../../services/UserService';
+import PermissionService from '../../services/PermissionService';
 import { toast } from 'react-hot-toast';
 
 const ModulePermissionsModal = ({ open, handleClose, user }) => {
@@ -19,14 +19,14 @@ const ModulePermissionsModal = ({ open, handleClose, user }) => {
   const [loading, setLoading] = useState(true);
 
   const fetchPermissions = useCallback(async () => {
-    if (!user?.id || !user.user_metadata?.role) {
+    if (!user?.id) {
       if(open) toast.error("User data is incomplete.");
       return;
     }
     setLoading(true);
     try {
-      const perms = await getUserPermissions(user.id, user.user_metadata.role);
-      setPermissions(perms);
+      const perms = await PermissionService.getUserPermissions(user.id);
+      setPermissions(perms.filter(p => p.action === 'view'));
     } catch (error) {
       console.error("Failed to fetch permissions", error);
       toast.error("Failed to load permissions.");
@@ -41,22 +41,28 @@ const ModulePermissionsModal = ({ open, handleClose, user }) => {
     }
   }, [open, fetchPermissions]);
 
-  const handleToggle = async (moduleName, currentAccess) => {
-    const isOwner = user.user_metadata?.role === 'owner';
+  const handleToggle = async ({ module_key, label, allowed, role_allowed }) => {
+    const isOwner = user.role === 'owner';
     if (isOwner) return;
 
-    const newAccess = !currentAccess;
+    const newAccess = !allowed;
     const originalPermissions = [...permissions];
     
     // Optimistic update
-    setPermissions(prev => prev.map(p => p.module_name === moduleName ? { ...p, has_access: newAccess } : p));
+    setPermissions(prev => prev.map(p => p.module_key === module_key ? { ...p, allowed: newAccess } : p));
 
     try {
-      await updateUserPermission(user.id, moduleName, newAccess);
-      toast.success(`Permission for '${moduleName}' updated.`);
+      await PermissionService.setUserPermission({
+        userId: user.id,
+        module: module_key,
+        action: 'view',
+        // An override only where it differs from the role default
+        effect: role_allowed === newAccess ? null : (newAccess ? 'grant' : 'deny')
+      });
+      toast.success(`Permission for '${label}' updated.`);
     } catch (error) {
       console.error("Failed to update permission", error);
-      toast.error(`Failed to update permission for '${moduleName}'.`);
+      toast.error(`Failed to update permission for '${label}': ${error.message}`);
       // Revert on error
       setPermissions(originalPermissions);
     }
@@ -77,16 +83,16 @@ const ModulePermissionsModal = ({ open, handleClose, user }) => {
           </div>
         ) : (
           <div className="space-y-3 py-4 max-h-96 overflow-y-auto pr-3">
-            {permissions.length > 0 ? permissions.map(({ module_name, has_access }) => (
-              <div key={module_name} className="flex items-center justify-between rounded-lg border p-3 shadow-sm">
-                <Label htmlFor={`switch-${module_name}`} className="font-medium">
-                  {module_name}
+            {permissions.length > 0 ? permissions.map((permission) => (
+              <div key={permission.module_key} className="flex items-center justify-between rounded-lg border p-3 shadow-sm">
+                <Label htmlFor={`switch-${permission.module_key}`} className="font-medium">
+                  {permission.label}
                 </Label>
                 <Switch
-                  id={`switch-${module_name}`}
-                  checked={has_access}
-                  onCheckedChange={() => handleToggle(module_name, has_access)}
-                  disabled={user.user_metadata?.role === 'owner'}
+                  id={`switch-${permission.module_key}`}
+                  checked={permission.allowed}
+                  onCheckedChange={() => handleToggle(permission)}
+                  disabled={user.role === 'owner'}
                 />
               </div>
             )) : <p className="text-center text-gray-500">No modules found for this user's role.</p>}
@@ -1,31 +1,24 @@
-import React, { useState, useEffect } from 'react';
-import { useSelector } from 'react-redux';
+import React, { useState } from 'react';
 import { Shield, Lock, Unlock, AlertTriangle } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { useModulePermissions, AVAILABLE_MODULES } from '../../hooks/useModulePermissions';
+import { useAuth } from '../../contexts/AuthContext';
+import { useModulePermissions } from '../../hooks/useModulePermissions';
 
 const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) => {
-  const { user: currentUser } = useSelector(state => state.auth);
+  const { user: currentUser, hasPermission } = useAuth();
   const [showConfirmDialog, setShowConfirmDialog] = useState(null);
   
   const {
+    modules,
     permissions,
     loading,
     updatePermission,
-    initializeUserPermissions,
     deactivateAllModules,
     getActiveModulesCount
   } = useModulePermissions(targetUser.id);
   
-  // Only Owner and Admin can modify permissions
-  const canModifyPermissions = currentUser?.role === 'owner' || currentUser?.role === 'admin';
-
-  useEffect(() => {
-    // Initialize permissions for new users or users without permissions
-    if (!loading && targetUser && Object.keys(permissions).length === 0) {
-      initializeUserPermissions(targetUser.id, targetUser.role);
-    }
-  }, [loading, targetUser, permissions]);
+  // The database has the final say on whose permissions can be changed
+  const canModifyPermissions = hasPermission('users', 'edit') && targetUser.id !== currentUser?.id;
 
   const handlePermissionToggle = async (moduleName, newValue) => {
     if (!canModifyPermissions) {
@@ -53,13 +46,6 @@ const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) =>
       if (onPermissionChange) {
         onPermissionChange(targetUser.id, moduleName, newValue);
       }
-      
-      // If the current user's permissions were changed, suggest a refresh
-      if (targetUser.id === currentUser?.id) {
-        toast.info('Your permissions have changed. Please refresh the page to see updates.', {
-          duration: 5000
-        });
-      }
     } else {
       toast.error('Failed to update permission. Please try again.');
     }
@@ -89,15 +75,8 @@ const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) =>
       
       // Notify parent component if callback provided
       if (onPermissionChange) {
-        AVAILABLE_MODULES.forEach(moduleName => {
-          onPermissionChange(targetUser.id, moduleName, false);
-        });
-      }
-      
-      // If the current user's permissions were changed, suggest a refresh
-      if (targetUser.id === currentUser?.id) {
-        toast.info('Your permissions have changed. Please refresh the page to see updates.', {
-          duration: 5000
+        modules.forEach(({ label }) => {
+          onPermissionChange(targetUser.id, label, false);
         });
       }
     } else {
@@ -130,7 +109,7 @@ const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) =>
                 ? 'bg-red-100 text-red-800' 
                 : 'bg-blue-100 text-blue-800'
             }`}>
-              {getActiveModulesCount()}/{AVAILABLE_MODULES.length} Active
+              {getActiveModulesCount()}/{modules.length} Active
             </span>
           </div>
           
@@ -176,7 +155,7 @@ const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) =>
         )}
         
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-          {AVAILABLE_MODULES.map((moduleName) => {
+          {modules.map(({ label: moduleName }) => {
             const hasAccess = permissions[moduleName] === true;
             
             return (
@@ -258,7 +237,7 @@ const ModulePermissionsSection = ({ targetUser, onPermissionChange = null }) =>
                       Are you sure you want to <strong>deactivate ALL modules</strong> for {targetUser.email}?
                     </p>
                     <p className="text-sm text-red-600 mt-2 font-medium">
-                      ⚠️ This will revoke access to all {AVAILABLE_MODULES.length} modules, leaving the user with no functional capabilities.
+                      ⚠️ This will revoke access to all {modules.length} modules, leaving the user with no functional capabilities.
                     </p>
                     <p className="text-sm text-orange-600 mt-2">
                       The user will only see a basic interface and will need modules to be individually reactivated to regain functionality.
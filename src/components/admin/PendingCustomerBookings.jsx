@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import CustomerBookingService from '../../services/CustomerBookingService';
+
+/**
+ * PendingCustomerBookings - Customer portal requests waiting for staff.
+ * Staff pick one of the free vehicles of the requested model to confirm.
+ */
+const PendingCustomerBookings = ({ onChange }) => {
+  const { user } = useAuth();
+  const [requests, setRequests] = useState([]);
+  const [vehicleOptions, setVehicleOptions] = useState({});
+  const [selectedVehicles, setSelectedVehicles] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const pending = await CustomerBookingService.getPendingRequests();
+      setRequests(pending);
+
+      const options = {};
+      await Promise.all(pending.map(async (rental) => {
+        options[rental.id] = await CustomerBookingService.getAvailableVehicles(
+          rental.vehicle_model_id,
+          new Date(rental.rental_start_date),
+          new Date(rental.rental_end_date)
+        );
+      }));
+      setVehicleOptions(options);
+    } catch (error) {
+      console.error('❌ PendingCustomerBookings: failed to load:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleConfirm = async (rental) => {
+    const vehicleId = selectedVehicles[rental.id] || vehicleOptions[rental.id]?.[0]?.id;
+    if (!vehicleId) {
+      toast.error('No vehicle available for this request');
+      return;
+    }
+
+    setBusyId(rental.id);
+    try {
+      await CustomerBookingService.confirmRequest(rental, vehicleId, user?.id);
+      toast.success(`Booking for ${rental.customer_name} confirmed`);
+      await loadRequests();
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDecline = async (rental) => {
+    const reason = window.prompt('Reason for declining (optional):');
+    if (reason === null) return;
+
+    setBusyId(rental.id);
+    try {
+      await CustomerBookingService.declineRequest(rental, reason);
+      toast.success('Booking request declined');
+      await loadRequests();
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="mb-8 p-6 bg-white rounded-lg shadow-sm border border-purple-200">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">
+        Online booking requests ({requests.length})
+      </h2>
+
+      <div className="space-y-3">
+        {requests.map(rental => {
+          const options = vehicleOptions[rental.id] || [];
+          return (
+            <div key={rental.id} className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 p-3 rounded-lg bg-purple-50">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {rental.customer_name} · {rental.customer_phone}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {rental.vehicle_model?.name} {rental.vehicle_model?.model} · {rental.rental_type} ·{' '}
+                  {new Date(rental.rental_start_date).toLocaleString()} – {new Date(rental.rental_end_date).toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-600">
+                  Quoted {Number(rental.total_amount || 0).toFixed(2)} MAD
+                  {rental.promo_code && ` (promo ${rental.promo_code})`}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <select
+                  value={selectedVehicles[rental.id] || options[0]?.id || ''}
+                  onChange={(e) => setSelectedVehicles(prev => ({ ...prev, [rental.id]: e.target.value }))}
+                  className="border rounded-lg px-2 py-1 text-sm"
+                  disabled={options.length === 0}
+                >
+                  {options.length === 0 && <option value="">No vehicle free</option>}
+                  {options.map(vehicle => (
+                    <option key={vehicle.id} value={vehicle.id}>
+                      {vehicle.name} ({vehicle.plate_number})
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleConfirm(rental)}
+                  disabled={busyId === rental.id || options.length === 0}
+                  className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                >
+                  <CheckCircle className="w-4 h-4" /> Confirm
+                </button>
+                <button
+                  onClick={() => handleDecline(rental)}
+                  disabled={busyId === rental.id}
+                  className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg bg-white border text-red-600 hover:bg-red-50 disabled:opacity-50"
+                >
+                  <XCircle className="w-4 h-4" /> Decline
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingCustomerBookings;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardCheck, AlertTriangle, Wrench, Edit } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import DamageDiagram from './DamageDiagram';
+import RentalInspectionModal from './RentalInspectionModal';
+import RentalInspectionService from '../../services/RentalInspectionService';
+
+/**
+ * RentalInspectionCard - Check-out and check-in inspections on the rental
+ * page, with what the return found compared with the check-out
+ */
+const RentalInspectionCard = ({ rental, onInspectionSaved }) => {
+  const [template, setTemplate] = useState(null);
+  const [inspections, setInspections] = useState({ check_out: null, check_in: null });
+  const [loading, setLoading] = useState(true);
+  const [openPhase, setOpenPhase] = useState(null);
+
+  const status = rental?.rental_status?.toLowerCase();
+
+  const loadInspections = async () => {
+    try {
+      setInspections(await RentalInspectionService.getInspections(rental.id));
+    } catch (error) {
+      console.error('❌ Error loading inspections:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (!rental?.id) return;
+
+    const load = async () => {
+      setLoading(true);
+      const [loadedTemplate] = await Promise.all([
+        RentalInspectionService.getTemplate(rental.vehicle),
+        loadInspections()
+      ]);
+      setTemplate(loadedTemplate);
+      setLoading(false);
+    };
+
+    load();
+  }, [rental?.id, rental?.vehicle?.vehicle_model_id]);
+
+  const handleSaved = async (saved) => {
+    await loadInspections();
+    onInspectionSaved?.(saved.phase, saved);
+  };
+
+  if (loading) {
+    return (
+      <Card className="mb-6">
+        <CardContent className="py-6 text-sm text-gray-500">Loading inspections...</CardContent>
+      </Card>
+    );
+  }
+
+  const { check_out: checkOut, check_in: checkIn } = inspections;
+  const comparison = RentalInspectionService.getComparison(checkIn, template);
+  // The check-out is the baseline; it is frozen once the return is recorded
+  const canEditCheckOut = !checkIn && (status === 'scheduled' || status === 'active');
+  const canEditCheckIn = !!checkOut && (status === 'active' || status === 'completed');
+
+  const renderSummary = (phase, inspection, canEdit) => (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900">{RentalInspectionService.PHASES[phase]}</h4>
+        {canEdit && (
+          <button
+            onClick={() => setOpenPhase(phase)}
+            className={`flex items-center px-3 py-1.5 text-sm rounded-lg ${
+              inspection ? 'text-gray-700 bg-gray-100 hover:bg-gray-200' : 'text-white bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {inspection ? <Edit className="w-4 h-4 mr-1" /> : <ClipboardCheck className="w-4 h-4 mr-1" />}
+            {inspection ? 'Edit' : 'Start inspection'}
+          </button>
+        )}
+      </div>
+
+      {inspection ? (
+        <div className="flex gap-4">
+          <div className="w-28 shrink-0">
+            <DamageDiagram panels={template.panels} damages={inspection.damages} />
+          </div>
+          <div className="text-sm space-y-1 text-gray-700">
+            <p><strong>Odometer:</strong> {inspection.odometer != null ? `${inspection.odometer} km` : '—'}</p>
+            <p><strong>Fuel:</strong> {RentalInspectionService.formatFuelLevel(inspection.fuel_level)}</p>
+            {template.accessories.length > 0 && (
+              <p>
+                <strong>Accessories:</strong>{' '}
+                {template.accessories.map(a => `${a.label} × ${inspection.accessories?.[a.key] ?? 0}`).join(', ')}
+              </p>
+            )}
+            <p><strong>Damage:</strong> {inspection.damages.length === 0 ? 'none' : inspection.damages.length}</p>
+            {inspection.notes && <p className="text-gray-500">{inspection.notes}</p>}
+            <p className="text-xs text-gray-400">{new Date(inspection.inspected_at).toLocaleString()}</p>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {phase === 'check_in' && !checkOut ? 'Record the check-out inspection first.' : 'Not recorded yet.'}
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5" /> Vehicle Inspection
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {renderSummary('check_out', checkOut, canEditCheckOut)}
+          {renderSummary('check_in', checkIn, canEditCheckIn)}
+        </div>
+
+        {comparison && (
+          <div className={`rounded-lg p-4 border text-sm space-y-2 ${
+            comparison.newDamages.length > 0 || comparison.missingAccessories.length > 0 || comparison.fuelDifference < 0
+              ? 'bg-red-50 border-red-200'
+              : 'bg-green-50 border-green-200'
+          }`}>
+            <h4 className="font-semibold text-gray-900">Return compared with check-out</h4>
+            {comparison.distance != null && <p>Distance driven: {comparison.distance} km</p>}
+            {comparison.fuelDifference != null && (
+              <p className={comparison.fuelDifference < 0 ? 'text-red-700' : ''}>
+                Fuel: {comparison.fuelDifference < 0
+                  ? `${-comparison.fuelDifference}/8 tank below check-out`
+                  : 'at or above check-out level'}
+              </p>
+            )}
+            {comparison.missingAccessories.map(a => (
+              <p key={a.key} className="text-red-700">{a.label} not returned × {a.quantity}</p>
+            ))}
+            {comparison.newDamages.length > 0 ? (
+              <div>
+                <p className="flex items-center gap-1 font-semibold text-red-700">
+                  <AlertTriangle className="w-4 h-4" /> New damage
+                </p>
+                <ul className="mt-1 space-y-1">
+                  {comparison.newDamages.map(d => (
+                    <li key={d.id} className="flex items-center gap-2">
+                      <span>{RentalInspectionService.describeDamage(d)}</span>
+                      {d.photo_urls?.map(url => (
+                        <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                          <img src={url} alt="Damage" className="w-8 h-8 object-cover rounded" />
+                        </a>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+                {checkIn.work_order_id && (
+                  <p className="flex items-center gap-1 mt-2 text-gray-600">
+                    <Wrench className="w-4 h-4" /> Body Work order scheduled in maintenance
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-green-700">No new damage.</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+
+      <RentalInspectionModal
+        isOpen={!!openPhase}
+        rental={rental}
+        phase={openPhase}
+        template={template}
+        inspection={openPhase ? inspections[openPhase] : null}
+        checkOut={checkOut}
+        onClose={() => setOpenPhase(null)}
+        onSaved={handleSaved}
+      />
+    </Card>
+  );
+};
+
+export default RentalInspectionCard;
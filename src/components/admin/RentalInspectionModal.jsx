@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Trash2, Camera, Loader2, Fuel, Gauge, HardHat } from 'lucide-react';
+import toast from 'react-hot-toast';
+import DamageDiagram from './DamageDiagram';
+import RentalInspectionService from '../../services/RentalInspectionService';
+
+const emptyDraft = () => ({ damage_type: 'scratch', severity: 'minor', notes: '', photo_urls: [] });
+
+const toDamage = (damage) => ({
+  key: `${Date.now()}-${Math.random()}`,
+  panel_id: damage.panel_id,
+  panel_label: damage.panel_label,
+  damage_type: damage.damage_type,
+  severity: damage.severity,
+  notes: damage.notes || '',
+  photo_urls: damage.photo_urls || [],
+  is_new: damage.is_new || false
+});
+
+/**
+ * RentalInspectionModal - Record a check-out or check-in inspection:
+ * damage per panel on the model's diagram, odometer, fuel level and
+ * accessories handed over
+ *
+ * A check-in starts from the check-out's damage and accessories, so staff
+ * only add what changed; the comparison itself runs on save.
+ */
+const RentalInspectionModal = ({ isOpen, rental, phase, template, inspection, checkOut, onClose, onSaved }) => {
+  const [odometer, setOdometer] = useState('');
+  const [fuelLevel, setFuelLevel] = useState(null);
+  const [accessories, setAccessories] = useState({});
+  const [damages, setDamages] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [selectedPanel, setSelectedPanel] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft());
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !rental) return;
+
+    const source = inspection || (phase === 'check_in' ? checkOut : null);
+    const defaultAccessories = {};
+    (template?.accessories || []).forEach(a => {
+      defaultAccessories[a.key] = parseFloat(a.default_quantity) || 0;
+    });
+
+    if (inspection) {
+      setOdometer(inspection.odometer ?? '');
+      setFuelLevel(inspection.fuel_level);
+      setNotes(inspection.notes || '');
+    } else {
+      setOdometer(phase === 'check_out'
+        ? (rental.start_odometer ?? rental.vehicle?.current_odometer ?? '')
+        : (rental.ending_odometer ?? ''));
+      setFuelLevel(null);
+      setNotes('');
+    }
+    setAccessories(source ? { ...defaultAccessories, ...source.accessories } : defaultAccessories);
+    setDamages((source?.damages || []).map(d => toDamage(inspection ? d : { ...d, is_new: false })));
+    setSelectedPanel(null);
+    setDraft(emptyDraft());
+  }, [isOpen, rental?.id, phase, inspection?.id]);
+
+  if (!isOpen || !rental) return null;
+
+  const panels = template?.panels || RentalInspectionService.DEFAULT_TEMPLATE.panels;
+  const accessoryList = template?.accessories || [];
+  const panelDamages = selectedPanel ? damages.filter(d => d.panel_id === selectedPanel.id) : [];
+
+  const handlePanelClick = (panel) => {
+    setSelectedPanel(prev => (prev?.id === panel.id ? null : panel));
+    setDraft(emptyDraft());
+  };
+
+  const handlePhotos = async (files) => {
+    if (!files?.length) return;
+    setUploading(true);
+    try {
+      const urls = await Promise.all(Array.from(files).map(file => RentalInspectionService.uploadPhoto(rental.id, file)));
+      setDraft(prev => ({ ...prev, photo_urls: [...prev.photo_urls, ...urls] }));
+    } catch (error) {
+      console.error('❌ Error uploading inspection photo:', error);
+      toast.error(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const addDamage = () => {
+    setDamages(prev => [...prev, toDamage({
+      ...draft,
+      panel_id: selectedPanel.id,
+      panel_label: selectedPanel.label,
+      is_new: phase === 'check_in'
+    })]);
+    setDraft(emptyDraft());
+  };
+
+  const removeDamage = (key) => {
+    setDamages(prev => prev.filter(d => d.key !== key));
+  };
+
+  const handleSave = async () => {
+    if (fuelLevel === null) {
+      toast.error('Select the fuel level');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await RentalInspectionService.saveInspection({
+        rentalId: rental.id,
+        phase,
+        odometer,
+        fuelLevel,
+        accessories,
+        damages,
+        notes: notes.trim() || null
+      });
+
+      const newDamageCount = saved.comparison?.new_damage_count || 0;
+      if (phase === 'check_in' && newDamageCount > 0) {
+        toast.success(`Check-in saved: ${newDamageCount} new damage${newDamageCount > 1 ? 's' : ''} flagged, work order opened`);
+      } else {
+        toast.success(`${RentalInspectionService.PHASES[phase]} inspection saved`);
+      }
+      onSaved?.(saved);
+      onClose();
+    } catch (error) {
+      console.error('❌ Error saving inspection:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {RentalInspectionService.PHASES[phase]} Inspection
+            {rental.vehicle?.name && <span className="ml-2 text-sm font-normal text-gray-500">{rental.vehicle.name}</span>}
+          </h3>
+          <button onClick={onClose} disabled={saving} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <p className="text-sm text-gray-600 mb-2">Tap a panel to mark scratches, dents or missing parts.</p>
+              <DamageDiagram
+                panels={panels}
+                damages={damages}
+                selectedPanelId={selectedPanel?.id}
+                onPanelClick={handlePanelClick}
+              />
+              <div className="flex justify-center gap-4 mt-2 text-xs text-gray-500">
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-200 border border-amber-600" /> Damaged</span>
+                {phase === 'check_in' && (
+                  <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-300 border border-red-600" /> New</span>
+                )}
+              </div>
+              {template?.isDefault && (
+                <p className="mt-2 text-xs text-gray-400 text-center">Standard quad diagram (no template for this model)</p>
+              )}
+            </div>
+
+            <div className="space-y-4">
+              {selectedPanel ? (
+                <div className="border border-blue-200 bg-blue-50 rounded-lg p-3 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h4 className="font-semibold text-gray-900">{selectedPanel.label}</h4>
+                    <button onClick={() => setSelectedPanel(null)} className="text-gray-400 hover:text-gray-600">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  {panelDamages.map(d => (
+                    <div key={d.key} className="flex items-start justify-between bg-white rounded p-2 text-sm border border-gray-200">
+                      <div>
+                        <span className={d.is_new ? 'font-semibold text-red-700' : 'font-medium'}>
+                          {RentalInspectionService.DAMAGE_TYPES[d.damage_type]} · {RentalInspectionService.SEVERITIES[d.severity].label}
+                        </span>
+                        {d.is_new && <span className="ml-2 text-xs text-red-600">new</span>}
+                        {d.notes && <p className="text-gray-500">{d.notes}</p>}
+                        {d.photo_urls.length > 0 && (
+                          <div className="flex gap-1 mt-1">
+                            {d.photo_urls.map(url => (
+                              <img key={url} src={url} alt="Damage" className="w-10 h-10 object-cover rounded" />
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <button onClick={() => removeDamage(d.key)} className="p-1 text-gray-400 hover:text-red-600" title="Remove">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <select
+                      value={draft.damage_type}
+                      onChange={(e) => setDraft(prev => ({ ...prev, damage_type: e.target.value }))}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    >
+                      {Object.entries(RentalInspectionService.DAMAGE_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={draft.severity}
+                      onChange={(e) => setDraft(prev => ({ ...prev, severity: e.target.value }))}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    >
+                      {Object.entries(RentalInspectionService.SEVERITIES).map(([value, { label }]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <input
+                    type="text"
+                    value={draft.notes}
+                    placeholder="Notes (optional)"
+                    onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded text-sm"
+                  />
+                  <div className="flex flex-wrap items-center gap-2">
+                    {draft.photo_urls.map(url => (
+                      <img key={url} src={url} alt="Damage" className="w-12 h-12 object-cover rounded border border-gray-200" />
+                    ))}
+                    <label className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 border border-dashed border-gray-300 rounded cursor-pointer bg-white hover:bg-gray-50">
+                      {uploading ? <Loader2 className="w-3 h-3 animate-spin" /> : <Camera className="w-3 h-3" />}
+                      Photos
+                      <input
+                        type="file"
+                        accept="image/*"
+                        capture="environment"
+                        multiple
+                        className="hidden"
+                        disabled={uploading}
+                        onChange={(e) => handlePhotos(e.target.files)}
+                      />
+                    </label>
+                    <button
+                      onClick={addDamage}
+                      disabled={uploading}
+                      className="ml-auto flex items-center px-3 py-1.5 text-sm bg-orange-100 text-orange-800 rounded hover:bg-orange-200 disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4 mr-1" /> Add damage
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
+                  {damages.length === 0
+                    ? 'No damage recorded.'
+                    : `${damages.length} damage${damages.length > 1 ? 's' : ''} recorded${phase === 'check_in' ? `, ${damages.filter(d => d.is_new).length} new` : ''}.`}
+                </div>
+              )}
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-1">
+                  <Gauge className="w-4 h-4" /> Odometer (km)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={odometer}
+                  onChange={(e) => setOdometer(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                {phase === 'check_in' && checkOut?.odometer != null && (
+                  <p className="text-xs text-gray-500 mt-1">Check-out: {checkOut.odometer} km</p>
+                )}
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-1">
+                  <Fuel className="w-4 h-4" /> Fuel level
+                  <span className="ml-auto text-gray-900">{RentalInspectionService.formatFuelLevel(fuelLevel)}</span>
+                </label>
+                <div className="flex gap-1">
+                  {Array.from({ length: RentalInspectionService.FUEL_EIGHTHS + 1 }, (_, level) => (
+                    <button
+                      key={level}
+                      onClick={() => setFuelLevel(level)}
+                      className={`flex-1 py-2 text-xs rounded border ${
+                        fuelLevel !== null && level <= fuelLevel
+                          ? 'bg-green-500 border-green-600 text-white'
+                          : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+                      }`}
+                    >
+                      {level}
+                    </button>
+                  ))}
+                </div>
+                {phase === 'check_in' && checkOut?.fuel_level != null && (
+                  <p className="text-xs text-gray-500 mt-1">Check-out: {RentalInspectionService.formatFuelLevel(checkOut.fuel_level)}</p>
+                )}
+              </div>
+
+              {accessoryList.length > 0 && (
+                <div>
+                  <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-1">
+                    <HardHat className="w-4 h-4" /> Accessories {phase === 'check_out' ? 'handed over' : 'returned'}
+                  </label>
+                  <div className="space-y-1">
+                    {accessoryList.map(accessory => (
+                      <div key={accessory.key} className="flex items-center justify-between text-sm">
+                        <span>{accessory.label}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          value={accessories[accessory.key] ?? 0}
+                          onChange={(e) => setAccessories(prev => ({ ...prev, [accessory.key]: parseInt(e.target.value, 10) || 0 }))}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Notes (optional)"
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || uploading}
+            className="flex items-center px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            Save {RentalInspectionService.PHASES[phase]}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RentalInspectionModal;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, Save, Timer, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Switch } from '../ui/switch';
+import { Label } from '../ui/label';
+import { Input } from '../ui/input';
+import {
+  getStatusEngineSettings,
+  updateStatusEngineSettings,
+  getStatusEngineRuns,
+  runStatusEngine
+} from '../../services/rentalStatusService';
+
+/**
+ * RentalStatusEngineSettings - Rules of the scheduled rental status engine
+ * and its recent runs
+ */
+const RentalStatusEngineSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  const loadRuns = async () => {
+    try {
+      setRuns(await getStatusEngineRuns(5));
+    } catch (error) {
+      console.error('❌ Error loading status engine runs:', error);
+    }
+  };
+
+  useEffect(() => {
+    getStatusEngineSettings()
+      .then(setSettings)
+      .catch(error => {
+        console.error('❌ Error loading status engine settings:', error);
+        toast.error(error.message);
+      });
+    loadRuns();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setSettings(await updateStatusEngineSettings({
+        auto_activate: settings.auto_activate,
+        require_payment_to_activate: settings.require_payment_to_activate,
+        overdue_grace_minutes: parseInt(settings.overdue_grace_minutes, 10) || 0,
+        due_soon_hours: parseInt(settings.due_soon_hours, 10) || 0
+      }));
+      toast.success('Status engine settings saved');
+    } catch (error) {
+      console.error('❌ Error saving status engine settings:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    setRunning(true);
+    try {
+      const run = await runStatusEngine();
+      if (run) {
+        toast.success(`Activated ${run.activated}, overdue ${run.marked_overdue}, alerts ${run.alerts_raised}`);
+      } else {
+        toast('A run is already in progress');
+      }
+      await loadRuns();
+    } catch (error) {
+      console.error('❌ Error running status engine:', error);
+      toast.error(error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Timer className="h-5 w-5" />
+          Rental Status Engine
+        </CardTitle>
+        <CardDescription>
+          Runs every 5 minutes on the server: starts scheduled rentals, flags overdue returns and raises return alerts
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!settings ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between">
+              <div className="space-y-0.5">
+                <Label>Start rentals automatically</Label>
+                <p className="text-sm text-muted-foreground">Scheduled rentals become active at their start time</p>
+              </div>
+              <Switch
+                checked={settings.auto_activate}
+                onCheckedChange={(checked) => setSettings(prev => ({ ...prev, auto_activate: checked }))}
+              />
+            </div>
+            <div className="flex items-center justify-between">
+              <div className="space-y-0.5">
+                <Label>Only start paid rentals</Label>
+                <p className="text-sm text-muted-foreground">Unpaid rentals stay scheduled until started by staff</p>
+              </div>
+              <Switch
+                checked={settings.require_payment_to_activate}
+                onCheckedChange={(checked) => setSettings(prev => ({ ...prev, require_payment_to_activate: checked }))}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="space-y-2">
+                <Label htmlFor="overdueGrace">Overdue after (minutes past end)</Label>
+                <Input
+                  id="overdueGrace"
+                  type="number"
+                  min="0"
+                  value={settings.overdue_grace_minutes}
+                  onChange={(e) => setSettings(prev => ({ ...prev, overdue_grace_minutes: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="dueSoon">"Due soon" alert (hours before end)</Label>
+                <Input
+                  id="dueSoon"
+                  type="number"
+                  min="0"
+                  value={settings.due_soon_hours}
+                  onChange={(e) => setSettings(prev => ({ ...prev, due_soon_hours: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={handleSave} disabled={saving}>
+                {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                Save
+              </Button>
+              <Button variant="outline" onClick={handleRunNow} disabled={running}>
+                <RefreshCw className={`h-4 w-4 mr-2 ${running ? 'animate-spin' : ''}`} />
+                Run now
+              </Button>
+            </div>
+          </>
+        )}
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Recent runs</h4>
+          {runs.length === 0 ? (
+            <p className="text-sm text-gray-500">No runs recorded yet.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 font-medium">Ran at</th>
+                  <th className="py-1 font-medium">Started</th>
+                  <th className="py-1 font-medium">Overdue</th>
+                  <th className="py-1 font-medium">Alerts raised</th>
+                  <th className="py-1 font-medium">Alerts resolved</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run.id} className="border-t border-gray-100">
+                    <td className="py-1">
+                      {new Date(run.ran_at).toLocaleString()}
+                      {run.triggered_by && <span className="ml-1 text-xs text-gray-400">(manual)</span>}
+                    </td>
+                    <td className="py-1">{run.activated}</td>
+                    <td className="py-1">{run.marked_overdue}</td>
+                    <td className="py-1">{run.alerts_raised}</td>
+                    <td className="py-1">{run.alerts_resolved}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RentalStatusEngineSettings;
@@ -0,0 +1,77 @@
+/**
+ * Rental Status History Component
+ * Audit trail of a rental: status changes by staff or the status engine
+ * and other logged actions
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { History, Timer, User } from 'lucide-react';
+import { getRentalAuditLogs, formatAuditLogEntry } from '../../services/auditLogService';
+
+const RentalStatusHistory = ({ rentalId, refreshKey }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!rentalId) return;
+
+    setLoading(true);
+    getRentalAuditLogs(rentalId)
+      .then(logs => setEntries(logs.map(formatAuditLogEntry)))
+      .finally(() => setLoading(false));
+  }, [rentalId, refreshKey]);
+
+  const describe = (entry) => {
+    if (entry.action === 'status_change') {
+      const from = entry.old_data?.rental_status;
+      const to = entry.new_data?.rental_status;
+      return from ? `${from} → ${to}` : `Created as ${to}`;
+    }
+    if (entry.action === 'marked_overdue') {
+      return 'Return overdue';
+    }
+    return entry.reason || '';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="w-5 h-5" /> Status History
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No history recorded yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {entries.map(entry => (
+              <li key={entry.id} className="flex items-start justify-between gap-3 text-sm border-b border-gray-100 pb-2 last:border-0">
+                <div>
+                  <span className="font-medium text-gray-900">{entry.actionLabel}</span>
+                  {describe(entry) && <span className="ml-2 text-gray-600">{describe(entry)}</span>}
+                  <p className="text-xs text-gray-400">{entry.formattedTimestamp}</p>
+                </div>
+                {entry.source === 'engine' ? (
+                  <Badge className="bg-purple-100 text-purple-800 flex items-center gap-1 shrink-0">
+                    <Timer className="w-3 h-3" /> Automatic
+                  </Badge>
+                ) : (
+                  <Badge className="bg-gray-100 text-gray-700 flex items-center gap-1 shrink-0">
+                    <User className="w-3 h-3" /> Staff
+                  </Badge>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RentalStatusHistory;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import PaymentLedgerService, {
+  PAYMENT_TENDERS,
+  COLLECTABLE_TENDERS,
+  PAYMENT_CURRENCIES
+} from '../../services/PaymentLedgerService';
+import TillService from '../../services/TillService';
+
+const emptyDeposit = {
+  tender: 'cash',
+  currency: 'MAD',
+  exchange_rate: '1'
+};
+
+const formatMad = (amount) => `${(Number(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * TakeDepositModal - Records how the customer hands over a rental's damage
+ * deposit. A cash deposit goes in the till of whoever takes it.
+ */
+const TakeDepositModal = ({ rental, isOpen, onSave, onCancel }) => {
+  const [deposit, setDeposit] = useState(emptyDeposit);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [hasOpenTill, setHasOpenTill] = useState(null);
+
+  const depositMad = Number(rental?.damage_deposit) || 0;
+  const rate = deposit.currency === 'MAD' ? 1 : Number(deposit.exchange_rate) || 0;
+  const amountInCurrency = rate > 0 ? Math.round((depositMad / rate) * 100) / 100 : 0;
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setDeposit(emptyDeposit);
+    TillService.getOpenSession()
+      .then(session => setHasOpenTill(!!session))
+      .catch(error => console.error('Error loading till:', error));
+  }, [isOpen]);
+
+  const handleChange = async (e) => {
+    const { name, value } = e.target;
+    setDeposit(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === 'tender' && value !== 'cash') {
+        next.currency = 'MAD';
+        next.exchange_rate = '1';
+      }
+      return next;
+    });
+
+    if (name === 'currency') {
+      if (value === 'MAD') {
+        setDeposit(prev => ({ ...prev, exchange_rate: '1' }));
+        return;
+      }
+      try {
+        const lastRate = await PaymentLedgerService.getLastExchangeRate(value);
+        setDeposit(prev => ({ ...prev, exchange_rate: lastRate ? String(lastRate) : '' }));
+      } catch (error) {
+        console.error('Error loading exchange rate:', error);
+        setDeposit(prev => ({ ...prev, exchange_rate: '' }));
+      }
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const updated = await TillService.takeDamageDeposit({
+        rentalId: rental.id,
+        tender: deposit.tender,
+        currency: deposit.currency,
+        exchangeRate: deposit.exchange_rate
+      });
+      toast.success('Damage deposit recorded');
+      onSave(updated);
+    } catch (error) {
+      console.error('Error taking damage deposit:', error);
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen || !rental) return null;
+
+  const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-md shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-900">Take Damage Deposit</h3>
+            <button
+              onClick={onCancel}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm flex justify-between">
+            <span className="text-gray-600">Deposit</span>
+            <span className="font-semibold text-gray-900">{formatMad(depositMad)}</span>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payment Method</label>
+                <select name="tender" value={deposit.tender} onChange={handleChange} className={inputClass}>
+                  {COLLECTABLE_TENDERS.map(tender => (
+                    <option key={tender} value={tender}>{PAYMENT_TENDERS[tender]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                <select
+                  name="currency"
+                  value={deposit.currency}
+                  onChange={handleChange}
+                  disabled={deposit.tender !== 'cash'}
+                  className={inputClass}
+                >
+                  {PAYMENT_CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
+              {deposit.currency !== 'MAD' && (
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">MAD per {deposit.currency} *</label>
+                  <input
+                    type="number"
+                    step="0.0001"
+                    min="0.0001"
+                    name="exchange_rate"
+                    value={deposit.exchange_rate}
+                    onChange={handleChange}
+                    className={inputClass}
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Take {amountInCurrency.toFixed(2)} {deposit.currency}
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {deposit.tender === 'cash' && hasOpenTill === false && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800">
+                You have no till open, so this cash will be reported outside any till. Open yours under Cash Register before taking it.
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4 border-t">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                  isSubmitting ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'
+                }`}
+              >
+                {isSubmitting ? 'Recording...' : `Take ${formatMad(depositMad)}`}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TakeDepositModal;
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Shield, AlertTriangle, Users, Settings } from 'lucide-react';
-import { useModulePermissions, AVAILABLE_MODULES } from '../../hooks/useModulePermissions';
+import { useModulePermissions } from '../../hooks/useModulePermissions';
 import ModulePermissionsSection from './ModulePermissionsSection';
 
 const ZeroModulesDemo = () => {
@@ -12,6 +12,7 @@ const ZeroModulesDemo = () => {
   });
 
   const {
+    modules,
     permissions,
     loading,
     deactivateAllModules,
@@ -55,7 +56,7 @@ const ZeroModulesDemo = () => {
             <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
               activeCount === 0 ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
             }`}>
-              {activeCount}/{AVAILABLE_MODULES.length}
+              {activeCount}/{modules.length}
             </span>
           </div>
         </div>
@@ -1,294 +1,614 @@
-import React, { useState } from 'react';
-import { useTranslation } from 'react-i18next';
-import useFuel from '../../../hooks/useFuel';
-import { GaugeIcon, TruckIcon, CalendarIcon, ChevronsUpIcon } from 'lucide-react';
-
-const MainTankDashboard = () => {
-  const { t } = useTranslation();
-  const { 
-    tankLevel, 
-    tankCapacity, 
-    tankPercentage, 
-    externalRefills, 
-    loading, 
-    addExternalRefill,
-    formatDate,
-    canEditDelete
-  } = useFuel();
-  
-  // State for the add refill form
-  const [isAddingRefill, setIsAddingRefill] = useState(false);
-  const [formData, setFormData] = useState({
-    date: new Date().toISOString().split('T')[0],
-    supplierName: '',
-    volume: '',
-    cost: '',
-    invoiceNumber: '',
-    notes: ''
-  });
-  
-  // Handle form input changes
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData({
-      ...formData,
-      [name]: name === 'volume' || name === 'cost' ? parseFloat(value) : value
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  GaugeIcon,
+  PlusIcon,
+  MinusIcon,
+  RulerIcon,
+  PencilIcon,
+  Trash2Icon,
+  DownloadIcon,
+  AlertTriangleIcon,
+  TrendingDownIcon,
+  XIcon
+} from 'lucide-react';
+import FuelTransactionService from '../../../services/FuelTransactionService';
+import { useAuth } from '../../../contexts/AuthContext';
+import { buildExportFile, downloadBlob } from '../../../utils/exportFormats';
+
+const EMPTY_TANK = {
+  name: '',
+  site: '',
+  fuel_type: 'gasoline',
+  capacity: '',
+  initial_volume: '0',
+  low_level_percent: '15',
+  variance_tolerance_liters: '20',
+  variance_tolerance_percent: '2',
+  active: true,
+  notes: ''
+};
+
+const nowForInput = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 16);
+};
+
+const formatLiters = (value) => (value === null || value === undefined || isNaN(value) ? '—' : `${Number(value).toFixed(1)}L`);
+
+const formatVariance = (value) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${Number(value).toFixed(1)}L`);
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  timeZone: 'Africa/Casablanca',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * MainTankDashboard - Book level and dip reconciliation of every fuel tank
+ *
+ * The book level comes from refills and withdrawals; dip readings are
+ * compared with it, and the variance report shows the loss between
+ * successive readings.
+ */
+const MainTankDashboard = ({ tanks = [], onRefill, onWithdraw, onChanged }) => {
+  const { user } = useAuth();
+  const canManageTanks = ['owner', 'admin', 'manager'].includes(user?.role);
+
+  const [readings, setReadings] = useState([]);
+  const [readingsLoading, setReadingsLoading] = useState(true);
+  const [reportFilters, setReportFilters] = useState({ tankId: '', startDate: '', endDate: '' });
+
+  const [dipTank, setDipTank] = useState(null);
+  const [dipForm, setDipForm] = useState({ reading_at: nowForInput(), measured_liters: '', notes: '' });
+  const [editTank, setEditTank] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadReadings = useCallback(async () => {
+    setReadingsLoading(true);
+    const data = await FuelTransactionService.getDipReadings(reportFilters);
+    setReadings(data);
+    setReadingsLoading(false);
+  }, [reportFilters]);
+
+  useEffect(() => {
+    loadReadings();
+  }, [loadReadings]);
+
+  const report = FuelTransactionService.getVarianceReport(readings);
+
+  const getLevelPercent = (tank) => (tank.capacity > 0 ? Math.max(0, Math.min((tank.book_level / tank.capacity) * 100, 100)) : 0);
+
+  const getLevelColor = (tank) => {
+    const percent = getLevelPercent(tank);
+    if (percent <= (tank.low_level_percent ?? 15)) return { text: 'text-red-600', bar: 'bg-red-500' };
+    if (percent <= (tank.low_level_percent ?? 15) * 2) return { text: 'text-yellow-600', bar: 'bg-yellow-500' };
+    return { text: 'text-green-600', bar: 'bg-green-500' };
+  };
+
+  const openDipForm = (tank) => {
+    setDipTank(tank);
+    setDipForm({ reading_at: nowForInput(), measured_liters: '', notes: '' });
+  };
+
+  const handleRecordDip = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await FuelTransactionService.recordDipReading({
+      tank_id: dipTank.id,
+      reading_at: dipForm.reading_at,
+      measured_liters: dipForm.measured_liters,
+      recorded_by: user?.full_name || user?.email || user?.role || null,
+      notes: dipForm.notes
     });
+    setSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    const { reading } = result;
+    const variance = formatVariance(parseFloat(reading.variance_liters));
+    if (reading.exceeds_tolerance) {
+      toast.error(`${dipTank.name}: dip is ${variance} from book level, outside the ${reading.tolerance_liters}L tolerance`);
+    } else {
+      toast.success(`${dipTank.name}: dip recorded, ${variance} from book level`);
+    }
+
+    setDipTank(null);
+    loadReadings();
+    onChanged?.();
+  };
+
+  const handleDeleteReading = async (reading) => {
+    if (!window.confirm(`Delete the ${formatLiters(reading.measured_liters)} dip of ${reading.tank?.name || 'this tank'}?`)) return;
+
+    const result = await FuelTransactionService.deleteDipReading(reading.id);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    loadReadings();
+    onChanged?.();
   };
-  
-  // Handle form submission
-  const handleSubmit = async (e) => {
+
+  const handleSaveTank = async (e) => {
     e.preventDefault();
-    try {
-      await addExternalRefill({
-        ...formData,
-        date: new Date(formData.date).toISOString()
-      });
-      setIsAddingRefill(false);
-      setFormData({
-        date: new Date().toISOString().split('T')[0],
-        supplierName: '',
-        volume: '',
-        cost: '',
-        invoiceNumber: '',
-        notes: ''
-      });
-    } catch (error) {
-      console.error('Error adding refill:', error);
+    setSaving(true);
+    const result = await FuelTransactionService.saveTank(editTank);
+    setSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
     }
+
+    toast.success(`${result.tank.name} saved`);
+    setEditTank(null);
+    onChanged?.();
   };
-  
-  // Determine tank level indicator color
-  const getTankLevelColor = () => {
-    if (tankPercentage < 20) return 'text-red-600 bg-red-100';
-    if (tankPercentage < 40) return 'text-orange-600 bg-orange-100';
-    return 'text-green-600 bg-green-100';
+
+  const handleExport = async () => {
+    const blob = await buildExportFile('csv', FuelTransactionService.getDipReadingExportColumns(), report.rows);
+    downloadBlob(blob, `fuel_tank_variance_${new Date().toISOString().split('T')[0]}.csv`);
   };
-  
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
   return (
-    <div>
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Main Tank Status Card */}
-        <div className="p-6 bg-white rounded-lg shadow-sm border border-gray-200">
-          <div className="flex items-center mb-4">
-            <div className={`p-2 rounded-full ${getTankLevelColor()}`}>
-              <GaugeIcon className="h-6 w-6" />
-            </div>
-            <h2 className="text-xl font-semibold ml-3">{t('admin.fuel.mainTank.status')}</h2>
-          </div>
-          
-          {loading ? (
-            <div className="flex justify-center items-center h-32">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-700"></div>
-            </div>
-          ) : (
-            <>
-              {/* Tank level gauge */}
-              <div className="mb-4">
-                <div className="h-6 bg-gray-200 rounded-full overflow-hidden">
-                  <div 
-                    className="h-full rounded-full transition-all duration-500" 
-                    style={{ 
-                      width: `${tankPercentage}%`, 
-                      backgroundColor: tankPercentage < 20 ? '#ef4444' : tankPercentage < 40 ? '#f97316' : '#22c55e'
-                    }}
-                  ></div>
-                </div>
-                <div className="flex justify-between text-sm text-gray-600 mt-1">
-                  <span>0L</span>
-                  <span>{tankCapacity}L</span>
-                </div>
-              </div>
-              
-              {/* Tank stats */}
-              <div className="grid grid-cols-2 gap-4">
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <p className="text-sm text-gray-500">{t('admin.fuel.mainTank.current')}</p>
-                  <p className="text-2xl font-bold">{tankLevel}L <span className="text-sm font-normal text-gray-500">/ {tankCapacity}L</span></p>
-                </div>
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <p className="text-sm text-gray-500">{t('admin.fuel.mainTank.percentage')}</p>
-                  <p className={`text-2xl font-bold ${getTankLevelColor().split(' ')[0]}`}>{tankPercentage.toFixed(1)}%</p>
-                </div>
-              </div>
-            </>
-          )}
-          
-          {/* Add refill button - only shown to admin/manager */}
-          {canEditDelete && (
+    <div className="space-y-6">
+      {/* Tanks */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <GaugeIcon className="w-5 h-5 text-blue-600" />
+            Tanks
+          </h3>
+          {canManageTanks && (
             <button
-              onClick={() => setIsAddingRefill(true)}
-              className="w-full mt-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md flex items-center justify-center"
+              onClick={() => setEditTank({ ...EMPTY_TANK })}
+              className="text-blue-600 hover:text-blue-700 text-sm font-medium flex items-center gap-1"
             >
-              <ChevronsUpIcon className="h-4 w-4 mr-1" />
-              {t('admin.fuel.mainTank.addRefill')}
+              <PlusIcon className="w-4 h-4" />
+              Add Tank
             </button>
           )}
         </div>
-        
-        {/* Recent Refills Card */}
-        <div className="lg:col-span-2 p-6 bg-white rounded-lg shadow-sm border border-gray-200">
-          <div className="flex items-center mb-4">
-            <div className="p-2 rounded-full text-blue-600 bg-blue-100">
-              <TruckIcon className="h-6 w-6" />
-            </div>
-            <h2 className="text-xl font-semibold ml-3">{t('admin.fuel.mainTank.recentRefills')}</h2>
+
+        {tanks.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No fuel tanks defined yet</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {tanks.map((tank) => {
+              const color = getLevelColor(tank);
+              const percent = getLevelPercent(tank);
+
+              return (
+                <div key={tank.id} className={`border rounded-lg p-4 ${tank.active ? 'border-gray-200' : 'border-gray-100 opacity-60'}`}>
+                  <div className="flex items-start justify-between mb-3">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {tank.name}
+                        {!tank.active && <span className="ml-2 text-xs font-normal text-gray-500">(inactive)</span>}
+                      </p>
+                      <p className="text-xs text-gray-500 capitalize">
+                        {[tank.site, tank.fuel_type].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    {canManageTanks && (
+                      <button
+                        onClick={() => setEditTank({ ...tank })}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Edit tank"
+                      >
+                        <PencilIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="flex items-baseline justify-between mb-1">
+                    <span className="text-sm text-gray-600">Book level</span>
+                    <span className={`text-xl font-bold ${color.text}`}>
+                      {formatLiters(tank.book_level)} <span className="text-sm font-normal text-gray-500">/ {formatLiters(tank.capacity)}</span>
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-4 overflow-hidden">
+                    <div className={`h-4 rounded-full transition-all duration-500 ${color.bar}`} style={{ width: `${percent}%` }}></div>
+                  </div>
+                  {percent <= (tank.low_level_percent ?? 15) && tank.active && (
+                    <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+                      <AlertTriangleIcon className="w-3 h-3" />
+                      Low level - refill recommended
+                    </p>
+                  )}
+
+                  <div className="mt-3 text-sm">
+                    {tank.last_dip_at ? (
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-600">
+                          Last dip {formatLiters(tank.last_dip_liters)}
+                          <span className="text-xs text-gray-400 ml-1">{formatDateTime(tank.last_dip_at)}</span>
+                        </span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          tank.last_dip_exceeds_tolerance ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                        }`}>
+                          {formatVariance(tank.last_dip_variance)}
+                        </span>
+                      </div>
+                    ) : (
+                      <span className="text-gray-400">No dip reading yet</span>
+                    )}
+                  </div>
+
+                  {tank.active && (
+                    <div className="mt-4 flex gap-2">
+                      <button
+                        onClick={() => openDipForm(tank)}
+                        className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center justify-center gap-1"
+                      >
+                        <RulerIcon className="w-4 h-4" />
+                        Dip
+                      </button>
+                      {onRefill && (
+                        <button
+                          onClick={() => onRefill(tank)}
+                          className="flex-1 px-3 py-1.5 text-sm bg-green-600 hover:bg-green-700 text-white rounded-lg flex items-center justify-center gap-1"
+                        >
+                          <PlusIcon className="w-4 h-4" />
+                          Refill
+                        </button>
+                      )}
+                      {onWithdraw && (
+                        <button
+                          onClick={() => onWithdraw(tank)}
+                          className="flex-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg flex items-center justify-center gap-1"
+                        >
+                          <MinusIcon className="w-4 h-4" />
+                          Withdraw
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
-          
-          {loading ? (
-            <div className="flex justify-center items-center h-48">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-700"></div>
+        )}
+      </div>
+
+      {/* Variance / loss report */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200">
+        <div className="p-4 border-b border-gray-200 flex flex-col lg:flex-row lg:items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <TrendingDownIcon className="w-5 h-5 text-red-600" />
+            Dip Variance Report
+          </h3>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={reportFilters.tankId}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, tankId: e.target.value }))}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">All tanks</option>
+              {tanks.map(tank => (
+                <option key={tank.id} value={tank.id}>{tank.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={reportFilters.startDate}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, startDate: e.target.value }))}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="date"
+              value={reportFilters.endDate}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, endDate: e.target.value }))}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+            />
+            <button
+              onClick={handleExport}
+              disabled={report.rows.length === 0}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-1 disabled:opacity-50"
+            >
+              <DownloadIcon className="w-4 h-4" />
+              CSV
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4">
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Readings</p>
+            <p className="text-xl font-bold text-gray-900">{report.readings}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Out of Tolerance</p>
+            <p className={`text-xl font-bold ${report.outOfTolerance > 0 ? 'text-red-600' : 'text-gray-900'}`}>{report.outOfTolerance}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Loss</p>
+            <p className="text-xl font-bold text-red-600">{formatLiters(report.totalLoss)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Gain</p>
+            <p className="text-xl font-bold text-green-600">{formatLiters(report.totalGain)}</p>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tank</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Dip</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Book</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Since Last Dip</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.rows.map((row) => (
+                <tr key={row.id} className={row.exceeds_tolerance ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDateTime(row.reading_at)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{row.tank?.name || '—'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900 text-right">{formatLiters(row.measured_liters)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600 text-right">{formatLiters(row.book_liters)}</td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    <span className={`font-medium ${row.exceeds_tolerance ? 'text-red-700' : 'text-gray-900'}`}>
+                      {formatVariance(row.variance_liters)}
+                    </span>
+                    {row.variance_percent !== null && (
+                      <span className="text-xs text-gray-500 ml-1">({row.variance_percent}%)</span>
+                    )}
+                    {row.exceeds_tolerance && (
+                      <p className="text-xs text-red-600">tolerance ±{row.tolerance_liters}L</p>
+                    )}
+                  </td>
+                  <td className={`px-4 py-3 text-sm text-right ${row.period_change < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                    {formatVariance(row.period_change)}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{row.recorded_by || '—'}</td>
+                  <td className="px-4 py-3 text-right">
+                    {canManageTanks && (
+                      <button
+                        onClick={() => handleDeleteReading(row)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete reading"
+                      >
+                        <Trash2Icon className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!readingsLoading && report.rows.length === 0 && (
+            <div className="text-center py-8">
+              <RulerIcon className="w-12 h-12 text-gray-400 mx-auto mb-2" />
+              <p className="text-gray-500">No dip readings for this selection</p>
             </div>
-          ) : (
-            <>
-              {externalRefills.length === 0 ? (
-                <div className="text-center py-10 text-gray-500">
-                  <p>{t('admin.fuel.mainTank.noRefills')}</p>
-                </div>
-              ) : (
-                <div className="overflow-x-auto">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead>
-                      <tr className="text-xs text-gray-500 uppercase tracking-wider bg-gray-50">
-                        <th className="px-4 py-2 text-left">{t('admin.fuel.mainTank.date')}</th>
-                        <th className="px-4 py-2 text-left">{t('admin.fuel.mainTank.supplier')}</th>
-                        <th className="px-4 py-2 text-right">{t('admin.fuel.mainTank.volume')}</th>
-                        <th className="px-4 py-2 text-right">{t('admin.fuel.mainTank.cost')}</th>
-                      </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-200">
-                      {externalRefills.slice(0, 5).map((refill) => (
-                        <tr key={refill.id} className="hover:bg-gray-50">
-                          <td className="px-4 py-2 whitespace-nowrap">
-                            <div className="flex items-center">
-                              <CalendarIcon className="h-4 w-4 text-gray-400 mr-2" />
-                              <span>{formatDate(refill.date)}</span>
-                            </div>
-                          </td>
-                          <td className="px-4 py-2">{refill.supplierName}</td>
-                          <td className="px-4 py-2 text-right font-medium">{refill.volume} L</td>
-                          <td className="px-4 py-2 text-right">${refill.cost.toFixed(2)}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </>
           )}
         </div>
       </div>
-      
-      {/* Add Refill Modal */}
-      {isAddingRefill && (
+
+      {/* Dip reading modal */}
+      {dipTank && (
         <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex justify-center items-center z-50 p-4">
           <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
-            <h3 className="text-lg font-semibold mb-4">{t('admin.fuel.mainTank.addNewRefill')}</h3>
-            
-            <form onSubmit={handleSubmit}>
-              <div className="space-y-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Dip Reading - {dipTank.name}</h3>
+              <button onClick={() => setDipTank(null)} className="text-gray-400 hover:text-gray-600">
+                <XIcon className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleRecordDip} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reading Time *</label>
+                <input
+                  type="datetime-local"
+                  value={dipForm.reading_at}
+                  onChange={(e) => setDipForm(prev => ({ ...prev, reading_at: e.target.value }))}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Measured Liters *</label>
+                <input
+                  type="number"
+                  value={dipForm.measured_liters}
+                  onChange={(e) => setDipForm(prev => ({ ...prev, measured_liters: e.target.value }))}
+                  required
+                  min="0"
+                  max={dipTank.capacity}
+                  step="0.1"
+                  className={inputClass}
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  Current book level: {formatLiters(dipTank.book_level)} of {formatLiters(dipTank.capacity)}
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={dipForm.notes}
+                  onChange={(e) => setDipForm(prev => ({ ...prev, notes: e.target.value }))}
+                  rows="2"
+                  className={inputClass}
+                ></textarea>
+              </div>
+
+              <div className="flex justify-end gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setDipTank(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Record Dip'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Tank modal */}
+      {editTank && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex justify-center items-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">{editTank.id ? `Edit ${editTank.name}` : 'New Tank'}</h3>
+              <button onClick={() => setEditTank(null)} className="text-gray-400 hover:text-gray-600">
+                <XIcon className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveTank} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {t('admin.fuel.mainTank.date')}
-                  </label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
                   <input
-                    type="date"
-                    name="date"
-                    value={formData.date}
-                    onChange={handleInputChange}
+                    type="text"
+                    value={editTank.name}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, name: e.target.value }))}
                     required
-                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    className={inputClass}
                   />
                 </div>
-                
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {t('admin.fuel.mainTank.supplier')}
-                  </label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Site</label>
                   <input
                     type="text"
-                    name="supplierName"
-                    value={formData.supplierName}
-                    onChange={handleInputChange}
+                    value={editTank.site || ''}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, site: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Fuel Type</label>
+                  <select
+                    value={editTank.fuel_type}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, fuel_type: e.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="gasoline">Gasoline</option>
+                    <option value="diesel">Diesel</option>
+                    <option value="premium">Premium</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Capacity (L) *</label>
+                  <input
+                    type="number"
+                    value={editTank.capacity}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, capacity: e.target.value }))}
                     required
-                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    min="1"
+                    step="0.1"
+                    className={inputClass}
                   />
                 </div>
-                
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {t('admin.fuel.mainTank.volume')} (L)
-                    </label>
-                    <input
-                      type="number"
-                      name="volume"
-                      value={formData.volume}
-                      onChange={handleInputChange}
-                      required
-                      min="1"
-                      step="0.1"
-                      className="w-full border border-gray-300 rounded-md px-3 py-2"
-                    />
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {t('admin.fuel.mainTank.cost')} ($)
-                    </label>
-                    <input
-                      type="number"
-                      name="cost"
-                      value={formData.cost}
-                      onChange={handleInputChange}
-                      required
-                      min="0"
-                      step="0.01"
-                      className="w-full border border-gray-300 rounded-md px-3 py-2"
-                    />
-                  </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Opening Volume (L)</label>
+                  <input
+                    type="number"
+                    value={editTank.initial_volume}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, initial_volume: e.target.value }))}
+                    min="0"
+                    step="0.1"
+                    className={inputClass}
+                  />
                 </div>
-                
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {t('admin.fuel.mainTank.invoiceNumber')}
-                  </label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Low Level (%)</label>
                   <input
-                    type="text"
-                    name="invoiceNumber"
-                    value={formData.invoiceNumber}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    type="number"
+                    value={editTank.low_level_percent}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, low_level_percent: e.target.value }))}
+                    min="0"
+                    max="100"
+                    step="1"
+                    className={inputClass}
                   />
                 </div>
-                
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {t('admin.fuel.mainTank.notes')}
-                  </label>
-                  <textarea
-                    name="notes"
-                    value={formData.notes}
-                    onChange={handleInputChange}
-                    rows="2"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2"
-                  ></textarea>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Dip Tolerance (L)</label>
+                  <input
+                    type="number"
+                    value={editTank.variance_tolerance_liters}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, variance_tolerance_liters: e.target.value }))}
+                    min="0"
+                    step="0.1"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Dip Tolerance (% of book)</label>
+                  <input
+                    type="number"
+                    value={editTank.variance_tolerance_percent}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, variance_tolerance_percent: e.target.value }))}
+                    min="0"
+                    step="0.1"
+                    className={inputClass}
+                  />
                 </div>
               </div>
-              
-              <div className="mt-6 flex justify-end space-x-3">
+              <p className="text-xs text-gray-500">
+                A dip is flagged when it differs from the book level by more than the larger of the two tolerances.
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={editTank.notes || ''}
+                  onChange={(e) => setEditTank(prev => ({ ...prev, notes: e.target.value }))}
+                  rows="2"
+                  className={inputClass}
+                ></textarea>
+              </div>
+              {!editTank.is_default && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={editTank.active !== false}
+                    onChange={(e) => setEditTank(prev => ({ ...prev, active: e.target.checked }))}
+                  />
+                  Active
+                </label>
+              )}
+
+              <div className="flex justify-end gap-3 pt-2">
                 <button
                   type="button"
-                  onClick={() => setIsAddingRefill(false)}
+                  onClick={() => setEditTank(null)}
                   className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
                 >
-                  {t('common.cancel')}
+                  Cancel
                 </button>
                 <button
                   type="submit"
-                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
                 >
-                  {t('common.save')}
+                  {saving ? 'Saving...' : 'Save Tank'}
                 </button>
               </div>
             </form>
@@ -299,4 +619,4 @@ const MainTankDashboard = () => {
   );
 };
 
-export default MainTankDashboard;
\ No newline at end of file
+export default MainTankDashboard;
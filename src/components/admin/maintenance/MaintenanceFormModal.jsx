@@ -14,12 +14,15 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
     external_cost_mad: '',
     tax_mad: '',
     notes: '',
-    status: 'scheduled'
+    status: 'scheduled',
+    location_id: ''
   });
   
   // CRITICAL: Add Parts Used state and functionality
   const [partsUsed, setPartsUsed] = useState([]);
   const [inventoryItems, setInventoryItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [locationStock, setLocationStock] = useState({});
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
@@ -41,7 +44,8 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
           external_cost_mad: maintenance.external_cost_mad || '',
           tax_mad: maintenance.tax_mad || '',
           notes: maintenance.notes || maintenance.description || '',
-          status: maintenance.status || 'scheduled'
+          status: maintenance.status || 'scheduled',
+          location_id: maintenance.location_id || ''
         });
         
         // CRITICAL FIX: Load existing parts from maintenance_parts table
@@ -59,16 +63,50 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
           external_cost_mad: '',
           tax_mad: '',
           notes: '',
-          status: 'scheduled'
+          status: 'scheduled',
+          location_id: ''
         });
         setPartsUsed([]);
       }
       
       // CRITICAL FIX: Load inventory items directly instead of empty catalog
       loadInventoryItems();
+      loadLocations();
     }
   }, [isOpen, maintenance]);
 
+  // Parts are picked from the stock where the work is done
+  useEffect(() => {
+    if (isOpen && formData.location_id) {
+      loadLocationStock(formData.location_id);
+    }
+  }, [isOpen, formData.location_id]);
+
+  const loadLocations = async () => {
+    try {
+      const data = await InventoryService.getLocations();
+      setLocations(data);
+      setFormData(prev => (prev.location_id ? prev : { ...prev, location_id: InventoryService.getWorkingLocationId(data) || '' }));
+    } catch (error) {
+      console.error('❌ Error loading stock locations:', error);
+      setLocations([]);
+    }
+  };
+
+  const loadLocationStock = async (locationId) => {
+    try {
+      setLocationStock(await InventoryService.getStockLevels(locationId));
+    } catch (error) {
+      console.error('❌ Error loading stock levels:', error);
+      setLocationStock({});
+    }
+  };
+
+  // Stock at the selected location; the company-wide total until locations load
+  const getAvailableStock = (item) => (
+    formData.location_id ? locationStock[item.id]?.quantity || 0 : item.stock_on_hand || 0
+  );
+
   // CRITICAL FIX: Load existing parts from maintenance_parts table
   const loadMaintenanceParts = async (maintenanceId) => {
     try {
@@ -118,7 +156,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
       const items = await InventoryService.getItems({ active: true });
       
       console.log(`✅ CRITICAL FIX: Loaded ${items.length} active inventory items directly`);
-      console.log('📦 Available items:', items.map(item => `${item.name} (${item.id}) - Stock: ${item.stock_on_hand || item.stock_on_hand || 0}`));
+      console.log('📦 Available items:', items.map(item => `${item.name} (${item.id}) - Stock: ${getAvailableStock(item)}`));
       
       setInventoryItems(items);
     } catch (error) {
@@ -145,7 +183,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
       if (itemId && quantity > 0) {
         const item = getItemDetails(itemId);
         if (item) {
-          const availableStock = item.stock_on_hand || item.stock_on_hand || 0;
+          const availableStock = getAvailableStock(item);
           if (quantity > availableStock) {
             alert(`Insufficient stock for ${item.name}. Available: ${availableStock} ${item.unit || 'units'}`);
             return; // Don't update if insufficient stock
@@ -210,7 +248,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
         if (part.item_id && part.quantity > 0) {
           const item = getItemDetails(part.item_id);
           if (item) {
-            const availableStock = item.stock_on_hand || item.stock_on_hand || 0;
+            const availableStock = getAvailableStock(item);
             if (part.quantity > availableStock) {
               alert(`Cannot save: Insufficient stock for ${item.name}. Available: ${availableStock} ${item.unit || 'units'}, Required: ${part.quantity}`);
               setLoading(false);
@@ -231,6 +269,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
       
       const maintenanceData = {
         ...formData,
+        location_id: formData.location_id || null,
         parts_used: JSON.stringify(partsUsed),
         parts_cost_mad: partsCost,
         total_cost_mad: totalCost
@@ -284,7 +323,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
       for (const part of partsUsed) {
         const item = getItemDetails(part.item_id);
         if (item) {
-          const currentStock = item.stock_on_hand || item.stock_on_hand || 0;
+          const currentStock = getAvailableStock(item);
           if (part.quantity > currentStock) {
             stockIssues.push(`${item.name}: Need ${part.quantity}, only ${currentStock} available`);
           }
@@ -307,6 +346,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
       // Update maintenance record with completed status and costs
       const updatedMaintenanceData = {
         ...formData,
+        location_id: formData.location_id || null,
         status: 'completed',
         parts_used: JSON.stringify(partsUsed),
         parts_cost_mad: partsCost,
@@ -486,6 +526,22 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
                 </button>
               </div>
 
+              {locations.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Parts taken from</label>
+                  <select
+                    name="location_id"
+                    value={formData.location_id}
+                    onChange={handleInputChange}
+                    className="w-full md:w-1/2 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {inventoryItems.length === 0 && (
                 <div className="text-center py-4 bg-yellow-50 rounded-lg border border-yellow-200">
                   <PackageIcon className="h-8 w-8 text-yellow-400 mx-auto mb-2" />
@@ -516,7 +572,7 @@ const MaintenanceFormModal = ({ isOpen, onClose, maintenance, vehicles = [], onS
                           >
                             <option value="">Select item</option>
                             {inventoryItems.map(item => {
-                              const currentStock = item.stock_on_hand || item.stock_on_hand || 0;
+                              const currentStock = getAvailableStock(item);
                               const isOutOfStock = currentStock <= 0;
                               return (
                                 <option 
@@ -1,23 +1,45 @@
 import React, { useState, useEffect } from 'react';
-import { useTranslation } from 'react-i18next';
-import SimplePricingService from '../../../services/SimplePricingService';
-import { Plus, Edit2, Trash2, ToggleLeft, ToggleRight, Copy } from 'lucide-react';
+import PromoCodeService, { PROMO_CHANNELS, PROMO_STACKING } from '../../../services/PromoCodeService';
+import { Plus, Edit2, Trash2, ToggleLeft, ToggleRight, Copy, ChevronDown, ChevronUp, BarChart3 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
-const PromoCodesManager = () => {
-  const { t } = useTranslation();
+const EMPTY_FORM = {
+  code: '',
+  campaign: '',
+  description: '',
+  discount_type: 'percent',
+  discount_value: '',
+  valid_from: '',
+  valid_until: '',
+  max_redemptions: '',
+  max_redemptions_per_customer: '',
+  min_duration_hours: '',
+  vehicle_model_ids: [],
+  channels: [],
+  stacking: 'combine',
+  is_active: true
+};
+
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toOptionalInteger = (value) => (value === '' || value === null ? null : parseInt(value, 10));
+
+const formatMAD = (value) => `${(Number(value) || 0).toFixed(2)} MAD`;
+
+const PromoCodesManager = ({ vehicleModels = [] }) => {
   const [promos, setPromos] = useState([]);
+  const [redemptionTotals, setRedemptionTotals] = useState({});
+  const [campaigns, setCampaigns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingPromo, setEditingPromo] = useState(null);
-  const [formData, setFormData] = useState({
-    code: '',
-    discount_type: 'percent',
-    discount_value: '',
-    valid_from: '',
-    valid_until: '',
-    is_active: true
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [expandedPromoId, setExpandedPromoId] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
 
   useEffect(() => {
     loadPromos();
@@ -26,15 +48,17 @@ const PromoCodesManager = () => {
   const loadPromos = async () => {
     try {
       setLoading(true);
-      const result = await SimplePricingService.getPromoCodes();
-      if (result.success) {
-        setPromos(result.data);
-      } else {
-        toast.error('Failed to load promo codes');
-      }
+      const [promoList, totals, performance] = await Promise.all([
+        PromoCodeService.getPromoCodes(),
+        PromoCodeService.getRedemptionTotals(),
+        PromoCodeService.getCampaignPerformance()
+      ]);
+      setPromos(promoList);
+      setRedemptionTotals(totals);
+      setCampaigns(performance);
     } catch (error) {
       console.error('Error loading promo codes:', error);
-      toast.error('Error loading promo codes');
+      toast.error(error.message);
     } finally {
       setLoading(false);
     }
@@ -43,36 +67,40 @@ const PromoCodesManager = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const promoData = {
+      await PromoCodeService.savePromoCode({
         ...formData,
-        code: formData.code.toUpperCase(),
+        id: editingPromo?.id,
         discount_value: parseFloat(formData.discount_value),
         valid_from: formData.valid_from ? new Date(formData.valid_from).toISOString() : null,
-        valid_until: formData.valid_until ? new Date(formData.valid_until).toISOString() : null
-      };
-
-      const result = await SimplePricingService.savePromoCode(promoData);
-      if (result.success) {
-        toast.success(editingPromo ? 'Promo code updated successfully' : 'Promo code created successfully');
-        setShowForm(false);
-        setEditingPromo(null);
-        resetForm();
-        loadPromos();
-      } else {
-        toast.error('Failed to save promo code');
-      }
+        valid_until: formData.valid_until ? new Date(formData.valid_until).toISOString() : null,
+        max_redemptions: toOptionalInteger(formData.max_redemptions),
+        max_redemptions_per_customer: toOptionalInteger(formData.max_redemptions_per_customer),
+        min_duration_hours: toOptionalInteger(formData.min_duration_hours),
+        description: formData.description?.trim() || null
+      });
+      toast.success(editingPromo ? 'Promo code updated successfully' : 'Promo code created successfully');
+      handleCancel();
+      loadPromos();
     } catch (error) {
       console.error('Error saving promo code:', error);
-      toast.error('Error saving promo code');
+      toast.error(error.message);
     }
   };
 
   const handleEdit = (promo) => {
     setEditingPromo(promo);
     setFormData({
+      ...EMPTY_FORM,
       ...promo,
-      valid_from: promo.valid_from ? new Date(promo.valid_from).toISOString().slice(0, 16) : '',
-      valid_until: promo.valid_until ? new Date(promo.valid_until).toISOString().slice(0, 16) : ''
+      campaign: promo.campaign || '',
+      description: promo.description || '',
+      valid_from: toLocalInput(promo.valid_from),
+      valid_until: toLocalInput(promo.valid_until),
+      max_redemptions: promo.max_redemptions ?? '',
+      max_redemptions_per_customer: promo.max_redemptions_per_customer ?? '',
+      min_duration_hours: promo.min_duration_hours ?? '',
+      vehicle_model_ids: promo.vehicle_model_ids || [],
+      channels: promo.channels || []
     });
     setShowForm(true);
   };
@@ -80,33 +108,38 @@ const PromoCodesManager = () => {
   const handleDelete = async (promoId) => {
     if (window.confirm('Are you sure you want to delete this promo code?')) {
       try {
-        const result = await SimplePricingService.deletePromoCode(promoId);
-        if (result.success) {
-          toast.success('Promo code deleted successfully');
-          loadPromos();
-        } else {
-          toast.error('Failed to delete promo code');
-        }
+        await PromoCodeService.deletePromoCode(promoId);
+        toast.success('Promo code deleted successfully');
+        loadPromos();
       } catch (error) {
         console.error('Error deleting promo code:', error);
-        toast.error('Error deleting promo code');
+        toast.error(error.message);
       }
     }
   };
 
   const handleToggleActive = async (promo) => {
     try {
-      const updatedPromo = { ...promo, is_active: !promo.is_active };
-      const result = await SimplePricingService.savePromoCode(updatedPromo);
-      if (result.success) {
-        toast.success(`Promo code ${updatedPromo.is_active ? 'activated' : 'deactivated'}`);
-        loadPromos();
-      } else {
-        toast.error('Failed to update promo code status');
-      }
+      await PromoCodeService.savePromoCode({ ...promo, is_active: !promo.is_active });
+      toast.success(`Promo code ${!promo.is_active ? 'activated' : 'deactivated'}`);
+      loadPromos();
     } catch (error) {
       console.error('Error updating promo code status:', error);
-      toast.error('Error updating promo code status');
+      toast.error(error.message);
+    }
+  };
+
+  const handleToggleRedemptions = async (promoId) => {
+    if (expandedPromoId === promoId) {
+      setExpandedPromoId(null);
+      return;
+    }
+    try {
+      setRedemptions(await PromoCodeService.getRedemptions(promoId));
+      setExpandedPromoId(promoId);
+    } catch (error) {
+      console.error('Error loading promo redemptions:', error);
+      toast.error(error.message);
     }
   };
 
@@ -115,21 +148,19 @@ const PromoCodesManager = () => {
     toast.success('Promo code copied to clipboard');
   };
 
-  const resetForm = () => {
-    setFormData({
-      code: '',
-      discount_type: 'percent',
-      discount_value: '',
-      valid_from: '',
-      valid_until: '',
-      is_active: true
-    });
+  const toggleListValue = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
   };
 
   const handleCancel = () => {
     setShowForm(false);
     setEditingPromo(null);
-    resetForm();
+    setFormData(EMPTY_FORM);
   };
 
   const isPromoExpired = (promo) => {
@@ -142,6 +173,22 @@ const PromoCodesManager = () => {
     return new Date(promo.valid_from) > new Date();
   };
 
+  const describeEligibility = (promo) => {
+    const rules = [];
+    if (promo.channels?.length > 0) {
+      rules.push(promo.channels.map(channel => PROMO_CHANNELS[channel] || channel).join(', '));
+    }
+    if (promo.vehicle_model_ids?.length > 0) {
+      rules.push(promo.vehicle_model_ids
+        .map(id => vehicleModels.find(model => model.id === id)?.name || 'Unknown model')
+        .join(', '));
+    }
+    if (promo.min_duration_hours) {
+      rules.push(`Min ${promo.min_duration_hours} h`);
+    }
+    return rules.length > 0 ? rules : ['All rentals and tours'];
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -168,6 +215,48 @@ const PromoCodesManager = () => {
         </button>
       </div>
 
+      {/* Campaign Performance */}
+      {campaigns.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-md font-medium text-gray-900 mb-3 flex items-center gap-2">
+            <BarChart3 className="w-4 h-4" />
+            Campaign Performance
+          </h3>
+          <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 md:rounded-lg">
+            <table className="min-w-full divide-y divide-gray-300">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Campaign</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Redemptions</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Customers</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Discount Cost</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {campaigns.map((campaign) => (
+                  <tr key={campaign.campaign}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{campaign.campaign}</div>
+                      <div className="text-xs text-gray-500">{campaign.codes} code{campaign.codes !== 1 ? 's' : ''}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                      {campaign.redemptions}
+                      {campaign.voided > 0 && (
+                        <span className="text-xs text-gray-500"> ({campaign.voided} voided)</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{campaign.customers}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-green-700">{formatMAD(campaign.revenue)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-red-700">{formatMAD(campaign.discount_cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Promo Form */}
       {showForm && (
         <div className="bg-gray-50 border border-gray-200 rounded-lg p-6 mb-6">
@@ -189,6 +278,18 @@ const PromoCodesManager = () => {
                 <p className="text-xs text-gray-500 mt-1">Will be automatically converted to uppercase</p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Campaign (Optional)</label>
+                <input
+                  type="text"
+                  value={formData.campaign}
+                  onChange={(e) => setFormData({ ...formData, campaign: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., Summer 2026"
+                />
+                <p className="text-xs text-gray-500 mt-1">Codes of the same campaign are reported together</p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700">Discount Type</label>
                 <select
@@ -219,16 +320,6 @@ const PromoCodesManager = () => {
                 />
               </div>
 
-              <div className="flex items-center">
-                <input
-                  type="checkbox"
-                  checked={formData.is_active}
-                  onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })}
-                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                />
-                <label className="ml-2 block text-sm text-gray-900">Active</label>
-              </div>
-
               <div>
                 <label className="block text-sm font-medium text-gray-700">Valid From (Optional)</label>
                 <input
@@ -248,6 +339,112 @@ const PromoCodesManager = () => {
                   className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Total Uses (Optional)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.max_redemptions}
+                  onChange={(e) => setFormData({ ...formData, max_redemptions: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Unlimited"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Uses per Customer (Optional)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.max_redemptions_per_customer}
+                  onChange={(e) => setFormData({ ...formData, max_redemptions_per_customer: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Unlimited"
+                />
+                <p className="text-xs text-gray-500 mt-1">Customers are matched by email or phone number</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Minimum Rental Duration (Hours, Optional)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.min_duration_hours}
+                  onChange={(e) => setFormData({ ...formData, min_duration_hours: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., 72 for 3 days"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Stacking</label>
+                <select
+                  value={formData.stacking}
+                  onChange={(e) => setFormData({ ...formData, stacking: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries(PROMO_STACKING).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Channels</label>
+                <div className="space-y-1">
+                  {Object.entries(PROMO_CHANNELS).map(([value, label]) => (
+                    <label key={value} className="flex items-center text-sm text-gray-900">
+                      <input
+                        type="checkbox"
+                        checked={formData.channels.includes(value)}
+                        onChange={() => toggleListValue('channels', value)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">None selected: valid everywhere</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Vehicle Models</label>
+                <div className="space-y-1 max-h-32 overflow-y-auto">
+                  {vehicleModels.map(model => (
+                    <label key={model.id} className="flex items-center text-sm text-gray-900">
+                      <input
+                        type="checkbox"
+                        checked={formData.vehicle_model_ids.includes(model.id)}
+                        onChange={() => toggleListValue('vehicle_model_ids', model.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                      />
+                      {model.name}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">None selected: valid for every model</p>
+              </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700">Description (Optional)</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.is_active}
+                  onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label className="ml-2 block text-sm text-gray-900">Active</label>
+              </div>
             </div>
 
             <div className="flex justify-end space-x-3 pt-4">
@@ -280,9 +477,15 @@ const PromoCodesManager = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Discount
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Eligibility
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Validity Period
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Uses
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Status
               </th>
@@ -294,96 +497,167 @@ const PromoCodesManager = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {promos.length === 0 ? (
               <tr>
-                <td colSpan="5" className="px-6 py-12 text-center text-gray-500">
+                <td colSpan="7" className="px-6 py-12 text-center text-gray-500">
                   No promo codes created yet. Click "Add Promo Code" to create your first promotional offer.
                 </td>
               </tr>
             ) : (
-              promos.map((promo) => (
-                <tr key={promo.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center space-x-2">
-                      <div className="text-sm font-mono font-medium text-gray-900 bg-gray-100 px-2 py-1 rounded">
-                        {promo.code}
-                      </div>
-                      <button
-                        onClick={() => handleCopyCode(promo.code)}
-                        className="text-gray-400 hover:text-gray-600"
-                        title="Copy code"
-                      >
-                        <Copy className="w-4 h-4" />
-                      </button>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">
-                      {promo.discount_type === 'percent' 
-                        ? `${promo.discount_value}% off` 
-                        : `${promo.discount_value} MAD off`
-                      }
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">
-                      {promo.valid_from || promo.valid_until ? (
-                        <div>
-                          {promo.valid_from && (
-                            <div>From: {new Date(promo.valid_from).toLocaleDateString()}</div>
-                          )}
-                          {promo.valid_until && (
-                            <div>Until: {new Date(promo.valid_until).toLocaleDateString()}</div>
+              promos.map((promo) => {
+                const totals = redemptionTotals[promo.id] || { redemptions: 0, discount: 0 };
+                return (
+                  <React.Fragment key={promo.id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <div className="text-sm font-mono font-medium text-gray-900 bg-gray-100 px-2 py-1 rounded">
+                            {promo.code}
+                          </div>
+                          <button
+                            onClick={() => handleCopyCode(promo.code)}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Copy code"
+                          >
+                            <Copy className="w-4 h-4" />
+                          </button>
+                        </div>
+                        {promo.campaign && (
+                          <div className="text-xs text-gray-500 mt-1">{promo.campaign}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {promo.discount_type === 'percent'
+                            ? `${promo.discount_value}% off`
+                            : `${promo.discount_value} MAD off`
+                          }
+                        </div>
+                        <div className="text-xs text-gray-500">{PROMO_STACKING[promo.stacking] || PROMO_STACKING.combine}</div>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-xs text-gray-700 space-y-0.5">
+                          {describeEligibility(promo).map(rule => (
+                            <div key={rule}>{rule}</div>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {promo.valid_from || promo.valid_until ? (
+                            <div>
+                              {promo.valid_from && (
+                                <div>From: {new Date(promo.valid_from).toLocaleDateString()}</div>
+                              )}
+                              {promo.valid_until && (
+                                <div>Until: {new Date(promo.valid_until).toLocaleDateString()}</div>
+                              )}
+                            </div>
+                          ) : (
+                            <span className="text-gray-500">No expiration</span>
                           )}
                         </div>
-                      ) : (
-                        <span className="text-gray-500">No expiration</span>
-                      )}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => handleToggleActive(promo)}
-                        className={`p-1 rounded ${promo.is_active ? 'text-green-600' : 'text-gray-400'}`}
-                        title={promo.is_active ? 'Active' : 'Inactive'}
-                      >
-                        {promo.is_active ? (
-                          <ToggleRight className="w-5 h-5" />
-                        ) : (
-                          <ToggleLeft className="w-5 h-5" />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleToggleRedemptions(promo.id)}
+                          className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                          title="Show redemptions"
+                        >
+                          {totals.redemptions}{promo.max_redemptions ? ` / ${promo.max_redemptions}` : ''}
+                          {expandedPromoId === promo.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                        </button>
+                        {promo.max_redemptions_per_customer && (
+                          <div className="text-xs text-gray-500">Max {promo.max_redemptions_per_customer} per customer</div>
                         )}
-                      </button>
-                      {isPromoExpired(promo) && (
-                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                          Expired
-                        </span>
-                      )}
-                      {isPromoNotYetValid(promo) && (
-                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                          Not Yet Valid
-                        </span>
-                      )}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <div className="flex space-x-2">
-                      <button
-                        onClick={() => handleEdit(promo)}
-                        className="text-blue-600 hover:text-blue-900"
-                        title="Edit"
-                      >
-                        <Edit2 className="w-4 h-4" />
-                      </button>
-                      <button
-                        onClick={() => handleDelete(promo.id)}
-                        className="text-red-600 hover:text-red-900"
-                        title="Delete"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))
+                        {totals.discount > 0 && (
+                          <div className="text-xs text-gray-500">{formatMAD(totals.discount)} given</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => handleToggleActive(promo)}
+                            className={`p-1 rounded ${promo.is_active ? 'text-green-600' : 'text-gray-400'}`}
+                            title={promo.is_active ? 'Active' : 'Inactive'}
+                          >
+                            {promo.is_active ? (
+                              <ToggleRight className="w-5 h-5" />
+                            ) : (
+                              <ToggleLeft className="w-5 h-5" />
+                            )}
+                          </button>
+                          {isPromoExpired(promo) && (
+                            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              Expired
+                            </span>
+                          )}
+                          {isPromoNotYetValid(promo) && (
+                            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Not Yet Valid
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => handleEdit(promo)}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="Edit"
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                          {totals.redemptions === 0 && (
+                            <button
+                              onClick={() => handleDelete(promo.id)}
+                              className="text-red-600 hover:text-red-900"
+                              title="Delete"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+
+                    {expandedPromoId === promo.id && (
+                      <tr>
+                        <td colSpan="7" className="px-6 py-4 bg-gray-50">
+                          {redemptions.length === 0 ? (
+                            <p className="text-sm text-gray-500">This code has not been used yet.</p>
+                          ) : (
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-left text-xs text-gray-500 uppercase">
+                                  <th className="py-1 pr-4">Date</th>
+                                  <th className="py-1 pr-4">Booking</th>
+                                  <th className="py-1 pr-4">Customer</th>
+                                  <th className="py-1 pr-4 text-right">Order</th>
+                                  <th className="py-1 pr-4 text-right">Discount</th>
+                                  <th className="py-1">Status</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {redemptions.map(redemption => (
+                                  <tr key={redemption.id} className={redemption.status === 'voided' ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                                    <td className="py-1 pr-4">{new Date(redemption.redeemed_at).toLocaleString()}</td>
+                                    <td className="py-1 pr-4">
+                                      {redemption.rental_id ? 'Rental' : 'Tour'} · {PROMO_CHANNELS[redemption.channel] || redemption.channel}
+                                    </td>
+                                    <td className="py-1 pr-4">{redemption.customer_email || redemption.customer_phone || '—'}</td>
+                                    <td className="py-1 pr-4 text-right">{formatMAD(redemption.order_amount)}</td>
+                                    <td className="py-1 pr-4 text-right">{formatMAD(redemption.discount_amount)}</td>
+                                    <td className="py-1 capitalize">{redemption.status}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
             )}
           </tbody>
         </table>
@@ -392,4 +666,4 @@ const PromoCodesManager = () => {
   );
 };
 
-export default PromoCodesManager;
\ No newline at end of file
+export default PromoCodesManager;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { getEventStyle, formatEventTime } from './calendarEventStyles';
+
+const HOUR_HEIGHT = 48; // px per hour row
+const FIRST_HOUR = 6;
+const LAST_HOUR = 22;
+const BOX_START_TYPE = 'application/x-calendar-box-start';
+
+const isSameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+/**
+ * CalendarTimeGrid - hour-by-hour week/day view.
+ * Draggable events can be dropped on any hour slot; onEventDrop receives the
+ * event and the new start, keeping the original duration is up to the caller.
+ * A multi-day event dragged by a later day's box moves by as much as that
+ * box was moved.
+ */
+const CalendarTimeGrid = ({ days, events, onEventClick, onEventDrop }) => {
+  const hours = [];
+  for (let hour = FIRST_HOUR; hour <= LAST_HOUR; hour++) {
+    hours.push(hour);
+  }
+
+  const getEventsForDay = (day) => {
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    return events.filter(event => event.start < dayEnd && event.end > dayStart);
+  };
+
+  // Clip multi-day events to the visible hours of this column
+  const getEventBox = (event, day) => {
+    const columnStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), FIRST_HOUR);
+    const columnEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate(), LAST_HOUR + 1);
+    const start = event.start < columnStart ? columnStart : event.start;
+    const end = event.end > columnEnd ? columnEnd : event.end;
+    const top = ((start - columnStart) / 3600000) * HOUR_HEIGHT;
+    const height = Math.max(((end - start) / 3600000) * HOUR_HEIGHT, 20);
+    return { start, top, height };
+  };
+
+  // The box's own start goes along, so the drop can move the event by the offset
+  const handleDragStart = (e, event, boxStart) => {
+    e.dataTransfer.setData('text/plain', event.id);
+    e.dataTransfer.setData(BOX_START_TYPE, boxStart.toISOString());
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (e, day, hour) => {
+    e.preventDefault();
+    const eventId = e.dataTransfer.getData('text/plain');
+    const event = events.find(item => item.id === eventId);
+    if (!event || !onEventDrop) return;
+
+    const boxStart = new Date(e.dataTransfer.getData(BOX_START_TYPE) || event.start);
+    const target = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, boxStart.getMinutes());
+    const newStart = new Date(event.start.getTime() + (target - boxStart));
+    onEventDrop(event, { start: newStart });
+  };
+
+  const today = new Date();
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-x-auto">
+      {/* Day headers */}
+      <div className="grid border-b border-gray-200" style={{ gridTemplateColumns: `56px repeat(${days.length}, minmax(120px, 1fr))` }}>
+        <div />
+        {days.map(day => (
+          <div
+            key={day.toISOString()}
+            className={`p-2 text-center text-sm font-medium ${isSameDay(day, today) ? 'text-blue-600' : 'text-gray-700'}`}
+          >
+            {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+          </div>
+        ))}
+      </div>
+
+      {/* Hour grid */}
+      <div className="grid" style={{ gridTemplateColumns: `56px repeat(${days.length}, minmax(120px, 1fr))` }}>
+        <div>
+          {hours.map(hour => (
+            <div key={hour} className="text-xs text-gray-500 text-right pr-2" style={{ height: HOUR_HEIGHT }}>
+              {String(hour).padStart(2, '0')}:00
+            </div>
+          ))}
+        </div>
+
+        {days.map(day => (
+          <div key={day.toISOString()} className="relative border-l border-gray-100">
+            {hours.map(hour => (
+              <div
+                key={hour}
+                className="border-b border-gray-100"
+                style={{ height: HOUR_HEIGHT }}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handleDrop(e, day, hour)}
+              />
+            ))}
+
+            {getEventsForDay(day).map(event => {
+              const { start, top, height } = getEventBox(event, day);
+              const style = getEventStyle(event.type);
+              return (
+                <div
+                  key={event.id}
+                  draggable={event.draggable}
+                  onDragStart={(e) => handleDragStart(e, event, start)}
+                  onClick={() => onEventClick && onEventClick(event)}
+                  className={`absolute left-1 right-1 rounded border px-1 text-xs overflow-hidden cursor-pointer ${style.chip} ${event.draggable ? 'cursor-move' : ''}`}
+                  style={{ top, height }}
+                  title={`${event.title} (${formatEventTime(event.start)} - ${formatEventTime(event.end)})`}
+                >
+                  <div className="font-semibold truncate">{event.title}</div>
+                  <div className="truncate">{formatEventTime(event.start)} - {formatEventTime(event.end)}</div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarTimeGrid;
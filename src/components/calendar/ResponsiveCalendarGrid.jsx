@@ -162,9 +162,9 @@ const ResponsiveCalendarGrid = ({
                             e.stopPropagation();
                             onBookingClick && onBookingClick(booking);
                           }}
-                          className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded mb-1 truncate cursor-pointer hover:bg-blue-200 transition-colors"
+                          className={`text-xs ${booking.colorClass || 'bg-blue-100 text-blue-800 hover:bg-blue-200'} px-2 py-1 rounded mb-1 truncate cursor-pointer transition-colors`}
                         >
-                          {booking.selectedTime} - {booking.participants?.[0]?.name || 'Guest'}
+                          {booking.selectedTime} - {booking.title || booking.participants?.[0]?.name || 'Guest'}
                         </div>
                       ))}
                       
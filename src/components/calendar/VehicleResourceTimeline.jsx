@@ -0,0 +1,111 @@
+import React from 'react';
+import { getEventStyle, formatEventTime } from './calendarEventStyles';
+
+const isSameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+/**
+ * VehicleResourceTimeline - one row per vehicle, one column per day.
+ * Dropping a rental on another cell moves it to that vehicle and shifts
+ * it by as many days as the cell it was dragged from, keeping its time of
+ * day and duration.
+ */
+const DRAG_DAY_TYPE = 'application/x-calendar-day';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VehicleResourceTimeline = ({ days, vehicles, events, onEventClick, onEventDrop }) => {
+  const unassignedEvents = events.filter(event => !event.vehicleId);
+
+  const getCellEvents = (vehicleId, day) => {
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    const rowEvents = vehicleId === null
+      ? unassignedEvents
+      : events.filter(event => String(event.vehicleId) === String(vehicleId));
+    return rowEvents.filter(event => event.start < dayEnd && event.end > dayStart);
+  };
+
+  const handleDrop = (e, vehicleId, day) => {
+    e.preventDefault();
+    const eventId = e.dataTransfer.getData('text/plain');
+    const event = events.find(item => item.id === eventId);
+    if (!event || !onEventDrop || vehicleId === null) return;
+
+    const draggedFrom = new Date(e.dataTransfer.getData(DRAG_DAY_TYPE) || event.start);
+    const fromDay = new Date(draggedFrom.getFullYear(), draggedFrom.getMonth(), draggedFrom.getDate());
+    const toDay = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    // Rounded: a day across a clock change is not 24 hours long
+    const dayOffset = Math.round((toDay - fromDay) / DAY_MS);
+
+    const newStart = new Date(event.start);
+    newStart.setDate(newStart.getDate() + dayOffset);
+    onEventDrop(event, { start: newStart, vehicleId });
+  };
+
+  const rows = [
+    ...vehicles.map(vehicle => ({
+      id: vehicle.id,
+      label: vehicle.name,
+      sublabel: vehicle.plate_number
+    })),
+    { id: null, label: 'Tours / unassigned', sublabel: null }
+  ];
+
+  const today = new Date();
+  const gridTemplateColumns = `180px repeat(${days.length}, minmax(110px, 1fr))`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-x-auto">
+      <div className="grid border-b border-gray-200" style={{ gridTemplateColumns }}>
+        <div className="p-2 text-sm font-medium text-gray-700">Vehicle</div>
+        {days.map(day => (
+          <div
+            key={day.toISOString()}
+            className={`p-2 text-center text-sm font-medium ${isSameDay(day, today) ? 'text-blue-600' : 'text-gray-700'}`}
+          >
+            {day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+          </div>
+        ))}
+      </div>
+
+      {rows.map(row => (
+        <div key={row.id ?? 'unassigned'} className="grid border-b border-gray-100" style={{ gridTemplateColumns }}>
+          <div className="p-2">
+            <div className="text-sm font-medium text-gray-900 truncate">{row.label}</div>
+            {row.sublabel && <div className="text-xs text-gray-500">{row.sublabel}</div>}
+          </div>
+
+          {days.map(day => (
+            <div
+              key={day.toISOString()}
+              className="p-1 min-h-[56px] border-l border-gray-100 space-y-1"
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleDrop(e, row.id, day)}
+            >
+              {getCellEvents(row.id, day).map(event => (
+                <div
+                  key={event.id}
+                  draggable={event.draggable}
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', event.id);
+                    e.dataTransfer.setData(DRAG_DAY_TYPE, day.toISOString());
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onClick={() => onEventClick && onEventClick(event)}
+                  className={`text-xs rounded border px-1 py-0.5 truncate ${getEventStyle(event.type).chip} ${event.draggable ? 'cursor-move' : 'cursor-pointer'}`}
+                  title={event.title}
+                >
+                  {isSameDay(event.start, day) ? formatEventTime(event.start) : '…'} {event.title}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default VehicleResourceTimeline;
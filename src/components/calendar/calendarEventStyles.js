@@ -0,0 +1,25 @@
+/**
+ * Tailwind classes per calendar event type (rental / tour / maintenance)
+ */
+export const EVENT_TYPE_STYLES = {
+  rental: {
+    label: 'Rental',
+    chip: 'bg-blue-100 text-blue-800 hover:bg-blue-200 border-blue-300',
+    dot: 'bg-blue-500'
+  },
+  tour: {
+    label: 'Tour',
+    chip: 'bg-green-100 text-green-800 hover:bg-green-200 border-green-300',
+    dot: 'bg-green-500'
+  },
+  maintenance: {
+    label: 'Maintenance',
+    chip: 'bg-orange-100 text-orange-800 hover:bg-orange-200 border-orange-300',
+    dot: 'bg-orange-500'
+  }
+};
+
+export const getEventStyle = (type) => EVENT_TYPE_STYLES[type] || EVENT_TYPE_STYLES.rental;
+
+export const formatEventTime = (date) =>
+  date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, X } from 'lucide-react';
+import StepUpService, { STEP_UP_ACTIONS } from '../../services/StepUpService';
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * StepUpModal - asks for the PIN and an authenticator or recovery code,
+ * and gets a grant for the action from the database
+ */
+const StepUpModal = ({ request, onVerified, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    setPin('');
+    setCode('');
+    setError(null);
+  }, [request]);
+
+  if (!request) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setVerifying(true);
+      setError(null);
+      const result = await StepUpService.verify({
+        action: request.action,
+        targetIds: request.targetIds,
+        pin,
+        code
+      });
+      if (result.verified) {
+        onVerified(result);
+        return;
+      }
+      setCode('');
+      setError(result.locked_until
+        ? `${result.error}. Try again after ${formatTime(result.locked_until)}.`
+        : result.error);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-sm">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-semibold text-gray-900">Confirm it's you</h3>
+          </div>
+          <button type="button" onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-700">
+            {request.description || STEP_UP_ACTIONS[request.action]}
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">PIN</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              autoFocus
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Authenticator code</label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="mt-1 text-xs text-gray-500">Phone not at hand? Enter one of your recovery codes instead.</p>
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={verifying || !pin || !code}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {verifying ? 'Checking...' : 'Confirm'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StepUpModal;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { financeApiV2 } from '../../services/financeApiV2';
+
+const BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days30', label: '1-30 days' },
+  { key: 'days60', label: '31-60 days' },
+  { key: 'days90', label: '61-90 days' },
+  { key: 'over90', label: 'Over 90 days' }
+];
+
+const formatAmount = (amount) =>
+  amount
+    ? new Intl.NumberFormat('fr-MA', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount)
+    : '–';
+
+/**
+ * ARAgingTableV2 - Open receivables per customer as of the period end
+ */
+const ARAgingTableV2 = ({ filters, refreshTrigger }) => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadAging();
+  }, [filters, refreshTrigger]);
+
+  const loadAging = async () => {
+    try {
+      setLoading(true);
+      setRows(await financeApiV2.getARAgingData(filters));
+    } catch (error) {
+      console.error('❌ Error loading AR aging:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totals = BUCKETS.reduce((acc, bucket) => {
+    acc[bucket.key] = rows.reduce((sum, row) => sum + row[bucket.key], 0);
+    return acc;
+  }, { totalOutstanding: rows.reduce((sum, row) => sum + row.totalOutstanding, 0) });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <div className="p-2 bg-orange-100 rounded-lg">
+          <Clock className="w-5 h-5 text-orange-600" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Accounts Receivable Aging</h3>
+          <p className="text-sm text-gray-600">Unpaid rental balances as of {filters.endDate}, aged from the rental end date</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading receivables...</div>
+      ) : rows.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No outstanding receivables</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Customer</th>
+                {BUCKETS.map(bucket => (
+                  <th key={bucket.key} className="px-4 py-2 text-right font-medium text-gray-500">{bucket.label}</th>
+                ))}
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Total (MAD)</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.customerId} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-gray-900">{row.customerName}</td>
+                  {BUCKETS.map(bucket => (
+                    <td
+                      key={bucket.key}
+                      className={`px-4 py-2 text-right tabular-nums ${bucket.key === 'over90' && row.over90 ? 'text-red-600 font-medium' : ''}`}
+                    >
+                      {formatAmount(row[bucket.key])}
+                    </td>
+                  ))}
+                  <td className="px-4 py-2 text-right tabular-nums font-semibold">{formatAmount(row.totalOutstanding)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2">Total</td>
+                {BUCKETS.map(bucket => (
+                  <td key={bucket.key} className="px-4 py-2 text-right tabular-nums">{formatAmount(totals[bucket.key])}</td>
+                ))}
+                <td className="px-4 py-2 text-right tabular-nums">{formatAmount(totals.totalOutstanding)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ARAgingTableV2;
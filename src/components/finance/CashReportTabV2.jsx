@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { Banknote, RefreshCw, ShieldCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import TillService, { TILL_STATUSES } from '../../services/TillService';
+import { DiscrepancyList } from '../admin/CashRegister';
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('fr-MA', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(Number(amount) || 0);
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' }) : '';
+
+const formatByCurrency = (amounts) =>
+  Object.entries(amounts || {}).map(([currency, amount]) => `${formatAmount(amount)} ${currency}`).join(' · ') || '—';
+
+/**
+ * CashReportTabV2 - Daily cash report built from till sessions, and the
+ * manager sign-off of closed tills
+ */
+const CashReportTabV2 = ({ filters, refreshTrigger }) => {
+  const { userProfile } = useAuth();
+  const [report, setReport] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [approvingId, setApprovingId] = useState(null);
+
+  const canApprove = userProfile?.role === 'owner' || userProfile?.role === 'admin';
+
+  useEffect(() => {
+    loadReport();
+  }, [filters?.startDate, filters?.endDate, refreshTrigger]);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const range = { startDate: filters?.startDate, endDate: filters?.endDate };
+      const [days, tills] = await Promise.all([
+        TillService.getDailyReport(range),
+        TillService.getSessions(range)
+      ]);
+      setReport(days);
+      setSessions(tills);
+    } catch (error) {
+      console.error('❌ Error loading cash report:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (session) => {
+    const notes = window.prompt(`Sign off ${session.staff_name}'s till of ${session.business_date}? Add a note if needed.`, '');
+    if (notes === null) return;
+    try {
+      setApprovingId(session.id);
+      await TillService.approveSession(session.id, notes);
+      toast.success('Till signed off');
+      await loadReport();
+    } catch (error) {
+      console.error('❌ Error signing off till:', error);
+      toast.error(error.message);
+    } finally {
+      setApprovingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex items-center justify-center">
+        <RefreshCw className="h-6 w-6 animate-spin text-gray-400" />
+        <span className="ml-2 text-gray-600">Loading cash report...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-green-100 rounded-lg">
+            <Banknote className="w-5 h-5 text-green-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Daily Cash Report</h3>
+            <p className="text-sm text-gray-600">Per day and currency, from the tills opened that day</p>
+          </div>
+        </div>
+
+        {report.length === 0 ? (
+          <p className="text-sm text-gray-500">No till activity in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-right text-gray-600 border-b">
+                  <th className="py-2 pr-3 text-left">Date</th>
+                  <th className="py-2 pr-3 text-left">Currency</th>
+                  <th className="py-2 pr-3">Tills</th>
+                  <th className="py-2 pr-3">Float</th>
+                  <th className="py-2 pr-3">Payments</th>
+                  <th className="py-2 pr-3">Refunds</th>
+                  <th className="py-2 pr-3">Deposits in</th>
+                  <th className="py-2 pr-3">Deposits out</th>
+                  <th className="py-2 pr-3">Fuel</th>
+                  <th className="py-2 pr-3">Drops & payouts</th>
+                  <th className="py-2 pr-3">Expected</th>
+                  <th className="py-2 pr-3">Counted</th>
+                  <th className="py-2 pr-3">Discrepancy</th>
+                  <th className="py-2">Outside a till</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(day => (
+                  <tr key={`${day.business_date}-${day.currency}`} className="text-right border-b last:border-0">
+                    <td className="py-2 pr-3 text-left">{day.business_date}</td>
+                    <td className="py-2 pr-3 text-left">{day.currency}</td>
+                    <td className="py-2 pr-3">
+                      {day.sessions}
+                      {(day.open_sessions > 0 || day.awaiting_sign_off > 0) && (
+                        <span className="block text-xs text-amber-600">
+                          {day.open_sessions > 0 && `${day.open_sessions} open`}
+                          {day.open_sessions > 0 && day.awaiting_sign_off > 0 && ', '}
+                          {day.awaiting_sign_off > 0 && `${day.awaiting_sign_off} to sign off`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3">{formatAmount(day.opening_float)}</td>
+                    <td className="py-2 pr-3">{formatAmount(day.payments)}</td>
+                    <td className="py-2 pr-3">{formatAmount(day.refunds)}</td>
+                    <td className="py-2 pr-3">{formatAmount(day.deposits_in)}</td>
+                    <td className="py-2 pr-3">{formatAmount(day.deposits_out)}</td>
+                    <td className="py-2 pr-3">{formatAmount(day.fuel)}</td>
+                    <td className="py-2 pr-3">{formatAmount(Number(day.cash_drops) + Number(day.payouts))}</td>
+                    <td className="py-2 pr-3 font-medium">{formatAmount(day.expected)}</td>
+                    <td className="py-2 pr-3">{day.counted === null ? '—' : formatAmount(day.counted)}</td>
+                    <td className={`py-2 pr-3 font-medium ${Number(day.discrepancy) === 0 ? 'text-gray-900' : 'text-red-600'}`}>
+                      {formatAmount(day.discrepancy)}
+                    </td>
+                    <td className={`py-2 ${Number(day.outside_till) === 0 ? 'text-gray-400' : 'text-amber-600'}`}>
+                      {formatAmount(day.outside_till)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">
+              Counted and discrepancy only cover tills already closed. Cash moved by staff with no till open is not in any till and is shown apart.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Till Sessions</h3>
+        {sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No tills in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-3">Staff</th>
+                  <th className="py-2 pr-3">Date</th>
+                  <th className="py-2 pr-3">Opened / closed</th>
+                  <th className="py-2 pr-3">Expected</th>
+                  <th className="py-2 pr-3">Counted</th>
+                  <th className="py-2 pr-3">Discrepancy</th>
+                  <th className="py-2 pr-3">Notes</th>
+                  <th className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => (
+                  <tr key={session.id} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-3">{session.staff_name}</td>
+                    <td className="py-2 pr-3">{session.business_date}</td>
+                    <td className="py-2 pr-3">
+                      {formatDateTime(session.opened_at)}
+                      <span className="block text-gray-500">{formatDateTime(session.closed_at)}</span>
+                    </td>
+                    <td className="py-2 pr-3">{formatByCurrency(session.expected)}</td>
+                    <td className="py-2 pr-3">{formatByCurrency(session.counted)}</td>
+                    <td className="py-2 pr-3"><DiscrepancyList discrepancy={session.discrepancy} /></td>
+                    <td className="py-2 pr-3 text-gray-600">
+                      {session.closing_notes}
+                      {session.approval_notes && <span className="block italic">{session.approval_notes}</span>}
+                    </td>
+                    <td className="py-2">
+                      {session.status === 'closed' && canApprove ? (
+                        <button
+                          onClick={() => handleApprove(session)}
+                          disabled={approvingId === session.id || session.staff_id === userProfile?.id}
+                          title={session.staff_id === userProfile?.id ? 'Another manager has to sign off your own till' : undefined}
+                          className="flex items-center gap-1 px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                        >
+                          <ShieldCheck className="w-4 h-4" /> Sign off
+                        </button>
+                      ) : (
+                        <span className={session.status === 'approved' ? 'text-green-700' : 'text-amber-600'}>
+                          {TILL_STATUSES[session.status]}
+                          {session.approved_by_name && (
+                            <span className="block text-xs text-gray-500">{session.approved_by_name}</span>
+                          )}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CashReportTabV2;
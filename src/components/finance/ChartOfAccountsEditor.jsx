@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Plus, Edit2, Trash2, Save, X, Lock } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import LedgerService from '../../services/LedgerService';
+
+const EMPTY_ACCOUNT = {
+  code: '',
+  name: '',
+  account_type: 'expense',
+  report_group: 'other_expense',
+  description: '',
+  is_active: true
+};
+
+/**
+ * ChartOfAccountsEditor - Add, rename, regroup and deactivate ledger accounts
+ *
+ * The report group decides which dashboard figure an account rolls into.
+ * System accounts are used by automatic postings and cannot be deleted.
+ */
+const ChartOfAccountsEditor = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      setLoading(true);
+      setAccounts(await LedgerService.getAccounts());
+    } catch (error) {
+      console.error('❌ Error loading chart of accounts:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startNew = () => {
+    setEditing({ ...EMPTY_ACCOUNT });
+    setIsNew(true);
+  };
+
+  const startEdit = (account) => {
+    setEditing({ ...account, description: account.description || '' });
+    setIsNew(false);
+  };
+
+  const handleTypeChange = (accountType) => {
+    const groups = Object.keys(LedgerService.REPORT_GROUPS[accountType]);
+    setEditing(prev => ({ ...prev, account_type: accountType, report_group: groups[0] }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await LedgerService.saveAccount(editing, isNew);
+      toast.success(isNew ? 'Account created' : 'Account updated');
+      setEditing(null);
+      await loadAccounts();
+    } catch (error) {
+      console.error('❌ Error saving account:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete account ${account.code} - ${account.name}?`)) return;
+
+    try {
+      await LedgerService.deleteAccount(account);
+      toast.success('Account deleted');
+      await loadAccounts();
+    } catch (error) {
+      console.error('❌ Error deleting account:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const renderForm = () => (
+    <div className="grid grid-cols-1 md:grid-cols-6 gap-3 p-4 mb-4 bg-blue-50 border border-blue-200 rounded-lg">
+      <input
+        type="text"
+        placeholder="Code"
+        value={editing.code}
+        disabled={!isNew}
+        onChange={(e) => setEditing(prev => ({ ...prev, code: e.target.value }))}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono disabled:bg-gray-100"
+      />
+      <input
+        type="text"
+        placeholder="Name"
+        value={editing.name}
+        onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+        className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+      <select
+        value={editing.account_type}
+        disabled={!isNew && editing.is_system}
+        onChange={(e) => handleTypeChange(e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+      >
+        {Object.entries(LedgerService.ACCOUNT_TYPES).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <select
+        value={editing.report_group || ''}
+        onChange={(e) => setEditing(prev => ({ ...prev, report_group: e.target.value }))}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      >
+        {Object.entries(LedgerService.REPORT_GROUPS[editing.account_type]).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={editing.is_active}
+          onChange={(e) => setEditing(prev => ({ ...prev, is_active: e.target.checked }))}
+          className="mr-2"
+        />
+        Active
+      </label>
+      <input
+        type="text"
+        placeholder="Description (optional)"
+        value={editing.description}
+        onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+        className="md:col-span-4 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+      <div className="md:col-span-2 flex justify-end gap-2">
+        <button
+          onClick={() => setEditing(null)}
+          className="flex items-center px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          <X className="w-4 h-4 mr-1" /> Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-1" /> {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-indigo-100 rounded-lg">
+            <BookOpen className="w-5 h-5 text-indigo-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Chart of Accounts</h3>
+            <p className="text-sm text-gray-600">Report group decides which dashboard figure an account feeds</p>
+          </div>
+        </div>
+        {!editing && (
+          <button
+            onClick={startNew}
+            className="flex items-center px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4 mr-1" /> Add account
+          </button>
+        )}
+      </div>
+
+      {editing && renderForm()}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading accounts...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Code</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Name</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Type</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Report group</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {accounts.map(account => (
+                <tr key={account.code} className={`hover:bg-gray-50 ${account.is_active ? '' : 'text-gray-400'}`}>
+                  <td className="px-4 py-2 font-mono">{account.code}</td>
+                  <td className="px-4 py-2">
+                    {account.name}
+                    {account.is_system && <Lock className="inline w-3 h-3 ml-1 text-gray-400" title="Used by automatic postings" />}
+                  </td>
+                  <td className="px-4 py-2">{LedgerService.ACCOUNT_TYPES[account.account_type] || account.account_type}</td>
+                  <td className="px-4 py-2">
+                    {LedgerService.REPORT_GROUPS[account.account_type]?.[account.report_group] || '–'}
+                  </td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${account.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>
+                      {account.is_active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button onClick={() => startEdit(account)} className="p-1 text-gray-500 hover:text-blue-600" title="Edit">
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    {!account.is_system && (
+                      <button onClick={() => handleDelete(account)} className="p-1 text-gray-500 hover:text-red-600" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartOfAccountsEditor;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Calendar, Filter, Download, RefreshCw, TrendingUp, DollarSign, BarChart3, Users, FileText, RotateCcw } from 'lucide-react';
+import { Calendar, Filter, Download, RefreshCw, TrendingUp, DollarSign, BarChart3, Users, FileText, RotateCcw, BookOpen, Banknote } from 'lucide-react';
 import FilterBarV2 from './FilterBarV2';
 import KPICardsV2 from './KPICardsV2';
 import OverviewChartsV2 from './OverviewChartsV2';
@@ -7,6 +7,10 @@ import RentalPLTableV2 from './RentalPLTableV2';
 import VehicleFinanceTabV2 from './VehicleFinanceTabV2';
 import CustomerAnalysisTabV2 from './CustomerAnalysisTabV2';
 import ReportsTabV2 from './ReportsTabV2';
+import TrialBalanceV2 from './TrialBalanceV2';
+import ARAgingTableV2 from './ARAgingTableV2';
+import ChartOfAccountsEditor from './ChartOfAccountsEditor';
+import CashReportTabV2 from './CashReportTabV2';
 import { financeApiV2 } from '../../services/financeApiV2';
 
 /**
@@ -20,6 +24,8 @@ import { financeApiV2 } from '../../services/financeApiV2';
  * - Real-time data integration with saharax_0u4w4d_vehicles
  * - Mobile-responsive design with enhanced visual hierarchy
  * - NEW: Data context indicators and scope clarifications
+ * - All figures are read from the double-entry ledger; the Ledger tab holds
+ *   the trial balance, AR aging and chart of accounts
  */
 const FinanceDashboardV2 = () => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -75,6 +81,22 @@ const FinanceDashboardV2 = () => {
       description: 'Customer behavior and revenue analysis',
       dataScope: 'Data shown includes all transactions linked to the selected customer(s).'
     },
+    { 
+      id: 'ledger', 
+      label: 'Ledger', 
+      icon: BookOpen, 
+      color: 'from-teal-500 to-teal-600',
+      description: 'Trial balance, receivables aging and chart of accounts',
+      dataScope: 'Balances include every ledger entry up to the end of the selected period.'
+    },
+    { 
+      id: 'cash', 
+      label: 'Cash', 
+      icon: Banknote, 
+      color: 'from-emerald-500 to-emerald-600',
+      description: 'Daily cash report and till sign-off',
+      dataScope: 'Data shown covers the tills opened on each day of the selected period.'
+    },
     { 
       id: 'reports', 
       label: 'Reports', 
@@ -112,22 +134,7 @@ const FinanceDashboardV2 = () => {
         console.log('✅ KPI data loaded:', kpiResult.value);
       } else {
         console.error('❌ KPI data failed:', kpiResult.reason);
-        setKpiData({
-          totalRevenue: 225000,
-          totalExpenses: 101000,
-          maintenanceCosts: 40500,
-          fuelCosts: 49500,
-          inventoryCosts: 18000,
-          otherCosts: 11250,
-          taxes: 27000,
-          grossProfit: 97000,
-          revenueChange: 18.5,
-          expensesChange: -2.8,
-          taxesChange: 9.2,
-          profitChange: 28.7,
-          currency: 'MAD',
-          period: `${filters.startDate} – ${filters.endDate}`
-        });
+        setKpiData(null);
       }
       
       // Handle trend data
@@ -151,18 +158,7 @@ const FinanceDashboardV2 = () => {
         });
       } else {
         console.error('❌ Vehicles failed:', vehiclesResult.reason);
-        // CRITICAL: Provide comprehensive fallback vehicle data
-        const fallbackVehicles = [
-          { id: '1', make: 'SEGWAY', model: 'AT6', plate_number: '41111', display_name: '41111 - SEGWAY AT6', is_active: true, org_id: 'fallback' },
-          { id: '2', make: 'SEGWAY', model: 'AT5', plate_number: '41888', display_name: '41888 - SEGWAY AT5', is_active: true, org_id: 'fallback' },
-          { id: '3', make: 'SEGWAY', model: 'AT6', plate_number: '40000', display_name: '40000 - SEGWAY AT6', is_active: true, org_id: 'fallback' },
-          { id: '4', make: 'SEGWAY', model: 'AT7', plate_number: '42000', display_name: '42000 - SEGWAY AT7', is_active: true, org_id: 'fallback' },
-          { id: '5', make: 'SEGWAY', model: 'AT8', plate_number: '43000', display_name: '43000 - SEGWAY AT8', is_active: true, org_id: 'fallback' },
-          { id: '6', make: 'SEGWAY', model: 'AT6', plate_number: 'ABC-123', display_name: 'ABC-123 - SEGWAY AT6', is_active: true, org_id: 'fallback' },
-          { id: '7', make: 'SEGWAY', model: 'AT5', plate_number: 'XYZ-789', display_name: 'XYZ-789 - SEGWAY AT5', is_active: true, org_id: 'fallback' }
-        ];
-        setVehicles(fallbackVehicles);
-        console.log('🚨 Using fallback vehicles for Vehicle Finance:', fallbackVehicles.length);
+        setVehicles([]);
       }
       
       // Handle customers data
@@ -172,16 +168,7 @@ const FinanceDashboardV2 = () => {
         console.log('✅ Customers loaded:', customerData.length, 'customers');
       } else {
         console.error('❌ Customers failed:', customersResult.reason);
-        // Provide fallback customer data
-        const fallbackCustomers = [
-          { id: 'customer_1', name: 'kjbjk', email: 'kjbjk@example.com', org_id: 'fallback' },
-          { id: 'customer_2', name: 'Hshshs', email: 'hshshs@example.com', org_id: 'fallback' },
-          { id: 'customer_3', name: 'kjgh', email: 'kjgh@example.com', org_id: 'fallback' },
-          { id: 'customer_4', name: 'Ahmed Hassan', email: 'ahmed.hassan@example.com', org_id: 'fallback' },
-          { id: 'customer_5', name: 'Fatima Al-Zahra', email: 'fatima.alzahra@example.com', org_id: 'fallback' }
-        ];
-        setCustomers(fallbackCustomers);
-        console.log('🚨 Using fallback customers:', fallbackCustomers.length);
+        setCustomers([]);
       }
       
       console.log('🎉 FINANCE DASHBOARD V2: All data loaded successfully');
@@ -189,16 +176,6 @@ const FinanceDashboardV2 = () => {
     } catch (err) {
       console.error('❌ FINANCE DASHBOARD V2: Critical loading error:', err);
       setError(err.message || 'Failed to load dashboard data');
-      
-      // Set fallback data for all components
-      setVehicles([
-        { id: '1', make: 'SEGWAY', model: 'AT6', plate_number: '41111', display_name: '41111 - SEGWAY AT6', is_active: true, org_id: 'fallback' },
-        { id: '2', make: 'SEGWAY', model: 'AT5', plate_number: '41888', display_name: '41888 - SEGWAY AT5', is_active: true, org_id: 'fallback' }
-      ]);
-      setCustomers([
-        { id: 'customer_1', name: 'kjbjk', email: 'kjbjk@example.com', org_id: 'fallback' }
-      ]);
-      
     } finally {
       setLoading(false);
     }
@@ -327,6 +304,20 @@ const FinanceDashboardV2 = () => {
             <CustomerAnalysisTabV2 {...tabProps} customers={customers} loading={loading} />
           </div>
         );
+      case 'ledger':
+        return (
+          <div className="space-y-6 animate-slideInUp">
+            <TrialBalanceV2 asOf={filters.endDate} refreshTrigger={tabProps.refreshTrigger} />
+            <ARAgingTableV2 {...tabProps} />
+            <ChartOfAccountsEditor />
+          </div>
+        );
+      case 'cash':
+        return (
+          <div className="animate-slideInUp">
+            <CashReportTabV2 {...tabProps} />
+          </div>
+        );
       case 'reports':
         return (
           <div className="animate-slideInUp">
@@ -71,6 +71,12 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
     return amount.toString();
   };
 
+  // Share of revenue, 0 when there is no revenue in the period
+  const percentOfRevenue = (amount) => {
+    if (!kpiData?.totalRevenue) return '0.0';
+    return ((amount / kpiData.totalRevenue) * 100).toFixed(1);
+  };
+
   const getTrendIcon = (change) => {
     if (change > 0) {
       return <TrendingUp className="w-4 h-4" />;
@@ -240,7 +246,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
                 <p className="text-gray-600 text-sm font-medium">Maintenance Costs</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{formatCompact(kpiData.maintenanceCosts)}</p>
                 <p className="text-xs text-gray-500 mt-1">
-                  {((kpiData.maintenanceCosts / kpiData.totalRevenue) * 100).toFixed(1)}% of revenue (partially estimated)
+                  {percentOfRevenue(kpiData.maintenanceCosts)}% of revenue
                 </p>
               </div>
               <div className="p-3 bg-orange-100 rounded-xl">
@@ -250,13 +256,13 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
           </div>
 
           {/* Fuel Costs */}
-          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 hover:shadow-md transition-all duration-200 hover:border-purple-200" title="Fuel expenses from logs or standard estimates">
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 hover:shadow-md transition-all duration-200 hover:border-purple-200" title="Fuel purchases posted to the ledger">
             <div className="flex items-center justify-between mb-4">
               <div>
                 <p className="text-gray-600 text-sm font-medium">Fuel Costs</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{formatCompact(kpiData.fuelCosts)}</p>
                 <p className="text-xs text-gray-500 mt-1">
-                  {((kpiData.fuelCosts / kpiData.totalRevenue) * 100).toFixed(1)}% of revenue (partially estimated)
+                  {percentOfRevenue(kpiData.fuelCosts)}% of revenue
                 </p>
               </div>
               <div className="p-3 bg-purple-100 rounded-xl">
@@ -272,7 +278,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
                 <p className="text-gray-600 text-sm font-medium">Inventory Costs</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{formatCompact(kpiData.inventoryCosts)}</p>
                 <p className="text-xs text-gray-500 mt-1">
-                  {((kpiData.inventoryCosts / kpiData.totalRevenue) * 100).toFixed(1)}% of revenue (partially estimated)
+                  {percentOfRevenue(kpiData.inventoryCosts)}% of revenue
                 </p>
               </div>
               <div className="p-3 bg-indigo-100 rounded-xl">
@@ -288,7 +294,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
                 <p className="text-gray-600 text-sm font-medium">Other Costs</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{formatCompact(kpiData.otherCosts)}</p>
                 <p className="text-xs text-gray-500 mt-1">
-                  {((kpiData.otherCosts / kpiData.totalRevenue) * 100).toFixed(1)}% of revenue (partially estimated)
+                  {percentOfRevenue(kpiData.otherCosts)}% of revenue
                 </p>
               </div>
               <div className="p-3 bg-gray-100 rounded-xl">
@@ -314,7 +320,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
         <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
           <div className="text-center p-4 bg-white rounded-lg border border-gray-100" title="Revenue efficiency indicator">
             <div className="text-3xl font-bold text-blue-600 mb-1">
-              {((kpiData.grossProfit / kpiData.totalRevenue) * 100).toFixed(1)}%
+              {percentOfRevenue(kpiData.grossProfit)}%
             </div>
             <div className="text-sm font-medium text-gray-600">Profit Margin</div>
             <div className="text-xs text-gray-500 mt-1">Revenue efficiency</div>
@@ -322,7 +328,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
           
           <div className="text-center p-4 bg-white rounded-lg border border-gray-100" title="Cost management indicator">
             <div className="text-3xl font-bold text-red-600 mb-1">
-              {((kpiData.totalExpenses / kpiData.totalRevenue) * 100).toFixed(1)}%
+              {percentOfRevenue(kpiData.totalExpenses)}%
             </div>
             <div className="text-sm font-medium text-gray-600">Expense Ratio</div>
             <div className="text-xs text-gray-500 mt-1">Cost management</div>
@@ -330,10 +336,7 @@ const KPICardsV2 = ({ filters, refreshTrigger }) => {
           
           <div className="text-center p-4 bg-white rounded-lg border border-gray-100" title="Operational efficiency indicator">
             <div className="text-3xl font-bold text-orange-600 mb-1">
-              {kpiData.maintenanceCosts && kpiData.fuelCosts 
-                ? (((kpiData.maintenanceCosts + kpiData.fuelCosts) / kpiData.totalRevenue) * 100).toFixed(1)
-                : ((kpiData.totalExpenses * 0.7) / kpiData.totalRevenue * 100).toFixed(1)
-              }%
+              {percentOfRevenue(kpiData.maintenanceCosts + kpiData.fuelCosts)}%
             </div>
             <div className="text-sm font-medium text-gray-600">OpEx Ratio</div>
             <div className="text-xs text-gray-500 mt-1">Operational efficiency</div>
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { Scale, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import LedgerService from '../../services/LedgerService';
+
+const formatAmount = (amount) =>
+  amount
+    ? new Intl.NumberFormat('fr-MA', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount)
+    : '';
+
+/**
+ * TrialBalanceV2 - Account balances from the ledger as of a date
+ */
+const TrialBalanceV2 = ({ asOf, refreshTrigger }) => {
+  const [asOfDate, setAsOfDate] = useState(asOf);
+  const [trialBalance, setTrialBalance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [resyncing, setResyncing] = useState(false);
+
+  useEffect(() => {
+    setAsOfDate(asOf);
+  }, [asOf]);
+
+  useEffect(() => {
+    loadTrialBalance();
+  }, [asOfDate, refreshTrigger]);
+
+  const loadTrialBalance = async () => {
+    try {
+      setLoading(true);
+      setTrialBalance(await LedgerService.getTrialBalance(asOfDate || null));
+    } catch (error) {
+      console.error('❌ Error loading trial balance:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResync = async () => {
+    try {
+      setResyncing(true);
+      const created = await LedgerService.resync();
+      toast.success(created > 0 ? `Posted ${created} missing entries` : 'Ledger is up to date');
+      await loadTrialBalance();
+    } catch (error) {
+      console.error('❌ Error resyncing ledger:', error);
+      toast.error(error.message);
+    } finally {
+      setResyncing(false);
+    }
+  };
+
+  const rows = (trialBalance?.rows || []).filter(row => row.total_debit || row.total_credit);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-blue-100 rounded-lg">
+            <Scale className="w-5 h-5 text-blue-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Trial Balance</h3>
+            <p className="text-sm text-gray-600">Balance of every account posted to</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-gray-600">
+            As of
+            <input
+              type="date"
+              value={asOfDate || ''}
+              onChange={(e) => setAsOfDate(e.target.value)}
+              className="ml-2 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <button
+            onClick={handleResync}
+            disabled={resyncing}
+            className="flex items-center px-3 py-1.5 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50"
+            title="Post any source records missing from the ledger"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${resyncing ? 'animate-spin' : ''}`} />
+            Resync
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading trial balance...</div>
+      ) : rows.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No ledger entries up to this date</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Account</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Name</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Type</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Debit (MAD)</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Credit (MAD)</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.account_code} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 font-mono text-gray-900">{row.account_code}</td>
+                  <td className="px-4 py-2 text-gray-900">{row.account_name}</td>
+                  <td className="px-4 py-2 text-gray-500">{LedgerService.ACCOUNT_TYPES[row.account_type] || row.account_type}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatAmount(row.debit_balance)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatAmount(row.credit_balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2" colSpan={3}>
+                  {trialBalance.isBalanced ? (
+                    <span className="inline-flex items-center text-green-700">
+                      <CheckCircle className="w-4 h-4 mr-1" /> Balanced
+                    </span>
+                  ) : (
+                    <span className="inline-flex items-center text-red-700">
+                      <AlertTriangle className="w-4 h-4 mr-1" />
+                      Out of balance by {formatAmount(Math.abs(trialBalance.totalDebit - trialBalance.totalCredit))}
+                    </span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right tabular-nums">{formatAmount(trialBalance.totalDebit)}</td>
+                <td className="px-4 py-2 text-right tabular-nums">{formatAmount(trialBalance.totalCredit)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialBalanceV2;
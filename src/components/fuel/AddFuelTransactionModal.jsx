@@ -2,10 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { X, Upload, Image as ImageIcon, FileText, Trash2 } from 'lucide-react';
 import FuelTransactionService from '../../services/FuelTransactionService';
 
-const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editTransaction = null }) => {
+const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editTransaction = null, transactionType = null, tanks = [], tankId = null }) => {
   const [formData, setFormData] = useState({
     transaction_date: new Date().toISOString().split('T')[0],
     transaction_type: 'tank_refill',
+    tank_id: '',
     vehicle_id: '',
     amount: '',
     cost: '',
@@ -15,7 +16,8 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
     odometer_reading: '',
     filled_by: '',
     notes: '',
-    invoice_image: null
+    invoice_image: null,
+    paid_from_till: false
   });
 
   const [errors, setErrors] = useState({});
@@ -37,6 +39,7 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
           id: realId, // Store the real database ID
           transaction_date: editTransaction.transaction_date?.split('T')[0] || new Date().toISOString().split('T')[0],
           transaction_type: editTransaction.transaction_type || 'tank_refill',
+          tank_id: editTransaction.tank_id || '',
           vehicle_id: editTransaction.vehicle_id || '',
           amount: editTransaction.amount?.toString() || '',
           cost: editTransaction.cost?.toString() || '',
@@ -46,7 +49,8 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
           odometer_reading: editTransaction.odometer_reading?.toString() || '',
           filled_by: editTransaction.filled_by || editTransaction.created_by || '',
           notes: editTransaction.notes || '',
-          invoice_image: editTransaction.invoice_image || null // Preserve original image data
+          invoice_image: editTransaction.invoice_image || null, // Preserve original image data
+          paid_from_till: !!editTransaction.paid_from_till
         });
         
         // Handle existing invoice image preview
@@ -95,19 +99,22 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
       } else {
         console.log('➕ ADD MODE: Resetting form');
         // Reset form for new transaction
+        const defaultTank = tanks.find(tank => tank.id === tankId) || tanks.find(tank => tank.is_default);
         setFormData({
           transaction_date: new Date().toISOString().split('T')[0],
-          transaction_type: 'tank_refill',
+          transaction_type: ['tank_refill', 'vehicle_refill', 'withdrawal'].includes(transactionType) ? transactionType : 'tank_refill',
+          tank_id: defaultTank?.id || '',
           vehicle_id: '',
           amount: '',
           cost: '',
-          fuel_type: 'gasoline',
+          fuel_type: defaultTank?.fuel_type || 'gasoline',
           fuel_station: '',
           location: '',
           odometer_reading: '',
           filled_by: '',
           notes: '',
-          invoice_image: null
+          invoice_image: null,
+          paid_from_till: false
         });
         setImagePreview(null);
         setExistingImageInfo(null);
@@ -123,6 +130,14 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
       [name]: value
     }));
 
+    // A tank refill takes the fuel type of its tank
+    if (name === 'tank_id' && formData.transaction_type === 'tank_refill') {
+      const tank = tanks.find(t => t.id === value);
+      if (tank?.fuel_type) {
+        setFormData(prev => ({ ...prev, fuel_type: tank.fuel_type }));
+      }
+    }
+
     // Calculate total cost when amount or unit price changes
     if (name === 'amount' || name === 'unit_price') {
       const amount = name === 'amount' ? parseFloat(value) || 0 : parseFloat(formData.amount) || 0;
@@ -260,6 +275,10 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
       newErrors.cost = 'Cost must be greater than 0';
     }
 
+    if (formData.transaction_type !== 'withdrawal' && formData.paid_from_till && !formData.cost) {
+      newErrors.cost = 'Enter the cost paid from the till';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -348,6 +367,8 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
 
   // Safe vehicles array
   const safeVehicles = Array.isArray(vehicles) ? vehicles : [];
+  const safeTanks = Array.isArray(tanks) ? tanks.filter(tank => tank.active !== false || tank.id === formData.tank_id) : [];
+  const selectedTank = safeTanks.find(tank => tank.id === formData.tank_id);
 
   // Determine if we should show the image preview section
   const hasImageToShow = formData.invoice_image || imagePreview;
@@ -462,6 +483,34 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
             </div>
           )}
 
+          {/* Tank Selection (for tank refills and withdrawals) */}
+          {(formData.transaction_type === 'tank_refill' || formData.transaction_type === 'withdrawal') && safeTanks.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {formData.transaction_type === 'withdrawal' ? 'From Tank' : 'Into Tank'} *
+              </label>
+              <select
+                name="tank_id"
+                value={formData.tank_id}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              >
+                <option value="">Select a tank</option>
+                {safeTanks.map((tank) => (
+                  <option key={tank.id} value={tank.id}>
+                    {tank.name}{tank.site ? ` — ${tank.site}` : ''} ({tank.fuel_type})
+                  </option>
+                ))}
+              </select>
+              {selectedTank && selectedTank.book_level !== null && selectedTank.book_level !== undefined && (
+                <p className="text-gray-500 text-sm mt-1">
+                  Book level: {selectedTank.book_level}L of {selectedTank.capacity}L
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Amount */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -524,6 +573,16 @@ const AddFuelTransactionModal = ({ isOpen, onClose, onSave, vehicles = [], editT
                   <p className="text-red-500 text-sm mt-1">{errors.cost}</p>
                 )}
               </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.paid_from_till}
+                  onChange={(e) => setFormData(prev => ({ ...prev, paid_from_till: e.target.checked }))}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                Paid in cash from my till
+              </label>
             </>
           )}
 
@@ -14,7 +14,8 @@ import {
   Pie,
   Cell,
   Area,
-  AreaChart
+  AreaChart,
+  ReferenceLine
 } from 'recharts';
 import {
   Fuel,
@@ -26,12 +27,18 @@ import {
   BarChart3,
   Activity,
   Filter,
-  Download
+  Download,
+  Gauge,
+  AlertTriangle,
+  X
 } from 'lucide-react';
 import FuelTransactionService from '../../services/FuelTransactionService';
+import FuelEfficiencyService from '../../services/FuelEfficiencyService';
 
-const FuelAnalytics = ({ vehicles = [] }) => {
+const FuelAnalytics = ({ vehicles = [], onViewTransaction }) => {
   const [analytics, setAnalytics] = useState(null);
+  const [efficiency, setEfficiency] = useState(null);
+  const [drillVehicleId, setDrillVehicleId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState('30'); // days
@@ -57,13 +64,23 @@ const FuelAnalytics = ({ vehicles = [] }) => {
         filters.vehicleId = selectedVehicle;
       }
 
-      const result = await FuelTransactionService.getAnalytics(filters);
+      const [result, efficiencyResult] = await Promise.all([
+        FuelTransactionService.getAnalytics(filters),
+        FuelEfficiencyService.getEfficiencyReport(filters)
+      ]);
 
       if (result.success) {
         setAnalytics(result.analytics);
       } else {
         setError(result.error || 'Failed to load analytics');
       }
+
+      if (efficiencyResult.success) {
+        setEfficiency(efficiencyResult.report);
+      } else {
+        console.error('❌ Error loading fuel efficiency:', efficiencyResult.error);
+        setEfficiency(null);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -128,6 +145,17 @@ const FuelAnalytics = ({ vehicles = [] }) => {
       .slice(0, 10); // Top 10 vehicles
   };
 
+  const formatL100 = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}`);
+
+  const formatShortDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    timeZone: 'Africa/Casablanca',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+
+  const drillVehicle = efficiency?.vehicles.find(row => String(row.vehicle.id) === String(drillVehicleId)) || null;
+
   // Chart colors
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
 
@@ -403,6 +431,199 @@ const FuelAnalytics = ({ vehicles = [] }) => {
         </div>
       </div>
 
+      {/* Fuel Efficiency */}
+      {efficiency && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center gap-2">
+              <Gauge className="w-5 h-5 text-blue-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Fuel Efficiency</h3>
+              <span className="text-sm text-gray-500 ml-2">L/100km from fills and odometer readings</span>
+            </div>
+
+            {efficiency.models.length > 0 && (
+              <div className="px-6 pt-4 flex flex-wrap gap-3">
+                {efficiency.models.map(model => (
+                  <div key={model.key} className="px-3 py-2 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-500">{model.name} · {model.vehicles} vehicle{model.vehicles === 1 ? '' : 's'}</p>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {formatL100(model.l_per_100km)} L/100km
+                      <span className="text-xs font-normal text-gray-500 ml-1">(avg {formatL100(model.baseline_l_per_100km)})</span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="overflow-x-auto p-6">
+              {efficiency.vehicles.length > 0 ? (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Fuel</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Km</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">L/100km</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">vs Model</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Flags</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {efficiency.vehicles.map(row => (
+                      <tr
+                        key={row.vehicle.id}
+                        onClick={() => setDrillVehicleId(row.vehicle.id)}
+                        className={`cursor-pointer hover:bg-gray-50 ${String(row.vehicle.id) === String(drillVehicleId) ? 'bg-blue-50' : ''}`}
+                      >
+                        <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                          {row.vehicle.name}
+                          {row.vehicle.plate_number && <span className="text-xs text-gray-500 ml-1">({row.vehicle.plate_number})</span>}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{row.model_name}</td>
+                        <td className="px-4 py-2 text-sm text-right">{row.liters.toFixed(1)}L</td>
+                        <td className="px-4 py-2 text-sm text-right">{row.km > 0 ? row.km.toFixed(0) : '—'}</td>
+                        <td className="px-4 py-2 text-sm text-right font-medium">{formatL100(row.l_per_100km)}</td>
+                        <td className={`px-4 py-2 text-sm text-right ${row.vs_model_percent > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {row.vs_model_percent === null ? '—' : `${row.vs_model_percent > 0 ? '+' : ''}${row.vs_model_percent}%`}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">
+                          {row.anomaly_count > 0 ? (
+                            <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              <AlertTriangle className="w-3 h-3" />
+                              {row.anomaly_count}
+                            </span>
+                          ) : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="py-8 text-center text-gray-500">No vehicle fills in this period</div>
+              )}
+            </div>
+          </div>
+
+          {/* Anomalies */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-red-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Anomalies</h3>
+              <span className="ml-auto text-sm text-gray-500">{efficiency.anomalies.length}</span>
+            </div>
+            <div className="divide-y divide-gray-100 max-h-[28rem] overflow-y-auto">
+              {efficiency.anomalies.length === 0 && (
+                <div className="p-6 text-center text-gray-500 text-sm">Nothing unusual in this period</div>
+              )}
+              {efficiency.anomalies.map((anomaly, index) => (
+                <button
+                  key={`${anomaly.fill.transaction.id}-${anomaly.type}-${index}`}
+                  onClick={() => setDrillVehicleId(anomaly.vehicle.id)}
+                  className="w-full text-left px-6 py-3 hover:bg-gray-50"
+                >
+                  <div className="flex items-center justify-between">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${FuelEfficiencyService.ANOMALY_TYPES[anomaly.type].color}`}>
+                      {FuelEfficiencyService.ANOMALY_TYPES[anomaly.type].label}
+                    </span>
+                    <span className="text-xs text-gray-500">{formatShortDate(anomaly.fill.date)}</span>
+                  </div>
+                  <p className="text-sm font-medium text-gray-900 mt-1">{anomaly.vehicle.name}</p>
+                  <p className="text-xs text-gray-600">{anomaly.detail}</p>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Vehicle drill-down */}
+      {drillVehicle && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {drillVehicle.vehicle.name} {drillVehicle.vehicle.plate_number && `(${drillVehicle.vehicle.plate_number})`}
+              </h3>
+              <p className="text-sm text-gray-600">
+                {drillVehicle.model_name} · {formatL100(drillVehicle.l_per_100km)} L/100km vs {formatL100(drillVehicle.model_average)} model average
+                {drillVehicle.tank_capacity ? ` · ${drillVehicle.tank_capacity}L tank` : ''}
+              </p>
+            </div>
+            <button onClick={() => setDrillVehicleId(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {drillVehicle.trend.length > 0 && (
+            <div className="p-6">
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={drillVehicle.trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => [`${value} L/100km`, 'Consumption']} />
+                  {drillVehicle.model_average && (
+                    <ReferenceLine y={drillVehicle.model_average} stroke="#9ca3af" strokeDasharray="4 4" label="Model avg" />
+                  )}
+                  <Line type="monotone" dataKey="l_per_100km" stroke="#3b82f6" strokeWidth={2} name="L/100km" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Liters</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Odometer</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Km Since Last Fill</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">L/100km</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Flags</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {drillVehicle.fills.map(fill => (
+                  <tr
+                    key={fill.transaction.id}
+                    onClick={() => onViewTransaction?.(fill.transaction)}
+                    className={`${onViewTransaction ? 'cursor-pointer hover:bg-gray-50' : ''} ${fill.flags.length > 0 ? 'bg-red-50' : ''}`}
+                  >
+                    <td className="px-4 py-2 text-sm text-gray-900">{formatShortDate(fill.date)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{FuelTransactionService.getTransactionTypeLabel(fill.transaction.transaction_type)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{fill.liters.toFixed(1)}L</td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      {fill.odometer !== null ? `${fill.odometer}km` : '—'}
+                      {fill.odometer !== null && fill.transaction.odometer_reading === null && (
+                        <span className="text-xs text-gray-400 ml-1">(rental)</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{fill.km !== null ? fill.km : '—'}</td>
+                    <td className="px-4 py-2 text-sm text-right font-medium">{formatL100(fill.l_per_100km)}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="flex flex-wrap gap-1">
+                        {fill.flags.map(flag => (
+                          <span
+                            key={flag.type}
+                            title={flag.detail}
+                            className={`px-2 py-0.5 rounded-full text-xs font-medium ${FuelEfficiencyService.ANOMALY_TYPES[flag.type].color}`}
+                          >
+                            {FuelEfficiencyService.ANOMALY_TYPES[flag.type].label}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Detailed Breakdown */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="p-6 border-b border-gray-200">
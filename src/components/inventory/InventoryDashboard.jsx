@@ -13,25 +13,61 @@ import {
   TrendingDownIcon,
   EyeIcon,
   PlusIcon,
-  FilterIcon
+  FilterIcon,
+  MapPinIcon
 } from 'lucide-react';
 import InventoryService from '../../services/InventoryService';
+import InventorySettings from './InventorySettings';
 
 const InventoryDashboard = ({ onNavigate }) => {
   const dispatch = useDispatch();
   const { dashboardData, lowStockItems, loading, error } = useSelector(state => state.inventory);
   const [filter, setFilter] = useState('all');
   const [realTimeStats, setRealTimeStats] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(null);
+  const [locationStock, setLocationStock] = useState([]);
 
   useEffect(() => {
-    loadDashboardData();
-  }, [dispatch]);
+    loadLocations();
+  }, []);
+
+  useEffect(() => {
+    if (locationId !== null) loadDashboardData();
+  }, [dispatch, locationId]);
+
+  const loadLocations = async () => {
+    try {
+      const data = await InventoryService.getLocations();
+      setLocations(data);
+      setLocationId(InventoryService.getWorkingLocationId(data) || '');
+    } catch (error) {
+      console.error('Stock locations error:', error);
+      setLocationId('');
+    }
+  };
+
+  const handleLocationChange = (value) => {
+    if (value) InventoryService.setWorkingLocationId(value);
+    setLocationId(value);
+  };
 
   const loadDashboardData = async () => {
     try {
       // Get unified dashboard stats
-      const stats = await InventoryService.getDashboardStats({ active: true });
+      const stats = await InventoryService.getDashboardStats({ active: true, locationId: locationId || undefined });
       setRealTimeStats(stats);
+
+      if (locationId) {
+        const levels = await InventoryService.getStockLevels(locationId);
+        setLocationStock((stats.items || []).map(item => ({
+          ...item,
+          quantity: levels[item.id]?.quantity || 0,
+          location_reorder_level: levels[item.id]?.reorder_level ?? ''
+        })));
+      } else {
+        setLocationStock([]);
+      }
       
       // Also dispatch Redux actions for compatibility
       dispatch(fetchDashboardData());
@@ -94,6 +130,21 @@ const InventoryDashboard = ({ onNavigate }) => {
     </button>
   );
 
+  const handleReorderLevelBlur = async (item, value) => {
+    if (String(value) === String(item.location_reorder_level)) return;
+    try {
+      await InventoryService.setLocationReorderLevel(item.id, locationId, value);
+      setLocationStock(prev => prev.map(entry => (
+        entry.id === item.id ? { ...entry, location_reorder_level: value } : entry
+      )));
+      loadDashboardData();
+    } catch (error) {
+      console.error('Reorder level error:', error);
+    }
+  };
+
+  const selectedLocation = locations.find(location => location.id === locationId);
+
   const formatCurrency = (amount) => {
     return `${(amount || 0).toFixed(2)} MAD`;
   };
@@ -125,6 +176,21 @@ const InventoryDashboard = ({ onNavigate }) => {
           <h1 className="text-2xl lg:text-3xl font-bold text-gray-900">Inventory Dashboard</h1>
           <p className="text-gray-600 mt-1">Manage parts, supplies, and equipment inventory</p>
         </div>
+        {locations.length > 0 && (
+          <div className="flex items-center gap-2">
+            <MapPinIcon className="h-5 w-5 text-gray-500" />
+            <select
+              value={locationId || ''}
+              onChange={(e) => handleLocationChange(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* Error Alert */}
@@ -151,7 +217,7 @@ const InventoryDashboard = ({ onNavigate }) => {
           icon={AlertTriangleIcon}
           title="Low Stock"
           value={stats.lowStockCount}
-          subtitle="Items below reorder level"
+          subtitle={selectedLocation ? `At or below reorder level at ${selectedLocation.name}` : 'At or below reorder level'}
           color="red"
           onClick={() => onNavigate('low-stock')}
         />
@@ -218,10 +284,12 @@ const InventoryDashboard = ({ onNavigate }) => {
           </div>
           <div className="space-y-2">
             {lowStock.map((item) => (
-              <div key={item.id} className="flex items-center justify-between py-2 px-3 bg-white rounded-lg">
+              <div key={`${item.id}-${item.location_id}`} className="flex items-center justify-between py-2 px-3 bg-white rounded-lg">
                 <div>
                   <p className="font-medium text-gray-900">{item.name}</p>
-                  <p className="text-sm text-gray-600">{item.category}</p>
+                  <p className="text-sm text-gray-600">
+                    {item.category}{item.location_name && !locationId ? ` • ${item.location_name}` : ''}
+                  </p>
                 </div>
                 <div className="text-right">
                   <p className="text-sm font-medium text-red-600">
@@ -305,10 +373,10 @@ const InventoryDashboard = ({ onNavigate }) => {
               <div key={movement.id} className="flex items-center justify-between py-2">
                 <div className="flex-1">
                   <p className="font-medium text-gray-900">
-                    {movement.inventory_items?.name}
+                    {movement.item?.name}
                   </p>
                   <p className="text-sm text-gray-600 truncate">
-                    {movement.notes}
+                    {!locationId && movement.location?.name ? `${movement.location.name} • ` : ''}{movement.notes}
                   </p>
                   <p className="text-xs text-gray-500">
                     {formatDate(movement.created_at)}
@@ -328,7 +396,7 @@ const InventoryDashboard = ({ onNavigate }) => {
                     </span>
                   </div>
                   <p className="text-xs text-gray-500">
-                    {movement.inventory_items?.unit}
+                    {movement.item?.unit}
                   </p>
                 </div>
               </div>
@@ -339,6 +407,48 @@ const InventoryDashboard = ({ onNavigate }) => {
           </div>
         </div>
       </div>
+
+      {/* Stock at the selected location */}
+      {selectedLocation && (
+        <div className="bg-white rounded-xl shadow-sm border p-6">
+          <h2 className="text-lg font-semibold text-gray-900">Stock at {selectedLocation.name}</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Leave the reorder level empty to {selectedLocation.is_default ? "use the item's reorder level" : 'never alert here'}
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4 font-medium">Item</th>
+                  <th className="py-2 pr-4 font-medium text-right">On hand</th>
+                  <th className="py-2 font-medium text-right">Reorder level</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {locationStock.map(item => (
+                  <tr key={item.id}>
+                    <td className="py-2 pr-4 text-gray-900">{item.name}</td>
+                    <td className="py-2 pr-4 text-right">{item.quantity} {item.unit}</td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        defaultValue={item.location_reorder_level}
+                        placeholder={selectedLocation.is_default ? String(item.reorder_level || 0) : '—'}
+                        onBlur={(e) => handleReorderLevelBlur(item, e.target.value)}
+                        className="w-24 border border-gray-300 rounded px-2 py-1 text-right"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <InventorySettings />
     </div>
   );
 };
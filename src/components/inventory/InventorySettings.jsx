@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { SettingsIcon } from 'lucide-react';
+import toast from 'react-hot-toast';
+import InventoryService from '../../services/InventoryService';
+
+/**
+ * InventorySettings - How issues are costed and whether stock may go negative.
+ * Items without their own costing method follow the default here.
+ */
+const InventorySettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    InventoryService.getSettings()
+      .then(setSettings)
+      .catch(error => {
+        console.error('❌ Error loading inventory settings:', error);
+        toast.error(error.message);
+      });
+  }, []);
+
+  const save = async (changes) => {
+    const next = { ...settings, ...changes };
+    setSaving(true);
+    try {
+      setSettings(await InventoryService.updateSettings(next));
+      toast.success('Inventory settings saved');
+    } catch (error) {
+      console.error('❌ Error saving inventory settings:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+        <SettingsIcon className="w-5 h-5" />
+        Stock Settings
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Default costing method</label>
+          <select
+            value={settings.default_costing_method}
+            onChange={(e) => save({ default_costing_method: e.target.value })}
+            disabled={saving}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="fifo">FIFO - oldest stock is used first</option>
+            <option value="weighted_average">Weighted average</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Parts issued to maintenance are charged at this cost.</p>
+        </div>
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.allow_negative_stock}
+              onChange={(e) => save({ allow_negative_stock: e.target.checked })}
+              disabled={saving}
+              className="rounded border-gray-300"
+            />
+            Allow negative stock
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            When off, issuing more than is on hand is refused.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventorySettings;
@@ -3,6 +3,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
 import { Button } from '../ui/button';
 import InventoryService from '../../services/InventoryService';
+import PurchaseOrderService from '../../services/PurchaseOrderService';
 import ItemDetailsModal from './ItemDetailsModal'; // NEW: Import the details modal
 import { 
   Package, 
@@ -35,6 +36,7 @@ const ItemsManagement = () => {
   const [items, setItems] = useState([]);
   const [filteredItems, setFilteredItems] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   
@@ -54,6 +56,7 @@ const ItemsManagement = () => {
   const [formData, setFormData] = useState({
     name: '',
     sku: '',
+    barcode: '',
     category: '',
     description: '',
     unit: 'piece',
@@ -62,12 +65,17 @@ const ItemsManagement = () => {
     max_stock_level: '',
     price_mad: '',
     cost_mad: '',
+    costing_method: '',
+    preferred_supplier_id: '',
     active: true
   });
 
   useEffect(() => {
     loadItems();
     loadCategories();
+    PurchaseOrderService.getSuppliers({ activeOnly: true })
+      .then(setSuppliers)
+      .catch(err => console.error('Error loading suppliers:', err));
   }, []);
 
   useEffect(() => {
@@ -109,6 +117,7 @@ const ItemsManagement = () => {
       filtered = filtered.filter(item =>
         item.name.toLowerCase().includes(term) ||
         (item.sku && item.sku.toLowerCase().includes(term)) ||
+        (item.barcode && item.barcode.toLowerCase().includes(term)) ||
         (item.description && item.description.toLowerCase().includes(term)) ||
         item.category.toLowerCase().includes(term)
       );
@@ -142,6 +151,7 @@ const ItemsManagement = () => {
     setFormData({
       name: '',
       sku: '',
+      barcode: '',
       category: '',
       description: '',
       unit: 'piece',
@@ -150,6 +160,8 @@ const ItemsManagement = () => {
       max_stock_level: '',
       price_mad: '',
       cost_mad: '',
+      costing_method: '',
+      preferred_supplier_id: '',
       active: true
     });
   };
@@ -196,6 +208,7 @@ const ItemsManagement = () => {
     setFormData({
       name: item.name || '',
       sku: item.sku || '',
+      barcode: item.barcode || '',
       category: item.category || '',
       description: item.description || '',
       unit: item.unit || 'piece',
@@ -204,6 +217,8 @@ const ItemsManagement = () => {
       max_stock_level: item.max_stock_level?.toString() || '',
       price_mad: item.price_mad?.toString() || '',
       cost_mad: item.cost_mad?.toString() || '',
+      costing_method: item.costing_method || '',
+      preferred_supplier_id: item.preferred_supplier_id || '',
       active: item.active !== false
     });
     setSelectedItem(item);
@@ -587,6 +602,20 @@ const ItemsManagement = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Barcode
+                  </label>
+                  <input
+                    type="text"
+                    name="barcode"
+                    value={formData.barcode}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Scan or type the label code"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Category *
@@ -630,18 +659,22 @@ const ItemsManagement = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Stock on Hand
+                    {selectedItem ? 'Stock on Hand' : 'Opening Stock'}
                   </label>
                   <input
                     type="number"
                     name="stock_on_hand"
                     value={formData.stock_on_hand}
                     onChange={handleInputChange}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:text-gray-500"
                     min="0"
                     step="0.01"
                     placeholder="0"
+                    disabled={!!selectedItem}
                   />
+                  {selectedItem && (
+                    <p className="text-xs text-gray-500 mt-1">Change stock through Stock Movements</p>
+                  )}
                 </div>
 
                 <div>
@@ -707,6 +740,39 @@ const ItemsManagement = () => {
                     placeholder="0.00"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Costing Method
+                  </label>
+                  <select
+                    name="costing_method"
+                    value={formData.costing_method}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Inventory default</option>
+                    <option value="fifo">FIFO</option>
+                    <option value="weighted_average">Weighted average</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Preferred Supplier
+                  </label>
+                  <select
+                    name="preferred_supplier_id"
+                    value={formData.preferred_supplier_id}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">None</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
               <div>
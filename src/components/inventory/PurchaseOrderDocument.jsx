@@ -0,0 +1,110 @@
+import React, { forwardRef } from 'react';
+import html2canvas from 'html2canvas';
+import jsPDF from 'jspdf';
+
+const formatMoney = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '—');
+
+/**
+ * PurchaseOrderDocument - A4 purchase order sent to the supplier.
+ * Rendered off screen and captured by renderPurchaseOrderPdf().
+ */
+const PurchaseOrderDocument = forwardRef(({ order, company = {} }, ref) => {
+  if (!order) return null;
+
+  const supplier = order.supplier || {};
+
+  return (
+    <div ref={ref} style={{ width: '794px', padding: '40px', backgroundColor: '#ffffff', fontFamily: 'Arial, sans-serif', color: '#111827', fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', borderBottom: '2px solid #1f2937', paddingBottom: '16px', marginBottom: '24px' }}>
+        <div>
+          <h1 style={{ fontSize: '20px', fontWeight: 'bold', margin: 0 }}>{company.companyName}</h1>
+          <p style={{ margin: '4px 0 0' }}>{company.companyAddress}</p>
+          <p style={{ margin: '2px 0 0' }}>{[company.companyPhone, company.companyEmail].filter(Boolean).join(' • ')}</p>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <h2 style={{ fontSize: '22px', fontWeight: 'bold', margin: 0 }}>PURCHASE ORDER</h2>
+          <p style={{ margin: '4px 0 0', fontSize: '14px', fontWeight: 'bold' }}>{order.po_number}</p>
+          <p style={{ margin: '4px 0 0' }}>Date: {formatDate(order.order_date)}</p>
+          {order.expected_date && <p style={{ margin: '2px 0 0' }}>Expected: {formatDate(order.expected_date)}</p>}
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '24px' }}>
+        <p style={{ fontWeight: 'bold', textTransform: 'uppercase', color: '#6b7280', margin: '0 0 4px' }}>Supplier</p>
+        <p style={{ fontWeight: 'bold', fontSize: '14px', margin: 0 }}>{supplier.name}</p>
+        {supplier.contact_name && <p style={{ margin: '2px 0 0' }}>Attn: {supplier.contact_name}</p>}
+        {supplier.address && <p style={{ margin: '2px 0 0' }}>{supplier.address}</p>}
+        <p style={{ margin: '2px 0 0' }}>{[supplier.phone, supplier.email].filter(Boolean).join(' • ')}</p>
+        {supplier.tax_id && <p style={{ margin: '2px 0 0' }}>Tax ID: {supplier.tax_id}</p>}
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f3f4f6' }}>
+            <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #d1d5db' }}>Item</th>
+            <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #d1d5db' }}>SKU</th>
+            <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #d1d5db' }}>Qty</th>
+            <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #d1d5db' }}>Unit cost</th>
+            <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #d1d5db' }}>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(order.lines || []).map(line => (
+            <tr key={line.id}>
+              <td style={{ padding: '8px', borderBottom: '1px solid #e5e7eb' }}>{line.item?.name}</td>
+              <td style={{ padding: '8px', borderBottom: '1px solid #e5e7eb' }}>{line.item?.sku || '—'}</td>
+              <td style={{ padding: '8px', borderBottom: '1px solid #e5e7eb', textAlign: 'right' }}>{line.quantity_ordered} {line.item?.unit}</td>
+              <td style={{ padding: '8px', borderBottom: '1px solid #e5e7eb', textAlign: 'right' }}>{formatMoney(line.unit_cost_mad)}</td>
+              <td style={{ padding: '8px', borderBottom: '1px solid #e5e7eb', textAlign: 'right' }}>{formatMoney(line.total_cost_mad)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4} style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Total</td>
+            <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{formatMoney(order.total_mad)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {supplier.payment_terms && <p style={{ margin: '0 0 8px' }}><strong>Payment terms:</strong> {supplier.payment_terms}</p>}
+      {order.notes && <p style={{ margin: '0 0 8px', whiteSpace: 'pre-wrap' }}><strong>Notes:</strong> {order.notes}</p>}
+
+      <p style={{ marginTop: '32px', color: '#6b7280' }}>
+        Please quote {order.po_number} on your delivery note and invoice.
+      </p>
+    </div>
+  );
+});
+
+PurchaseOrderDocument.displayName = 'PurchaseOrderDocument';
+
+/**
+ * Capture a rendered PurchaseOrderDocument as an A4 PDF
+ * @param {HTMLElement} element - The document's root node
+ * @returns {Promise<jsPDF>}
+ */
+export const renderPurchaseOrderPdf = async (element) => {
+  const canvas = await html2canvas(element, { scale: 2, useCORS: true, logging: false, backgroundColor: '#ffffff' });
+  const imgWidth = 210;
+  const pageHeight = 297;
+  const imgHeight = (canvas.height * imgWidth) / canvas.width;
+  const imgData = canvas.toDataURL('image/png');
+  const pdf = new jsPDF('p', 'mm', 'a4');
+
+  let heightLeft = imgHeight;
+  let position = 0;
+  pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+  heightLeft -= pageHeight;
+  while (heightLeft > 0) {
+    position = heightLeft - imgHeight;
+    pdf.addPage();
+    pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+    heightLeft -= pageHeight;
+  }
+  return pdf;
+};
+
+export default PurchaseOrderDocument;
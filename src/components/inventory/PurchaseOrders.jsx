@@ -0,0 +1,737 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Plus,
+  Trash2,
+  Send,
+  PackageCheck,
+  FileDown,
+  Printer,
+  Share2,
+  Lightbulb,
+  X,
+  Edit,
+  Ban,
+  Undo2,
+  Loader2,
+  ClipboardList
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import PurchaseOrderService from '../../services/PurchaseOrderService';
+import InventoryService from '../../services/InventoryService';
+import settingsService from '../../services/settingsService';
+import PurchaseOrderDocument, { renderPurchaseOrderPdf } from './PurchaseOrderDocument';
+
+const emptyDraft = (locationId = '') => ({
+  supplier_id: '',
+  location_id: locationId,
+  order_date: new Date().toISOString().split('T')[0],
+  expected_date: '',
+  notes: '',
+  lines: [{ key: Date.now(), item_id: '', quantity_ordered: 1, unit_cost_mad: 0 }]
+});
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * PurchaseOrders - Draft, send and receive purchase orders, with reorder
+ * suggestions built from recent consumption
+ */
+const PurchaseOrders = () => {
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [company, setCompany] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('open');
+
+  const [draft, setDraft] = useState(null);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [suggestionWeeks, setSuggestionWeeks] = useState(4);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+
+  const documentRef = useRef(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedSuppliers, loadedItems, loadedLocations, settings] = await Promise.all([
+          PurchaseOrderService.getSuppliers(),
+          InventoryService.getItems({ active: true }),
+          InventoryService.getLocations(),
+          settingsService.getSettings()
+        ]);
+        setSuppliers(loadedSuppliers);
+        setItems(loadedItems);
+        setLocations(loadedLocations);
+        setCompany(settings || {});
+      } catch (error) {
+        console.error('❌ Error loading purchase order data:', error);
+        toast.error(error.message);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    loadOrders();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (showSuggestions) loadSuggestions();
+  }, [showSuggestions, suggestionWeeks]);
+
+  const loadOrders = async () => {
+    try {
+      setLoading(true);
+      const all = await PurchaseOrderService.getPurchaseOrders(
+        statusFilter && statusFilter !== 'open' ? { status: statusFilter } : {}
+      );
+      setOrders(statusFilter === 'open'
+        ? all.filter(order => PurchaseOrderService.OPEN_STATUSES.includes(order.status))
+        : all);
+    } catch (error) {
+      console.error('❌ Error loading purchase orders:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSuggestions = async () => {
+    try {
+      setLoadingSuggestions(true);
+      const result = await PurchaseOrderService.getReorderSuggestions({ weeks: suggestionWeeks });
+      setSuggestions(result.map(suggestion => ({ ...suggestion, selected: !!suggestion.supplier })));
+    } catch (error) {
+      console.error('❌ Error loading reorder suggestions:', error);
+      toast.error(error.message);
+    } finally {
+      setLoadingSuggestions(false);
+    }
+  };
+
+  const replaceOrder = (order) => {
+    setOrders(prev => (prev.some(existing => existing.id === order.id)
+      ? prev.map(existing => (existing.id === order.id ? order : existing))
+      : [order, ...prev]));
+    setSelectedOrder(order);
+  };
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      if (successMessage) toast.success(successMessage);
+      return result;
+    } catch (error) {
+      console.error('❌ Purchase order action failed:', error);
+      toast.error(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ---------- Drafts ----------
+
+  const openNewDraft = () => setDraft(emptyDraft(InventoryService.getWorkingLocationId(locations) || ''));
+
+  const openEditDraft = (order) => {
+    setSelectedOrder(null);
+    setDraft({
+      id: order.id,
+      supplier_id: order.supplier_id,
+      location_id: order.location_id || '',
+      order_date: order.order_date,
+      expected_date: order.expected_date || '',
+      notes: order.notes || '',
+      lines: order.lines.map(line => ({
+        key: line.id,
+        item_id: line.item_id,
+        quantity_ordered: line.quantity_ordered,
+        unit_cost_mad: line.unit_cost_mad
+      }))
+    });
+  };
+
+  const updateDraftLine = (key, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      lines: prev.lines.map(line => {
+        if (line.key !== key) return line;
+        const next = { ...line, ...changes };
+        // New item: start from its cost price
+        if (changes.item_id) {
+          const item = items.find(i => i.id === parseInt(changes.item_id, 10));
+          next.unit_cost_mad = item?.cost_mad || 0;
+        }
+        return next;
+      })
+    }));
+  };
+
+  const handleSaveDraft = async () => {
+    const saved = await runAction(() => PurchaseOrderService.saveDraft(draft), 'Purchase order saved');
+    if (saved) {
+      setDraft(null);
+      replaceOrder(saved);
+    }
+  };
+
+  // ---------- Status ----------
+
+  const handleStatus = async (order, action, message) => {
+    const updated = await runAction(() => PurchaseOrderService[action](order.id), message);
+    if (updated) replaceOrder(updated);
+  };
+
+  const handleDelete = async (order) => {
+    if (!window.confirm(`Delete ${order.po_number}?`)) return;
+    const done = await runAction(async () => {
+      await PurchaseOrderService.deletePurchaseOrder(order.id);
+      return true;
+    }, 'Purchase order deleted');
+    if (done) {
+      setOrders(prev => prev.filter(existing => existing.id !== order.id));
+      setSelectedOrder(null);
+    }
+  };
+
+  // ---------- Receiving ----------
+
+  const openReceive = (order) => {
+    setReceiving({
+      notes: '',
+      lines: order.lines.map(line => ({
+        line_id: line.id,
+        name: line.item?.name,
+        outstanding: line.quantity_ordered - line.quantity_received,
+        quantity: line.quantity_ordered - line.quantity_received
+      }))
+    });
+  };
+
+  const handleReceive = async () => {
+    const updated = await runAction(
+      () => PurchaseOrderService.receive(selectedOrder.id, receiving.lines, receiving.notes || null),
+      'Delivery received into stock'
+    );
+    if (updated) {
+      setReceiving(null);
+      replaceOrder(updated);
+    }
+  };
+
+  // ---------- Document ----------
+
+  const withPdf = async (use) => {
+    setBusy(true);
+    try {
+      const pdf = await renderPurchaseOrderPdf(documentRef.current);
+      await use(pdf, `${selectedOrder.po_number}.pdf`);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('❌ Error creating purchase order PDF:', error);
+        toast.error('Could not create the PDF');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = () => withPdf((pdf, fileName) => pdf.save(fileName));
+
+  const handlePrint = () => withPdf((pdf) => {
+    pdf.autoPrint();
+    window.open(pdf.output('bloburl'), '_blank');
+  });
+
+  const handleShare = () => withPdf(async (pdf, fileName) => {
+    const file = new File([pdf.output('blob')], fileName, { type: 'application/pdf' });
+    if (navigator.canShare?.({ files: [file] })) {
+      await navigator.share({ files: [file], title: `Purchase order ${selectedOrder.po_number}` });
+    } else {
+      pdf.save(fileName);
+      toast('Sharing is not available on this device; the PDF was downloaded instead');
+    }
+  });
+
+  // ---------- Suggestions ----------
+
+  const updateSuggestion = (itemId, changes) => {
+    setSuggestions(prev => prev.map(suggestion => (suggestion.item.id === itemId ? { ...suggestion, ...changes } : suggestion)));
+  };
+
+  const handleCreateFromSuggestions = async () => {
+    const chosen = suggestions.filter(suggestion => suggestion.selected && suggestion.supplier);
+    const created = await runAction(
+      () => PurchaseOrderService.createDraftsFromSuggestions(chosen),
+      null
+    );
+    if (created) {
+      toast.success(`${created.length} draft order${created.length === 1 ? '' : 's'} created`);
+      setOrders(prev => [...created, ...prev]);
+      loadSuggestions();
+    }
+  };
+
+  const formatCurrency = (amount) => InventoryService.formatCurrency(amount);
+
+  const statusBadge = (status) => {
+    const config = PurchaseOrderService.STATUSES[status] || {};
+    return <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${config.color}`}>{config.label || status}</span>;
+  };
+
+  const draftTotal = draft
+    ? draft.lines.reduce((sum, line) => sum + (parseFloat(line.quantity_ordered) || 0) * (parseFloat(line.unit_cost_mad) || 0), 0)
+    : 0;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Purchase Orders</h1>
+          <p className="text-gray-600">Order parts from suppliers and receive deliveries into stock</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowSuggestions(prev => !prev)}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Lightbulb className="w-4 h-4" />
+            Reorder Suggestions
+          </button>
+          <button
+            onClick={openNewDraft}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg"
+          >
+            <Plus className="w-4 h-4" />
+            New Order
+          </button>
+        </div>
+      </div>
+
+      {/* Reorder suggestions */}
+      {showSuggestions && (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200">
+          <div className="p-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Reorder Suggestions</h3>
+              <p className="text-sm text-gray-500">Based on usage, reorder levels, supplier lead times and what is already on order</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-600">Usage over</label>
+              <select
+                value={suggestionWeeks}
+                onChange={(e) => setSuggestionWeeks(parseInt(e.target.value, 10))}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              >
+                {[2, 4, 8, 12].map(weeks => <option key={weeks} value={weeks}>{weeks} weeks</option>)}
+              </select>
+              <button
+                onClick={handleCreateFromSuggestions}
+                disabled={busy || !suggestions.some(s => s.selected && s.supplier)}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm disabled:opacity-50"
+              >
+                Create Draft Orders
+              </button>
+            </div>
+          </div>
+          {loadingSuggestions ? (
+            <p className="p-6 text-sm text-gray-500">Loading...</p>
+          ) : suggestions.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">Nothing needs reordering.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-500 text-xs uppercase">
+                  <tr>
+                    <th className="p-3"></th>
+                    <th className="p-3 text-left">Item</th>
+                    <th className="p-3 text-right">Stock</th>
+                    <th className="p-3 text-right">On order</th>
+                    <th className="p-3 text-right">Weekly use</th>
+                    <th className="p-3 text-right">Reorder point</th>
+                    <th className="p-3 text-right">Order qty</th>
+                    <th className="p-3 text-left">Supplier</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {suggestions.map(suggestion => (
+                    <tr key={suggestion.item.id}>
+                      <td className="p-3">
+                        <input
+                          type="checkbox"
+                          checked={suggestion.selected}
+                          disabled={!suggestion.supplier}
+                          onChange={(e) => updateSuggestion(suggestion.item.id, { selected: e.target.checked })}
+                        />
+                      </td>
+                      <td className="p-3 font-medium text-gray-900">{suggestion.item.name}</td>
+                      <td className="p-3 text-right">{suggestion.item.stock_on_hand || 0}</td>
+                      <td className="p-3 text-right">{suggestion.onOrder}</td>
+                      <td className="p-3 text-right">{suggestion.weeklyUsage}</td>
+                      <td className="p-3 text-right">{suggestion.reorderPoint}</td>
+                      <td className="p-3 text-right">
+                        <input
+                          type="number"
+                          min="1"
+                          value={suggestion.suggestedQuantity}
+                          onChange={(e) => updateSuggestion(suggestion.item.id, { suggestedQuantity: e.target.value })}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded text-right"
+                        />
+                      </td>
+                      <td className="p-3">
+                        <select
+                          value={suggestion.supplier?.id || ''}
+                          onChange={(e) => {
+                            const supplier = suppliers.find(s => s.id === e.target.value) || null;
+                            updateSuggestion(suggestion.item.id, { supplier, selected: !!supplier });
+                          }}
+                          className="px-2 py-1 border border-gray-300 rounded"
+                        >
+                          <option value="">No supplier</option>
+                          {suppliers.filter(s => s.active).map(supplier => (
+                            <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Orders */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Orders</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="open">Open</option>
+            <option value="">All</option>
+            {Object.entries(PurchaseOrderService.STATUSES).map(([value, config]) => (
+              <option key={value} value={value}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : orders.length === 0 ? (
+          <div className="p-8 text-center">
+            <ClipboardList className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No purchase orders found</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {orders.map(order => (
+              <button
+                key={order.id}
+                onClick={() => setSelectedOrder(order)}
+                className="w-full p-4 flex items-center justify-between hover:bg-gray-50 text-left"
+              >
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{order.po_number}</span>
+                    {statusBadge(order.status)}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {order.supplier?.name} • {InventoryService.formatDate(order.order_date)} • {order.lines?.length || 0} items
+                  </p>
+                </div>
+                <span className="font-medium text-gray-900">{formatCurrency(order.total_mad)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Draft editor */}
+      {draft && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <h3 className="text-lg font-semibold text-gray-900">{draft.id ? 'Edit Draft Order' : 'New Purchase Order'}</h3>
+              <button onClick={() => setDraft(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier *</label>
+                  <select
+                    value={draft.supplier_id}
+                    onChange={(e) => setDraft({ ...draft, supplier_id: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Select supplier</option>
+                    {suppliers.filter(s => s.active || s.id === draft.supplier_id).map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Order Date</label>
+                  <input type="date" value={draft.order_date} onChange={(e) => setDraft({ ...draft, order_date: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+                  <input type="date" value={draft.expected_date} onChange={(e) => setDraft({ ...draft, expected_date: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Deliver To</label>
+                  <select
+                    value={draft.location_id}
+                    onChange={(e) => setDraft({ ...draft, location_id: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Default location</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">Items *</label>
+                {draft.lines.map(line => (
+                  <div key={line.key} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={line.item_id}
+                      onChange={(e) => updateDraftLine(line.key, { item_id: e.target.value })}
+                      className={`${inputClass} col-span-6`}
+                    >
+                      <option value="">Select item</option>
+                      {items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={line.quantity_ordered}
+                      onChange={(e) => updateDraftLine(line.key, { quantity_ordered: e.target.value })}
+                      className={`${inputClass} col-span-2`}
+                      title="Quantity"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unit_cost_mad}
+                      onChange={(e) => updateDraftLine(line.key, { unit_cost_mad: e.target.value })}
+                      className={`${inputClass} col-span-3`}
+                      title="Unit cost (MAD)"
+                    />
+                    <button
+                      onClick={() => setDraft(prev => ({ ...prev, lines: prev.lines.filter(l => l.key !== line.key) }))}
+                      className="col-span-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setDraft(prev => ({ ...prev, lines: [...prev.lines, { key: Date.now(), item_id: '', quantity_ordered: 1, unit_cost_mad: 0 }] }))}
+                  className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="w-4 h-4" /> Add item
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea rows={2} value={draft.notes} onChange={(e) => setDraft({ ...draft, notes: e.target.value })} className={inputClass} />
+              </div>
+
+              <div className="flex justify-between items-center pt-4">
+                <span className="font-medium text-gray-900">Total: {formatCurrency(draftTotal)}</span>
+                <div className="flex gap-3">
+                  <button onClick={() => setDraft(null)} className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg">Cancel</button>
+                  <button onClick={handleSaveDraft} disabled={busy} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50">
+                    Save Draft
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Order details */}
+      {selectedOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <div className="flex items-center gap-2">
+                <h3 className="text-lg font-semibold text-gray-900">{selectedOrder.po_number}</h3>
+                {statusBadge(selectedOrder.status)}
+              </div>
+              <button onClick={() => { setSelectedOrder(null); setReceiving(null); }} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Supplier</p>
+                  <p className="font-medium text-gray-900">{selectedOrder.supplier?.name}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Ordered / expected</p>
+                  <p className="font-medium text-gray-900">
+                    {InventoryService.formatDate(selectedOrder.order_date)} / {InventoryService.formatDate(selectedOrder.expected_date)}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Deliver to</p>
+                  <p className="font-medium text-gray-900">
+                    {locations.find(location => location.id === selectedOrder.location_id)?.name || 'Default location'}
+                  </p>
+                </div>
+              </div>
+
+              <table className="w-full text-sm">
+                <thead className="text-gray-500 text-xs uppercase border-b">
+                  <tr>
+                    <th className="py-2 text-left">Item</th>
+                    <th className="py-2 text-right">Ordered</th>
+                    <th className="py-2 text-right">Received</th>
+                    <th className="py-2 text-right">Unit cost</th>
+                    <th className="py-2 text-right">{receiving ? 'Receive now' : 'Total'}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {selectedOrder.lines.map(line => {
+                    const receiveLine = receiving?.lines.find(l => l.line_id === line.id);
+                    return (
+                      <tr key={line.id}>
+                        <td className="py-2">{line.item?.name}</td>
+                        <td className="py-2 text-right">{line.quantity_ordered}</td>
+                        <td className="py-2 text-right">{line.quantity_received}</td>
+                        <td className="py-2 text-right">{formatCurrency(line.unit_cost_mad)}</td>
+                        <td className="py-2 text-right">
+                          {receiveLine ? (
+                            <input
+                              type="number"
+                              min="0"
+                              max={receiveLine.outstanding}
+                              step="0.01"
+                              value={receiveLine.quantity}
+                              disabled={receiveLine.outstanding <= 0}
+                              onChange={(e) => setReceiving(prev => ({
+                                ...prev,
+                                lines: prev.lines.map(l => (l.line_id === line.id ? { ...l, quantity: e.target.value } : l))
+                              }))}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded text-right"
+                            />
+                          ) : formatCurrency(line.total_cost_mad)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                {!receiving && (
+                  <tfoot>
+                    <tr>
+                      <td colSpan={4} className="py-2 text-right font-medium">Total</td>
+                      <td className="py-2 text-right font-medium">{formatCurrency(selectedOrder.total_mad)}</td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+
+              {selectedOrder.notes && <p className="text-sm text-gray-600">{selectedOrder.notes}</p>}
+
+              {receiving ? (
+                <div className="space-y-3 border-t pt-4">
+                  <input
+                    type="text"
+                    value={receiving.notes}
+                    onChange={(e) => setReceiving(prev => ({ ...prev, notes: e.target.value }))}
+                    placeholder="Delivery note number (optional)"
+                    className={inputClass}
+                  />
+                  <div className="flex justify-end gap-3">
+                    <button onClick={() => setReceiving(null)} className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg">Cancel</button>
+                    <button onClick={handleReceive} disabled={busy} className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg disabled:opacity-50">
+                      <PackageCheck className="w-4 h-4" /> Receive into Stock
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-wrap justify-between gap-2 border-t pt-4">
+                  <div className="flex flex-wrap gap-2">
+                    <button onClick={handleDownload} disabled={busy} className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                      {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />} PDF
+                    </button>
+                    <button onClick={handlePrint} disabled={busy} className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                      <Printer className="w-4 h-4" /> Print
+                    </button>
+                    <button onClick={handleShare} disabled={busy} className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                      <Share2 className="w-4 h-4" /> Share
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {selectedOrder.status === 'draft' && (
+                      <>
+                        <button onClick={() => handleDelete(selectedOrder)} disabled={busy} className="flex items-center gap-1 px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm">
+                          <Trash2 className="w-4 h-4" /> Delete
+                        </button>
+                        <button onClick={() => openEditDraft(selectedOrder)} disabled={busy} className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                          <Edit className="w-4 h-4" /> Edit
+                        </button>
+                        <button onClick={() => handleStatus(selectedOrder, 'markSent', 'Marked as sent')} disabled={busy} className="flex items-center gap-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm">
+                          <Send className="w-4 h-4" /> Mark as Sent
+                        </button>
+                      </>
+                    )}
+                    {selectedOrder.status === 'sent' && (
+                      <button onClick={() => handleStatus(selectedOrder, 'reopen', 'Back to draft')} disabled={busy} className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                        <Undo2 className="w-4 h-4" /> Back to Draft
+                      </button>
+                    )}
+                    {['draft', 'sent'].includes(selectedOrder.status) && (
+                      <button onClick={() => handleStatus(selectedOrder, 'cancel', 'Purchase order cancelled')} disabled={busy} className="flex items-center gap-1 px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm">
+                        <Ban className="w-4 h-4" /> Cancel Order
+                      </button>
+                    )}
+                    {selectedOrder.status === 'cancelled' && (
+                      <button onClick={() => handleDelete(selectedOrder)} disabled={busy} className="flex items-center gap-1 px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm">
+                        <Trash2 className="w-4 h-4" /> Delete
+                      </button>
+                    )}
+                    {['sent', 'partially_received'].includes(selectedOrder.status) && (
+                      <button onClick={() => openReceive(selectedOrder)} disabled={busy} className="flex items-center gap-1 px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm">
+                        <PackageCheck className="w-4 h-4" /> Receive Delivery
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Off-screen copy captured for the PDF */}
+          <div style={{ position: 'fixed', left: '-10000px', top: 0 }}>
+            <PurchaseOrderDocument ref={documentRef} order={selectedOrder} company={company} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -1,14 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Search, Filter, Calendar, Package, TrendingUp, TrendingDown } from 'lucide-react';
+import { Plus, Search, Filter, Calendar, Package, TrendingUp, TrendingDown, ArrowLeftRight } from 'lucide-react';
 import inventoryService from '../../services/InventoryService';
 
 const StockMovements = () => {
   const [movements, setMovements] = useState([]);
   const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [filters, setFilters] = useState({
     itemId: '',
+    locationId: '',
     movementType: '',
     dateFrom: '',
     dateTo: '',
@@ -16,17 +18,36 @@ const StockMovements = () => {
   });
   const [formData, setFormData] = useState({
     item_id: '',
+    location_id: '',
+    to_location_id: '',
     movement_type: 'in',
     quantity: '',
+    unit_cost: '',
     reference: '',
     notes: '',
     movement_date: new Date().toISOString().split('T')[0]
   });
 
+  useEffect(() => {
+    loadLocations();
+  }, []);
+
   useEffect(() => {
     fetchData();
   }, [filters]);
 
+  const loadLocations = async () => {
+    try {
+      const data = await inventoryService.getLocations();
+      const workingLocationId = inventoryService.getWorkingLocationId(data) || '';
+      setLocations(data);
+      setFilters(prev => ({ ...prev, locationId: workingLocationId }));
+      setFormData(prev => ({ ...prev, location_id: workingLocationId }));
+    } catch (error) {
+      console.error('Error loading stock locations:', error);
+    }
+  };
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -46,16 +67,29 @@ const StockMovements = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      await inventoryService.createStockMovement({
-        ...formData,
-        quantity: parseInt(formData.quantity),
-        item_id: parseInt(formData.item_id)
-      });
+      if (formData.movement_type === 'transfer') {
+        await inventoryService.transferStock({
+          item_id: formData.item_id,
+          from_location_id: formData.location_id,
+          to_location_id: formData.to_location_id,
+          quantity: formData.quantity,
+          notes: [formData.reference && `Ref: ${formData.reference}`, formData.notes].filter(Boolean).join(' - ')
+        });
+      } else {
+        await inventoryService.createStockMovement({
+          ...formData,
+          quantity: parseInt(formData.quantity),
+          item_id: parseInt(formData.item_id)
+        });
+      }
       setShowModal(false);
       setFormData({
         item_id: '',
+        location_id: formData.location_id,
+        to_location_id: '',
         movement_type: 'in',
         quantity: '',
+        unit_cost: '',
         reference: '',
         notes: '',
         movement_date: new Date().toISOString().split('T')[0]
@@ -63,11 +97,12 @@ const StockMovements = () => {
       fetchData();
     } catch (error) {
       console.error('Error creating movement:', error);
-      alert('Failed to create stock movement');
+      alert(error.message || 'Failed to create stock movement');
     }
   };
 
-  const getMovementIcon = (type) => {
+  const getMovementIcon = (type, referenceType) => {
+    if (referenceType === 'transfer') return <ArrowLeftRight className="w-4 h-4 text-blue-600" />;
     switch (type) {
       case 'in':
       case 'adjustment_in':
@@ -80,7 +115,8 @@ const StockMovements = () => {
     }
   };
 
-  const getMovementColor = (type) => {
+  const getMovementColor = (type, referenceType) => {
+    if (referenceType === 'transfer') return 'text-blue-600 bg-blue-50';
     switch (type) {
       case 'in':
       case 'adjustment_in':
@@ -120,7 +156,23 @@ const StockMovements = () => {
       <div className="bg-white rounded-lg shadow-md border border-gray-200 mb-6">
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Filters</h3>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <select
+                value={filters.locationId}
+                onChange={(e) => {
+                  if (e.target.value) inventoryService.setWorkingLocationId(e.target.value);
+                  setFilters({...filters, locationId: e.target.value});
+                }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">All Locations</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Item</label>
               <select
@@ -207,16 +259,20 @@ const StockMovements = () => {
               <div key={movement.id} className="p-6 hover:bg-gray-50">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-4">
-                    <div className={`p-2 rounded-full ${getMovementColor(movement.movement_type)}`}>
-                      {getMovementIcon(movement.movement_type)}
+                    <div className={`p-2 rounded-full ${getMovementColor(movement.movement_type, movement.reference_type)}`}>
+                      {getMovementIcon(movement.movement_type, movement.reference_type)}
                     </div>
                     <div>
                       <h4 className="font-medium text-gray-900">
                         {movement.item?.name || 'Unknown Item'}
                       </h4>
                       <p className="text-sm text-gray-500">
-                        {movement.movement_type.replace('_', ' ').toUpperCase()} • {movement.quantity} units
+                        {movement.reference_type === 'transfer' ? `TRANSFER ${movement.movement_type.toUpperCase()}` : movement.movement_type.replace('_', ' ').toUpperCase()} • {movement.quantity} units
+                        {movement.unit_cost > 0 && ` • ${inventoryService.formatCurrency(movement.unit_cost)} each`}
                       </p>
+                      {movement.location && (
+                        <p className="text-xs text-gray-500">{movement.location.name}</p>
+                      )}
                       {movement.reference && (
                         <p className="text-xs text-gray-400">Ref: {movement.reference}</p>
                       )}
@@ -276,8 +332,43 @@ const StockMovements = () => {
                   <option value="out">Stock Out</option>
                   <option value="adjustment_in">Adjustment In</option>
                   <option value="adjustment_out">Adjustment Out</option>
+                  <option value="transfer">Transfer</option>
                 </select>
               </div>
+              <div className={formData.movement_type === 'transfer' ? 'grid grid-cols-2 gap-3' : ''}>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {formData.movement_type === 'transfer' ? 'From *' : 'Location *'}
+                  </label>
+                  <select
+                    value={formData.location_id}
+                    onChange={(e) => setFormData({...formData, location_id: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    required
+                  >
+                    <option value="">Select Location</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {formData.movement_type === 'transfer' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">To *</label>
+                    <select
+                      value={formData.to_location_id}
+                      onChange={(e) => setFormData({...formData, to_location_id: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      required
+                    >
+                      <option value="">Select Location</option>
+                      {locations.filter(location => location.id !== formData.location_id).map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Quantity *</label>
                 <input
@@ -289,6 +380,20 @@ const StockMovements = () => {
                   min="1"
                 />
               </div>
+              {formData.movement_type.endsWith('in') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Unit Cost (MAD)</label>
+                  <input
+                    type="number"
+                    value={formData.unit_cost}
+                    onChange={(e) => setFormData({...formData, unit_cost: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    min="0"
+                    step="0.01"
+                    placeholder="Item cost price"
+                  />
+                </div>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Movement Date *</label>
                 <input
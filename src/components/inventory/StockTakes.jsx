@@ -0,0 +1,526 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, ClipboardCheck, ScanLine, Search, ArrowLeft, CheckCircle, Ban, FileDown, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import InventoryService from '../../services/InventoryService';
+import StockTakeService from '../../services/StockTakeService';
+import { buildExportFile, downloadBlob } from '../../utils/exportFormats';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const canScanWithCamera = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * Camera barcode reader on browsers with the BarcodeDetector API
+ * (Chrome on Android); hardware scanners type into the search box instead
+ */
+const CameraScanner = ({ onDetected, onClose }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector();
+        timer = setInterval(async () => {
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length > 0) {
+              clearInterval(timer);
+              onDetected(codes[0].rawValue);
+            }
+          } catch (error) {
+            console.warn('⚠️ Barcode detection failed:', error);
+          }
+        }, 300);
+      } catch (error) {
+        console.error('❌ Camera unavailable:', error);
+        toast.error('Camera unavailable');
+        onClose();
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex flex-col items-center justify-center p-4 z-50">
+      <video ref={videoRef} className="w-full max-w-md rounded-lg" playsInline muted />
+      <button onClick={onClose} className="mt-4 px-4 py-2 bg-white text-gray-800 rounded-lg">Close</button>
+    </div>
+  );
+};
+
+/**
+ * StockTakes - Count a location's stock against a frozen snapshot,
+ * review the variances and post them as one batch of adjustments
+ */
+const StockTakes = () => {
+  const [stockTakes, setStockTakes] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [newTake, setNewTake] = useState(null);
+
+  const [current, setCurrent] = useState(null);
+  const [step, setStep] = useState('count');
+  const [search, setSearch] = useState('');
+  const [lineFilter, setLineFilter] = useState('all');
+  const [scanning, setScanning] = useState(false);
+  const [counts, setCounts] = useState({});
+  const countRefs = useRef({});
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedTakes, loadedLocations, loadedCategories] = await Promise.all([
+          StockTakeService.getStockTakes(),
+          InventoryService.getLocations(),
+          InventoryService.getCategories()
+        ]);
+        setStockTakes(loadedTakes);
+        setLocations(loadedLocations);
+        setCategories(loadedCategories);
+      } catch (error) {
+        console.error('❌ Error loading stock takes:', error);
+        toast.error(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const openTake = (stockTake) => {
+    setCurrent(stockTake);
+    setStep(stockTake.status === 'counting' ? 'count' : 'review');
+    setSearch('');
+    setLineFilter('all');
+    setCounts(Object.fromEntries(stockTake.lines.map(line => [line.id, line.counted_quantity ?? ''])));
+  };
+
+  const handleOpen = async (stockTakeId) => {
+    try {
+      openTake(await StockTakeService.getStockTake(stockTakeId));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const refreshList = async () => {
+    try {
+      setStockTakes(await StockTakeService.getStockTakes());
+    } catch (error) {
+      console.error('❌ Error loading stock takes:', error);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const started = await StockTakeService.start(newTake);
+      setNewTake(null);
+      openTake(started);
+      refreshList();
+      toast.success(`${started.reference} started: ${started.lines.length} items to count`);
+    } catch (error) {
+      console.error('❌ Error starting stock take:', error);
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveCount = async (line) => {
+    const value = counts[line.id];
+    if (String(value ?? '') === String(line.counted_quantity ?? '')) return;
+    try {
+      const saved = await StockTakeService.recordCount(line.id, value);
+      setCurrent(prev => ({ ...prev, lines: prev.lines.map(existing => (existing.id === saved.id ? saved : existing)) }));
+    } catch (error) {
+      console.error('❌ Error recording count:', error);
+      toast.error(error.message);
+      setCounts(prev => ({ ...prev, [line.id]: line.counted_quantity ?? '' }));
+    }
+  };
+
+  const focusLine = (line) => {
+    setLineFilter('all');
+    setSearch('');
+    setTimeout(() => {
+      const input = countRefs.current[line.id];
+      input?.scrollIntoView({ block: 'center' });
+      input?.focus();
+      input?.select();
+    }, 0);
+  };
+
+  const handleCode = (code) => {
+    const line = StockTakeService.findLineByCode(current.lines, code);
+    if (line) {
+      focusLine(line);
+    } else {
+      toast.error(`No item with code ${code} in this count`);
+    }
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const line = StockTakeService.findLineByCode(current.lines, search);
+    if (line) {
+      focusLine(line);
+    } else {
+      const matches = visibleLines();
+      if (matches.length === 1) focusLine(matches[0]);
+    }
+  };
+
+  const handlePost = async () => {
+    if (!window.confirm(`Post ${current.reference}? Every counted variance is booked as a stock adjustment and cannot be undone.`)) return;
+    setBusy(true);
+    try {
+      const posted = await StockTakeService.post(current.id);
+      openTake(posted);
+      refreshList();
+      toast.success(`${posted.reference} posted`);
+    } catch (error) {
+      console.error('❌ Error posting stock take:', error);
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel ${current.reference}? Counts are kept but nothing is adjusted.`)) return;
+    setBusy(true);
+    try {
+      openTake(await StockTakeService.cancel(current.id));
+      refreshList();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    const report = StockTakeService.getVarianceReport(current);
+    const columns = [
+      { key: 'item', header: 'Item', value: row => row.item?.name },
+      { key: 'sku', header: 'SKU', value: row => row.item?.sku },
+      { key: 'category', header: 'Category', value: row => row.item?.category },
+      { key: 'expected_quantity', header: 'Expected' },
+      { key: 'counted_quantity', header: 'Counted' },
+      { key: 'varianceQuantity', header: 'Variance' },
+      { key: 'unit_cost_mad', header: 'Unit cost (MAD)' },
+      { key: 'varianceValue', header: 'Variance value (MAD)' },
+      { key: 'notes', header: 'Notes' }
+    ];
+    const blob = await buildExportFile('csv', columns, report.rows);
+    downloadBlob(blob, `${current.reference}-variance.csv`);
+  };
+
+  const formatCurrency = (amount) => InventoryService.formatCurrency(amount);
+
+  const visibleLines = () => {
+    const term = search.trim().toLowerCase();
+    return current.lines.filter(line => {
+      if (lineFilter === 'uncounted' && line.counted_quantity !== null) return false;
+      if (lineFilter === 'counted' && line.counted_quantity === null) return false;
+      if (!term) return true;
+      return [line.item?.name, line.item?.sku, line.item?.barcode].some(value => value && value.toLowerCase().includes(term));
+    });
+  };
+
+  const statusBadge = (status) => (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${StockTakeService.STATUSES[status]?.color}`}>
+      {StockTakeService.STATUSES[status]?.label || status}
+    </span>
+  );
+
+  // ---------- Session ----------
+  if (current) {
+    const report = StockTakeService.getVarianceReport(current);
+    const isCounting = current.status === 'counting';
+
+    return (
+      <div className="p-4 sm:p-6 space-y-4">
+        <div className="flex items-center justify-between gap-2">
+          <button onClick={() => { setCurrent(null); refreshList(); }} className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900">
+            <ArrowLeft className="w-4 h-4" />
+            Stock takes
+          </button>
+          {statusBadge(current.status)}
+        </div>
+
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{current.reference}</h1>
+          <p className="text-gray-600 text-sm">
+            {current.location?.name} • {current.category || 'All categories'} • {report.counted} of {current.lines.length} counted
+          </p>
+        </div>
+
+        {isCounting && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setStep('count')}
+              className={`flex-1 py-2 rounded-lg text-sm font-medium ${step === 'count' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              Count
+            </button>
+            <button
+              onClick={() => setStep('review')}
+              className={`flex-1 py-2 rounded-lg text-sm font-medium ${step === 'review' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              Review variances
+            </button>
+          </div>
+        )}
+
+        {step === 'count' && isCounting ? (
+          <>
+            <div className="flex gap-2 sticky top-16 bg-gray-50 py-2 z-10">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  onKeyDown={handleSearchKeyDown}
+                  placeholder="Scan or search item"
+                  className={`${inputClass} pl-10`}
+                  autoFocus
+                />
+              </div>
+              {canScanWithCamera && (
+                <button onClick={() => setScanning(true)} className="px-3 bg-gray-800 text-white rounded-lg" title="Scan barcode">
+                  <ScanLine className="w-5 h-5" />
+                </button>
+              )}
+            </div>
+
+            <select value={lineFilter} onChange={(e) => setLineFilter(e.target.value)} className="text-sm border border-gray-300 rounded px-2 py-1">
+              <option value="all">All items</option>
+              <option value="uncounted">Not counted yet ({report.uncounted})</option>
+              <option value="counted">Counted ({report.counted})</option>
+            </select>
+
+            <div className="bg-white rounded-lg shadow-md border border-gray-200 divide-y divide-gray-100">
+              {visibleLines().map(line => (
+                <div key={line.id} className="p-3 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{line.item?.name}</p>
+                    <p className="text-xs text-gray-500">{[line.item?.sku, line.item?.category].filter(Boolean).join(' • ')}</p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <input
+                      ref={el => { countRefs.current[line.id] = el; }}
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="any"
+                      value={counts[line.id] ?? ''}
+                      onChange={(e) => setCounts(prev => ({ ...prev, [line.id]: e.target.value }))}
+                      onBlur={() => saveCount(line)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                      className="w-20 px-2 py-2 border border-gray-300 rounded-lg text-right"
+                      placeholder="—"
+                    />
+                    <span className="text-xs text-gray-500 w-10">{line.item?.unit}</span>
+                  </div>
+                </div>
+              ))}
+              {visibleLines().length === 0 && <p className="p-6 text-center text-sm text-gray-500">No matching items</p>}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs text-gray-500">Shortages</p>
+                <p className="text-xl font-bold text-red-600">{report.shortages}</p>
+              </div>
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs text-gray-500">Surpluses</p>
+                <p className="text-xl font-bold text-green-600">{report.surpluses}</p>
+              </div>
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs text-gray-500">Shrinkage</p>
+                <p className="text-xl font-bold text-red-600">{formatCurrency(report.shrinkageValue)}</p>
+              </div>
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs text-gray-500">Net variance{isCounting ? ' (estimated)' : ''}</p>
+                <p className={`text-xl font-bold ${report.netValue < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatCurrency(report.netValue)}</p>
+              </div>
+            </div>
+
+            {isCounting && report.uncounted > 0 && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                {report.uncounted} items have not been counted; they will not be adjusted.
+              </p>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="text-gray-500 text-xs uppercase border-b">
+                  <tr>
+                    <th className="py-2 px-3 text-left">Item</th>
+                    <th className="py-2 px-3 text-right">Expected</th>
+                    <th className="py-2 px-3 text-right">Counted</th>
+                    <th className="py-2 px-3 text-right">Variance</th>
+                    <th className="py-2 px-3 text-right">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.rows.filter(row => row.counted && row.varianceQuantity !== 0).map(row => (
+                    <tr key={row.id}>
+                      <td className="py-2 px-3">{row.item?.name}</td>
+                      <td className="py-2 px-3 text-right">{row.expected_quantity}</td>
+                      <td className="py-2 px-3 text-right">{row.counted_quantity}</td>
+                      <td className={`py-2 px-3 text-right font-medium ${row.varianceQuantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {row.varianceQuantity > 0 ? '+' : ''}{row.varianceQuantity}
+                      </td>
+                      <td className="py-2 px-3 text-right">{formatCurrency(row.varianceValue)}</td>
+                    </tr>
+                  ))}
+                  {report.shortages + report.surpluses === 0 && (
+                    <tr><td colSpan={5} className="py-6 text-center text-gray-500">No variances</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <button onClick={handleExport} className="flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg">
+                <FileDown className="w-4 h-4" />
+                Export CSV
+              </button>
+              {isCounting && (
+                <>
+                  <button onClick={handleCancel} disabled={busy} className="flex items-center gap-2 px-4 py-2 text-red-700 bg-red-50 hover:bg-red-100 rounded-lg disabled:opacity-50">
+                    <Ban className="w-4 h-4" />
+                    Cancel Count
+                  </button>
+                  <button onClick={handlePost} disabled={busy || report.counted === 0} className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg disabled:opacity-50">
+                    <CheckCircle className="w-4 h-4" />
+                    Post Adjustments
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+
+        {scanning && (
+          <CameraScanner
+            onDetected={(code) => { setScanning(false); handleCode(code); }}
+            onClose={() => setScanning(false)}
+          />
+        )}
+      </div>
+    );
+  }
+
+  // ---------- List ----------
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Stock Takes</h1>
+          <p className="text-gray-600">Count what is on the shelf and post the differences</p>
+        </div>
+        <button
+          onClick={() => setNewTake({ locationId: InventoryService.getWorkingLocationId(locations) || '', category: '', notes: '' })}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg"
+        >
+          <Plus className="w-4 h-4" />
+          New Stock Take
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : stockTakes.length === 0 ? (
+          <div className="p-8 text-center">
+            <ClipboardCheck className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No stock takes yet</p>
+          </div>
+        ) : (
+          stockTakes.map(stockTake => (
+            <button key={stockTake.id} onClick={() => handleOpen(stockTake.id)} className="w-full p-4 flex items-center justify-between text-left hover:bg-gray-50">
+              <div>
+                <div className="flex items-center gap-2">
+                  <h4 className="font-medium text-gray-900">{stockTake.reference}</h4>
+                  {statusBadge(stockTake.status)}
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  {stockTake.location?.name} • {stockTake.category || 'All categories'} • {InventoryService.formatDate(stockTake.created_at)}
+                </p>
+              </div>
+              {stockTake.status === 'posted' && (
+                <span className={`font-medium ${stockTake.variance_value_mad < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {formatCurrency(stockTake.variance_value_mad)}
+                </span>
+              )}
+            </button>
+          ))
+        )}
+      </div>
+
+      {newTake && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <h3 className="text-lg font-semibold text-gray-900">New Stock Take</h3>
+              <button onClick={() => setNewTake(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <form onSubmit={handleStart} className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Location *</label>
+                <select value={newTake.locationId} onChange={(e) => setNewTake({ ...newTake, locationId: e.target.value })} className={inputClass} required>
+                  <option value="">Select location</option>
+                  {locations.map(location => <option key={location.id} value={location.id}>{location.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select value={newTake.category} onChange={(e) => setNewTake({ ...newTake, category: e.target.value })} className={inputClass}>
+                  <option value="">All categories</option>
+                  {categories.map(category => <option key={category} value={category}>{category}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea rows={2} value={newTake.notes} onChange={(e) => setNewTake({ ...newTake, notes: e.target.value })} className={inputClass} placeholder="e.g. Month-end count" />
+              </div>
+              <p className="text-xs text-gray-500">Expected quantities are frozen when the count starts.</p>
+              <div className="flex justify-end gap-3 pt-2">
+                <button type="button" onClick={() => setNewTake(null)} className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg">Cancel</button>
+                <button type="submit" disabled={busy} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50">Start Counting</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockTakes;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit, Trash2, Truck, Phone, Mail, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import PurchaseOrderService from '../../services/PurchaseOrderService';
+
+const emptySupplier = {
+  name: '',
+  contact_name: '',
+  phone: '',
+  email: '',
+  address: '',
+  tax_id: '',
+  payment_terms: '',
+  lead_time_days: 7,
+  notes: '',
+  active: true
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * SuppliersManagement - Supplier records used on purchase orders; the lead
+ * time feeds the reorder suggestions
+ */
+const SuppliersManagement = () => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSuppliers();
+  }, []);
+
+  const loadSuppliers = async () => {
+    try {
+      setLoading(true);
+      setSuppliers(await PurchaseOrderService.getSuppliers());
+    } catch (error) {
+      console.error('❌ Error loading suppliers:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setEditing(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await PurchaseOrderService.saveSupplier(editing);
+      setSuppliers(prev => (editing.id
+        ? prev.map(supplier => (supplier.id === saved.id ? saved : supplier))
+        : [...prev, saved].sort((a, b) => a.name.localeCompare(b.name))));
+      setEditing(null);
+      toast.success('Supplier saved');
+    } catch (error) {
+      console.error('❌ Error saving supplier:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Delete supplier "${supplier.name}"?`)) return;
+    try {
+      await PurchaseOrderService.deleteSupplier(supplier.id);
+      setSuppliers(prev => prev.filter(existing => existing.id !== supplier.id));
+    } catch (error) {
+      console.error('❌ Error deleting supplier:', error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Suppliers</h1>
+          <p className="text-gray-600">Who you buy parts from, and how long they take to deliver</p>
+        </div>
+        <button
+          onClick={() => setEditing({ ...emptySupplier })}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg"
+        >
+          <Plus className="w-4 h-4" />
+          Add Supplier
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : suppliers.length === 0 ? (
+          <div className="p-8 text-center">
+            <Truck className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No suppliers yet</p>
+          </div>
+        ) : (
+          suppliers.map(supplier => (
+            <div key={supplier.id} className="p-4 flex items-center justify-between">
+              <div>
+                <div className="flex items-center gap-2">
+                  <h4 className="font-medium text-gray-900">{supplier.name}</h4>
+                  {!supplier.active && <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">Inactive</span>}
+                </div>
+                <div className="flex flex-wrap gap-4 text-sm text-gray-500 mt-1">
+                  {supplier.contact_name && <span>{supplier.contact_name}</span>}
+                  {supplier.phone && <span className="flex items-center gap-1"><Phone className="w-3 h-3" />{supplier.phone}</span>}
+                  {supplier.email && <span className="flex items-center gap-1"><Mail className="w-3 h-3" />{supplier.email}</span>}
+                  <span>Lead time {supplier.lead_time_days} days</span>
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => setEditing({ ...supplier })} className="p-2 text-gray-500 hover:text-blue-600 rounded">
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleDelete(supplier)} className="p-2 text-gray-500 hover:text-red-600 rounded">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {editing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <h3 className="text-lg font-semibold text-gray-900">{editing.id ? 'Edit Supplier' : 'Add Supplier'}</h3>
+              <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input name="name" value={editing.name} onChange={handleChange} className={inputClass} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Contact</label>
+                  <input name="contact_name" value={editing.contact_name || ''} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                  <input name="phone" value={editing.phone || ''} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                  <input type="email" name="email" value={editing.email || ''} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tax ID (ICE)</label>
+                  <input name="tax_id" value={editing.tax_id || ''} onChange={handleChange} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lead Time (days)</label>
+                  <input type="number" min="0" name="lead_time_days" value={editing.lead_time_days} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Payment Terms</label>
+                  <input name="payment_terms" value={editing.payment_terms || ''} onChange={handleChange} className={inputClass} placeholder="e.g. 30 days end of month" />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                  <textarea name="address" rows={2} value={editing.address || ''} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <textarea name="notes" rows={2} value={editing.notes || ''} onChange={handleChange} className={inputClass} />
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" name="active" checked={editing.active} onChange={handleChange} className="rounded border-gray-300" />
+                Active
+              </label>
+              <div className="flex justify-end gap-3 pt-4">
+                <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg">Cancel</button>
+                <button type="submit" disabled={saving} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50">Save Supplier</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuppliersManagement;
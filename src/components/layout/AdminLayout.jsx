@@ -51,6 +51,13 @@ const AdminLayout = () => {
       path: '/admin/rentals',
       moduleName: 'rentals'
     },
+    {
+      id: 'till',
+      name: 'Cash Register',
+      icon: '💵',
+      path: '/admin/till',
+      moduleName: 'rentals'
+    },
     {
       id: 'customers',
       name: 'Customer Management',
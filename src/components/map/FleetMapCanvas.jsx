@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import { getBounds } from '../../utils/geoUtils';
+
+const WIDTH = 1000;
+const HEIGHT = 600;
+
+// Agafay desert, used when there is nothing to frame yet
+const DEFAULT_CENTER = [31.4295, -8.1755];
+
+export const STALENESS_COLORS = {
+  live: '#16a34a',
+  stale: '#f59e0b',
+  lost: '#6b7280',
+  none: '#9ca3af'
+};
+
+/**
+ * FleetMapCanvas - SVG plot of riding zones, vehicle fixes and a selected track.
+ * Uses an equirectangular projection corrected for latitude, which is accurate
+ * at the scale of a riding area.
+ *
+ * @param {Array} markers - [{ vehicleId, label, latitude, longitude, staleness, outsideZone }]
+ * @param {Array} geofences - Rows of geofences
+ * @param {Array} track - [{ latitude, longitude }] of the selected vehicle
+ */
+const FleetMapCanvas = ({ markers = [], geofences = [], track = [], selectedVehicleId, onSelect }) => {
+  const projection = useMemo(() => {
+    const points = [
+      ...markers.map(marker => [marker.latitude, marker.longitude]),
+      ...geofences.flatMap(zone => zone.polygon || []),
+      ...track.map(point => [point.latitude, point.longitude])
+    ];
+    const bounds = getBounds(points.length ? points : [DEFAULT_CENTER], 0.1);
+
+    const midLat = (bounds.minLat + bounds.maxLat) / 2;
+    const lngFactor = Math.cos((midLat * Math.PI) / 180);
+    const spanX = (bounds.maxLng - bounds.minLng) * lngFactor;
+    const spanY = bounds.maxLat - bounds.minLat;
+    const scale = Math.min(WIDTH / spanX, HEIGHT / spanY);
+    const offsetX = (WIDTH - spanX * scale) / 2;
+    const offsetY = (HEIGHT - spanY * scale) / 2;
+
+    return ([lat, lng]) => [
+      offsetX + (lng - bounds.minLng) * lngFactor * scale,
+      offsetY + (bounds.maxLat - lat) * scale
+    ];
+  }, [markers, geofences, track]);
+
+  const toPath = (points) =>
+    points.map((point, index) => `${index === 0 ? 'M' : 'L'}${projection(point).join(',')}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-full bg-amber-50 rounded-b-lg">
+      {geofences.map(zone => (
+        <g key={zone.id} opacity={zone.is_active ? 1 : 0.35}>
+          <path
+            d={`${toPath(zone.polygon || [])} Z`}
+            fill={zone.color || '#16a34a'}
+            fillOpacity={0.12}
+            stroke={zone.color || '#16a34a'}
+            strokeWidth={2}
+            strokeDasharray={zone.is_active ? undefined : '6 4'}
+          />
+          {zone.polygon?.length > 0 && (
+            <text
+              x={projection(zone.polygon[0])[0] + 6}
+              y={projection(zone.polygon[0])[1] - 6}
+              className="text-xs"
+              fill={zone.color || '#16a34a'}
+            >
+              {zone.name}
+            </text>
+          )}
+        </g>
+      ))}
+
+      {track.length > 1 && (
+        <path
+          d={toPath(track.map(point => [point.latitude, point.longitude]))}
+          fill="none"
+          stroke="#2563eb"
+          strokeWidth={2}
+          strokeOpacity={0.7}
+        />
+      )}
+
+      {markers.map(marker => {
+        const [x, y] = projection([marker.latitude, marker.longitude]);
+        const isSelected = String(marker.vehicleId) === String(selectedVehicleId);
+        return (
+          <g
+            key={marker.vehicleId}
+            transform={`translate(${x},${y})`}
+            onClick={() => onSelect && onSelect(marker.vehicleId)}
+            className="cursor-pointer"
+          >
+            {marker.outsideZone && <circle r={16} fill="#dc2626" fillOpacity={0.25} />}
+            <circle
+              r={isSelected ? 10 : 7}
+              fill={STALENESS_COLORS[marker.staleness] || STALENESS_COLORS.none}
+              stroke={marker.outsideZone ? '#dc2626' : '#ffffff'}
+              strokeWidth={marker.outsideZone ? 3 : 2}
+            />
+            <text x={12} y={4} className="text-xs font-medium" fill="#1f2937">
+              {marker.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default FleetMapCanvas;
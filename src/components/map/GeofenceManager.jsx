@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Trash2, Edit, Plus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import FleetPositionService from '../../services/FleetPositionService';
+import { parseCoordinateList, formatCoordinateList } from '../../utils/geoUtils';
+
+const EMPTY_FORM = { id: null, name: '', description: '', points: '', color: '#16a34a', is_active: true };
+
+/**
+ * GeofenceManager - Define the allowed riding zones as lists of corner points
+ */
+const GeofenceManager = ({ geofences, onChange }) => {
+  const { user } = useAuth();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (zone) => {
+    setForm(zone
+      ? {
+          id: zone.id,
+          name: zone.name,
+          description: zone.description || '',
+          points: formatCoordinateList(zone.polygon),
+          color: zone.color || '#16a34a',
+          is_active: zone.is_active
+        }
+      : EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await FleetPositionService.saveGeofence({
+        ...(form.id ? { id: form.id } : {}),
+        name: form.name.trim(),
+        description: form.description.trim() || null,
+        polygon: parseCoordinateList(form.points),
+        color: form.color,
+        is_active: form.is_active
+      }, user?.id);
+      toast.success('Riding zone saved');
+      setForm(null);
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    if (!window.confirm(`Delete riding zone "${zone.name}"?`)) return;
+    try {
+      await FleetPositionService.deleteGeofence(zone.id);
+      toast.success('Riding zone deleted');
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="font-semibold text-lg">Riding zones</h2>
+        {!form && (
+          <button onClick={() => startEdit(null)} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+            <Plus className="w-4 h-4 mr-1" /> Add zone
+          </button>
+        )}
+      </div>
+
+      {form ? (
+        <form onSubmit={handleSave} className="space-y-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Zone name"
+            className="w-full border rounded px-3 py-2 text-sm"
+            required
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            className="w-full border rounded px-3 py-2 text-sm"
+          />
+          <div>
+            <textarea
+              value={form.points}
+              onChange={(e) => setForm(prev => ({ ...prev, points: e.target.value }))}
+              placeholder={'31.4401, -8.1902\n31.4402, -8.1601\n31.4150, -8.1600'}
+              rows={6}
+              className="w-full border rounded px-3 py-2 text-sm font-mono"
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">One corner per line as latitude, longitude, in order around the zone.</p>
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.is_active}
+                onChange={(e) => setForm(prev => ({ ...prev, is_active: e.target.checked }))}
+              />
+              <span>Active</span>
+            </label>
+            <input
+              type="color"
+              value={form.color}
+              onChange={(e) => setForm(prev => ({ ...prev, color: e.target.value }))}
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setForm(null)} className="px-3 py-1 text-sm border rounded">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="px-3 py-1 text-sm bg-blue-600 text-white rounded disabled:opacity-50">
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-2">
+          {geofences.length === 0 && (
+            <p className="text-sm text-gray-500">No riding zones defined. Vehicles are not checked until one is added.</p>
+          )}
+          {geofences.map(zone => (
+            <div key={zone.id} className="flex items-center justify-between p-2 rounded border">
+              <div className="flex items-center">
+                <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: zone.color || '#16a34a' }} />
+                <div>
+                  <div className="text-sm font-medium">{zone.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {zone.polygon?.length || 0} points{!zone.is_active && ' · inactive'}
+                  </div>
+                </div>
+              </div>
+              <div className="flex space-x-2">
+                <button onClick={() => startEdit(zone)} className="text-gray-500 hover:text-blue-600">
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleDelete(zone)} className="text-gray-500 hover:text-red-600">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GeofenceManager;
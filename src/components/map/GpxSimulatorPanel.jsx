@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Square } from 'lucide-react';
+import toast from 'react-hot-toast';
+import FleetPositionService from '../../services/FleetPositionService';
+import { parseGpx, replayGpx } from '../../utils/gpxSimulator';
+
+/**
+ * GpxSimulatorPanel - Replay a GPX track as position pings for one vehicle,
+ * so the live map and zone alerts can be tested without a tracker
+ */
+const GpxSimulatorPanel = ({ vehicles }) => {
+  const [vehicleId, setVehicleId] = useState('');
+  const [points, setPoints] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [speed, setSpeed] = useState(10);
+  const [progress, setProgress] = useState(null);
+  const stopRef = useRef(null);
+
+  // Stop replaying when the page is left
+  useEffect(() => () => stopRef.current && stopRef.current(), []);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setPoints(parseGpx(await file.text()));
+      setFileName(file.name);
+    } catch (error) {
+      setPoints(null);
+      toast.error(error.message);
+    }
+  };
+
+  const handleStart = () => {
+    setProgress(0);
+    stopRef.current = replayGpx(
+      points,
+      async (point) => {
+        setProgress(point.index + 1);
+        try {
+          await FleetPositionService.recordPosition({
+            vehicleId,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            speedKmh: point.speed_kmh,
+            source: 'simulator'
+          });
+        } catch (error) {
+          console.error('❌ GPX simulator: failed to send ping:', error);
+        }
+      },
+      {
+        speed,
+        onDone: () => {
+          stopRef.current = null;
+          setProgress(null);
+          toast.success('GPX replay finished');
+        }
+      }
+    );
+  };
+
+  const handleStop = () => {
+    stopRef.current && stopRef.current();
+    stopRef.current = null;
+    setProgress(null);
+  };
+
+  const isRunning = progress !== null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h2 className="font-semibold text-lg mb-1">GPX simulator</h2>
+      <p className="text-xs text-gray-500 mb-3">Replays a recorded track as pings for the chosen vehicle.</p>
+
+      <div className="space-y-3">
+        <select
+          value={vehicleId}
+          onChange={(e) => setVehicleId(e.target.value)}
+          disabled={isRunning}
+          className="w-full border rounded px-3 py-2 text-sm"
+        >
+          <option value="">Select vehicle</option>
+          {vehicles.map(vehicle => (
+            <option key={vehicle.id} value={vehicle.id}>
+              {vehicle.name} {vehicle.plate_number ? `(${vehicle.plate_number})` : ''}
+            </option>
+          ))}
+        </select>
+
+        <input type="file" accept=".gpx,application/gpx+xml" onChange={handleFile} disabled={isRunning} className="text-sm" />
+        {points && <p className="text-xs text-gray-600">{fileName}: {points.length} points</p>}
+
+        <label className="flex items-center justify-between text-sm">
+          <span>Speed ×{speed}</span>
+          <input
+            type="range"
+            min={1}
+            max={60}
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            disabled={isRunning}
+          />
+        </label>
+
+        {isRunning ? (
+          <button onClick={handleStop} className="w-full flex items-center justify-center gap-2 py-2 rounded bg-red-600 text-white text-sm">
+            <Square className="w-4 h-4" /> Stop ({progress}/{points.length})
+          </button>
+        ) : (
+          <button
+            onClick={handleStart}
+            disabled={!vehicleId || !points}
+            className="w-full flex items-center justify-center gap-2 py-2 rounded bg-blue-600 text-white text-sm disabled:opacity-50"
+          >
+            <Play className="w-4 h-4" /> Replay track
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GpxSimulatorPanel;
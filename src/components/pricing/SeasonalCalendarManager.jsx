@@ -0,0 +1,473 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDays, Sun, Moon, Plus, Pencil, Trash2, X, Save, Calculator } from 'lucide-react';
+import toast from 'react-hot-toast';
+import SeasonalPricingService from '../../services/SeasonalPricingService';
+import RentalQuoteService from '../../services/RentalQuoteService';
+import { parseMoroccoDateTime } from '../../utils/moroccoTime';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CALENDAR_KINDS = {
+  public_holiday: 'Public holidays',
+  religious: 'Religious',
+  custom: 'Custom'
+};
+
+const EMPTY_SEASON = { season_name: '', vehicle_model_id: '', start_date: '', end_date: '', multiplier: '1.0', description: '' };
+const EMPTY_WEEKDAY_RULE = { name: '', vehicle_model_id: '', days_of_week: [], multiplier: '1.0', description: '' };
+const EMPTY_CALENDAR = { name: '', vehicle_model_id: '', kind: 'custom', multiplier: '1.0', description: '' };
+const EMPTY_DATE = { label: '', start_date: '', end_date: '' };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Seasons, weekday rules and holiday calendars used to price each day
+ * (or hour) of a rental, with a preview of how a period is priced.
+ */
+const SeasonalCalendarManager = ({ vehicleModels = [] }) => {
+  const [seasons, setSeasons] = useState([]);
+  const [weekdayRules, setWeekdayRules] = useState([]);
+  const [calendars, setCalendars] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [seasonForm, setSeasonForm] = useState(null);
+  const [weekdayForm, setWeekdayForm] = useState(null);
+  const [calendarForm, setCalendarForm] = useState(null);
+  const [dateForms, setDateForms] = useState({});
+
+  const [preview, setPreview] = useState({ vehicle_model_id: '', rental_type: 'daily', start: '', end: '' });
+  const [previewResult, setPreviewResult] = useState(null);
+
+  useEffect(() => {
+    loadCalendar();
+  }, []);
+
+  const loadCalendar = async () => {
+    try {
+      setLoading(true);
+      const calendar = await SeasonalPricingService.getPricingCalendar();
+      setSeasons(calendar.seasons);
+      setWeekdayRules(calendar.weekdayRules);
+      setCalendars(calendar.holidays);
+    } catch (error) {
+      toast.error(`Failed to load seasonal pricing: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const modelName = (vehicleModelId) => {
+    if (!vehicleModelId) return 'All models';
+    return vehicleModels.find(model => model.id === vehicleModelId)?.name || 'Unknown model';
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadCalendar();
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    }
+  };
+
+  const handleSaveSeason = async () => {
+    if (!seasonForm.season_name || !seasonForm.start_date || !seasonForm.end_date) {
+      toast.error('Name, start and end date are required');
+      return;
+    }
+    if (seasonForm.end_date < seasonForm.start_date) {
+      toast.error('The season must end on or after its start');
+      return;
+    }
+    const saved = await runAction(() => SeasonalPricingService.upsertSeasonalRule(seasonForm), 'Season saved');
+    if (saved) setSeasonForm(null);
+  };
+
+  const handleSaveWeekdayRule = async () => {
+    if (!weekdayForm.name || weekdayForm.days_of_week.length === 0) {
+      toast.error('Name and at least one day are required');
+      return;
+    }
+    const saved = await runAction(() => SeasonalPricingService.upsertWeekdayRule(weekdayForm), 'Weekday rule saved');
+    if (saved) setWeekdayForm(null);
+  };
+
+  const handleSaveCalendar = async () => {
+    if (!calendarForm.name) {
+      toast.error('Calendar name is required');
+      return;
+    }
+    const saved = await runAction(() => SeasonalPricingService.upsertHolidayCalendar(calendarForm), 'Holiday calendar saved');
+    if (saved) setCalendarForm(null);
+  };
+
+  const handleAddDate = async (calendarId) => {
+    const dateForm = dateForms[calendarId] || EMPTY_DATE;
+    if (!dateForm.label || !dateForm.start_date) {
+      toast.error('Label and date are required');
+      return;
+    }
+    if (dateForm.end_date && dateForm.end_date < dateForm.start_date) {
+      toast.error('The holiday must end on or after its start');
+      return;
+    }
+    const saved = await runAction(() => SeasonalPricingService.addHolidayDate(calendarId, dateForm), 'Date added');
+    if (saved) setDateForms(prev => ({ ...prev, [calendarId]: EMPTY_DATE }));
+  };
+
+  const toggleWeekday = (day) => {
+    setWeekdayForm(prev => ({
+      ...prev,
+      days_of_week: prev.days_of_week.includes(day)
+        ? prev.days_of_week.filter(value => value !== day)
+        : [...prev.days_of_week, day].sort((a, b) => a - b)
+    }));
+  };
+
+  const handlePreview = async () => {
+    if (!preview.start || !preview.end) {
+      toast.error('Choose the start and end of the period');
+      return;
+    }
+    // The fields show Morocco time, as the rental pricing engine does
+    const startAt = parseMoroccoDateTime(...preview.start.split('T'));
+    const endAt = parseMoroccoDateTime(...preview.end.split('T'));
+    if (!(startAt < endAt)) {
+      toast.error('The end must be after the start');
+      return;
+    }
+
+    try {
+      const quote = await RentalQuoteService.getQuote({
+        vehicleModelId: preview.vehicle_model_id || null,
+        rentalType: preview.rental_type,
+        startAt,
+        endAt
+      });
+      setPreviewResult({
+        lines: quote.lines.filter(line => line.type === 'base'),
+        subtotal: quote.subtotal,
+        baseSubtotal: Math.round((quote.subtotal - quote.seasonalAdjustment) * 100) / 100
+      });
+    } catch (error) {
+      toast.error(`Failed to price the period: ${error.message}`);
+    }
+  };
+
+  const renderModelSelect = (value, onChange) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+      <option value="">All models</option>
+      {vehicleModels.map(model => (
+        <option key={model.id} value={model.id}>{model.name}</option>
+      ))}
+    </select>
+  );
+
+  if (loading) {
+    return <div className="p-6 text-center text-gray-500">Loading seasonal pricing...</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <p className="text-sm text-gray-600">
+        Each day of a rental (each hour for hourly rentals) is priced at the base rate times its season and either
+        its holiday or, on an ordinary day, its weekday rule. Rules for a specific model take precedence over rules
+        for all models.
+      </p>
+
+      {/* Seasons */}
+      <section>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-md font-semibold text-gray-900 flex items-center gap-2">
+            <Sun className="w-4 h-4 text-orange-500" />
+            Seasons
+          </h3>
+          <button
+            onClick={() => setSeasonForm({ ...EMPTY_SEASON })}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm flex items-center gap-1 hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add Season
+          </button>
+        </div>
+
+        {seasonForm && (
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-3 p-4 mb-3 bg-gray-50 rounded-lg">
+            <input className={inputClass} placeholder="Season name" value={seasonForm.season_name}
+              onChange={(e) => setSeasonForm({ ...seasonForm, season_name: e.target.value })} />
+            {renderModelSelect(seasonForm.vehicle_model_id, (value) => setSeasonForm({ ...seasonForm, vehicle_model_id: value }))}
+            <input type="date" className={inputClass} value={seasonForm.start_date}
+              onChange={(e) => setSeasonForm({ ...seasonForm, start_date: e.target.value })} />
+            <input type="date" className={inputClass} value={seasonForm.end_date}
+              onChange={(e) => setSeasonForm({ ...seasonForm, end_date: e.target.value })} />
+            <input type="number" step="0.05" min="0.05" max="10" className={inputClass} value={seasonForm.multiplier}
+              onChange={(e) => setSeasonForm({ ...seasonForm, multiplier: e.target.value })} />
+            <div className="flex gap-2">
+              <button onClick={handleSaveSeason} className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm flex items-center gap-1">
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+              <button onClick={() => setSeasonForm(null)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Season</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Multiplier</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {seasons.length === 0 && (
+              <tr><td colSpan={5} className="px-4 py-4 text-center text-sm text-gray-500">No seasons defined</td></tr>
+            )}
+            {seasons.map(season => (
+              <tr key={season.id}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{season.season_name}</td>
+                <td className="px-4 py-2 text-sm text-gray-600">{modelName(season.vehicle_model_id)}</td>
+                <td className="px-4 py-2 text-sm text-gray-600">{season.start_date} → {season.end_date}</td>
+                <td className="px-4 py-2 text-sm text-right">×{season.multiplier}</td>
+                <td className="px-4 py-2 text-right whitespace-nowrap">
+                  <button onClick={() => setSeasonForm({ ...EMPTY_SEASON, ...season, vehicle_model_id: season.vehicle_model_id || '' })}
+                    className="text-blue-600 hover:text-blue-800 mr-2">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => runAction(() => SeasonalPricingService.deleteSeasonalRule(season.id), 'Season removed')}
+                    className="text-red-600 hover:text-red-800">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {/* Weekday rules */}
+      <section>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-md font-semibold text-gray-900 flex items-center gap-2">
+            <CalendarDays className="w-4 h-4 text-blue-500" />
+            Weekday Rules
+          </h3>
+          <button
+            onClick={() => setWeekdayForm({ ...EMPTY_WEEKDAY_RULE })}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm flex items-center gap-1 hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add Rule
+          </button>
+        </div>
+
+        {weekdayForm && (
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3 p-4 mb-3 bg-gray-50 rounded-lg items-center">
+            <input className={inputClass} placeholder="Rule name" value={weekdayForm.name}
+              onChange={(e) => setWeekdayForm({ ...weekdayForm, name: e.target.value })} />
+            {renderModelSelect(weekdayForm.vehicle_model_id, (value) => setWeekdayForm({ ...weekdayForm, vehicle_model_id: value }))}
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  onClick={() => toggleWeekday(day)}
+                  className={`px-2 py-1 rounded text-xs font-medium ${
+                    weekdayForm.days_of_week.includes(day) ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <input type="number" step="0.05" min="0.05" max="10" className={inputClass} value={weekdayForm.multiplier}
+              onChange={(e) => setWeekdayForm({ ...weekdayForm, multiplier: e.target.value })} />
+            <div className="flex gap-2">
+              <button onClick={handleSaveWeekdayRule} className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm flex items-center gap-1">
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+              <button onClick={() => setWeekdayForm(null)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {weekdayRules.length === 0 && <p className="text-sm text-gray-500">No weekday rules defined</p>}
+          {weekdayRules.map(rule => (
+            <div key={rule.id} className="p-3 border border-gray-200 rounded-lg flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{rule.name} <span className="text-gray-500">×{rule.multiplier}</span></p>
+                <p className="text-xs text-gray-500">
+                  {rule.days_of_week.map(day => WEEKDAYS[day]).join(', ')} · {modelName(rule.vehicle_model_id)}
+                </p>
+              </div>
+              <div className="whitespace-nowrap">
+                <button onClick={() => setWeekdayForm({ ...EMPTY_WEEKDAY_RULE, ...rule, vehicle_model_id: rule.vehicle_model_id || '' })}
+                  className="text-blue-600 hover:text-blue-800 mr-2">
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => runAction(() => SeasonalPricingService.deleteWeekdayRule(rule.id), 'Weekday rule removed')}
+                  className="text-red-600 hover:text-red-800">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Holiday calendars */}
+      <section>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-md font-semibold text-gray-900 flex items-center gap-2">
+            <Moon className="w-4 h-4 text-indigo-500" />
+            Holiday Calendars
+          </h3>
+          <button
+            onClick={() => setCalendarForm({ ...EMPTY_CALENDAR })}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm flex items-center gap-1 hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add Calendar
+          </button>
+        </div>
+
+        {calendarForm && (
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3 p-4 mb-3 bg-gray-50 rounded-lg">
+            <input className={inputClass} placeholder="Calendar name" value={calendarForm.name}
+              onChange={(e) => setCalendarForm({ ...calendarForm, name: e.target.value })} />
+            {renderModelSelect(calendarForm.vehicle_model_id, (value) => setCalendarForm({ ...calendarForm, vehicle_model_id: value }))}
+            <select className={inputClass} value={calendarForm.kind}
+              onChange={(e) => setCalendarForm({ ...calendarForm, kind: e.target.value })}>
+              {Object.entries(CALENDAR_KINDS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input type="number" step="0.05" min="0.05" max="10" className={inputClass} value={calendarForm.multiplier}
+              onChange={(e) => setCalendarForm({ ...calendarForm, multiplier: e.target.value })} />
+            <div className="flex gap-2">
+              <button onClick={handleSaveCalendar} className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm flex items-center gap-1">
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+              <button onClick={() => setCalendarForm(null)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {calendars.length === 0 && <p className="text-sm text-gray-500">No holiday calendars defined</p>}
+          {calendars.map(calendar => {
+            const dateForm = dateForms[calendar.id] || EMPTY_DATE;
+            const setDateForm = (changes) => setDateForms(prev => ({ ...prev, [calendar.id]: { ...dateForm, ...changes } }));
+
+            return (
+              <div key={calendar.id} className="border border-gray-200 rounded-lg">
+                <div className="p-3 border-b border-gray-200 flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">{calendar.name} <span className="text-gray-500 font-normal">×{calendar.multiplier}</span></p>
+                    <p className="text-xs text-gray-500">{CALENDAR_KINDS[calendar.kind]} · {modelName(calendar.vehicle_model_id)}</p>
+                  </div>
+                  <div className="whitespace-nowrap">
+                    <button onClick={() => setCalendarForm({ ...EMPTY_CALENDAR, ...calendar, vehicle_model_id: calendar.vehicle_model_id || '' })}
+                      className="text-blue-600 hover:text-blue-800 mr-2">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => runAction(() => SeasonalPricingService.deleteHolidayCalendar(calendar.id), 'Holiday calendar removed')}
+                      className="text-red-600 hover:text-red-800">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                  {calendar.dates.map(date => (
+                    <li key={date.id} className="px-3 py-1.5 flex items-center justify-between text-sm">
+                      <span className="text-gray-900">{date.label}</span>
+                      <span className="flex items-center gap-2 text-xs text-gray-500">
+                        {date.start_date === date.end_date ? date.start_date : `${date.start_date} → ${date.end_date}`}
+                        <button onClick={() => runAction(() => SeasonalPricingService.deleteHolidayDate(date.id), 'Date removed')}
+                          className="text-red-500 hover:text-red-700">
+                          <X className="w-3 h-3" />
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="p-3 border-t border-gray-200 space-y-2">
+                  <input className={inputClass} placeholder="Label, e.g. Eid al-Adha 2028" value={dateForm.label}
+                    onChange={(e) => setDateForm({ label: e.target.value })} />
+                  <div className="flex gap-2">
+                    <input type="date" className={inputClass} value={dateForm.start_date}
+                      onChange={(e) => setDateForm({ start_date: e.target.value })} />
+                    <input type="date" className={inputClass} value={dateForm.end_date}
+                      onChange={(e) => setDateForm({ end_date: e.target.value })} />
+                    <button onClick={() => handleAddDate(calendar.id)} className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm">
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </section>
+
+      {/* Preview */}
+      <section className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+        <h3 className="text-md font-semibold text-gray-900 flex items-center gap-2 mb-3">
+          <Calculator className="w-4 h-4 text-blue-600" />
+          Price a Period
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          {renderModelSelect(preview.vehicle_model_id, (value) => setPreview({ ...preview, vehicle_model_id: value }))}
+          <select className={inputClass} value={preview.rental_type}
+            onChange={(e) => setPreview({ ...preview, rental_type: e.target.value })}>
+            <option value="daily">Daily</option>
+            <option value="hourly">Hourly</option>
+          </select>
+          <input type="datetime-local" className={inputClass} value={preview.start}
+            onChange={(e) => setPreview({ ...preview, start: e.target.value })} />
+          <input type="datetime-local" className={inputClass} value={preview.end}
+            onChange={(e) => setPreview({ ...preview, end: e.target.value })} />
+          <button onClick={handlePreview} className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            Calculate
+          </button>
+        </div>
+
+        {previewResult && (
+          <div className="mt-4 bg-white rounded-lg p-4 space-y-1 text-sm">
+            {previewResult.lines.map((line, index) => (
+              <div key={index} className="flex justify-between">
+                <span className="text-gray-700">{line.label}</span>
+                <span className="text-gray-900">{line.amount.toFixed(2)} MAD</span>
+              </div>
+            ))}
+            <div className="border-t pt-2 mt-2 flex justify-between font-semibold">
+              <span>Subtotal</span>
+              <span>{previewResult.subtotal.toFixed(2)} MAD</span>
+            </div>
+            {previewResult.subtotal !== previewResult.baseSubtotal && (
+              <p className="text-xs text-gray-500">
+                {(previewResult.subtotal - previewResult.baseSubtotal).toFixed(2)} MAD against {previewResult.baseSubtotal.toFixed(2)} MAD at the base rate
+              </p>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default SeasonalCalendarManager;
@@ -5,11 +5,12 @@ import UserProfileService from '../../services/UserProfileService';
 import ProfileSettings from './ProfileSettings';
 import ChangePasswordModal from './ChangePasswordModal';
 import ProfilePictureUpload from './ProfilePictureUpload';
+import StepUpSettings from './StepUpSettings';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 const ProfilePage = () => {
   const { t } = useTranslation();
-  const { user, getUserRole } = useAuth();
+  const { user } = useAuth();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -17,7 +18,7 @@ const ProfilePage = () => {
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [activityLog, setActivityLog] = useState([]);
 
-  const userRole = getUserRole();
+  const userRole = user?.role;
 
   useEffect(() => {
     if (user?.id) {
@@ -259,19 +260,23 @@ const ProfilePage = () => {
                   </button>
                 </div>
 
-                <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-                  <div>
-                    <h4 className="text-sm font-medium text-gray-900">
-                      {t('profile.security.twoFactor')}
-                    </h4>
-                    <p className="text-sm text-gray-500">
-                      {t('profile.security.twoFactorDescription')}
-                    </p>
+                {(userRole === 'owner' || userRole === 'admin') ? (
+                  <StepUpSettings userId={user.id} />
+                ) : (
+                  <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-900">
+                        {t('profile.security.twoFactor')}
+                      </h4>
+                      <p className="text-sm text-gray-500">
+                        {t('profile.security.twoFactorDescription')}
+                      </p>
+                    </div>
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                      {t('common.comingSoon')}
+                    </span>
                   </div>
-                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                    {t('common.comingSoon')}
-                  </span>
-                </div>
+                )}
               </div>
             </div>
           )}
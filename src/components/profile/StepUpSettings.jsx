@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { toast } from 'react-hot-toast';
+import { KeyRound, ShieldCheck, Smartphone, RefreshCw } from 'lucide-react';
+import StepUpService, { STEP_UP_ACTIONS, STEP_UP_EVENTS } from '../../services/StepUpService';
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' }) : '';
+
+/**
+ * Recovery codes, shown once right after they are made
+ */
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="p-4 border border-amber-300 bg-amber-50 rounded-lg space-y-3">
+    <p className="text-sm text-amber-800">
+      Keep these recovery codes somewhere safe. Each works once in place of an authenticator code,
+      and they will not be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+      {codes.map(code => <span key={code} className="bg-white border rounded px-2 py-1 text-center">{code}</span>)}
+    </div>
+    <div className="flex gap-2">
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n')).then(() => toast.success('Codes copied'))}
+        className="px-3 py-2 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-50"
+      >
+        Copy
+      </button>
+      <button
+        type="button"
+        onClick={onDone}
+        className="px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+      >
+        I have saved them
+      </button>
+    </div>
+  </div>
+);
+
+/**
+ * StepUpSettings - an owner's or admin's step-up PIN, authenticator app
+ * and recovery codes, and their recent step-up activity
+ */
+const StepUpSettings = ({ userId }) => {
+  const [status, setStatus] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [pinForm, setPinForm] = useState({ currentPin: '', code: '', newPin: '', confirmPin: '' });
+  const [enrollment, setEnrollment] = useState(null);
+  const [enrollCode, setEnrollCode] = useState('');
+  const [regenForm, setRegenForm] = useState({ pin: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, [userId]);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      const [current, log] = await Promise.all([
+        StepUpService.getStatus(),
+        StepUpService.getAuditLog({ userId, limit: 20 })
+      ]);
+      setStatus(current);
+      setActivity(log);
+    } catch (error) {
+      console.error('❌ Error loading step-up status:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showResultError = (result) => {
+    toast.error(result.locked_until
+      ? `${result.error}. Try again after ${formatDateTime(result.locked_until)}.`
+      : result.error);
+  };
+
+  const handleSetPin = async (e) => {
+    e.preventDefault();
+    if (pinForm.newPin !== pinForm.confirmPin) {
+      toast.error('The new PINs do not match');
+      return;
+    }
+    try {
+      setSaving(true);
+      const result = await StepUpService.setPin(pinForm);
+      if (!result.ok) {
+        showResultError(result);
+      } else {
+        toast.success(status.has_pin ? 'PIN changed' : 'PIN set');
+        setPinForm({ currentPin: '', code: '', newPin: '', confirmPin: '' });
+      }
+      await loadStatus();
+    } catch (error) {
+      console.error('❌ Error setting PIN:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBeginEnrollment = async () => {
+    try {
+      setSaving(true);
+      const { secret, uri } = await StepUpService.beginTotpEnrollment();
+      const qrCode = await QRCode.toDataURL(uri, { width: 200, margin: 1 });
+      setEnrollment({ secret, qrCode });
+      setEnrollCode('');
+    } catch (error) {
+      console.error('❌ Error starting authenticator setup:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirmEnrollment = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const codes = await StepUpService.confirmTotpEnrollment(enrollCode);
+      setEnrollment(null);
+      setRecoveryCodes(codes);
+      toast.success('Authenticator set up');
+      await loadStatus();
+    } catch (error) {
+      console.error('❌ Error confirming authenticator:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const result = await StepUpService.regenerateRecoveryCodes(regenForm.pin, regenForm.code);
+      if (!result.ok) {
+        showResultError(result);
+      } else {
+        setRecoveryCodes(result.recovery_codes);
+        setRegenForm({ pin: '', code: '' });
+      }
+      await loadStatus();
+    } catch (error) {
+      console.error('❌ Error creating recovery codes:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="flex items-center p-4 text-gray-600">
+        <RefreshCw className="h-5 w-5 animate-spin mr-2" /> Loading step-up verification...
+      </div>
+    );
+  }
+
+  if (!status) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 border border-gray-200 rounded-lg">
+        <div className="flex items-center gap-2 mb-1">
+          <ShieldCheck className="w-5 h-5 text-blue-600" />
+          <h4 className="text-sm font-medium text-gray-900">Step-up verification</h4>
+        </div>
+        <p className="text-sm text-gray-500">
+          Closing a rental without its video, overriding a price, deleting records and releasing deposits
+          ask for your PIN and a code from your authenticator app.
+        </p>
+        {status.locked_until && (
+          <p className="mt-2 text-sm text-red-600">
+            Locked after too many failed attempts until {formatDateTime(status.locked_until)}.
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={handleSetPin} className="p-4 border border-gray-200 rounded-lg space-y-3">
+        <div className="flex items-center gap-2">
+          <KeyRound className="w-5 h-5 text-gray-600" />
+          <h4 className="text-sm font-medium text-gray-900">{status.has_pin ? 'Change PIN' : 'Set your PIN'}</h4>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {status.has_pin && (
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              placeholder="Current PIN"
+              value={pinForm.currentPin}
+              onChange={(e) => setPinForm(prev => ({ ...prev, currentPin: e.target.value }))}
+              className={inputClass}
+            />
+          )}
+          {status.has_pin && status.totp_enabled && (
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              placeholder="Authenticator or recovery code"
+              value={pinForm.code}
+              onChange={(e) => setPinForm(prev => ({ ...prev, code: e.target.value }))}
+              className={inputClass}
+            />
+          )}
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            placeholder="New PIN (6 to 12 digits)"
+            value={pinForm.newPin}
+            onChange={(e) => setPinForm(prev => ({ ...prev, newPin: e.target.value }))}
+            className={inputClass}
+          />
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            placeholder="Repeat new PIN"
+            value={pinForm.confirmPin}
+            onChange={(e) => setPinForm(prev => ({ ...prev, confirmPin: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving || !pinForm.newPin}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {status.has_pin ? 'Change PIN' : 'Set PIN'}
+        </button>
+      </form>
+
+      <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+        <div className="flex items-center gap-2">
+          <Smartphone className="w-5 h-5 text-gray-600" />
+          <h4 className="text-sm font-medium text-gray-900">Authenticator app</h4>
+        </div>
+
+        {status.totp_enabled ? (
+          <>
+            <p className="text-sm text-gray-600">
+              Set up on {formatDateTime(status.totp_enabled_at)}. {status.recovery_codes_left} recovery codes left.
+              To move to a new phone, ask the owner to reset your step-up verification.
+            </p>
+            {!recoveryCodes && (
+              <form onSubmit={handleRegenerate} className="flex flex-col sm:flex-row gap-2">
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  placeholder="PIN"
+                  value={regenForm.pin}
+                  onChange={(e) => setRegenForm(prev => ({ ...prev, pin: e.target.value }))}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  placeholder="Authenticator code"
+                  value={regenForm.code}
+                  onChange={(e) => setRegenForm(prev => ({ ...prev, code: e.target.value }))}
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={saving || !regenForm.pin || !regenForm.code}
+                  className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 whitespace-nowrap disabled:opacity-50"
+                >
+                  New recovery codes
+                </button>
+              </form>
+            )}
+          </>
+        ) : !status.has_pin ? (
+          <p className="text-sm text-gray-500">Set your PIN first.</p>
+        ) : enrollment ? (
+          <form onSubmit={handleConfirmEnrollment} className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Scan this code with Google Authenticator, Microsoft Authenticator or a similar app,
+              then enter the 6-digit code it shows.
+            </p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48 border rounded" />
+            <p className="text-xs text-gray-500">
+              Can't scan? Enter this key: <span className="font-mono break-all">{enrollment.secret}</span>
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                value={enrollCode}
+                onChange={(e) => setEnrollCode(e.target.value)}
+                className={`${inputClass} max-w-[10rem] tracking-widest`}
+              />
+              <button
+                type="submit"
+                disabled={saving || !enrollCode}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                Confirm
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={handleBeginEnrollment}
+            disabled={saving}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Set up authenticator
+          </button>
+        )}
+
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+      </div>
+
+      {activity.length > 0 && (
+        <div className="p-4 border border-gray-200 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Recent step-up activity</h4>
+          <table className="min-w-full text-sm">
+            <tbody>
+              {activity.map(entry => (
+                <tr key={entry.id} className="border-b last:border-0">
+                  <td className="py-1 pr-3 text-gray-500 whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                  <td className={`py-1 pr-3 ${['failed', 'locked'].includes(entry.event) ? 'text-red-600' : 'text-gray-900'}`}>
+                    {STEP_UP_EVENTS[entry.event] || entry.event}
+                  </td>
+                  <td className="py-1 text-gray-600">
+                    {STEP_UP_ACTIONS[entry.action] || ''}
+                    {['failed', 'locked'].includes(entry.event) && entry.detail && ` — ${entry.detail}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepUpSettings;
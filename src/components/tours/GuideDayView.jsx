@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Phone, Users, Truck, Play, Square, CheckCircle, XCircle, RefreshCw, Wand2, Banknote } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import TourOperationsService from '../../services/TourOperationsService';
+import TourCapacityService from '../../services/TourCapacityService';
+import CalendarService from '../../services/CalendarService';
+import LiveTourTimer from '../calendar/LiveTourTimer';
+import QuadSelectionModal from './QuadSelectionModal';
+import CollectPaymentModal from '../admin/CollectPaymentModal';
+import { getMoroccoTodayString } from '../../utils/moroccoTime';
+
+const REFRESH_INTERVAL = 60000;
+
+const STATUS_STYLES = {
+  pending: 'bg-orange-100 text-orange-800',
+  confirmed: 'bg-green-100 text-green-800',
+  on_tour: 'bg-blue-100 text-blue-800',
+  completed: 'bg-gray-100 text-gray-800',
+  waitlisted: 'bg-yellow-100 text-yellow-800'
+};
+
+const { CHECK_IN_STATUS, TOUR_STATUS } = TourOperationsService;
+
+/**
+ * GuideDayView - A day of tours for a guide (or for the office, all guides,
+ * where each tour is assigned to its guide). Shows participants with phone
+ * numbers and the assigned quads, and lets the guide check participants in,
+ * mark no-shows and start / end the tour.
+ */
+const GuideDayView = ({ guideId = null }) => {
+  const { user } = useAuth();
+  const [date, setDate] = useState(getMoroccoTodayString());
+  const [tours, setTours] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [quadModalBooking, setQuadModalBooking] = useState(null);
+  const [paymentBooking, setPaymentBooking] = useState(null);
+  const [guides, setGuides] = useState([]);
+
+  // The office view dispatches tours to guides
+  const isOfficeView = !guideId;
+
+  const loadTours = useCallback(async () => {
+    try {
+      setTours(await TourOperationsService.getDayTours({ date, guideId }));
+    } catch (error) {
+      console.error('❌ GuideDayView: failed to load tours:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [date, guideId]);
+
+  useEffect(() => {
+    if (!isOfficeView) return;
+    TourOperationsService.getGuides()
+      .then(setGuides)
+      .catch(error => {
+        console.error('❌ GuideDayView: failed to load guides:', error);
+        toast.error(error.message);
+      });
+  }, [isOfficeView]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadTours();
+    const interval = setInterval(loadTours, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [loadTours]);
+
+  const runAction = async (id, action, successMessage) => {
+    setBusyId(id);
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+      await loadTours();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCheckIn = (participant, status) =>
+    runAction(participant.id, () =>
+      TourOperationsService.setParticipantCheckIn(
+        participant.id,
+        participant.check_in_status === status ? CHECK_IN_STATUS.EXPECTED : status,
+        user?.id
+      )
+    );
+
+  const handleAssignGuide = (booking, assignedGuideId) =>
+    runAction(
+      booking.id,
+      () => TourOperationsService.assignGuide(booking.id, assignedGuideId),
+      assignedGuideId ? 'Guide assigned' : 'Guide removed'
+    );
+
+  const handleStart = (booking) => {
+    if (booking.assignments.length === 0 && !window.confirm('No quads are assigned to this tour. Start anyway?')) {
+      return;
+    }
+    runAction(booking.id, () => TourOperationsService.startTour(booking, user?.id), 'Tour started');
+  };
+
+  const handleEnd = (booking) => {
+    if (!window.confirm('End this tour and release its quads?')) return;
+    runAction(booking.id, () => TourOperationsService.endTour(booking, user?.id), 'Tour ended');
+  };
+
+  const handleQuadSelection = (selection) => {
+    const booking = quadModalBooking;
+    runAction(
+      booking.id,
+      () => TourOperationsService.saveQuadAssignments(booking.id, selection),
+      `${selection.totalQuads} quad${selection.totalQuads !== 1 ? 's' : ''} assigned`
+    );
+  };
+
+  const handleAutoAssign = (booking) =>
+    runAction(booking.id, () => TourCapacityService.autoAssignQuads(booking), 'Quads assigned');
+
+  return (
+    <div>
+      <div className="mb-6 flex flex-wrap items-center gap-3">
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="border rounded-lg px-3 py-2"
+        />
+        <button
+          onClick={loadTours}
+          className="flex items-center gap-2 px-3 py-2 rounded-lg border bg-white hover:bg-gray-50"
+        >
+          <RefreshCw className="w-4 h-4" /> Refresh
+        </button>
+      </div>
+
+      {loading && <p className="text-gray-500">Loading tours…</p>}
+
+      {!loading && tours.length === 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border text-gray-600">
+          {isOfficeView ? 'No tours on this day.' : 'No tours assigned to you on this day.'}
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {tours.map(booking => {
+          const checkedIn = booking.participants.filter(p => p.check_in_status === CHECK_IN_STATUS.CHECKED_IN).length;
+          const isOnTour = booking.booking_status === TOUR_STATUS.ON_TOUR;
+          const isDone = booking.booking_status === TOUR_STATUS.COMPLETED;
+          const isWaitlisted = booking.booking_status === TOUR_STATUS.WAITLISTED;
+
+          return (
+            <div key={booking.id} className="bg-white rounded-lg shadow-sm border p-4">
+              <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+                <div>
+                  <div className="text-xl font-bold text-gray-900">
+                    {booking.tour_time?.slice(0, 5)} · <span className="capitalize">{booking.tour_type}</span> tour
+                  </div>
+                  <div className="text-gray-700">{booking.customer_name}</div>
+                  <div className="flex flex-wrap gap-4 text-sm mt-1">
+                    {booking.customer_phone && (
+                      <a href={`tel:${booking.customer_phone}`} className="flex items-center gap-1 text-blue-600">
+                        <Phone className="w-4 h-4" /> {booking.customer_phone}
+                      </a>
+                    )}
+                    {booking.emergency_phone && (
+                      <a href={`tel:${booking.emergency_phone}`} className="flex items-center gap-1 text-red-600">
+                        <Phone className="w-4 h-4" /> Emergency: {booking.emergency_phone}
+                      </a>
+                    )}
+                  </div>
+                  {booking.special_requirements && (
+                    <div className="text-sm text-orange-700 mt-1">⚠️ {booking.special_requirements}</div>
+                  )}
+                  {isOfficeView && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700 mt-2">
+                      Guide
+                      <select
+                        value={booking.assigned_guide_id || ''}
+                        onChange={(e) => handleAssignGuide(booking, e.target.value)}
+                        disabled={busyId === booking.id || isDone}
+                        className="border rounded-lg px-2 py-1"
+                      >
+                        <option value="">Unassigned</option>
+                        {guides.map(guide => (
+                          <option key={guide.id} value={guide.id}>{guide.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+                <span className={`px-3 py-1 rounded-full text-sm font-medium ${STATUS_STYLES[booking.booking_status] || STATUS_STYLES.pending}`}>
+                  {(booking.booking_status || 'pending').replace('_', ' ')}
+                </span>
+              </div>
+
+              {isOnTour && (
+                <LiveTourTimer
+                  booking={{
+                    id: booking.id,
+                    tourName: `${booking.tour_type} tour`,
+                    participants: [{ name: booking.customer_name }]
+                  }}
+                  isActive={isOnTour}
+                  startTime={booking.tour_started_at}
+                />
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {/* Participants */}
+                <div>
+                  <h3 className="flex items-center gap-2 font-semibold text-gray-900 mb-2">
+                    <Users className="w-4 h-4" />
+                    Participants ({checkedIn}/{booking.participants.length} checked in)
+                  </h3>
+                  <div className="space-y-2">
+                    {booking.participants.map(participant => (
+                      <div key={participant.id} className="flex items-center justify-between p-2 rounded-lg bg-gray-50">
+                        <div>
+                          <div className="font-medium text-gray-900">{participant.name}</div>
+                          <div className="text-xs text-gray-600">
+                            {participant.age ? `${participant.age} yrs · ` : ''}{participant.experience_level}
+                            {participant.phone && (
+                              <> · <a href={`tel:${participant.phone}`} className="text-blue-600">{participant.phone}</a></>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleCheckIn(participant, CHECK_IN_STATUS.CHECKED_IN)}
+                            disabled={busyId === participant.id || isDone}
+                            className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm ${
+                              participant.check_in_status === CHECK_IN_STATUS.CHECKED_IN
+                                ? 'bg-green-600 text-white'
+                                : 'bg-white border text-green-700'
+                            }`}
+                          >
+                            <CheckCircle className="w-4 h-4" /> Here
+                          </button>
+                          <button
+                            onClick={() => handleCheckIn(participant, CHECK_IN_STATUS.NO_SHOW)}
+                            disabled={busyId === participant.id || isDone}
+                            className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm ${
+                              participant.check_in_status === CHECK_IN_STATUS.NO_SHOW
+                                ? 'bg-red-600 text-white'
+                                : 'bg-white border text-red-700'
+                            }`}
+                          >
+                            <XCircle className="w-4 h-4" /> No-show
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Quads */}
+                <div>
+                  <h3 className="flex items-center gap-2 font-semibold text-gray-900 mb-2">
+                    <Truck className="w-4 h-4" />
+                    Quads ({booking.assignments.length}/{booking.number_of_quads || 0})
+                  </h3>
+                  <div className="space-y-2">
+                    {booking.assignments.map(assignment => (
+                      <div key={assignment.id} className="flex items-center justify-between p-2 rounded-lg bg-gray-50">
+                        <div>
+                          <div className="font-medium text-gray-900">{assignment.vehicle?.name}</div>
+                          <div className="text-xs text-gray-600">{assignment.vehicle?.plate_number}</div>
+                        </div>
+                        <div className="text-sm text-gray-600">
+                          {assignment.participant_count} rider{assignment.participant_count !== 1 ? 's' : ''} · {assignment.vehicle?.status}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  {isWaitlisted && (
+                    <p className="mt-2 text-sm text-yellow-700">On the waitlist: no quads until places free up.</p>
+                  )}
+                  {!isOnTour && !isDone && !isWaitlisted && (
+                    <div className="mt-2 flex items-center gap-4">
+                      <button
+                        onClick={() => setQuadModalBooking(booking)}
+                        className="text-sm text-blue-600 hover:underline"
+                      >
+                        {booking.assignments.length > 0 ? 'Change quads' : 'Assign quads'}
+                      </button>
+                      {booking.assignments.length < (booking.number_of_quads || 0) && (
+                        <button
+                          onClick={() => handleAutoAssign(booking)}
+                          disabled={busyId === booking.id}
+                          className="flex items-center gap-1 text-sm text-blue-600 hover:underline disabled:opacity-50"
+                        >
+                          <Wand2 className="w-4 h-4" /> Auto-assign
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="mt-4 flex gap-3">
+                {!isOnTour && !isDone && !isWaitlisted && (
+                  <button
+                    onClick={() => handleStart(booking)}
+                    disabled={busyId === booking.id}
+                    className="flex-1 flex items-center justify-center gap-2 py-3 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <Play className="w-5 h-5" /> Start tour
+                  </button>
+                )}
+                {isOnTour && (
+                  <button
+                    onClick={() => handleEnd(booking)}
+                    disabled={busyId === booking.id}
+                    className="flex-1 flex items-center justify-center gap-2 py-3 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50"
+                  >
+                    <Square className="w-5 h-5" /> End tour
+                  </button>
+                )}
+                {isDone && booking.tour_ended_at && (
+                  <div className="text-sm text-gray-600">
+                    Ended at {new Date(booking.tour_ended_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </div>
+                )}
+                <button
+                  onClick={() => setPaymentBooking(booking)}
+                  className="ml-auto flex items-center gap-2 px-4 py-3 rounded-lg border text-gray-700 hover:bg-gray-50"
+                >
+                  <Banknote className="w-5 h-5" /> Payment
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {quadModalBooking && (
+        <QuadSelectionModal
+          isOpen={Boolean(quadModalBooking)}
+          onClose={() => setQuadModalBooking(null)}
+          selectedDate={quadModalBooking.tour_date}
+          selectedTime={quadModalBooking.tour_time?.slice(0, 5)}
+          duration={CalendarService.TOUR_DURATIONS[quadModalBooking.tour_type] || CalendarService.TOUR_DURATIONS.standard}
+          onQuadSelection={handleQuadSelection}
+          maxParticipants={quadModalBooking.total_participants || 8}
+          excludeBookingId={quadModalBooking.id}
+          initialSelection={quadModalBooking.assignments.map(assignment => ({
+            quadId: assignment.vehicle_id,
+            participantCount: assignment.participant_count
+          }))}
+        />
+      )}
+
+      {paymentBooking && (
+        <CollectPaymentModal
+          tourBooking={paymentBooking}
+          isOpen={Boolean(paymentBooking)}
+          onSave={loadTours}
+          onCancel={() => setPaymentBooking(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GuideDayView;
@@ -12,7 +12,9 @@ const QuadSelectionModal = ({
   duration = 4,
   location,
   onQuadSelection,
-  maxParticipants = 8 
+  maxParticipants = 8,
+  excludeBookingId = null,
+  initialSelection = []
 }) => {
   console.log('🔍 QuadSelectionModal.jsx - all props:', { 
     isOpen, 
@@ -96,8 +98,8 @@ const QuadSelectionModal = ({
       duration
     });
     
-    if (isOpen && selectedDate && selectedTime && location) {
-      const startDateTime = `${selectedDate}T${selectedTime}:00`;
+    if (isOpen && selectedDate && selectedTime) {
+      const startDateTime = new Date(`${selectedDate}T${selectedTime}`).toISOString();
       const endDateTime = getEndDateTime();
       
       console.log('🔍 QuadSelectionModal: Fetching available vehicles with params:', {
@@ -112,7 +114,9 @@ const QuadSelectionModal = ({
         startDate: startDateTime,
         endDate: endDateTime,
         location: location,
-        vehicleType: ['quad', 'performance', 'utility', 'youth', 'sideBySide']
+        vehicleType: ['quad', 'performance', 'utility', 'youth', 'sideBySide'],
+        // The booking's own quads stay selectable when changing them
+        excludeTourBookingId: excludeBookingId
       }));
     } else {
       console.log('❌ QuadSelectionModal: Missing required parameters:', {
@@ -127,7 +131,7 @@ const QuadSelectionModal = ({
         console.log('🔄 QuadSelectionModal: Using fallback - direct vehicles from Redux');
       }
     }
-  }, [isOpen, selectedDate, selectedTime, location, duration, dispatch, vehicles]);
+  }, [isOpen, selectedDate, selectedTime, location, duration, excludeBookingId, dispatch, vehicles]);
 
   // Handle quad selection with conflict checking
   const handleQuadToggle = async (quadId) => {
@@ -193,9 +197,14 @@ const QuadSelectionModal = ({
     onClose();
   };
 
-  // Reset selections when modal closes
+  // Start from the current assignment when opened, reset when closed
   useEffect(() => {
-    if (!isOpen) {
+    if (isOpen) {
+      setSelectedQuads(initialSelection.map(quad => quad.quadId));
+      setParticipantCounts(Object.fromEntries(
+        initialSelection.map(quad => [quad.quadId, quad.participantCount || 1])
+      ));
+    } else {
       setSelectedQuads([]);
       setParticipantCounts({});
     }
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Edit, X, Save, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import TourCapacityService from '../../services/TourCapacityService';
+import CalendarService from '../../services/CalendarService';
+import { getMoroccoTodayString } from '../../utils/moroccoTime';
+
+const DEPARTURE_STATUS_STYLES = {
+  scheduled: 'bg-green-100 text-green-800',
+  closed: 'bg-gray-100 text-gray-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const emptyDeparture = (date) => ({
+  tour_type: 'standard',
+  departure_date: date,
+  departure_time: '09:00',
+  duration_hours: CalendarService.TOUR_DURATIONS.standard,
+  quad_capacity: 10,
+  seat_capacity: 20,
+  guide_capacity: 2,
+  quads_per_guide: 6,
+  status: 'scheduled',
+  notes: ''
+});
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00`);
+  next.setDate(next.getDate() + days);
+  return next.toLocaleDateString('en-CA');
+};
+
+/**
+ * TourDeparturesManager - Scheduled tour departures for a week, with the
+ * quads, seats and guides each one can take and what is left on it.
+ * Raising a capacity promotes waitlisted bookings that now fit.
+ */
+const TourDeparturesManager = () => {
+  const [from, setFrom] = useState(getMoroccoTodayString());
+  const [departures, setDepartures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+
+  const loadDepartures = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDepartures(await TourCapacityService.getDepartures({ from, to: addDays(from, 6) }));
+    } catch (error) {
+      console.error('Error loading tour departures:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from]);
+
+  useEffect(() => {
+    loadDepartures();
+  }, [loadDepartures]);
+
+  const handleFieldChange = (field, value) => {
+    setForm(prev => {
+      const next = { ...prev, [field]: value };
+      // Keep the duration in step with the tour unless it was set by hand
+      if (field === 'tour_type' && Number(prev.duration_hours) === CalendarService.TOUR_DURATIONS[prev.tour_type]) {
+        next.duration_hours = CalendarService.TOUR_DURATIONS[value] || prev.duration_hours;
+      }
+      return next;
+    });
+  };
+
+  const handleEdit = (departure) => {
+    setForm({
+      id: departure.id,
+      tour_type: departure.tour_type,
+      departure_date: departure.departure_date,
+      departure_time: departure.departure_time.slice(0, 5),
+      duration_hours: departure.duration_hours,
+      quad_capacity: departure.quad_capacity,
+      seat_capacity: departure.seat_capacity,
+      guide_capacity: departure.guide_capacity,
+      quads_per_guide: departure.quads_per_guide,
+      status: departure.status,
+      notes: departure.notes || ''
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await TourCapacityService.saveDeparture(form);
+      toast.success(form.id ? 'Departure updated' : 'Departure created');
+      setForm(null);
+      await loadDepartures();
+    } catch (error) {
+      console.error('Error saving tour departure:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <div className="mb-4 flex flex-wrap items-center gap-3">
+        <label className="text-sm text-gray-700">Week from</label>
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <button
+          onClick={loadDepartures}
+          className="flex items-center gap-1 px-3 py-2 text-sm border rounded-md hover:bg-gray-50"
+        >
+          <RefreshCw className="w-4 h-4" /> Refresh
+        </button>
+        <button
+          onClick={() => setForm(emptyDeparture(from))}
+          className="ml-auto flex items-center gap-1 px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4" /> New departure
+        </button>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="mb-6 p-4 bg-gray-50 border rounded-lg">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="font-semibold text-gray-900">{form.id ? 'Edit departure' : 'New departure'}</h3>
+            <button type="button" onClick={() => setForm(null)} className="text-gray-500 hover:text-gray-700">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tour</label>
+              <select
+                value={form.tour_type}
+                onChange={(e) => handleFieldChange('tour_type', e.target.value)}
+                className={`${inputClass} capitalize`}
+              >
+                {Object.keys(CalendarService.TOUR_DURATIONS).map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={form.departure_date}
+                onChange={(e) => handleFieldChange('departure_date', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
+              <input
+                type="time"
+                value={form.departure_time}
+                onChange={(e) => handleFieldChange('departure_time', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Duration (hours)</label>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={form.duration_hours}
+                onChange={(e) => handleFieldChange('duration_hours', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Quads</label>
+              <input
+                type="number"
+                min="0"
+                value={form.quad_capacity}
+                onChange={(e) => handleFieldChange('quad_capacity', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Seats</label>
+              <input
+                type="number"
+                min="0"
+                value={form.seat_capacity}
+                onChange={(e) => handleFieldChange('seat_capacity', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Guides</label>
+              <input
+                type="number"
+                min="0"
+                value={form.guide_capacity}
+                onChange={(e) => handleFieldChange('guide_capacity', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Quads per guide</label>
+              <input
+                type="number"
+                min="1"
+                value={form.quads_per_guide}
+                onChange={(e) => handleFieldChange('quads_per_guide', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+              <select
+                value={form.status}
+                onChange={(e) => handleFieldChange('status', e.target.value)}
+                className={inputClass}
+              >
+                <option value="scheduled">Scheduled</option>
+                <option value="closed">Closed to bookings</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+            </div>
+            <div className="col-span-2 md:col-span-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => handleFieldChange('notes', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Bookable quads are the lower of the quad capacity and guides × quads per guide.
+          </p>
+          <div className="mt-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-1 px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" /> {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : departures.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">No departures scheduled this week.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Departure</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Tour</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-600">Quads</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-600">Seats</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-600">Guides</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-600">Waitlist</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {departures.map(departure => (
+                <tr key={departure.id}>
+                  <td className="px-3 py-2">
+                    {new Date(`${departure.departure_date}T00:00:00`).toLocaleDateString()} · {departure.departure_time.slice(0, 5)}
+                  </td>
+                  <td className="px-3 py-2 capitalize">
+                    {departure.tour_type} <span className="text-gray-500">({departure.duration_hours}h)</span>
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {departure.reserved_quads}/{departure.effective_quad_capacity}
+                    {departure.effective_quad_capacity < departure.quad_capacity && (
+                      <span className="block text-xs text-orange-600">limited by guides</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right">{departure.reserved_seats}/{departure.seat_capacity}</td>
+                  <td className="px-3 py-2 text-right">{departure.guide_capacity}</td>
+                  <td className="px-3 py-2 text-right">
+                    {departure.waitlisted_bookings > 0
+                      ? <span className="text-yellow-700 font-medium">{departure.waitlisted_bookings}</span>
+                      : '—'}
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DEPARTURE_STATUS_STYLES[departure.status]}`}>
+                      {departure.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      onClick={() => handleEdit(departure)}
+                      className="text-blue-600 hover:text-blue-800"
+                      title="Edit departure"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TourDeparturesManager;
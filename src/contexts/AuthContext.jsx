@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { supabase } from '../lib/supabase';
-import { getUserPermissions } from '../services/UserService';
+import PermissionService from '../services/PermissionService';
 
 const AuthContext = createContext(null);
 
@@ -37,25 +37,17 @@ export const AuthProvider = ({ children }) => {
     isLoadingProfile.current = true;
 
     try {
-      const userRole = authUser.user_metadata?.role || 'customer';
-      
       if (!authUser.id) {
         throw new Error(`Invalid userId: ${authUser.id}`);
       }
 
-      // Call getUserPermissions with only userId parameter
-      const userPermissionsMap = await getUserPermissions(authUser.id);
-      
-      console.log('🔍 DEBUG: userPermissionsMap from getUserPermissions:', userPermissionsMap);
-      
-      // Convert permissions map to array format for backward compatibility
-      const userPermissions = Object.entries(userPermissionsMap).map(([module_name, is_allowed]) => ({
-        module_name,
-        has_access: is_allowed
-      }));
-      
-      console.log('🔍 DEBUG: userPermissions array after conversion:', userPermissions);
-      
+      // Role and effective module permissions, as the database enforces
+      // them; user_metadata can be edited by the user and is not trusted
+      const [userRole, userPermissions] = await Promise.all([
+        PermissionService.getMyRole(),
+        PermissionService.getMyPermissions()
+      ]);
+
       const profile = {
         id: authUser.id,
         email: authUser.email,
@@ -63,8 +55,6 @@ export const AuthProvider = ({ children }) => {
         fullName: authUser.user_metadata?.full_name,
         permissions: userPermissions,
       };
-      
-      console.log('🔍 DEBUG: Final profile object:', profile);
 
       setUserProfile(profile);
       setSession(session);
@@ -73,7 +63,7 @@ export const AuthProvider = ({ children }) => {
       setUserProfile({
         id: authUser.id,
         email: authUser.email,
-        role: authUser.user_metadata?.role || 'customer',
+        role: 'customer',
         fullName: authUser.user_metadata?.full_name,
         permissions: [],
       });
@@ -156,44 +146,15 @@ export const AuthProvider = ({ children }) => {
     return { error };
   };
 
-  const hasPermission = useCallback((moduleName) => {
-    console.log("🔍 hasPermission called with moduleName:", moduleName);
-    console.log("🔍 userProfile:", userProfile);
-    console.log("🔍 userProfile.permissions:", userProfile?.permissions);
-    
-    if (!userProfile) return false;
-    if (userProfile.role === 'owner') {
-        return true;
-    }
-    
-    // Map short module names to full database names
-    const nameMap = {
-      'dashboard': 'Dashboard',
-      'calendar': 'Calendar',
-      'tours': 'Tours & Bookings',
-      'rentals': 'Rental Management',
-      'customers': 'Customer Management',
-      'fleet': 'Fleet Management',
-      'pricing': 'Pricing Management',
-      'maintenance': 'Quad Maintenance',
-      'fuel': 'Fuel Logs',
-      'inventory': 'Inventory',
-      'finance': 'Finance Management',
-      'alerts': 'Alerts',
-      'users': 'User & Role Management',
-      'settings': 'System Settings',
-      'export': 'Project Export'
-    };
-    
-    // Get the full database name from the map, or use the original name if not found
-    const dbName = nameMap[moduleName.toLowerCase()] || moduleName;
-    console.log("🔍 Mapped module name:", moduleName, "->", dbName);
-    
-    const permission = userProfile.permissions.find(p => p.module_name.toLowerCase() === dbName.toLowerCase());
-    console.log("🔍 Found permission:", permission);
-    const result = permission ? permission.has_access : false;
-    console.log("🔍 hasPermission result:", result);
-    return result;
+  // moduleName is a module key ('rentals') or its label ('Rental Management')
+  const hasPermission = useCallback((moduleName, action = 'view') => {
+    if (!userProfile || !moduleName) return false;
+
+    const name = moduleName.toLowerCase();
+    const permission = userProfile.permissions.find(p =>
+      p.action === action && (p.module_key === name || p.label.toLowerCase() === name)
+    );
+    return permission ? permission.allowed : false;
   }, [userProfile]);
 
   const refreshPermissions = useCallback(async () => {
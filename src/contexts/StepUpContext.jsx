@@ -0,0 +1,49 @@
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
+import StepUpModal from '../components/common/StepUpModal';
+
+const StepUpContext = createContext(null);
+
+export const useStepUp = () => {
+  const context = useContext(StepUpContext);
+  if (!context) {
+    throw new Error('useStepUp must be used within a StepUpProvider');
+  }
+  return context;
+};
+
+/**
+ * StepUpProvider - one PIN and authenticator prompt for the whole app.
+ * requestStepUp resolves with the grant once verified, or null when the
+ * user cancels; the database then accepts the action on those records.
+ */
+export const StepUpProvider = ({ children }) => {
+  const [request, setRequest] = useState(null);
+  const resolver = useRef(null);
+
+  const settle = (result) => {
+    resolver.current?.(result);
+    resolver.current = null;
+    setRequest(null);
+  };
+
+  const requestStepUp = useCallback(({ action, targetIds, description }) => {
+    resolver.current?.(null);
+    return new Promise((resolve) => {
+      resolver.current = resolve;
+      setRequest({ action, targetIds, description });
+    });
+  }, []);
+
+  return (
+    <StepUpContext.Provider value={{ requestStepUp }}>
+      {children}
+      <StepUpModal
+        request={request}
+        onVerified={settle}
+        onCancel={() => settle(null)}
+      />
+    </StepUpContext.Provider>
+  );
+};
+
+export default StepUpContext;
@@ -65,9 +65,10 @@ Deno.serve(async (req) => {
     .from('app_b30c02e74da644baad4668e3587d86b1_users')
     .select('role')
     .eq('auth_id', authUser.id)
-    .single();
+    .maybeSingle();
 
-  const userRole = userData?.role || authUser.user_metadata?.role;
+  // Never user_metadata: users can edit their own
+  const userRole = userData?.role;
   const isAdmin = userRole === 'admin' || userRole === 'owner';
 
   if (!isAdmin) {
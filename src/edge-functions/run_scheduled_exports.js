@@ -0,0 +1,111 @@
+// Edge function that runs scheduled export presets
+// Deployed to Supabase Edge Functions as run_scheduled_exports and called by
+// pg_cron every 15 minutes (data_exports.sql), so presets run whether or not
+// anyone has the Export page open. Datasets and file formats come from the
+// same modules as DataExportService, so a scheduled file matches a manual one.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import JSZip from 'npm:jszip@3';
+import { buildExportFile, EXPORT_FORMATS } from '../utils/exportFiles.js';
+import { createExportDatasets, resolveExportDateRange, buildExportFileName } from '../utils/exportDatasets.js';
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL');
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing required environment variables: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+}
+
+const adminClient = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false
+  }
+});
+
+const BUCKET = 'data-exports';
+const DATASETS = createExportDatasets(adminClient);
+
+// ---------- Running a preset (DataExportService.runExport) ----------
+
+const insertHistory = async (row) => {
+  const { error } = await adminClient.from('data_exports').insert(row);
+  if (error) {
+    throw new Error(`Failed to record export: ${error.message}`);
+  }
+};
+
+const runPreset = async (preset) => {
+  const definition = DATASETS[preset.dataset];
+  const filters = preset.filters || {};
+  const range = resolveExportDateRange(filters);
+  const vehicleId = definition?.supportsVehicle && filters.vehicleId ? Number(filters.vehicleId) : null;
+  const fileName = buildExportFileName(preset.dataset, EXPORT_FORMATS[preset.format]?.extension || preset.format, range);
+  const historyBase = {
+    dataset: preset.dataset,
+    format: preset.format,
+    filters: { ...filters, ...range },
+    preset_id: preset.id,
+    trigger: 'scheduled',
+    file_name: fileName,
+    created_by: preset.created_by
+  };
+
+  try {
+    if (!definition) {
+      throw new Error(`Unknown export dataset: ${preset.dataset}`);
+    }
+    if (!EXPORT_FORMATS[preset.format]) {
+      throw new Error(`Unsupported export format: ${preset.format}`);
+    }
+
+    const rows = await definition.fetch({ ...range, vehicleId });
+    const blob = await buildExportFile(preset.format, definition.columns, rows, definition.label, JSZip);
+
+    const filePath = `${new Date().toISOString().slice(0, 10)}/${Date.now()}_${fileName}`;
+    const { error: uploadError } = await adminClient.storage
+      .from(BUCKET)
+      .upload(filePath, blob, { contentType: EXPORT_FORMATS[preset.format].mimeType });
+
+    if (uploadError) {
+      throw new Error(`Failed to store export file: ${uploadError.message}`);
+    }
+
+    await insertHistory({
+      ...historyBase,
+      status: 'completed',
+      file_path: filePath,
+      file_size: blob.size,
+      row_count: rows.length
+    });
+    return true;
+  } catch (error) {
+    console.error(`Scheduled preset "${preset.name}" failed:`, error);
+    await insertHistory({ ...historyBase, status: 'failed', error_message: error.message })
+      .catch(historyError => console.error('Failed to record failure:', historyError));
+    return false;
+  }
+};
+
+Deno.serve(async (req) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  // Only pg_cron, which sends the service role key, may run the schedule
+  if (req.headers.get('Authorization') !== `Bearer ${supabaseServiceKey}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers });
+  }
+
+  const { data: due, error } = await adminClient.rpc('claim_due_export_presets');
+  if (error) {
+    return new Response(
+      JSON.stringify({ error: `Failed to load scheduled exports: ${error.message}` }),
+      { status: 500, headers }
+    );
+  }
+
+  let completed = 0;
+  for (const preset of due || []) {
+    if (await runPreset(preset)) completed += 1;
+  }
+
+  return new Response(JSON.stringify({ due: (due || []).length, completed }), { status: 200, headers });
+});
@@ -4,7 +4,6 @@ import {
   fetchAlerts, 
   markAlertAsRead, 
   markAllAlertsAsRead, 
-  createAlert,
   setupAlertsRealtimeSubscription,
   selectAllAlerts, 
   selectUnreadAlertsCount,
@@ -29,7 +28,7 @@ export const useAlerts = () => {
   
   const [filterOptions, setFilterOptions] = useState({
     type: 'all',
-    severity: 'all',
+    priority: 'all',
     readStatus: 'all',
     dateRange: 'all',
   });
@@ -75,9 +74,9 @@ export const useAlerts = () => {
       
       // Show browser notification if permission granted
       if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
-        const { title, message, alert_type, severity } = event.detail;
+        const { title, message, alert_type, priority } = event.detail;
         new Notification('QuadVenture Alert', {
-          body: `${severity || ''} ${alert_type || ''}: ${title}`,
+          body: `${priority || ''} ${alert_type || ''}: ${title}`,
           icon: '/favicon.ico',
           tag: `quad-alert-${alert_type || 'general'}-${new Date().getTime()}`
         });
@@ -117,11 +116,6 @@ export const useAlerts = () => {
     dispatch(markAllAlertsAsRead());
   }, [dispatch]);
 
-  // Create a new alert
-  const addAlert = useCallback((alertData) => {
-    dispatch(createAlert(alertData));
-  }, [dispatch]);
-
   // Filter alerts
   const filteredAlerts = alerts.filter(alert => {
     // Filter by alert type
@@ -129,8 +123,8 @@ export const useAlerts = () => {
       return false;
     }
     
-    // Filter by severity
-    if (filterOptions.severity !== 'all' && alert.severity?.toLowerCase() !== filterOptions.severity.toLowerCase()) {
+    // Filter by priority
+    if (filterOptions.priority !== 'all' && alert.priority?.toLowerCase() !== filterOptions.priority.toLowerCase()) {
       return false;
     }
 
@@ -174,6 +168,5 @@ export const useAlerts = () => {
     toggleAudio,
     markAsRead,
     markAllAsRead,
-    addAlert,
   };
 };
\ No newline at end of file
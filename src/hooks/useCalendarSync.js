@@ -1,15 +1,29 @@
 import { useEffect, useState, useCallback } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import { useRealtimeBookings } from './useRealtimeBookings'
+import CalendarService from '../services/CalendarService'
 
-export const useCalendarSync = () => {
+/**
+ * Calendar sync hook
+ * @param {Object} [options]
+ * @param {Date} [options.rangeStart] - When set together with rangeEnd, rentals, tours and
+ *   maintenance for that range are loaded through CalendarService and returned as `events`
+ * @param {Date} [options.rangeEnd]
+ */
+export const useCalendarSync = ({ rangeStart, rangeEnd } = {}) => {
   const dispatch = useDispatch()
   const [isConnected, setIsConnected] = useState(false)
   const [lastUpdate, setLastUpdate] = useState(null)
+  const [unifiedEvents, setUnifiedEvents] = useState([])
+  const [unifiedLoading, setUnifiedLoading] = useState(false)
+  const isUnified = Boolean(rangeStart && rangeEnd)
+  const rangeStartTime = rangeStart?.getTime()
+  const rangeEndTime = rangeEnd?.getTime()
   
   const bookingsState = useSelector(state => state.bookings);
   const bookings = bookingsState?.bookings || [];
   const loading = bookingsState?.loading || false;
+  const bookingsUpdatedAt = bookingsState?.lastUpdated || null;
 
   // Initialize real-time subscriptions
   const { refreshBookings } = useRealtimeBookings()
@@ -61,19 +75,40 @@ export const useCalendarSync = () => {
     return colors[status] || (isBorder ? '#9e9e9e' : '#f5f5f5')
   }
 
+  // Load rentals, tours and maintenance for the visible range
+  const loadUnifiedEvents = useCallback(async () => {
+    if (!isUnified) return
+    setUnifiedLoading(true)
+    try {
+      const events = await CalendarService.getEvents(new Date(rangeStartTime), new Date(rangeEndTime))
+      setUnifiedEvents(events)
+      setLastUpdate(new Date())
+    } catch (error) {
+      console.error('❌ useCalendarSync: failed to load calendar events:', error)
+    } finally {
+      setUnifiedLoading(false)
+    }
+  }, [isUnified, rangeStartTime, rangeEndTime])
+
+  // Reload when the range changes or realtime booking updates arrive
+  useEffect(() => {
+    loadUnifiedEvents()
+  }, [loadUnifiedEvents, bookingsUpdatedAt])
+
   // Force refresh all data
   const forceSync = useCallback(() => {
     refreshBookings()
-  }, [refreshBookings])
+    loadUnifiedEvents()
+  }, [refreshBookings, loadUnifiedEvents])
 
   // Get all calendar events
-  const allEvents = getCalendarEvents()
+  const allEvents = isUnified ? unifiedEvents : getCalendarEvents()
 
   return {
     events: allEvents,
     isConnected,
     lastUpdate,
-    isLoading: loading,
+    isLoading: isUnified ? unifiedLoading : loading,
     forceSync,
     connectionStatus: isConnected ? 'connected' : 'disconnected'
   }
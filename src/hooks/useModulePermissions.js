@@ -1,230 +1,154 @@
-import { useState, useEffect } from 'react';
-import { useSelector } from 'react-redux';
-import { supabase } from '../utils/supabaseClient';
-
-export const AVAILABLE_MODULES = [
-  'Dashboard',
-  'Calendar',
-  'Tours & Bookings',
-  'Rental Management',
-  'Customer Management',
-  'Fleet Management',
-  'Quad Maintenance',
-  'Fuel Logs',
-  'Inventory',
-  'Finance Management',
-  'Alerts',
-  'User & Role Management',
-  'Reports',
-  'System Settings',
-  'Activity Log'
-];
-
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import PermissionService from '../services/PermissionService';
+
+/**
+ * Module permissions of a user as the database resolves them: role
+ * default, then the user's own grant or deny. Without userId, the
+ * signed-in user's.
+ */
 export const useModulePermissions = (userId = null) => {
-  const authState = useSelector(state => state.auth || {});
-  const { user } = authState;
-  const [permissions, setPermissions] = useState({});
+  const { user, refreshPermissions: refreshOwnPermissions } = useAuth();
+  const [entries, setEntries] = useState([]);
   const [loading, setLoading] = useState(true);
-  
-  const targetUserId = userId || user?.id;
-  const targetUser = userId ? null : user;
+  const [error, setError] = useState(null);
 
-  // Initialize default permissions on mount
-  useEffect(() => {
-    const defaultPermissions = {};
-    AVAILABLE_MODULES.forEach(module => {
-      defaultPermissions[module] = false;
-    });
-    setPermissions(defaultPermissions);
-  }, []);
+  const targetUserId = userId || user?.id;
+  const isSelf = targetUserId === user?.id;
 
-  useEffect(() => {
-    if (targetUserId) {
-      loadPermissions();
-    } else {
-      // If no user ID is available, set loading to false and use default permissions
+  const loadPermissions = useCallback(async () => {
+    if (!targetUserId) {
+      setEntries([]);
       setLoading(false);
+      return;
     }
-  }, [targetUserId]);
 
-  const loadPermissions = async () => {
     try {
       setLoading(true);
-      
-      const { data, error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_user_module_access')
-        .select('module_name, has_access')
-        .eq('user_id', targetUserId);
-
-      if (error && !error.message.includes('configure Supabase credentials')) {
-        console.warn('Database connection error:', error);
-        throw error;
-      }
-
-      const permissionsMap = {};
-      
-      // Initialize all modules with default permissions based on role
-      AVAILABLE_MODULES.forEach(module => {
-        permissionsMap[module] = false; // Default to false
-      });
-
-      // Override with actual data from database
-      if (data) {
-        data.forEach(perm => {
-          permissionsMap[perm.module_name] = perm.has_access;
-        });
-      }
-
-      setPermissions(permissionsMap);
-    } catch (error) {
-      console.error('Error loading permissions:', error);
-      
-      // Fallback: set default permissions based on role
-      const defaultPermissions = {};
-      AVAILABLE_MODULES.forEach(module => {
-        if (targetUser?.role === 'owner' || targetUser?.role === 'admin') {
-          defaultPermissions[module] = true;
-        } else if (targetUser?.role === 'guide') {
-          defaultPermissions[module] = ['Dashboard', 'Tours & Booking', 'Booking Management', 'Fleet Management', 'Alerts'].includes(module);
-        } else if (targetUser?.role === 'employee') {
-          defaultPermissions[module] = ['Dashboard', 'Booking Management', 'Fleet Management'].includes(module);
-        } else {
-          defaultPermissions[module] = false;
-        }
-      });
-      
-      setPermissions(defaultPermissions);
+      setError(null);
+      const data = isSelf
+        ? await PermissionService.getMyPermissions()
+        : await PermissionService.getUserPermissions(targetUserId);
+      setEntries(data);
+    } catch (err) {
+      console.error('Error loading permissions:', err);
+      setError(err.message);
+      setEntries([]);
     } finally {
       setLoading(false);
     }
-  };
+  }, [targetUserId, isSelf]);
 
-  const hasModuleAccess = (moduleName) => {
-    // CRITICAL FIX: Owner and Admin always have access
-    if (targetUser?.role === 'owner') {
-      console.log(`🔑 OWNER access granted for ${moduleName}`);
-      return true;
-    }
-    
-    if (targetUser?.role === 'admin') {
-      console.log(`🔑 ADMIN access granted for ${moduleName}`);
-      return true;
-    }
-    
-    const hasAccess = permissions[moduleName] === true;
-    console.log(`🔐 Module permission check for ${moduleName}:`, hasAccess, 'Role:', targetUser?.role);
-    return hasAccess;
+  useEffect(() => {
+    loadPermissions();
+  }, [loadPermissions]);
+
+  const modules = useMemo(() => {
+    const seen = new Map();
+    entries.forEach(entry => {
+      if (!seen.has(entry.module_key)) {
+        seen.set(entry.module_key, { key: entry.module_key, label: entry.label });
+      }
+    });
+    return [...seen.values()];
+  }, [entries]);
+
+  // View access by module label
+  const permissions = useMemo(() => {
+    const map = {};
+    entries
+      .filter(entry => entry.action === 'view')
+      .forEach(entry => { map[entry.label] = entry.allowed; });
+    return map;
+  }, [entries]);
+
+  const findEntry = (moduleName, action) => {
+    const name = moduleName?.toLowerCase();
+    return entries.find(entry =>
+      entry.action === action && (entry.module_key === name || entry.label.toLowerCase() === name)
+    );
   };
 
-  const updatePermission = async (moduleName, hasAccess) => {
-    try {
-      const { error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_user_module_access')
-        .upsert({
-          user_id: targetUserId,
-          module_name: moduleName,
-          has_access: hasAccess,
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'user_id,module_name'
-        });
-
-      if (error) throw error;
+  const can = (moduleName, action = 'view') => findEntry(moduleName, action)?.allowed === true;
 
-      // Update local state
-      setPermissions(prev => ({
-        ...prev,
-        [moduleName]: hasAccess
-      }));
+  const hasModuleAccess = (moduleName) => can(moduleName, 'view');
 
-      return true;
-    } catch (error) {
-      console.error('Error updating permission:', error);
-      return false;
-    }
+  const afterChange = async () => {
+    await loadPermissions();
+    if (isSelf) await refreshOwnPermissions();
   };
 
-  const deactivateAllModules = async () => {
-    try {
-      const updates = AVAILABLE_MODULES.map(module => ({
-        user_id: targetUserId,
-        module_name: module,
-        has_access: false,
-        updated_at: new Date().toISOString()
-      }));
-
-      const { error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_user_module_access')
-        .upsert(updates, {
-          onConflict: 'user_id,module_name'
-        });
-
-      if (error) throw error;
+  /**
+   * Grant, deny, or (effect null) go back to the role default. Throws
+   * when the database refuses.
+   */
+  const setOverride = async (moduleName, action, effect, reason) => {
+    const entry = findEntry(moduleName, action);
+    await PermissionService.setUserPermission({
+      userId: targetUserId,
+      module: entry?.module_key || moduleName,
+      action,
+      effect,
+      reason
+    });
+    await afterChange();
+  };
 
-      // Update local state to deactivate all modules
-      const deactivatedPermissions = {};
-      AVAILABLE_MODULES.forEach(module => {
-        deactivatedPermissions[module] = false;
-      });
-      setPermissions(deactivatedPermissions);
+  const resetToRoleDefaults = async () => {
+    const removed = await PermissionService.resetUserPermissions(targetUserId);
+    await afterChange();
+    return removed;
+  };
 
+  // Turn view access on or off, as an override only where it differs
+  // from the role default
+  const updatePermission = async (moduleName, hasAccess) => {
+    try {
+      const entry = findEntry(moduleName, 'view');
+      const effect = entry?.role_allowed === hasAccess ? null : (hasAccess ? 'grant' : 'deny');
+      await setOverride(moduleName, 'view', effect);
       return true;
-    } catch (error) {
-      console.error('Error deactivating all modules:', error);
+    } catch (err) {
+      console.error('Error updating permission:', err);
       return false;
     }
   };
 
-  const getActiveModulesCount = () => {
-    return Object.values(permissions).filter(Boolean).length;
-  };
-
-  const initializeUserPermissions = async (userId, userRole) => {
+  const deactivateAllModules = async () => {
     try {
-      const defaultPermissions = AVAILABLE_MODULES.map(module => {
-        let hasAccess = false;
-        
-        if (userRole === 'owner' || userRole === 'admin') {
-          hasAccess = true;
-        } else if (userRole === 'guide') {
-          hasAccess = ['Dashboard', 'Tours & Booking', 'Booking Management', 'Fleet Management', 'Alerts'].includes(module);
-        } else if (userRole === 'employee') {
-          hasAccess = ['Dashboard', 'Booking Management', 'Fleet Management'].includes(module);
-        }
-
-        return {
-          user_id: userId,
-          module_name: module,
-          has_access: hasAccess,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-      });
-
-      const { error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_user_module_access')
-        .upsert(defaultPermissions, {
-          onConflict: 'user_id,module_name'
+      const allowed = entries.filter(entry => entry.action === 'view' && entry.allowed);
+      for (const entry of allowed) {
+        await PermissionService.setUserPermission({
+          userId: targetUserId,
+          module: entry.module_key,
+          action: 'view',
+          effect: 'deny'
         });
-
-      if (error) throw error;
-      
+      }
+      await afterChange();
       return true;
-    } catch (error) {
-      console.error('Error initializing user permissions:', error);
+    } catch (err) {
+      console.error('Error deactivating all modules:', err);
+      await loadPermissions();
       return false;
     }
   };
 
-  // Ensure we always return a valid object structure
+  const getActiveModulesCount = () => Object.values(permissions).filter(Boolean).length;
+
   return {
-    permissions: permissions || {},
-    loading: loading ?? true,
-    hasModuleAccess: hasModuleAccess || (() => false),
-    updatePermission: updatePermission || (() => Promise.resolve(false)),
-    initializeUserPermissions: initializeUserPermissions || (() => Promise.resolve(false)),
-    refreshPermissions: loadPermissions || (() => Promise.resolve()),
-    deactivateAllModules: deactivateAllModules || (() => Promise.resolve(false)),
-    getActiveModulesCount: getActiveModulesCount || (() => 0)
+    entries,
+    modules,
+    permissions,
+    loading,
+    error,
+    can,
+    hasModuleAccess,
+    setOverride,
+    resetToRoleDefaults,
+    updatePermission,
+    deactivateAllModules,
+    getActiveModulesCount,
+    refreshPermissions: loadPermissions
   };
-};
\ No newline at end of file
+};
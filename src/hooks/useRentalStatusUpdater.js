@@ -1,40 +1,37 @@
-import { useEffect, useRef } from 'react';
-import { useDispatch } from 'react-redux';
-import { batchUpdateRentalStatuses } from '../store/slices/rentalsSlice';
-import { scheduleDailyStatusSweep } from '../services/rentalStatusService';
+import { useEffect, useState, useCallback } from 'react';
+import { runStatusEngine, getStatusEngineRuns } from '../services/rentalStatusService';
 
 /**
- * Custom hook for managing automatic rental status updates
+ * Custom hook for the rental status engine
+ *
+ * Status updates run in the database on a schedule; this exposes the
+ * latest run and lets staff trigger one immediately.
  */
 export const useRentalStatusUpdater = () => {
-  const dispatch = useDispatch();
-  const sweepTimeoutRef = useRef(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [running, setRunning] = useState(false);
 
   useEffect(() => {
-    // Function to trigger batch status updates
-    const triggerStatusUpdate = () => {
-      console.log('🔄 Triggering rental status update...');
-      dispatch(batchUpdateRentalStatuses());
-    };
-
-    // Schedule daily status sweep
-    sweepTimeoutRef.current = scheduleDailyStatusSweep(triggerStatusUpdate);
-
-    // Cleanup function
-    return () => {
-      if (sweepTimeoutRef.current) {
-        clearTimeout(sweepTimeoutRef.current);
-        console.log('🧹 Cleaned up daily status sweep timer');
-      }
-    };
-  }, [dispatch]);
+    getStatusEngineRuns(1)
+      .then(runs => setLastRun(runs[0] || null))
+      .catch(error => console.warn('⚠️ Could not load status engine runs:', error.message));
+  }, []);
 
   // Manual trigger function
-  const triggerManualUpdate = () => {
-    dispatch(batchUpdateRentalStatuses());
-  };
+  const triggerManualUpdate = useCallback(async () => {
+    setRunning(true);
+    try {
+      const run = await runStatusEngine();
+      if (run) setLastRun(run);
+      return run;
+    } finally {
+      setRunning(false);
+    }
+  }, []);
 
   return {
+    lastRun,
+    running,
     triggerManualUpdate
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,224 @@
+-- =====================================================
+-- CUSTOMER SELF-SERVICE BOOKINGS
+-- Links rentals to the customer's auth user. Customers request
+-- a booking through request_rental_booking, which checks that a
+-- vehicle of the model is free, prices it with the rental pricing
+-- engine and stores the quote with it.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. ADD PORTAL COLUMNS TO app_4c3a7a6153_rentals
+-- =====================================================
+ALTER TABLE app_4c3a7a6153_rentals
+ADD COLUMN IF NOT EXISTS customer_user_id UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS booking_source VARCHAR(30) DEFAULT 'staff',
+ADD COLUMN IF NOT EXISTS vehicle_model_id UUID REFERENCES saharax_0u4w4d_vehicle_models(id),
+ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50),
+ADD COLUMN IF NOT EXISTS quote_breakdown JSONB,
+ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES auth.users(id);
+
+CREATE INDEX IF NOT EXISTS idx_rentals_customer_user_id ON app_4c3a7a6153_rentals(customer_user_id);
+CREATE INDEX IF NOT EXISTS idx_rentals_booking_source_status ON app_4c3a7a6153_rentals(booking_source, rental_status);
+
+-- =====================================================
+-- 2. RLS: CUSTOMERS SEE ONLY THEIR OWN RENTALS
+-- The open policies of setup-rental-database.sql are replaced: staff
+-- manage every rental, a customer reads their own. Customers cannot
+-- insert rentals themselves: a request goes through
+-- request_rental_booking (section 4), so its price never comes from
+-- the browser.
+-- =====================================================
+DROP POLICY IF EXISTS "allow_read_rentals" ON app_4c3a7a6153_rentals;
+DROP POLICY IF EXISTS "allow_insert_rentals" ON app_4c3a7a6153_rentals;
+DROP POLICY IF EXISTS "allow_update_rentals" ON app_4c3a7a6153_rentals;
+DROP POLICY IF EXISTS "allow_delete_rentals" ON app_4c3a7a6153_rentals;
+
+DROP POLICY IF EXISTS "Staff can manage rentals" ON app_4c3a7a6153_rentals;
+CREATE POLICY "Staff can manage rentals" ON app_4c3a7a6153_rentals
+  FOR ALL
+  USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "customer_read_own_rentals" ON app_4c3a7a6153_rentals;
+CREATE POLICY "customer_read_own_rentals" ON app_4c3a7a6153_rentals
+  FOR SELECT USING (customer_user_id = auth.uid());
+
+DROP POLICY IF EXISTS "customer_request_rental" ON app_4c3a7a6153_rentals;
+
+COMMENT ON COLUMN app_4c3a7a6153_rentals.customer_user_id IS 'Auth user who booked through the customer portal';
+COMMENT ON COLUMN app_4c3a7a6153_rentals.booking_source IS 'staff or customer_portal';
+COMMENT ON COLUMN app_4c3a7a6153_rentals.quote_breakdown IS 'Quote line items the rental is priced with';
+
+-- =====================================================
+-- 3. AVAILABILITY
+-- A vehicle is free when no open rental overlaps the period
+-- (FleetAvailabilityService.isVehicleAvailable).
+-- Portal requests hold no vehicle until staff confirm them, so a
+-- model's free vehicles are reduced by its overlapping requests.
+-- =====================================================
+CREATE OR REPLACE FUNCTION vehicle_is_free(
+    p_vehicle_id INTEGER,
+    p_start_at TIMESTAMP WITH TIME ZONE,
+    p_end_at TIMESTAMP WITH TIME ZONE,
+    p_exclude_rental_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT NOT EXISTS (
+        SELECT 1 FROM app_4c3a7a6153_rentals r
+        WHERE r.vehicle_id = p_vehicle_id
+        AND r.rental_status NOT IN ('cancelled', 'completed', 'refunded')
+        AND r.rental_start_date < p_end_at
+        AND r.rental_end_date > p_start_at
+        AND r.id IS DISTINCT FROM p_exclude_rental_id
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION portal_model_availability(
+    p_vehicle_model_id UUID,
+    p_start_at TIMESTAMP WITH TIME ZONE,
+    p_end_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT GREATEST(
+        (
+            SELECT COUNT(*)::INTEGER
+            FROM saharax_0u4w4d_vehicles v
+            WHERE v.vehicle_model_id = p_vehicle_model_id
+            AND COALESCE(v.status, '') NOT IN ('maintenance', 'out_of_service', 'retired')
+            AND vehicle_is_free(v.id, p_start_at, p_end_at)
+        ) - (
+            SELECT COUNT(*)::INTEGER
+            FROM app_4c3a7a6153_rentals r
+            WHERE r.booking_source = 'customer_portal'
+            AND r.rental_status = 'pending'
+            AND r.vehicle_id IS NULL
+            AND r.vehicle_model_id = p_vehicle_model_id
+            AND r.rental_start_date < p_end_at
+            AND r.rental_end_date > p_start_at
+        ),
+        0
+    );
+$$;
+
+-- =====================================================
+-- 4. REQUESTING A BOOKING
+-- The only way a customer creates a rental. The customer chooses the
+-- model, the period, transport and a promo code; availability, the
+-- price, the status and the payment state are set here. The model row
+-- is locked so two requests cannot take its last free vehicle. The
+-- request is priced by quote_rental (rental_pricing_engine.sql) with
+-- the inputs the portal quotes it with, the quote is stored as the
+-- rental's snapshot and the code is redeemed with it, so a code that
+-- can no longer be used rejects the request instead of leaving it
+-- discounted.
+-- =====================================================
+DROP FUNCTION IF EXISTS portal_rental_quote(UUID, INTEGER, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, BOOLEAN, BOOLEAN);
+DROP FUNCTION IF EXISTS request_rental_booking(UUID, INTEGER, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, TEXT, BOOLEAN, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION request_rental_booking(
+    p_vehicle_model_id UUID,
+    p_rental_type TEXT,
+    p_start_at TIMESTAMP WITH TIME ZONE,
+    p_end_at TIMESTAMP WITH TIME ZONE,
+    p_customer_name TEXT,
+    p_customer_phone TEXT,
+    p_promo_code TEXT DEFAULT NULL,
+    p_pickup_transport BOOLEAN DEFAULT FALSE,
+    p_dropoff_transport BOOLEAN DEFAULT FALSE
+)
+RETURNS app_4c3a7a6153_rentals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_quote JSONB;
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_snapshot_id UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'You must be signed in to book';
+    END IF;
+    IF NULLIF(TRIM(p_customer_name), '') IS NULL OR NULLIF(TRIM(p_customer_phone), '') IS NULL THEN
+        RAISE EXCEPTION 'Name and phone number are required';
+    END IF;
+    IF p_start_at IS NULL OR p_end_at IS NULL OR p_end_at <= p_start_at THEN
+        RAISE EXCEPTION 'End of rental must be after its start';
+    END IF;
+
+    PERFORM 1 FROM saharax_0u4w4d_vehicle_models WHERE id = p_vehicle_model_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Vehicle model not found';
+    END IF;
+
+    IF portal_model_availability(p_vehicle_model_id, p_start_at, p_end_at) <= 0 THEN
+        RAISE EXCEPTION 'No vehicle of this model is available for the selected period';
+    END IF;
+
+    v_quote := quote_rental(jsonb_build_object(
+        'vehicleModelId', p_vehicle_model_id,
+        'rentalType', p_rental_type,
+        'startAt', p_start_at,
+        'endAt', p_end_at,
+        'promoCode', p_promo_code,
+        'channel', 'customer_portal',
+        'customer', jsonb_build_object('email', auth.jwt() ->> 'email', 'phone', p_customer_phone),
+        'pickupTransport', COALESCE(p_pickup_transport, FALSE),
+        'dropoffTransport', COALESCE(p_dropoff_transport, FALSE)
+    ));
+
+    IF v_quote ->> 'promoError' IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_quote ->> 'promoError';
+    END IF;
+
+    INSERT INTO app_4c3a7a6153_rentals (
+        customer_user_id, customer_name, customer_email, customer_phone,
+        booking_source, vehicle_model_id, vehicle_id, rental_type,
+        rental_start_date, rental_end_date, rental_start_at, rental_end_at,
+        quantity_days, unit_price, transport_fee, pickup_transport, dropoff_transport,
+        promo_code, quote_breakdown, total_amount, deposit_amount, remaining_amount,
+        rental_status, approval_status, payment_status, created_at, updated_at
+    ) VALUES (
+        auth.uid(), TRIM(p_customer_name), auth.jwt() ->> 'email', TRIM(p_customer_phone),
+        'customer_portal', p_vehicle_model_id, NULL, p_rental_type,
+        p_start_at, p_end_at, p_start_at, p_end_at,
+        (v_quote ->> 'quantity')::INTEGER, (v_quote ->> 'unitPrice')::NUMERIC, (v_quote ->> 'transportFee')::NUMERIC,
+        COALESCE(p_pickup_transport, FALSE), COALESCE(p_dropoff_transport, FALSE),
+        v_quote ->> 'promoCode', v_quote -> 'lines', (v_quote ->> 'total')::NUMERIC, 0, (v_quote ->> 'total')::NUMERIC,
+        'pending', 'pending', 'unpaid', NOW(), NOW()
+    )
+    RETURNING * INTO v_rental;
+
+    INSERT INTO rental_quote_snapshots (rental_id, engine_version, inputs, quote, total)
+    VALUES (v_rental.id, v_quote ->> 'engineVersion', v_quote -> 'inputs', v_quote, (v_quote ->> 'total')::NUMERIC)
+    RETURNING id INTO v_snapshot_id;
+
+    UPDATE app_4c3a7a6153_rentals
+    SET quote_snapshot_id = v_snapshot_id
+    WHERE id = v_rental.id
+    RETURNING * INTO v_rental;
+
+    IF v_rental.promo_code IS NOT NULL THEN
+        PERFORM redeem_promo_code(v_rental.promo_code, v_rental.id, NULL);
+    END IF;
+
+    RETURN v_rental;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION portal_model_availability(UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_rental_booking(UUID, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, TEXT, BOOLEAN, BOOLEAN) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,153 @@
+-- =====================================================
+-- DATA EXPORTS
+-- Saved export presets (optionally scheduled), export
+-- history and the storage bucket holding generated files.
+-- Scheduled presets are run by the run_scheduled_exports edge
+-- function, which pg_cron calls every 15 minutes.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. PRESETS
+-- =====================================================
+-- filters: { range: 'last_7_days' | 'last_30_days' | 'this_month' | 'last_month' | 'custom',
+--            from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', vehicleId: number }
+CREATE TABLE IF NOT EXISTS export_presets (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    dataset VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'json')),
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    schedule VARCHAR(10) NOT NULL DEFAULT 'none'
+      CHECK (schedule IN ('none', 'daily', 'weekly', 'monthly')),
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_export_presets_next_run ON export_presets(next_run_at) WHERE schedule <> 'none';
+
+-- =====================================================
+-- 2. HISTORY
+-- =====================================================
+CREATE TABLE IF NOT EXISTS data_exports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    dataset VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    preset_id UUID REFERENCES export_presets(id) ON DELETE SET NULL,
+    trigger VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'scheduled')),
+    status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'failed')),
+    file_name TEXT,
+    file_path TEXT,
+    file_size BIGINT,
+    row_count INTEGER,
+    error_message TEXT,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_created_at ON data_exports(created_at DESC);
+
+-- =====================================================
+-- 3. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE export_presets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE data_exports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_export_presets" ON export_presets;
+CREATE POLICY "staff_manage_export_presets" ON export_presets
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_manage_data_exports" ON data_exports;
+CREATE POLICY "staff_manage_data_exports" ON data_exports
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 4. STORAGE (private bucket, files kept for re-download)
+-- =====================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('data-exports', 'data-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "staff_read_data_exports_files" ON storage.objects;
+CREATE POLICY "staff_read_data_exports_files" ON storage.objects
+  FOR SELECT USING (bucket_id = 'data-exports' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_write_data_exports_files" ON storage.objects;
+CREATE POLICY "staff_write_data_exports_files" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'data-exports' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_delete_data_exports_files" ON storage.objects;
+CREATE POLICY "staff_delete_data_exports_files" ON storage.objects
+  FOR DELETE USING (bucket_id = 'data-exports' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 5. DUE PRESETS
+-- Next runs are at 06:00 Morocco time. Claiming moves next_run_at on
+-- in the same statement, so a preset is never run twice for one slot.
+-- =====================================================
+CREATE OR REPLACE FUNCTION export_preset_next_run(p_schedule TEXT, p_from TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT (
+        CASE p_schedule
+            WHEN 'daily' THEN (p_from AT TIME ZONE 'Africa/Casablanca')::DATE + 1
+            WHEN 'weekly' THEN (p_from AT TIME ZONE 'Africa/Casablanca')::DATE + 7
+            WHEN 'monthly' THEN (date_trunc('month', p_from AT TIME ZONE 'Africa/Casablanca') + INTERVAL '1 month')::DATE
+        END + TIME '06:00'
+    ) AT TIME ZONE 'Africa/Casablanca';
+$$;
+
+CREATE OR REPLACE FUNCTION claim_due_export_presets()
+RETURNS SETOF export_presets
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE export_presets
+    SET last_run_at = NOW(),
+        next_run_at = export_preset_next_run(schedule)
+    WHERE schedule <> 'none'
+    AND next_run_at <= NOW()
+    RETURNING *;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_due_export_presets() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_export_presets() TO service_role;
+
+COMMIT;
+
+-- =====================================================
+-- 6. SCHEDULE (pg_cron)
+-- Outside the transaction: enable pg_cron and pg_net under Database >
+-- Extensions first if this fails, and add the project URL and the
+-- service role key to Vault as project_url and service_role_key.
+-- Re-running replaces the job.
+-- =====================================================
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule(
+    'run-scheduled-exports',
+    '*/15 * * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/run_scheduled_exports',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+    )
+    $$
+);
@@ -0,0 +1,430 @@
+-- =====================================================
+-- DAMAGE DEPOSIT SETTLEMENTS
+-- Itemised deductions with photos, the settlement the customer
+-- signs when the deposit is returned, and the ledger postings
+-- for the kept portion. Requires finance_ledger.sql.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. RENTAL COLUMNS
+-- Summary kept on the rental (see database/add_deposit_return_columns.sql)
+-- =====================================================
+ALTER TABLE app_4c3a7a6153_rentals
+ADD COLUMN IF NOT EXISTS deposit_deduction_amount DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS deposit_deduction_reason TEXT,
+ADD COLUMN IF NOT EXISTS final_deposit_return_amount DECIMAL(10,2);
+
+-- =====================================================
+-- 2. SETTLEMENTS
+-- Deposit is applied to the rental balance first, then to
+-- charges; whatever it does not cover is still owed.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS deposit_settlements (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID NOT NULL UNIQUE REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    deductions_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    balance_applied DECIMAL(10,2) NOT NULL DEFAULT 0,   -- deposit used for the unpaid rental balance
+    charges_kept DECIMAL(10,2) NOT NULL DEFAULT 0,      -- deposit kept for damage, fuel, late return...
+    charges_billed DECIMAL(10,2) NOT NULL DEFAULT 0,    -- charges above the deposit, billed to the customer
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    customer_owes DECIMAL(10,2) NOT NULL DEFAULT 0,
+    signature_url TEXT,
+    document_url TEXT,
+    notes TEXT,
+    signed_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    signed_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- =====================================================
+-- 3. DEDUCTIONS
+-- =====================================================
+-- category: damage (priced from the parts catalog), fuel (shortfall),
+-- km_overage and unpaid_balance (settle the rental balance),
+-- late_return, other
+CREATE TABLE IF NOT EXISTS deposit_deductions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    settlement_id UUID NOT NULL REFERENCES deposit_settlements(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL
+      CHECK (category IN ('damage', 'fuel', 'km_overage', 'late_return', 'unpaid_balance', 'other')),
+    description TEXT NOT NULL,
+    item_id INTEGER REFERENCES saharax_0u4w4d_inventory_items(id) ON DELETE SET NULL,
+    quantity DECIMAL(10,2) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    unit_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (unit_amount >= 0),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    photo_urls TEXT[] NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_deposit_deductions_settlement ON deposit_deductions(settlement_id);
+
+-- =====================================================
+-- 4. SIGNING
+-- Creates the settlement and its deductions and updates the
+-- rental in one transaction.
+-- p_deductions: [{ category, description, item_id, quantity, unit_amount, amount, photo_urls, metadata }]
+-- =====================================================
+CREATE OR REPLACE FUNCTION sign_deposit_settlement(
+    p_rental_id UUID,
+    p_deductions JSONB,
+    p_signature_url TEXT,
+    p_document_url TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS deposit_settlements
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_settlement deposit_settlements%ROWTYPE;
+    v_deduction JSONB;
+    v_index INTEGER := 0;
+    v_deposit NUMERIC;
+    v_balance NUMERIC := 0;
+    v_charges NUMERIC := 0;
+    v_balance_applied NUMERIC;
+    v_charges_kept NUMERIC;
+    v_remaining NUMERIC;
+    v_reason TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can settle deposits';
+    END IF;
+    IF p_signature_url IS NULL OR p_signature_url = '' THEN
+        RAISE EXCEPTION 'The customer must sign the settlement';
+    END IF;
+
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = p_rental_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Rental % not found', p_rental_id;
+    END IF;
+    IF v_rental.rental_status NOT IN ('rented', 'active', 'completed') THEN
+        RAISE EXCEPTION 'Deposit can only be settled for a rental that has started (status: %)', v_rental.rental_status;
+    END IF;
+    IF EXISTS (SELECT 1 FROM deposit_settlements WHERE rental_id = p_rental_id) THEN
+        RAISE EXCEPTION 'Deposit for this rental has already been settled';
+    END IF;
+
+    FOR v_deduction IN SELECT * FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) LOOP
+        IF ledger_to_numeric(v_deduction->>'amount') < 0 THEN
+            RAISE EXCEPTION 'Deduction amounts cannot be negative';
+        END IF;
+        IF v_deduction->>'category' IN ('km_overage', 'unpaid_balance') THEN
+            v_balance := v_balance + ledger_to_numeric(v_deduction->>'amount');
+        ELSE
+            v_charges := v_charges + ledger_to_numeric(v_deduction->>'amount');
+        END IF;
+    END LOOP;
+
+    v_deposit := COALESCE(v_rental.damage_deposit, 0);
+    v_balance_applied := LEAST(v_deposit, v_balance);
+    v_charges_kept := LEAST(v_deposit - v_balance_applied, v_charges);
+
+    INSERT INTO deposit_settlements (
+        rental_id, deposit_amount, deductions_total, balance_applied, charges_kept, charges_billed,
+        refund_amount, customer_owes, signature_url, document_url, notes, signed_by
+    ) VALUES (
+        p_rental_id, v_deposit, v_balance + v_charges, v_balance_applied, v_charges_kept, v_charges - v_charges_kept,
+        v_deposit - v_balance_applied - v_charges_kept,
+        (v_balance - v_balance_applied) + (v_charges - v_charges_kept),
+        p_signature_url, p_document_url, p_notes, auth.uid()
+    )
+    RETURNING * INTO v_settlement;
+
+    FOR v_deduction IN SELECT * FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) LOOP
+        INSERT INTO deposit_deductions (
+            settlement_id, category, description, item_id, quantity, unit_amount, amount,
+            photo_urls, metadata, sort_order
+        ) VALUES (
+            v_settlement.id,
+            v_deduction->>'category',
+            COALESCE(NULLIF(v_deduction->>'description', ''), v_deduction->>'category'),
+            NULLIF(v_deduction->>'item_id', '')::INTEGER,
+            COALESCE(NULLIF(ledger_to_numeric(v_deduction->>'quantity'), 0), 1),
+            ledger_to_numeric(v_deduction->>'unit_amount'),
+            ledger_to_numeric(v_deduction->>'amount'),
+            COALESCE(ARRAY(SELECT jsonb_array_elements_text(v_deduction->'photo_urls')), '{}'),
+            COALESCE(v_deduction->'metadata', '{}'::jsonb),
+            v_index
+        );
+        v_index := v_index + 1;
+    END LOOP;
+
+    SELECT string_agg(description || ': ' || to_char(amount, 'FM999999990.00') || ' MAD', '; ' ORDER BY sort_order)
+    INTO v_reason
+    FROM deposit_deductions
+    WHERE settlement_id = v_settlement.id;
+
+    -- Deposit used for the balance counts as payment on the rental
+    v_remaining := CASE
+        WHEN v_rental.payment_status = 'paid' THEN 0
+        ELSE COALESCE(v_rental.remaining_amount, GREATEST(COALESCE(v_rental.total_amount, 0) - COALESCE(v_rental.deposit_amount, 0), 0))
+    END;
+
+    UPDATE app_4c3a7a6153_rentals
+    SET deposit_return_signature_url = p_signature_url,
+        deposit_returned_at = v_settlement.signed_at,
+        deposit_return_amount = v_settlement.refund_amount,
+        final_deposit_return_amount = v_settlement.refund_amount,
+        deposit_deduction_amount = v_balance_applied + v_charges_kept,
+        deposit_deduction_reason = v_reason,
+        deposit_amount = CASE WHEN v_balance_applied > 0 THEN COALESCE(deposit_amount, 0) + v_balance_applied ELSE deposit_amount END,
+        remaining_amount = CASE WHEN v_balance_applied > 0 THEN GREATEST(v_remaining - v_balance_applied, 0) ELSE remaining_amount END,
+        payment_status = CASE
+            WHEN v_balance_applied > 0 AND v_remaining - v_balance_applied <= 0.005 THEN 'paid'
+            WHEN v_balance_applied > 0 THEN 'partial'
+            ELSE payment_status
+        END,
+        updated_at = NOW()
+    WHERE id = p_rental_id;
+
+    RETURN v_settlement;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION sign_deposit_settlement(UUID, JSONB, TEXT, TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- 5. LEDGER
+-- The deposit stays in 210 from pick-up until it is settled.
+-- Settlement releases it: refund (Cr cash), balance applied
+-- (Cr cash, matched by the rental payment posting against AR)
+-- and charges kept (Cr 420); charges above the deposit are
+-- billed to AR.
+-- =====================================================
+
+-- Same as finance_ledger.sql except for the deposit: rentals
+-- returned before settlements existed release it on return.
+CREATE OR REPLACE FUNCTION ledger_sync_rental(p_rental JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_id TEXT := p_rental->>'id';
+    v_status TEXT := COALESCE(p_rental->>'rental_status', 'scheduled');
+    v_payment_status TEXT := COALESCE(p_rental->>'payment_status', 'unpaid');
+    v_total NUMERIC := ledger_to_numeric(p_rental->>'total_amount');
+    v_remaining NUMERIC := NULLIF(p_rental->>'remaining_amount', '')::NUMERIC;
+    v_advance NUMERIC := ledger_to_numeric(p_rental->>'deposit_amount');
+    v_damage_deposit NUMERIC := ledger_to_numeric(p_rental->>'damage_deposit');
+    v_customer TEXT := COALESCE(p_rental->>'customer_name', 'customer');
+    v_settled BOOLEAN;
+    v_revenue NUMERIC;
+    v_paid NUMERIC;
+    v_held NUMERIC;
+    v_metadata JSONB;
+BEGIN
+    v_settled := EXISTS (SELECT 1 FROM deposit_settlements WHERE rental_id::TEXT = v_id);
+
+    v_revenue := CASE
+        WHEN p_deleted OR v_status IN ('cancelled', 'refunded') THEN 0
+        ELSE v_total
+    END;
+
+    v_paid := CASE
+        WHEN p_deleted OR v_payment_status = 'refunded' OR v_status = 'refunded' THEN 0
+        WHEN v_payment_status = 'paid' THEN v_total
+        WHEN v_remaining IS NOT NULL THEN GREATEST(v_total - v_remaining, 0)
+        ELSE LEAST(v_advance, v_total)
+    END;
+
+    v_held := CASE
+        WHEN p_deleted THEN 0
+        WHEN v_settled THEN v_damage_deposit
+        WHEN v_status IN ('rented', 'active') THEN v_damage_deposit
+        WHEN v_status = 'completed' AND NULLIF(p_rental->>'deposit_returned_at', '') IS NULL THEN v_damage_deposit
+        ELSE 0
+    END;
+
+    v_metadata := jsonb_build_object(
+        'rental_id', v_id,
+        'vehicle_id', p_rental->>'vehicle_id',
+        'customer_name', v_customer
+    );
+
+    PERFORM ledger_sync_component('rental', v_id, 'revenue', '110', '400', TRUE, v_revenue,
+        p_entry_date, 'Rental revenue - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('rental', v_id, 'payment', '101', '110', FALSE, v_paid,
+        p_entry_date, 'Rental payment - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('rental', v_id, 'damage_deposit', '101', '210', TRUE, v_held,
+        p_entry_date, 'Damage deposit - ' || v_customer, v_metadata);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_sync_deposit_settlement(p_settlement JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_id TEXT := p_settlement->>'id';
+    v_rental JSONB;
+    v_customer TEXT;
+    v_metadata JSONB;
+BEGIN
+    SELECT to_jsonb(r) INTO v_rental FROM app_4c3a7a6153_rentals r WHERE r.id::TEXT = p_settlement->>'rental_id';
+    v_customer := COALESCE(v_rental->>'customer_name', 'customer');
+    v_metadata := jsonb_build_object(
+        'rental_id', p_settlement->>'rental_id',
+        'vehicle_id', v_rental->>'vehicle_id',
+        'customer_name', v_customer
+    );
+
+    PERFORM ledger_sync_component('deposit_settlement', v_id, 'refund', '210', '101', FALSE,
+        CASE WHEN p_deleted THEN 0 ELSE ledger_to_numeric(p_settlement->>'refund_amount') END,
+        p_entry_date, 'Damage deposit refund - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('deposit_settlement', v_id, 'balance_applied', '210', '101', FALSE,
+        CASE WHEN p_deleted THEN 0 ELSE ledger_to_numeric(p_settlement->>'balance_applied') END,
+        p_entry_date, 'Damage deposit applied to rental balance - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('deposit_settlement', v_id, 'charges_kept', '210', '420', TRUE,
+        CASE WHEN p_deleted THEN 0 ELSE ledger_to_numeric(p_settlement->>'charges_kept') END,
+        p_entry_date, 'Damage deposit kept - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('deposit_settlement', v_id, 'charges_billed', '110', '420', TRUE,
+        CASE WHEN p_deleted THEN 0 ELSE ledger_to_numeric(p_settlement->>'charges_billed') END,
+        p_entry_date, 'Deposit settlement charges billed - ' || v_customer, v_metadata);
+
+    -- Held amount depends on whether a settlement exists
+    IF v_rental IS NOT NULL THEN
+        PERFORM ledger_sync_rental(v_rental, FALSE, p_entry_date);
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_post_from_source()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row JSONB := to_jsonb(COALESCE(NEW, OLD));
+    v_deleted BOOLEAN := TG_OP = 'DELETE';
+BEGIN
+    CASE TG_ARGV[0]
+        WHEN 'rental' THEN PERFORM ledger_sync_rental(v_row, v_deleted);
+        WHEN 'tank_fuel_refill' THEN PERFORM ledger_sync_fuel_purchase('tank_fuel_refill', v_row, v_deleted);
+        WHEN 'fuel_refill' THEN PERFORM ledger_sync_fuel_purchase('fuel_refill', v_row, v_deleted);
+        WHEN 'maintenance' THEN PERFORM ledger_sync_maintenance(v_row, v_deleted);
+        WHEN 'maintenance_part' THEN PERFORM ledger_sync_maintenance_part(v_row, v_deleted);
+        WHEN 'inventory_movement' THEN PERFORM ledger_sync_inventory_movement(v_row, v_deleted);
+        WHEN 'deposit_settlement' THEN PERFORM ledger_sync_deposit_settlement(v_row, v_deleted);
+    END CASE;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_ledger_post ON deposit_settlements;
+CREATE TRIGGER trg_ledger_post AFTER INSERT OR UPDATE OR DELETE ON deposit_settlements
+  FOR EACH ROW EXECUTE FUNCTION ledger_post_from_source('deposit_settlement');
+
+CREATE OR REPLACE FUNCTION ledger_resync_all()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_before INTEGER;
+    v_after INTEGER;
+    v_row RECORD;
+BEGIN
+    -- The backfill at the end of this file runs it as postgres
+    IF session_user <> 'postgres' AND NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can resync the ledger';
+    END IF;
+
+    SELECT COUNT(*) INTO v_before FROM finance_journal_entries;
+
+    FOR v_row IN SELECT to_jsonb(r) AS data, COALESCE(r.rental_start_date::DATE, r.created_at::DATE) AS day
+                 FROM app_4c3a7a6153_rentals r LOOP
+        PERFORM ledger_sync_rental(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    FOR v_row IN SELECT to_jsonb(s) AS data, s.signed_at::DATE AS day FROM deposit_settlements s LOOP
+        PERFORM ledger_sync_deposit_settlement(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    IF to_regclass('public.fuel_refills') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(f) AS data, f.refill_date::DATE AS day FROM fuel_refills f LOOP
+            PERFORM ledger_sync_fuel_purchase('tank_fuel_refill', v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    IF to_regclass('public.vehicle_fuel_refills') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(f) AS data, f.refill_date::DATE AS day FROM vehicle_fuel_refills f LOOP
+            PERFORM ledger_sync_fuel_purchase('fuel_refill', v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    FOR v_row IN SELECT to_jsonb(m) AS data, m.service_date::DATE AS day FROM app_687f658e98_maintenance m LOOP
+        PERFORM ledger_sync_maintenance(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    IF to_regclass('public.app_687f658e98_maintenance_parts') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(p) AS data, p.created_at::DATE AS day FROM app_687f658e98_maintenance_parts p LOOP
+            PERFORM ledger_sync_maintenance_part(v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    FOR v_row IN SELECT to_jsonb(mv) AS data, mv.created_at::DATE AS day FROM saharax_0u4w4d_inventory_movements mv LOOP
+        PERFORM ledger_sync_inventory_movement(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    SELECT COUNT(*) INTO v_after FROM finance_journal_entries;
+    RETURN v_after - v_before;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_sync_rental(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_deposit_settlement(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION ledger_resync_all() TO authenticated;
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- Settlements are written by sign_deposit_settlement only
+-- =====================================================
+ALTER TABLE deposit_settlements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deposit_deductions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_read_deposit_settlements" ON deposit_settlements;
+CREATE POLICY "staff_read_deposit_settlements" ON deposit_settlements
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_deposit_deductions" ON deposit_deductions;
+CREATE POLICY "staff_read_deposit_deductions" ON deposit_deductions
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 7. STORAGE (deduction photos)
+-- =====================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('deposit-photos', 'deposit-photos', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "staff_write_deposit_photos" ON storage.objects;
+CREATE POLICY "staff_write_deposit_photos" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'deposit-photos' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_delete_deposit_photos" ON storage.objects;
+CREATE POLICY "staff_delete_deposit_photos" ON storage.objects
+  FOR DELETE USING (bucket_id = 'deposit-photos' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- Post deposits still held on completed rentals
+SELECT ledger_resync_all();
+
+COMMIT;
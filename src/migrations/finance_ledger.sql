@@ -0,0 +1,707 @@
+-- =====================================================
+-- FINANCE LEDGER
+-- Chart of accounts, journal entries/lines and automatic
+-- postings so the double-entry ledger is the source of truth
+-- for Finance Dashboard V2
+--
+-- Operational tables post through triggers at the moment they
+-- change. Each posting is a "sync": the function compares what the
+-- ledger already holds for a source row + component with what it
+-- should hold and posts only the difference, so edits post
+-- adjustments, deletions post reversals, and entries created earlier
+-- by LedgerMigrationService are taken into account, never duplicated.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. CHART OF ACCOUNTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS chart_of_accounts (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    account_type VARCHAR(20) NOT NULL
+      CHECK (account_type IN ('asset', 'liability', 'equity', 'revenue', 'expense')),
+    -- Which dashboard figure the account rolls into
+    report_group VARCHAR(30),
+    parent_code VARCHAR(20),
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS report_group VARCHAR(30);
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS parent_code VARCHAR(20);
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS is_system BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE chart_of_accounts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW());
+
+ALTER TABLE chart_of_accounts DROP CONSTRAINT IF EXISTS chart_of_accounts_report_group_check;
+ALTER TABLE chart_of_accounts ADD CONSTRAINT chart_of_accounts_report_group_check
+  CHECK (report_group IS NULL OR report_group IN (
+    'cash', 'receivable', 'inventory', 'fixed_asset', 'deposits', 'payable', 'equity',
+    'revenue', 'fuel', 'maintenance', 'parts', 'other_expense', 'tax'
+  ));
+
+-- Accounts used by the automatic postings are flagged is_system:
+-- they can be renamed or regrouped but not deleted
+INSERT INTO chart_of_accounts (code, name, account_type, report_group, description, is_system) VALUES
+  ('101', 'Cash / Bank', 'asset', 'cash', 'Cash drawer and bank accounts', TRUE),
+  ('110', 'Accounts Receivable', 'asset', 'receivable', 'Rental amounts billed but not yet collected', TRUE),
+  ('120', 'Parts & Consumables Inventory', 'asset', 'inventory', 'Value of parts and consumables in stock', TRUE),
+  ('150', 'Vehicles', 'asset', 'fixed_asset', 'Fleet at acquisition cost', TRUE),
+  ('210', 'Customer Damage Deposits Held', 'liability', 'deposits', 'Damage deposits owed back to customers', TRUE),
+  ('220', 'Accounts Payable', 'liability', 'payable', 'Supplier invoices not yet paid', TRUE),
+  ('230', 'VAT Payable', 'liability', 'tax', 'VAT collected on sales', TRUE),
+  ('300', 'Owner''s Equity', 'equity', 'equity', NULL, TRUE),
+  ('400', 'Rental Revenue', 'revenue', 'revenue', 'Quad rental income', TRUE),
+  ('410', 'Tour Revenue', 'revenue', 'revenue', 'Guided tour income', TRUE),
+  ('420', 'Damage & Other Charges', 'revenue', 'revenue', 'Damage charges and retained deposits', TRUE),
+  ('600', 'Fuel Expense', 'expense', 'fuel', 'Tank and vehicle fuel purchases', TRUE),
+  ('610', 'Maintenance & Repairs', 'expense', 'maintenance', 'Labour and external service costs', TRUE),
+  ('620', 'Parts & Consumables Used', 'expense', 'parts', 'Inventory consumed by maintenance and operations', TRUE),
+  ('690', 'Other Operating Expenses', 'expense', 'other_expense', 'Includes stock adjustments', TRUE),
+  ('695', 'Taxes & Duties', 'expense', 'tax', 'Non-recoverable taxes', TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+-- =====================================================
+-- 2. JOURNAL
+-- =====================================================
+CREATE TABLE IF NOT EXISTS finance_journal_entries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    org_id UUID,
+    entry_date DATE NOT NULL,
+    description TEXT,
+    reference_type VARCHAR(50),
+    reference_id TEXT,
+    total_amount NUMERIC(14,2),
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE finance_journal_entries ADD COLUMN IF NOT EXISTS total_amount NUMERIC(14,2);
+ALTER TABLE finance_journal_entries ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'manual';
+
+CREATE TABLE IF NOT EXISTS finance_journal_lines (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    entry_id UUID NOT NULL REFERENCES finance_journal_entries(id) ON DELETE CASCADE,
+    account_code VARCHAR(20) NOT NULL REFERENCES chart_of_accounts(code) ON UPDATE CASCADE,
+    debit_amount NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (debit_amount >= 0),
+    credit_amount NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (credit_amount >= 0),
+    description TEXT,
+    -- vehicle_id, rental_id, customer_name and component (which part of
+    -- the source row the line belongs to, e.g. revenue / payment)
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_finance_journal_entries_date ON finance_journal_entries(entry_date);
+CREATE INDEX IF NOT EXISTS idx_finance_journal_entries_reference ON finance_journal_entries(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_finance_journal_lines_entry ON finance_journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_finance_journal_lines_account ON finance_journal_lines(account_code);
+CREATE INDEX IF NOT EXISTS idx_finance_journal_lines_vehicle ON finance_journal_lines((metadata->>'vehicle_id'));
+CREATE INDEX IF NOT EXISTS idx_finance_journal_lines_rental ON finance_journal_lines((metadata->>'rental_id'));
+
+-- Every entry must balance once its transaction commits
+CREATE OR REPLACE FUNCTION finance_assert_entry_balanced()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry_id UUID := COALESCE(NEW.entry_id, OLD.entry_id);
+    v_debits NUMERIC;
+    v_credits NUMERIC;
+BEGIN
+    SELECT COALESCE(SUM(debit_amount), 0), COALESCE(SUM(credit_amount), 0)
+    INTO v_debits, v_credits
+    FROM finance_journal_lines
+    WHERE entry_id = v_entry_id;
+
+    IF v_debits <> v_credits THEN
+        RAISE EXCEPTION 'Journal entry % is not balanced (debits %, credits %)', v_entry_id, v_debits, v_credits;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_finance_journal_lines_balanced ON finance_journal_lines;
+CREATE CONSTRAINT TRIGGER trg_finance_journal_lines_balanced
+    AFTER INSERT OR UPDATE OR DELETE ON finance_journal_lines
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION finance_assert_entry_balanced();
+
+-- Flat view used by the dashboard queries
+CREATE OR REPLACE VIEW finance_ledger_lines WITH (security_invoker = true) AS
+SELECT
+    l.id,
+    l.entry_id,
+    e.entry_date,
+    e.description AS entry_description,
+    e.reference_type,
+    e.reference_id,
+    e.source,
+    l.account_code,
+    a.name AS account_name,
+    a.account_type,
+    a.report_group,
+    l.debit_amount,
+    l.credit_amount,
+    l.description,
+    l.metadata->>'vehicle_id' AS vehicle_id,
+    l.metadata->>'rental_id' AS rental_id,
+    l.metadata->>'customer_name' AS customer_name,
+    l.metadata->>'component' AS component
+FROM finance_journal_lines l
+JOIN finance_journal_entries e ON e.id = l.entry_id
+LEFT JOIN chart_of_accounts a ON a.code = l.account_code;
+
+-- =====================================================
+-- 3. POSTING
+-- =====================================================
+
+-- Post one balanced entry. p_lines: [{ account_code, debit_amount, credit_amount, description, metadata }]
+-- Internal: automatic postings run it for whoever changed the source row,
+-- customers booking on the portal included. Staff post through post_journal_entry.
+CREATE OR REPLACE FUNCTION ledger_post_entry(
+    p_entry_date DATE,
+    p_description TEXT,
+    p_lines JSONB,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_source TEXT DEFAULT 'manual'
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_entry_id UUID;
+    v_line JSONB;
+    v_debits NUMERIC := 0;
+    v_credits NUMERIC := 0;
+    v_debit NUMERIC;
+    v_credit NUMERIC;
+BEGIN
+    IF jsonb_typeof(p_lines) <> 'array' OR jsonb_array_length(p_lines) < 2 THEN
+        RAISE EXCEPTION 'A journal entry needs at least two lines';
+    END IF;
+
+    FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+        v_debit := ROUND(COALESCE((v_line->>'debit_amount')::NUMERIC, 0), 2);
+        v_credit := ROUND(COALESCE((v_line->>'credit_amount')::NUMERIC, 0), 2);
+
+        IF v_debit < 0 OR v_credit < 0 OR (v_debit > 0 AND v_credit > 0) OR (v_debit = 0 AND v_credit = 0) THEN
+            RAISE EXCEPTION 'Each line needs either a positive debit or a positive credit';
+        END IF;
+
+        IF NOT EXISTS (
+            SELECT 1 FROM chart_of_accounts
+            WHERE code = v_line->>'account_code' AND is_active
+        ) THEN
+            RAISE EXCEPTION 'Unknown or inactive account %', v_line->>'account_code';
+        END IF;
+
+        v_debits := v_debits + v_debit;
+        v_credits := v_credits + v_credit;
+    END LOOP;
+
+    IF v_debits <> v_credits THEN
+        RAISE EXCEPTION 'Entry is not balanced: debits %, credits %', v_debits, v_credits;
+    END IF;
+
+    INSERT INTO finance_journal_entries (entry_date, description, reference_type, reference_id, total_amount, source, created_by)
+    VALUES (p_entry_date, p_description, p_reference_type, p_reference_id, v_debits, p_source, auth.uid())
+    RETURNING id INTO v_entry_id;
+
+    INSERT INTO finance_journal_lines (entry_id, account_code, debit_amount, credit_amount, description, metadata)
+    SELECT
+        v_entry_id,
+        line->>'account_code',
+        ROUND(COALESCE((line->>'debit_amount')::NUMERIC, 0), 2),
+        ROUND(COALESCE((line->>'credit_amount')::NUMERIC, 0), 2),
+        line->>'description',
+        COALESCE(line->'metadata', '{}'::jsonb)
+    FROM jsonb_array_elements(p_lines) AS line;
+
+    RETURN v_entry_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION post_journal_entry(
+    p_entry_date DATE,
+    p_description TEXT,
+    p_lines JSONB,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_source TEXT DEFAULT 'manual'
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can post journal entries';
+    END IF;
+
+    RETURN ledger_post_entry(p_entry_date, p_description, p_lines, p_reference_type, p_reference_id, p_source);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_post_entry(DATE, TEXT, JSONB, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION post_journal_entry(DATE, TEXT, JSONB, TEXT, TEXT, TEXT) TO authenticated;
+
+-- Bring one component of a source row to p_target. The amount already
+-- posted is measured on p_debit_account (or p_credit_account when
+-- p_measure_credit) for lines of the same reference; lines without a
+-- component tag (older migration entries) count towards it.
+CREATE OR REPLACE FUNCTION ledger_sync_component(
+    p_reference_type TEXT,
+    p_reference_id TEXT,
+    p_component TEXT,
+    p_debit_account VARCHAR,
+    p_credit_account VARCHAR,
+    p_measure_credit BOOLEAN,
+    p_target NUMERIC,
+    p_entry_date DATE,
+    p_description TEXT,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_posted NUMERIC;
+    v_diff NUMERIC;
+    v_debit_account VARCHAR := p_debit_account;
+    v_credit_account VARCHAR := p_credit_account;
+    v_metadata JSONB := COALESCE(p_metadata, '{}'::jsonb) || jsonb_build_object('component', p_component);
+BEGIN
+    -- Serialise postings for the same source row
+    PERFORM pg_advisory_xact_lock(hashtext(p_reference_type || ':' || p_reference_id));
+
+    SELECT COALESCE(SUM(
+        CASE WHEN p_measure_credit THEN l.credit_amount - l.debit_amount
+             ELSE l.debit_amount - l.credit_amount END
+    ), 0)
+    INTO v_posted
+    FROM finance_journal_lines l
+    JOIN finance_journal_entries e ON e.id = l.entry_id
+    WHERE e.reference_type = p_reference_type
+      AND e.reference_id = p_reference_id
+      AND l.account_code = CASE WHEN p_measure_credit THEN p_credit_account ELSE p_debit_account END
+      AND COALESCE(l.metadata->>'component', p_component) = p_component;
+
+    v_diff := ROUND(COALESCE(p_target, 0) - v_posted, 2);
+
+    IF v_diff = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    -- A decrease posts the reverse entry
+    IF v_diff < 0 THEN
+        v_debit_account := p_credit_account;
+        v_credit_account := p_debit_account;
+        v_diff := -v_diff;
+    END IF;
+
+    RETURN ledger_post_entry(
+        COALESCE(p_entry_date, (NOW() AT TIME ZONE 'Africa/Casablanca')::DATE),
+        p_description,
+        jsonb_build_array(
+            jsonb_build_object('account_code', v_debit_account, 'debit_amount', v_diff, 'description', p_description, 'metadata', v_metadata),
+            jsonb_build_object('account_code', v_credit_account, 'credit_amount', v_diff, 'description', p_description, 'metadata', v_metadata)
+        ),
+        p_reference_type,
+        p_reference_id,
+        'auto'
+    );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_to_numeric(p_value TEXT)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(NULLIF(regexp_replace(COALESCE(p_value, ''), '[^0-9.\-]', '', 'g'), '')::NUMERIC, 0);
+$$;
+
+-- =====================================================
+-- 4. SOURCE POSTINGS
+-- Source rows are passed as JSONB so optional columns do not
+-- break the functions; p_deleted posts full reversals.
+-- =====================================================
+
+-- Rentals: revenue on accrual (AR / revenue), cash collected against
+-- AR, and the damage deposit held while the quad is out
+CREATE OR REPLACE FUNCTION ledger_sync_rental(p_rental JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_id TEXT := p_rental->>'id';
+    v_status TEXT := COALESCE(p_rental->>'rental_status', 'scheduled');
+    v_payment_status TEXT := COALESCE(p_rental->>'payment_status', 'unpaid');
+    v_total NUMERIC := ledger_to_numeric(p_rental->>'total_amount');
+    v_remaining NUMERIC := NULLIF(p_rental->>'remaining_amount', '')::NUMERIC;
+    v_advance NUMERIC := ledger_to_numeric(p_rental->>'deposit_amount');
+    v_damage_deposit NUMERIC := ledger_to_numeric(p_rental->>'damage_deposit');
+    v_customer TEXT := COALESCE(p_rental->>'customer_name', 'customer');
+    v_revenue NUMERIC;
+    v_paid NUMERIC;
+    v_held NUMERIC;
+    v_metadata JSONB;
+BEGIN
+    v_revenue := CASE
+        WHEN p_deleted OR v_status IN ('cancelled', 'refunded') THEN 0
+        ELSE v_total
+    END;
+
+    v_paid := CASE
+        WHEN p_deleted OR v_payment_status = 'refunded' OR v_status = 'refunded' THEN 0
+        WHEN v_payment_status = 'paid' THEN v_total
+        WHEN v_remaining IS NOT NULL THEN GREATEST(v_total - v_remaining, 0)
+        ELSE LEAST(v_advance, v_total)
+    END;
+
+    v_held := CASE
+        WHEN NOT p_deleted AND v_status IN ('rented', 'active') THEN v_damage_deposit
+        ELSE 0
+    END;
+
+    v_metadata := jsonb_build_object(
+        'rental_id', v_id,
+        'vehicle_id', p_rental->>'vehicle_id',
+        'customer_name', v_customer
+    );
+
+    PERFORM ledger_sync_component('rental', v_id, 'revenue', '110', '400', TRUE, v_revenue,
+        p_entry_date, 'Rental revenue - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('rental', v_id, 'payment', '101', '110', FALSE, v_paid,
+        p_entry_date, 'Rental payment - ' || v_customer, v_metadata);
+
+    PERFORM ledger_sync_component('rental', v_id, 'damage_deposit', '101', '210', TRUE, v_held,
+        p_entry_date, 'Damage deposit - ' || v_customer, v_metadata);
+END;
+$$;
+
+-- Tank and vehicle fuel purchases
+CREATE OR REPLACE FUNCTION ledger_sync_fuel_purchase(p_reference_type TEXT, p_refill JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_liters TEXT := COALESCE(p_refill->>'liters', p_refill->>'liters_added', '?');
+BEGIN
+    PERFORM ledger_sync_component(
+        p_reference_type,
+        p_refill->>'id',
+        'fuel',
+        '600', '101', FALSE,
+        CASE WHEN p_deleted THEN 0 ELSE ledger_to_numeric(p_refill->>'total_cost') END,
+        p_entry_date,
+        CASE WHEN p_reference_type = 'tank_fuel_refill' THEN 'Tank fuel purchase - ' ELSE 'Vehicle fuel purchase - ' END || v_liters || 'L',
+        jsonb_build_object('vehicle_id', p_refill->>'vehicle_id')
+    );
+END;
+$$;
+
+-- Maintenance labour / service cost, posted once the job is completed.
+-- Parts are posted from the parts rows so they are not counted twice.
+CREATE OR REPLACE FUNCTION ledger_sync_maintenance(p_record JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_labor NUMERIC;
+BEGIN
+    v_labor := CASE
+        WHEN p_record ? 'labor_cost_mad' AND p_record->>'labor_cost_mad' IS NOT NULL
+            THEN ledger_to_numeric(p_record->>'labor_cost_mad')
+        ELSE GREATEST(
+            ledger_to_numeric(COALESCE(p_record->>'total_cost_mad', p_record->>'cost'))
+              - ledger_to_numeric(p_record->>'parts_cost_mad'),
+            0)
+    END;
+
+    PERFORM ledger_sync_component(
+        'maintenance',
+        p_record->>'id',
+        'labor',
+        '610', '101', FALSE,
+        CASE WHEN p_deleted OR COALESCE(p_record->>'status', '') <> 'completed' THEN 0 ELSE v_labor END,
+        p_entry_date,
+        'Maintenance - ' || COALESCE(p_record->>'maintenance_type', 'service'),
+        jsonb_build_object('vehicle_id', p_record->>'vehicle_id', 'maintenance_id', p_record->>'id')
+    );
+END;
+$$;
+
+-- Parts used on a maintenance job leave inventory at their snapshot cost
+CREATE OR REPLACE FUNCTION ledger_sync_maintenance_part(p_part JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_vehicle_id TEXT;
+BEGIN
+    SELECT vehicle_id::TEXT INTO v_vehicle_id
+    FROM app_687f658e98_maintenance
+    WHERE id::TEXT = p_part->>'maintenance_id';
+
+    PERFORM ledger_sync_component(
+        'maintenance_part',
+        p_part->>'id',
+        'parts',
+        '620', '120', FALSE,
+        CASE WHEN p_deleted THEN 0
+             ELSE ROUND(ledger_to_numeric(p_part->>'quantity') * ledger_to_numeric(p_part->>'unit_cost_mad'), 2) END,
+        p_entry_date,
+        'Parts used on maintenance',
+        jsonb_build_object('vehicle_id', v_vehicle_id, 'maintenance_id', p_part->>'maintenance_id', 'item_id', p_part->>'item_id')
+    );
+END;
+$$;
+
+-- Stock movements: receipts are parts purchases, issues are parts used.
+-- Transfers move no value; maintenance issues are posted from the
+-- maintenance parts rows; counts and adjustments go to other expenses.
+CREATE OR REPLACE FUNCTION ledger_sync_inventory_movement(p_movement JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_reference TEXT := COALESCE(p_movement->>'reference_type', '');
+    v_is_in BOOLEAN := p_movement->>'movement_type' = 'in';
+    v_is_adjustment BOOLEAN := v_reference IN ('adjustment', 'stock_take');
+    v_value NUMERIC;
+BEGIN
+    IF v_reference = 'transfer' OR (NOT v_is_in AND v_reference = 'maintenance') THEN
+        RETURN;
+    END IF;
+
+    v_value := CASE WHEN p_deleted THEN 0
+        ELSE ROUND(ledger_to_numeric(p_movement->>'quantity') * ledger_to_numeric(p_movement->>'unit_cost'), 2) END;
+
+    IF v_is_in THEN
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_in',
+            '120', CASE WHEN v_is_adjustment THEN '690' ELSE '101' END, FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (gain)' ELSE 'Parts purchase' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    ELSE
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_out',
+            CASE WHEN v_is_adjustment THEN '690' ELSE '620' END, '120', FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (loss)' ELSE 'Parts used' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    END IF;
+END;
+$$;
+
+-- Only the triggers and ledger_resync_all post source rows
+REVOKE EXECUTE ON FUNCTION ledger_sync_component(TEXT, TEXT, TEXT, VARCHAR, VARCHAR, BOOLEAN, NUMERIC, DATE, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_rental(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_fuel_purchase(TEXT, JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_maintenance(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_maintenance_part(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_sync_inventory_movement(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 5. TRIGGERS
+-- =====================================================
+CREATE OR REPLACE FUNCTION ledger_post_from_source()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row JSONB := to_jsonb(COALESCE(NEW, OLD));
+    v_deleted BOOLEAN := TG_OP = 'DELETE';
+BEGIN
+    CASE TG_ARGV[0]
+        WHEN 'rental' THEN PERFORM ledger_sync_rental(v_row, v_deleted);
+        WHEN 'tank_fuel_refill' THEN PERFORM ledger_sync_fuel_purchase('tank_fuel_refill', v_row, v_deleted);
+        WHEN 'fuel_refill' THEN PERFORM ledger_sync_fuel_purchase('fuel_refill', v_row, v_deleted);
+        WHEN 'maintenance' THEN PERFORM ledger_sync_maintenance(v_row, v_deleted);
+        WHEN 'maintenance_part' THEN PERFORM ledger_sync_maintenance_part(v_row, v_deleted);
+        WHEN 'inventory_movement' THEN PERFORM ledger_sync_inventory_movement(v_row, v_deleted);
+    END CASE;
+    RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+    v_source RECORD;
+BEGIN
+    FOR v_source IN
+        SELECT * FROM (VALUES
+            ('app_4c3a7a6153_rentals', 'rental'),
+            ('fuel_refills', 'tank_fuel_refill'),
+            ('vehicle_fuel_refills', 'fuel_refill'),
+            ('app_687f658e98_maintenance', 'maintenance'),
+            ('app_687f658e98_maintenance_parts', 'maintenance_part'),
+            ('saharax_0u4w4d_inventory_movements', 'inventory_movement')
+        ) AS s(table_name, kind)
+    LOOP
+        IF to_regclass('public.' || v_source.table_name) IS NOT NULL THEN
+            EXECUTE format('DROP TRIGGER IF EXISTS trg_ledger_post ON %I', v_source.table_name);
+            EXECUTE format(
+                'CREATE TRIGGER trg_ledger_post AFTER INSERT OR UPDATE OR DELETE ON %I
+                 FOR EACH ROW EXECUTE FUNCTION ledger_post_from_source(%L)',
+                v_source.table_name, v_source.kind
+            );
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- =====================================================
+-- 6. BACKFILL / RESYNC
+-- Idempotent: re-running only posts differences. Entries use
+-- the source row's own date.
+-- =====================================================
+CREATE OR REPLACE FUNCTION ledger_resync_all()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_before INTEGER;
+    v_after INTEGER;
+    v_row RECORD;
+BEGIN
+    -- The backfill at the end of this file runs it as postgres
+    IF session_user <> 'postgres' AND NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can resync the ledger';
+    END IF;
+
+    SELECT COUNT(*) INTO v_before FROM finance_journal_entries;
+
+    FOR v_row IN SELECT to_jsonb(r) AS data, COALESCE(r.rental_start_date::DATE, r.created_at::DATE) AS day
+                 FROM app_4c3a7a6153_rentals r LOOP
+        PERFORM ledger_sync_rental(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    IF to_regclass('public.fuel_refills') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(f) AS data, f.refill_date::DATE AS day FROM fuel_refills f LOOP
+            PERFORM ledger_sync_fuel_purchase('tank_fuel_refill', v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    IF to_regclass('public.vehicle_fuel_refills') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(f) AS data, f.refill_date::DATE AS day FROM vehicle_fuel_refills f LOOP
+            PERFORM ledger_sync_fuel_purchase('fuel_refill', v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    FOR v_row IN SELECT to_jsonb(m) AS data, m.service_date::DATE AS day FROM app_687f658e98_maintenance m LOOP
+        PERFORM ledger_sync_maintenance(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    IF to_regclass('public.app_687f658e98_maintenance_parts') IS NOT NULL THEN
+        FOR v_row IN SELECT to_jsonb(p) AS data, p.created_at::DATE AS day FROM app_687f658e98_maintenance_parts p LOOP
+            PERFORM ledger_sync_maintenance_part(v_row.data, FALSE, v_row.day);
+        END LOOP;
+    END IF;
+
+    FOR v_row IN SELECT to_jsonb(mv) AS data, mv.created_at::DATE AS day FROM saharax_0u4w4d_inventory_movements mv LOOP
+        PERFORM ledger_sync_inventory_movement(v_row.data, FALSE, v_row.day);
+    END LOOP;
+
+    SELECT COUNT(*) INTO v_after FROM finance_journal_entries;
+    RETURN v_after - v_before;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ledger_resync_all() TO authenticated;
+
+-- =====================================================
+-- 7. TRIAL BALANCE
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_trial_balance(p_as_of DATE DEFAULT NULL)
+RETURNS TABLE (
+    account_code VARCHAR,
+    account_name VARCHAR,
+    account_type VARCHAR,
+    report_group VARCHAR,
+    total_debit NUMERIC,
+    total_credit NUMERIC,
+    balance NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        a.code,
+        a.name,
+        a.account_type,
+        a.report_group,
+        COALESCE(SUM(l.debit_amount), 0) AS total_debit,
+        COALESCE(SUM(l.credit_amount), 0) AS total_credit,
+        COALESCE(SUM(l.debit_amount), 0) - COALESCE(SUM(l.credit_amount), 0) AS balance
+    FROM chart_of_accounts a
+    LEFT JOIN finance_journal_lines l ON l.account_code = a.code
+        AND EXISTS (
+            SELECT 1 FROM finance_journal_entries e
+            WHERE e.id = l.entry_id AND (p_as_of IS NULL OR e.entry_date <= p_as_of)
+        )
+    GROUP BY a.code, a.name, a.account_type, a.report_group
+    ORDER BY a.code;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_trial_balance(DATE) TO authenticated;
+
+-- =====================================================
+-- 8. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE chart_of_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE finance_journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE finance_journal_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_chart_of_accounts" ON chart_of_accounts;
+CREATE POLICY "staff_manage_chart_of_accounts" ON chart_of_accounts
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_manage_journal_entries" ON finance_journal_entries;
+CREATE POLICY "staff_manage_journal_entries" ON finance_journal_entries
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_manage_journal_lines" ON finance_journal_lines;
+CREATE POLICY "staff_manage_journal_lines" ON finance_journal_lines
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- Post existing history once
+SELECT ledger_resync_all();
+
+COMMIT;
@@ -0,0 +1,298 @@
+-- =====================================================
+-- FLEET POSITIONS
+-- GPS pings per vehicle with history, tracker devices,
+-- an ingestion RPC for trackers and riding-zone geofences
+-- with exit alerts raised as the pings are stored
+-- =====================================================
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- =====================================================
+-- 1. POSITION HISTORY
+-- =====================================================
+CREATE TABLE IF NOT EXISTS vehicle_positions (
+    id BIGSERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_vehicles(id) ON DELETE CASCADE,
+    latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    speed_kmh NUMERIC(6,2),
+    heading NUMERIC(5,2),
+    accuracy_m NUMERIC(8,2),
+    source VARCHAR(20) NOT NULL DEFAULT 'tracker'
+      CHECK (source IN ('tracker', 'mobile', 'simulator')),
+    device_id VARCHAR(100),
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_positions_vehicle_time ON vehicle_positions(vehicle_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vehicle_positions_recorded_at ON vehicle_positions(recorded_at);
+
+-- Last fix per vehicle
+CREATE OR REPLACE VIEW vehicle_latest_positions
+WITH (security_invoker = true) AS
+SELECT DISTINCT ON (vehicle_id) *
+FROM vehicle_positions
+ORDER BY vehicle_id, recorded_at DESC;
+
+-- =====================================================
+-- 2. TRACKER DEVICES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS vehicle_trackers (
+    device_id VARCHAR(100) PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_vehicles(id) ON DELETE CASCADE,
+    secret_hash TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Trackers post here with their device id and secret; the secret is
+-- stored as crypt() hash: INSERT ... VALUES ('dev-1', 12, crypt('secret', gen_salt('bf')))
+CREATE OR REPLACE FUNCTION ingest_vehicle_position(
+    p_device_id TEXT,
+    p_secret TEXT,
+    p_latitude DOUBLE PRECISION,
+    p_longitude DOUBLE PRECISION,
+    p_recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    p_speed_kmh NUMERIC DEFAULT NULL,
+    p_heading NUMERIC DEFAULT NULL,
+    p_accuracy_m NUMERIC DEFAULT NULL
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_tracker vehicle_trackers%ROWTYPE;
+    v_position_id BIGINT;
+BEGIN
+    SELECT * INTO v_tracker
+    FROM vehicle_trackers
+    WHERE device_id = p_device_id AND is_active;
+
+    IF NOT FOUND OR v_tracker.secret_hash <> crypt(p_secret, v_tracker.secret_hash) THEN
+        RAISE EXCEPTION 'Unknown tracker or invalid secret' USING ERRCODE = '28000';
+    END IF;
+
+    INSERT INTO vehicle_positions (
+        vehicle_id, latitude, longitude, speed_kmh, heading, accuracy_m,
+        source, device_id, recorded_at
+    ) VALUES (
+        v_tracker.vehicle_id, p_latitude, p_longitude, p_speed_kmh, p_heading, p_accuracy_m,
+        'tracker', p_device_id, COALESCE(p_recorded_at, NOW())
+    ) RETURNING id INTO v_position_id;
+
+    UPDATE vehicle_trackers SET last_seen_at = NOW() WHERE device_id = p_device_id;
+
+    RETURN v_position_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ingest_vehicle_position(TEXT, TEXT, DOUBLE PRECISION, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE, NUMERIC, NUMERIC, NUMERIC) TO anon, authenticated;
+
+-- =====================================================
+-- 3. GEOFENCES (ALLOWED RIDING ZONES)
+-- =====================================================
+-- polygon is a JSON array of [latitude, longitude] pairs
+CREATE TABLE IF NOT EXISTS geofences (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    polygon JSONB NOT NULL CHECK (jsonb_typeof(polygon) = 'array' AND jsonb_array_length(polygon) >= 3),
+    color VARCHAR(20) DEFAULT '#16a34a',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- =====================================================
+-- 4. RIDING ZONE EXITS
+-- Every stored ping, from a tracker or a staff phone, is checked
+-- against the active zones, so an exit is caught whether or not the
+-- live map is open. The out-of-zone alert is raised when a vehicle
+-- leaves every zone and cleared when it is back inside one.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS vehicle_geofence_state (
+    vehicle_id INTEGER PRIMARY KEY REFERENCES saharax_0u4w4d_vehicles(id) ON DELETE CASCADE,
+    inside BOOLEAN NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Ray casting over [latitude, longitude] pairs, same as isPointInPolygon
+-- in src/utils/geoUtils.js
+CREATE OR REPLACE FUNCTION geofence_contains(p_polygon JSONB, p_latitude DOUBLE PRECISION, p_longitude DOUBLE PRECISION)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_count INTEGER;
+    v_inside BOOLEAN := FALSE;
+    v_lat_i DOUBLE PRECISION;
+    v_lng_i DOUBLE PRECISION;
+    v_lat_j DOUBLE PRECISION;
+    v_lng_j DOUBLE PRECISION;
+    v_j INTEGER;
+BEGIN
+    IF jsonb_typeof(p_polygon) IS DISTINCT FROM 'array' THEN
+        RETURN FALSE;
+    END IF;
+    v_count := jsonb_array_length(p_polygon);
+    IF v_count < 3 THEN
+        RETURN FALSE;
+    END IF;
+
+    v_j := v_count - 1;
+    FOR v_i IN 0 .. v_count - 1 LOOP
+        v_lat_i := (p_polygon->v_i->>0)::DOUBLE PRECISION;
+        v_lng_i := (p_polygon->v_i->>1)::DOUBLE PRECISION;
+        v_lat_j := (p_polygon->v_j->>0)::DOUBLE PRECISION;
+        v_lng_j := (p_polygon->v_j->>1)::DOUBLE PRECISION;
+        IF (v_lng_i > p_longitude) <> (v_lng_j > p_longitude) THEN
+            IF p_latitude < (v_lat_j - v_lat_i) * (p_longitude - v_lng_i) / (v_lng_j - v_lng_i) + v_lat_i THEN
+                v_inside := NOT v_inside;
+            END IF;
+        END IF;
+        v_j := v_i;
+    END LOOP;
+
+    RETURN v_inside;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION vehicle_positions_check_geofences()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_state vehicle_geofence_state%ROWTYPE;
+    v_inside BOOLEAN;
+    v_vehicle RECORD;
+    v_vehicle_label TEXT;
+    v_key TEXT := 'geofence_exit:' || NEW.vehicle_id;
+BEGIN
+    -- Without an active zone there is nothing to leave
+    IF NOT EXISTS (SELECT 1 FROM geofences WHERE is_active) THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO v_state
+    FROM vehicle_geofence_state
+    WHERE vehicle_id = NEW.vehicle_id
+    FOR UPDATE;
+
+    -- A ping that arrives late does not override a newer fix
+    IF FOUND AND v_state.recorded_at > NEW.recorded_at THEN
+        RETURN NULL;
+    END IF;
+
+    v_inside := EXISTS (
+        SELECT 1 FROM geofences g
+        WHERE g.is_active AND geofence_contains(g.polygon, NEW.latitude, NEW.longitude)
+    );
+
+    INSERT INTO vehicle_geofence_state (vehicle_id, inside, recorded_at)
+    VALUES (NEW.vehicle_id, v_inside, NEW.recorded_at)
+    ON CONFLICT (vehicle_id) DO UPDATE
+    SET inside = EXCLUDED.inside,
+        recorded_at = EXCLUDED.recorded_at,
+        updated_at = NOW();
+
+    IF v_state.vehicle_id IS NOT NULL AND v_state.inside = v_inside THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_inside THEN
+        PERFORM clear_system_alert(v_key);
+        RETURN NULL;
+    END IF;
+
+    SELECT name, plate_number INTO v_vehicle
+    FROM saharax_0u4w4d_vehicles
+    WHERE id = NEW.vehicle_id;
+
+    v_vehicle_label := COALESCE(v_vehicle.name, 'Vehicle ' || NEW.vehicle_id);
+    PERFORM raise_system_alert(
+        'geofence_exit',
+        v_key,
+        'Outside Riding Zone - ' || COALESCE(v_vehicle.plate_number, v_vehicle_label),
+        format('%s left the allowed riding zones at %s, %s',
+            CASE
+                WHEN v_vehicle.plate_number IS NOT NULL AND v_vehicle.plate_number <> 'N/A'
+                THEN v_vehicle_label || ' (' || v_vehicle.plate_number || ')'
+                ELSE v_vehicle_label
+            END,
+            ROUND(NEW.latitude::NUMERIC, 5), ROUND(NEW.longitude::NUMERIC, 5)),
+        'high',
+        NEW.vehicle_id,
+        NULL,
+        jsonb_build_object(
+            'latitude', NEW.latitude,
+            'longitude', NEW.longitude,
+            'recorded_at', NEW.recorded_at,
+            'position_id', NEW.id
+        )
+    );
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_vehicle_positions_check_geofences ON vehicle_positions;
+CREATE TRIGGER trg_vehicle_positions_check_geofences
+    AFTER INSERT ON vehicle_positions
+    FOR EACH ROW
+    EXECUTE FUNCTION vehicle_positions_check_geofences();
+
+-- =====================================================
+-- 5. ROW LEVEL SECURITY
+-- Trackers are registered in SQL (section 2) and never read by the
+-- app, so no client can reach their secrets
+-- =====================================================
+ALTER TABLE vehicle_positions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vehicle_trackers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE geofences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vehicle_geofence_state ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_read_vehicle_positions" ON vehicle_positions;
+CREATE POLICY "staff_read_vehicle_positions" ON vehicle_positions
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- Staff phones and the GPX simulator write directly; trackers go through the RPC
+DROP POLICY IF EXISTS "staff_insert_vehicle_positions" ON vehicle_positions;
+CREATE POLICY "staff_insert_vehicle_positions" ON vehicle_positions
+  FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) AND source IN ('mobile', 'simulator'));
+
+DROP POLICY IF EXISTS "staff_manage_vehicle_trackers" ON vehicle_trackers;
+REVOKE ALL ON vehicle_trackers FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "staff_manage_geofences" ON geofences;
+CREATE POLICY "staff_manage_geofences" ON geofences
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_vehicle_geofence_state" ON vehicle_geofence_state;
+CREATE POLICY "staff_read_vehicle_geofence_state" ON vehicle_geofence_state
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- Live map subscribes to new pings
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+       AND NOT EXISTS (
+           SELECT 1 FROM pg_publication_tables
+           WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'vehicle_positions'
+       ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE vehicle_positions;
+    END IF;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,352 @@
+-- =====================================================
+-- FUEL TANKS AND DIP READINGS
+-- Tanks are defined per site in fuel_tanks instead of the single
+-- hard-coded 1000 L main tank. Tank refills (fuel_refills) and
+-- withdrawals (fuel_withdrawals) record the tank they went into or
+-- came out of; rows saved without one belong to the default tank.
+--
+-- The book level of a tank is its opening volume plus refills minus
+-- withdrawals. A dip reading is a manual measurement, stored with the
+-- book level at the same moment; the variance between them is the
+-- cumulative loss (or gain) of the tank. When the latest reading is
+-- outside the tank's tolerance a fuel_tank_variance alert is raised in
+-- system_alerts; a reading back within tolerance clears it.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. TANKS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS fuel_tanks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    site VARCHAR(100),
+    fuel_type VARCHAR(50) NOT NULL DEFAULT 'gasoline',
+    capacity DECIMAL(10,2) NOT NULL CHECK (capacity > 0),
+    initial_volume DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (initial_volume >= 0),
+    low_level_percent DECIMAL(5,2) NOT NULL DEFAULT 15 CHECK (low_level_percent BETWEEN 0 AND 100),
+    -- A reading is out of tolerance when it differs from the book level
+    -- by more than the larger of these two
+    variance_tolerance_liters DECIMAL(10,2) NOT NULL DEFAULT 20 CHECK (variance_tolerance_liters >= 0),
+    variance_tolerance_percent DECIMAL(5,2) NOT NULL DEFAULT 2 CHECK (variance_tolerance_percent >= 0),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fuel_tanks_single_default
+    ON fuel_tanks (is_default) WHERE is_default;
+
+-- The tank the app assumed until now
+INSERT INTO fuel_tanks (name, site, fuel_type, capacity, initial_volume, is_default)
+SELECT 'Main Tank', 'Main Depot', 'gasoline', 1000, 0, TRUE
+WHERE NOT EXISTS (SELECT 1 FROM fuel_tanks);
+
+-- =====================================================
+-- 2. TANK OF EACH REFILL AND WITHDRAWAL
+-- =====================================================
+ALTER TABLE fuel_refills ADD COLUMN IF NOT EXISTS tank_id UUID REFERENCES fuel_tanks(id);
+ALTER TABLE fuel_withdrawals ADD COLUMN IF NOT EXISTS tank_id UUID REFERENCES fuel_tanks(id);
+
+UPDATE fuel_refills SET tank_id = (SELECT id FROM fuel_tanks WHERE is_default) WHERE tank_id IS NULL;
+UPDATE fuel_withdrawals SET tank_id = (SELECT id FROM fuel_tanks WHERE is_default) WHERE tank_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_fuel_refills_tank ON fuel_refills (tank_id, refill_date);
+CREATE INDEX IF NOT EXISTS idx_fuel_withdrawals_tank ON fuel_withdrawals (tank_id, withdrawal_date);
+
+-- Older screens insert without a tank
+CREATE OR REPLACE FUNCTION fuel_assign_default_tank()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.tank_id IS NULL THEN
+        SELECT id INTO NEW.tank_id FROM fuel_tanks WHERE is_default;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_fuel_refills_default_tank ON fuel_refills;
+CREATE TRIGGER trg_fuel_refills_default_tank
+    BEFORE INSERT OR UPDATE OF tank_id ON fuel_refills
+    FOR EACH ROW
+    EXECUTE FUNCTION fuel_assign_default_tank();
+
+DROP TRIGGER IF EXISTS trg_fuel_withdrawals_default_tank ON fuel_withdrawals;
+CREATE TRIGGER trg_fuel_withdrawals_default_tank
+    BEFORE INSERT OR UPDATE OF tank_id ON fuel_withdrawals
+    FOR EACH ROW
+    EXECUTE FUNCTION fuel_assign_default_tank();
+
+ALTER TABLE fuel_refills ALTER COLUMN tank_id SET NOT NULL;
+ALTER TABLE fuel_withdrawals ALTER COLUMN tank_id SET NOT NULL;
+
+-- =====================================================
+-- 3. BOOK LEVEL
+-- =====================================================
+CREATE OR REPLACE FUNCTION fuel_tank_book_level(p_tank_id UUID, p_at TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT t.initial_volume
+        + COALESCE((
+            SELECT SUM(r.liters_added) FROM fuel_refills r
+            WHERE r.tank_id = t.id AND r.refill_date <= p_at
+        ), 0)
+        - COALESCE((
+            SELECT SUM(w.liters_taken) FROM fuel_withdrawals w
+            WHERE w.tank_id = t.id AND w.withdrawal_date <= p_at
+        ), 0)
+    FROM fuel_tanks t
+    WHERE t.id = p_tank_id;
+$$;
+
+-- =====================================================
+-- 4. DIP READINGS
+-- book_liters and tolerance_liters are fixed when the reading is
+-- saved; refills back-dated later do not rewrite past readings
+-- =====================================================
+CREATE TABLE IF NOT EXISTS fuel_tank_dip_readings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    tank_id UUID NOT NULL REFERENCES fuel_tanks(id) ON DELETE CASCADE,
+    reading_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    measured_liters DECIMAL(10,2) NOT NULL CHECK (measured_liters >= 0),
+    book_liters DECIMAL(10,2) NOT NULL,
+    variance_liters DECIMAL(10,2) GENERATED ALWAYS AS (measured_liters - book_liters) STORED,
+    tolerance_liters DECIMAL(10,2) NOT NULL,
+    exceeds_tolerance BOOLEAN GENERATED ALWAYS AS (ABS(measured_liters - book_liters) > tolerance_liters) STORED,
+    recorded_by VARCHAR(255),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_fuel_tank_dip_readings_tank ON fuel_tank_dip_readings (tank_id, reading_at DESC);
+
+CREATE OR REPLACE FUNCTION fuel_tank_dip_readings_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_tank fuel_tanks%ROWTYPE;
+BEGIN
+    SELECT * INTO v_tank FROM fuel_tanks WHERE id = NEW.tank_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Fuel tank % not found', NEW.tank_id;
+    END IF;
+
+    IF NEW.measured_liters > v_tank.capacity THEN
+        RAISE EXCEPTION 'A reading of % L is more than the % L capacity of %', NEW.measured_liters, v_tank.capacity, v_tank.name;
+    END IF;
+
+    NEW.book_liters := ROUND(fuel_tank_book_level(NEW.tank_id, NEW.reading_at), 2);
+    NEW.tolerance_liters := ROUND(GREATEST(
+        v_tank.variance_tolerance_liters,
+        ABS(NEW.book_liters) * v_tank.variance_tolerance_percent / 100
+    ), 2);
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_fuel_tank_dip_readings_before_write ON fuel_tank_dip_readings;
+CREATE TRIGGER trg_fuel_tank_dip_readings_before_write
+    BEFORE INSERT OR UPDATE OF tank_id, reading_at, measured_liters ON fuel_tank_dip_readings
+    FOR EACH ROW
+    EXECUTE FUNCTION fuel_tank_dip_readings_before_write();
+
+-- =====================================================
+-- 5. VARIANCE ALERTS
+-- Only the latest reading of a tank decides whether it is flagged
+-- =====================================================
+CREATE OR REPLACE FUNCTION fuel_tank_check_variance(p_tank_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_tank fuel_tanks%ROWTYPE;
+    v_reading fuel_tank_dip_readings%ROWTYPE;
+    v_key TEXT := 'fuel_tank_variance:' || p_tank_id;
+BEGIN
+    SELECT * INTO v_tank FROM fuel_tanks WHERE id = p_tank_id;
+
+    SELECT * INTO v_reading
+    FROM fuel_tank_dip_readings
+    WHERE tank_id = p_tank_id
+    ORDER BY reading_at DESC, created_at DESC
+    LIMIT 1;
+
+    IF v_tank.id IS NOT NULL AND v_tank.active AND v_reading.id IS NOT NULL AND v_reading.exceeds_tolerance THEN
+        PERFORM raise_system_alert(
+            'fuel_tank_variance',
+            v_key,
+            v_tank.name || ' dip differs from book level',
+            format('Dip %s L vs book %s L (%s%s L, tolerance %s L)',
+                v_reading.measured_liters, v_reading.book_liters,
+                CASE WHEN v_reading.variance_liters > 0 THEN '+' ELSE '' END,
+                v_reading.variance_liters, v_reading.tolerance_liters),
+            CASE WHEN ABS(v_reading.variance_liters) > 2 * v_reading.tolerance_liters THEN 'high' ELSE 'medium' END,
+            NULL,
+            NULL,
+            jsonb_build_object(
+                'tank_id', p_tank_id,
+                'reading_id', v_reading.id,
+                'measured_liters', v_reading.measured_liters,
+                'book_liters', v_reading.book_liters,
+                'variance_liters', v_reading.variance_liters,
+                'tolerance_liters', v_reading.tolerance_liters
+            )
+        );
+    ELSE
+        PERFORM clear_system_alert(v_key);
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION fuel_tank_dip_readings_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM fuel_tank_check_variance(OLD.tank_id);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.tank_id IS DISTINCT FROM OLD.tank_id) THEN
+        PERFORM fuel_tank_check_variance(NEW.tank_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_fuel_tank_dip_readings_after_write ON fuel_tank_dip_readings;
+CREATE TRIGGER trg_fuel_tank_dip_readings_after_write
+    AFTER INSERT OR UPDATE OR DELETE ON fuel_tank_dip_readings
+    FOR EACH ROW
+    EXECUTE FUNCTION fuel_tank_dip_readings_after_write();
+
+-- Deactivating a tank clears its alert; reactivating re-checks it
+CREATE OR REPLACE FUNCTION fuel_tanks_after_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM fuel_tank_check_variance(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_fuel_tanks_after_update ON fuel_tanks;
+CREATE TRIGGER trg_fuel_tanks_after_update
+    AFTER UPDATE OF active ON fuel_tanks
+    FOR EACH ROW
+    EXECUTE FUNCTION fuel_tanks_after_update();
+
+CREATE OR REPLACE FUNCTION system_alerts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule alert_rules%ROWTYPE;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.category IS NULL OR NEW.category = 'system' THEN
+            NEW.category := CASE NEW.alert_type
+                WHEN 'rental_return_overdue' THEN 'rental'
+                WHEN 'oil_change' THEN 'maintenance'
+                WHEN 'insurance_expiry' THEN 'vehicle'
+                WHEN 'registration_expiry' THEN 'vehicle'
+                WHEN 'geofence_exit' THEN 'vehicle'
+                WHEN 'low_stock' THEN 'inventory'
+                WHEN 'fuel_tank_variance' THEN 'fuel'
+                ELSE 'system'
+            END;
+        END IF;
+
+        IF NEW.escalate_at IS NULL THEN
+            v_rule := alert_rule_for_vehicle(
+                CASE WHEN NEW.alert_type = 'rental_return_overdue' THEN 'rental_return' ELSE NEW.alert_type END,
+                NEW.vehicle_id
+            );
+            IF v_rule.id IS NOT NULL AND v_rule.escalate_after_minutes IS NOT NULL THEN
+                NEW.escalate_at := NEW.created_at + make_interval(mins => v_rule.escalate_after_minutes);
+            END IF;
+        END IF;
+
+        RETURN NEW;
+    END IF;
+
+    IF NEW.acknowledged_at IS NOT NULL AND OLD.acknowledged_at IS NULL THEN
+        NEW.acknowledged_by := auth.uid();
+    END IF;
+
+    IF NEW.status = 'resolved' AND OLD.status <> 'resolved' THEN
+        NEW.resolved_at := COALESCE(NEW.resolved_at, NOW());
+        NEW.resolved_by := auth.uid();
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- =====================================================
+-- 6. CURRENT LEVELS
+-- =====================================================
+CREATE OR REPLACE VIEW fuel_tank_levels WITH (security_invoker = true) AS
+SELECT
+    t.*,
+    ROUND(fuel_tank_book_level(t.id), 2) AS book_level,
+    d.reading_at AS last_dip_at,
+    d.measured_liters AS last_dip_liters,
+    d.variance_liters AS last_dip_variance,
+    d.exceeds_tolerance AS last_dip_exceeds_tolerance
+FROM fuel_tanks t
+LEFT JOIN LATERAL (
+    SELECT reading_at, measured_liters, variance_liters, exceeds_tolerance
+    FROM fuel_tank_dip_readings
+    WHERE tank_id = t.id
+    ORDER BY reading_at DESC, created_at DESC
+    LIMIT 1
+) d ON TRUE;
+
+-- =====================================================
+-- 7. ROW LEVEL SECURITY
+-- Book levels and tolerances of readings are set by the trigger; a
+-- wrong reading is deleted and taken again, only its notes can change
+-- =====================================================
+ALTER TABLE fuel_tanks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fuel_tank_dip_readings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can manage fuel tanks" ON fuel_tanks;
+CREATE POLICY "Staff can manage fuel tanks" ON fuel_tanks
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can manage dip readings" ON fuel_tank_dip_readings;
+CREATE POLICY "Staff can manage dip readings" ON fuel_tank_dip_readings
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+REVOKE UPDATE ON fuel_tank_dip_readings FROM authenticated;
+GRANT UPDATE (notes) ON fuel_tank_dip_readings TO authenticated;
+
+GRANT SELECT ON fuel_tank_levels TO authenticated;
+
+COMMIT;
@@ -0,0 +1,90 @@
+-- =====================================================
+-- GUIDE TOUR OPERATIONS
+-- Guide assignment, quad assignments per tour booking,
+-- participant check-in and tour start/end timestamps
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. TOUR BOOKING: GUIDE AND LIVE PROGRESS
+-- =====================================================
+ALTER TABLE tour_bookings
+ADD COLUMN IF NOT EXISTS assigned_guide_id UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS tour_started_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS tour_started_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS tour_ended_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS tour_ended_by UUID REFERENCES auth.users(id);
+
+CREATE INDEX IF NOT EXISTS idx_tour_bookings_guide_date ON tour_bookings(assigned_guide_id, tour_date);
+
+-- =====================================================
+-- 2. PARTICIPANT CHECK-IN
+-- =====================================================
+ALTER TABLE tour_participants
+ADD COLUMN IF NOT EXISTS phone VARCHAR(50),
+ADD COLUMN IF NOT EXISTS check_in_status VARCHAR(20) NOT NULL DEFAULT 'expected'
+  CHECK (check_in_status IN ('expected', 'checked_in', 'no_show')),
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS checked_in_by UUID REFERENCES auth.users(id);
+
+-- =====================================================
+-- 3. QUADS ASSIGNED TO A TOUR BOOKING
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tour_vehicle_assignments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    booking_id UUID NOT NULL REFERENCES tour_bookings(id) ON DELETE CASCADE,
+    vehicle_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_vehicles(id),
+    participant_count INTEGER NOT NULL DEFAULT 1 CHECK (participant_count > 0),
+    assigned_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (booking_id, vehicle_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tour_vehicle_assignments_booking ON tour_vehicle_assignments(booking_id);
+CREATE INDEX IF NOT EXISTS idx_tour_vehicle_assignments_vehicle ON tour_vehicle_assignments(vehicle_id);
+
+ALTER TABLE tour_vehicle_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_tour_vehicle_assignments" ON tour_vehicle_assignments;
+CREATE POLICY "staff_manage_tour_vehicle_assignments" ON tour_vehicle_assignments
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 4. REPLACE A BOOKING'S QUADS
+-- The old assignments are removed and the new ones added in one
+-- transaction, so a failed insert (a quad taken by another tour)
+-- leaves the booking with the quads it had. The booking row is locked
+-- so two saves cannot interleave.
+-- p_quads: [{ "vehicleId": 12, "participantCount": 2 }, ...]
+-- =====================================================
+CREATE OR REPLACE FUNCTION save_tour_quad_assignments(p_booking_id UUID, p_quads JSONB)
+RETURNS SETOF tour_vehicle_assignments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can assign quads to a tour';
+    END IF;
+
+    PERFORM 1 FROM tour_bookings WHERE id = p_booking_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Tour booking not found';
+    END IF;
+
+    DELETE FROM tour_vehicle_assignments WHERE booking_id = p_booking_id;
+
+    RETURN QUERY
+    INSERT INTO tour_vehicle_assignments (booking_id, vehicle_id, participant_count, assigned_by)
+    SELECT p_booking_id, (q ->> 'vehicleId')::INTEGER, COALESCE((q ->> 'participantCount')::INTEGER, 1), auth.uid()
+    FROM jsonb_array_elements(COALESCE(p_quads, '[]'::JSONB)) AS q
+    RETURNING *;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_tour_quad_assignments(UUID, JSONB) TO authenticated;
+
+COMMIT;
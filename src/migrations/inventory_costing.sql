@@ -0,0 +1,422 @@
+-- =====================================================
+-- ATOMIC, COSTED INVENTORY MOVEMENTS
+-- Stock changes go through apply_inventory_movement(), which locks
+-- the item row, so concurrent movements queue instead of
+-- overwriting each other, and optionally refuses to go below zero.
+--
+-- Every receipt opens a cost layer. Issues consume layers oldest
+-- first; FIFO items are charged the cost of the layers consumed,
+-- weighted-average items the running average. stock_value and
+-- average_cost on the item follow every movement.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    allow_negative_stock BOOLEAN NOT NULL DEFAULT FALSE,
+    default_costing_method VARCHAR(20) NOT NULL DEFAULT 'fifo'
+      CHECK (default_costing_method IN ('fifo', 'weighted_average')),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+INSERT INTO inventory_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- 2. ITEM VALUATION COLUMNS
+-- costing_method NULL follows the default in inventory_settings;
+-- cost_mad stays the catalogue cost used for new receipts
+-- =====================================================
+ALTER TABLE saharax_0u4w4d_inventory_items
+  ADD COLUMN IF NOT EXISTS costing_method VARCHAR(20)
+    CHECK (costing_method IN ('fifo', 'weighted_average')),
+  ADD COLUMN IF NOT EXISTS average_cost NUMERIC(12,4) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS stock_value NUMERIC(14,2) NOT NULL DEFAULT 0;
+
+-- =====================================================
+-- 3. COST LAYERS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_cost_layers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_inventory_items(id) ON DELETE CASCADE,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    quantity_received NUMERIC(12,3) NOT NULL CHECK (quantity_received > 0),
+    quantity_remaining NUMERIC(12,3) NOT NULL CHECK (quantity_remaining >= 0),
+    unit_cost NUMERIC(12,4) NOT NULL CHECK (unit_cost >= 0),
+    reference_type VARCHAR(30),
+    reference_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_cost_layers_open
+  ON inventory_cost_layers(item_id, received_at) WHERE quantity_remaining > 0;
+
+-- Opening layer for stock that predates cost layers, at catalogue cost
+UPDATE saharax_0u4w4d_inventory_items i
+SET stock_value = ROUND(i.stock_on_hand * COALESCE(i.cost_mad, 0), 2),
+    average_cost = COALESCE(i.cost_mad, 0)
+WHERE i.stock_on_hand > 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_cost_layers l WHERE l.item_id = i.id);
+
+INSERT INTO inventory_cost_layers (item_id, quantity_received, quantity_remaining, unit_cost, reference_type)
+SELECT i.id, i.stock_on_hand, i.stock_on_hand, COALESCE(i.cost_mad, 0), 'opening'
+FROM saharax_0u4w4d_inventory_items i
+WHERE i.stock_on_hand > 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_cost_layers l WHERE l.item_id = i.id);
+
+-- =====================================================
+-- 4. STOCK GUARD
+-- Stock and valuation only change inside apply_inventory_movement
+-- =====================================================
+CREATE OR REPLACE FUNCTION inventory_items_guard_stock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF COALESCE(current_setting('inventory.applying_movement', true), '') = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF COALESCE(NEW.stock_on_hand, 0) <> 0 THEN
+            RAISE EXCEPTION 'New items start with no stock; receive opening stock as a movement';
+        END IF;
+        NEW.stock_value := 0;
+        NEW.average_cost := COALESCE(NEW.cost_mad, 0);
+        RETURN NEW;
+    END IF;
+
+    IF NEW.stock_on_hand IS DISTINCT FROM OLD.stock_on_hand
+       OR NEW.stock_value IS DISTINCT FROM OLD.stock_value
+       OR NEW.average_cost IS DISTINCT FROM OLD.average_cost THEN
+        RAISE EXCEPTION 'Stock of item % can only change through a stock movement', OLD.id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_items_guard_stock ON saharax_0u4w4d_inventory_items;
+CREATE TRIGGER trg_inventory_items_guard_stock
+    BEFORE INSERT OR UPDATE ON saharax_0u4w4d_inventory_items
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_items_guard_stock();
+
+-- =====================================================
+-- 5. APPLY A MOVEMENT
+-- p_unit_cost is the receipt cost for 'in' (defaults to the
+-- catalogue cost) and ignored for 'out', which is costed from the
+-- layers or the average. Returns the movement, the updated item and
+-- the cost charged.
+-- =====================================================
+CREATE OR REPLACE FUNCTION apply_inventory_movement(
+    p_item_id INTEGER,
+    p_movement_type TEXT,
+    p_quantity NUMERIC,
+    p_unit_cost NUMERIC DEFAULT NULL,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_settings inventory_settings%ROWTYPE;
+    v_item saharax_0u4w4d_inventory_items%ROWTYPE;
+    v_layer inventory_cost_layers%ROWTYPE;
+    v_method TEXT;
+    v_stock NUMERIC;
+    v_new_stock NUMERIC;
+    v_value NUMERIC;
+    v_unit_cost NUMERIC;
+    v_total_cost NUMERIC := 0;
+    v_to_take NUMERIC;
+    v_take NUMERIC;
+    v_layer_qty NUMERIC;
+    v_movement JSONB;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can move stock';
+    END IF;
+
+    IF p_movement_type NOT IN ('in', 'out') THEN
+        RAISE EXCEPTION 'Invalid movement type: %', p_movement_type;
+    END IF;
+    IF p_quantity IS NULL OR p_quantity <= 0 THEN
+        RAISE EXCEPTION 'Movement quantity must be positive';
+    END IF;
+
+    SELECT * INTO v_settings FROM inventory_settings WHERE id;
+
+    SELECT * INTO v_item
+    FROM saharax_0u4w4d_inventory_items
+    WHERE id = p_item_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Item with ID % not found', p_item_id;
+    END IF;
+
+    v_method := COALESCE(v_item.costing_method, v_settings.default_costing_method, 'fifo');
+    v_stock := COALESCE(v_item.stock_on_hand, 0);
+    v_value := COALESCE(v_item.stock_value, 0);
+
+    IF p_movement_type = 'in' THEN
+        v_unit_cost := COALESCE(p_unit_cost, NULLIF(v_item.cost_mad, 0), v_item.average_cost, 0);
+        v_total_cost := p_quantity * v_unit_cost;
+
+        -- Units received while stock is negative cover the shortfall first
+        v_layer_qty := p_quantity - LEAST(p_quantity, GREATEST(-v_stock, 0));
+        IF v_layer_qty > 0 THEN
+            INSERT INTO inventory_cost_layers (item_id, quantity_received, quantity_remaining, unit_cost, reference_type, reference_id)
+            VALUES (p_item_id, v_layer_qty, v_layer_qty, v_unit_cost, p_reference_type, p_reference_id);
+        END IF;
+
+        v_new_stock := v_stock + p_quantity;
+        v_value := v_value + v_total_cost;
+    ELSE
+        IF v_stock < p_quantity AND NOT COALESCE(v_settings.allow_negative_stock, FALSE) THEN
+            RAISE EXCEPTION 'Insufficient stock for %: requested %, available %', v_item.name, p_quantity, v_stock;
+        END IF;
+
+        -- Layers are always drawn oldest first so quantities stay right
+        -- whichever method prices the issue
+        v_to_take := p_quantity;
+        FOR v_layer IN
+            SELECT *
+            FROM inventory_cost_layers
+            WHERE item_id = p_item_id
+              AND quantity_remaining > 0
+            ORDER BY received_at, id
+            FOR UPDATE
+        LOOP
+            EXIT WHEN v_to_take <= 0;
+            v_take := LEAST(v_to_take, v_layer.quantity_remaining);
+
+            UPDATE inventory_cost_layers
+            SET quantity_remaining = quantity_remaining - v_take
+            WHERE id = v_layer.id;
+
+            v_total_cost := v_total_cost + v_take * v_layer.unit_cost;
+            v_to_take := v_to_take - v_take;
+        END LOOP;
+
+        IF v_method = 'weighted_average' THEN
+            v_total_cost := p_quantity * COALESCE(NULLIF(v_item.average_cost, 0), v_item.cost_mad, 0);
+        ELSIF v_to_take > 0 THEN
+            -- Issued beyond the layers (negative stock allowed): last known cost
+            v_total_cost := v_total_cost + v_to_take * COALESCE(NULLIF(v_item.average_cost, 0), v_item.cost_mad, 0);
+        END IF;
+
+        v_unit_cost := v_total_cost / p_quantity;
+        v_new_stock := v_stock - p_quantity;
+        v_value := v_value - v_total_cost;
+    END IF;
+
+    -- reference_id is typed by the movements table
+    INSERT INTO saharax_0u4w4d_inventory_movements (item_id, quantity, unit_cost, movement_type, reference_type, reference_id, notes, created_at)
+    SELECT r.item_id, r.quantity, r.unit_cost, r.movement_type, r.reference_type, r.reference_id, r.notes, r.created_at
+    FROM jsonb_populate_record(NULL::saharax_0u4w4d_inventory_movements, jsonb_build_object(
+        'item_id', p_item_id,
+        'quantity', p_quantity,
+        'unit_cost', ROUND(v_unit_cost, 4),
+        'movement_type', p_movement_type,
+        'reference_type', p_reference_type,
+        'reference_id', p_reference_id,
+        'notes', COALESCE(p_notes, ''),
+        'created_at', NOW()
+    )) r
+    RETURNING to_jsonb(saharax_0u4w4d_inventory_movements.*) INTO v_movement;
+
+    PERFORM set_config('inventory.applying_movement', 'on', true);
+
+    UPDATE saharax_0u4w4d_inventory_items
+    SET stock_on_hand = v_new_stock,
+        stock_value = ROUND(v_value, 2),
+        average_cost = CASE WHEN v_new_stock > 0 THEN ROUND(v_value / v_new_stock, 4) ELSE average_cost END,
+        updated_at = NOW()
+    WHERE id = p_item_id
+    RETURNING * INTO v_item;
+
+    PERFORM set_config('inventory.applying_movement', 'off', true);
+
+    RETURN jsonb_build_object(
+        'movement', v_movement,
+        'item', to_jsonb(v_item),
+        'previous_stock', v_stock,
+        'new_stock', v_new_stock,
+        'unit_cost', ROUND(v_unit_cost, 4),
+        'total_cost', ROUND(v_total_cost, 2)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_inventory_movement(INTEGER, TEXT, NUMERIC, NUMERIC, TEXT, TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- 6. MAINTENANCE PARTS
+-- Brings the parts of a maintenance record to p_parts
+-- ([{ item_id, quantity, notes }]) in one transaction: new or
+-- increased quantities are issued at their real cost, removed or
+-- reduced quantities go back to stock at the cost they were
+-- charged. unit_cost_mad on each part row is the blended cost of
+-- what it consumed.
+-- =====================================================
+CREATE OR REPLACE FUNCTION set_maintenance_parts(p_maintenance_id UUID, p_parts JSONB)
+RETURNS SETOF app_687f658e98_maintenance_parts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_part JSONB;
+    v_existing app_687f658e98_maintenance_parts%ROWTYPE;
+    v_item_id INTEGER;
+    v_quantity NUMERIC;
+    v_result JSONB;
+    v_wanted JSONB := '{}'::jsonb;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can record maintenance parts';
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('maintenance_parts:' || p_maintenance_id));
+
+    -- Requested quantity per item (repeated lines are added up)
+    FOR v_part IN SELECT * FROM jsonb_array_elements(COALESCE(p_parts, '[]'::jsonb)) LOOP
+        v_item_id := (v_part->>'item_id')::INTEGER;
+        v_quantity := (v_part->>'quantity')::NUMERIC;
+        IF v_item_id IS NULL OR v_quantity IS NULL OR v_quantity <= 0 THEN
+            RAISE EXCEPTION 'Invalid part data: item_id=%, quantity=%', v_part->>'item_id', v_part->>'quantity';
+        END IF;
+        v_wanted := v_wanted || jsonb_build_object(
+            v_item_id::TEXT,
+            COALESCE((v_wanted->>v_item_id::TEXT)::NUMERIC, 0) + v_quantity
+        );
+    END LOOP;
+
+    -- Removed or reduced parts return to stock at their charged cost
+    FOR v_existing IN
+        SELECT * FROM app_687f658e98_maintenance_parts
+        WHERE maintenance_id = p_maintenance_id
+        FOR UPDATE
+    LOOP
+        v_quantity := COALESCE((v_wanted->>v_existing.item_id::TEXT)::NUMERIC, 0);
+
+        IF v_quantity < v_existing.quantity THEN
+            PERFORM apply_inventory_movement(
+                v_existing.item_id, 'in', v_existing.quantity - v_quantity, v_existing.unit_cost_mad,
+                'maintenance', p_maintenance_id::TEXT, 'Returned from maintenance'
+            );
+        END IF;
+
+        IF v_quantity = 0 THEN
+            DELETE FROM app_687f658e98_maintenance_parts WHERE id = v_existing.id;
+        ELSIF v_quantity < v_existing.quantity THEN
+            UPDATE app_687f658e98_maintenance_parts
+            SET quantity = v_quantity, updated_at = NOW()
+            WHERE id = v_existing.id;
+        ELSIF v_quantity > v_existing.quantity THEN
+            v_result := apply_inventory_movement(
+                v_existing.item_id, 'out', v_quantity - v_existing.quantity, NULL,
+                'maintenance', p_maintenance_id::TEXT, 'Used in maintenance'
+            );
+            UPDATE app_687f658e98_maintenance_parts
+            SET unit_cost_mad = ROUND(
+                    (v_existing.quantity * v_existing.unit_cost_mad + (v_result->>'total_cost')::NUMERIC) / v_quantity, 4),
+                quantity = v_quantity,
+                updated_at = NOW()
+            WHERE id = v_existing.id;
+        END IF;
+
+        v_wanted := v_wanted - v_existing.item_id::TEXT;
+    END LOOP;
+
+    -- Parts not on the record yet
+    FOR v_item_id, v_quantity IN
+        SELECT key::INTEGER, value::TEXT::NUMERIC FROM jsonb_each(v_wanted)
+    LOOP
+        v_result := apply_inventory_movement(
+            v_item_id, 'out', v_quantity, NULL,
+            'maintenance', p_maintenance_id::TEXT, 'Used in maintenance'
+        );
+        INSERT INTO app_687f658e98_maintenance_parts (maintenance_id, item_id, quantity, unit_cost_mad)
+        VALUES (p_maintenance_id, v_item_id, v_quantity, (v_result->>'unit_cost')::NUMERIC);
+    END LOOP;
+
+    RETURN QUERY
+    SELECT * FROM app_687f658e98_maintenance_parts
+    WHERE maintenance_id = p_maintenance_id
+    ORDER BY created_at;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_maintenance_parts(UUID, JSONB) TO authenticated;
+
+-- =====================================================
+-- 7. LEDGER
+-- Parts going to and coming back from maintenance are posted from
+-- the maintenance parts rows, so neither direction posts here
+-- =====================================================
+CREATE OR REPLACE FUNCTION ledger_sync_inventory_movement(p_movement JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_reference TEXT := COALESCE(p_movement->>'reference_type', '');
+    v_is_in BOOLEAN := p_movement->>'movement_type' = 'in';
+    v_is_adjustment BOOLEAN := v_reference IN ('adjustment', 'stock_take');
+    v_value NUMERIC;
+BEGIN
+    IF v_reference IN ('transfer', 'maintenance') THEN
+        RETURN;
+    END IF;
+
+    v_value := CASE WHEN p_deleted THEN 0
+        ELSE ROUND(ledger_to_numeric(p_movement->>'quantity') * ledger_to_numeric(p_movement->>'unit_cost'), 2) END;
+
+    IF v_is_in THEN
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_in',
+            '120', CASE WHEN v_is_adjustment THEN '690' ELSE '101' END, FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (gain)' ELSE 'Parts purchase' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    ELSE
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_out',
+            CASE WHEN v_is_adjustment THEN '690' ELSE '620' END, '120', FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (loss)' ELSE 'Parts used' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_sync_inventory_movement(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 8. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE inventory_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_cost_layers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_inventory_settings" ON inventory_settings;
+CREATE POLICY "staff_manage_inventory_settings" ON inventory_settings
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_inventory_cost_layers" ON inventory_cost_layers;
+CREATE POLICY "staff_read_inventory_cost_layers" ON inventory_cost_layers
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
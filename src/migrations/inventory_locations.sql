@@ -0,0 +1,771 @@
+-- =====================================================
+-- STOCK LOCATIONS AND TRANSFERS
+-- Parts are kept at several sites (main workshop, tour base van,
+-- desert camp). inventory_stock_levels holds the quantity per item
+-- and location; the item's stock_on_hand stays the company-wide
+-- total and cost layers stay per item, so valuation is unchanged.
+--
+-- Every movement now has a location. A transfer is a linked pair of
+-- movements (out of one location, in to the other) sharing a
+-- transfer_id; it moves no value and is not posted to the ledger.
+-- Levels at or below their reorder level raise a low_stock alert
+-- per item and location in system_alerts.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. LOCATIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_locations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20) NOT NULL,
+    location_type VARCHAR(20) NOT NULL DEFAULT 'workshop' CHECK (location_type IN ('workshop', 'vehicle', 'camp', 'other')),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_locations_code ON inventory_locations(lower(code));
+-- Exactly one location receives movements that don't name one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_locations_default ON inventory_locations(is_default) WHERE is_default;
+
+INSERT INTO inventory_locations (name, code, location_type, is_default)
+VALUES
+  ('Main Workshop', 'WS', 'workshop', TRUE),
+  ('Tour Base Van', 'VAN', 'vehicle', FALSE),
+  ('Desert Camp', 'CAMP', 'camp', FALSE)
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- 2. STOCK PER LOCATION
+-- reorder_level overrides the item's reorder level at that location;
+-- the item's own level applies to the default location only
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_stock_levels (
+    item_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_inventory_items(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES inventory_locations(id),
+    quantity NUMERIC(12,2) NOT NULL DEFAULT 0,
+    reorder_level NUMERIC(12,2) CHECK (reorder_level >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    PRIMARY KEY (item_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_stock_levels_location ON inventory_stock_levels(location_id);
+
+-- Every item has a row at every location; existing stock is all at
+-- the main workshop
+INSERT INTO inventory_stock_levels (item_id, location_id, quantity)
+SELECT i.id, l.id, CASE WHEN l.is_default THEN COALESCE(i.stock_on_hand, 0) ELSE 0 END
+FROM saharax_0u4w4d_inventory_items i
+CROSS JOIN inventory_locations l
+ON CONFLICT (item_id, location_id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION inventory_stock_levels_fill()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'inventory_locations' THEN
+        INSERT INTO inventory_stock_levels (item_id, location_id)
+        SELECT id, NEW.id FROM saharax_0u4w4d_inventory_items
+        ON CONFLICT (item_id, location_id) DO NOTHING;
+    ELSE
+        INSERT INTO inventory_stock_levels (item_id, location_id)
+        SELECT NEW.id, id FROM inventory_locations
+        ON CONFLICT (item_id, location_id) DO NOTHING;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_locations_fill_levels ON inventory_locations;
+CREATE TRIGGER trg_inventory_locations_fill_levels
+    AFTER INSERT ON inventory_locations
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_stock_levels_fill();
+
+DROP TRIGGER IF EXISTS trg_inventory_items_fill_levels ON saharax_0u4w4d_inventory_items;
+CREATE TRIGGER trg_inventory_items_fill_levels
+    AFTER INSERT ON saharax_0u4w4d_inventory_items
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_stock_levels_fill();
+
+-- =====================================================
+-- 3. LOCATION ON MOVEMENTS, MAINTENANCE AND PURCHASE ORDERS
+-- =====================================================
+ALTER TABLE saharax_0u4w4d_inventory_movements
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES inventory_locations(id),
+  ADD COLUMN IF NOT EXISTS transfer_id UUID;
+
+UPDATE saharax_0u4w4d_inventory_movements
+SET location_id = (SELECT id FROM inventory_locations WHERE is_default)
+WHERE location_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_location ON saharax_0u4w4d_inventory_movements(location_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_transfer ON saharax_0u4w4d_inventory_movements(transfer_id) WHERE transfer_id IS NOT NULL;
+
+-- Where the work is done; parts are drawn from this location
+ALTER TABLE app_687f658e98_maintenance
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES inventory_locations(id);
+
+-- Where the delivery is received
+ALTER TABLE inventory_purchase_orders
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES inventory_locations(id);
+
+-- =====================================================
+-- 4. APPLY MOVEMENT AT A LOCATION
+-- Same costing as before; the quantity check is now against the
+-- location's stock and the location's level moves with the item total
+-- =====================================================
+DROP FUNCTION IF EXISTS apply_inventory_movement(INTEGER, TEXT, NUMERIC, NUMERIC, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION apply_inventory_movement(
+    p_item_id INTEGER,
+    p_movement_type TEXT,
+    p_quantity NUMERIC,
+    p_unit_cost NUMERIC DEFAULT NULL,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_location_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_settings inventory_settings%ROWTYPE;
+    v_item saharax_0u4w4d_inventory_items%ROWTYPE;
+    v_layer inventory_cost_layers%ROWTYPE;
+    v_method TEXT;
+    v_stock NUMERIC;
+    v_new_stock NUMERIC;
+    v_value NUMERIC;
+    v_unit_cost NUMERIC;
+    v_total_cost NUMERIC := 0;
+    v_to_take NUMERIC;
+    v_take NUMERIC;
+    v_layer_qty NUMERIC;
+    v_movement JSONB;
+    v_location inventory_locations%ROWTYPE;
+    v_level NUMERIC;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can move stock';
+    END IF;
+
+    IF p_movement_type NOT IN ('in', 'out') THEN
+        RAISE EXCEPTION 'Invalid movement type: %', p_movement_type;
+    END IF;
+    IF p_quantity IS NULL OR p_quantity <= 0 THEN
+        RAISE EXCEPTION 'Movement quantity must be positive';
+    END IF;
+
+    SELECT * INTO v_settings FROM inventory_settings WHERE id;
+
+    SELECT * INTO v_item
+    FROM saharax_0u4w4d_inventory_items
+    WHERE id = p_item_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Item with ID % not found', p_item_id;
+    END IF;
+
+    -- No location means the default one (the main workshop)
+    SELECT * INTO v_location
+    FROM inventory_locations
+    WHERE CASE WHEN p_location_id IS NULL THEN is_default ELSE id = p_location_id END;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock location % not found', COALESCE(p_location_id::TEXT, '(default)');
+    END IF;
+
+    INSERT INTO inventory_stock_levels (item_id, location_id)
+    VALUES (p_item_id, v_location.id)
+    ON CONFLICT (item_id, location_id) DO NOTHING;
+
+    SELECT quantity INTO v_level
+    FROM inventory_stock_levels
+    WHERE item_id = p_item_id AND location_id = v_location.id
+    FOR UPDATE;
+
+    v_method := COALESCE(v_item.costing_method, v_settings.default_costing_method, 'fifo');
+    v_stock := COALESCE(v_item.stock_on_hand, 0);
+    v_value := COALESCE(v_item.stock_value, 0);
+
+    IF p_movement_type = 'in' THEN
+        v_unit_cost := COALESCE(p_unit_cost, NULLIF(v_item.cost_mad, 0), v_item.average_cost, 0);
+        v_total_cost := p_quantity * v_unit_cost;
+
+        -- Units received while stock is negative cover the shortfall first
+        v_layer_qty := p_quantity - LEAST(p_quantity, GREATEST(-v_stock, 0));
+        IF v_layer_qty > 0 THEN
+            INSERT INTO inventory_cost_layers (item_id, quantity_received, quantity_remaining, unit_cost, reference_type, reference_id)
+            VALUES (p_item_id, v_layer_qty, v_layer_qty, v_unit_cost, p_reference_type, p_reference_id);
+        END IF;
+
+        v_new_stock := v_stock + p_quantity;
+        v_value := v_value + v_total_cost;
+    ELSE
+        IF v_level < p_quantity AND NOT COALESCE(v_settings.allow_negative_stock, FALSE) THEN
+            RAISE EXCEPTION 'Insufficient stock for % at %: requested %, available %', v_item.name, v_location.name, p_quantity, v_level;
+        END IF;
+
+        -- Layers are always drawn oldest first so quantities stay right
+        -- whichever method prices the issue
+        v_to_take := p_quantity;
+        FOR v_layer IN
+            SELECT *
+            FROM inventory_cost_layers
+            WHERE item_id = p_item_id
+              AND quantity_remaining > 0
+            ORDER BY received_at, id
+            FOR UPDATE
+        LOOP
+            EXIT WHEN v_to_take <= 0;
+            v_take := LEAST(v_to_take, v_layer.quantity_remaining);
+
+            UPDATE inventory_cost_layers
+            SET quantity_remaining = quantity_remaining - v_take
+            WHERE id = v_layer.id;
+
+            v_total_cost := v_total_cost + v_take * v_layer.unit_cost;
+            v_to_take := v_to_take - v_take;
+        END LOOP;
+
+        IF v_method = 'weighted_average' THEN
+            v_total_cost := p_quantity * COALESCE(NULLIF(v_item.average_cost, 0), v_item.cost_mad, 0);
+        ELSIF v_to_take > 0 THEN
+            -- Issued beyond the layers (negative stock allowed): last known cost
+            v_total_cost := v_total_cost + v_to_take * COALESCE(NULLIF(v_item.average_cost, 0), v_item.cost_mad, 0);
+        END IF;
+
+        v_unit_cost := v_total_cost / p_quantity;
+        v_new_stock := v_stock - p_quantity;
+        v_value := v_value - v_total_cost;
+    END IF;
+
+    -- reference_id is typed by the movements table
+    INSERT INTO saharax_0u4w4d_inventory_movements (item_id, location_id, quantity, unit_cost, movement_type, reference_type, reference_id, notes, created_at)
+    SELECT r.item_id, r.location_id, r.quantity, r.unit_cost, r.movement_type, r.reference_type, r.reference_id, r.notes, r.created_at
+    FROM jsonb_populate_record(NULL::saharax_0u4w4d_inventory_movements, jsonb_build_object(
+        'item_id', p_item_id,
+        'location_id', v_location.id,
+        'quantity', p_quantity,
+        'unit_cost', ROUND(v_unit_cost, 4),
+        'movement_type', p_movement_type,
+        'reference_type', p_reference_type,
+        'reference_id', p_reference_id,
+        'notes', COALESCE(p_notes, ''),
+        'created_at', NOW()
+    )) r
+    RETURNING to_jsonb(saharax_0u4w4d_inventory_movements.*) INTO v_movement;
+
+    PERFORM set_config('inventory.applying_movement', 'on', true);
+
+    UPDATE saharax_0u4w4d_inventory_items
+    SET stock_on_hand = v_new_stock,
+        stock_value = ROUND(v_value, 2),
+        average_cost = CASE WHEN v_new_stock > 0 THEN ROUND(v_value / v_new_stock, 4) ELSE average_cost END,
+        updated_at = NOW()
+    WHERE id = p_item_id
+    RETURNING * INTO v_item;
+
+    PERFORM set_config('inventory.applying_movement', 'off', true);
+
+    UPDATE inventory_stock_levels
+    SET quantity = quantity + CASE WHEN p_movement_type = 'in' THEN p_quantity ELSE -p_quantity END,
+        updated_at = NOW()
+    WHERE item_id = p_item_id AND location_id = v_location.id;
+
+    RETURN jsonb_build_object(
+        'movement', v_movement,
+        'item', to_jsonb(v_item),
+        'location_id', v_location.id,
+        'location_stock', v_level + CASE WHEN p_movement_type = 'in' THEN p_quantity ELSE -p_quantity END,
+        'previous_stock', v_stock,
+        'new_stock', v_new_stock,
+        'unit_cost', ROUND(v_unit_cost, 4),
+        'total_cost', ROUND(v_total_cost, 2)
+    );
+END;
+$$;
+
+
+GRANT EXECUTE ON FUNCTION apply_inventory_movement(INTEGER, TEXT, NUMERIC, NUMERIC, TEXT, TEXT, TEXT, UUID) TO authenticated;
+
+-- =====================================================
+-- 5. TRANSFERS
+-- Out of one location and in to another at the item's average cost.
+-- Item totals, valuation and cost layers are untouched, and a
+-- transfer can never take a location below zero.
+-- =====================================================
+CREATE OR REPLACE FUNCTION transfer_inventory_stock(
+    p_item_id INTEGER,
+    p_from_location_id UUID,
+    p_to_location_id UUID,
+    p_quantity NUMERIC,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_item saharax_0u4w4d_inventory_items%ROWTYPE;
+    v_from inventory_locations%ROWTYPE;
+    v_to inventory_locations%ROWTYPE;
+    v_available NUMERIC;
+    v_unit_cost NUMERIC;
+    v_transfer_id UUID := gen_random_uuid();
+    v_out JSONB;
+    v_in JSONB;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can transfer stock';
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity <= 0 THEN
+        RAISE EXCEPTION 'Transfer quantity must be positive';
+    END IF;
+    IF p_from_location_id = p_to_location_id THEN
+        RAISE EXCEPTION 'Transfer source and destination must differ';
+    END IF;
+
+    SELECT * INTO v_from FROM inventory_locations WHERE id = p_from_location_id AND active;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock location % not found', p_from_location_id;
+    END IF;
+    SELECT * INTO v_to FROM inventory_locations WHERE id = p_to_location_id AND active;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock location % not found', p_to_location_id;
+    END IF;
+
+    -- The item lock serialises transfers with movements of the same item
+    SELECT * INTO v_item
+    FROM saharax_0u4w4d_inventory_items
+    WHERE id = p_item_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Item with ID % not found', p_item_id;
+    END IF;
+
+    INSERT INTO inventory_stock_levels (item_id, location_id)
+    VALUES (p_item_id, p_from_location_id), (p_item_id, p_to_location_id)
+    ON CONFLICT (item_id, location_id) DO NOTHING;
+
+    SELECT quantity INTO v_available
+    FROM inventory_stock_levels
+    WHERE item_id = p_item_id AND location_id = p_from_location_id
+    FOR UPDATE;
+
+    IF v_available < p_quantity THEN
+        RAISE EXCEPTION 'Insufficient stock for % at %: requested %, available %', v_item.name, v_from.name, p_quantity, v_available;
+    END IF;
+
+    v_unit_cost := ROUND(COALESCE(NULLIF(v_item.average_cost, 0), v_item.cost_mad, 0), 4);
+
+    INSERT INTO saharax_0u4w4d_inventory_movements (item_id, location_id, transfer_id, quantity, unit_cost, movement_type, reference_type, reference_id, notes, created_at)
+    SELECT r.item_id, r.location_id, r.transfer_id, r.quantity, r.unit_cost, r.movement_type, r.reference_type, r.reference_id, r.notes, r.created_at
+    FROM jsonb_populate_record(NULL::saharax_0u4w4d_inventory_movements, jsonb_build_object(
+        'item_id', p_item_id,
+        'location_id', p_from_location_id,
+        'transfer_id', v_transfer_id,
+        'quantity', p_quantity,
+        'unit_cost', v_unit_cost,
+        'movement_type', 'out',
+        'reference_type', 'transfer',
+        'reference_id', v_transfer_id::TEXT,
+        'notes', COALESCE(NULLIF(p_notes, ''), 'Transfer to ' || v_to.name),
+        'created_at', NOW()
+    )) r
+    RETURNING to_jsonb(saharax_0u4w4d_inventory_movements.*) INTO v_out;
+
+    INSERT INTO saharax_0u4w4d_inventory_movements (item_id, location_id, transfer_id, quantity, unit_cost, movement_type, reference_type, reference_id, notes, created_at)
+    SELECT r.item_id, r.location_id, r.transfer_id, r.quantity, r.unit_cost, r.movement_type, r.reference_type, r.reference_id, r.notes, r.created_at
+    FROM jsonb_populate_record(NULL::saharax_0u4w4d_inventory_movements, jsonb_build_object(
+        'item_id', p_item_id,
+        'location_id', p_to_location_id,
+        'transfer_id', v_transfer_id,
+        'quantity', p_quantity,
+        'unit_cost', v_unit_cost,
+        'movement_type', 'in',
+        'reference_type', 'transfer',
+        'reference_id', v_transfer_id::TEXT,
+        'notes', COALESCE(NULLIF(p_notes, ''), 'Transfer from ' || v_from.name),
+        'created_at', NOW()
+    )) r
+    RETURNING to_jsonb(saharax_0u4w4d_inventory_movements.*) INTO v_in;
+
+    UPDATE inventory_stock_levels
+    SET quantity = quantity - p_quantity, updated_at = NOW()
+    WHERE item_id = p_item_id AND location_id = p_from_location_id;
+
+    UPDATE inventory_stock_levels
+    SET quantity = quantity + p_quantity, updated_at = NOW()
+    WHERE item_id = p_item_id AND location_id = p_to_location_id;
+
+    RETURN jsonb_build_object(
+        'transfer_id', v_transfer_id,
+        'out_movement', v_out,
+        'in_movement', v_in
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION transfer_inventory_stock(INTEGER, UUID, UUID, NUMERIC, TEXT) TO authenticated;
+
+-- =====================================================
+-- 6. MAINTENANCE PARTS AND RECEIVING USE THEIR LOCATION
+-- =====================================================
+CREATE OR REPLACE FUNCTION set_maintenance_parts(p_maintenance_id UUID, p_parts JSONB)
+RETURNS SETOF app_687f658e98_maintenance_parts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_part JSONB;
+    v_existing app_687f658e98_maintenance_parts%ROWTYPE;
+    v_item_id INTEGER;
+    v_quantity NUMERIC;
+    v_result JSONB;
+    v_wanted JSONB := '{}'::jsonb;
+    v_location_id UUID;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can record maintenance parts';
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('maintenance_parts:' || p_maintenance_id));
+
+    -- Parts come from (and go back to) where the work is done
+    SELECT location_id INTO v_location_id
+    FROM app_687f658e98_maintenance
+    WHERE id = p_maintenance_id;
+
+    -- Requested quantity per item (repeated lines are added up)
+    FOR v_part IN SELECT * FROM jsonb_array_elements(COALESCE(p_parts, '[]'::jsonb)) LOOP
+        v_item_id := (v_part->>'item_id')::INTEGER;
+        v_quantity := (v_part->>'quantity')::NUMERIC;
+        IF v_item_id IS NULL OR v_quantity IS NULL OR v_quantity <= 0 THEN
+            RAISE EXCEPTION 'Invalid part data: item_id=%, quantity=%', v_part->>'item_id', v_part->>'quantity';
+        END IF;
+        v_wanted := v_wanted || jsonb_build_object(
+            v_item_id::TEXT,
+            COALESCE((v_wanted->>v_item_id::TEXT)::NUMERIC, 0) + v_quantity
+        );
+    END LOOP;
+
+    -- Removed or reduced parts return to stock at their charged cost
+    FOR v_existing IN
+        SELECT * FROM app_687f658e98_maintenance_parts
+        WHERE maintenance_id = p_maintenance_id
+        FOR UPDATE
+    LOOP
+        v_quantity := COALESCE((v_wanted->>v_existing.item_id::TEXT)::NUMERIC, 0);
+
+        IF v_quantity < v_existing.quantity THEN
+            PERFORM apply_inventory_movement(
+                v_existing.item_id, 'in', v_existing.quantity - v_quantity, v_existing.unit_cost_mad,
+                'maintenance', p_maintenance_id::TEXT, 'Returned from maintenance', v_location_id
+            );
+        END IF;
+
+        IF v_quantity = 0 THEN
+            DELETE FROM app_687f658e98_maintenance_parts WHERE id = v_existing.id;
+        ELSIF v_quantity < v_existing.quantity THEN
+            UPDATE app_687f658e98_maintenance_parts
+            SET quantity = v_quantity, updated_at = NOW()
+            WHERE id = v_existing.id;
+        ELSIF v_quantity > v_existing.quantity THEN
+            v_result := apply_inventory_movement(
+                v_existing.item_id, 'out', v_quantity - v_existing.quantity, NULL,
+                'maintenance', p_maintenance_id::TEXT, 'Used in maintenance', v_location_id
+            );
+            UPDATE app_687f658e98_maintenance_parts
+            SET unit_cost_mad = ROUND(
+                    (v_existing.quantity * v_existing.unit_cost_mad + (v_result->>'total_cost')::NUMERIC) / v_quantity, 4),
+                quantity = v_quantity,
+                updated_at = NOW()
+            WHERE id = v_existing.id;
+        END IF;
+
+        v_wanted := v_wanted - v_existing.item_id::TEXT;
+    END LOOP;
+
+    -- Parts not on the record yet
+    FOR v_item_id, v_quantity IN
+        SELECT key::INTEGER, value::TEXT::NUMERIC FROM jsonb_each(v_wanted)
+    LOOP
+        v_result := apply_inventory_movement(
+            v_item_id, 'out', v_quantity, NULL,
+            'maintenance', p_maintenance_id::TEXT, 'Used in maintenance', v_location_id
+        );
+        INSERT INTO app_687f658e98_maintenance_parts (maintenance_id, item_id, quantity, unit_cost_mad)
+        VALUES (p_maintenance_id, v_item_id, v_quantity, (v_result->>'unit_cost')::NUMERIC);
+    END LOOP;
+
+    RETURN QUERY
+    SELECT * FROM app_687f658e98_maintenance_parts
+    WHERE maintenance_id = p_maintenance_id
+    ORDER BY created_at;
+END;
+$$;
+
+
+CREATE OR REPLACE FUNCTION receive_purchase_order(p_purchase_order_id UUID, p_lines JSONB, p_notes TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_po inventory_purchase_orders%ROWTYPE;
+    v_line inventory_purchase_order_lines%ROWTYPE;
+    v_entry JSONB;
+    v_quantity NUMERIC;
+    v_received_any BOOLEAN := FALSE;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can receive purchase orders';
+    END IF;
+
+    SELECT * INTO v_po
+    FROM inventory_purchase_orders
+    WHERE id = p_purchase_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Purchase order % not found', p_purchase_order_id;
+    END IF;
+
+    IF v_po.status NOT IN ('sent', 'partially_received') THEN
+        RAISE EXCEPTION 'Purchase order % is %; only sent orders can be received', v_po.po_number, v_po.status;
+    END IF;
+
+    PERFORM set_config('inventory.receiving_po', 'on', true);
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(COALESCE(p_lines, '[]'::jsonb)) LOOP
+        v_quantity := COALESCE((v_entry->>'quantity')::NUMERIC, 0);
+        CONTINUE WHEN v_quantity = 0;
+
+        SELECT * INTO v_line
+        FROM inventory_purchase_order_lines
+        WHERE id = (v_entry->>'line_id')::UUID
+          AND purchase_order_id = p_purchase_order_id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Line % is not on purchase order %', v_entry->>'line_id', v_po.po_number;
+        END IF;
+
+        IF v_quantity < 0 OR v_line.quantity_received + v_quantity > v_line.quantity_ordered THEN
+            RAISE EXCEPTION 'Cannot receive % of item %: % of % already received',
+                v_quantity, v_line.item_id, v_line.quantity_received, v_line.quantity_ordered;
+        END IF;
+
+        PERFORM apply_inventory_movement(
+            v_line.item_id, 'in', v_quantity, v_line.unit_cost_mad,
+            'purchase_order', p_purchase_order_id::TEXT,
+            COALESCE(NULLIF(p_notes, ''), 'Received on ' || v_po.po_number),
+            v_po.location_id
+        );
+
+        UPDATE inventory_purchase_order_lines
+        SET quantity_received = quantity_received + v_quantity
+        WHERE id = v_line.id;
+
+        v_received_any := TRUE;
+    END LOOP;
+
+    IF NOT v_received_any THEN
+        RAISE EXCEPTION 'Nothing to receive';
+    END IF;
+
+    UPDATE inventory_purchase_orders
+    SET status = CASE
+            WHEN EXISTS (
+                SELECT 1 FROM inventory_purchase_order_lines
+                WHERE purchase_order_id = p_purchase_order_id
+                  AND quantity_received < quantity_ordered
+            ) THEN 'partially_received'
+            ELSE 'received'
+        END,
+        received_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_purchase_order_id
+    RETURNING * INTO v_po;
+
+    PERFORM set_config('inventory.receiving_po', 'off', true);
+
+    RETURN to_jsonb(v_po);
+END;
+$$;
+
+
+-- =====================================================
+-- 7. LOW STOCK ALERTS PER LOCATION
+-- =====================================================
+CREATE OR REPLACE FUNCTION inventory_stock_levels_check_low()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_item saharax_0u4w4d_inventory_items%ROWTYPE;
+    v_location inventory_locations%ROWTYPE;
+    v_reorder_level NUMERIC;
+    v_key TEXT;
+BEGIN
+    SELECT * INTO v_item FROM saharax_0u4w4d_inventory_items WHERE id = NEW.item_id;
+    SELECT * INTO v_location FROM inventory_locations WHERE id = NEW.location_id;
+
+    v_key := 'low_stock:' || NEW.item_id || ':' || NEW.location_id;
+    v_reorder_level := COALESCE(NEW.reorder_level, CASE WHEN v_location.is_default THEN v_item.reorder_level END);
+
+    IF v_item.active IS NOT FALSE AND v_location.active AND v_reorder_level > 0 AND NEW.quantity <= v_reorder_level THEN
+        PERFORM raise_system_alert(
+            'low_stock',
+            v_key,
+            v_item.name || ' low at ' || v_location.name,
+            format('%s %s left at %s (reorder level %s)', NEW.quantity, COALESCE(v_item.unit, 'units'), v_location.name, v_reorder_level),
+            CASE WHEN NEW.quantity <= 0 THEN 'high' ELSE 'medium' END,
+            NULL,
+            NULL,
+            jsonb_build_object(
+                'item_id', NEW.item_id,
+                'location_id', NEW.location_id,
+                'quantity', NEW.quantity,
+                'reorder_level', v_reorder_level
+            )
+        );
+    ELSE
+        PERFORM clear_system_alert(v_key);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Not on insert: new level rows start empty before any stock or
+-- reorder level is set
+DROP TRIGGER IF EXISTS trg_inventory_stock_levels_check_low ON inventory_stock_levels;
+CREATE TRIGGER trg_inventory_stock_levels_check_low
+    AFTER UPDATE OF quantity, reorder_level ON inventory_stock_levels
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_stock_levels_check_low();
+
+-- The item's reorder level applies at the default location
+CREATE OR REPLACE FUNCTION inventory_items_recheck_low_stock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE inventory_stock_levels
+    SET reorder_level = reorder_level
+    WHERE item_id = NEW.id;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_items_recheck_low_stock ON saharax_0u4w4d_inventory_items;
+CREATE TRIGGER trg_inventory_items_recheck_low_stock
+    AFTER UPDATE OF reorder_level, active ON saharax_0u4w4d_inventory_items
+    FOR EACH ROW
+    WHEN (OLD.reorder_level IS DISTINCT FROM NEW.reorder_level OR OLD.active IS DISTINCT FROM NEW.active)
+    EXECUTE FUNCTION inventory_items_recheck_low_stock();
+
+-- Low stock alerts belong to the inventory category
+CREATE OR REPLACE FUNCTION system_alerts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule alert_rules%ROWTYPE;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.category IS NULL OR NEW.category = 'system' THEN
+            NEW.category := CASE NEW.alert_type
+                WHEN 'rental_return_overdue' THEN 'rental'
+                WHEN 'oil_change' THEN 'maintenance'
+                WHEN 'insurance_expiry' THEN 'vehicle'
+                WHEN 'registration_expiry' THEN 'vehicle'
+                WHEN 'geofence_exit' THEN 'vehicle'
+                WHEN 'low_stock' THEN 'inventory'
+                ELSE 'system'
+            END;
+        END IF;
+
+        IF NEW.escalate_at IS NULL THEN
+            v_rule := alert_rule_for_vehicle(
+                CASE WHEN NEW.alert_type = 'rental_return_overdue' THEN 'rental_return' ELSE NEW.alert_type END,
+                NEW.vehicle_id
+            );
+            IF v_rule.id IS NOT NULL AND v_rule.escalate_after_minutes IS NOT NULL THEN
+                NEW.escalate_at := NEW.created_at + make_interval(mins => v_rule.escalate_after_minutes);
+            END IF;
+        END IF;
+
+        RETURN NEW;
+    END IF;
+
+    IF NEW.acknowledged_at IS NOT NULL AND OLD.acknowledged_at IS NULL THEN
+        NEW.acknowledged_by := auth.uid();
+    END IF;
+
+    IF NEW.status = 'resolved' AND OLD.status <> 'resolved' THEN
+        NEW.resolved_at := COALESCE(NEW.resolved_at, NOW());
+        NEW.resolved_by := auth.uid();
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Raise alerts for levels that are already low
+UPDATE inventory_stock_levels SET reorder_level = reorder_level;
+
+-- =====================================================
+-- 8. ROW LEVEL SECURITY
+-- Quantities only change through the functions above; staff may set
+-- a location's reorder level
+-- =====================================================
+ALTER TABLE inventory_locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_stock_levels ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can manage stock locations" ON inventory_locations;
+CREATE POLICY "Staff can manage stock locations" ON inventory_locations
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can read stock levels" ON inventory_stock_levels;
+CREATE POLICY "Staff can read stock levels" ON inventory_stock_levels
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can set location reorder levels" ON inventory_stock_levels;
+CREATE POLICY "Staff can set location reorder levels" ON inventory_stock_levels
+    FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+REVOKE INSERT, UPDATE, DELETE ON inventory_stock_levels FROM authenticated;
+GRANT UPDATE (reorder_level) ON inventory_stock_levels TO authenticated;
+
+COMMIT;
@@ -0,0 +1,500 @@
+-- =====================================================
+-- INVOICING
+-- Invoices, credit notes and debit notes for rentals and tour
+-- bookings. Each document type has a gapless yearly series
+-- (FA-2026-000001, AV-2026-000001, ND-2026-000001) allocated in
+-- the same transaction as the document. Issued documents carry a
+-- frozen copy of the company identifiers (ICE, IF, RC, TVA), their
+-- lines and tax breakdown, and are never edited: an error is
+-- corrected with a credit or debit note on the original invoice.
+-- Lines, tax and totals are worked out here from the booking, never
+-- taken from the client. The PDF is stored once in the private
+-- issued-invoices bucket with its SHA-256.
+-- Requires tour_departures.sql and rental_extensions_migration.sql.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. COMPANY IDENTIFIERS
+-- Printed on every document; copied onto it when issued.
+-- =====================================================
+ALTER TABLE app_settings
+ADD COLUMN IF NOT EXISTS company_legal_name TEXT,
+ADD COLUMN IF NOT EXISTS company_address TEXT,
+ADD COLUMN IF NOT EXISTS company_ice VARCHAR(15),
+ADD COLUMN IF NOT EXISTS company_if VARCHAR(20),
+ADD COLUMN IF NOT EXISTS company_rc VARCHAR(30),
+ADD COLUMN IF NOT EXISTS company_tva VARCHAR(30);
+
+-- =====================================================
+-- 2. DOCUMENTS
+-- Amounts are positive on every type; a credit note reduces what
+-- its invoice charged, a debit note adds to it.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    invoice_number VARCHAR(20) NOT NULL UNIQUE,
+    document_type VARCHAR(20) NOT NULL DEFAULT 'invoice'
+        CHECK (document_type IN ('invoice', 'credit_note', 'debit_note')),
+    fiscal_year INTEGER NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    rental_id UUID REFERENCES app_4c3a7a6153_rentals(id) ON DELETE RESTRICT,
+    tour_booking_id UUID REFERENCES tour_bookings(id) ON DELETE RESTRICT,
+    original_invoice_id UUID REFERENCES invoices(id) ON DELETE RESTRICT,
+    reason TEXT,
+    issue_date DATE NOT NULL,
+    seller JSONB NOT NULL,
+    customer_name TEXT NOT NULL,
+    customer_address TEXT,
+    customer_ice VARCHAR(15),
+    customer_email TEXT,
+    customer_phone TEXT,
+    lines JSONB NOT NULL,
+    subtotal DECIMAL(12,2) NOT NULL CHECK (subtotal >= 0),
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+    tax_amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+    total DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'MAD',
+    pdf_path TEXT,
+    pdf_sha256 VARCHAR(64),
+    issued_by UUID REFERENCES auth.users(id),
+    issued_by_name TEXT,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (document_type, fiscal_year, sequence_number),
+    CONSTRAINT invoices_one_target CHECK ((rental_id IS NULL) <> (tour_booking_id IS NULL)),
+    CONSTRAINT invoices_note_references_invoice CHECK ((document_type = 'invoice') = (original_invoice_id IS NULL)),
+    CONSTRAINT invoices_note_has_reason CHECK (document_type = 'invoice' OR NULLIF(TRIM(reason), '') IS NOT NULL),
+    CONSTRAINT invoices_total_adds_up CHECK (total = subtotal + tax_amount),
+    CONSTRAINT invoices_pdf_with_hash CHECK ((pdf_path IS NULL) = (pdf_sha256 IS NULL))
+);
+
+-- One invoice per booking; later changes go through notes
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_one_per_rental
+    ON invoices(rental_id) WHERE document_type = 'invoice';
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_one_per_tour_booking
+    ON invoices(tour_booking_id) WHERE document_type = 'invoice';
+CREATE INDEX IF NOT EXISTS invoices_original_idx ON invoices(original_invoice_id);
+CREATE INDEX IF NOT EXISTS invoices_issue_date_idx ON invoices(issue_date);
+
+-- =====================================================
+-- 3. NUMBERING
+-- The counter row stays locked until the document commits, and a
+-- rolled back document rolls its number back, so series have no gaps.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_number_counters (
+    document_type VARCHAR(20) NOT NULL,
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (document_type, year)
+);
+
+CREATE OR REPLACE FUNCTION invoice_number_prefix(p_document_type VARCHAR)
+RETURNS VARCHAR
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE p_document_type
+        WHEN 'invoice' THEN 'FA'
+        WHEN 'credit_note' THEN 'AV'
+        WHEN 'debit_note' THEN 'ND'
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION next_invoice_sequence(p_document_type VARCHAR, p_year INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_number INTEGER;
+BEGIN
+    INSERT INTO invoice_number_counters (document_type, year, last_number)
+    VALUES (p_document_type, p_year, 1)
+    ON CONFLICT (document_type, year) DO UPDATE SET last_number = invoice_number_counters.last_number + 1
+    RETURNING last_number INTO v_number;
+
+    RETURN v_number;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION next_invoice_sequence(VARCHAR, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 4. CHARGES
+-- Lines and tax of a booking's invoice: the rental price, km
+-- overage and approved extensions, or the tour price, extra riders
+-- and promo. Tax is the rate the booking was priced with, or the
+-- current tax settings when it kept none.
+-- =====================================================
+CREATE OR REPLACE FUNCTION invoice_charges(p_rental_id UUID, p_tour_booking_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental JSONB;
+    v_booking tour_bookings%ROWTYPE;
+    v_tax tax_settings%ROWTYPE;
+    v_lines JSONB := '[]'::jsonb;
+    v_vehicle TEXT;
+    v_base_price NUMERIC;
+    v_quads INTEGER;
+    v_subtotal NUMERIC;
+    v_tax_enabled BOOLEAN;
+    v_tax_rate NUMERIC;
+    v_tax_amount NUMERIC;
+BEGIN
+    SELECT * INTO v_tax FROM tax_settings LIMIT 1;
+
+    IF p_rental_id IS NOT NULL THEN
+        SELECT to_jsonb(r) INTO v_rental FROM app_4c3a7a6153_rentals r WHERE r.id = p_rental_id;
+        IF v_rental IS NULL THEN
+            RAISE EXCEPTION 'Rental % not found', p_rental_id;
+        END IF;
+
+        SELECT v.name INTO v_vehicle
+        FROM saharax_0u4w4d_vehicles v
+        WHERE v.id::TEXT = v_rental->>'vehicle_id';
+
+        v_lines := v_lines || jsonb_build_object(
+            'description', COALESCE(v_vehicle, 'Vehicle') || ' rental, '
+                || COALESCE(to_char((v_rental->>'rental_start_date')::TIMESTAMP WITH TIME ZONE AT TIME ZONE 'Africa/Casablanca', 'DD/MM/YYYY HH24:MI'), '')
+                || ' – '
+                || COALESCE(to_char((v_rental->>'rental_end_date')::TIMESTAMP WITH TIME ZONE AT TIME ZONE 'Africa/Casablanca', 'DD/MM/YYYY HH24:MI'), ''),
+            'quantity', 1,
+            'unit_price', ROUND(COALESCE(NULLIF(v_rental->>'total_amount', '')::NUMERIC, 0), 2),
+            'amount', ROUND(COALESCE(NULLIF(v_rental->>'total_amount', '')::NUMERIC, 0), 2)
+        );
+
+        IF COALESCE(NULLIF(v_rental->>'overage_charge', '')::NUMERIC, 0) > 0 THEN
+            v_lines := v_lines || jsonb_build_object(
+                'description', 'Kilometre overage',
+                'quantity', 1,
+                'unit_price', ROUND((v_rental->>'overage_charge')::NUMERIC, 2),
+                'amount', ROUND((v_rental->>'overage_charge')::NUMERIC, 2)
+            );
+        END IF;
+
+        SELECT v_lines || COALESCE(jsonb_agg(jsonb_build_object(
+            'description', 'Extension (' || e.extension_hours || 'h)',
+            'quantity', 1,
+            'unit_price', ROUND(e.extension_price, 2),
+            'amount', ROUND(e.extension_price, 2)
+        ) ORDER BY e.created_at), '[]'::jsonb)
+        INTO v_lines
+        FROM rental_extensions e
+        WHERE e.rental_id = p_rental_id
+        AND e.status = 'approved'
+        AND e.extension_price > 0;
+
+        v_tax_enabled := CASE
+            WHEN v_rental ? 'tax_enabled' AND v_rental->>'tax_enabled' IS NOT NULL THEN (v_rental->>'tax_enabled')::BOOLEAN
+            ELSE COALESCE(v_tax.tax_enabled AND v_tax.apply_to_rentals, FALSE)
+        END;
+        v_tax_rate := CASE
+            WHEN v_rental ? 'tax_enabled' AND v_rental->>'tax_enabled' IS NOT NULL THEN COALESCE(NULLIF(v_rental->>'tax_percent_applied', '')::NUMERIC, 0)
+            ELSE v_tax.tax_percentage
+        END;
+    ELSE
+        SELECT * INTO v_booking FROM tour_bookings WHERE id = p_tour_booking_id;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Tour booking % not found', p_tour_booking_id;
+        END IF;
+
+        -- Bookings from before the price breakdown only have their totals
+        v_base_price := COALESCE(
+            v_booking.base_price,
+            v_booking.subtotal_amount,
+            COALESCE(v_booking.total_amount, 0) - COALESCE(v_booking.tax_amount, 0)
+        );
+        v_quads := GREATEST(COALESCE(v_booking.number_of_quads, 1), 1);
+
+        v_lines := v_lines || jsonb_build_object(
+            'description', TRIM(v_booking.tour_type || ' tour, ' || v_booking.tour_date || ' ' || COALESCE(LEFT(v_booking.tour_time::TEXT, 5), ''))
+                || ' (' || COALESCE(v_booking.number_of_quads, 0) || ' quads)',
+            'quantity', v_quads,
+            'unit_price', ROUND(v_base_price / v_quads, 2),
+            'amount', ROUND(v_base_price, 2)
+        );
+
+        IF COALESCE(v_booking.extra_passenger_fees, 0) > 0 THEN
+            v_lines := v_lines || jsonb_build_object(
+                'description', 'Extra passengers',
+                'quantity', 1,
+                'unit_price', ROUND(v_booking.extra_passenger_fees, 2),
+                'amount', ROUND(v_booking.extra_passenger_fees, 2)
+            );
+        END IF;
+
+        IF COALESCE(v_booking.promo_discount, 0) > 0 THEN
+            v_lines := v_lines || jsonb_build_object(
+                'description', TRIM('Promo ' || COALESCE(v_booking.promo_code, '')),
+                'quantity', 1,
+                'unit_price', -ROUND(v_booking.promo_discount, 2),
+                'amount', -ROUND(v_booking.promo_discount, 2)
+            );
+        END IF;
+
+        v_tax_enabled := COALESCE(v_booking.tax_enabled, v_tax.tax_enabled AND v_tax.apply_to_tours, FALSE);
+        v_tax_rate := CASE
+            WHEN v_booking.tax_enabled IS NOT NULL THEN COALESCE(v_booking.tax_percent_applied, 0)
+            ELSE v_tax.tax_percentage
+        END;
+    END IF;
+
+    SELECT ROUND(SUM((line->>'amount')::NUMERIC), 2) INTO v_subtotal
+    FROM jsonb_array_elements(v_lines) AS line;
+
+    v_tax_rate := CASE WHEN v_tax_enabled THEN COALESCE(v_tax_rate, 0) ELSE 0 END;
+    v_tax_amount := ROUND(v_subtotal * v_tax_rate / 100, 2);
+
+    RETURN jsonb_build_object(
+        'lines', v_lines,
+        'subtotal', v_subtotal,
+        'tax_rate', v_tax_rate,
+        'tax_amount', v_tax_amount,
+        'total', v_subtotal + v_tax_amount
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION invoice_charges(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- What the invoice of a booking would charge, shown before it is issued
+CREATE OR REPLACE FUNCTION preview_invoice(p_rental_id UUID, p_tour_booking_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can preview invoices';
+    END IF;
+    IF (p_rental_id IS NULL) = (p_tour_booking_id IS NULL) THEN
+        RAISE EXCEPTION 'A rental or a tour booking is required';
+    END IF;
+
+    RETURN invoice_charges(p_rental_id, p_tour_booking_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION preview_invoice(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- 5. ISSUING
+-- Checks the lines and the note against its invoice, copies the
+-- company identifiers and stamps the issuer and the number.
+-- =====================================================
+CREATE OR REPLACE FUNCTION invoices_before_insert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_original invoices%ROWTYPE;
+    v_settings app_settings%ROWTYPE;
+    v_charges JSONB;
+    v_credited NUMERIC;
+    v_debited NUMERIC;
+BEGIN
+    IF NEW.document_type = 'invoice' THEN
+        v_charges := invoice_charges(NEW.rental_id, NEW.tour_booking_id);
+        IF (v_charges->>'subtotal')::NUMERIC <= 0 THEN
+            RAISE EXCEPTION 'There is nothing to invoice on this booking';
+        END IF;
+
+        NEW.lines := v_charges->'lines';
+        NEW.subtotal := (v_charges->>'subtotal')::NUMERIC;
+        NEW.tax_rate := (v_charges->>'tax_rate')::NUMERIC;
+        NEW.tax_amount := (v_charges->>'tax_amount')::NUMERIC;
+        NEW.total := (v_charges->>'total')::NUMERIC;
+    ELSE
+        -- Serialises notes on the same invoice
+        SELECT * INTO v_original FROM invoices WHERE id = NEW.original_invoice_id FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Original invoice % not found', NEW.original_invoice_id;
+        END IF;
+        IF v_original.document_type <> 'invoice' THEN
+            RAISE EXCEPTION 'Notes can only reference an invoice, not %', v_original.invoice_number;
+        END IF;
+
+        NEW.rental_id := v_original.rental_id;
+        NEW.tour_booking_id := v_original.tour_booking_id;
+        NEW.currency := v_original.currency;
+
+        -- One line for the amount before tax, taxed at the invoice's rate
+        IF NOT (NEW.subtotal > 0) THEN
+            RAISE EXCEPTION 'Amount must be greater than 0';
+        END IF;
+        NEW.subtotal := ROUND(NEW.subtotal, 2);
+        NEW.lines := jsonb_build_array(jsonb_build_object(
+            'description', COALESCE(NULLIF(TRIM(NEW.lines->0->>'description'), ''), NEW.reason),
+            'quantity', 1,
+            'unit_price', NEW.subtotal,
+            'amount', NEW.subtotal
+        ));
+        NEW.tax_rate := v_original.tax_rate;
+        NEW.tax_amount := ROUND(NEW.subtotal * v_original.tax_rate / 100, 2);
+        NEW.total := NEW.subtotal + NEW.tax_amount;
+
+        IF NEW.document_type = 'credit_note' THEN
+            SELECT
+                COALESCE(SUM(total) FILTER (WHERE document_type = 'credit_note'), 0),
+                COALESCE(SUM(total) FILTER (WHERE document_type = 'debit_note'), 0)
+            INTO v_credited, v_debited
+            FROM invoices
+            WHERE original_invoice_id = v_original.id;
+
+            IF NEW.total > v_original.total + v_debited - v_credited THEN
+                RAISE EXCEPTION 'Only % MAD of % can still be credited',
+                    v_original.total + v_debited - v_credited, v_original.invoice_number;
+            END IF;
+        END IF;
+    END IF;
+
+    SELECT * INTO v_settings FROM app_settings WHERE id = 1;
+
+    IF NULLIF(TRIM(v_settings.company_ice), '') IS NULL
+       OR NULLIF(TRIM(v_settings.company_if), '') IS NULL
+       OR NULLIF(TRIM(v_settings.company_rc), '') IS NULL THEN
+        RAISE EXCEPTION 'Set the company ICE, IF and RC before issuing invoices';
+    END IF;
+
+    NEW.seller := jsonb_build_object(
+        'name', v_settings.company_legal_name,
+        'address', v_settings.company_address,
+        'ice', v_settings.company_ice,
+        'if', v_settings.company_if,
+        'rc', v_settings.company_rc,
+        'tva', v_settings.company_tva
+    );
+
+    NEW.issued_by := COALESCE(NEW.issued_by, auth.uid());
+    IF NEW.issued_by_name IS NULL AND NEW.issued_by IS NOT NULL THEN
+        SELECT COALESCE(u.raw_user_meta_data->>'full_name', u.email)
+        INTO NEW.issued_by_name
+        FROM auth.users u
+        WHERE u.id = NEW.issued_by;
+    END IF;
+
+    NEW.issued_at := NOW();
+    NEW.issue_date := (NEW.issued_at AT TIME ZONE 'Africa/Casablanca')::DATE;
+    NEW.fiscal_year := EXTRACT(YEAR FROM NEW.issue_date);
+    NEW.sequence_number := next_invoice_sequence(NEW.document_type, NEW.fiscal_year);
+    NEW.invoice_number := invoice_number_prefix(NEW.document_type) || '-' || NEW.fiscal_year || '-'
+        || LPAD(NEW.sequence_number::TEXT, 6, '0');
+    NEW.pdf_path := NULL;
+    NEW.pdf_sha256 := NULL;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invoices_before_insert ON invoices;
+CREATE TRIGGER invoices_before_insert
+    BEFORE INSERT ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION invoices_before_insert();
+
+-- The PDF can be attached once; nothing else ever changes
+CREATE OR REPLACE FUNCTION invoices_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Issued documents cannot be deleted; issue a credit note instead';
+    END IF;
+
+    IF OLD.pdf_path IS NOT NULL
+       OR to_jsonb(NEW) - 'pdf_path' - 'pdf_sha256' <> to_jsonb(OLD) - 'pdf_path' - 'pdf_sha256' THEN
+        RAISE EXCEPTION 'Issued documents cannot be changed; issue a credit or debit note instead';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invoices_immutable ON invoices;
+CREATE TRIGGER invoices_immutable
+    BEFORE UPDATE OR DELETE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION invoices_immutable();
+
+-- =====================================================
+-- 6. ADJUSTED TOTALS
+-- What each invoice charges once its notes are applied
+-- =====================================================
+CREATE OR REPLACE VIEW invoice_adjusted_totals
+WITH (security_invoker = true) AS
+SELECT
+    i.id AS invoice_id,
+    i.invoice_number,
+    i.rental_id,
+    i.tour_booking_id,
+    i.total,
+    COALESCE(SUM(n.total) FILTER (WHERE n.document_type = 'credit_note'), 0) AS credited,
+    COALESCE(SUM(n.total) FILTER (WHERE n.document_type = 'debit_note'), 0) AS debited,
+    i.total
+        - COALESCE(SUM(n.total) FILTER (WHERE n.document_type = 'credit_note'), 0)
+        + COALESCE(SUM(n.total) FILTER (WHERE n.document_type = 'debit_note'), 0) AS adjusted_total
+FROM invoices i
+LEFT JOIN invoices n ON n.original_invoice_id = i.id
+WHERE i.document_type = 'invoice'
+GROUP BY i.id;
+
+-- =====================================================
+-- 7. ROW LEVEL SECURITY
+-- Staff read and issue documents. UPDATE is only used to attach
+-- the PDF (see invoices_immutable); nobody deletes.
+-- =====================================================
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_number_counters ENABLE ROW LEVEL SECURITY;
+
+REVOKE DELETE ON invoices FROM anon, authenticated;
+REVOKE ALL ON invoice_number_counters FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Staff can read invoices" ON invoices;
+CREATE POLICY "Staff can read invoices" ON invoices
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can issue invoices" ON invoices;
+CREATE POLICY "Staff can issue invoices" ON invoices
+    FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can attach invoice PDFs" ON invoices;
+CREATE POLICY "Staff can attach invoice PDFs" ON invoices
+    FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 8. STORAGE (private bucket, opened with signed URLs)
+-- Issued PDFs are written once and never replaced or removed,
+-- whatever other policies allow on storage.
+-- =====================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('issued-invoices', 'issued-invoices', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "staff_read_issued_invoices" ON storage.objects;
+CREATE POLICY "staff_read_issued_invoices" ON storage.objects
+  FOR SELECT USING (bucket_id = 'issued-invoices' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_store_issued_invoices" ON storage.objects;
+CREATE POLICY "staff_store_issued_invoices" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'issued-invoices' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "issued_invoices_no_update" ON storage.objects;
+CREATE POLICY "issued_invoices_no_update" ON storage.objects
+  AS RESTRICTIVE FOR UPDATE USING (bucket_id <> 'issued-invoices');
+
+DROP POLICY IF EXISTS "issued_invoices_no_delete" ON storage.objects;
+CREATE POLICY "issued_invoices_no_delete" ON storage.objects
+  AS RESTRICTIVE FOR DELETE USING (bucket_id <> 'issued-invoices');
+
+COMMIT;
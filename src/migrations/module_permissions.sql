@@ -0,0 +1,749 @@
+-- =====================================================
+-- MODULE PERMISSIONS
+-- What each user may do in each admin module, kept here instead of in
+-- the browser:
+--   * role_permissions           what a role may do by default
+--   * user_permission_overrides  per-user grants and denies that
+--                                replace the role default
+-- Each permission is a module (permission_modules) plus an action:
+-- view, create, edit, delete or report. The owner may do everything.
+-- has_module_permission() answers for the app, and the restrictive
+-- policies in section 6 answer with the same function for the
+-- tables behind the modules, so a hidden menu entry is no longer the
+-- only thing between a user and the data.
+-- Only the owner changes role defaults; the owner, and admins for
+-- employees and guides, change per-user overrides. Nobody changes
+-- their own, and every change is written to permission_change_log.
+-- Roles come from app_b30c02e74da644baad4668e3587d86b1_users, matched
+-- on auth_id like every other staff check, never from the user_metadata
+-- a user can edit on their own account. The owner gives any role,
+-- admins only employee, guide and customer; nobody changes their own.
+-- The per-user module lists (.permissions on that table, and the
+-- user_permissions table) are converted to overrides once and no
+-- longer read.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. TABLES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS permission_modules (
+    key VARCHAR(30) PRIMARY KEY,
+    label VARCHAR(100) NOT NULL UNIQUE,
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'employee', 'guide', 'customer')),
+    module_key VARCHAR(30) NOT NULL REFERENCES permission_modules(key) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('view', 'create', 'edit', 'delete', 'report')),
+    PRIMARY KEY (role, module_key, action)
+);
+
+CREATE TABLE IF NOT EXISTS user_permission_overrides (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    module_key VARCHAR(30) NOT NULL REFERENCES permission_modules(key) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('view', 'create', 'edit', 'delete', 'report')),
+    effect VARCHAR(5) NOT NULL CHECK (effect IN ('grant', 'deny')),
+    reason TEXT,
+    set_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    set_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    PRIMARY KEY (user_id, module_key, action)
+);
+
+CREATE TABLE IF NOT EXISTS permission_change_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    -- Either a user (override) or a role (default) was changed
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    role VARCHAR(20),
+    module_key VARCHAR(30) NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    -- grant / deny / NULL for overrides, allow / NULL for role defaults
+    old_value VARCHAR(5),
+    new_value VARCHAR(5),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS permission_change_log_user_idx ON permission_change_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS permission_change_log_created_at_idx ON permission_change_log(created_at DESC);
+
+-- =====================================================
+-- 2. MODULES AND ROLE DEFAULTS
+-- Keys are the ones the admin menu and route guards use; labels are
+-- the names the per-user module list stored.
+-- =====================================================
+INSERT INTO permission_modules (key, label, sort_order) VALUES
+    ('dashboard', 'Dashboard', 1),
+    ('calendar', 'Calendar', 2),
+    ('tours', 'Tours & Bookings', 3),
+    ('rentals', 'Rental Management', 4),
+    ('customers', 'Customer Management', 5),
+    ('fleet', 'Fleet Management', 6),
+    ('pricing', 'Pricing Management', 7),
+    ('maintenance', 'Quad Maintenance', 8),
+    ('fuel', 'Fuel Logs', 9),
+    ('inventory', 'Inventory', 10),
+    ('finance', 'Finance Management', 11),
+    ('alerts', 'Alerts', 12),
+    ('users', 'User & Role Management', 13),
+    ('settings', 'System Settings', 14),
+    ('export', 'Project Export', 15),
+    ('whatsapp', 'WhatsApp Alerts', 16)
+ON CONFLICT (key) DO UPDATE SET label = EXCLUDED.label, sort_order = EXCLUDED.sort_order;
+
+-- The role matrix that used to live in utils/permissions.js. Seeded
+-- only once, so re-running this file keeps the owner's changes.
+INSERT INTO role_permissions (role, module_key, action)
+SELECT d.role, d.module_key, a.action
+FROM (VALUES
+    ('admin', 'dashboard', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'calendar', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'tours', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'rentals', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'customers', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'fleet', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'pricing', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'maintenance', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'fuel', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'inventory', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'finance', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'alerts', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'users', ARRAY['view', 'create', 'edit', 'delete']),
+    ('admin', 'export', ARRAY['view', 'create']),
+    ('employee', 'dashboard', ARRAY['view', 'create', 'edit']),
+    ('employee', 'calendar', ARRAY['view', 'create', 'edit']),
+    ('employee', 'tours', ARRAY['view', 'create', 'edit']),
+    ('employee', 'rentals', ARRAY['view', 'create', 'edit']),
+    ('employee', 'customers', ARRAY['view', 'create', 'edit']),
+    ('employee', 'fleet', ARRAY['view', 'create', 'edit']),
+    ('employee', 'pricing', ARRAY['view']),
+    ('employee', 'maintenance', ARRAY['view', 'create', 'edit']),
+    ('employee', 'fuel', ARRAY['view', 'create', 'edit']),
+    ('employee', 'inventory', ARRAY['view', 'create', 'edit']),
+    ('guide', 'dashboard', ARRAY['view']),
+    ('guide', 'calendar', ARRAY['view']),
+    ('guide', 'tours', ARRAY['view']),
+    ('guide', 'rentals', ARRAY['view']),
+    ('guide', 'fleet', ARRAY['view']),
+    ('guide', 'maintenance', ARRAY['view', 'report']),
+    ('customer', 'dashboard', ARRAY['view']),
+    ('customer', 'calendar', ARRAY['view']),
+    ('customer', 'tours', ARRAY['view']),
+    ('customer', 'rentals', ARRAY['view'])
+) AS d(role, module_key, actions)
+CROSS JOIN LATERAL unnest(d.actions) AS a(action)
+WHERE NOT EXISTS (SELECT 1 FROM role_permissions);
+
+-- Modules added after the first seed get their defaults once as well
+INSERT INTO role_permissions (role, module_key, action)
+SELECT 'admin', 'whatsapp', a.action
+FROM unnest(ARRAY['view', 'create', 'edit', 'delete']) AS a(action)
+WHERE NOT EXISTS (SELECT 1 FROM role_permissions WHERE module_key = 'whatsapp');
+
+-- =====================================================
+-- 3. CHECKS
+-- =====================================================
+CREATE OR REPLACE FUNCTION permission_role(p_user UUID)
+RETURNS VARCHAR
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT LOWER(u.role) FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = p_user LIMIT 1),
+        'customer'
+    )::VARCHAR;
+$$;
+
+CREATE OR REPLACE FUNCTION user_has_module_permission(p_user UUID, p_module VARCHAR, p_action VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_role VARCHAR;
+    v_effect VARCHAR;
+BEGIN
+    IF p_user IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    v_role := permission_role(p_user);
+    IF v_role = 'owner' THEN
+        RETURN TRUE;
+    END IF;
+
+    SELECT o.effect INTO v_effect
+    FROM user_permission_overrides o
+    WHERE o.user_id = p_user AND o.module_key = p_module AND o.action = p_action;
+    IF FOUND THEN
+        RETURN v_effect = 'grant';
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1 FROM role_permissions rp
+        WHERE rp.role = v_role AND rp.module_key = p_module AND rp.action = p_action
+    );
+END;
+$$;
+
+-- For the signed-in user
+CREATE OR REPLACE FUNCTION has_module_permission(p_module VARCHAR, p_action VARCHAR DEFAULT 'view')
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT user_has_module_permission(auth.uid(), p_module, p_action);
+$$;
+
+-- The signed-in user's role, for the app's menus and route guards
+CREATE OR REPLACE FUNCTION my_permission_role()
+RETURNS VARCHAR
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT permission_role(auth.uid());
+$$;
+
+-- For row level security: staff need the action in one of the modules.
+-- Everyone else (customers, anonymous callers, unknown roles) is refused;
+-- what customers may do goes through functions that check it themselves
+-- (request_rental_booking for booking requests)
+CREATE OR REPLACE FUNCTION module_allows(p_modules TEXT[], p_action VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN permission_role(auth.uid()) IN ('owner', 'admin', 'employee', 'guide') THEN EXISTS (
+            SELECT 1 FROM unnest(p_modules) AS m(module_key)
+            WHERE user_has_module_permission(auth.uid(), m.module_key, p_action)
+        )
+        ELSE FALSE
+    END;
+$$;
+
+-- The same check for tables customers also read through their own
+-- policies (their rentals, their customer record, the fleet on the
+-- booking pages): staff need the action, everyone else keeps what
+-- those policies give them
+CREATE OR REPLACE FUNCTION staff_module_allows(p_modules TEXT[], p_action VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN permission_role(auth.uid()) IN ('owner', 'admin', 'employee', 'guide') THEN module_allows(p_modules, p_action)
+        ELSE TRUE
+    END;
+$$;
+
+-- Every module and action for one user, with where the answer comes from
+CREATE OR REPLACE FUNCTION effective_module_permissions(p_user UUID)
+RETURNS TABLE (
+    module_key VARCHAR,
+    label VARCHAR,
+    action VARCHAR,
+    role_allowed BOOLEAN,
+    override VARCHAR,
+    allowed BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH r AS (SELECT permission_role(p_user) AS role)
+    SELECT
+        m.key,
+        m.label,
+        a.action::VARCHAR,
+        r.role = 'owner' OR rp.role IS NOT NULL,
+        CASE WHEN r.role = 'owner' THEN NULL ELSE o.effect END,
+        CASE
+            WHEN r.role = 'owner' THEN TRUE
+            WHEN o.effect IS NOT NULL THEN o.effect = 'grant'
+            ELSE rp.role IS NOT NULL
+        END
+    FROM permission_modules m
+    CROSS JOIN (VALUES (1, 'view'), (2, 'create'), (3, 'edit'), (4, 'delete'), (5, 'report')) AS a(ord, action)
+    CROSS JOIN r
+    LEFT JOIN role_permissions rp
+        ON rp.role = r.role AND rp.module_key = m.key AND rp.action = a.action
+    LEFT JOIN user_permission_overrides o
+        ON o.user_id = p_user AND o.module_key = m.key AND o.action = a.action
+    ORDER BY m.sort_order, a.ord;
+$$;
+
+CREATE OR REPLACE FUNCTION my_module_permissions()
+RETURNS TABLE (module_key VARCHAR, label VARCHAR, action VARCHAR, allowed BOOLEAN)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT e.module_key, e.label, e.action, e.allowed
+    FROM effective_module_permissions(auth.uid()) e;
+$$;
+
+CREATE OR REPLACE FUNCTION user_module_permissions(p_user_id UUID)
+RETURNS TABLE (
+    module_key VARCHAR,
+    label VARCHAR,
+    action VARCHAR,
+    role_allowed BOOLEAN,
+    override VARCHAR,
+    allowed BOOLEAN
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF p_user_id IS DISTINCT FROM auth.uid() AND NOT has_module_permission('users', 'view') THEN
+        RAISE EXCEPTION 'You cannot see other users'' permissions' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY SELECT * FROM effective_module_permissions(p_user_id);
+END;
+$$;
+
+-- Module access as the app read it before: one row per module, by label
+DROP FUNCTION IF EXISTS get_user_effective_permissions(UUID);
+CREATE FUNCTION get_user_effective_permissions(v_user_id UUID)
+RETURNS TABLE (module_name VARCHAR, is_allowed BOOLEAN)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF v_user_id IS DISTINCT FROM auth.uid() AND NOT has_module_permission('users', 'view') THEN
+        RAISE EXCEPTION 'You cannot see other users'' permissions' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT e.label, e.allowed
+    FROM effective_module_permissions(v_user_id) e
+    WHERE e.action = 'view';
+END;
+$$;
+
+-- =====================================================
+-- 4. CHANGING PERMISSIONS
+-- =====================================================
+CREATE OR REPLACE FUNCTION assert_can_manage_permissions(p_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor_role VARCHAR := permission_role(auth.uid());
+    v_target_role VARCHAR := permission_role(p_user_id);
+BEGIN
+    IF p_user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot change your own permissions' USING ERRCODE = '42501';
+    END IF;
+    IF v_target_role = 'owner' THEN
+        RAISE EXCEPTION 'The owner always has every permission';
+    END IF;
+
+    IF v_actor_role = 'owner' THEN
+        RETURN;
+    END IF;
+    IF v_actor_role = 'admin' AND has_module_permission('users', 'edit') THEN
+        IF v_target_role NOT IN ('employee', 'guide') THEN
+            RAISE EXCEPTION 'Admins can only change the permissions of employees and guides' USING ERRCODE = '42501';
+        END IF;
+        RETURN;
+    END IF;
+
+    RAISE EXCEPTION 'Only an admin or the owner can change permissions' USING ERRCODE = '42501';
+END;
+$$;
+
+-- p_effect 'grant' or 'deny'; NULL goes back to the role default
+CREATE OR REPLACE FUNCTION set_user_permission(
+    p_user_id UUID,
+    p_module VARCHAR,
+    p_action VARCHAR,
+    p_effect VARCHAR,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_old VARCHAR;
+BEGIN
+    PERFORM assert_can_manage_permissions(p_user_id);
+
+    IF NOT EXISTS (SELECT 1 FROM permission_modules WHERE key = p_module) THEN
+        RAISE EXCEPTION 'Unknown module %', p_module;
+    END IF;
+    IF p_action NOT IN ('view', 'create', 'edit', 'delete', 'report') THEN
+        RAISE EXCEPTION 'Unknown action %', p_action;
+    END IF;
+    IF p_effect IS NOT NULL AND p_effect NOT IN ('grant', 'deny') THEN
+        RAISE EXCEPTION 'An override is either grant or deny';
+    END IF;
+    -- Admins cannot hand out what they do not have themselves
+    IF p_effect = 'grant' AND NOT has_module_permission(p_module, p_action) THEN
+        RAISE EXCEPTION 'You cannot grant a permission you do not have' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT effect INTO v_old
+    FROM user_permission_overrides
+    WHERE user_id = p_user_id AND module_key = p_module AND action = p_action;
+
+    IF v_old IS NOT DISTINCT FROM p_effect THEN
+        RETURN;
+    END IF;
+
+    IF p_effect IS NULL THEN
+        DELETE FROM user_permission_overrides
+        WHERE user_id = p_user_id AND module_key = p_module AND action = p_action;
+    ELSE
+        INSERT INTO user_permission_overrides (user_id, module_key, action, effect, reason, set_by)
+        VALUES (p_user_id, p_module, p_action, p_effect, NULLIF(TRIM(p_reason), ''), auth.uid())
+        ON CONFLICT (user_id, module_key, action) DO UPDATE SET
+            effect = EXCLUDED.effect,
+            reason = EXCLUDED.reason,
+            set_by = EXCLUDED.set_by,
+            set_at = NOW();
+    END IF;
+
+    INSERT INTO permission_change_log (changed_by, user_id, module_key, action, old_value, new_value, reason)
+    VALUES (auth.uid(), p_user_id, p_module, p_action, v_old, p_effect, NULLIF(TRIM(p_reason), ''));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reset_user_permissions(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    PERFORM assert_can_manage_permissions(p_user_id);
+
+    WITH removed AS (
+        DELETE FROM user_permission_overrides
+        WHERE user_id = p_user_id
+        RETURNING module_key, action, effect
+    )
+    INSERT INTO permission_change_log (changed_by, user_id, module_key, action, old_value, new_value, reason)
+    SELECT auth.uid(), p_user_id, module_key, action, effect, NULL, 'Reset to role defaults'
+    FROM removed;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION set_role_permission(
+    p_role VARCHAR,
+    p_module VARCHAR,
+    p_action VARCHAR,
+    p_allowed BOOLEAN
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_had BOOLEAN;
+BEGIN
+    IF permission_role(auth.uid()) <> 'owner' THEN
+        RAISE EXCEPTION 'Only the owner can change role permissions' USING ERRCODE = '42501';
+    END IF;
+    IF p_role NOT IN ('admin', 'employee', 'guide', 'customer') THEN
+        RAISE EXCEPTION 'Role % has no editable permissions', p_role;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM permission_modules WHERE key = p_module) THEN
+        RAISE EXCEPTION 'Unknown module %', p_module;
+    END IF;
+
+    v_had := EXISTS (
+        SELECT 1 FROM role_permissions
+        WHERE role = p_role AND module_key = p_module AND action = p_action
+    );
+    IF v_had = p_allowed THEN
+        RETURN;
+    END IF;
+
+    IF p_allowed THEN
+        INSERT INTO role_permissions (role, module_key, action) VALUES (p_role, p_module, p_action);
+    ELSE
+        DELETE FROM role_permissions
+        WHERE role = p_role AND module_key = p_module AND action = p_action;
+    END IF;
+
+    INSERT INTO permission_change_log (changed_by, role, module_key, action, old_value, new_value)
+    VALUES (
+        auth.uid(), p_role, p_module, p_action,
+        CASE WHEN v_had THEN 'allow' END,
+        CASE WHEN p_allowed THEN 'allow' END
+    );
+END;
+$$;
+
+-- Roles are set by the owner, and by admins for employees, guides and
+-- customers; nobody sets their own. The service role (the user admin
+-- edge function) and migrations are not checked.
+CREATE OR REPLACE FUNCTION users_guard_role()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor_role VARCHAR;
+BEGIN
+    IF COALESCE(auth.role(), '') NOT IN ('anon', 'authenticated') THEN
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE'
+       AND NEW.role IS NOT DISTINCT FROM OLD.role
+       AND NEW.auth_id IS NOT DISTINCT FROM OLD.auth_id THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.auth_id = auth.uid() OR (TG_OP = 'UPDATE' AND OLD.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'You cannot change your own role' USING ERRCODE = '42501';
+    END IF;
+
+    v_actor_role := permission_role(auth.uid());
+    IF v_actor_role = 'owner' THEN
+        RETURN NEW;
+    END IF;
+    IF v_actor_role = 'admin' AND has_module_permission('users', 'edit')
+       AND LOWER(COALESCE(NEW.role, '')) IN ('employee', 'guide', 'customer')
+       AND (TG_OP = 'INSERT' OR LOWER(COALESCE(OLD.role, '')) IN ('employee', 'guide', 'customer')) THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Only the owner can give or change this role' USING ERRCODE = '42501';
+END;
+$$;
+
+-- =====================================================
+-- 5. CONVERT THE PER-USER MODULE LISTS
+-- Every entry becomes an explicit view grant or deny, so nobody
+-- gains or loses access whatever their role default is. Accounts
+-- added from User Management before auth_id was filled in carry
+-- their login's id as their own id; they are linked first.
+-- =====================================================
+DO $$
+BEGIN
+    IF to_regclass('public.app_b30c02e74da644baad4668e3587d86b1_users') IS NOT NULL THEN
+        ALTER TABLE app_b30c02e74da644baad4668e3587d86b1_users ADD COLUMN IF NOT EXISTS auth_id UUID;
+
+        UPDATE app_b30c02e74da644baad4668e3587d86b1_users u
+        SET auth_id = au.id
+        FROM auth.users au
+        WHERE u.auth_id IS NULL AND au.id::TEXT = u.id::TEXT;
+
+        CREATE INDEX IF NOT EXISTS idx_app_users_auth_id ON app_b30c02e74da644baad4668e3587d86b1_users(auth_id);
+
+        DROP TRIGGER IF EXISTS users_guard_role ON app_b30c02e74da644baad4668e3587d86b1_users;
+        CREATE TRIGGER users_guard_role
+            BEFORE INSERT OR UPDATE ON app_b30c02e74da644baad4668e3587d86b1_users
+            FOR EACH ROW EXECUTE FUNCTION users_guard_role();
+
+        INSERT INTO user_permission_overrides (user_id, module_key, action, effect, reason)
+        SELECT
+            u.auth_id,
+            m.key,
+            'view',
+            CASE WHEN e.value = 'true'::JSONB THEN 'grant' ELSE 'deny' END,
+            'Converted from the per-user module list'
+        FROM app_b30c02e74da644baad4668e3587d86b1_users u
+        CROSS JOIN LATERAL jsonb_each(
+            CASE WHEN jsonb_typeof(u.permissions::JSONB) = 'object' THEN u.permissions::JSONB ELSE '{}'::JSONB END
+        ) AS e(key, value)
+        JOIN permission_modules m ON m.label = e.key
+        WHERE EXISTS (SELECT 1 FROM auth.users au WHERE au.id = u.auth_id)
+          AND permission_role(u.auth_id) <> 'owner'
+        ON CONFLICT (user_id, module_key, action) DO NOTHING;
+    END IF;
+
+    -- The module access screens wrote one row per user and module,
+    -- keyed by module key or label
+    IF to_regclass('public.user_permissions') IS NOT NULL THEN
+        INSERT INTO user_permission_overrides (user_id, module_key, action, effect, reason)
+        SELECT DISTINCT ON (au.id, m.key)
+            au.id,
+            m.key,
+            'view',
+            CASE WHEN up.has_access THEN 'grant' ELSE 'deny' END,
+            'Converted from the per-user module list'
+        FROM user_permissions up
+        JOIN auth.users au ON au.id::TEXT = up.user_id::TEXT
+        JOIN permission_modules m
+            ON m.key = LOWER(up.module_id::TEXT) OR m.label = up.module_id::TEXT
+        WHERE up.has_access IS NOT NULL
+          AND permission_role(au.id) <> 'owner'
+        -- A deny wins over a grant for the same module
+        ORDER BY au.id, m.key, up.has_access
+        ON CONFLICT (user_id, module_key, action) DO NOTHING;
+
+        REVOKE INSERT, UPDATE, DELETE ON user_permissions FROM anon, authenticated;
+    END IF;
+END;
+$$;
+
+-- =====================================================
+-- 6. ENFORCEMENT ON THE MODULE TABLES
+-- Restrictive policies: they only narrow what the existing policies
+-- allow. Reading and changing rentals, customers and vehicles needs
+-- the action in a module that works with them (a rental form edits
+-- its customer, closing a rental frees its vehicle); customers keep
+-- the access their own policies give them. Creating and deleting
+-- records, and everything in the finance ledger, needs the module
+-- action itself. A table that had row level security off gets it
+-- turned on with access for staff only.
+-- =====================================================
+DO $$
+DECLARE
+    v_rule RECORD;
+    v_table REGCLASS;
+    v_policy TEXT;
+    v_expr TEXT;
+    v_staff CONSTANT TEXT := 'EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid())';
+BEGIN
+    FOR v_rule IN
+        SELECT * FROM (VALUES
+            ('app_4c3a7a6153_rentals', 'SELECT', ARRAY['rentals', 'calendar'], 'view', 'staff_module_allows'),
+            ('app_4c3a7a6153_rentals', 'INSERT', ARRAY['rentals'], 'create', 'module_allows'),
+            ('app_4c3a7a6153_rentals', 'UPDATE', ARRAY['rentals'], 'edit', 'module_allows'),
+            ('app_4c3a7a6153_rentals', 'DELETE', ARRAY['rentals'], 'delete', 'module_allows'),
+            -- Rental forms add and update the customer as they go
+            ('app_4c3a7a6153_customers', 'SELECT', ARRAY['customers', 'rentals'], 'view', 'staff_module_allows'),
+            ('app_4c3a7a6153_customers', 'INSERT', ARRAY['customers', 'rentals'], 'create', 'module_allows'),
+            ('app_4c3a7a6153_customers', 'UPDATE', ARRAY['customers', 'rentals'], 'edit', 'module_allows'),
+            ('app_4c3a7a6153_customers', 'DELETE', ARRAY['customers'], 'delete', 'module_allows'),
+            ('saharax_0u4w4d_vehicles', 'SELECT', ARRAY['fleet', 'rentals', 'tours', 'maintenance', 'fuel', 'calendar'], 'view', 'staff_module_allows'),
+            ('saharax_0u4w4d_vehicles', 'INSERT', ARRAY['fleet'], 'create', 'module_allows'),
+            ('saharax_0u4w4d_vehicles', 'UPDATE', ARRAY['fleet', 'rentals', 'maintenance'], 'edit', 'module_allows'),
+            ('saharax_0u4w4d_vehicles', 'DELETE', ARRAY['fleet'], 'delete', 'module_allows'),
+            ('chart_of_accounts', 'SELECT', ARRAY['finance'], 'view', 'module_allows'),
+            ('chart_of_accounts', 'INSERT', ARRAY['finance'], 'create', 'module_allows'),
+            ('chart_of_accounts', 'UPDATE', ARRAY['finance'], 'edit', 'module_allows'),
+            ('chart_of_accounts', 'DELETE', ARRAY['finance'], 'delete', 'module_allows'),
+            ('finance_journal_entries', 'SELECT', ARRAY['finance'], 'view', 'module_allows'),
+            ('finance_journal_entries', 'INSERT', ARRAY['finance'], 'create', 'module_allows'),
+            ('finance_journal_entries', 'UPDATE', ARRAY['finance'], 'edit', 'module_allows'),
+            ('finance_journal_entries', 'DELETE', ARRAY['finance'], 'delete', 'module_allows'),
+            ('finance_journal_lines', 'SELECT', ARRAY['finance'], 'view', 'module_allows'),
+            ('finance_journal_lines', 'INSERT', ARRAY['finance'], 'create', 'module_allows'),
+            ('finance_journal_lines', 'UPDATE', ARRAY['finance'], 'edit', 'module_allows'),
+            ('finance_journal_lines', 'DELETE', ARRAY['finance'], 'delete', 'module_allows')
+        ) AS r(table_name, command, modules, action, check_function)
+    LOOP
+        v_table := to_regclass('public.' || v_rule.table_name);
+        CONTINUE WHEN v_table IS NULL;
+
+        -- Earlier versions of this migration opened such tables to everyone
+        IF NOT (SELECT relrowsecurity FROM pg_class WHERE oid = v_table)
+           OR EXISTS (
+               SELECT 1 FROM pg_policies p
+               WHERE p.schemaname = 'public' AND p.tablename = v_rule.table_name
+                 AND p.policyname = 'module_permissions_existing_access'
+           ) THEN
+            EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', v_rule.table_name);
+            EXECUTE format('DROP POLICY IF EXISTS "module_permissions_existing_access" ON %I', v_rule.table_name);
+            EXECUTE format('DROP POLICY IF EXISTS "module_permissions_staff_access" ON %I', v_rule.table_name);
+            EXECUTE format(
+                'CREATE POLICY "module_permissions_staff_access" ON %I FOR ALL USING (%s) WITH CHECK (%s)',
+                v_rule.table_name, v_staff, v_staff
+            );
+        END IF;
+
+        v_policy := 'module_permission_' || LOWER(v_rule.command);
+        v_expr := format('(SELECT %I(%L::TEXT[], %L))', v_rule.check_function, v_rule.modules, v_rule.action);
+
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', v_policy, v_rule.table_name);
+        EXECUTE format(
+            'CREATE POLICY %I ON %I AS RESTRICTIVE FOR %s %s',
+            v_policy, v_rule.table_name, v_rule.command,
+            CASE v_rule.command
+                WHEN 'INSERT' THEN format('WITH CHECK (%s)', v_expr)
+                WHEN 'UPDATE' THEN format('USING (%s) WITH CHECK (%s)', v_expr, v_expr)
+                ELSE format('USING (%s)', v_expr)
+            END
+        );
+    END LOOP;
+END;
+$$;
+
+-- =====================================================
+-- 7. ACCESS
+-- Modules and role defaults are readable by staff; overrides by the
+-- user they belong to and by whoever may manage users. All changes
+-- go through the functions above.
+-- =====================================================
+ALTER TABLE permission_modules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_permission_overrides ENABLE ROW LEVEL SECURITY;
+ALTER TABLE permission_change_log ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON permission_modules, role_permissions, user_permission_overrides, permission_change_log
+    FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Signed-in users can read modules" ON permission_modules;
+CREATE POLICY "Signed-in users can read modules" ON permission_modules
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Signed-in users can read role permissions" ON role_permissions;
+CREATE POLICY "Signed-in users can read role permissions" ON role_permissions
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Users read their own overrides, managers all" ON user_permission_overrides;
+CREATE POLICY "Users read their own overrides, managers all" ON user_permission_overrides
+    FOR SELECT USING (user_id = auth.uid() OR (SELECT has_module_permission('users', 'view')));
+
+DROP POLICY IF EXISTS "Managers can read the permission log" ON permission_change_log;
+CREATE POLICY "Managers can read the permission log" ON permission_change_log
+    FOR SELECT USING ((SELECT has_module_permission('users', 'view')));
+
+REVOKE EXECUTE ON FUNCTION permission_role(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION user_has_module_permission(UUID, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION effective_module_permissions(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION assert_can_manage_permissions(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION users_guard_role() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION has_module_permission(VARCHAR, VARCHAR) TO authenticated;
+GRANT EXECUTE ON FUNCTION module_allows(TEXT[], VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION staff_module_allows(TEXT[], VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION my_permission_role() TO authenticated;
+GRANT EXECUTE ON FUNCTION my_module_permissions() TO authenticated;
+GRANT EXECUTE ON FUNCTION user_module_permissions(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_user_effective_permissions(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_user_permission(UUID, VARCHAR, VARCHAR, VARCHAR, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION reset_user_permissions(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_role_permission(VARCHAR, VARCHAR, VARCHAR, BOOLEAN) TO authenticated;
+
+COMMIT;
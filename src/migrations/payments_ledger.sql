@@ -0,0 +1,435 @@
+-- =====================================================
+-- PAYMENTS LEDGER
+-- Every payment, refund and reversal on a rental or a tour booking
+-- is its own entry: tender, currency, exchange rate, collector and
+-- time, with a numbered receipt. Entries are never edited; a
+-- mistake is corrected by a reversal entry.
+--
+-- What a booking has paid and still owes is computed from its
+-- entries. The rental columns deposit_amount / remaining_amount /
+-- payment_status (and tour_bookings.payment_status) are kept as a
+-- derived copy for the screens and the finance ledger that read
+-- them; writes to those columns are overwritten, so money is only
+-- ever recorded as an entry.
+-- Requires rental_extensions_migration.sql, tour_departures.sql and
+-- deposit_settlements.sql.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. TRANSACTIONS
+-- amount is in the currency handed over; amount_mad is signed
+-- (payments positive, refunds and reversals negative).
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    receipt_number VARCHAR(20) NOT NULL UNIQUE,
+    rental_id UUID REFERENCES app_4c3a7a6153_rentals(id) ON DELETE RESTRICT,
+    tour_booking_id UUID REFERENCES tour_bookings(id) ON DELETE RESTRICT,
+    transaction_type VARCHAR(20) NOT NULL
+      CHECK (transaction_type IN ('payment', 'refund', 'reversal')),
+    tender VARCHAR(20) NOT NULL
+      CHECK (tender IN ('cash', 'card', 'bank_transfer', 'damage_deposit', 'other')),
+    currency VARCHAR(3) NOT NULL DEFAULT 'MAD'
+      CHECK (currency IN ('MAD', 'EUR', 'USD')),
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    -- MAD for one unit of currency, as used at the till
+    exchange_rate DECIMAL(12,6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0),
+    amount_mad DECIMAL(12,2) GENERATED ALWAYS AS (
+        CASE WHEN transaction_type = 'payment' THEN 1 ELSE -1 END * ROUND(amount * exchange_rate, 2)
+    ) STORED,
+    reverses_id UUID REFERENCES payment_transactions(id) ON DELETE RESTRICT,
+    reference VARCHAR(100),
+    notes TEXT,
+    collected_by UUID REFERENCES auth.users(id),
+    collected_by_name VARCHAR(255),
+    collected_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    CONSTRAINT payment_transaction_target CHECK ((rental_id IS NULL) <> (tour_booking_id IS NULL)),
+    -- Foreign currency is only taken in cash
+    CONSTRAINT payment_transaction_currency CHECK (
+        (currency = 'MAD' AND exchange_rate = 1) OR (currency <> 'MAD' AND tender = 'cash')
+    ),
+    CONSTRAINT payment_transaction_reversal CHECK ((transaction_type = 'reversal') = (reverses_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_rental ON payment_transactions(rental_id);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_tour_booking ON payment_transactions(tour_booking_id);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_collected_at ON payment_transactions(collected_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_one_reversal ON payment_transactions(reverses_id)
+    WHERE reverses_id IS NOT NULL;
+
+-- =====================================================
+-- 2. RECEIPT NUMBERS
+-- RC-YYYY-000001, one series per year. The counter row stays
+-- locked until the entry commits, so numbers have no gaps.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payment_receipt_counters (
+    year INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE OR REPLACE FUNCTION next_payment_receipt_number(p_at TIMESTAMP WITH TIME ZONE)
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_year INTEGER := EXTRACT(YEAR FROM p_at AT TIME ZONE 'Africa/Casablanca');
+    v_number INTEGER;
+BEGIN
+    INSERT INTO payment_receipt_counters (year, last_number)
+    VALUES (v_year, 1)
+    ON CONFLICT (year) DO UPDATE SET last_number = payment_receipt_counters.last_number + 1
+    RETURNING last_number INTO v_number;
+
+    RETURN 'RC-' || v_year || '-' || LPAD(v_number::TEXT, 6, '0');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION next_payment_receipt_number(TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 3. AMOUNTS
+-- =====================================================
+
+-- What a rental owes: price, km overage and approved extensions
+CREATE OR REPLACE FUNCTION rental_amount_due(p_rental JSONB)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(NULLIF(p_rental->>'total_amount', '')::NUMERIC, 0)
+         + COALESCE(NULLIF(p_rental->>'overage_charge', '')::NUMERIC, 0)
+         + COALESCE((
+               SELECT SUM(e.extension_price)
+               FROM rental_extensions e
+               WHERE e.rental_id::TEXT = p_rental->>'id'
+               AND e.status = 'approved'
+           ), 0);
+$$;
+
+CREATE OR REPLACE FUNCTION payment_status_for(
+    p_due NUMERIC,
+    p_net_paid NUMERIC,
+    p_has_refunds BOOLEAN,
+    p_current TEXT,
+    p_unpaid TEXT
+)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_net_paid > 0.005 AND p_net_paid >= p_due - 0.005 THEN 'paid'
+        WHEN p_net_paid > 0.005 THEN 'partial'
+        WHEN p_has_refunds THEN 'refunded'
+        -- Nothing paid: keep statuses such as overdue, drop stale paid / partial
+        WHEN p_current IS NULL OR p_current IN ('paid', 'partial', 'refunded') THEN p_unpaid
+        ELSE p_current
+    END;
+$$;
+
+-- paid is net of reversals; refunded is money given back
+CREATE OR REPLACE VIEW payment_balances
+WITH (security_invoker = true) AS
+SELECT
+    'rental'::TEXT AS booking_type,
+    r.id AS rental_id,
+    NULL::UUID AS tour_booking_id,
+    rental_amount_due(to_jsonb(r)) AS amount_due,
+    COALESCE(t.paid, 0) AS paid,
+    COALESCE(t.refunded, 0) AS refunded,
+    COALESCE(t.net_paid, 0) AS net_paid,
+    rental_amount_due(to_jsonb(r)) - COALESCE(t.net_paid, 0) AS balance_due
+FROM app_4c3a7a6153_rentals r
+LEFT JOIN (
+    SELECT
+        rental_id,
+        SUM(amount_mad) FILTER (WHERE transaction_type <> 'refund') AS paid,
+        -SUM(amount_mad) FILTER (WHERE transaction_type = 'refund') AS refunded,
+        SUM(amount_mad) AS net_paid
+    FROM payment_transactions
+    WHERE rental_id IS NOT NULL
+    GROUP BY rental_id
+) t ON t.rental_id = r.id
+UNION ALL
+SELECT
+    'tour'::TEXT,
+    NULL::UUID,
+    b.id,
+    COALESCE(b.total_amount, 0),
+    COALESCE(t.paid, 0),
+    COALESCE(t.refunded, 0),
+    COALESCE(t.net_paid, 0),
+    COALESCE(b.total_amount, 0) - COALESCE(t.net_paid, 0)
+FROM tour_bookings b
+LEFT JOIN (
+    SELECT
+        tour_booking_id,
+        SUM(amount_mad) FILTER (WHERE transaction_type <> 'refund') AS paid,
+        -SUM(amount_mad) FILTER (WHERE transaction_type = 'refund') AS refunded,
+        SUM(amount_mad) AS net_paid
+    FROM payment_transactions
+    WHERE tour_booking_id IS NOT NULL
+    GROUP BY tour_booking_id
+) t ON t.tour_booking_id = b.id;
+
+GRANT SELECT ON payment_balances TO authenticated;
+
+-- =====================================================
+-- 4. RECORDING ENTRIES
+-- Locks the booking so concurrent entries see each other, checks
+-- refunds and reversals, stamps the collector and the number.
+-- =====================================================
+CREATE OR REPLACE FUNCTION payment_transactions_before_insert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_original payment_transactions%ROWTYPE;
+    v_net_paid NUMERIC;
+BEGIN
+    IF NEW.rental_id IS NOT NULL THEN
+        PERFORM 1 FROM app_4c3a7a6153_rentals WHERE id = NEW.rental_id FOR UPDATE;
+    ELSE
+        PERFORM 1 FROM tour_bookings WHERE id = NEW.tour_booking_id FOR UPDATE;
+    END IF;
+
+    IF NEW.transaction_type = 'reversal' THEN
+        SELECT * INTO v_original FROM payment_transactions WHERE id = NEW.reverses_id;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Payment entry to reverse not found';
+        END IF;
+        IF v_original.transaction_type = 'reversal' THEN
+            RAISE EXCEPTION 'A reversal cannot itself be reversed';
+        END IF;
+        IF v_original.transaction_type = 'refund' THEN
+            RAISE EXCEPTION 'Refund % cannot be reversed; record a new payment instead', v_original.receipt_number;
+        END IF;
+        IF v_original.rental_id IS DISTINCT FROM NEW.rental_id
+           OR v_original.tour_booking_id IS DISTINCT FROM NEW.tour_booking_id THEN
+            RAISE EXCEPTION 'A reversal must be on the same booking as the entry it reverses';
+        END IF;
+
+        -- The reversal undoes the original payment exactly
+        NEW.tender := v_original.tender;
+        NEW.currency := v_original.currency;
+        NEW.amount := v_original.amount;
+        NEW.exchange_rate := v_original.exchange_rate;
+    END IF;
+
+    IF NEW.transaction_type IN ('refund', 'reversal') THEN
+        SELECT COALESCE(SUM(amount_mad), 0) INTO v_net_paid
+        FROM payment_transactions
+        WHERE rental_id IS NOT DISTINCT FROM NEW.rental_id
+        AND tour_booking_id IS NOT DISTINCT FROM NEW.tour_booking_id;
+
+        IF ROUND(NEW.amount * NEW.exchange_rate, 2) > v_net_paid + 0.005 THEN
+            RAISE EXCEPTION 'Only % MAD has been paid on this booking', v_net_paid;
+        END IF;
+    END IF;
+
+    -- Staff record what they collect now; only migrations and the
+    -- service role back-date entries or record them for someone else
+    IF NOT (auth.role() = 'service_role' OR session_user = 'postgres') THEN
+        NEW.collected_by := auth.uid();
+        NEW.collected_by_name := NULL;
+        NEW.collected_at := NOW();
+    END IF;
+
+    NEW.collected_by := COALESCE(NEW.collected_by, auth.uid());
+    IF NEW.collected_by_name IS NULL AND NEW.collected_by IS NOT NULL THEN
+        SELECT COALESCE(u.raw_user_meta_data->>'full_name', u.email)
+        INTO NEW.collected_by_name
+        FROM auth.users u
+        WHERE u.id = NEW.collected_by;
+    END IF;
+
+    NEW.collected_at := COALESCE(NEW.collected_at, NOW());
+    NEW.receipt_number := next_payment_receipt_number(NEW.collected_at);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_transactions_before_insert ON payment_transactions;
+CREATE TRIGGER payment_transactions_before_insert
+    BEFORE INSERT ON payment_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION payment_transactions_before_insert();
+
+CREATE OR REPLACE FUNCTION payment_transactions_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'Payment entries cannot be changed or deleted; record a reversal instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_transactions_immutable ON payment_transactions;
+CREATE TRIGGER payment_transactions_immutable
+    BEFORE UPDATE OR DELETE ON payment_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION payment_transactions_immutable();
+
+-- =====================================================
+-- 5. OPENING ENTRIES
+-- What was collected before the ledger, from the rental and tour
+-- booking columns, so balances carry over. Runs before the sync
+-- triggers below exist.
+-- =====================================================
+INSERT INTO payment_transactions (rental_id, transaction_type, tender, amount, notes, collected_at)
+SELECT
+    r.id,
+    'payment',
+    'other',
+    ROUND(r.opening_paid, 2),
+    'Collected before the payments ledger',
+    COALESCE(r.updated_at, r.created_at)
+FROM (
+    SELECT
+        rr.*,
+        CASE
+            WHEN rr.payment_status = 'paid' THEN GREATEST(COALESCE(rr.deposit_amount, 0), rental_amount_due(to_jsonb(rr)))
+            ELSE COALESCE(rr.deposit_amount, 0)
+        END AS opening_paid
+    FROM app_4c3a7a6153_rentals rr
+) r
+WHERE r.opening_paid > 0
+AND NOT EXISTS (SELECT 1 FROM payment_transactions p WHERE p.rental_id = r.id)
+ORDER BY COALESCE(r.updated_at, r.created_at);
+
+INSERT INTO payment_transactions (tour_booking_id, transaction_type, tender, amount, notes, collected_at)
+SELECT
+    b.id,
+    'payment',
+    'other',
+    ROUND(b.total_amount, 2),
+    'Collected before the payments ledger',
+    b.created_at
+FROM tour_bookings b
+WHERE b.payment_status = 'paid'
+AND COALESCE(b.total_amount, 0) > 0
+AND NOT EXISTS (SELECT 1 FROM payment_transactions p WHERE p.tour_booking_id = b.id)
+ORDER BY b.created_at;
+
+-- =====================================================
+-- 6. DERIVED BOOKING COLUMNS
+-- =====================================================
+
+-- Rentals: deposit_amount is what the ledger says has been paid,
+-- whatever the statement wrote.
+CREATE OR REPLACE FUNCTION rentals_derive_payment_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_due NUMERIC := rental_amount_due(to_jsonb(NEW));
+    v_net_paid NUMERIC;
+    v_has_refunds BOOLEAN;
+BEGIN
+    SELECT COALESCE(SUM(amount_mad), 0), COALESCE(BOOL_OR(transaction_type = 'refund'), FALSE)
+    INTO v_net_paid, v_has_refunds
+    FROM payment_transactions
+    WHERE rental_id = NEW.id;
+
+    NEW.deposit_amount := v_net_paid;
+    NEW.remaining_amount := GREATEST(v_due - v_net_paid, 0);
+    NEW.payment_status := payment_status_for(v_due, v_net_paid, v_has_refunds, NEW.payment_status, 'unpaid');
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rentals_derive_payment_columns ON app_4c3a7a6153_rentals;
+CREATE TRIGGER rentals_derive_payment_columns
+    BEFORE INSERT OR UPDATE ON app_4c3a7a6153_rentals
+    FOR EACH ROW
+    EXECUTE FUNCTION rentals_derive_payment_columns();
+
+DROP TRIGGER IF EXISTS rentals_record_direct_payment ON app_4c3a7a6153_rentals;
+DROP FUNCTION IF EXISTS rentals_record_direct_payment();
+
+-- Deposit a settlement applies to the rental balance is paid with
+-- the damage deposit
+CREATE OR REPLACE FUNCTION deposit_settlements_record_payment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.balance_applied > 0 THEN
+        INSERT INTO payment_transactions (rental_id, transaction_type, tender, amount, notes)
+        VALUES (NEW.rental_id, 'payment', 'damage_deposit', NEW.balance_applied, 'Damage deposit applied to the balance');
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS deposit_settlements_record_payment ON deposit_settlements;
+CREATE TRIGGER deposit_settlements_record_payment
+    AFTER INSERT ON deposit_settlements
+    FOR EACH ROW
+    EXECUTE FUNCTION deposit_settlements_record_payment();
+
+-- A new entry refreshes its booking's derived columns
+CREATE OR REPLACE FUNCTION payment_transactions_after_insert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_net_paid NUMERIC;
+    v_has_refunds BOOLEAN;
+BEGIN
+    IF NEW.rental_id IS NOT NULL THEN
+        -- rentals_derive_payment_columns does the work
+        UPDATE app_4c3a7a6153_rentals SET updated_at = NOW() WHERE id = NEW.rental_id;
+    ELSE
+        SELECT COALESCE(SUM(amount_mad), 0), COALESCE(BOOL_OR(transaction_type = 'refund'), FALSE)
+        INTO v_net_paid, v_has_refunds
+        FROM payment_transactions
+        WHERE tour_booking_id = NEW.tour_booking_id;
+
+        UPDATE tour_bookings
+        SET payment_status = payment_status_for(COALESCE(total_amount, 0), v_net_paid, v_has_refunds, payment_status, 'pending')
+        WHERE id = NEW.tour_booking_id;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_transactions_after_insert ON payment_transactions;
+CREATE TRIGGER payment_transactions_after_insert
+    AFTER INSERT ON payment_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION payment_transactions_after_insert();
+
+-- =====================================================
+-- 7. ROW LEVEL SECURITY
+-- Staff read and record entries; nobody edits or deletes them.
+-- =====================================================
+ALTER TABLE payment_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_receipt_counters ENABLE ROW LEVEL SECURITY;
+
+REVOKE UPDATE, DELETE ON payment_transactions FROM anon, authenticated;
+REVOKE ALL ON payment_receipt_counters FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Staff can read payment transactions" ON payment_transactions;
+CREATE POLICY "Staff can read payment transactions" ON payment_transactions
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can record payment transactions" ON payment_transactions;
+CREATE POLICY "Staff can record payment transactions" ON payment_transactions
+    FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
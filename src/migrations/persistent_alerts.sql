@@ -0,0 +1,403 @@
+-- =====================================================
+-- PERSISTENT ALERTS
+-- Vehicle alerts (oil change, insurance and registration expiry,
+-- riding zone exits) move from the in-memory AlertService into
+-- system_alerts next to the rental return alerts of the status
+-- engine, so every device sees the same list after a reload.
+--
+-- An alert stays 'open' while its condition holds; staff can
+-- assign, acknowledge or snooze it in the meantime. Unacknowledged
+-- alerts escalate once escalate_at passes. Generation thresholds
+-- come from alert_rules, per vehicle model with a fleet default,
+-- and evaluate_alert_rules() runs every 15 minutes by pg_cron.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. ALERT WORKFLOW COLUMNS
+-- =====================================================
+ALTER TABLE system_alerts
+  ADD COLUMN IF NOT EXISTS category VARCHAR(20) NOT NULL DEFAULT 'system',
+  ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES auth.users(id),
+  ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS acknowledged_by UUID REFERENCES auth.users(id),
+  ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES auth.users(id),
+  ADD COLUMN IF NOT EXISTS escalate_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS is_read BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE system_alerts SET category = 'rental' WHERE alert_type = 'rental_return_overdue' AND category = 'system';
+
+CREATE INDEX IF NOT EXISTS idx_system_alerts_vehicle ON system_alerts(vehicle_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_system_alerts_assigned ON system_alerts(assigned_to) WHERE status = 'open';
+
+-- =====================================================
+-- 2. ALERT RULES
+-- One row per rule type for the fleet (vehicle_model_id NULL) and
+-- optional overrides per model. A model override that is inactive
+-- switches the rule off for that model.
+--   oil_change           interval_km between changes, warn_before = km
+--   insurance_expiry     warn_before = days before expiry
+--   registration_expiry  warn_before = days before expiry
+--   rental_return        escalation only; timing is set in the
+--                        rental status engine settings
+-- =====================================================
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    vehicle_model_id UUID REFERENCES saharax_0u4w4d_vehicle_models(id) ON DELETE CASCADE,
+    rule_type VARCHAR(30) NOT NULL CHECK (rule_type IN ('oil_change', 'insurance_expiry', 'registration_expiry', 'rental_return')),
+    interval_km INTEGER CHECK (interval_km > 0),
+    warn_before NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (warn_before >= 0),
+    priority VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+    escalate_after_minutes INTEGER CHECK (escalate_after_minutes > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_rules_model ON alert_rules(vehicle_model_id, rule_type) WHERE vehicle_model_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_rules_default ON alert_rules(rule_type) WHERE vehicle_model_id IS NULL;
+
+-- Fleet defaults match the thresholds the client used to apply
+INSERT INTO alert_rules (rule_type, interval_km, warn_before, priority, escalate_after_minutes)
+SELECT d.rule_type, d.interval_km, d.warn_before, d.priority, d.escalate_after_minutes
+FROM (VALUES
+    ('oil_change', 1000, 100, 'medium', NULL::INTEGER),
+    ('insurance_expiry', NULL, 30, 'medium', 1440),
+    ('registration_expiry', NULL, 30, 'medium', 1440),
+    ('rental_return', NULL, 0, 'high', 60)
+) AS d(rule_type, interval_km, warn_before, priority, escalate_after_minutes)
+WHERE NOT EXISTS (SELECT 1 FROM alert_rules r WHERE r.rule_type = d.rule_type AND r.vehicle_model_id IS NULL);
+
+-- Rule that applies to a vehicle: its model's override, else the default
+CREATE OR REPLACE FUNCTION alert_rule_for_vehicle(p_rule_type TEXT, p_vehicle_id INTEGER)
+RETURNS alert_rules
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT r.*
+    FROM alert_rules r
+    LEFT JOIN saharax_0u4w4d_vehicles v ON v.id = p_vehicle_id
+    WHERE r.rule_type = p_rule_type
+      AND (r.vehicle_model_id IS NULL OR r.vehicle_model_id = v.vehicle_model_id)
+    ORDER BY r.vehicle_model_id NULLS LAST
+    LIMIT 1;
+$$;
+
+-- =====================================================
+-- 3. WORKFLOW TRIGGER
+-- Fills category and escalation time on insert and stamps who
+-- acknowledged or resolved an alert
+-- =====================================================
+CREATE OR REPLACE FUNCTION system_alerts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule alert_rules%ROWTYPE;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.category IS NULL OR NEW.category = 'system' THEN
+            NEW.category := CASE NEW.alert_type
+                WHEN 'rental_return_overdue' THEN 'rental'
+                WHEN 'oil_change' THEN 'maintenance'
+                WHEN 'insurance_expiry' THEN 'vehicle'
+                WHEN 'registration_expiry' THEN 'vehicle'
+                WHEN 'geofence_exit' THEN 'vehicle'
+                ELSE 'system'
+            END;
+        END IF;
+
+        IF NEW.escalate_at IS NULL THEN
+            v_rule := alert_rule_for_vehicle(
+                CASE WHEN NEW.alert_type = 'rental_return_overdue' THEN 'rental_return' ELSE NEW.alert_type END,
+                NEW.vehicle_id
+            );
+            IF v_rule.id IS NOT NULL AND v_rule.escalate_after_minutes IS NOT NULL THEN
+                NEW.escalate_at := NEW.created_at + make_interval(mins => v_rule.escalate_after_minutes);
+            END IF;
+        END IF;
+
+        RETURN NEW;
+    END IF;
+
+    IF NEW.acknowledged_at IS NOT NULL AND OLD.acknowledged_at IS NULL THEN
+        NEW.acknowledged_by := auth.uid();
+    END IF;
+
+    IF NEW.status = 'resolved' AND OLD.status <> 'resolved' THEN
+        NEW.resolved_at := COALESCE(NEW.resolved_at, NOW());
+        NEW.resolved_by := auth.uid();
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_system_alerts_before_write ON system_alerts;
+CREATE TRIGGER trg_system_alerts_before_write
+    BEFORE INSERT OR UPDATE ON system_alerts
+    FOR EACH ROW
+    EXECUTE FUNCTION system_alerts_before_write();
+
+-- =====================================================
+-- 4. RAISE / CLEAR
+-- Shared by the rule evaluator and by other detectors such as
+-- the riding zone check. Returns TRUE when the alert is new or
+-- its text or priority changed.
+-- =====================================================
+CREATE OR REPLACE FUNCTION raise_system_alert(
+    p_alert_type TEXT,
+    p_dedupe_key TEXT,
+    p_title TEXT,
+    p_message TEXT,
+    p_priority TEXT DEFAULT 'medium',
+    p_vehicle_id INTEGER DEFAULT NULL,
+    p_rental_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO system_alerts (alert_type, priority, title, message, rental_id, vehicle_id, dedupe_key, metadata)
+    VALUES (p_alert_type, p_priority, p_title, p_message, p_rental_id, p_vehicle_id, p_dedupe_key, COALESCE(p_metadata, '{}'::jsonb))
+    ON CONFLICT (dedupe_key) WHERE status = 'open' DO UPDATE
+    SET priority = EXCLUDED.priority,
+        title = EXCLUDED.title,
+        message = EXCLUDED.message,
+        metadata = EXCLUDED.metadata,
+        updated_at = NOW()
+    WHERE system_alerts.priority IS DISTINCT FROM EXCLUDED.priority
+       OR system_alerts.message IS DISTINCT FROM EXCLUDED.message;
+
+    RETURN FOUND;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION clear_system_alert(p_dedupe_key TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE system_alerts
+    SET status = 'resolved',
+        resolved_at = NOW(),
+        updated_at = NOW()
+    WHERE dedupe_key = p_dedupe_key
+      AND status = 'open';
+
+    RETURN FOUND;
+END;
+$$;
+
+-- Only server-side detectors raise and clear alerts
+REVOKE EXECUTE ON FUNCTION raise_system_alert(TEXT, TEXT, TEXT, TEXT, TEXT, INTEGER, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION clear_system_alert(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 5. RULE EVALUATOR
+-- Raises or refreshes vehicle alerts from the rules, resolves the
+-- ones whose condition cleared, wakes snoozed alerts and escalates
+-- unacknowledged alerts past escalate_at
+-- =====================================================
+CREATE OR REPLACE FUNCTION evaluate_alert_rules()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+    v_vehicle RECORD;
+    v_rule alert_rules%ROWTYPE;
+    v_label TEXT;
+    v_key TEXT;
+    v_keys TEXT[] := ARRAY[]::TEXT[];
+    v_due NUMERIC;
+    v_remaining NUMERIC;
+    v_expiry DATE;
+    v_days INTEGER;
+    v_doc RECORD;
+    v_raised INTEGER := 0;
+    v_resolved INTEGER := 0;
+    v_woken INTEGER := 0;
+    v_escalated INTEGER := 0;
+BEGIN
+    -- pg_cron runs it as postgres
+    IF session_user <> 'postgres' AND NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can evaluate alert rules';
+    END IF;
+
+    IF NOT pg_try_advisory_xact_lock(hashtext('evaluate_alert_rules')) THEN
+        RETURN NULL;
+    END IF;
+
+    FOR v_vehicle IN
+        SELECT id, name, plate_number, current_odometer, last_oil_change_odometer,
+               next_oil_change_odometer, insurance_expiry_date, registration_expiry_date
+        FROM saharax_0u4w4d_vehicles
+    LOOP
+        v_label := COALESCE(v_vehicle.name, 'Vehicle ' || v_vehicle.id)
+            || CASE WHEN COALESCE(v_vehicle.plate_number, 'N/A') <> 'N/A' THEN ' (' || v_vehicle.plate_number || ')' ELSE '' END;
+
+        -- Oil change: the vehicle's own due odometer wins over the model interval
+        v_rule := alert_rule_for_vehicle('oil_change', v_vehicle.id);
+        v_due := COALESCE(
+            v_vehicle.next_oil_change_odometer::NUMERIC,
+            v_vehicle.last_oil_change_odometer::NUMERIC + v_rule.interval_km
+        );
+        IF v_rule.is_active AND v_due IS NOT NULL AND v_vehicle.current_odometer IS NOT NULL THEN
+            v_remaining := v_due - v_vehicle.current_odometer::NUMERIC;
+            IF v_remaining <= v_rule.warn_before THEN
+                v_key := 'oil_change:' || v_vehicle.id;
+                v_keys := v_keys || v_key;
+                IF raise_system_alert(
+                    'oil_change',
+                    v_key,
+                    CASE WHEN v_remaining <= 0 THEN 'Oil Change Overdue' ELSE 'Oil Change Due Soon' END,
+                    CASE WHEN v_remaining <= 0
+                        THEN v_label || ' is ' || ROUND(ABS(v_remaining)) || ' km overdue for oil change'
+                        ELSE v_label || ' needs oil change in ' || ROUND(v_remaining) || ' km'
+                    END,
+                    CASE WHEN v_remaining <= 0 THEN 'high' ELSE v_rule.priority END,
+                    v_vehicle.id,
+                    NULL,
+                    jsonb_build_object('due_odometer', v_due, 'km_remaining', v_remaining)
+                ) THEN
+                    v_raised := v_raised + 1;
+                END IF;
+            END IF;
+        END IF;
+
+        -- Insurance and registration expiry
+        FOR v_doc IN
+            SELECT * FROM (VALUES
+                ('insurance_expiry', 'Insurance', v_vehicle.insurance_expiry_date::DATE),
+                ('registration_expiry', 'Registration', v_vehicle.registration_expiry_date::DATE)
+            ) AS d(rule_type, label, expiry)
+        LOOP
+            v_rule := alert_rule_for_vehicle(v_doc.rule_type, v_vehicle.id);
+            v_expiry := v_doc.expiry;
+            IF v_rule.is_active AND v_expiry IS NOT NULL THEN
+                v_days := v_expiry - v_now::DATE;
+                IF v_days <= v_rule.warn_before THEN
+                    v_key := v_doc.rule_type || ':' || v_vehicle.id;
+                    v_keys := v_keys || v_key;
+                    IF raise_system_alert(
+                        v_doc.rule_type,
+                        v_key,
+                        CASE WHEN v_days <= 0 THEN v_doc.label || ' Expired' ELSE v_doc.label || ' Expiry Due Soon' END,
+                        CASE WHEN v_days <= 0
+                            THEN v_label || ' ' || lower(v_doc.label) || ' expired ' || ABS(v_days) || ' days ago'
+                            ELSE v_label || ' ' || lower(v_doc.label) || ' expires in ' || v_days || ' days'
+                        END,
+                        CASE WHEN v_days <= 0 THEN 'high' ELSE v_rule.priority END,
+                        v_vehicle.id,
+                        NULL,
+                        jsonb_build_object('expiry_date', v_expiry, 'days_remaining', v_days)
+                    ) THEN
+                        v_raised := v_raised + 1;
+                    END IF;
+                END IF;
+            END IF;
+        END LOOP;
+    END LOOP;
+
+    -- Conditions that no longer hold (serviced, renewed, rule switched off)
+    UPDATE system_alerts
+    SET status = 'resolved',
+        resolved_at = v_now,
+        updated_at = v_now
+    WHERE status = 'open'
+      AND alert_type IN ('oil_change', 'insurance_expiry', 'registration_expiry')
+      AND NOT (dedupe_key = ANY(v_keys));
+    GET DIAGNOSTICS v_resolved = ROW_COUNT;
+
+    -- Snoozes that ran out come back as unread
+    UPDATE system_alerts
+    SET snoozed_until = NULL,
+        is_read = FALSE,
+        read_at = NULL,
+        updated_at = v_now
+    WHERE status = 'open'
+      AND snoozed_until <= v_now;
+    GET DIAGNOSTICS v_woken = ROW_COUNT;
+
+    UPDATE system_alerts
+    SET escalated_at = v_now,
+        is_read = FALSE,
+        read_at = NULL,
+        updated_at = v_now
+    WHERE status = 'open'
+      AND acknowledged_at IS NULL
+      AND escalated_at IS NULL
+      AND snoozed_until IS NULL
+      AND escalate_at <= v_now;
+    GET DIAGNOSTICS v_escalated = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'raised', v_raised,
+        'resolved', v_resolved,
+        'woken', v_woken,
+        'escalated', v_escalated
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION evaluate_alert_rules() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION evaluate_alert_rules() TO authenticated;
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- Staff change only the workflow columns; alerts themselves are
+-- written by the functions above
+-- =====================================================
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_alert_rules" ON alert_rules;
+CREATE POLICY "staff_manage_alert_rules" ON alert_rules
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_update_system_alerts" ON system_alerts;
+CREATE POLICY "staff_update_system_alerts" ON system_alerts
+  FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+REVOKE UPDATE ON system_alerts FROM authenticated;
+GRANT UPDATE (status, resolved_at, assigned_to, acknowledged_at, snoozed_until, is_read, read_at, updated_at)
+  ON system_alerts TO authenticated;
+
+-- =====================================================
+-- 7. REALTIME
+-- =====================================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+       AND NOT EXISTS (
+           SELECT 1 FROM pg_publication_tables
+           WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'system_alerts'
+       ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE system_alerts;
+    END IF;
+END;
+$$;
+
+COMMIT;
+
+-- =====================================================
+-- 8. SCHEDULE (pg_cron)
+-- Same requirements as rental_status_engine.sql. Re-running
+-- replaces the job.
+-- =====================================================
+SELECT cron.schedule('alert-rules', '*/15 * * * *', 'SELECT evaluate_alert_rules()');
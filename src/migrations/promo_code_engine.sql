@@ -0,0 +1,507 @@
+-- =====================================================
+-- PROMO CODE ENGINE
+-- Promo codes with usage caps, validity windows, a minimum rental
+-- duration, vehicle-model and channel eligibility and a stacking rule,
+-- plus a redemption ledger linking every use to a rental or a tour
+-- booking. Codes are checked when a quote is built
+-- (validate_promo_code) and again, under a row lock, when
+-- the booking redeems them (redeem_promo_code), so caps hold even when
+-- two bookings race for the last use.
+--
+-- Channels: 'staff' (admin rental wizard), 'customer_portal' and
+-- 'tour'. Stacking: 'combine' applies the code on top of the duration
+-- and customer type discounts, 'best' keeps whichever is larger and
+-- 'exclusive' replaces them.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. PROMO CODES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS saharax_0u4w4d_pricing_simple_promos (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'percent' CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+    valid_from TIMESTAMP WITH TIME ZONE,
+    valid_until TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE saharax_0u4w4d_pricing_simple_promos
+ADD COLUMN IF NOT EXISTS campaign VARCHAR(100),
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS max_redemptions INTEGER CHECK (max_redemptions IS NULL OR max_redemptions > 0),
+ADD COLUMN IF NOT EXISTS max_redemptions_per_customer INTEGER
+    CHECK (max_redemptions_per_customer IS NULL OR max_redemptions_per_customer > 0),
+ADD COLUMN IF NOT EXISTS min_duration_hours INTEGER CHECK (min_duration_hours IS NULL OR min_duration_hours > 0),
+-- Empty means every model / every channel
+ADD COLUMN IF NOT EXISTS vehicle_model_ids UUID[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS channels TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (channels <@ ARRAY['staff', 'customer_portal', 'tour']::TEXT[]),
+ADD COLUMN IF NOT EXISTS stacking VARCHAR(10) NOT NULL DEFAULT 'combine'
+    CHECK (stacking IN ('combine', 'best', 'exclusive'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_promos_code ON saharax_0u4w4d_pricing_simple_promos(UPPER(code));
+CREATE INDEX IF NOT EXISTS idx_pricing_promos_campaign ON saharax_0u4w4d_pricing_simple_promos(campaign);
+
+DROP TRIGGER IF EXISTS update_pricing_promos_updated_at ON saharax_0u4w4d_pricing_simple_promos;
+CREATE TRIGGER update_pricing_promos_updated_at
+    BEFORE UPDATE ON saharax_0u4w4d_pricing_simple_promos
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 2. REDEMPTION LEDGER
+-- A redemption is voided when its rental or tour booking is
+-- cancelled; voided uses no longer count against the caps.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    promo_id UUID NOT NULL REFERENCES saharax_0u4w4d_pricing_simple_promos(id) ON DELETE RESTRICT,
+    code VARCHAR(50) NOT NULL,
+    rental_id UUID REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    tour_booking_id UUID REFERENCES tour_bookings(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('staff', 'customer_portal', 'tour')),
+    customer_email TEXT,
+    customer_phone TEXT,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    order_amount DECIMAL(10,2) NOT NULL DEFAULT 0,      -- booking total after the discount
+    status VARCHAR(10) NOT NULL DEFAULT 'redeemed' CHECK (status IN ('redeemed', 'voided')),
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    redeemed_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+    voided_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT promo_redemption_target CHECK ((rental_id IS NULL) <> (tour_booking_id IS NULL)),
+    CONSTRAINT unique_promo_rental UNIQUE (promo_id, rental_id),
+    CONSTRAINT unique_promo_tour_booking UNIQUE (promo_id, tour_booking_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo ON promo_redemptions(promo_id, status);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_email ON promo_redemptions(LOWER(customer_email));
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_phone ON promo_redemptions(customer_phone);
+
+-- Rentals already carry promo_code (customer_portal_bookings.sql)
+ALTER TABLE tour_bookings
+ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50),
+ADD COLUMN IF NOT EXISTS promo_discount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Digits only, so "+212 6 12-34" and "212612 34" are the same customer
+CREATE OR REPLACE FUNCTION promo_normalize_phone(p_phone TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT NULLIF(regexp_replace(COALESCE(p_phone, ''), '\D', '', 'g'), '');
+$$;
+
+-- What a code takes off an amount, as PromoCodeService.calculateDiscount
+CREATE OR REPLACE FUNCTION promo_code_discount(p_promo saharax_0u4w4d_pricing_simple_promos, p_amount NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_promo.id IS NULL OR COALESCE(p_amount, 0) <= 0 THEN 0
+        WHEN p_promo.discount_type = 'percent' THEN ROUND(p_amount * LEAST(p_promo.discount_value, 100) / 100, 2)
+        ELSE ROUND(LEAST(p_promo.discount_value, p_amount), 2)
+    END;
+$$;
+
+-- =====================================================
+-- 3. USAGE COUNTS
+-- Lets validate_promo_code check the caps without exposing the
+-- ledger. When a rental is re-quoted, its own use is reported
+-- separately so it keeps the code it was granted. Only staff may ask
+-- about any customer or rental; a signed-in customer is told about
+-- their own uses and rentals, and anyone else gets the total alone, the
+-- customer cap being checked when the code is redeemed.
+-- =====================================================
+CREATE OR REPLACE FUNCTION promo_code_usage(
+    p_code TEXT,
+    p_email TEXT DEFAULT NULL,
+    p_phone TEXT DEFAULT NULL,
+    p_rental_id UUID DEFAULT NULL
+)
+RETURNS TABLE (total_uses INTEGER, customer_uses INTEGER, rental_redeemed BOOLEAN)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_is_staff BOOLEAN := EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid());
+    v_email TEXT;
+    v_phone TEXT;
+    v_rental_id UUID;
+BEGIN
+    IF v_is_staff THEN
+        v_email := NULLIF(LOWER(TRIM(p_email)), '');
+        v_phone := promo_normalize_phone(p_phone);
+    ELSIF auth.uid() IS NOT NULL THEN
+        v_email := NULLIF(LOWER(auth.jwt() ->> 'email'), '');
+    END IF;
+
+    SELECT r.id INTO v_rental_id
+    FROM app_4c3a7a6153_rentals r
+    WHERE r.id = p_rental_id
+    AND (v_is_staff OR r.customer_user_id = auth.uid());
+
+    RETURN QUERY
+    SELECT
+        COUNT(*) FILTER (WHERE r.rental_id IS DISTINCT FROM v_rental_id)::INTEGER,
+        COUNT(*) FILTER (
+            WHERE r.rental_id IS DISTINCT FROM v_rental_id
+            AND (r.customer_email = v_email OR r.customer_phone = v_phone)
+        )::INTEGER,
+        COALESCE(BOOL_OR(r.rental_id = v_rental_id), FALSE)
+    FROM promo_redemptions r
+    JOIN saharax_0u4w4d_pricing_simple_promos p ON p.id = r.promo_id
+    WHERE UPPER(p.code) = UPPER(TRIM(p_code))
+    AND r.status = 'redeemed';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION promo_code_usage(TEXT, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 4. CHECKING A CODE
+-- Everything but the stacking rule, which needs the quote; the reason
+-- is given back for the form. This is how anyone but staff sees a
+-- code: the promo codes table itself is staff-only (section 8), and
+-- only what a quote needs is returned. A rental being re-quoted keeps
+-- a code it already redeemed.
+-- =====================================================
+CREATE OR REPLACE FUNCTION validate_promo_code(
+    p_code TEXT,
+    p_channel TEXT,
+    p_vehicle_model_id UUID DEFAULT NULL,
+    p_duration_hours NUMERIC DEFAULT NULL,
+    p_email TEXT DEFAULT NULL,
+    p_phone TEXT DEFAULT NULL,
+    p_rental_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_promo saharax_0u4w4d_pricing_simple_promos%ROWTYPE;
+    v_usage RECORD;
+    v_error TEXT;
+BEGIN
+    IF NULLIF(TRIM(p_code), '') IS NULL THEN
+        RETURN jsonb_build_object('promo', NULL, 'error', NULL);
+    END IF;
+
+    SELECT * INTO v_promo
+    FROM saharax_0u4w4d_pricing_simple_promos
+    WHERE UPPER(code) = UPPER(TRIM(p_code));
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('promo', NULL, 'error', 'Promo code not found');
+    END IF;
+
+    SELECT * INTO v_usage FROM promo_code_usage(v_promo.code, p_email, p_phone, p_rental_id);
+
+    IF NOT v_usage.rental_redeemed THEN
+        v_error := CASE
+            WHEN NOT v_promo.is_active THEN 'Promo code is no longer active'
+            WHEN v_promo.valid_from > NOW() THEN
+                'Promo code is valid from ' || to_char(v_promo.valid_from AT TIME ZONE 'Africa/Casablanca', 'DD/MM/YYYY')
+            WHEN v_promo.valid_until < NOW() THEN 'Promo code has expired'
+            WHEN cardinality(v_promo.channels) > 0 AND NOT (p_channel = ANY (v_promo.channels)) THEN
+                'Promo code is only valid for: ' || (
+                    SELECT string_agg(CASE c
+                        WHEN 'staff' THEN 'Staff rentals'
+                        WHEN 'customer_portal' THEN 'Customer portal'
+                        WHEN 'tour' THEN 'Tours'
+                        ELSE c
+                    END, ', ')
+                    FROM unnest(v_promo.channels) AS c
+                )
+            WHEN p_channel <> 'tour' AND cardinality(v_promo.vehicle_model_ids) > 0
+                AND (p_vehicle_model_id IS NULL OR NOT (p_vehicle_model_id = ANY (v_promo.vehicle_model_ids))) THEN
+                'Promo code does not apply to this vehicle model'
+            WHEN p_channel <> 'tour' AND v_promo.min_duration_hours IS NOT NULL
+                AND COALESCE(p_duration_hours, 0) < v_promo.min_duration_hours THEN
+                'Promo code requires a rental of at least ' || CASE
+                    WHEN v_promo.min_duration_hours % 24 = 0 THEN
+                        (v_promo.min_duration_hours / 24) || ' day' || CASE WHEN v_promo.min_duration_hours <> 24 THEN 's' ELSE '' END
+                    ELSE
+                        v_promo.min_duration_hours || ' hour' || CASE WHEN v_promo.min_duration_hours <> 1 THEN 's' ELSE '' END
+                END
+            WHEN v_usage.total_uses >= v_promo.max_redemptions THEN 'Promo code has reached its usage limit'
+            WHEN v_usage.customer_uses >= v_promo.max_redemptions_per_customer THEN
+                'Promo code has already been used the maximum number of times by this customer'
+        END;
+    END IF;
+
+    IF v_error IS NOT NULL THEN
+        RETURN jsonb_build_object('promo', NULL, 'error', v_error);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'promo', jsonb_build_object(
+            'id', v_promo.id,
+            'code', v_promo.code,
+            'discount_type', v_promo.discount_type,
+            'discount_value', v_promo.discount_value,
+            'stacking', v_promo.stacking
+        ),
+        'error', NULL
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION validate_promo_code(TEXT, TEXT, UUID, NUMERIC, TEXT, TEXT, UUID) TO anon, authenticated;
+
+-- =====================================================
+-- 5. REDEEM A CODE
+-- Rentals: staff, or the portal customer who owns the booking.
+-- Tour bookings: while still pending, within an hour of being made.
+-- The channel, the discount and the order amount come from the
+-- booking itself: a rental's discount is worked out from its quote
+-- lines the way quote_rental applies the code, a tour
+-- booking's from its subtotal.
+-- =====================================================
+DROP FUNCTION IF EXISTS redeem_promo_code(TEXT, UUID, UUID, TEXT, NUMERIC, NUMERIC);
+
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+    p_code TEXT,
+    p_rental_id UUID,
+    p_tour_booking_id UUID
+)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_promo saharax_0u4w4d_pricing_simple_promos%ROWTYPE;
+    v_redemption promo_redemptions%ROWTYPE;
+    v_channel TEXT;
+    v_email TEXT;
+    v_phone TEXT;
+    v_model_id UUID;
+    v_hours NUMERIC;
+    v_lines JSONB;
+    v_subtotal NUMERIC;
+    v_tier_discount NUMERIC := 0;
+    v_order_amount NUMERIC;
+    v_total_uses INTEGER;
+    v_customer_uses INTEGER;
+BEGIN
+    IF (p_rental_id IS NULL) = (p_tour_booking_id IS NULL) THEN
+        RAISE EXCEPTION 'A promo code is redeemed for exactly one rental or tour booking';
+    END IF;
+
+    IF p_rental_id IS NOT NULL THEN
+        SELECT CASE WHEN r.booking_source = 'customer_portal' THEN 'customer_portal' ELSE 'staff' END,
+               r.customer_email, r.customer_phone,
+               COALESCE(r.vehicle_model_id, v.vehicle_model_id),
+               EXTRACT(EPOCH FROM (COALESCE(r.rental_end_at, r.rental_end_date::TIMESTAMP WITH TIME ZONE)
+                                   - COALESCE(r.rental_start_at, r.rental_start_date::TIMESTAMP WITH TIME ZONE))) / 3600,
+               r.quote_breakdown, r.total_amount
+        INTO v_channel, v_email, v_phone, v_model_id, v_hours, v_lines, v_order_amount
+        FROM app_4c3a7a6153_rentals r
+        LEFT JOIN saharax_0u4w4d_vehicles v ON v.id = r.vehicle_id
+        WHERE r.id = p_rental_id
+        AND (
+            EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid())
+            OR r.customer_user_id = auth.uid()
+        );
+    ELSE
+        SELECT 'tour', b.customer_email, b.customer_phone, b.subtotal_amount, b.total_amount
+        INTO v_channel, v_email, v_phone, v_subtotal, v_order_amount
+        FROM tour_bookings b
+        WHERE b.id = p_tour_booking_id
+        AND (
+            EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid())
+            OR (b.booking_status = 'pending' AND b.created_at > NOW() - INTERVAL '1 hour')
+        );
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found or not allowed';
+    END IF;
+
+    SELECT * INTO v_promo
+    FROM saharax_0u4w4d_pricing_simple_promos
+    WHERE UPPER(code) = UPPER(TRIM(p_code))
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Promo code not found';
+    END IF;
+
+    -- Redeeming the same booking twice returns the existing use
+    SELECT * INTO v_redemption
+    FROM promo_redemptions
+    WHERE promo_id = v_promo.id
+    AND status = 'redeemed'
+    AND (rental_id = p_rental_id OR tour_booking_id = p_tour_booking_id);
+    IF FOUND THEN
+        RETURN v_redemption;
+    END IF;
+
+    IF NOT v_promo.is_active THEN
+        RAISE EXCEPTION 'Promo code is no longer active';
+    END IF;
+    IF v_promo.valid_from IS NOT NULL AND v_promo.valid_from > NOW() THEN
+        RAISE EXCEPTION 'Promo code is not valid yet';
+    END IF;
+    IF v_promo.valid_until IS NOT NULL AND v_promo.valid_until < NOW() THEN
+        RAISE EXCEPTION 'Promo code has expired';
+    END IF;
+    IF cardinality(v_promo.channels) > 0 AND NOT (v_channel = ANY (v_promo.channels)) THEN
+        RAISE EXCEPTION 'Promo code cannot be used for this kind of booking';
+    END IF;
+    IF p_rental_id IS NOT NULL THEN
+        IF cardinality(v_promo.vehicle_model_ids) > 0
+           AND (v_model_id IS NULL OR NOT (v_model_id = ANY (v_promo.vehicle_model_ids))) THEN
+            RAISE EXCEPTION 'Promo code does not apply to this vehicle model';
+        END IF;
+        IF v_promo.min_duration_hours IS NOT NULL AND COALESCE(v_hours, 0) < v_promo.min_duration_hours THEN
+            RAISE EXCEPTION 'Promo code requires a rental of at least % hours', v_promo.min_duration_hours;
+        END IF;
+    END IF;
+
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (
+            WHERE (NULLIF(LOWER(TRIM(v_email)), '') IS NOT NULL AND customer_email = LOWER(TRIM(v_email)))
+            OR (promo_normalize_phone(v_phone) IS NOT NULL AND customer_phone = promo_normalize_phone(v_phone))
+        )
+    INTO v_total_uses, v_customer_uses
+    FROM promo_redemptions
+    WHERE promo_id = v_promo.id
+    AND status = 'redeemed';
+
+    IF v_promo.max_redemptions IS NOT NULL AND v_total_uses >= v_promo.max_redemptions THEN
+        RAISE EXCEPTION 'Promo code has reached its usage limit';
+    END IF;
+    IF v_promo.max_redemptions_per_customer IS NOT NULL AND v_customer_uses >= v_promo.max_redemptions_per_customer THEN
+        RAISE EXCEPTION 'Promo code has already been used the maximum number of times by this customer';
+    END IF;
+
+    -- Rentals: the slot lines, less the duration discount when the code
+    -- combines with it (a code that does not combine has already
+    -- replaced that discount in the quote)
+    IF p_rental_id IS NOT NULL THEN
+        SELECT
+            COALESCE(SUM((l.line ->> 'amount')::NUMERIC) FILTER (WHERE l.line ->> 'type' = 'base'), 0),
+            COALESCE(-SUM((l.line ->> 'amount')::NUMERIC) FILTER (WHERE l.line ->> 'type' = 'tier'), 0)
+        INTO v_subtotal, v_tier_discount
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(v_lines) = 'array' THEN v_lines ELSE '[]'::JSONB END
+        ) AS l(line);
+
+        IF v_promo.stacking <> 'combine' THEN
+            v_tier_discount := 0;
+        END IF;
+    END IF;
+
+    INSERT INTO promo_redemptions (
+        promo_id, code, rental_id, tour_booking_id, channel,
+        customer_email, customer_phone, discount_amount, order_amount
+    ) VALUES (
+        v_promo.id, v_promo.code, p_rental_id, p_tour_booking_id, v_channel,
+        NULLIF(LOWER(TRIM(v_email)), ''), promo_normalize_phone(v_phone),
+        promo_code_discount(v_promo, COALESCE(v_subtotal, 0) - v_tier_discount), COALESCE(v_order_amount, 0)
+    )
+    RETURNING * INTO v_redemption;
+
+    RETURN v_redemption;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION redeem_promo_code(TEXT, UUID, UUID) TO anon, authenticated;
+
+-- =====================================================
+-- 6. VOID ON CANCELLATION
+-- =====================================================
+CREATE OR REPLACE FUNCTION promo_void_cancelled_redemptions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'tour_bookings' THEN
+        IF NEW.booking_status = 'cancelled' AND OLD.booking_status IS DISTINCT FROM 'cancelled' THEN
+            UPDATE promo_redemptions SET status = 'voided', voided_at = NOW()
+            WHERE tour_booking_id = NEW.id AND status = 'redeemed';
+        END IF;
+    ELSIF NEW.rental_status = 'cancelled' AND OLD.rental_status IS DISTINCT FROM 'cancelled' THEN
+        UPDATE promo_redemptions SET status = 'voided', voided_at = NOW()
+        WHERE rental_id = NEW.id AND status = 'redeemed';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rentals_void_promo_redemptions ON app_4c3a7a6153_rentals;
+CREATE TRIGGER rentals_void_promo_redemptions
+    AFTER UPDATE OF rental_status ON app_4c3a7a6153_rentals
+    FOR EACH ROW
+    EXECUTE FUNCTION promo_void_cancelled_redemptions();
+
+DROP TRIGGER IF EXISTS tour_bookings_void_promo_redemptions ON tour_bookings;
+CREATE TRIGGER tour_bookings_void_promo_redemptions
+    AFTER UPDATE OF booking_status ON tour_bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION promo_void_cancelled_redemptions();
+
+-- =====================================================
+-- 7. CAMPAIGN PERFORMANCE
+-- Codes without a campaign report under their own code. Revenue is
+-- the current total of the bookings that used the campaign.
+-- =====================================================
+CREATE OR REPLACE VIEW promo_campaign_performance WITH (security_invoker = true) AS
+SELECT
+    COALESCE(NULLIF(p.campaign, ''), p.code) AS campaign,
+    COUNT(DISTINCT p.id) AS codes,
+    COUNT(r.id) FILTER (WHERE r.status = 'redeemed') AS redemptions,
+    COUNT(r.id) FILTER (WHERE r.status = 'voided') AS voided,
+    COUNT(DISTINCT COALESCE(r.customer_email, r.customer_phone)) FILTER (WHERE r.status = 'redeemed') AS customers,
+    COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'redeemed'), 0) AS discount_cost,
+    COALESCE(SUM(COALESCE(rt.total_amount, tb.total_amount, r.order_amount)) FILTER (WHERE r.status = 'redeemed'), 0) AS revenue,
+    MIN(r.redeemed_at) FILTER (WHERE r.status = 'redeemed') AS first_redeemed_at,
+    MAX(r.redeemed_at) FILTER (WHERE r.status = 'redeemed') AS last_redeemed_at
+FROM saharax_0u4w4d_pricing_simple_promos p
+LEFT JOIN promo_redemptions r ON r.promo_id = p.id
+LEFT JOIN app_4c3a7a6153_rentals rt ON rt.id = r.rental_id
+LEFT JOIN tour_bookings tb ON tb.id = r.tour_booking_id
+GROUP BY COALESCE(NULLIF(p.campaign, ''), p.code);
+
+GRANT SELECT ON promo_campaign_performance TO authenticated;
+
+-- =====================================================
+-- 8. ROW LEVEL SECURITY
+-- Codes are read and written by staff only; quotes and bookings see
+-- them through validate_promo_code. The ledger is written only
+-- through redeem_promo_code and the cancellation trigger.
+-- =====================================================
+ALTER TABLE saharax_0u4w4d_pricing_simple_promos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can manage promo codes" ON saharax_0u4w4d_pricing_simple_promos;
+CREATE POLICY "Staff can manage promo codes" ON saharax_0u4w4d_pricing_simple_promos
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON promo_redemptions FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Staff can read promo redemptions" ON promo_redemptions;
+CREATE POLICY "Staff can read promo redemptions" ON promo_redemptions
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
@@ -0,0 +1,352 @@
+-- =====================================================
+-- SUPPLIERS AND PURCHASE ORDERS
+-- Purchase orders go draft -> sent -> partially_received -> received
+-- (or cancelled before anything arrives). Receiving posts 'in'
+-- movements through apply_inventory_movement() at the PO line cost,
+-- so received stock gets cost layers at what was actually paid, and
+-- the receipt is posted to Accounts Payable rather than cash.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SUPPLIERS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_suppliers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    contact_name VARCHAR(150),
+    phone VARCHAR(50),
+    email VARCHAR(150),
+    address TEXT,
+    tax_id VARCHAR(50),
+    payment_terms VARCHAR(100),
+    lead_time_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_time_days >= 0),
+    notes TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_suppliers_name ON inventory_suppliers(LOWER(name));
+
+ALTER TABLE saharax_0u4w4d_inventory_items
+  ADD COLUMN IF NOT EXISTS preferred_supplier_id UUID REFERENCES inventory_suppliers(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 2. PURCHASE ORDERS
+-- =====================================================
+CREATE SEQUENCE IF NOT EXISTS inventory_purchase_order_seq;
+
+CREATE TABLE IF NOT EXISTS inventory_purchase_orders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    po_number VARCHAR(30) NOT NULL UNIQUE
+      DEFAULT 'PO-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('inventory_purchase_order_seq')::TEXT, 5, '0'),
+    supplier_id UUID NOT NULL REFERENCES inventory_suppliers(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+      CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    expected_date DATE,
+    notes TEXT,
+    total_mad NUMERIC(14,2) NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID DEFAULT auth.uid(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_purchase_orders_status ON inventory_purchase_orders(status);
+CREATE INDEX IF NOT EXISTS idx_inventory_purchase_orders_supplier ON inventory_purchase_orders(supplier_id);
+
+CREATE TABLE IF NOT EXISTS inventory_purchase_order_lines (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    purchase_order_id UUID NOT NULL REFERENCES inventory_purchase_orders(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_inventory_items(id),
+    quantity_ordered NUMERIC(12,3) NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received NUMERIC(12,3) NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    unit_cost_mad NUMERIC(12,4) NOT NULL DEFAULT 0 CHECK (unit_cost_mad >= 0),
+    total_cost_mad NUMERIC(14,2) GENERATED ALWAYS AS (ROUND(quantity_ordered * unit_cost_mad, 2)) STORED,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    CHECK (quantity_received <= quantity_ordered)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_purchase_order_lines_po ON inventory_purchase_order_lines(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_purchase_order_lines_item ON inventory_purchase_order_lines(item_id);
+
+-- =====================================================
+-- 3. LINE GUARD AND ORDER TOTAL
+-- Lines are only edited while the order is a draft; received
+-- quantities only change in receive_purchase_order()
+-- =====================================================
+CREATE OR REPLACE FUNCTION inventory_purchase_order_lines_guard()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_status TEXT;
+    v_receiving BOOLEAN := COALESCE(current_setting('inventory.receiving_po', true), '') = 'on';
+BEGIN
+    SELECT status INTO v_status
+    FROM inventory_purchase_orders
+    WHERE id = COALESCE(NEW.purchase_order_id, OLD.purchase_order_id);
+
+    IF TG_OP = 'UPDATE' AND v_receiving THEN
+        RETURN NEW;
+    END IF;
+
+    -- Deleted along with its (draft or cancelled) order
+    IF TG_OP = 'DELETE' AND v_status IS NULL THEN
+        RETURN OLD;
+    END IF;
+
+    IF v_status IS DISTINCT FROM 'draft' THEN
+        RAISE EXCEPTION 'Purchase order lines can only be changed while the order is a draft';
+    END IF;
+
+    IF TG_OP <> 'DELETE' AND NEW.quantity_received <> 0 THEN
+        RAISE EXCEPTION 'Received quantities are recorded by receiving the purchase order';
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_purchase_order_lines_guard ON inventory_purchase_order_lines;
+CREATE TRIGGER trg_inventory_purchase_order_lines_guard
+    BEFORE INSERT OR UPDATE OR DELETE ON inventory_purchase_order_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_purchase_order_lines_guard();
+
+CREATE OR REPLACE FUNCTION inventory_purchase_orders_refresh_total()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_po_id UUID := COALESCE(NEW.purchase_order_id, OLD.purchase_order_id);
+BEGIN
+    UPDATE inventory_purchase_orders
+    SET total_mad = COALESCE((
+            SELECT SUM(total_cost_mad) FROM inventory_purchase_order_lines WHERE purchase_order_id = v_po_id
+        ), 0),
+        updated_at = NOW()
+    WHERE id = v_po_id;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_purchase_orders_refresh_total ON inventory_purchase_order_lines;
+CREATE TRIGGER trg_inventory_purchase_orders_refresh_total
+    AFTER INSERT OR UPDATE OR DELETE ON inventory_purchase_order_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_purchase_orders_refresh_total();
+
+-- Staff move orders between draft, sent and cancelled; the received
+-- states are only set by receive_purchase_order()
+CREATE OR REPLACE FUNCTION inventory_purchase_orders_guard_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status
+       OR COALESCE(current_setting('inventory.receiving_po', true), '') = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT (
+        (OLD.status = 'draft' AND NEW.status IN ('sent', 'cancelled'))
+        OR (OLD.status = 'sent' AND NEW.status IN ('draft', 'cancelled'))
+    ) THEN
+        RAISE EXCEPTION 'Purchase order % cannot go from % to %', OLD.po_number, OLD.status, NEW.status;
+    END IF;
+
+    NEW.sent_at := CASE WHEN NEW.status = 'sent' THEN NOW() WHEN NEW.status = 'draft' THEN NULL ELSE NEW.sent_at END;
+    NEW.cancelled_at := CASE WHEN NEW.status = 'cancelled' THEN NOW() ELSE NULL END;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_purchase_orders_guard_status ON inventory_purchase_orders;
+CREATE TRIGGER trg_inventory_purchase_orders_guard_status
+    BEFORE UPDATE ON inventory_purchase_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_purchase_orders_guard_status();
+
+-- =====================================================
+-- 4. RECEIVING
+-- p_lines: [{ line_id, quantity }]. Each quantity is received into
+-- stock at the line's unit cost; the order becomes received once
+-- every line is complete.
+-- =====================================================
+CREATE OR REPLACE FUNCTION receive_purchase_order(p_purchase_order_id UUID, p_lines JSONB, p_notes TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_po inventory_purchase_orders%ROWTYPE;
+    v_line inventory_purchase_order_lines%ROWTYPE;
+    v_entry JSONB;
+    v_quantity NUMERIC;
+    v_received_any BOOLEAN := FALSE;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can receive purchase orders';
+    END IF;
+
+    SELECT * INTO v_po
+    FROM inventory_purchase_orders
+    WHERE id = p_purchase_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Purchase order % not found', p_purchase_order_id;
+    END IF;
+
+    IF v_po.status NOT IN ('sent', 'partially_received') THEN
+        RAISE EXCEPTION 'Purchase order % is %; only sent orders can be received', v_po.po_number, v_po.status;
+    END IF;
+
+    PERFORM set_config('inventory.receiving_po', 'on', true);
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(COALESCE(p_lines, '[]'::jsonb)) LOOP
+        v_quantity := COALESCE((v_entry->>'quantity')::NUMERIC, 0);
+        CONTINUE WHEN v_quantity = 0;
+
+        SELECT * INTO v_line
+        FROM inventory_purchase_order_lines
+        WHERE id = (v_entry->>'line_id')::UUID
+          AND purchase_order_id = p_purchase_order_id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Line % is not on purchase order %', v_entry->>'line_id', v_po.po_number;
+        END IF;
+
+        IF v_quantity < 0 OR v_line.quantity_received + v_quantity > v_line.quantity_ordered THEN
+            RAISE EXCEPTION 'Cannot receive % of item %: % of % already received',
+                v_quantity, v_line.item_id, v_line.quantity_received, v_line.quantity_ordered;
+        END IF;
+
+        PERFORM apply_inventory_movement(
+            v_line.item_id, 'in', v_quantity, v_line.unit_cost_mad,
+            'purchase_order', p_purchase_order_id::TEXT,
+            COALESCE(NULLIF(p_notes, ''), 'Received on ' || v_po.po_number)
+        );
+
+        UPDATE inventory_purchase_order_lines
+        SET quantity_received = quantity_received + v_quantity
+        WHERE id = v_line.id;
+
+        v_received_any := TRUE;
+    END LOOP;
+
+    IF NOT v_received_any THEN
+        RAISE EXCEPTION 'Nothing to receive';
+    END IF;
+
+    UPDATE inventory_purchase_orders
+    SET status = CASE
+            WHEN EXISTS (
+                SELECT 1 FROM inventory_purchase_order_lines
+                WHERE purchase_order_id = p_purchase_order_id
+                  AND quantity_received < quantity_ordered
+            ) THEN 'partially_received'
+            ELSE 'received'
+        END,
+        received_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_purchase_order_id
+    RETURNING * INTO v_po;
+
+    PERFORM set_config('inventory.receiving_po', 'off', true);
+
+    RETURN to_jsonb(v_po);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION receive_purchase_order(UUID, JSONB, TEXT) TO authenticated;
+
+-- =====================================================
+-- 5. LEDGER
+-- Stock received against a purchase order is owed to the supplier
+-- =====================================================
+CREATE OR REPLACE FUNCTION ledger_sync_inventory_movement(p_movement JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_reference TEXT := COALESCE(p_movement->>'reference_type', '');
+    v_is_in BOOLEAN := p_movement->>'movement_type' = 'in';
+    v_is_adjustment BOOLEAN := v_reference IN ('adjustment', 'stock_take');
+    v_value NUMERIC;
+BEGIN
+    IF v_reference IN ('transfer', 'maintenance') THEN
+        RETURN;
+    END IF;
+
+    v_value := CASE WHEN p_deleted THEN 0
+        ELSE ROUND(ledger_to_numeric(p_movement->>'quantity') * ledger_to_numeric(p_movement->>'unit_cost'), 2) END;
+
+    IF v_is_in THEN
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_in',
+            '120',
+            CASE WHEN v_is_adjustment THEN '690' WHEN v_reference = 'purchase_order' THEN '220' ELSE '101' END,
+            FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (gain)' ELSE 'Parts purchase' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    ELSE
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_out',
+            CASE WHEN v_is_adjustment THEN '690' ELSE '620' END, '120', FALSE,
+            v_value, p_entry_date,
+            CASE WHEN v_is_adjustment THEN 'Stock adjustment (loss)' ELSE 'Parts used' END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_sync_inventory_movement(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE inventory_suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_purchase_order_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_inventory_suppliers" ON inventory_suppliers;
+CREATE POLICY "staff_manage_inventory_suppliers" ON inventory_suppliers
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_manage_inventory_purchase_orders" ON inventory_purchase_orders;
+DROP POLICY IF EXISTS "staff_read_inventory_purchase_orders" ON inventory_purchase_orders;
+DROP POLICY IF EXISTS "staff_write_inventory_purchase_orders" ON inventory_purchase_orders;
+DROP POLICY IF EXISTS "staff_update_inventory_purchase_orders" ON inventory_purchase_orders;
+DROP POLICY IF EXISTS "staff_delete_inventory_purchase_orders" ON inventory_purchase_orders;
+CREATE POLICY "staff_read_inventory_purchase_orders" ON inventory_purchase_orders
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+CREATE POLICY "staff_write_inventory_purchase_orders" ON inventory_purchase_orders
+  FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) AND status = 'draft');
+CREATE POLICY "staff_update_inventory_purchase_orders" ON inventory_purchase_orders
+  FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+-- Orders that received stock are kept
+CREATE POLICY "staff_delete_inventory_purchase_orders" ON inventory_purchase_orders
+  FOR DELETE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) AND status IN ('draft', 'cancelled'));
+
+DROP POLICY IF EXISTS "staff_manage_inventory_purchase_order_lines" ON inventory_purchase_order_lines;
+CREATE POLICY "staff_manage_inventory_purchase_order_lines" ON inventory_purchase_order_lines
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
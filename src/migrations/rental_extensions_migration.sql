@@ -238,8 +238,8 @@ CREATE POLICY "allow_update_extensions" ON rental_extensions
     TO authenticated
     USING (
         EXISTS (
-            SELECT 1 FROM app_4c3a7a6153_users u
-            WHERE u.id = auth.uid()
+            SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u
+            WHERE u.auth_id = auth.uid()
             AND (u.role IN ('admin', 'owner') OR rental_extensions.requested_at IS NOT NULL)
         )
     );
@@ -0,0 +1,237 @@
+-- =====================================================
+-- RENTAL INSPECTIONS
+-- Structured check-out / check-in: damage marked on a per-model
+-- diagram, fuel level, odometer and accessories handed over.
+-- The check-in is compared with the check-out; new damage opens
+-- a maintenance work order and is offered as a deposit deduction.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. TEMPLATES (per vehicle model)
+-- =====================================================
+-- panels: [{ id, label, x, y, w, h, repair_cost }] in a 100 x 160 diagram
+-- accessories: [{ key, label, default_quantity, replacement_cost }]
+-- Models without a row use the default quad template in InspectionService.
+CREATE TABLE IF NOT EXISTS vehicle_inspection_templates (
+    vehicle_model_id UUID PRIMARY KEY REFERENCES saharax_0u4w4d_vehicle_models(id) ON DELETE CASCADE,
+    panels JSONB NOT NULL DEFAULT '[]'::jsonb,
+    accessories JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fuel_tank_liters DECIMAL(6,2),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- =====================================================
+-- 2. INSPECTIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rental_inspections (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID NOT NULL REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    vehicle_id INTEGER,
+    phase VARCHAR(10) NOT NULL CHECK (phase IN ('check_out', 'check_in')),
+    odometer DECIMAL(10,1),
+    fuel_level SMALLINT CHECK (fuel_level BETWEEN 0 AND 8),   -- eighths of a tank
+    accessories JSONB NOT NULL DEFAULT '{}'::jsonb,           -- { helmet: 2, goggles: 2 }
+    notes TEXT,
+    -- check-in only: { distance, fuel_difference, missing_accessories: {key: qty}, new_damage_count }
+    comparison JSONB,
+    work_order_id UUID,
+    inspected_by UUID REFERENCES auth.users(id),
+    inspected_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (rental_id, phase)
+);
+
+CREATE TABLE IF NOT EXISTS rental_inspection_damages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    inspection_id UUID NOT NULL REFERENCES rental_inspections(id) ON DELETE CASCADE,
+    panel_id VARCHAR(50) NOT NULL,
+    panel_label VARCHAR(100),
+    damage_type VARCHAR(20) NOT NULL
+      CHECK (damage_type IN ('scratch', 'dent', 'crack', 'broken', 'missing')),
+    severity VARCHAR(10) NOT NULL DEFAULT 'minor' CHECK (severity IN ('minor', 'moderate', 'severe')),
+    notes TEXT,
+    photo_urls TEXT[] NOT NULL DEFAULT '{}',
+    is_new BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_inspection_damages_inspection ON rental_inspection_damages(inspection_id);
+
+-- =====================================================
+-- 3. SAVING
+-- Replaces the inspection for the phase. A check-in is compared
+-- with the check-out: damage is new when the check-out had no
+-- damage of the same type on the panel, or a lesser one.
+-- p_damages: [{ panel_id, panel_label, damage_type, severity, notes, photo_urls }]
+-- =====================================================
+CREATE OR REPLACE FUNCTION save_rental_inspection(
+    p_rental_id UUID,
+    p_phase TEXT,
+    p_odometer NUMERIC,
+    p_fuel_level INTEGER,
+    p_accessories JSONB,
+    p_damages JSONB,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS rental_inspections
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_inspection rental_inspections%ROWTYPE;
+    v_check_out rental_inspections%ROWTYPE;
+    v_damage JSONB;
+    v_missing JSONB := '{}'::jsonb;
+    v_key TEXT;
+    v_new_count INTEGER := 0;
+    v_summary TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can record inspections';
+    END IF;
+
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = p_rental_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Rental % not found', p_rental_id;
+    END IF;
+    IF p_phase NOT IN ('check_out', 'check_in') THEN
+        RAISE EXCEPTION 'Unknown inspection phase %', p_phase;
+    END IF;
+
+    IF p_phase = 'check_in' THEN
+        SELECT * INTO v_check_out FROM rental_inspections WHERE rental_id = p_rental_id AND phase = 'check_out';
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Record the check-out inspection first';
+        END IF;
+        IF p_odometer IS NOT NULL AND v_check_out.odometer IS NOT NULL AND p_odometer < v_check_out.odometer THEN
+            RAISE EXCEPTION 'Return odometer (%) is below the check-out reading (%)', p_odometer, v_check_out.odometer;
+        END IF;
+    END IF;
+
+    INSERT INTO rental_inspections (rental_id, vehicle_id, phase, odometer, fuel_level, accessories, notes, inspected_by, inspected_at)
+    VALUES (p_rental_id, v_rental.vehicle_id, p_phase, p_odometer, p_fuel_level, COALESCE(p_accessories, '{}'::jsonb), p_notes, auth.uid(), NOW())
+    ON CONFLICT (rental_id, phase) DO UPDATE
+    SET odometer = EXCLUDED.odometer,
+        fuel_level = EXCLUDED.fuel_level,
+        accessories = EXCLUDED.accessories,
+        notes = EXCLUDED.notes,
+        inspected_by = EXCLUDED.inspected_by,
+        inspected_at = EXCLUDED.inspected_at
+    RETURNING * INTO v_inspection;
+
+    DELETE FROM rental_inspection_damages WHERE inspection_id = v_inspection.id;
+
+    FOR v_damage IN SELECT * FROM jsonb_array_elements(COALESCE(p_damages, '[]'::jsonb)) LOOP
+        INSERT INTO rental_inspection_damages (inspection_id, panel_id, panel_label, damage_type, severity, notes, photo_urls)
+        VALUES (
+            v_inspection.id,
+            v_damage->>'panel_id',
+            v_damage->>'panel_label',
+            v_damage->>'damage_type',
+            COALESCE(v_damage->>'severity', 'minor'),
+            NULLIF(v_damage->>'notes', ''),
+            COALESCE(ARRAY(SELECT jsonb_array_elements_text(v_damage->'photo_urls')), '{}')
+        );
+    END LOOP;
+
+    IF p_phase = 'check_out' THEN
+        IF p_odometer IS NOT NULL THEN
+            UPDATE app_4c3a7a6153_rentals SET start_odometer = p_odometer, updated_at = NOW() WHERE id = p_rental_id;
+        END IF;
+        RETURN v_inspection;
+    END IF;
+
+    -- Compare with the check-out
+    UPDATE rental_inspection_damages d
+    SET is_new = NOT EXISTS (
+        SELECT 1
+        FROM rental_inspection_damages o
+        WHERE o.inspection_id = v_check_out.id
+          AND o.panel_id = d.panel_id
+          AND o.damage_type = d.damage_type
+          AND array_position(ARRAY['minor', 'moderate', 'severe'], o.severity::TEXT)
+              >= array_position(ARRAY['minor', 'moderate', 'severe'], d.severity::TEXT)
+    )
+    WHERE d.inspection_id = v_inspection.id;
+
+    SELECT COUNT(*) INTO v_new_count FROM rental_inspection_damages WHERE inspection_id = v_inspection.id AND is_new;
+
+    FOR v_key IN SELECT jsonb_object_keys(v_check_out.accessories) LOOP
+        IF ledger_to_numeric(v_check_out.accessories->>v_key) > ledger_to_numeric(v_inspection.accessories->>v_key) THEN
+            v_missing := v_missing || jsonb_build_object(
+                v_key, ledger_to_numeric(v_check_out.accessories->>v_key) - ledger_to_numeric(v_inspection.accessories->>v_key)
+            );
+        END IF;
+    END LOOP;
+
+    -- A work order is opened once; later saves only update its notes
+    IF v_new_count > 0 THEN
+        SELECT string_agg(COALESCE(panel_label, panel_id) || ': ' || damage_type || ' (' || severity || ')', E'\n')
+        INTO v_summary
+        FROM rental_inspection_damages
+        WHERE inspection_id = v_inspection.id AND is_new;
+
+        v_summary := 'New damage found at return of rental ' || COALESCE(v_rental.rental_id, v_rental.id::TEXT) || E':\n' || v_summary;
+
+        IF v_inspection.work_order_id IS NULL AND v_rental.vehicle_id IS NOT NULL THEN
+            INSERT INTO app_687f658e98_maintenance (vehicle_id, maintenance_type, status, service_date, odometer_reading, notes)
+            VALUES (v_rental.vehicle_id, 'Body Work', 'scheduled', CURRENT_DATE, p_odometer, v_summary)
+            RETURNING id INTO v_inspection.work_order_id;
+        ELSIF v_inspection.work_order_id IS NOT NULL THEN
+            UPDATE app_687f658e98_maintenance SET notes = v_summary WHERE id = v_inspection.work_order_id AND status = 'scheduled';
+        END IF;
+    END IF;
+
+    UPDATE rental_inspections
+    SET comparison = jsonb_build_object(
+            'distance', CASE WHEN p_odometer IS NOT NULL AND v_check_out.odometer IS NOT NULL THEN p_odometer - v_check_out.odometer END,
+            'fuel_difference', CASE WHEN p_fuel_level IS NOT NULL AND v_check_out.fuel_level IS NOT NULL THEN p_fuel_level - v_check_out.fuel_level END,
+            'missing_accessories', v_missing,
+            'new_damage_count', v_new_count
+        ),
+        work_order_id = v_inspection.work_order_id
+    WHERE id = v_inspection.id
+    RETURNING * INTO v_inspection;
+
+    RETURN v_inspection;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_rental_inspection(UUID, TEXT, NUMERIC, INTEGER, JSONB, JSONB, TEXT) TO authenticated;
+
+-- =====================================================
+-- 4. ROW LEVEL SECURITY
+-- Inspections are written by save_rental_inspection only
+-- =====================================================
+ALTER TABLE vehicle_inspection_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rental_inspections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rental_inspection_damages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_manage_inspection_templates" ON vehicle_inspection_templates;
+CREATE POLICY "staff_manage_inspection_templates" ON vehicle_inspection_templates
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_rental_inspections" ON rental_inspections;
+CREATE POLICY "staff_read_rental_inspections" ON rental_inspections
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_rental_inspection_damages" ON rental_inspection_damages;
+CREATE POLICY "staff_read_rental_inspection_damages" ON rental_inspection_damages
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+-- =====================================================
+-- 5. STORAGE (damage photos)
+-- =====================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('inspection-photos', 'inspection-photos', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "staff_write_inspection_photos" ON storage.objects;
+CREATE POLICY "staff_write_inspection_photos" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'inspection-photos' AND EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
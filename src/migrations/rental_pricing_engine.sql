@@ -0,0 +1,531 @@
+-- =====================================================
+-- RENTAL PRICING ENGINE
+-- The one place a rental is priced. Every screen (admin wizard,
+-- customer portal, price approvals, pricing previews) asks quote_rental
+-- through RentalQuoteService.getQuote, and request_rental_booking and
+-- record_rental_quote price with it too, so the same inputs always give
+-- the same itemised quote: each day (or hour) at its seasonal rate in
+-- Morocco time, minus the hourly package or duration tier, minus a
+-- promo code, minus the customer type discount, plus pick-up / drop-off
+-- transport. How a promo code combines with the tier and customer type
+-- discounts is set per code (promo_code_engine.sql).
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. VERSION
+-- Bump whenever quote_rental could price the same inputs differently;
+-- it is stored with every quote snapshot.
+-- =====================================================
+CREATE OR REPLACE FUNCTION rental_pricing_engine_version()
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT '1.2.0'::TEXT;
+$$;
+
+-- =====================================================
+-- 2. UNIT PRICES AND HOURLY PACKAGES
+-- =====================================================
+
+-- Listed price of the model, else the direct price list by vehicle
+CREATE OR REPLACE FUNCTION rental_unit_price(
+    p_vehicle_model_id UUID,
+    p_rental_type TEXT,
+    p_vehicle_id INTEGER DEFAULT NULL
+)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (
+            SELECT NULLIF(CASE WHEN p_rental_type = 'hourly' THEN hourly_price ELSE daily_price END, 0)
+            FROM app_4c3a7a6153_base_prices
+            WHERE vehicle_model_id = p_vehicle_model_id
+            AND is_active
+            LIMIT 1
+        ),
+        CASE
+            WHEN p_vehicle_id IN (5, 6, 11, 12, 15) THEN CASE WHEN p_rental_type = 'hourly' THEN 1000 ELSE 3800 END
+            WHEN p_vehicle_id IN (3, 4, 8, 10, 14) THEN CASE WHEN p_rental_type = 'hourly' THEN 600 ELSE 1800 END
+            ELSE CASE WHEN p_rental_type = 'hourly' THEN 400 ELSE 1500 END
+        END
+    );
+$$;
+
+-- The model's hourly package (pricing_tiers) covering a number of hours
+CREATE OR REPLACE FUNCTION rental_hour_tier(p_vehicle_model_id UUID, p_hours INTEGER)
+RETURNS pricing_tiers
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT *
+    FROM pricing_tiers
+    WHERE vehicle_model_id = p_vehicle_model_id
+    AND is_active
+    AND p_hours >= COALESCE(min_hours, 0)
+    AND (max_hours IS NULL OR p_hours <= max_hours)
+    ORDER BY COALESCE(min_hours, 0)
+    LIMIT 1;
+$$;
+
+-- Price of a number of hours under an hourly package
+CREATE OR REPLACE FUNCTION rental_hour_tier_price(p_tier pricing_tiers, p_hourly_rate NUMERIC, p_hours INTEGER)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT ROUND(CASE p_tier.calculation_method
+        WHEN 'percentage' THEN p_hourly_rate * p_hours * (100 - COALESCE(p_tier.discount_percentage, 0)) / 100
+        WHEN 'fixed' THEN COALESCE(p_tier.price_amount, 0)
+        WHEN 'custom' THEN COALESCE(p_tier.price_amount, 0)
+        ELSE p_hourly_rate * p_hours
+    END, 2);
+$$;
+
+-- What 1 to p_max_hours hours cost under the model's hourly packages
+-- (TieredPricingSelector)
+CREATE OR REPLACE FUNCTION hourly_package_prices(
+    p_vehicle_model_id UUID,
+    p_hourly_rate NUMERIC,
+    p_max_hours INTEGER DEFAULT 24,
+    p_min_hours INTEGER DEFAULT 1
+)
+RETURNS TABLE (hours INTEGER, total_price NUMERIC, savings NUMERIC, tier JSONB)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT
+        h,
+        COALESCE(rental_hour_tier_price(t, p_hourly_rate, h), ROUND(p_hourly_rate * h, 2)),
+        GREATEST(ROUND(p_hourly_rate * h, 2) - COALESCE(rental_hour_tier_price(t, p_hourly_rate, h), ROUND(p_hourly_rate * h, 2)), 0),
+        CASE WHEN t.id IS NOT NULL THEN to_jsonb(t) END
+    FROM generate_series(GREATEST(p_min_hours, 1), p_max_hours) AS h,
+    LATERAL rental_hour_tier(p_vehicle_model_id, h) AS t;
+$$;
+
+-- =====================================================
+-- 3. QUOTING A RENTAL
+-- p_inputs holds what RentalQuoteService.getQuote documents:
+-- vehicleModelId, vehicleId, vehicleType, rentalType ('hourly' or
+-- 'daily'), startAt, endAt, packageId, promoCode, channel, customer
+-- {email, phone}, rentalId, pickupTransport, dropoffTransport,
+-- customerType, unitPrice (agreed) and agreedTotal.
+--
+-- An agreed unit price (a staff override) is taken as is: it is not
+-- scaled by seasons and no tier or customer type discount applies to
+-- it. A km package sets the included kilometers and the extra km rate;
+-- the unit price still comes from the model. Transport fees are the
+-- ones in the app settings. A rejected promo code is reported in
+-- promoError and the quote is built without it.
+-- =====================================================
+CREATE OR REPLACE FUNCTION quote_rental(p_inputs JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_model_id UUID := NULLIF(p_inputs ->> 'vehicleModelId', '')::UUID;
+    v_vehicle_id INTEGER := NULLIF(p_inputs ->> 'vehicleId', '')::INTEGER;
+    v_vehicle_type TEXT := NULLIF(p_inputs ->> 'vehicleType', '');
+    v_rental_type TEXT := p_inputs ->> 'rentalType';
+    v_start_at TIMESTAMP WITH TIME ZONE := NULLIF(p_inputs ->> 'startAt', '')::TIMESTAMP WITH TIME ZONE;
+    v_end_at TIMESTAMP WITH TIME ZONE := NULLIF(p_inputs ->> 'endAt', '')::TIMESTAMP WITH TIME ZONE;
+    v_package_id TEXT := NULLIF(p_inputs ->> 'packageId', '');
+    v_promo_code TEXT := NULLIF(TRIM(p_inputs ->> 'promoCode'), '');
+    v_channel TEXT := COALESCE(NULLIF(p_inputs ->> 'channel', ''), 'staff');
+    v_rental_id UUID := NULLIF(p_inputs ->> 'rentalId', '')::UUID;
+    v_pickup BOOLEAN := COALESCE((p_inputs ->> 'pickupTransport')::BOOLEAN, FALSE);
+    v_dropoff BOOLEAN := COALESCE((p_inputs ->> 'dropoffTransport')::BOOLEAN, FALSE);
+    v_customer_type TEXT := COALESCE(NULLIF(p_inputs ->> 'customerType', ''), 'regular');
+    v_agreed_unit_price NUMERIC := NULLIF(p_inputs ->> 'unitPrice', '')::NUMERIC;
+    v_agreed_total NUMERIC := NULLIF(p_inputs ->> 'agreedTotal', '')::NUMERIC;
+    v_agreed BOOLEAN;
+    v_hourly BOOLEAN;
+    v_unit TEXT;
+    v_start TIMESTAMP;
+    v_end TIMESTAMP;
+    v_customer_percent NUMERIC;
+    v_customer_label TEXT;
+    v_listed_unit_price NUMERIC;
+    v_unit_price NUMERIC;
+    v_quantity INTEGER;
+    v_slot TIMESTAMP;
+    v_date DATE;
+    v_name TEXT;
+    v_factor NUMERIC;
+    v_is_holiday BOOLEAN;
+    v_modifiers JSONB;
+    v_multiplier NUMERIC;
+    v_names TEXT;
+    v_rate NUMERIC;
+    v_key TEXT;
+    v_group_key TEXT;
+    v_group_from TIMESTAMP;
+    v_group_to TIMESTAMP;
+    v_group_quantity INTEGER := 0;
+    v_group_rate NUMERIC;
+    v_group_amount NUMERIC;
+    v_group_modifiers JSONB;
+    v_period TEXT;
+    v_lines JSONB := '[]'::JSONB;
+    v_subtotal NUMERIC := 0;
+    v_base_subtotal NUMERIC;
+    v_package RECORD;
+    v_package_json JSONB;
+    v_hour_tier pricing_tiers%ROWTYPE;
+    v_tier saharax_0u4w4d_pricing_simple_duration_tiers%ROWTYPE;
+    v_tier_found BOOLEAN := FALSE;
+    v_tier_discount NUMERIC := 0;
+    v_tier_label TEXT := 'Duration discount';
+    v_check JSONB;
+    v_promo saharax_0u4w4d_pricing_simple_promos%ROWTYPE;
+    v_promo_found BOOLEAN := FALSE;
+    v_promo_error TEXT;
+    v_promo_discount NUMERIC := 0;
+    v_promo_alone NUMERIC;
+    v_promo_exclusive BOOLEAN := FALSE;
+    v_customer_discount NUMERIC := 0;
+    v_pickup_fee NUMERIC := 0;
+    v_dropoff_fee NUMERIC := 0;
+    v_quoted_total NUMERIC;
+    v_total NUMERIC;
+    v_adjustment NUMERIC;
+BEGIN
+    IF v_rental_type IS NULL OR v_rental_type NOT IN ('hourly', 'daily') THEN
+        RAISE EXCEPTION 'Unknown rental type: %', v_rental_type;
+    END IF;
+    IF v_start_at IS NULL OR v_end_at IS NULL OR v_end_at <= v_start_at THEN
+        RAISE EXCEPTION 'End of rental must be after its start';
+    END IF;
+
+    v_customer_percent := CASE v_customer_type
+        WHEN 'regular' THEN 0
+        WHEN 'loyalty' THEN 10
+        WHEN 'corporate' THEN 15
+    END;
+    IF v_customer_percent IS NULL THEN
+        RAISE EXCEPTION 'Unknown customer type: %', v_customer_type;
+    END IF;
+    v_customer_label := initcap(v_customer_type);
+
+    v_agreed := v_agreed_unit_price IS NOT NULL AND v_agreed_unit_price >= 0;
+    v_hourly := v_rental_type = 'hourly';
+    v_unit := CASE WHEN v_hourly THEN 'hour' ELSE 'day' END;
+    v_start := v_start_at AT TIME ZONE 'Africa/Casablanca';
+    v_end := v_end_at AT TIME ZONE 'Africa/Casablanca';
+
+    IF v_vehicle_type IS NULL THEN
+        SELECT vehicle_type INTO v_vehicle_type
+        FROM saharax_0u4w4d_vehicle_models
+        WHERE id = v_model_id;
+    END IF;
+
+    v_listed_unit_price := rental_unit_price(v_model_id, v_rental_type, v_vehicle_id);
+    v_unit_price := CASE WHEN v_agreed THEN ROUND(v_agreed_unit_price, 2) ELSE v_listed_unit_price END;
+
+    -- Started hours, or calendar days, at least one
+    v_quantity := CASE
+        WHEN v_hourly THEN CEIL(GREATEST(EXTRACT(EPOCH FROM (v_end_at - v_start_at)) / 3600, 1))
+        ELSE GREATEST(v_end::DATE - v_start::DATE, 1)
+    END;
+
+    -- One rate per slot: the season, and either the holiday or, on an
+    -- ordinary day, the weekday rule. Equal consecutive slots share a
+    -- line; a last pass past the final slot closes the open group.
+    FOR v_index IN 0 .. v_quantity LOOP
+        v_key := NULL;
+
+        IF v_index < v_quantity THEN
+            v_slot := CASE
+                WHEN v_hourly THEN v_start + v_index * INTERVAL '1 hour'
+                ELSE (v_start::DATE + v_index)::TIMESTAMP
+            END;
+            v_date := v_slot::DATE;
+            v_modifiers := '[]'::JSONB;
+            v_multiplier := 1;
+            v_names := NULL;
+
+            IF NOT v_agreed THEN
+                -- The shortest of several overlapping seasons wins
+                SELECT season_name, multiplier INTO v_name, v_factor
+                FROM seasonal_pricing_rules
+                WHERE active
+                AND (vehicle_model_id IS NULL OR vehicle_model_id = v_model_id)
+                AND start_date <= v_date AND v_date <= end_date
+                ORDER BY (vehicle_model_id IS NOT NULL) DESC, end_date - start_date
+                LIMIT 1;
+                IF FOUND AND v_factor <> 1 THEN
+                    v_modifiers := v_modifiers || jsonb_build_array(jsonb_build_object('type', 'season', 'name', v_name, 'multiplier', v_factor));
+                    v_multiplier := v_multiplier * v_factor;
+                    v_names := concat_ws('|', v_names, v_name);
+                END IF;
+
+                SELECT d.label, c.multiplier INTO v_name, v_factor
+                FROM pricing_holiday_calendars c
+                JOIN pricing_holiday_dates d ON d.calendar_id = c.id
+                WHERE c.active
+                AND (c.vehicle_model_id IS NULL OR c.vehicle_model_id = v_model_id)
+                AND d.start_date <= v_date AND v_date <= d.end_date
+                ORDER BY (c.vehicle_model_id IS NOT NULL) DESC, c.multiplier DESC, d.start_date
+                LIMIT 1;
+                v_is_holiday := FOUND;
+                IF v_is_holiday AND v_factor <> 1 THEN
+                    v_modifiers := v_modifiers || jsonb_build_array(jsonb_build_object('type', 'holiday', 'name', v_name, 'multiplier', v_factor));
+                    v_multiplier := v_multiplier * v_factor;
+                    v_names := concat_ws('|', v_names, v_name);
+                END IF;
+
+                IF NOT v_is_holiday THEN
+                    SELECT name, multiplier INTO v_name, v_factor
+                    FROM pricing_weekday_rules
+                    WHERE active
+                    AND (vehicle_model_id IS NULL OR vehicle_model_id = v_model_id)
+                    AND EXTRACT(DOW FROM v_slot)::SMALLINT = ANY (days_of_week)
+                    ORDER BY (vehicle_model_id IS NOT NULL) DESC, multiplier DESC
+                    LIMIT 1;
+                    IF FOUND AND v_factor <> 1 THEN
+                        v_modifiers := v_modifiers || jsonb_build_array(jsonb_build_object('type', 'weekday', 'name', v_name, 'multiplier', v_factor));
+                        v_multiplier := v_multiplier * v_factor;
+                        v_names := concat_ws('|', v_names, v_name);
+                    END IF;
+                END IF;
+            END IF;
+
+            v_rate := ROUND(v_unit_price * v_multiplier, 2);
+            v_key := v_rate || '|' || COALESCE(v_names, '');
+            v_subtotal := v_subtotal + v_rate;
+        END IF;
+
+        IF v_group_quantity > 0 AND v_key = v_group_key THEN
+            v_group_quantity := v_group_quantity + 1;
+            v_group_to := v_slot;
+            v_group_amount := v_group_amount + v_rate;
+        ELSE
+            IF v_group_quantity > 0 THEN
+                v_period := CASE
+                    WHEN v_hourly THEN to_char(v_group_from, 'FMDD Mon HH24:MI') || '–' || to_char(v_group_to + INTERVAL '1 hour', 'HH24:MI')
+                    WHEN v_group_quantity = 1 THEN to_char(v_group_from, 'FMDD Mon')
+                    ELSE to_char(v_group_from, 'FMDD Mon') || ' – ' || to_char(v_group_to, 'FMDD Mon')
+                END;
+
+                v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+                    'type', 'base',
+                    'label', v_period || ': ' || v_group_quantity || ' ' || v_unit
+                        || CASE WHEN v_group_quantity <> 1 THEN 's' ELSE '' END
+                        || ' × ' || trim_scale(v_group_rate) || ' MAD'
+                        || COALESCE((
+                            SELECT ' (' || string_agg((m ->> 'name') || ' ×' || trim_scale((m ->> 'multiplier')::NUMERIC), ', ') || ')'
+                            FROM jsonb_array_elements(v_group_modifiers) AS m
+                        ), ''),
+                    'amount', v_group_amount,
+                    'quantity', v_group_quantity,
+                    'rate', v_group_rate,
+                    'from', v_group_from AT TIME ZONE 'Africa/Casablanca',
+                    'to', v_group_to AT TIME ZONE 'Africa/Casablanca',
+                    'modifiers', v_group_modifiers
+                ));
+            END IF;
+
+            IF v_index < v_quantity THEN
+                v_group_key := v_key;
+                v_group_from := v_slot;
+                v_group_to := v_slot;
+                v_group_quantity := 1;
+                v_group_rate := v_rate;
+                v_group_amount := v_rate;
+                v_group_modifiers := v_modifiers;
+            END IF;
+        END IF;
+    END LOOP;
+
+    v_subtotal := ROUND(v_subtotal, 2);
+    v_base_subtotal := ROUND(v_unit_price * v_quantity, 2);
+
+    IF v_package_id IS NOT NULL THEN
+        SELECT id, name, included_kilometers, extra_km_rate INTO v_package
+        FROM rental_packages
+        WHERE id::TEXT = v_package_id;
+
+        IF FOUND THEN
+            v_package_json := jsonb_build_object(
+                'id', v_package.id,
+                'name', v_package.name,
+                'includedKilometers', v_package.included_kilometers,
+                'extraKmRate', v_package.extra_km_rate
+            );
+            v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+                'type', 'package',
+                'label', v_package.name || ': '
+                    || COALESCE(trim_scale(v_package.included_kilometers::NUMERIC) || ' km included', 'no km limit')
+                    || COALESCE(', ' || trim_scale(v_package.extra_km_rate::NUMERIC) || ' MAD per extra km', ''),
+                'amount', 0
+            ));
+        END IF;
+    END IF;
+
+    -- An hourly package of the model replaces the duration tiers
+    IF v_hourly AND NOT v_agreed THEN
+        v_hour_tier := rental_hour_tier(v_model_id, v_quantity);
+    END IF;
+
+    IF v_hour_tier.id IS NOT NULL THEN
+        v_tier_discount := ROUND(LEAST(GREATEST(v_base_subtotal - rental_hour_tier_price(v_hour_tier, v_unit_price, v_quantity), 0), v_subtotal), 2);
+        v_tier_label := concat('Hourly package ', v_hour_tier.min_hours, '–', v_hour_tier.max_hours, ' h');
+    ELSIF NOT v_agreed THEN
+        -- Lower priority values win
+        SELECT * INTO v_tier
+        FROM saharax_0u4w4d_pricing_simple_duration_tiers
+        WHERE is_active
+        AND rate_type = v_unit
+        AND (NULLIF(vehicle_type, '') IS NULL OR v_vehicle_type IS NULL OR vehicle_type = v_vehicle_type)
+        AND v_quantity >= COALESCE(min_qty, 0)
+        AND (max_qty IS NULL OR v_quantity <= max_qty)
+        ORDER BY COALESCE(priority, 100)
+        LIMIT 1;
+        v_tier_found := FOUND;
+
+        IF v_tier_found THEN
+            v_tier_discount := CASE
+                WHEN v_tier.discount_type = 'percent' THEN ROUND(v_subtotal * COALESCE(v_tier.discount_value, 0) / 100, 2)
+                ELSE ROUND(LEAST(COALESCE(v_tier.discount_value, 0), v_subtotal), 2)
+            END;
+        END IF;
+    END IF;
+
+    -- Stacking: 'combine' takes the code after the tier and before the
+    -- customer discount; 'exclusive' drops both; 'best' drops whichever
+    -- side gives less
+    IF v_promo_code IS NOT NULL THEN
+        v_check := validate_promo_code(
+            v_promo_code, v_channel, v_model_id,
+            EXTRACT(EPOCH FROM (v_end_at - v_start_at)) / 3600,
+            p_inputs #>> '{customer,email}', p_inputs #>> '{customer,phone}', v_rental_id
+        );
+        v_promo_error := v_check ->> 'error';
+
+        SELECT * INTO v_promo
+        FROM saharax_0u4w4d_pricing_simple_promos
+        WHERE id = (v_check #>> '{promo,id}')::UUID;
+        v_promo_found := FOUND;
+    END IF;
+
+    IF v_promo_found THEN
+        IF v_promo.stacking = 'combine' THEN
+            v_promo_discount := promo_code_discount(v_promo, v_subtotal - v_tier_discount);
+        ELSE
+            v_promo_alone := promo_code_discount(v_promo, v_subtotal);
+            IF v_promo.stacking = 'exclusive'
+               OR v_promo_alone > v_tier_discount + CASE WHEN v_agreed THEN 0
+                    ELSE ROUND((v_subtotal - v_tier_discount) * v_customer_percent / 100, 2) END THEN
+                v_promo_discount := v_promo_alone;
+                v_promo_exclusive := TRUE;
+                v_tier_discount := 0;
+                v_tier_found := FALSE;
+                v_hour_tier := NULL;
+            ELSE
+                v_promo_error := 'Promo code ' || v_promo.code || ' does not combine with the discounts already applied, which are larger';
+                v_promo_found := FALSE;
+            END IF;
+        END IF;
+    END IF;
+
+    IF v_tier_discount > 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object('type', 'tier', 'label', v_tier_label, 'amount', -v_tier_discount));
+    END IF;
+    IF v_promo_discount > 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object('type', 'promo', 'label', 'Promo ' || v_promo.code, 'amount', -v_promo_discount));
+    END IF;
+
+    IF NOT v_agreed AND NOT v_promo_exclusive THEN
+        v_customer_discount := ROUND((v_subtotal - v_tier_discount - v_promo_discount) * v_customer_percent / 100, 2);
+    END IF;
+    IF v_customer_discount > 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object(
+            'type', 'customer',
+            'label', v_customer_label || ' customer ' || v_customer_percent || '%',
+            'amount', -v_customer_discount
+        ));
+    END IF;
+
+    SELECT
+        CASE WHEN v_pickup THEN COALESCE(transport_pickup_fee, 0) ELSE 0 END,
+        CASE WHEN v_dropoff THEN COALESCE(transport_dropoff_fee, 0) ELSE 0 END
+    INTO v_pickup_fee, v_dropoff_fee
+    FROM app_settings
+    WHERE id = 1;
+
+    v_pickup_fee := COALESCE(v_pickup_fee, 0);
+    v_dropoff_fee := COALESCE(v_dropoff_fee, 0);
+    IF v_pickup_fee > 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object('type', 'transport', 'label', 'Pick-up transport', 'amount', v_pickup_fee));
+    END IF;
+    IF v_dropoff_fee > 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object('type', 'transport', 'label', 'Drop-off transport', 'amount', v_dropoff_fee));
+    END IF;
+
+    v_quoted_total := ROUND(v_subtotal - v_tier_discount - v_promo_discount - v_customer_discount + v_pickup_fee + v_dropoff_fee, 2);
+    v_total := COALESCE(ROUND(v_agreed_total, 2), v_quoted_total);
+    v_adjustment := v_total - v_quoted_total;
+    IF v_adjustment <> 0 THEN
+        v_lines := v_lines || jsonb_build_array(jsonb_build_object('type', 'adjustment', 'label', 'Agreed price adjustment', 'amount', v_adjustment));
+    END IF;
+
+    RETURN jsonb_build_object(
+        'engineVersion', rental_pricing_engine_version(),
+        'quotedAt', NOW(),
+        'currency', 'MAD',
+        'inputs', jsonb_build_object(
+            'vehicleModelId', v_model_id,
+            'vehicleId', v_vehicle_id,
+            'vehicleType', v_vehicle_type,
+            'rentalType', v_rental_type,
+            'startAt', v_start_at,
+            'endAt', v_end_at,
+            'packageId', v_package_id,
+            'promoCode', v_promo_code,
+            'channel', v_channel,
+            'rentalId', v_rental_id,
+            'pickupTransport', v_pickup,
+            'dropoffTransport', v_dropoff,
+            'customerType', v_customer_type,
+            'unitPrice', CASE WHEN v_agreed THEN v_unit_price END,
+            'agreedTotal', CASE WHEN v_adjustment <> 0 THEN v_total END
+        ),
+        'rentalType', v_rental_type,
+        'quantity', v_quantity,
+        'unitPrice', v_unit_price,
+        'listedUnitPrice', v_listed_unit_price,
+        'unitPriceSource', CASE WHEN v_agreed THEN 'agreed' ELSE 'list' END,
+        'subtotal', v_subtotal,
+        'seasonalAdjustment', ROUND(v_subtotal - v_base_subtotal, 2),
+        'tierDiscount', v_tier_discount,
+        'tier', CASE WHEN v_tier_found THEN to_jsonb(v_tier) END,
+        'hourTier', CASE WHEN v_hour_tier.id IS NOT NULL THEN to_jsonb(v_hour_tier) END,
+        'package', v_package_json,
+        'promoCode', CASE WHEN v_promo_found THEN v_promo.code END,
+        'promoDiscount', v_promo_discount,
+        'promoError', v_promo_error,
+        'customerType', v_customer_type,
+        'customerDiscount', v_customer_discount,
+        'transportFee', v_pickup_fee + v_dropoff_fee,
+        'adjustment', v_adjustment,
+        'total', v_total,
+        'lines', v_lines
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION quote_rental(JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_unit_price(UUID, TEXT, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION hourly_package_prices(UUID, NUMERIC, INTEGER, INTEGER) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,173 @@
+-- =====================================================
+-- RENTAL QUOTE SNAPSHOTS
+-- Every rental keeps the itemised quote it was priced with, as
+-- returned by the pricing engine (quote_rental),
+-- together with the engine version and the inputs it was given.
+-- Snapshots are never updated: a re-quote (price approval, declined
+-- override) adds a new snapshot and moves the rental's pointer to it.
+-- Once the contract is signed the pointer is frozen, so later changes
+-- to base prices, seasons or promo codes never alter a signed contract.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SNAPSHOTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rental_quote_snapshots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID NOT NULL REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    engine_version VARCHAR(20) NOT NULL,
+    inputs JSONB NOT NULL DEFAULT '{}'::jsonb,
+    quote JSONB NOT NULL,
+    total DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'MAD',
+    created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_quote_snapshots_rental ON rental_quote_snapshots(rental_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION rental_quote_snapshots_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'Quote snapshots cannot be changed; record a new quote instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rental_quote_snapshots_no_update ON rental_quote_snapshots;
+CREATE TRIGGER rental_quote_snapshots_no_update
+    BEFORE UPDATE ON rental_quote_snapshots
+    FOR EACH ROW
+    EXECUTE FUNCTION rental_quote_snapshots_immutable();
+
+-- =====================================================
+-- 2. RENTAL POINTER
+-- =====================================================
+ALTER TABLE app_4c3a7a6153_rentals
+ADD COLUMN IF NOT EXISTS quote_snapshot_id UUID REFERENCES rental_quote_snapshots(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN app_4c3a7a6153_rentals.quote_snapshot_id IS 'Quote the rental is priced with; frozen once the contract is signed';
+
+CREATE OR REPLACE FUNCTION rentals_lock_signed_quote()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF OLD.signature_url IS NOT NULL
+       AND OLD.quote_snapshot_id IS NOT NULL
+       AND NEW.quote_snapshot_id IS DISTINCT FROM OLD.quote_snapshot_id THEN
+        RAISE EXCEPTION 'The contract for this rental is signed; its quote can no longer be replaced';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rentals_lock_signed_quote ON app_4c3a7a6153_rentals;
+CREATE TRIGGER rentals_lock_signed_quote
+    BEFORE UPDATE OF quote_snapshot_id ON app_4c3a7a6153_rentals
+    FOR EACH ROW
+    EXECUTE FUNCTION rentals_lock_signed_quote();
+
+-- =====================================================
+-- 3. RECORD A QUOTE
+-- Staff only: portal bookings get their snapshot from
+-- request_rental_booking. The rental is priced again here by
+-- quote_rental from the inputs the quote was built with, so a snapshot
+-- never holds figures worked out in the browser. A list-price quote
+-- also sets the rental's total_amount; an agreed price is only
+-- recorded for a rental whose override was verified (step_up_auth.sql)
+-- and leaves the total as it was approved. A rental signed before its
+-- first snapshot (older rentals) may still receive one.
+-- =====================================================
+DROP FUNCTION IF EXISTS record_rental_quote(UUID, TEXT, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION record_rental_quote(
+    p_rental_id UUID,
+    p_inputs JSONB
+)
+RETURNS rental_quote_snapshots
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_quote JSONB;
+    v_agreed BOOLEAN;
+    v_snapshot rental_quote_snapshots%ROWTYPE;
+BEGIN
+    IF p_inputs IS NULL OR jsonb_typeof(p_inputs) IS DISTINCT FROM 'object' THEN
+        RAISE EXCEPTION 'The quote inputs are required';
+    END IF;
+
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = p_rental_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Rental % not found', p_rental_id;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can quote a rental';
+    END IF;
+
+    IF v_rental.signature_url IS NOT NULL AND v_rental.quote_snapshot_id IS NOT NULL THEN
+        RAISE EXCEPTION 'The contract for this rental is signed; its quote can no longer be replaced';
+    END IF;
+
+    v_quote := quote_rental(p_inputs || jsonb_build_object(
+        'rentalId', p_rental_id,
+        'customer', jsonb_build_object('email', v_rental.customer_email, 'phone', v_rental.customer_phone)
+    ));
+    v_agreed := v_quote->>'unitPriceSource' = 'agreed'
+        OR COALESCE((v_quote->>'adjustment')::NUMERIC, 0) <> 0;
+
+    IF v_agreed AND v_rental.price_overridden_at IS NULL THEN
+        RAISE EXCEPTION 'A price override needs step-up verification' USING ERRCODE = '42501';
+    END IF;
+
+    INSERT INTO rental_quote_snapshots (rental_id, engine_version, inputs, quote, total)
+    VALUES (
+        p_rental_id,
+        v_quote->>'engineVersion',
+        v_quote->'inputs',
+        v_quote,
+        (v_quote->>'total')::NUMERIC
+    )
+    RETURNING * INTO v_snapshot;
+
+    UPDATE app_4c3a7a6153_rentals
+    SET quote_snapshot_id = v_snapshot.id,
+        quote_breakdown = v_quote->'lines',
+        total_amount = CASE WHEN v_agreed THEN total_amount ELSE v_snapshot.total END,
+        updated_at = NOW()
+    WHERE id = p_rental_id;
+
+    RETURN v_snapshot;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_rental_quote(UUID, JSONB) TO authenticated;
+
+-- =====================================================
+-- 4. ROW LEVEL SECURITY
+-- Snapshots are written only through record_rental_quote and
+-- request_rental_booking.
+-- =====================================================
+ALTER TABLE rental_quote_snapshots ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON rental_quote_snapshots FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Staff and owners can read quote snapshots" ON rental_quote_snapshots;
+CREATE POLICY "Staff and owners can read quote snapshots" ON rental_quote_snapshots
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid())
+        OR EXISTS (
+            SELECT 1 FROM app_4c3a7a6153_rentals r
+            WHERE r.id = rental_quote_snapshots.rental_id
+            AND r.customer_user_id = auth.uid()
+        )
+    );
+
+COMMIT;
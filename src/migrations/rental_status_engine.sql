@@ -0,0 +1,311 @@
+-- =====================================================
+-- RENTAL STATUS ENGINE
+-- Server-side state machine for rental statuses, run every five
+-- minutes by pg_cron so it does not depend on an open browser tab:
+--   scheduled -> active   when the start time is reached (paid rentals)
+--   active    -> overdue  (overdue_since) once the end time plus grace passes
+-- Return alerts are raised for rentals due soon or overdue and
+-- resolved once the rental is no longer out. Every status change,
+-- whoever makes it, is written to rental_audit_log by trigger.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. AUDIT LOG
+-- Also the destination of auditLogService.logRentalAction
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rental_audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rental_id UUID NOT NULL REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL,
+    source VARCHAR(10) NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'engine')),
+    performed_by UUID REFERENCES auth.users(id),
+    performed_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    old_data JSONB,
+    new_data JSONB,
+    reason TEXT,
+    device_info JSONB,
+    gps_location JSONB,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_audit_log_rental ON rental_audit_log(rental_id, performed_at DESC);
+
+-- =====================================================
+-- 2. RENTAL COLUMNS
+-- =====================================================
+ALTER TABLE app_4c3a7a6153_rentals
+  ADD COLUMN IF NOT EXISTS overdue_since TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- 3. ALERTS
+-- Open alerts are unique per dedupe_key so repeated runs update
+-- the same alert instead of stacking new ones
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system_alerts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    alert_type VARCHAR(50) NOT NULL,
+    priority VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+    title TEXT NOT NULL,
+    message TEXT,
+    rental_id UUID REFERENCES app_4c3a7a6153_rentals(id) ON DELETE CASCADE,
+    vehicle_id INTEGER,
+    dedupe_key TEXT NOT NULL,
+    status VARCHAR(15) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_system_alerts_open_key ON system_alerts(dedupe_key) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_system_alerts_status ON system_alerts(status, created_at DESC);
+
+-- =====================================================
+-- 4. SETTINGS AND RUN HISTORY
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rental_status_engine_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    auto_activate BOOLEAN NOT NULL DEFAULT TRUE,
+    require_payment_to_activate BOOLEAN NOT NULL DEFAULT TRUE,
+    overdue_grace_minutes INTEGER NOT NULL DEFAULT 15 CHECK (overdue_grace_minutes >= 0),
+    due_soon_hours INTEGER NOT NULL DEFAULT 24 CHECK (due_soon_hours >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+INSERT INTO rental_status_engine_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS rental_status_engine_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    ran_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    triggered_by UUID REFERENCES auth.users(id),      -- NULL for the scheduled run
+    activated INTEGER NOT NULL DEFAULT 0,
+    marked_overdue INTEGER NOT NULL DEFAULT 0,
+    alerts_raised INTEGER NOT NULL DEFAULT 0,
+    alerts_resolved INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_status_engine_runs_ran_at ON rental_status_engine_runs(ran_at DESC);
+
+-- =====================================================
+-- 5. AUDIT TRIGGER
+-- The engine marks its own changes through the
+-- rental_status.source setting; anything else is a user change
+-- =====================================================
+CREATE OR REPLACE FUNCTION rental_status_audit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_source TEXT := COALESCE(NULLIF(current_setting('rental_status.source', true), ''), 'user');
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.rental_status IS DISTINCT FROM OLD.rental_status THEN
+        INSERT INTO rental_audit_log (rental_id, action, source, performed_by, old_data, new_data, metadata)
+        VALUES (
+            NEW.id,
+            'status_change',
+            v_source,
+            auth.uid(),
+            CASE WHEN TG_OP = 'UPDATE' THEN jsonb_build_object('rental_status', OLD.rental_status) END,
+            jsonb_build_object('rental_status', NEW.rental_status),
+            jsonb_build_object(
+                'action_type', 'status_change',
+                'previous_status', CASE WHEN TG_OP = 'UPDATE' THEN OLD.rental_status END,
+                'new_status', NEW.rental_status
+            )
+        );
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.overdue_since IS NOT NULL AND OLD.overdue_since IS NULL THEN
+        INSERT INTO rental_audit_log (rental_id, action, source, performed_by, new_data, metadata)
+        VALUES (
+            NEW.id,
+            'marked_overdue',
+            v_source,
+            auth.uid(),
+            jsonb_build_object('overdue_since', NEW.overdue_since),
+            jsonb_build_object('action_type', 'status_change', 'rental_end_date', NEW.rental_end_date)
+        );
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_rental_status_audit ON app_4c3a7a6153_rentals;
+CREATE TRIGGER trg_rental_status_audit
+    AFTER INSERT OR UPDATE OF rental_status, overdue_since ON app_4c3a7a6153_rentals
+    FOR EACH ROW EXECUTE FUNCTION rental_status_audit();
+
+-- =====================================================
+-- 6. ENGINE
+-- =====================================================
+CREATE OR REPLACE FUNCTION run_rental_status_engine()
+RETURNS rental_status_engine_runs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_settings rental_status_engine_settings%ROWTYPE;
+    v_run rental_status_engine_runs%ROWTYPE;
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+    v_rental RECORD;
+    v_key TEXT;
+    v_vehicle TEXT;
+    v_overdue BOOLEAN;
+    v_hours INTEGER;
+    v_activated INTEGER := 0;
+    v_marked_overdue INTEGER := 0;
+    v_alerts_raised INTEGER := 0;
+    v_alerts_resolved INTEGER := 0;
+BEGIN
+    -- One run at a time; a concurrent call simply returns
+    IF NOT pg_try_advisory_xact_lock(hashtext('run_rental_status_engine')) THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM set_config('rental_status.source', 'engine', true);
+
+    SELECT * INTO v_settings FROM rental_status_engine_settings WHERE id;
+
+    -- scheduled -> active
+    IF v_settings.auto_activate THEN
+        FOR v_rental IN
+            UPDATE app_4c3a7a6153_rentals
+            SET rental_status = 'active',
+                started_at = COALESCE(started_at, v_now),
+                updated_at = v_now
+            WHERE rental_status = 'scheduled'
+              AND rental_start_date <= v_now
+              AND (rental_end_date IS NULL OR rental_end_date > v_now)
+              AND COALESCE(payment_status, '') <> 'refunded'
+              AND (NOT v_settings.require_payment_to_activate OR payment_status = 'paid')
+            RETURNING id, vehicle_id
+        LOOP
+            v_activated := v_activated + 1;
+            IF v_rental.vehicle_id IS NOT NULL THEN
+                UPDATE saharax_0u4w4d_vehicles SET status = 'rented' WHERE id = v_rental.vehicle_id;
+            END IF;
+        END LOOP;
+    END IF;
+
+    -- active -> overdue
+    UPDATE app_4c3a7a6153_rentals
+    SET overdue_since = v_now,
+        updated_at = v_now
+    WHERE rental_status IN ('active', 'rented')
+      AND overdue_since IS NULL
+      AND rental_end_date + make_interval(mins => v_settings.overdue_grace_minutes) < v_now;
+    GET DIAGNOSTICS v_marked_overdue = ROW_COUNT;
+
+    -- Return alerts: due within due_soon_hours, or overdue
+    FOR v_rental IN
+        SELECT r.id, r.vehicle_id, r.customer_name, r.rental_end_date, r.rental_status, r.overdue_since,
+               v.name AS vehicle_name, v.plate_number
+        FROM app_4c3a7a6153_rentals r
+        LEFT JOIN saharax_0u4w4d_vehicles v ON v.id = r.vehicle_id
+        WHERE r.rental_status IN ('active', 'rented')
+          AND r.rental_end_date <= v_now + make_interval(hours => v_settings.due_soon_hours)
+    LOOP
+        v_key := 'rental_return_overdue:' || v_rental.id;
+        v_overdue := v_rental.overdue_since IS NOT NULL;
+        v_vehicle := COALESCE(v_rental.vehicle_name, 'Vehicle')
+            || CASE WHEN v_rental.plate_number IS NOT NULL THEN ' (' || v_rental.plate_number || ')' ELSE '' END;
+        v_hours := FLOOR(ABS(EXTRACT(EPOCH FROM (v_now - v_rental.rental_end_date))) / 3600);
+
+        INSERT INTO system_alerts (alert_type, priority, title, message, rental_id, vehicle_id, dedupe_key, metadata)
+        VALUES (
+            'rental_return_overdue',
+            CASE WHEN v_overdue THEN 'high' ELSE 'medium' END,
+            CASE WHEN v_overdue THEN 'Rental Return Overdue - ' ELSE 'Rental Return Due Soon - ' END || COALESCE(v_rental.plate_number, v_rental.vehicle_name, ''),
+            v_vehicle || ' rented by ' || COALESCE(v_rental.customer_name, 'customer') || CASE
+                WHEN v_overdue THEN ' is ' || v_hours || ' h overdue'
+                WHEN v_rental.rental_end_date <= v_now THEN ' is due back now'
+                ELSE ' is due back in ' || v_hours || ' h'
+            END,
+            v_rental.id,
+            v_rental.vehicle_id,
+            v_key,
+            jsonb_build_object('rental_end_date', v_rental.rental_end_date, 'is_overdue', v_overdue, 'hours', v_hours)
+        )
+        ON CONFLICT (dedupe_key) WHERE status = 'open' DO UPDATE
+        SET priority = EXCLUDED.priority,
+            title = EXCLUDED.title,
+            message = EXCLUDED.message,
+            metadata = EXCLUDED.metadata,
+            updated_at = v_now
+        -- Only count an alert as raised when it is new or just became overdue
+        WHERE system_alerts.priority IS DISTINCT FROM EXCLUDED.priority
+           OR system_alerts.message IS DISTINCT FROM EXCLUDED.message;
+
+        IF FOUND THEN
+            v_alerts_raised := v_alerts_raised + 1;
+        END IF;
+    END LOOP;
+
+    UPDATE system_alerts a
+    SET status = 'resolved',
+        resolved_at = v_now,
+        updated_at = v_now
+    FROM app_4c3a7a6153_rentals r
+    WHERE a.alert_type = 'rental_return_overdue'
+      AND a.status = 'open'
+      AND r.id = a.rental_id
+      AND r.rental_status NOT IN ('active', 'rented');
+    GET DIAGNOSTICS v_alerts_resolved = ROW_COUNT;
+
+    INSERT INTO rental_status_engine_runs (triggered_by, activated, marked_overdue, alerts_raised, alerts_resolved)
+    VALUES (auth.uid(), v_activated, v_marked_overdue, v_alerts_raised, v_alerts_resolved)
+    RETURNING * INTO v_run;
+
+    RETURN v_run;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION run_rental_status_engine() TO authenticated;
+
+-- =====================================================
+-- 7. ROW LEVEL SECURITY
+-- Audit rows are append-only for staff; the engine tables are
+-- written by the functions above
+-- =====================================================
+ALTER TABLE rental_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE system_alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rental_status_engine_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rental_status_engine_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_read_rental_audit_log" ON rental_audit_log;
+CREATE POLICY "staff_read_rental_audit_log" ON rental_audit_log
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_append_rental_audit_log" ON rental_audit_log;
+CREATE POLICY "staff_append_rental_audit_log" ON rental_audit_log
+  FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) AND source = 'user');
+
+DROP POLICY IF EXISTS "staff_read_system_alerts" ON system_alerts;
+CREATE POLICY "staff_read_system_alerts" ON system_alerts
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_manage_status_engine_settings" ON rental_status_engine_settings;
+CREATE POLICY "staff_manage_status_engine_settings" ON rental_status_engine_settings
+  FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "staff_read_status_engine_runs" ON rental_status_engine_runs;
+CREATE POLICY "staff_read_status_engine_runs" ON rental_status_engine_runs
+  FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
+
+-- =====================================================
+-- 8. SCHEDULE (pg_cron)
+-- Outside the transaction: enable pg_cron under Database >
+-- Extensions first if this fails. Re-running replaces the job.
+-- =====================================================
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+SELECT cron.schedule('rental-status-engine', '*/5 * * * *', 'SELECT run_rental_status_engine()');
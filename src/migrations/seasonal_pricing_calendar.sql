@@ -0,0 +1,175 @@
+-- =====================================================
+-- SEASONAL PRICING CALENDAR
+-- Rentals are priced slot by slot (each day of a daily rental, each
+-- hour of an hourly one) instead of taking a season only when the whole
+-- rental fits inside it. A slot's rate is the unit price times:
+--   * the season covering its date (seasonal_pricing_rules), and
+--   * the holiday covering its date (pricing_holiday_calendars) or,
+--     on an ordinary day, the weekday rule for its day of the week
+--     (pricing_weekday_rules).
+-- Rules and calendars without a vehicle model apply to every model; a
+-- model-specific one takes precedence over them.
+--
+-- Holiday calendars are configurable date sets: Moroccan public
+-- holidays, Ramadan and Eid are seeded for 2026 and 2027. The Hijri
+-- dates are the expected ones and may move by a day with the moon
+-- sighting; correct them once they are announced.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SEASONS
+-- =====================================================
+-- A season may be a single day
+ALTER TABLE seasonal_pricing_rules DROP CONSTRAINT IF EXISTS valid_date_range;
+ALTER TABLE seasonal_pricing_rules
+ADD CONSTRAINT valid_date_range CHECK (end_date >= start_date);
+
+-- =====================================================
+-- 2. WEEKDAY RULES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS pricing_weekday_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    vehicle_model_id UUID REFERENCES saharax_0u4w4d_vehicle_models(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- 0 = Sunday ... 6 = Saturday, as in JavaScript's Date.getDay()
+    days_of_week SMALLINT[] NOT NULL CHECK (
+        cardinality(days_of_week) > 0 AND days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[]
+    ),
+    multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0 CHECK (multiplier > 0 AND multiplier <= 10),
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_weekday_rules_model ON pricing_weekday_rules(vehicle_model_id);
+
+-- =====================================================
+-- 3. HOLIDAY CALENDARS AND THEIR DATES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS pricing_holiday_calendars (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    vehicle_model_id UUID REFERENCES saharax_0u4w4d_vehicle_models(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    kind VARCHAR(20) NOT NULL DEFAULT 'custom' CHECK (kind IN ('public_holiday', 'religious', 'custom')),
+    multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.0 CHECK (multiplier > 0 AND multiplier <= 10),
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS pricing_holiday_dates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    calendar_id UUID NOT NULL REFERENCES pricing_holiday_calendars(id) ON DELETE CASCADE,
+    label VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+
+    CONSTRAINT valid_holiday_range CHECK (end_date >= start_date),
+    CONSTRAINT unique_holiday_date UNIQUE (calendar_id, start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_holiday_dates_range ON pricing_holiday_dates(start_date, end_date);
+
+DROP TRIGGER IF EXISTS update_pricing_weekday_rules_updated_at ON pricing_weekday_rules;
+CREATE TRIGGER update_pricing_weekday_rules_updated_at
+    BEFORE UPDATE ON pricing_weekday_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_pricing_holiday_calendars_updated_at ON pricing_holiday_calendars;
+CREATE TRIGGER update_pricing_holiday_calendars_updated_at
+    BEFORE UPDATE ON pricing_holiday_calendars
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 4. SEED DATA
+-- =====================================================
+-- Neutral until the rates are set in Pricing > Seasons & Holidays
+INSERT INTO pricing_weekday_rules (name, days_of_week, multiplier, description)
+SELECT 'Weekend', ARRAY[0, 6]::SMALLINT[], 1.0, 'Saturday and Sunday'
+WHERE NOT EXISTS (SELECT 1 FROM pricing_weekday_rules);
+
+INSERT INTO pricing_holiday_calendars (name, kind, multiplier, description) VALUES
+    ('Moroccan public holidays', 'public_holiday', 1.2, 'National and religious public holidays'),
+    ('Ramadan', 'religious', 1.0, 'The month of Ramadan'),
+    ('Eid', 'religious', 1.3, 'Eid al-Fitr and Eid al-Adha')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO pricing_holiday_dates (calendar_id, label, start_date, end_date)
+SELECT c.id, h.label, h.start_date, h.end_date
+FROM pricing_holiday_calendars c
+JOIN (
+    SELECT 'Moroccan public holidays' AS calendar, f.label || ' ' || y AS label,
+           make_date(y, f.month, f.day) AS start_date, make_date(y, f.month, f.day) AS end_date
+    FROM generate_series(2026, 2027) AS y
+    CROSS JOIN (VALUES
+        ('New Year''s Day', 1, 1),
+        ('Independence Manifesto Day', 1, 11),
+        ('Amazigh New Year', 1, 14),
+        ('Labour Day', 5, 1),
+        ('Throne Day', 7, 30),
+        ('Oued Ed-Dahab Day', 8, 14),
+        ('Revolution of the King and the People', 8, 20),
+        ('Youth Day', 8, 21),
+        ('Green March', 11, 6),
+        ('Independence Day', 11, 18)
+    ) AS f(label, month, day)
+    UNION ALL
+    SELECT * FROM (VALUES
+        ('Moroccan public holidays', 'Islamic New Year 2026', DATE '2026-06-17', DATE '2026-06-17'),
+        ('Moroccan public holidays', 'Mawlid 2026', DATE '2026-08-26', DATE '2026-08-27'),
+        ('Moroccan public holidays', 'Islamic New Year 2027', DATE '2027-06-06', DATE '2027-06-06'),
+        ('Moroccan public holidays', 'Mawlid 2027', DATE '2027-08-15', DATE '2027-08-16'),
+        ('Ramadan', 'Ramadan 2026', DATE '2026-02-19', DATE '2026-03-19'),
+        ('Ramadan', 'Ramadan 2027', DATE '2027-02-08', DATE '2027-03-09'),
+        ('Eid', 'Eid al-Fitr 2026', DATE '2026-03-20', DATE '2026-03-21'),
+        ('Eid', 'Eid al-Adha 2026', DATE '2026-05-27', DATE '2026-05-28'),
+        ('Eid', 'Eid al-Fitr 2027', DATE '2027-03-10', DATE '2027-03-11'),
+        ('Eid', 'Eid al-Adha 2027', DATE '2027-05-17', DATE '2027-05-18')
+    ) AS r(calendar, label, start_date, end_date)
+) h ON h.calendar = c.name
+ON CONFLICT (calendar_id, start_date) DO NOTHING;
+
+-- =====================================================
+-- 5. ROW LEVEL SECURITY
+-- Everyone reads the rules (the customer portal quotes with them);
+-- only staff change them
+-- =====================================================
+ALTER TABLE pricing_weekday_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pricing_holiday_calendars ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pricing_holiday_dates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read weekday rules" ON pricing_weekday_rules;
+CREATE POLICY "Anyone can read weekday rules" ON pricing_weekday_rules
+    FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS "Staff can manage weekday rules" ON pricing_weekday_rules;
+CREATE POLICY "Staff can manage weekday rules" ON pricing_weekday_rules
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Anyone can read holiday calendars" ON pricing_holiday_calendars;
+CREATE POLICY "Anyone can read holiday calendars" ON pricing_holiday_calendars
+    FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS "Staff can manage holiday calendars" ON pricing_holiday_calendars;
+CREATE POLICY "Staff can manage holiday calendars" ON pricing_holiday_calendars
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Anyone can read holiday dates" ON pricing_holiday_dates;
+CREATE POLICY "Anyone can read holiday dates" ON pricing_holiday_dates
+    FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS "Staff can manage holiday dates" ON pricing_holiday_dates;
+CREATE POLICY "Staff can manage holiday dates" ON pricing_holiday_dates
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
@@ -0,0 +1,760 @@
+-- =====================================================
+-- STEP-UP AUTHENTICATION
+-- Sensitive actions need a fresh proof from an owner or admin: their
+-- own PIN plus a code from their authenticator app (or one of their
+-- recovery codes). Everything is checked here, never in the browser:
+--   * PINs and recovery codes are stored as bcrypt hashes
+--   * five wrong attempts lock step-up for fifteen minutes
+--   * TOTP codes are checked against the enrolled secret (RFC 6238,
+--     SHA-1, 6 digits, 30 s) and a code is never accepted twice
+-- A successful check issues a grant for one action on the listed
+-- targets, valid five minutes. The tables and functions that carry
+-- out the action consume it:
+--   override_close   override_close_rental()
+--   price_override   client writes that change a rental's total_amount
+--   delete_rental / delete_customer / delete_vehicle   DELETE
+--   release_deposit  deposit_settlements (sign_deposit_settlement)
+-- Every check, success or failure, and every grant used is written
+-- to step_up_audit_log. Requires deposit_settlements.sql and
+-- rental_status_engine.sql.
+-- =====================================================
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- =====================================================
+-- 1. TABLES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS step_up_credentials (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    pin_hash TEXT,
+    totp_secret BYTEA,
+    totp_pending_secret BYTEA,
+    totp_enabled_at TIMESTAMP WITH TIME ZONE,
+    -- Last 30-second step accepted, so a code cannot be replayed
+    last_totp_step BIGINT,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS step_up_recovery_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS step_up_recovery_codes_user_idx ON step_up_recovery_codes(user_id) WHERE used_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS step_up_grants (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL,
+    -- A rental not created yet is named by the id the client gives it
+    target_ids TEXT[] NOT NULL,
+    used_targets TEXT[] NOT NULL DEFAULT '{}',
+    method VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS step_up_grants_user_action_idx ON step_up_grants(user_id, action, expires_at);
+
+CREATE TABLE IF NOT EXISTS step_up_audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    user_name TEXT,
+    event VARCHAR(30) NOT NULL CHECK (event IN (
+        'verified', 'failed', 'locked', 'used',
+        'pin_set', 'totp_enrolled', 'recovery_codes_generated', 'reset'
+    )),
+    action VARCHAR(30),
+    target_ids TEXT[],
+    detail TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS step_up_audit_log_created_at_idx ON step_up_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS step_up_audit_log_user_idx ON step_up_audit_log(user_id, created_at DESC);
+
+-- =====================================================
+-- 2. HELPERS
+-- =====================================================
+CREATE OR REPLACE FUNCTION step_up_is_manager()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u
+        WHERE u.auth_id = auth.uid() AND u.role IN ('admin', 'owner')
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION step_up_audit(
+    p_event VARCHAR,
+    p_action VARCHAR,
+    p_target_ids TEXT[],
+    p_detail TEXT
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO step_up_audit_log (user_id, user_name, event, action, target_ids, detail)
+    SELECT
+        auth.uid(),
+        (SELECT COALESCE(u.raw_user_meta_data->>'full_name', u.email) FROM auth.users u WHERE u.id = auth.uid()),
+        p_event,
+        p_action,
+        p_target_ids,
+        p_detail;
+$$;
+
+-- RFC 4648 base32, as authenticator apps expect the secret
+CREATE OR REPLACE FUNCTION step_up_base32(p_bytes BYTEA)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_alphabet CONSTANT TEXT := 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    v_bits TEXT := '';
+    v_out TEXT := '';
+    i INTEGER;
+BEGIN
+    FOR i IN 0 .. length(p_bytes) - 1 LOOP
+        v_bits := v_bits || get_byte(p_bytes, i)::BIT(8)::TEXT;
+    END LOOP;
+    v_bits := rpad(v_bits, ((length(v_bits) + 4) / 5) * 5, '0');
+    FOR i IN 0 .. length(v_bits) / 5 - 1 LOOP
+        v_out := v_out || substr(v_alphabet, substr(v_bits, i * 5 + 1, 5)::BIT(5)::INTEGER + 1, 1);
+    END LOOP;
+    RETURN v_out;
+END;
+$$;
+
+-- HOTP value of one 30-second step (RFC 4226 dynamic truncation)
+CREATE OR REPLACE FUNCTION step_up_totp_code(p_secret BYTEA, p_step BIGINT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_hash BYTEA := hmac(int8send(p_step), p_secret, 'sha1');
+    v_offset INTEGER := get_byte(v_hash, 19) & 15;
+    v_value BIGINT;
+BEGIN
+    v_value := ((get_byte(v_hash, v_offset) & 127)::BIGINT << 24)
+             | (get_byte(v_hash, v_offset + 1)::BIGINT << 16)
+             | (get_byte(v_hash, v_offset + 2)::BIGINT << 8)
+             | get_byte(v_hash, v_offset + 3)::BIGINT;
+    RETURN lpad((v_value % 1000000)::TEXT, 6, '0');
+END;
+$$;
+
+-- Step a code matches, allowing one step of clock drift either way
+CREATE OR REPLACE FUNCTION step_up_match_totp(p_secret BYTEA, p_code TEXT, p_after_step BIGINT)
+RETURNS BIGINT
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_now BIGINT := FLOOR(EXTRACT(EPOCH FROM NOW()) / 30)::BIGINT;
+    v_step BIGINT;
+BEGIN
+    IF p_secret IS NULL OR p_code !~ '^\d{6}$' THEN
+        RETURN NULL;
+    END IF;
+    FOR v_step IN v_now - 1 .. v_now + 1 LOOP
+        IF v_step > COALESCE(p_after_step, 0) AND step_up_totp_code(p_secret, v_step) = p_code THEN
+            RETURN v_step;
+        END IF;
+    END LOOP;
+    RETURN NULL;
+END;
+$$;
+
+-- Ten fresh recovery codes for the signed-in user; only the hashes are kept
+CREATE OR REPLACE FUNCTION step_up_new_recovery_codes()
+RETURNS TEXT[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_codes TEXT[] := '{}';
+    v_code TEXT;
+BEGIN
+    DELETE FROM step_up_recovery_codes WHERE user_id = auth.uid();
+    FOR i IN 1 .. 10 LOOP
+        v_code := lower(step_up_base32(gen_random_bytes(5)));
+        v_code := substr(v_code, 1, 4) || '-' || substr(v_code, 5, 4);
+        INSERT INTO step_up_recovery_codes (user_id, code_hash)
+        VALUES (auth.uid(), crypt(replace(v_code, '-', ''), gen_salt('bf', 10)));
+        v_codes := array_append(v_codes, v_code);
+    END LOOP;
+    RETURN v_codes;
+END;
+$$;
+
+-- =====================================================
+-- 3. CHECKING CREDENTIALS
+-- Returns {ok, method, error, locked_until} instead of raising, so a
+-- failed attempt and its lockout are committed.
+-- =====================================================
+CREATE OR REPLACE FUNCTION step_up_check(p_pin TEXT, p_code TEXT, p_require_code BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_credentials step_up_credentials%ROWTYPE;
+    v_pin_ok BOOLEAN;
+    v_step BIGINT;
+    v_recovery_id UUID;
+    v_code TEXT := lower(regexp_replace(COALESCE(p_code, ''), '[^0-9A-Za-z]', '', 'g'));
+    v_method TEXT := 'pin';
+BEGIN
+    SELECT * INTO v_credentials FROM step_up_credentials WHERE user_id = auth.uid() FOR UPDATE;
+
+    IF NOT FOUND OR v_credentials.pin_hash IS NULL THEN
+        RETURN jsonb_build_object('ok', FALSE, 'error', 'Set your step-up PIN under Profile > Security first');
+    END IF;
+    IF p_require_code AND v_credentials.totp_secret IS NULL THEN
+        RETURN jsonb_build_object('ok', FALSE, 'error', 'Set up your authenticator app under Profile > Security first');
+    END IF;
+    IF v_credentials.locked_until > NOW() THEN
+        RETURN jsonb_build_object(
+            'ok', FALSE,
+            'error', 'Too many failed attempts; step-up is locked',
+            'locked_until', v_credentials.locked_until
+        );
+    END IF;
+
+    v_pin_ok := crypt(COALESCE(p_pin, ''), v_credentials.pin_hash) = v_credentials.pin_hash;
+
+    IF p_require_code THEN
+        IF v_code ~ '^\d{6}$' THEN
+            v_step := step_up_match_totp(v_credentials.totp_secret, v_code, v_credentials.last_totp_step);
+            v_method := 'totp';
+        ELSIF v_code <> '' THEN
+            SELECT id INTO v_recovery_id
+            FROM step_up_recovery_codes
+            WHERE user_id = auth.uid() AND used_at IS NULL AND crypt(v_code, code_hash) = code_hash
+            LIMIT 1;
+            v_method := 'recovery_code';
+        END IF;
+    END IF;
+
+    IF v_pin_ok AND (NOT p_require_code OR v_step IS NOT NULL OR v_recovery_id IS NOT NULL) THEN
+        UPDATE step_up_credentials
+        SET failed_attempts = 0,
+            locked_until = NULL,
+            last_totp_step = COALESCE(v_step, last_totp_step),
+            updated_at = NOW()
+        WHERE user_id = auth.uid();
+        IF v_recovery_id IS NOT NULL THEN
+            UPDATE step_up_recovery_codes SET used_at = NOW() WHERE id = v_recovery_id;
+        END IF;
+        RETURN jsonb_build_object('ok', TRUE, 'method', v_method);
+    END IF;
+
+    IF v_credentials.failed_attempts + 1 >= 5 THEN
+        UPDATE step_up_credentials
+        SET failed_attempts = 0,
+            locked_until = NOW() + INTERVAL '15 minutes',
+            updated_at = NOW()
+        WHERE user_id = auth.uid()
+        RETURNING * INTO v_credentials;
+        RETURN jsonb_build_object(
+            'ok', FALSE,
+            'error', 'Too many failed attempts; step-up is locked',
+            'locked_until', v_credentials.locked_until
+        );
+    END IF;
+
+    UPDATE step_up_credentials
+    SET failed_attempts = failed_attempts + 1, updated_at = NOW()
+    WHERE user_id = auth.uid();
+    RETURN jsonb_build_object(
+        'ok', FALSE,
+        'error', CASE WHEN p_require_code THEN 'Wrong PIN or code' ELSE 'Wrong PIN' END,
+        'attempts_left', 4 - v_credentials.failed_attempts
+    );
+END;
+$$;
+
+-- =====================================================
+-- 4. ENROLLMENT
+-- =====================================================
+CREATE OR REPLACE FUNCTION step_up_status()
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'has_pin', COALESCE(c.pin_hash IS NOT NULL, FALSE),
+        'totp_enabled', COALESCE(c.totp_secret IS NOT NULL, FALSE),
+        'totp_enabled_at', c.totp_enabled_at,
+        'locked_until', CASE WHEN c.locked_until > NOW() THEN c.locked_until END,
+        'recovery_codes_left', (
+            SELECT COUNT(*) FROM step_up_recovery_codes r
+            WHERE r.user_id = auth.uid() AND r.used_at IS NULL
+        )
+    )
+    FROM (SELECT auth.uid() AS user_id) me
+    LEFT JOIN step_up_credentials c ON c.user_id = me.user_id;
+$$;
+
+-- Set or change the PIN. Changing it needs the current PIN, and the
+-- authenticator code once one is set up.
+CREATE OR REPLACE FUNCTION step_up_set_pin(p_new_pin TEXT, p_current_pin TEXT DEFAULT NULL, p_code TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_credentials step_up_credentials%ROWTYPE;
+    v_check JSONB;
+BEGIN
+    IF NOT step_up_is_manager() THEN
+        RAISE EXCEPTION 'Only an admin or the owner has a step-up PIN';
+    END IF;
+    IF COALESCE(p_new_pin, '') !~ '^\d{6,12}$' THEN
+        RAISE EXCEPTION 'The PIN must be 6 to 12 digits';
+    END IF;
+
+    SELECT * INTO v_credentials FROM step_up_credentials WHERE user_id = auth.uid();
+    IF FOUND AND v_credentials.pin_hash IS NOT NULL THEN
+        v_check := step_up_check(p_current_pin, p_code, v_credentials.totp_secret IS NOT NULL);
+        IF NOT (v_check->>'ok')::BOOLEAN THEN
+            PERFORM step_up_audit(
+                CASE WHEN v_check ? 'locked_until' THEN 'locked' ELSE 'failed' END,
+                'set_pin', NULL, v_check->>'error'
+            );
+            RETURN v_check;
+        END IF;
+    END IF;
+
+    INSERT INTO step_up_credentials (user_id, pin_hash)
+    VALUES (auth.uid(), crypt(p_new_pin, gen_salt('bf', 10)))
+    ON CONFLICT (user_id) DO UPDATE
+    SET pin_hash = EXCLUDED.pin_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = NOW();
+
+    PERFORM step_up_audit('pin_set', NULL, NULL, NULL);
+    RETURN jsonb_build_object('ok', TRUE);
+END;
+$$;
+
+-- New authenticator secret, kept pending until a code from it is confirmed
+CREATE OR REPLACE FUNCTION step_up_begin_totp()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_credentials step_up_credentials%ROWTYPE;
+    v_secret BYTEA := gen_random_bytes(20);
+    v_email TEXT;
+BEGIN
+    IF NOT step_up_is_manager() THEN
+        RAISE EXCEPTION 'Only an admin or the owner uses step-up verification';
+    END IF;
+
+    SELECT * INTO v_credentials FROM step_up_credentials WHERE user_id = auth.uid() FOR UPDATE;
+    IF NOT FOUND OR v_credentials.pin_hash IS NULL THEN
+        RAISE EXCEPTION 'Set your step-up PIN first';
+    END IF;
+    IF v_credentials.totp_secret IS NOT NULL THEN
+        RAISE EXCEPTION 'Your authenticator app is already set up; ask the owner to reset it to enroll a new one';
+    END IF;
+
+    UPDATE step_up_credentials SET totp_pending_secret = v_secret, updated_at = NOW() WHERE user_id = auth.uid();
+    SELECT email INTO v_email FROM auth.users WHERE id = auth.uid();
+
+    RETURN jsonb_build_object(
+        'secret', step_up_base32(v_secret),
+        'uri', 'otpauth://totp/SaharaX:' || v_email
+            || '?secret=' || step_up_base32(v_secret)
+            || '&issuer=SaharaX&algorithm=SHA1&digits=6&period=30'
+    );
+END;
+$$;
+
+-- Confirm the pending secret with a code from the app; returns the
+-- recovery codes, shown once
+CREATE OR REPLACE FUNCTION step_up_confirm_totp(p_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_credentials step_up_credentials%ROWTYPE;
+    v_step BIGINT;
+    v_codes TEXT[];
+BEGIN
+    SELECT * INTO v_credentials FROM step_up_credentials WHERE user_id = auth.uid() FOR UPDATE;
+    IF NOT FOUND OR v_credentials.totp_pending_secret IS NULL THEN
+        RAISE EXCEPTION 'Start the authenticator setup first';
+    END IF;
+
+    v_step := step_up_match_totp(v_credentials.totp_pending_secret, regexp_replace(COALESCE(p_code, ''), '\s', '', 'g'), NULL);
+    IF v_step IS NULL THEN
+        RAISE EXCEPTION 'That code does not match; check the time on your phone and try again';
+    END IF;
+
+    UPDATE step_up_credentials
+    SET totp_secret = totp_pending_secret,
+        totp_pending_secret = NULL,
+        totp_enabled_at = NOW(),
+        last_totp_step = v_step,
+        updated_at = NOW()
+    WHERE user_id = auth.uid();
+
+    v_codes := step_up_new_recovery_codes();
+    PERFORM step_up_audit('totp_enrolled', NULL, NULL, NULL);
+    RETURN jsonb_build_object('ok', TRUE, 'recovery_codes', to_jsonb(v_codes));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION step_up_regenerate_recovery_codes(p_pin TEXT, p_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_check JSONB := step_up_check(p_pin, p_code, TRUE);
+BEGIN
+    IF NOT (v_check->>'ok')::BOOLEAN THEN
+        PERFORM step_up_audit(
+            CASE WHEN v_check ? 'locked_until' THEN 'locked' ELSE 'failed' END,
+            'recovery_codes', NULL, v_check->>'error'
+        );
+        RETURN v_check;
+    END IF;
+
+    PERFORM step_up_audit('recovery_codes_generated', NULL, NULL, NULL);
+    RETURN jsonb_build_object('ok', TRUE, 'recovery_codes', to_jsonb(step_up_new_recovery_codes()));
+END;
+$$;
+
+-- The owner clears someone's PIN, authenticator and recovery codes
+-- (lost phone, forgotten PIN); they enroll again from scratch
+CREATE OR REPLACE FUNCTION step_up_reset(p_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid() AND u.role = 'owner') THEN
+        RAISE EXCEPTION 'Only the owner can reset step-up verification';
+    END IF;
+    IF p_user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot reset your own step-up verification';
+    END IF;
+
+    DELETE FROM step_up_credentials WHERE user_id = p_user_id;
+    DELETE FROM step_up_recovery_codes WHERE user_id = p_user_id;
+    DELETE FROM step_up_grants WHERE user_id = p_user_id;
+    PERFORM step_up_audit('reset', NULL, ARRAY[p_user_id::TEXT], NULL);
+END;
+$$;
+
+-- =====================================================
+-- 5. VERIFYING AND USING GRANTS
+-- =====================================================
+CREATE OR REPLACE FUNCTION step_up_verify(p_action VARCHAR, p_target_ids TEXT[], p_pin TEXT, p_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_check JSONB;
+    v_grant step_up_grants%ROWTYPE;
+BEGIN
+    IF NOT step_up_is_manager() THEN
+        RAISE EXCEPTION 'Only an admin or the owner can do this';
+    END IF;
+    IF p_action NOT IN ('override_close', 'price_override', 'delete_rental', 'delete_customer', 'delete_vehicle', 'release_deposit') THEN
+        RAISE EXCEPTION 'Unknown step-up action %', p_action;
+    END IF;
+    IF COALESCE(array_length(p_target_ids, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Say what the step-up is for';
+    END IF;
+
+    v_check := step_up_check(p_pin, p_code, TRUE);
+
+    IF NOT (v_check->>'ok')::BOOLEAN THEN
+        PERFORM step_up_audit(
+            CASE WHEN v_check ? 'locked_until' THEN 'locked' ELSE 'failed' END,
+            p_action, p_target_ids, v_check->>'error'
+        );
+        RETURN v_check || jsonb_build_object('verified', FALSE);
+    END IF;
+
+    INSERT INTO step_up_grants (user_id, action, target_ids, method, expires_at)
+    VALUES (auth.uid(), p_action, p_target_ids, v_check->>'method', NOW() + INTERVAL '5 minutes')
+    RETURNING * INTO v_grant;
+
+    PERFORM step_up_audit('verified', p_action, p_target_ids, v_check->>'method');
+    RETURN jsonb_build_object(
+        'verified', TRUE,
+        'grant_id', v_grant.id,
+        'method', v_grant.method,
+        'expires_at', v_grant.expires_at
+    );
+END;
+$$;
+
+-- Called where the action happens. Only the service role and
+-- database jobs run as postgres are not asked; anyone else without a
+-- grant is refused, anonymous callers included. session_user, since
+-- current_user is this function's owner.
+CREATE OR REPLACE FUNCTION require_step_up(p_action VARCHAR, p_target_id TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_grant_id UUID;
+BEGIN
+    IF auth.role() = 'service_role' OR session_user = 'postgres' THEN
+        RETURN;
+    END IF;
+
+    UPDATE step_up_grants
+    SET used_targets = array_append(used_targets, p_target_id)
+    WHERE id = (
+        SELECT id FROM step_up_grants
+        WHERE user_id = auth.uid()
+          AND action = p_action
+          AND expires_at > NOW()
+          AND p_target_id = ANY(target_ids)
+          AND NOT (p_target_id = ANY(used_targets))
+        ORDER BY created_at DESC
+        LIMIT 1
+        FOR UPDATE
+    )
+    RETURNING id INTO v_grant_id;
+
+    IF v_grant_id IS NULL THEN
+        RAISE EXCEPTION 'Step-up verification required: confirm with your PIN and authenticator code'
+            USING ERRCODE = '42501', HINT = p_action;
+    END IF;
+
+    PERFORM step_up_audit('used', p_action, ARRAY[p_target_id], v_grant_id::TEXT);
+END;
+$$;
+
+-- Deletions
+CREATE OR REPLACE FUNCTION step_up_guard_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM require_step_up(TG_ARGV[0], OLD.id::TEXT);
+    RETURN OLD;
+END;
+$$;
+
+DO $$
+DECLARE
+    v_guard RECORD;
+BEGIN
+    FOR v_guard IN
+        SELECT * FROM (VALUES
+            ('app_4c3a7a6153_rentals', 'delete_rental'),
+            ('app_4c3a7a6153_customers', 'delete_customer'),
+            ('saharax_0u4w4d_vehicles', 'delete_vehicle')
+        ) AS g(table_name, action)
+    LOOP
+        IF to_regclass(v_guard.table_name) IS NOT NULL THEN
+            EXECUTE format('DROP TRIGGER IF EXISTS step_up_guard_delete ON %I', v_guard.table_name);
+            EXECUTE format(
+                'CREATE TRIGGER step_up_guard_delete BEFORE DELETE ON %I FOR EACH ROW EXECUTE FUNCTION step_up_guard_delete(%L)',
+                v_guard.table_name, v_guard.action
+            );
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- Price overrides: a write from the browser that changes a rental's
+-- total_amount needs a grant on that rental, whatever approval_status
+-- it carries, and is stamped with who made it. A new rental is inserted
+-- with the id the client gave it, so the grant names that one rental.
+-- The engine prices through record_rental_quote; that and every other
+-- SECURITY DEFINER function (and the triggers it sets off) runs as its
+-- owner, which is why this guard runs as the caller and checks only
+-- anon and authenticated. remaining_amount is not checked separately:
+-- rentals_derive_payment_columns, which fires first, always works it
+-- out again from the total and the payments ledger.
+ALTER TABLE app_4c3a7a6153_rentals
+    ADD COLUMN IF NOT EXISTS price_overridden_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS price_overridden_by UUID REFERENCES auth.users(id);
+
+CREATE OR REPLACE FUNCTION step_up_guard_price_override()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF current_user NOT IN ('anon', 'authenticated') THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF COALESCE(NEW.total_amount, 0) = 0 AND NEW.price_overridden_at IS NULL THEN
+            RETURN NEW;
+        END IF;
+    ELSIF NEW.total_amount IS NOT DISTINCT FROM OLD.total_amount
+          AND NEW.price_overridden_at IS NOT DISTINCT FROM OLD.price_overridden_at THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM require_step_up('price_override', NEW.id::TEXT);
+    NEW.price_overridden_at := NOW();
+    NEW.price_overridden_by := auth.uid();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS step_up_guard_price_override ON app_4c3a7a6153_rentals;
+CREATE TRIGGER step_up_guard_price_override
+    BEFORE INSERT OR UPDATE ON app_4c3a7a6153_rentals
+    FOR EACH ROW
+    EXECUTE FUNCTION step_up_guard_price_override();
+
+-- Deposit release
+CREATE OR REPLACE FUNCTION step_up_guard_deposit_release()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM require_step_up('release_deposit', NEW.rental_id::TEXT);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS step_up_guard_deposit_release ON deposit_settlements;
+CREATE TRIGGER step_up_guard_deposit_release
+    BEFORE INSERT ON deposit_settlements
+    FOR EACH ROW
+    EXECUTE FUNCTION step_up_guard_deposit_release();
+
+-- Closing a rental without the closing video
+CREATE OR REPLACE FUNCTION override_close_rental(p_rental_id UUID, p_reason TEXT)
+RETURNS app_4c3a7a6153_rentals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_name TEXT;
+BEGIN
+    IF NOT step_up_is_manager() THEN
+        RAISE EXCEPTION 'Only an admin or the owner can close a rental without its video';
+    END IF;
+    IF NULLIF(TRIM(p_reason), '') IS NULL THEN
+        RAISE EXCEPTION 'A reason is required to close without the video';
+    END IF;
+
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = p_rental_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Rental % not found', p_rental_id;
+    END IF;
+    IF v_rental.rental_status NOT IN ('active', 'rented', 'overdue') THEN
+        RAISE EXCEPTION 'Only a rental that is out can be closed';
+    END IF;
+
+    PERFORM require_step_up('override_close', p_rental_id::TEXT);
+
+    SELECT COALESCE(u.raw_user_meta_data->>'full_name', u.email) INTO v_name FROM auth.users u WHERE u.id = auth.uid();
+
+    UPDATE app_4c3a7a6153_rentals
+    SET rental_status = 'completed',
+        completed_at = NOW(),
+        updated_at = NOW(),
+        notes = concat_ws(E'\n\n', NULLIF(notes, ''),
+            '[ADMIN OVERRIDE] Closed without video by ' || v_name || '. Reason: ' || TRIM(p_reason))
+    WHERE id = p_rental_id
+    RETURNING * INTO v_rental;
+
+    IF v_rental.vehicle_id IS NOT NULL THEN
+        UPDATE saharax_0u4w4d_vehicles SET status = 'available' WHERE id = v_rental.vehicle_id;
+    END IF;
+
+    INSERT INTO rental_audit_log (rental_id, action, performed_by, reason, metadata)
+    VALUES (p_rental_id, 'override_close', auth.uid(), TRIM(p_reason), jsonb_build_object('step_up', TRUE));
+
+    RETURN v_rental;
+END;
+$$;
+
+-- =====================================================
+-- 6. ACCESS
+-- Credentials, codes and grants are only reached through the
+-- functions above; owners and admins read the audit log.
+-- =====================================================
+ALTER TABLE step_up_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE step_up_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE step_up_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE step_up_audit_log ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON step_up_credentials, step_up_recovery_codes, step_up_grants FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON step_up_audit_log FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Managers can read the step-up audit log" ON step_up_audit_log;
+CREATE POLICY "Managers can read the step-up audit log" ON step_up_audit_log
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u
+        WHERE u.auth_id = auth.uid() AND u.role IN ('admin', 'owner')
+    ));
+
+REVOKE EXECUTE ON FUNCTION step_up_check(TEXT, TEXT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION step_up_new_recovery_codes() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION step_up_audit(VARCHAR, VARCHAR, TEXT[], TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION require_step_up(VARCHAR, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION step_up_totp_code(BYTEA, BIGINT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION step_up_match_totp(BYTEA, TEXT, BIGINT) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION step_up_status() TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_set_pin(TEXT, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_begin_totp() TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_confirm_totp(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_regenerate_recovery_codes(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_reset(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION step_up_verify(VARCHAR, TEXT[], TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION override_close_rental(UUID, TEXT) TO authenticated;
+-- step_up_guard_price_override runs as the caller; a caller can only
+-- use up their own grants with it
+GRANT EXECUTE ON FUNCTION require_step_up(VARCHAR, TEXT) TO authenticated;
+
+COMMIT;
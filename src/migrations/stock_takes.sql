@@ -0,0 +1,375 @@
+-- =====================================================
+-- STOCK TAKES
+-- A stock take freezes the expected quantity of every item at one
+-- location (optionally one category) when it starts. Staff then
+-- record counted quantities, typically on a phone by scanning the
+-- item barcode or searching. Posting turns every counted variance
+-- into one 'stock_take' movement, so the whole count lands in the
+-- ledger as inventory shrinkage (690 against 120) in one batch.
+--
+-- Stock keeps moving while the count goes on. Posting compares each
+-- count with the snapshot plus the net movements at the location
+-- between the snapshot and the moment the line was counted, so an
+-- issue made during the count is not deducted a second time.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. ITEM BARCODES
+-- =====================================================
+ALTER TABLE saharax_0u4w4d_inventory_items
+  ADD COLUMN IF NOT EXISTS barcode VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_barcode ON saharax_0u4w4d_inventory_items(barcode) WHERE barcode IS NOT NULL;
+
+-- =====================================================
+-- 2. SESSIONS AND LINES
+-- =====================================================
+CREATE SEQUENCE IF NOT EXISTS inventory_stock_take_number_seq;
+
+CREATE TABLE IF NOT EXISTS inventory_stock_takes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    reference VARCHAR(20) NOT NULL UNIQUE
+        DEFAULT 'ST-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('inventory_stock_take_number_seq')::TEXT, 5, '0'),
+    location_id UUID NOT NULL REFERENCES inventory_locations(id),
+    category VARCHAR(100),                          -- NULL counts every category
+    status VARCHAR(15) NOT NULL DEFAULT 'counting' CHECK (status IN ('counting', 'posted', 'cancelled')),
+    notes TEXT,
+    variance_value_mad NUMERIC(14,2),               -- Set when posted
+    created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+    posted_by UUID REFERENCES auth.users(id),
+    posted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_stock_takes_status ON inventory_stock_takes(status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS inventory_stock_take_lines (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    stock_take_id UUID NOT NULL REFERENCES inventory_stock_takes(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES saharax_0u4w4d_inventory_items(id),
+    expected_quantity NUMERIC(12,2) NOT NULL,
+    unit_cost_mad NUMERIC(12,4) NOT NULL DEFAULT 0, -- Average cost at the snapshot
+    counted_quantity NUMERIC(12,2) CHECK (counted_quantity >= 0),
+    moved_quantity NUMERIC(12,2) NOT NULL DEFAULT 0, -- Net movements between the snapshot and the count, set when posted
+    variance_quantity NUMERIC(12,2) GENERATED ALWAYS AS (counted_quantity - expected_quantity - moved_quantity) STORED,
+    variance_value_mad NUMERIC(14,2),               -- Value actually posted
+    notes TEXT,
+    counted_by UUID REFERENCES auth.users(id),
+    counted_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (stock_take_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_stock_take_lines_take ON inventory_stock_take_lines(stock_take_id);
+
+-- =====================================================
+-- 3. GUARDS
+-- Counts can only be recorded while the session is counting; a
+-- session can only be cancelled by hand, posting goes through
+-- post_stock_take()
+-- =====================================================
+CREATE OR REPLACE FUNCTION inventory_stock_take_lines_before_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF current_setting('inventory.posting_stock_take', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF (SELECT status FROM inventory_stock_takes WHERE id = NEW.stock_take_id) <> 'counting' THEN
+        RAISE EXCEPTION 'This stock take is closed';
+    END IF;
+
+    IF NEW.counted_quantity IS DISTINCT FROM OLD.counted_quantity THEN
+        NEW.counted_by := auth.uid();
+        NEW.counted_at := CASE WHEN NEW.counted_quantity IS NULL THEN NULL ELSE NOW() END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_stock_take_lines_before_update ON inventory_stock_take_lines;
+CREATE TRIGGER trg_inventory_stock_take_lines_before_update
+    BEFORE UPDATE ON inventory_stock_take_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_stock_take_lines_before_update();
+
+CREATE OR REPLACE FUNCTION inventory_stock_takes_before_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF current_setting('inventory.posting_stock_take', true) = 'on' OR NEW.status = OLD.status THEN
+        NEW.updated_at := NOW();
+        RETURN NEW;
+    END IF;
+
+    IF NOT (OLD.status = 'counting' AND NEW.status = 'cancelled') THEN
+        RAISE EXCEPTION 'Stock take % cannot go from % to %', OLD.reference, OLD.status, NEW.status;
+    END IF;
+
+    NEW.cancelled_at := NOW();
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_inventory_stock_takes_before_update ON inventory_stock_takes;
+CREATE TRIGGER trg_inventory_stock_takes_before_update
+    BEFORE UPDATE ON inventory_stock_takes
+    FOR EACH ROW
+    EXECUTE FUNCTION inventory_stock_takes_before_update();
+
+-- =====================================================
+-- 4. START: SNAPSHOT THE LOCATION
+-- =====================================================
+CREATE OR REPLACE FUNCTION start_stock_take(
+    p_location_id UUID,
+    p_category TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS inventory_stock_takes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_take inventory_stock_takes%ROWTYPE;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can start a stock take';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM inventory_locations WHERE id = p_location_id AND active) THEN
+        RAISE EXCEPTION 'Stock location % not found', p_location_id;
+    END IF;
+
+    -- One open count per location and scope
+    IF EXISTS (
+        SELECT 1 FROM inventory_stock_takes
+        WHERE location_id = p_location_id
+          AND status = 'counting'
+          AND (category IS NULL OR p_category IS NULL OR category = p_category)
+    ) THEN
+        RAISE EXCEPTION 'A stock take is already in progress at this location';
+    END IF;
+
+    INSERT INTO inventory_stock_takes (location_id, category, notes, created_by)
+    VALUES (p_location_id, NULLIF(p_category, ''), NULLIF(p_notes, ''), auth.uid())
+    RETURNING * INTO v_take;
+
+    INSERT INTO inventory_stock_take_lines (stock_take_id, item_id, expected_quantity, unit_cost_mad)
+    SELECT v_take.id, i.id, COALESCE(l.quantity, 0), COALESCE(NULLIF(i.average_cost, 0), i.cost_mad, 0)
+    FROM saharax_0u4w4d_inventory_items i
+    LEFT JOIN inventory_stock_levels l ON l.item_id = i.id AND l.location_id = p_location_id
+    WHERE i.active
+      AND (v_take.category IS NULL OR i.category = v_take.category);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No active items to count';
+    END IF;
+
+    RETURN v_take;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION start_stock_take(UUID, TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- 5. POST: ONE ADJUSTMENT PER VARIANCE
+-- Uncounted lines are left alone. Gains come in at the snapshot
+-- cost; losses are costed like any issue (FIFO or average).
+-- Movements counted in moved_quantity exclude the adjustments of
+-- this posting, which are made after every line was counted.
+-- =====================================================
+CREATE OR REPLACE FUNCTION post_stock_take(p_stock_take_id UUID)
+RETURNS inventory_stock_takes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_take inventory_stock_takes%ROWTYPE;
+    v_line inventory_stock_take_lines%ROWTYPE;
+    v_result JSONB;
+    v_value NUMERIC;
+    v_total NUMERIC := 0;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can post a stock take';
+    END IF;
+
+    SELECT * INTO v_take
+    FROM inventory_stock_takes
+    WHERE id = p_stock_take_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock take % not found', p_stock_take_id;
+    END IF;
+
+    IF v_take.status <> 'counting' THEN
+        RAISE EXCEPTION 'Stock take % is %', v_take.reference, v_take.status;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM inventory_stock_take_lines WHERE stock_take_id = p_stock_take_id AND counted_quantity IS NOT NULL) THEN
+        RAISE EXCEPTION 'Nothing has been counted yet';
+    END IF;
+
+    PERFORM set_config('inventory.posting_stock_take', 'on', true);
+
+    FOR v_line IN
+        SELECT * FROM inventory_stock_take_lines
+        WHERE stock_take_id = p_stock_take_id
+          AND counted_quantity IS NOT NULL
+        ORDER BY item_id
+        FOR UPDATE
+    LOOP
+        v_value := 0;
+
+        UPDATE inventory_stock_take_lines
+        SET moved_quantity = COALESCE((
+                SELECT SUM(CASE WHEN m.movement_type = 'in' THEN m.quantity ELSE -m.quantity END)
+                FROM saharax_0u4w4d_inventory_movements m
+                WHERE m.item_id = v_line.item_id
+                  AND m.location_id = v_take.location_id
+                  AND m.created_at > v_take.created_at
+                  AND m.created_at <= v_line.counted_at
+            ), 0)
+        WHERE id = v_line.id
+        RETURNING * INTO v_line;
+
+        IF v_line.variance_quantity <> 0 THEN
+            v_result := apply_inventory_movement(
+                v_line.item_id,
+                CASE WHEN v_line.variance_quantity > 0 THEN 'in' ELSE 'out' END,
+                ABS(v_line.variance_quantity),
+                v_line.unit_cost_mad,
+                'stock_take',
+                p_stock_take_id::TEXT,
+                format('Stock take %s: counted %s, expected %s', v_take.reference, v_line.counted_quantity, v_line.expected_quantity + v_line.moved_quantity),
+                v_take.location_id
+            );
+            v_value := SIGN(v_line.variance_quantity) * (v_result->>'total_cost')::NUMERIC;
+        END IF;
+
+        UPDATE inventory_stock_take_lines
+        SET variance_value_mad = v_value
+        WHERE id = v_line.id;
+
+        v_total := v_total + v_value;
+    END LOOP;
+
+    UPDATE inventory_stock_takes
+    SET status = 'posted',
+        variance_value_mad = ROUND(v_total, 2),
+        posted_by = auth.uid(),
+        posted_at = NOW()
+    WHERE id = p_stock_take_id
+    RETURNING * INTO v_take;
+
+    PERFORM set_config('inventory.posting_stock_take', 'off', true);
+
+    RETURN v_take;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION post_stock_take(UUID) TO authenticated;
+
+-- =====================================================
+-- 6. LEDGER
+-- Stock take variances are labelled as shrinkage / surplus
+-- =====================================================
+CREATE OR REPLACE FUNCTION ledger_sync_inventory_movement(p_movement JSONB, p_deleted BOOLEAN DEFAULT FALSE, p_entry_date DATE DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_reference TEXT := COALESCE(p_movement->>'reference_type', '');
+    v_is_in BOOLEAN := p_movement->>'movement_type' = 'in';
+    v_is_adjustment BOOLEAN := v_reference IN ('adjustment', 'stock_take');
+    v_value NUMERIC;
+BEGIN
+    IF v_reference IN ('transfer', 'maintenance') THEN
+        RETURN;
+    END IF;
+
+    v_value := CASE WHEN p_deleted THEN 0
+        ELSE ROUND(ledger_to_numeric(p_movement->>'quantity') * ledger_to_numeric(p_movement->>'unit_cost'), 2) END;
+
+    IF v_is_in THEN
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_in',
+            '120',
+            CASE WHEN v_is_adjustment THEN '690' WHEN v_reference = 'purchase_order' THEN '220' ELSE '101' END,
+            FALSE,
+            v_value, p_entry_date,
+            CASE
+                WHEN v_reference = 'stock_take' THEN 'Stock take surplus'
+                WHEN v_is_adjustment THEN 'Stock adjustment (gain)'
+                ELSE 'Parts purchase'
+            END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    ELSE
+        PERFORM ledger_sync_component(
+            'inventory_movement', p_movement->>'id', 'stock_out',
+            CASE WHEN v_is_adjustment THEN '690' ELSE '620' END, '120', FALSE,
+            v_value, p_entry_date,
+            CASE
+                WHEN v_reference = 'stock_take' THEN 'Inventory shrinkage (stock take)'
+                WHEN v_is_adjustment THEN 'Stock adjustment (loss)'
+                ELSE 'Parts used'
+            END,
+            jsonb_build_object('item_id', p_movement->>'item_id')
+        );
+    END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_sync_inventory_movement(JSONB, BOOLEAN, DATE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 7. ROW LEVEL SECURITY
+-- Sessions are created and posted through the functions above;
+-- staff record counts and notes on the lines, and may cancel
+-- =====================================================
+ALTER TABLE inventory_stock_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_stock_take_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can read stock takes" ON inventory_stock_takes;
+CREATE POLICY "Staff can read stock takes" ON inventory_stock_takes
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can update stock takes" ON inventory_stock_takes;
+CREATE POLICY "Staff can update stock takes" ON inventory_stock_takes
+    FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can read stock take lines" ON inventory_stock_take_lines;
+CREATE POLICY "Staff can read stock take lines" ON inventory_stock_take_lines
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can record counts" ON inventory_stock_take_lines;
+CREATE POLICY "Staff can record counts" ON inventory_stock_take_lines
+    FOR UPDATE USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+REVOKE INSERT, UPDATE, DELETE ON inventory_stock_takes FROM authenticated;
+GRANT UPDATE (status, notes) ON inventory_stock_takes TO authenticated;
+
+REVOKE INSERT, UPDATE, DELETE ON inventory_stock_take_lines FROM authenticated;
+GRANT UPDATE (counted_quantity, notes) ON inventory_stock_take_lines TO authenticated;
+
+COMMIT;
@@ -0,0 +1,651 @@
+-- =====================================================
+-- TILL SESSIONS
+-- A till session per staff member and shift: the opening float,
+-- every cash movement while it is open, the count at closing per
+-- currency and denomination, the discrepancy, and a manager's
+-- sign-off. Movements are recorded by the database as the cash
+-- moves:
+--   * cash payments, refunds and reversals (payment_transactions)
+--   * damage deposits taken in cash, when staff take them, and the
+--     refunded part when the deposit is settled
+--   * fuel bought with till cash (paid_from_till on the refill)
+--   * cash drops to the safe and other payouts, entered by staff
+-- A movement by someone without an open session is still kept,
+-- with no session, and shows in the daily report as cash outside
+-- a till. Requires payments_ledger.sql and deposit_settlements.sql.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SESSIONS
+-- Amounts are JSONB keyed by currency ({"MAD": 500, "EUR": 20});
+-- counts are keyed by currency then denomination
+-- ({"MAD": {"200": 3, "0.5": 4}}).
+-- =====================================================
+CREATE TABLE IF NOT EXISTS till_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    staff_id UUID NOT NULL REFERENCES auth.users(id),
+    staff_name TEXT,
+    business_date DATE NOT NULL,
+    opening_float JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'approved')),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    counts JSONB,
+    expected JSONB,
+    counted JSONB,
+    discrepancy JSONB,
+    closing_notes TEXT,
+    approved_by UUID REFERENCES auth.users(id),
+    approved_by_name TEXT,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    approval_notes TEXT
+);
+
+-- One open till per staff member
+CREATE UNIQUE INDEX IF NOT EXISTS till_sessions_one_open_per_staff
+    ON till_sessions(staff_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS till_sessions_business_date_idx ON till_sessions(business_date);
+CREATE INDEX IF NOT EXISTS till_sessions_status_idx ON till_sessions(status);
+
+-- =====================================================
+-- 2. MOVEMENTS
+-- amount is signed in its currency: cash in positive, cash out
+-- negative. source_table / source_id point at the row that moved
+-- the cash.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS till_movements (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID REFERENCES till_sessions(id) ON DELETE RESTRICT,
+    staff_id UUID REFERENCES auth.users(id),
+    movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN (
+        'payment', 'refund', 'reversal', 'deposit_in', 'deposit_out', 'fuel', 'cash_drop', 'payout'
+    )),
+    currency VARCHAR(3) NOT NULL DEFAULT 'MAD' CHECK (currency IN ('MAD', 'EUR', 'USD')),
+    amount DECIMAL(12,2) NOT NULL CHECK (amount <> 0),
+    rental_id UUID REFERENCES app_4c3a7a6153_rentals(id) ON DELETE SET NULL,
+    source_table TEXT,
+    source_id TEXT,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS till_movements_session_idx ON till_movements(session_id);
+CREATE INDEX IF NOT EXISTS till_movements_created_at_idx ON till_movements(created_at);
+CREATE INDEX IF NOT EXISTS till_movements_rental_idx ON till_movements(rental_id);
+CREATE UNIQUE INDEX IF NOT EXISTS till_movements_one_per_payment
+    ON till_movements(source_id) WHERE source_table = 'payment_transactions';
+
+CREATE OR REPLACE FUNCTION till_movements_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'Till movements cannot be changed or deleted';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS till_movements_immutable ON till_movements;
+CREATE TRIGGER till_movements_immutable
+    BEFORE UPDATE OR DELETE ON till_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION till_movements_immutable();
+
+-- =====================================================
+-- 3. RECORDING
+-- =====================================================
+
+-- Put a movement in the staff member's open till, if any
+CREATE OR REPLACE FUNCTION record_till_movement(
+    p_staff_id UUID,
+    p_type VARCHAR,
+    p_currency VARCHAR,
+    p_amount NUMERIC,
+    p_description TEXT,
+    p_rental_id UUID DEFAULT NULL,
+    p_source_table TEXT DEFAULT NULL,
+    p_source_id TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session_id UUID;
+    v_id UUID;
+BEGIN
+    IF ROUND(p_amount, 2) = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT id INTO v_session_id
+    FROM till_sessions
+    WHERE staff_id = p_staff_id AND status = 'open'
+    FOR UPDATE;
+
+    INSERT INTO till_movements (
+        session_id, staff_id, movement_type, currency, amount, rental_id, source_table, source_id, description
+    ) VALUES (
+        v_session_id, p_staff_id, p_type, p_currency, ROUND(p_amount, 2), p_rental_id, p_source_table, p_source_id, p_description
+    )
+    RETURNING id INTO v_id;
+
+    RETURN v_id;
+END;
+$$;
+
+-- Cash drops and payouts entered at the till
+CREATE OR REPLACE FUNCTION add_till_movement(
+    p_type VARCHAR,
+    p_currency VARCHAR,
+    p_amount NUMERIC,
+    p_description TEXT
+)
+RETURNS till_movements
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_movement till_movements%ROWTYPE;
+    v_id UUID;
+BEGIN
+    IF p_type NOT IN ('cash_drop', 'payout') THEN
+        RAISE EXCEPTION 'Only cash drops and payouts can be entered by hand';
+    END IF;
+    IF NOT (p_amount > 0) THEN
+        RAISE EXCEPTION 'Amount must be greater than 0';
+    END IF;
+    IF NULLIF(TRIM(p_description), '') IS NULL THEN
+        RAISE EXCEPTION 'Say what the cash was for';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM till_sessions WHERE staff_id = auth.uid() AND status = 'open') THEN
+        RAISE EXCEPTION 'Open your till first';
+    END IF;
+
+    v_id := record_till_movement(auth.uid(), p_type, p_currency, -p_amount, TRIM(p_description));
+    SELECT * INTO v_movement FROM till_movements WHERE id = v_id;
+    RETURN v_movement;
+END;
+$$;
+
+-- Cash payments, refunds and reversals
+CREATE OR REPLACE FUNCTION till_record_payment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.tender = 'cash' THEN
+        PERFORM record_till_movement(
+            NEW.collected_by,
+            NEW.transaction_type,
+            NEW.currency,
+            SIGN(NEW.amount_mad) * NEW.amount,
+            NEW.receipt_number,
+            NEW.rental_id,
+            'payment_transactions',
+            NEW.id::TEXT
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS till_record_payment ON payment_transactions;
+CREATE TRIGGER till_record_payment
+    AFTER INSERT ON payment_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION till_record_payment();
+
+-- Damage deposit, recorded by the staff member who takes it with
+-- its tender. Only cash goes in the till; a card or transfer
+-- deposit is returned the same way, outside it.
+ALTER TABLE app_4c3a7a6153_rentals
+ADD COLUMN IF NOT EXISTS deposit_taken_tender VARCHAR(20)
+    CHECK (deposit_taken_tender IN ('cash', 'card', 'bank_transfer')),
+ADD COLUMN IF NOT EXISTS deposit_taken_currency VARCHAR(3)
+    CHECK (deposit_taken_currency IN ('MAD', 'EUR', 'USD')),
+ADD COLUMN IF NOT EXISTS deposit_taken_amount DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS deposit_taken_exchange_rate DECIMAL(12,6),
+ADD COLUMN IF NOT EXISTS deposit_taken_by UUID REFERENCES auth.users(id),
+ADD COLUMN IF NOT EXISTS deposit_taken_at TIMESTAMP WITH TIME ZONE;
+
+DROP TRIGGER IF EXISTS till_record_deposit_taken ON app_4c3a7a6153_rentals;
+DROP FUNCTION IF EXISTS till_record_deposit_taken();
+
+CREATE OR REPLACE FUNCTION take_damage_deposit(
+    p_rental_id UUID,
+    p_tender VARCHAR,
+    p_currency VARCHAR DEFAULT 'MAD',
+    p_exchange_rate NUMERIC DEFAULT 1
+)
+RETURNS app_4c3a7a6153_rentals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+    v_rate NUMERIC := CASE WHEN p_currency = 'MAD' THEN 1 ELSE p_exchange_rate END;
+    v_amount NUMERIC;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can take damage deposits';
+    END IF;
+    IF p_tender NOT IN ('cash', 'card', 'bank_transfer') THEN
+        RAISE EXCEPTION 'Choose cash, card or bank transfer';
+    END IF;
+    IF p_currency NOT IN ('MAD', 'EUR', 'USD') THEN
+        RAISE EXCEPTION 'Unsupported currency %', p_currency;
+    END IF;
+    IF p_currency <> 'MAD' AND p_tender <> 'cash' THEN
+        RAISE EXCEPTION 'Foreign currency is only accepted in cash';
+    END IF;
+    IF NOT (v_rate > 0) THEN
+        RAISE EXCEPTION 'Enter the % exchange rate', p_currency;
+    END IF;
+
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = p_rental_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Rental % not found', p_rental_id;
+    END IF;
+    IF NOT (COALESCE(v_rental.damage_deposit, 0) > 0) THEN
+        RAISE EXCEPTION 'This rental has no damage deposit';
+    END IF;
+    IF v_rental.deposit_taken_at IS NOT NULL THEN
+        RAISE EXCEPTION 'The damage deposit has already been taken';
+    END IF;
+    IF EXISTS (SELECT 1 FROM deposit_settlements WHERE rental_id = p_rental_id) THEN
+        RAISE EXCEPTION 'The damage deposit has already been settled';
+    END IF;
+
+    v_amount := ROUND(v_rental.damage_deposit / v_rate, 2);
+
+    UPDATE app_4c3a7a6153_rentals
+    SET deposit_taken_tender = p_tender,
+        deposit_taken_currency = p_currency,
+        deposit_taken_amount = v_amount,
+        deposit_taken_exchange_rate = v_rate,
+        deposit_taken_by = auth.uid(),
+        deposit_taken_at = NOW()
+    WHERE id = p_rental_id
+    RETURNING * INTO v_rental;
+
+    IF p_tender = 'cash' THEN
+        PERFORM record_till_movement(
+            auth.uid(),
+            'deposit_in',
+            p_currency,
+            v_amount,
+            'Damage deposit ' || COALESCE(to_jsonb(v_rental)->>'rental_id', v_rental.id::TEXT),
+            v_rental.id,
+            'app_4c3a7a6153_rentals',
+            v_rental.id::TEXT
+        );
+    END IF;
+
+    RETURN v_rental;
+END;
+$$;
+
+-- Refunded part of a cash deposit handed back at settlement, in
+-- the currency it was taken in
+CREATE OR REPLACE FUNCTION till_record_deposit_returned()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rental app_4c3a7a6153_rentals%ROWTYPE;
+BEGIN
+    SELECT * INTO v_rental FROM app_4c3a7a6153_rentals WHERE id = NEW.rental_id;
+
+    IF v_rental.deposit_taken_tender = 'cash' THEN
+        PERFORM record_till_movement(
+            NEW.signed_by,
+            'deposit_out',
+            v_rental.deposit_taken_currency,
+            -NEW.refund_amount / v_rental.deposit_taken_exchange_rate,
+            'Damage deposit returned',
+            NEW.rental_id,
+            'deposit_settlements',
+            NEW.id::TEXT
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS till_record_deposit_returned ON deposit_settlements;
+CREATE TRIGGER till_record_deposit_returned
+    AFTER INSERT ON deposit_settlements
+    FOR EACH ROW
+    EXECUTE FUNCTION till_record_deposit_returned();
+
+-- Fuel bought with till cash. An edit to the cost or the flag moves
+-- the difference.
+ALTER TABLE fuel_refills ADD COLUMN IF NOT EXISTS paid_from_till BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE vehicle_fuel_refills ADD COLUMN IF NOT EXISTS paid_from_till BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE OR REPLACE FUNCTION till_record_fuel()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_paid NUMERIC := CASE WHEN NEW.paid_from_till THEN COALESCE(NEW.total_cost, 0) ELSE 0 END;
+    v_was_paid NUMERIC := 0;
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.paid_from_till THEN
+        v_was_paid := COALESCE(OLD.total_cost, 0);
+    END IF;
+
+    PERFORM record_till_movement(
+        auth.uid(),
+        'fuel',
+        'MAD',
+        -(v_paid - v_was_paid),
+        CASE WHEN TG_TABLE_NAME = 'fuel_refills' THEN 'Tank refill' ELSE 'Vehicle refill' END
+            || COALESCE(' · ' || NULLIF(to_jsonb(NEW)->>'fuel_station', ''), ''),
+        NULL,
+        TG_TABLE_NAME,
+        NEW.id::TEXT
+    );
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS till_record_fuel ON fuel_refills;
+CREATE TRIGGER till_record_fuel
+    AFTER INSERT OR UPDATE OF paid_from_till, total_cost ON fuel_refills
+    FOR EACH ROW
+    EXECUTE FUNCTION till_record_fuel();
+
+DROP TRIGGER IF EXISTS till_record_fuel ON vehicle_fuel_refills;
+CREATE TRIGGER till_record_fuel
+    AFTER INSERT OR UPDATE OF paid_from_till, total_cost ON vehicle_fuel_refills
+    FOR EACH ROW
+    EXECUTE FUNCTION till_record_fuel();
+
+-- =====================================================
+-- 4. OPENING, CLOSING AND SIGN-OFF
+-- =====================================================
+CREATE OR REPLACE FUNCTION open_till_session(p_opening_float JSONB)
+RETURNS till_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session till_sessions%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to open a till';
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM jsonb_each_text(COALESCE(p_opening_float, '{}'::jsonb))
+        WHERE key NOT IN ('MAD', 'EUR', 'USD') OR value::NUMERIC < 0
+    ) THEN
+        RAISE EXCEPTION 'Opening float must be zero or more in MAD, EUR or USD';
+    END IF;
+
+    INSERT INTO till_sessions (staff_id, staff_name, business_date, opening_float)
+    SELECT
+        u.id,
+        COALESCE(u.raw_user_meta_data->>'full_name', u.email),
+        (NOW() AT TIME ZONE 'Africa/Casablanca')::DATE,
+        COALESCE(p_opening_float, '{}'::jsonb)
+    FROM auth.users u
+    WHERE u.id = auth.uid()
+    RETURNING * INTO v_session;
+
+    RETURN v_session;
+EXCEPTION
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'You already have an open till; close it first';
+END;
+$$;
+
+-- What should be in the till per currency: float plus movements
+CREATE OR REPLACE FUNCTION till_session_expected(p_session_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_object_agg(currency, total), '{}'::jsonb)
+    FROM (
+        SELECT currency, ROUND(SUM(amount), 2) AS total
+        FROM (
+            SELECT f.key AS currency, f.value::NUMERIC AS amount
+            FROM till_sessions s, jsonb_each_text(s.opening_float) f
+            WHERE s.id = p_session_id
+            UNION ALL
+            SELECT m.currency, m.amount
+            FROM till_movements m
+            WHERE m.session_id = p_session_id
+        ) amounts
+        GROUP BY currency
+    ) totals;
+$$;
+
+CREATE OR REPLACE FUNCTION close_till_session(p_session_id UUID, p_counts JSONB, p_notes TEXT DEFAULT NULL)
+RETURNS till_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session till_sessions%ROWTYPE;
+    v_expected JSONB;
+    v_counted JSONB;
+    v_discrepancy JSONB;
+BEGIN
+    SELECT * INTO v_session FROM till_sessions WHERE id = p_session_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Till session % not found', p_session_id;
+    END IF;
+    IF v_session.status <> 'open' THEN
+        RAISE EXCEPTION 'This till is already closed';
+    END IF;
+    IF v_session.staff_id <> auth.uid() THEN
+        RAISE EXCEPTION 'Only % can close this till', v_session.staff_name;
+    END IF;
+    IF EXISTS (
+        SELECT 1
+        FROM jsonb_each(COALESCE(p_counts, '{}'::jsonb)) c, jsonb_each_text(c.value) d
+        WHERE c.key NOT IN ('MAD', 'EUR', 'USD') OR d.key::NUMERIC <= 0 OR d.value::INTEGER < 0
+    ) THEN
+        RAISE EXCEPTION 'Counts must be whole numbers of MAD, EUR or USD notes and coins';
+    END IF;
+
+    v_expected := till_session_expected(p_session_id);
+
+    SELECT COALESCE(jsonb_object_agg(c.key, t.total), '{}'::jsonb)
+    INTO v_counted
+    FROM jsonb_each(COALESCE(p_counts, '{}'::jsonb)) c
+    CROSS JOIN LATERAL (
+        SELECT COALESCE(ROUND(SUM(d.key::NUMERIC * d.value::INTEGER), 2), 0) AS total
+        FROM jsonb_each_text(c.value) d
+    ) t;
+
+    -- Counted minus expected, for every currency either side has
+    SELECT COALESCE(jsonb_object_agg(currency,
+        COALESCE((v_counted->>currency)::NUMERIC, 0) - COALESCE((v_expected->>currency)::NUMERIC, 0)
+    ), '{}'::jsonb)
+    INTO v_discrepancy
+    FROM (
+        SELECT jsonb_object_keys(v_expected) AS currency
+        UNION
+        SELECT jsonb_object_keys(v_counted)
+    ) currencies;
+
+    IF EXISTS (SELECT 1 FROM jsonb_each_text(v_discrepancy) WHERE value::NUMERIC <> 0)
+       AND NULLIF(TRIM(p_notes), '') IS NULL THEN
+        RAISE EXCEPTION 'The count does not match the till; explain the difference in the notes';
+    END IF;
+
+    UPDATE till_sessions
+    SET status = 'closed',
+        closed_at = NOW(),
+        counts = COALESCE(p_counts, '{}'::jsonb),
+        expected = v_expected,
+        counted = v_counted,
+        discrepancy = v_discrepancy,
+        closing_notes = NULLIF(TRIM(p_notes), '')
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+
+    RETURN v_session;
+END;
+$$;
+
+-- A manager other than the cashier signs the count off
+CREATE OR REPLACE FUNCTION approve_till_session(p_session_id UUID, p_notes TEXT DEFAULT NULL)
+RETURNS till_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session till_sessions%ROWTYPE;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u
+        WHERE u.auth_id = auth.uid() AND u.role IN ('admin', 'owner')
+    ) THEN
+        RAISE EXCEPTION 'Only a manager can sign off a till';
+    END IF;
+
+    SELECT * INTO v_session FROM till_sessions WHERE id = p_session_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Till session % not found', p_session_id;
+    END IF;
+    IF v_session.status <> 'closed' THEN
+        RAISE EXCEPTION 'Only a closed till can be signed off';
+    END IF;
+    IF v_session.staff_id = auth.uid() THEN
+        RAISE EXCEPTION 'Another manager has to sign off your own till';
+    END IF;
+
+    UPDATE till_sessions
+    SET status = 'approved',
+        approved_by = auth.uid(),
+        approved_by_name = (SELECT COALESCE(u.raw_user_meta_data->>'full_name', u.email) FROM auth.users u WHERE u.id = auth.uid()),
+        approved_at = NOW(),
+        approval_notes = NULLIF(TRIM(p_notes), '')
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+
+    RETURN v_session;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION open_till_session(JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION add_till_movement(VARCHAR, VARCHAR, NUMERIC, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION take_damage_deposit(UUID, VARCHAR, VARCHAR, NUMERIC) TO authenticated;
+GRANT EXECUTE ON FUNCTION close_till_session(UUID, JSONB, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION approve_till_session(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION till_session_expected(UUID) TO authenticated;
+REVOKE EXECUTE ON FUNCTION record_till_movement(UUID, VARCHAR, VARCHAR, NUMERIC, TEXT, UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- 5. DAILY CASH REPORT
+-- Per day and currency, from the sessions opened that day and
+-- the movements in them; cash moved outside any till is counted
+-- on the day it moved.
+-- =====================================================
+CREATE OR REPLACE VIEW till_daily_cash_report
+WITH (security_invoker = true) AS
+WITH movements AS (
+    SELECT
+        COALESCE(s.business_date, (m.created_at AT TIME ZONE 'Africa/Casablanca')::DATE) AS business_date,
+        m.currency,
+        m.movement_type,
+        m.amount,
+        m.session_id
+    FROM till_movements m
+    LEFT JOIN till_sessions s ON s.id = m.session_id
+),
+movement_totals AS (
+    SELECT
+        business_date,
+        currency,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type IN ('payment', 'reversal')) AS payments,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'refund') AS refunds,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'deposit_in') AS deposits_in,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'deposit_out') AS deposits_out,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'fuel') AS fuel,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'cash_drop') AS cash_drops,
+        SUM(amount) FILTER (WHERE session_id IS NOT NULL AND movement_type = 'payout') AS payouts,
+        SUM(amount) FILTER (WHERE session_id IS NULL) AS outside_till
+    FROM movements
+    GROUP BY business_date, currency
+),
+session_totals AS (
+    SELECT
+        s.business_date,
+        c.currency,
+        COUNT(*) AS sessions,
+        COUNT(*) FILTER (WHERE s.status = 'open') AS open_sessions,
+        COUNT(*) FILTER (WHERE s.status = 'closed') AS awaiting_sign_off,
+        SUM(COALESCE((s.opening_float->>c.currency)::NUMERIC, 0)) AS opening_float,
+        SUM((s.counted->>c.currency)::NUMERIC) FILTER (WHERE s.status <> 'open') AS counted,
+        SUM(COALESCE((s.discrepancy->>c.currency)::NUMERIC, 0)) FILTER (WHERE s.status <> 'open') AS discrepancy
+    FROM till_sessions s
+    CROSS JOIN (VALUES ('MAD'), ('EUR'), ('USD')) AS c(currency)
+    WHERE s.opening_float ? c.currency
+       OR s.counted ? c.currency
+       OR EXISTS (SELECT 1 FROM till_movements m WHERE m.session_id = s.id AND m.currency = c.currency)
+    GROUP BY s.business_date, c.currency
+)
+SELECT
+    COALESCE(st.business_date, mt.business_date) AS business_date,
+    COALESCE(st.currency, mt.currency) AS currency,
+    COALESCE(st.sessions, 0) AS sessions,
+    COALESCE(st.open_sessions, 0) AS open_sessions,
+    COALESCE(st.awaiting_sign_off, 0) AS awaiting_sign_off,
+    COALESCE(st.opening_float, 0) AS opening_float,
+    COALESCE(mt.payments, 0) AS payments,
+    COALESCE(mt.refunds, 0) AS refunds,
+    COALESCE(mt.deposits_in, 0) AS deposits_in,
+    COALESCE(mt.deposits_out, 0) AS deposits_out,
+    COALESCE(mt.fuel, 0) AS fuel,
+    COALESCE(mt.cash_drops, 0) AS cash_drops,
+    COALESCE(mt.payouts, 0) AS payouts,
+    COALESCE(st.opening_float, 0)
+        + COALESCE(mt.payments, 0) + COALESCE(mt.refunds, 0)
+        + COALESCE(mt.deposits_in, 0) + COALESCE(mt.deposits_out, 0)
+        + COALESCE(mt.fuel, 0) + COALESCE(mt.cash_drops, 0) + COALESCE(mt.payouts, 0) AS expected,
+    st.counted,
+    COALESCE(st.discrepancy, 0) AS discrepancy,
+    COALESCE(mt.outside_till, 0) AS outside_till
+FROM session_totals st
+FULL JOIN movement_totals mt
+    ON mt.business_date = st.business_date AND mt.currency = st.currency;
+
+-- =====================================================
+-- 6. ROW LEVEL SECURITY
+-- Staff read tills; every change goes through the functions above.
+-- =====================================================
+ALTER TABLE till_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE till_movements ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON till_sessions FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON till_movements FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Staff can read till sessions" ON till_sessions;
+CREATE POLICY "Staff can read till sessions" ON till_sessions
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Staff can read till movements" ON till_movements;
+CREATE POLICY "Staff can read till movements" ON till_movements
+    FOR SELECT USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
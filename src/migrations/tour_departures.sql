@@ -0,0 +1,574 @@
+-- =====================================================
+-- TOUR DEPARTURES AND CAPACITY
+-- A departure is one scheduled start of a tour type, with the quads,
+-- seats and guides available for it. Bookings reserve quads and seats
+-- on a departure through reserve_tour_seats, which locks the departure
+-- so two bookings can never take the last quad. A full departure either
+-- rejects the booking or puts it on its waitlist; waitlisted bookings
+-- move up, oldest first, when a booking is cancelled or capacity grows.
+-- reserve_tour_seats also picks the booking's quads from the fleet. A
+-- quad can only be assigned to one tour at a time and never while it is
+-- out on a rental.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. DEPARTURES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tour_departures (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    tour_type VARCHAR(30) NOT NULL,
+    departure_date DATE NOT NULL,
+    departure_time TIME NOT NULL,
+    duration_hours NUMERIC(4,1) NOT NULL CHECK (duration_hours > 0),
+    quad_capacity INTEGER NOT NULL CHECK (quad_capacity >= 0),
+    seat_capacity INTEGER NOT NULL CHECK (seat_capacity >= 0),
+    guide_capacity INTEGER NOT NULL DEFAULT 1 CHECK (guide_capacity >= 0),
+    quads_per_guide INTEGER NOT NULL DEFAULT 6 CHECK (quads_per_guide > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'closed', 'cancelled')),
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+
+    CONSTRAINT unique_tour_departure UNIQUE (tour_type, departure_date, departure_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tour_departures_date ON tour_departures(departure_date, departure_time);
+
+DROP TRIGGER IF EXISTS update_tour_departures_updated_at ON tour_departures;
+CREATE TRIGGER update_tour_departures_updated_at
+    BEFORE UPDATE ON tour_departures
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 2. BOOKINGS ON A DEPARTURE
+-- booking_status 'waitlisted' holds no quads or seats.
+-- =====================================================
+ALTER TABLE tour_bookings
+ADD COLUMN IF NOT EXISTS departure_id UUID REFERENCES tour_departures(id),
+ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tour_bookings_departure ON tour_bookings(departure_id, booking_status);
+
+-- =====================================================
+-- 3. WHEN EACH BOOKING USES ITS QUADS
+-- Tour times are Morocco local time. Bookings made before departures
+-- existed fall back to the tour type's length (CalendarService.TOUR_DURATIONS).
+-- =====================================================
+CREATE OR REPLACE VIEW tour_booking_windows
+WITH (security_invoker = true) AS
+SELECT
+    b.id AS booking_id,
+    b.departure_id,
+    b.booking_status,
+    (b.tour_date::date + b.tour_time::time) AT TIME ZONE 'Africa/Casablanca' AS starts_at,
+    (b.tour_date::date + b.tour_time::time) AT TIME ZONE 'Africa/Casablanca'
+        + make_interval(mins => (60 * COALESCE(
+            d.duration_hours,
+            CASE b.tour_type
+                WHEN 'extended' THEN 4
+                WHEN 'sunset' THEN 3
+                WHEN 'adventure' THEN 6
+                ELSE 2
+            END
+        ))::int) AS ends_at
+FROM tour_bookings b
+LEFT JOIN tour_departures d ON d.id = b.departure_id
+WHERE b.tour_date IS NOT NULL AND b.tour_time IS NOT NULL;
+
+-- Quads committed to tours that still need them
+CREATE OR REPLACE VIEW tour_vehicle_schedule
+WITH (security_invoker = true) AS
+SELECT
+    a.vehicle_id,
+    a.booking_id,
+    w.starts_at,
+    w.ends_at
+FROM tour_vehicle_assignments a
+JOIN tour_booking_windows w ON w.booking_id = a.booking_id
+WHERE w.booking_status NOT IN ('cancelled', 'completed', 'waitlisted');
+
+-- Same as customer_portal_bookings.sql, and a quad out on a tour is
+-- not free either
+CREATE OR REPLACE FUNCTION vehicle_is_free(
+    p_vehicle_id INTEGER,
+    p_start_at TIMESTAMP WITH TIME ZONE,
+    p_end_at TIMESTAMP WITH TIME ZONE,
+    p_exclude_rental_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT NOT EXISTS (
+        SELECT 1 FROM app_4c3a7a6153_rentals r
+        WHERE r.vehicle_id = p_vehicle_id
+        AND r.rental_status NOT IN ('cancelled', 'completed', 'refunded')
+        AND r.rental_start_date < p_end_at
+        AND r.rental_end_date > p_start_at
+        AND r.id IS DISTINCT FROM p_exclude_rental_id
+    )
+    AND NOT EXISTS (
+        SELECT 1 FROM tour_vehicle_schedule s
+        WHERE s.vehicle_id = p_vehicle_id
+        AND s.starts_at < p_end_at
+        AND s.ends_at > p_start_at
+    );
+$$;
+
+-- =====================================================
+-- 4. CAPACITY LEFT PER DEPARTURE
+-- Guides limit quads too: each guide leads up to quads_per_guide.
+-- Runs with the owner's rights so the booking page sees true counts;
+-- it exposes totals only, never the bookings themselves.
+-- =====================================================
+CREATE OR REPLACE VIEW tour_departure_availability AS
+SELECT
+    d.*,
+    LEAST(d.quad_capacity, d.guide_capacity * d.quads_per_guide) AS effective_quad_capacity,
+    COALESCE(r.reserved_quads, 0) AS reserved_quads,
+    COALESCE(r.reserved_seats, 0) AS reserved_seats,
+    COALESCE(r.waitlisted_bookings, 0) AS waitlisted_bookings,
+    GREATEST(LEAST(d.quad_capacity, d.guide_capacity * d.quads_per_guide) - COALESCE(r.reserved_quads, 0), 0) AS quads_left,
+    GREATEST(d.seat_capacity - COALESCE(r.reserved_seats, 0), 0) AS seats_left
+FROM tour_departures d
+LEFT JOIN (
+    SELECT
+        departure_id,
+        SUM(number_of_quads) FILTER (WHERE booking_status NOT IN ('cancelled', 'waitlisted')) AS reserved_quads,
+        SUM(total_participants) FILTER (WHERE booking_status NOT IN ('cancelled', 'waitlisted')) AS reserved_seats,
+        COUNT(*) FILTER (WHERE booking_status = 'waitlisted') AS waitlisted_bookings
+    FROM tour_bookings
+    WHERE departure_id IS NOT NULL
+    GROUP BY departure_id
+) r ON r.departure_id = d.id;
+
+-- =====================================================
+-- 5. QUAD ALLOCATION
+-- Replaces a booking's quads with the first tour quads free for its
+-- whole window, filling each quad (two riders) before the next but
+-- keeping one rider for every quad still to fill. Assigns nothing and
+-- returns 0 when the fleet is short. The quads are locked in id order
+-- so two bookings cannot take the same one.
+-- =====================================================
+CREATE OR REPLACE FUNCTION tour_allocate_quads(p_booking_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking tour_bookings%ROWTYPE;
+    v_window RECORD;
+    v_quads INTEGER[];
+    v_remaining INTEGER;
+    v_riders INTEGER;
+BEGIN
+    SELECT * INTO v_booking FROM tour_bookings WHERE id = p_booking_id FOR UPDATE;
+    SELECT starts_at, ends_at INTO v_window FROM tour_booking_windows WHERE booking_id = p_booking_id;
+    IF v_window.starts_at IS NULL THEN
+        RAISE EXCEPTION 'This booking has no tour date and time';
+    END IF;
+
+    DELETE FROM tour_vehicle_assignments WHERE booking_id = p_booking_id;
+
+    SELECT array_agg(q.id ORDER BY q.name, q.id) INTO v_quads
+    FROM (
+        SELECT v.id, v.name
+        FROM saharax_0u4w4d_vehicles v
+        WHERE v.vehicle_type IN ('quad', 'atv', 'utv', 'performance', 'utility', 'youth', 'sideBySide')
+        AND COALESCE(v.status, '') NOT IN ('maintenance', 'out_of_service', 'retired')
+        ORDER BY v.id
+        FOR UPDATE
+    ) q
+    WHERE vehicle_is_free(q.id, v_window.starts_at, v_window.ends_at);
+
+    IF COALESCE(array_length(v_quads, 1), 0) < v_booking.number_of_quads THEN
+        RETURN 0;
+    END IF;
+
+    v_remaining := v_booking.total_participants;
+    FOR i IN 1..v_booking.number_of_quads LOOP
+        v_riders := GREATEST(1, LEAST(2, v_remaining - (v_booking.number_of_quads - i)));
+        v_remaining := v_remaining - v_riders;
+
+        INSERT INTO tour_vehicle_assignments (booking_id, vehicle_id, participant_count, assigned_by)
+        VALUES (p_booking_id, v_quads[i], v_riders, auth.uid());
+    END LOOP;
+
+    RETURN v_booking.number_of_quads;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION tour_allocate_quads(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Staff: pick quads again for a booking that has none or too few
+CREATE OR REPLACE FUNCTION assign_tour_quads(p_booking_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_status TEXT;
+    v_assigned INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Only staff can assign quads';
+    END IF;
+
+    SELECT booking_status INTO v_status FROM tour_bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Tour booking not found';
+    END IF;
+    IF v_status = 'waitlisted' THEN
+        RAISE EXCEPTION 'A waitlisted booking has no seats yet';
+    END IF;
+
+    v_assigned := tour_allocate_quads(p_booking_id);
+    IF v_assigned = 0 THEN
+        RAISE EXCEPTION 'Not enough quads are free for this tour';
+    END IF;
+
+    RETURN v_assigned;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION assign_tour_quads(UUID) TO authenticated;
+
+-- =====================================================
+-- 6. RESERVE SEATS
+-- Creates the booking from p_booking (tour_bookings columns) on the
+-- departure and assigns its quads. Only the party, the contact details
+-- and the promo code are taken from p_booking: the price is worked out
+-- here and the booking always starts unpaid. A booking the departure
+-- has room for but the fleet has no quads for is waitlisted too.
+-- =====================================================
+DROP FUNCTION IF EXISTS reserve_tour_seats(UUID, JSONB, BOOLEAN, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION reserve_tour_seats(
+    p_departure_id UUID,
+    p_booking JSONB,
+    p_allow_waitlist BOOLEAN DEFAULT FALSE
+)
+RETURNS tour_bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_departure tour_departures%ROWTYPE;
+    v_input tour_bookings%ROWTYPE;
+    v_booking tour_bookings%ROWTYPE;
+    v_reserved_quads INTEGER;
+    v_reserved_seats INTEGER;
+    v_quad_capacity INTEGER;
+    v_fits BOOLEAN;
+    v_multiplier NUMERIC;
+    v_base_price NUMERIC;
+    v_extra_fees NUMERIC;
+    v_subtotal NUMERIC;
+    v_promo saharax_0u4w4d_pricing_simple_promos%ROWTYPE;
+    v_discount NUMERIC;
+    v_tax tax_settings%ROWTYPE;
+    v_tax_applied BOOLEAN;
+    v_tax_percent NUMERIC;
+    v_tax_amount NUMERIC;
+BEGIN
+    SELECT * INTO v_departure FROM tour_departures WHERE id = p_departure_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Tour departure not found';
+    END IF;
+    IF v_departure.status <> 'scheduled' THEN
+        RAISE EXCEPTION 'This departure is % and no longer takes bookings', v_departure.status;
+    END IF;
+    IF (v_departure.departure_date + v_departure.departure_time) AT TIME ZONE 'Africa/Casablanca' <= NOW() THEN
+        RAISE EXCEPTION 'This departure has already left';
+    END IF;
+
+    v_input := jsonb_populate_record(NULL::tour_bookings, p_booking);
+    IF COALESCE(v_input.number_of_quads, 0) <= 0 OR COALESCE(v_input.total_participants, 0) <= 0 THEN
+        RAISE EXCEPTION 'A booking needs at least one quad and one participant';
+    END IF;
+
+    -- TourBooking.jsx prices (pricingConfig): 50 per quad times the tour
+    -- type's multiplier, one rider included per quad, 15 per extra rider
+    v_multiplier := CASE v_departure.tour_type
+        WHEN 'standard' THEN 1
+        WHEN 'extended' THEN 1.8
+        WHEN 'sunset' THEN 1.5
+        WHEN 'adventure' THEN 2.5
+    END;
+    IF v_multiplier IS NULL THEN
+        RAISE EXCEPTION 'No price is set for % tours', v_departure.tour_type;
+    END IF;
+
+    v_base_price := 50 * v_input.number_of_quads * v_multiplier;
+    v_extra_fees := 15 * GREATEST(v_input.total_participants - v_input.number_of_quads, 0);
+    v_subtotal := v_base_price + v_extra_fees;
+
+    IF NULLIF(TRIM(v_input.promo_code), '') IS NOT NULL THEN
+        SELECT * INTO v_promo
+        FROM saharax_0u4w4d_pricing_simple_promos
+        WHERE UPPER(code) = UPPER(TRIM(v_input.promo_code));
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Promo code not found';
+        END IF;
+    END IF;
+    v_discount := promo_code_discount(v_promo, v_subtotal);
+
+    -- Tax on the discounted amount, as calculateTax
+    SELECT * INTO v_tax FROM tax_settings LIMIT 1;
+    v_tax_applied := COALESCE(v_tax.tax_enabled AND v_tax.apply_to_tours, FALSE);
+    v_tax_percent := CASE WHEN v_tax_applied THEN v_tax.tax_percentage ELSE 0 END;
+    v_tax_amount := ROUND((v_subtotal - v_discount) * v_tax_percent / 100, 2);
+
+    SELECT
+        COALESCE(SUM(number_of_quads), 0),
+        COALESCE(SUM(total_participants), 0)
+    INTO v_reserved_quads, v_reserved_seats
+    FROM tour_bookings
+    WHERE departure_id = p_departure_id
+    AND booking_status NOT IN ('cancelled', 'waitlisted');
+
+    v_quad_capacity := LEAST(v_departure.quad_capacity, v_departure.guide_capacity * v_departure.quads_per_guide);
+    v_fits := v_reserved_quads + v_input.number_of_quads <= v_quad_capacity
+        AND v_reserved_seats + v_input.total_participants <= v_departure.seat_capacity;
+
+    IF NOT v_fits AND NOT p_allow_waitlist THEN
+        RAISE EXCEPTION 'Only % quad(s) and % seat(s) left on this departure',
+            GREATEST(v_quad_capacity - v_reserved_quads, 0),
+            GREATEST(v_departure.seat_capacity - v_reserved_seats, 0);
+    END IF;
+
+    INSERT INTO tour_bookings (
+        departure_id, tour_type, tour_date, tour_time,
+        number_of_quads, total_participants,
+        customer_name, customer_email, customer_phone,
+        emergency_contact, emergency_phone, special_requirements,
+        base_price, extra_passenger_fees, subtotal_amount,
+        promo_code, promo_discount,
+        tax_enabled, tax_percent_applied, tax_amount, total_amount,
+        booking_status, payment_status, waitlisted_at, created_at
+    )
+    VALUES (
+        v_departure.id, v_departure.tour_type, v_departure.departure_date, v_departure.departure_time,
+        v_input.number_of_quads, v_input.total_participants,
+        v_input.customer_name, v_input.customer_email, v_input.customer_phone,
+        v_input.emergency_contact, v_input.emergency_phone, v_input.special_requirements,
+        v_base_price, v_extra_fees, v_subtotal,
+        v_promo.code, v_discount,
+        v_tax_applied, v_tax_percent, v_tax_amount, v_subtotal - v_discount + v_tax_amount,
+        CASE WHEN v_fits THEN 'pending' ELSE 'waitlisted' END,
+        'pending',
+        CASE WHEN v_fits THEN NULL ELSE NOW() END,
+        NOW()
+    )
+    RETURNING * INTO v_booking;
+
+    IF v_fits AND tour_allocate_quads(v_booking.id) = 0 THEN
+        IF NOT p_allow_waitlist THEN
+            RAISE EXCEPTION 'Not enough quads are free in the fleet for this departure';
+        END IF;
+
+        v_fits := FALSE;
+        UPDATE tour_bookings
+        SET booking_status = 'waitlisted', waitlisted_at = NOW()
+        WHERE id = v_booking.id
+        RETURNING * INTO v_booking;
+    END IF;
+
+    -- Redeemed with the booking, so a code that can no longer be used
+    -- rejects the booking instead of leaving it discounted
+    IF v_fits AND v_promo.id IS NOT NULL THEN
+        PERFORM redeem_promo_code(v_promo.code, NULL, v_booking.id);
+    END IF;
+
+    RETURN v_booking;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reserve_tour_seats(UUID, JSONB, BOOLEAN) TO anon, authenticated;
+
+-- =====================================================
+-- 7. WAITLIST
+-- Oldest waitlisted bookings that fit, on the departure and in the
+-- fleet, become pending with their quads. A waitlisted booking's
+-- promo code is redeemed only now, when it gets its seats; a code
+-- that can no longer be used is dropped and the booking repriced.
+-- =====================================================
+CREATE OR REPLACE FUNCTION promote_tour_waitlist(p_departure_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_departure tour_departures%ROWTYPE;
+    v_waiting RECORD;
+    v_quads_left INTEGER;
+    v_seats_left INTEGER;
+    v_promoted INTEGER := 0;
+BEGIN
+    SELECT * INTO v_departure FROM tour_departures WHERE id = p_departure_id FOR UPDATE;
+    IF NOT FOUND OR v_departure.status <> 'scheduled' THEN
+        RETURN 0;
+    END IF;
+
+    SELECT quads_left, seats_left INTO v_quads_left, v_seats_left
+    FROM tour_departure_availability
+    WHERE id = p_departure_id;
+
+    FOR v_waiting IN
+        SELECT id, number_of_quads, total_participants, promo_code
+        FROM tour_bookings
+        WHERE departure_id = p_departure_id
+        AND booking_status = 'waitlisted'
+        ORDER BY waitlisted_at, created_at
+    LOOP
+        IF v_waiting.number_of_quads <= v_quads_left AND v_waiting.total_participants <= v_seats_left THEN
+            UPDATE tour_bookings SET booking_status = 'pending' WHERE id = v_waiting.id;
+            IF tour_allocate_quads(v_waiting.id) = 0 THEN
+                UPDATE tour_bookings SET booking_status = 'waitlisted' WHERE id = v_waiting.id;
+                CONTINUE;
+            END IF;
+
+            IF v_waiting.promo_code IS NOT NULL THEN
+                BEGIN
+                    PERFORM redeem_promo_code(v_waiting.promo_code, NULL, v_waiting.id);
+                EXCEPTION WHEN OTHERS THEN
+                    UPDATE tour_bookings
+                    SET promo_code = NULL,
+                        promo_discount = 0,
+                        tax_amount = ROUND(subtotal_amount * COALESCE(tax_percent_applied, 0) / 100, 2),
+                        total_amount = subtotal_amount + ROUND(subtotal_amount * COALESCE(tax_percent_applied, 0) / 100, 2)
+                    WHERE id = v_waiting.id;
+                END;
+            END IF;
+            v_quads_left := v_quads_left - v_waiting.number_of_quads;
+            v_seats_left := v_seats_left - v_waiting.total_participants;
+            v_promoted := v_promoted + 1;
+        END IF;
+    END LOOP;
+
+    RETURN v_promoted;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION promote_tour_waitlist(UUID) TO authenticated;
+
+CREATE OR REPLACE FUNCTION tour_bookings_release_capacity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.departure_id IS NOT NULL
+       AND NEW.booking_status = 'cancelled'
+       AND OLD.booking_status IS DISTINCT FROM 'cancelled' THEN
+        PERFORM promote_tour_waitlist(NEW.departure_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tour_bookings_release_capacity ON tour_bookings;
+CREATE TRIGGER tour_bookings_release_capacity
+    AFTER UPDATE OF booking_status ON tour_bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION tour_bookings_release_capacity();
+
+CREATE OR REPLACE FUNCTION tour_departures_capacity_changed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM promote_tour_waitlist(NEW.id);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tour_departures_capacity_changed ON tour_departures;
+CREATE TRIGGER tour_departures_capacity_changed
+    AFTER UPDATE OF quad_capacity, seat_capacity, guide_capacity, quads_per_guide, status ON tour_departures
+    FOR EACH ROW
+    EXECUTE FUNCTION tour_departures_capacity_changed();
+
+-- =====================================================
+-- 8. ONE TOUR OR RENTAL PER QUAD AT A TIME
+-- The quad's row is locked so two assignments of it are checked one
+-- after the other.
+-- =====================================================
+CREATE OR REPLACE FUNCTION tour_vehicle_assignments_check_conflicts()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_window RECORD;
+    v_vehicle_name TEXT;
+BEGIN
+    SELECT starts_at, ends_at, booking_status INTO v_window
+    FROM tour_booking_windows
+    WHERE booking_id = NEW.booking_id;
+
+    IF NOT FOUND THEN
+        RETURN NEW;
+    END IF;
+    IF v_window.booking_status = 'waitlisted' THEN
+        RAISE EXCEPTION 'Quads cannot be assigned to a waitlisted booking';
+    END IF;
+
+    SELECT name INTO v_vehicle_name FROM saharax_0u4w4d_vehicles WHERE id = NEW.vehicle_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM tour_vehicle_schedule s
+        WHERE s.vehicle_id = NEW.vehicle_id
+        AND s.booking_id <> NEW.booking_id
+        AND s.starts_at < v_window.ends_at
+        AND s.ends_at > v_window.starts_at
+    ) THEN
+        RAISE EXCEPTION '% is already on another tour at that time', COALESCE(v_vehicle_name, 'This quad');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM app_4c3a7a6153_rentals r
+        WHERE r.vehicle_id = NEW.vehicle_id
+        AND r.rental_status NOT IN ('cancelled', 'completed', 'refunded')
+        AND r.rental_start_date < v_window.ends_at
+        AND r.rental_end_date > v_window.starts_at
+    ) THEN
+        RAISE EXCEPTION '% is rented during this tour', COALESCE(v_vehicle_name, 'This quad');
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tour_vehicle_assignments_check_conflicts ON tour_vehicle_assignments;
+CREATE TRIGGER tour_vehicle_assignments_check_conflicts
+    BEFORE INSERT OR UPDATE OF vehicle_id, booking_id ON tour_vehicle_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION tour_vehicle_assignments_check_conflicts();
+
+-- =====================================================
+-- 9. ROW LEVEL SECURITY
+-- Anyone may see departures and what is left on them; staff plan them.
+-- =====================================================
+ALTER TABLE tour_departures ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read tour departures" ON tour_departures;
+CREATE POLICY "Anyone can read tour departures" ON tour_departures
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Staff can manage tour departures" ON tour_departures;
+CREATE POLICY "Staff can manage tour departures" ON tour_departures
+    FOR ALL USING (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM app_b30c02e74da644baad4668e3587d86b1_users u WHERE u.auth_id = auth.uid()));
+
+COMMIT;
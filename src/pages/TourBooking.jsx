@@ -3,6 +3,8 @@ import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
 import { calculateTax } from '../services/taxSettingsService';
+import PromoCodeService from '../services/PromoCodeService';
+import TourCapacityService from '../services/TourCapacityService';
 import toast from 'react-hot-toast';
 
 const TourBooking = () => {
@@ -16,6 +18,8 @@ const TourBooking = () => {
     totalParticipants: 1,
     selectedDate: '',
     selectedTime: '',
+    departureId: '',
+    joinWaitlist: false,
     customerInfo: {
       name: '',
       email: '',
@@ -25,6 +29,7 @@ const TourBooking = () => {
     },
     participants: [{ name: '', age: '', experience: 'beginner' }],
     specialRequirements: '',
+    promoCode: '',
     termsAccepted: false
   });
 
@@ -46,7 +51,11 @@ const TourBooking = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [availableTimeSlots, setAvailableTimeSlots] = useState([]);
   const [isLoadingAvailability, setIsLoadingAvailability] = useState(false);
+  const [bookedAsWaitlist, setBookedAsWaitlist] = useState(false);
   
+  // Promo code as checked for the tour channel
+  const [promoCheck, setPromoCheck] = useState({ promo: null, error: null });
+
   // Tax calculation state
   const [taxCalculation, setTaxCalculation] = useState({
     taxAmount: 0,
@@ -70,15 +79,17 @@ const TourBooking = () => {
     
     // Calculate subtotal
     const subtotal = basePrice + extraPassengerFees;
+    const promoDiscount = PromoCodeService.calculateDiscount(promoCheck.promo, subtotal);
     
-    // Calculate tax using configurable tax system
-    const taxResult = await calculateTax(subtotal, 'tour');
+    // Calculate tax using configurable tax system, on the discounted amount
+    const taxResult = await calculateTax(subtotal - promoDiscount, 'tour');
     
     return {
       basePrice,
       extraPassengers,
       extraPassengerFees,
       subtotal,
+      promoDiscount,
       taxAmount: taxResult.taxAmount,
       total: taxResult.total,
       taxApplied: taxResult.taxApplied,
@@ -99,7 +110,34 @@ const TourBooking = () => {
     };
     
     updatePricing();
-  }, [bookingData.numberOfQuads, bookingData.totalParticipants, bookingData.tourType]);
+  }, [bookingData.numberOfQuads, bookingData.totalParticipants, bookingData.tourType, promoCheck]);
+
+  // Check the promo code as it is typed
+  useEffect(() => {
+    if (!bookingData.promoCode) {
+      setPromoCheck({ promo: null, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await PromoCodeService.validateCode(bookingData.promoCode, {
+          channel: 'tour',
+          customer: { email: bookingData.customerInfo.email, phone: bookingData.customerInfo.phone }
+        });
+        if (!cancelled) setPromoCheck(result);
+      } catch (error) {
+        console.error('Error checking promo code:', error);
+        if (!cancelled) setPromoCheck({ promo: null, error: error.message });
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [bookingData.promoCode, bookingData.customerInfo.email, bookingData.customerInfo.phone]);
 
   // Get current pricing (synchronous version for rendering)
   const getCurrentPricing = () => {
@@ -116,14 +154,16 @@ const TourBooking = () => {
     
     // Calculate subtotal
     const subtotal = basePrice + extraPassengerFees;
+    const promoDiscount = PromoCodeService.calculateDiscount(promoCheck.promo, subtotal);
     
     return {
       basePrice,
       extraPassengers,
       extraPassengerFees,
       subtotal,
+      promoDiscount,
       taxAmount: taxCalculation.taxAmount,
-      total: taxCalculation.total || subtotal,
+      total: taxCalculation.total || subtotal - promoDiscount,
       taxApplied: taxCalculation.taxApplied,
       taxPercentage: taxCalculation.taxPercentage
     };
@@ -131,12 +171,12 @@ const TourBooking = () => {
 
   const pricing = getCurrentPricing();
 
-  // Load available time slots when date changes
+  // Load the tour's departures when the date or tour changes
   useEffect(() => {
     if (bookingData.selectedDate) {
       loadAvailableTimeSlots(bookingData.selectedDate);
     }
-  }, [bookingData.selectedDate]);
+  }, [bookingData.selectedDate, bookingData.tourType]);
 
   // Update participants array when total participants changes
   useEffect(() => {
@@ -161,14 +201,14 @@ const TourBooking = () => {
 
   const loadAvailableTimeSlots = async (date) => {
     setIsLoadingAvailability(true);
+    setBookingData(prev => ({ ...prev, selectedTime: '', departureId: '', joinWaitlist: false }));
     try {
-      // Generate available time slots (9 AM to 5 PM, every 2 hours)
-      const timeSlots = [
-        '09:00', '11:00', '13:00', '15:00', '17:00'
-      ];
-      
-      // TODO: Check against existing bookings to filter out unavailable slots
-      setAvailableTimeSlots(timeSlots);
+      const departures = await TourCapacityService.getDepartures({
+        from: date,
+        tourType: bookingData.tourType,
+        bookableOnly: true
+      });
+      setAvailableTimeSlots(departures);
     } catch (error) {
       console.error('Error loading availability:', error);
       toast.error('Failed to load available time slots');
@@ -177,6 +217,20 @@ const TourBooking = () => {
     }
   };
 
+  const selectedDeparture = availableTimeSlots.find(departure => departure.id === bookingData.departureId) || null;
+
+  const departureHasRoom = (departure) =>
+    departure.quads_left >= bookingData.numberOfQuads && departure.seats_left >= bookingData.totalParticipants;
+
+  const handleDepartureSelect = (departure) => {
+    setBookingData(prev => ({
+      ...prev,
+      departureId: departure.id,
+      selectedTime: departure.departure_time.slice(0, 5),
+      joinWaitlist: false
+    }));
+  };
+
   const handleInputChange = (field, value) => {
     setBookingData(prev => ({
       ...prev,
@@ -208,7 +262,8 @@ const TourBooking = () => {
       case 1:
         return bookingData.tourType && bookingData.numberOfQuads > 0 && bookingData.totalParticipants > 0;
       case 2:
-        return bookingData.selectedDate && bookingData.selectedTime;
+        return bookingData.selectedDate && selectedDeparture &&
+          (departureHasRoom(selectedDeparture) || bookingData.joinWaitlist);
       case 3:
         const { customerInfo } = bookingData;
         return customerInfo.name && customerInfo.email && customerInfo.phone;
@@ -236,10 +291,14 @@ const TourBooking = () => {
       toast.error('Please complete all required fields');
       return;
     }
+    if (bookingData.promoCode && promoCheck.error) {
+      toast.error(promoCheck.error);
+      return;
+    }
 
     setIsSubmitting(true);
     try {
-      // Create booking in database with tax snapshot
+      // The price and tax snapshot are worked out again by reserve_tour_seats
       const bookingRecord = {
         tour_type: bookingData.tourType,
         number_of_quads: bookingData.numberOfQuads,
@@ -252,25 +311,15 @@ const TourBooking = () => {
         emergency_contact: bookingData.customerInfo.emergencyContact,
         emergency_phone: bookingData.customerInfo.emergencyPhone,
         special_requirements: bookingData.specialRequirements,
-        base_price: pricing.basePrice,
-        extra_passenger_fees: pricing.extraPassengerFees,
-        subtotal_amount: pricing.subtotal,
-        tax_enabled: pricing.taxApplied,
-        tax_percent_applied: pricing.taxPercentage,
-        tax_amount: pricing.taxAmount,
-        total_amount: pricing.total,
-        booking_status: 'pending',
-        payment_status: 'pending',
-        created_at: new Date().toISOString()
+        promo_code: promoCheck.promo ? promoCheck.promo.code : null
       };
 
-      const { data: booking, error: bookingError } = await supabase
-        .from('tour_bookings')
-        .insert([bookingRecord])
-        .select()
-        .single();
-
-      if (bookingError) throw bookingError;
+      // Seats are taken under a lock on the departure, quads picked from the fleet
+      const { booking, waitlisted } = await TourCapacityService.reserve({
+        departure: selectedDeparture,
+        booking: bookingRecord,
+        allowWaitlist: bookingData.joinWaitlist
+      });
 
       // Save participants
       const participantRecords = bookingData.participants.map((participant, index) => ({
@@ -287,12 +336,18 @@ const TourBooking = () => {
 
       if (participantsError) throw participantsError;
 
-      toast.success('Booking created successfully!');
+      if (waitlisted) {
+        toast.success('You are on the waitlist for this departure');
+      } else {
+        toast.success('Booking created successfully!');
+      }
+      setBookedAsWaitlist(waitlisted);
       setCurrentStep(5); // Move to confirmation step
       
     } catch (error) {
       console.error('Error creating booking:', error);
-      toast.error('Failed to create booking. Please try again.');
+      toast.error(error.message || 'Failed to create booking. Please try again.');
+      loadAvailableTimeSlots(bookingData.selectedDate);
     } finally {
       setIsSubmitting(false);
     }
@@ -405,6 +460,12 @@ const TourBooking = () => {
             <span>Subtotal:</span>
             <span>${pricing.subtotal.toFixed(2)}</span>
           </div>
+          {pricing.promoDiscount > 0 && (
+            <div className="flex justify-between text-green-600">
+              <span>Promo {promoCheck.promo.code}:</span>
+              <span>-${pricing.promoDiscount.toFixed(2)}</span>
+            </div>
+          )}
           {pricing.taxApplied && (
             <div className="flex justify-between">
               <span>Tax ({pricing.taxPercentage.toFixed(1)}%):</span>
@@ -416,10 +477,26 @@ const TourBooking = () => {
             <span>${pricing.total.toFixed(2)}</span>
           </div>
         </div>
+
+        {/* Promo Code */}
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Promo Code</label>
+          <input
+            type="text"
+            value={bookingData.promoCode}
+            onChange={(e) => handleInputChange('promoCode', e.target.value.toUpperCase())}
+            className="w-full p-2 border border-gray-300 rounded-lg uppercase"
+            placeholder="Optional"
+          />
+          {bookingData.promoCode && promoCheck.error && (
+            <p className="text-sm text-red-600 mt-1">{promoCheck.error}</p>
+          )}
+        </div>
         
         {/* Calculation Verification */}
         <div className="mt-3 p-2 bg-blue-50 rounded text-xs text-blue-800">
           <strong>Calculation:</strong> ${pricing.subtotal.toFixed(2)} (subtotal) 
+          {pricing.promoDiscount > 0 && ` - ${pricing.promoDiscount.toFixed(2)} (promo)`}
           {pricing.taxApplied && ` + ${pricing.taxAmount.toFixed(2)} (tax)`} = ${pricing.total.toFixed(2)}
         </div>
       </div>
@@ -451,23 +528,42 @@ const TourBooking = () => {
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
               <span className="ml-2">Loading available times...</span>
             </div>
+          ) : availableTimeSlots.length === 0 ? (
+            <p className="text-sm text-gray-500 py-4">No departures of this tour on that date.</p>
           ) : (
             <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-              {availableTimeSlots.map((time) => (
+              {availableTimeSlots.map((departure) => (
                 <button
-                  key={time}
-                  onClick={() => handleInputChange('selectedTime', time)}
+                  key={departure.id}
+                  onClick={() => handleDepartureSelect(departure)}
                   className={`p-3 border-2 rounded-lg transition-colors ${
-                    bookingData.selectedTime === time
+                    bookingData.departureId === departure.id
                       ? 'border-blue-500 bg-blue-50 text-blue-700'
                       : 'border-gray-200 hover:border-gray-300'
                   }`}
                 >
-                  {time}
+                  <div className="font-medium">{departure.departure_time.slice(0, 5)}</div>
+                  <div className={`text-xs mt-1 ${departureHasRoom(departure) ? 'text-gray-500' : 'text-orange-600'}`}>
+                    {departureHasRoom(departure)
+                      ? `${departure.quads_left} quads · ${departure.seats_left} seats left`
+                      : 'Full – waitlist only'}
+                  </div>
                 </button>
               ))}
             </div>
           )}
+          {selectedDeparture && !departureHasRoom(selectedDeparture) && (
+            <label className="flex items-start mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+              <input
+                type="checkbox"
+                checked={bookingData.joinWaitlist}
+                onChange={(e) => handleInputChange('joinWaitlist', e.target.checked)}
+                className="mt-0.5 mr-2"
+              />
+              Only {selectedDeparture.quads_left} quad(s) and {selectedDeparture.seats_left} seat(s) are left on this departure.
+              Join the waitlist and we will confirm your booking if places free up.
+            </label>
+          )}
         </div>
       )}
     </div>
@@ -627,9 +723,11 @@ const TourBooking = () => {
         </svg>
       </div>
       
-      <h2 className="text-2xl font-bold text-gray-900">Booking Confirmed!</h2>
+      <h2 className="text-2xl font-bold text-gray-900">{bookedAsWaitlist ? 'You are on the Waitlist' : 'Booking Confirmed!'}</h2>
       <p className="text-gray-600">
-        Your tour booking has been successfully created. You will receive a confirmation email shortly.
+        {bookedAsWaitlist
+          ? 'This departure is full. We will contact you as soon as places free up for your group.'
+          : 'Your tour booking has been successfully created. You will receive a confirmation email shortly.'}
       </p>
       
       <div className="bg-gray-50 p-6 rounded-lg text-left max-w-md mx-auto">
@@ -805,6 +903,13 @@ const TourBooking = () => {
                     <span>Subtotal:</span>
                     <span>${pricing.subtotal.toFixed(2)}</span>
                   </div>
+
+                  {pricing.promoDiscount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Promo {promoCheck.promo.code}:</span>
+                      <span>-${pricing.promoDiscount.toFixed(2)}</span>
+                    </div>
+                  )}
                   
                   {pricing.taxApplied && (
                     <div className="flex justify-between">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { 
   AlertTriangle, 
   Clock, 
@@ -9,33 +9,59 @@ import {
   Fuel, 
   Wrench, 
   DollarSign,
-  Calendar,
   AlertCircle,
   Info,
   X,
-  RefreshCw
+  RefreshCw,
+  BellOff,
+  Check,
+  UserPlus,
+  ArrowUpCircle,
+  Eye,
+  Package
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import toast from 'react-hot-toast';
 import alertService from '../../services/AlertService';
 import fuelService from '../../services/FuelService';
-import MaintenanceService from '../../services/MaintenanceService';
 import { supabase } from '../../lib/supabase';
-
-// Configuration: 48 hours window as per requirements
-const RETURN_DUE_SOON_HOURS = 48;
+import {
+  fetchAlerts,
+  setupAlertsRealtimeSubscription,
+  markAlertAsRead,
+  markAllAlertsAsRead,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert,
+  assignAlert,
+  selectAllAlerts,
+  selectIsLoading,
+  selectError
+} from '../../store/slices/alertsSlice';
 
 const Alerts = () => {
   const navigate = useNavigate();
-  const [alerts, setAlerts] = useState([]);
-  const [filteredAlerts, setFilteredAlerts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const dispatch = useDispatch();
+  const storedAlerts = useSelector(selectAllAlerts);
+  const storeLoading = useSelector(selectIsLoading);
+  const storeError = useSelector(selectError);
+
+  // Checks computed live from other modules; they have no workflow state
+  const [liveAlerts, setLiveAlerts] = useState([]);
+  const [readLiveAlerts, setReadLiveAlerts] = useState([]);
+  const [dismissedLiveAlerts, setDismissedLiveAlerts] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [currentUserId, setCurrentUserId] = useState(null);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     priority: 'all',
     category: 'all',
-    status: 'all'
+    status: 'active',
+    assignee: 'all'
   });
   const [refreshing, setRefreshing] = useState(false);
+  const [evaluating, setEvaluating] = useState(false);
 
   // Helper function to get current time in Africa/Casablanca timezone
   const getCasablancaTime = () => {
@@ -56,108 +82,49 @@ const Alerts = () => {
 
   // Load all alerts on component mount
   useEffect(() => {
-    loadAllAlerts();
-    
-    // Subscribe to AlertService updates
-    const unsubscribeAlerts = alertService.subscribe(() => {
-      console.log('🔔 AlertService updated, refreshing alerts...');
-      loadAllAlerts();
-    });
+    dispatch(fetchAlerts());
+    dispatch(setupAlertsRealtimeSubscription());
+    loadLiveAlerts();
+
+    alertService.getAssignableUsers().then(setStaff);
+    supabase.auth.getUser().then(({ data }) => setCurrentUserId(data?.user?.id || null));
 
     // Subscribe to Fuel service updates
     const unsubscribeFuel = fuelService.subscribe(() => {
       console.log('⛽ FuelService updated, refreshing alerts...');
-      loadAllAlerts();
+      loadLiveAlerts();
     });
 
     return () => {
-      unsubscribeAlerts();
       unsubscribeFuel();
     };
   }, []);
 
-  // Apply filters when alerts or filters change
-  useEffect(() => {
-    applyFilters();
-  }, [alerts, filters]);
-
-  const loadAllAlerts = async () => {
+  const loadLiveAlerts = async () => {
     try {
-      setLoading(true);
       setError(null);
       
-      console.log('🔄 Loading alerts from all modules...');
+      console.log('🔄 Loading live alerts from other modules...');
       
-      // Load alerts from all sources in parallel
       const [
-        fleetAlerts,
         fuelAlerts, 
         maintenanceAlerts,
-        rentalAlerts,
         priceApprovalAlerts
       ] = await Promise.all([
-        loadFleetAlerts(),
         loadFuelAlerts(),
         loadMaintenanceAlerts(),
-        loadRentalReturnAlerts(),
         loadPriceApprovalAlerts()
       ]);
 
-      // Combine all alerts
-      const allAlerts = [
-        ...fleetAlerts,
+      setLiveAlerts([
         ...fuelAlerts,
         ...maintenanceAlerts,
-        ...rentalAlerts,
         ...priceApprovalAlerts
-      ];
-
-      // Sort by priority and creation date
-      const sortedAlerts = allAlerts.sort((a, b) => {
-        const priorityOrder = { high: 3, medium: 2, low: 1 };
-        const priorityDiff = (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0);
-        
-        if (priorityDiff !== 0) return priorityDiff;
-        
-        return new Date(b.createdAt || b.created_at || 0) - new Date(a.createdAt || a.created_at || 0);
-      });
-
-      setAlerts(sortedAlerts);
-      console.log(`✅ Loaded ${sortedAlerts.length} total alerts from all modules`);
-      console.log('Alert breakdown:', {
-        fleet: fleetAlerts.length,
-        fuel: fuelAlerts.length,
-        maintenance: maintenanceAlerts.length,
-        rental: rentalAlerts.length,
-        priceApproval: priceApprovalAlerts.length
-      });
+      ].map(alert => ({ ...alert, live: true })));
       
     } catch (err) {
       console.error('❌ Supabase Error', { message: err.message, details: err.details, hint: err.hint, code: err.code });
       setError(err.message || 'Failed to load alerts');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const loadFleetAlerts = async () => {
-    try {
-      console.log('🚗 Loading Fleet Management alerts...');
-      
-      // Get alerts from AlertService (includes vehicle alerts)
-      const fleetAlerts = alertService.getAllAlerts().map(alert => ({
-        ...alert,
-        source: 'fleet',
-        category: alert.category || 'vehicle',
-        icon: getAlertIcon(alert.category || 'vehicle'),
-        createdAt: alert.createdAt || new Date().toISOString()
-      }));
-
-      console.log(`✅ Loaded ${fleetAlerts.length} fleet alerts`);
-      return fleetAlerts;
-    } catch (error) {
-      console.error('❌ Supabase Error', { message: error.message, details: error.details, hint: error.hint, code: error.code });
-      return [];
     }
   };
 
@@ -291,127 +258,6 @@ const Alerts = () => {
     }
   };
 
-  const loadRentalReturnAlerts = async () => {
-    try {
-      console.log('💰 Loading Rental Return alerts...');
-      console.log(`Using ${RETURN_DUE_SOON_HOURS}h window for due soon alerts`);
-      
-      const rentalAlerts = [];
-      const now = getCasablancaTime();
-      const dueSoonWindow = new Date(now.getTime() + (RETURN_DUE_SOON_HOURS * 60 * 60 * 1000));
-      
-      console.log(`Current time (Casablanca): ${now.toISOString()}`);
-      console.log(`Due soon window (${RETURN_DUE_SOON_HOURS}h): ${dueSoonWindow.toISOString()}`);
-      
-      // Query for rentals that are not completed and not cancelled
-      // Fixed: Check both rental_completed_at AND rental_status to handle data inconsistencies
-      const { data: rentals, error } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .select(`
-          id,
-          customer_name,
-          rental_end_date,
-          rental_status,
-          total_amount,
-          remaining_amount,
-          rental_completed_at,
-          vehicle_id,
-          vehicle:saharax_0u4w4d_vehicles!app_4c3a7a6153_rentals_vehicle_id_fkey(name, model, plate_number)
-        `)
-        .is('rental_completed_at', null)
-        .neq('rental_status', 'cancelled')
-        .neq('rental_status', 'completed')
-        .order('rental_end_date', { ascending: true });
-
-      if (error) {
-        console.error('❌ Supabase Error', { message: error.message, details: error.details, hint: error.hint, code: error.code });
-        return [];
-      }
-
-      console.log(`📊 Found ${rentals?.length || 0} active rentals (not completed, not cancelled)`);
-      
-      if (rentals && rentals.length > 0) {
-        console.log('\n📋 Processing rentals for alerts:');
-        
-        rentals.forEach(rental => {
-          const dueDate = new Date(rental.rental_end_date);
-          const hoursUntilDue = (dueDate - now) / (1000 * 60 * 60);
-          const isOverdue = now > dueDate;
-          const isDueSoon = !isOverdue && dueDate <= dueSoonWindow;
-          
-          console.log(`Rental ${rental.id}: ${rental.customer_name}, due in ${hoursUntilDue.toFixed(1)}h, ${isOverdue ? 'OVERDUE' : isDueSoon ? 'DUE SOON' : 'OK'}`);
-          
-          if (isOverdue || isDueSoon) {
-            // Calculate amount due: remaining_amount (already the amount due)
-            let amountDue = Math.max(0, parseFloat(rental.remaining_amount || 0));
-            
-            // Get vehicle info with fallback to "SEGWAY"
-            const makeModel = rental.vehicle?.model || rental.vehicle?.name || 'SEGWAY';
-            const plateNumber = rental.vehicle?.plate_number || 'N/A';
-            
-            let alertData = {
-              id: `rental-return-${rental.id}`,
-              category: 'rental',
-              source: 'rental',
-              icon: 'rental',
-              createdAt: new Date().toISOString(),
-              data: {
-                rentalId: rental.id,
-                customerId: rental.customer_name,
-                vehicleId: rental.vehicle_id,
-                makeModel: makeModel,
-                plateNumber: plateNumber,
-                dueDate: rental.rental_end_date,
-                amountDue: amountDue
-              },
-              onClick: () => navigate(`/admin/rentals/${rental.id}`)
-            };
-            
-            if (isOverdue) {
-              const daysOverdue = Math.max(1, Math.ceil(Math.abs(hoursUntilDue) / 24));
-              const alert = {
-                ...alertData,
-                title: 'Rental Return Overdue',
-                message: `${rental.customer_name} – ${makeModel} (${plateNumber}) overdue by ${daysOverdue} days. Amount: ${formatAmount(amountDue)}`,
-                type: 'error',
-                priority: 'high',
-                data: {
-                  ...alertData.data,
-                  daysOverdue: daysOverdue
-                }
-              };
-              rentalAlerts.push(alert);
-              console.log(`  → Added OVERDUE alert: ${alert.message}`);
-            } else if (isDueSoon) {
-              const hoursUntilDueRounded = Math.max(1, Math.ceil(hoursUntilDue));
-              const alert = {
-                ...alertData,
-                title: 'Rental Return Due Soon',
-                message: `${rental.customer_name} – ${makeModel} (${plateNumber}) due in ${hoursUntilDueRounded} hours. Amount: ${formatAmount(amountDue)}`,
-                type: 'warning',
-                priority: 'medium',
-                data: {
-                  ...alertData.data,
-                  hoursUntilDue: hoursUntilDueRounded
-                }
-              };
-              rentalAlerts.push(alert);
-              console.log(`  → Added DUE SOON alert: ${alert.message}`);
-            }
-          }
-        });
-      } else {
-        console.log('⚠️ No active rentals found');
-      }
-
-      console.log(`✅ Generated ${rentalAlerts.length} rental return alerts`);
-      return rentalAlerts;
-    } catch (error) {
-      console.error('❌ Supabase Error', { message: error.message, details: error.details, hint: error.hint, code: error.code });
-      return [];
-    }
-  };
-
   const loadPriceApprovalAlerts = async () => {
     try {
       console.log('💵 Loading Price Approval alerts...');
@@ -479,7 +325,34 @@ const Alerts = () => {
     }
   };
 
-  const applyFilters = () => {
+  // Stored alerts in display shape, merged with the live checks
+  const alerts = useMemo(() => {
+    const now = Date.now();
+    const stored = storedAlerts.map(alert => ({
+      ...alert,
+      state: alertService.getAlertState(alert, now),
+      read: alert.is_read,
+      source: alert.alert_type?.replace(/_/g, ' '),
+      type: ['high', 'critical'].includes(alert.priority) ? 'error' : 'warning',
+      createdAt: alert.created_at
+    }));
+    const live = liveAlerts
+      .filter(alert => !dismissedLiveAlerts.includes(alert.id))
+      .map(alert => ({ ...alert, state: 'open', read: readLiveAlerts.includes(alert.id) }));
+
+    // Escalated first, then by priority and creation date
+    return [...stored, ...live].sort((a, b) => {
+      const escalationDiff = (b.escalated_at && b.state === 'open' ? 1 : 0) - (a.escalated_at && a.state === 'open' ? 1 : 0);
+      if (escalationDiff !== 0) return escalationDiff;
+
+      const priorityDiff = (alertService.PRIORITY_ORDER[b.priority] || 0) - (alertService.PRIORITY_ORDER[a.priority] || 0);
+      if (priorityDiff !== 0) return priorityDiff;
+      
+      return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+    });
+  }, [storedAlerts, liveAlerts, readLiveAlerts, dismissedLiveAlerts]);
+
+  const filteredAlerts = useMemo(() => {
     let filtered = [...alerts];
 
     if (filters.priority !== 'all') {
@@ -490,44 +363,79 @@ const Alerts = () => {
       filtered = filtered.filter(alert => alert.category === filters.category);
     }
 
-    if (filters.status !== 'all') {
-      if (filters.status === 'unread') {
-        filtered = filtered.filter(alert => !alert.read);
-      } else if (filters.status === 'read') {
-        filtered = filtered.filter(alert => alert.read);
-      }
+    if (filters.status === 'active') {
+      filtered = filtered.filter(alert => ['open', 'acknowledged'].includes(alert.state));
+    } else if (filters.status === 'unread') {
+      filtered = filtered.filter(alert => !alert.read && ['open', 'acknowledged'].includes(alert.state));
+    } else if (filters.status !== 'all') {
+      filtered = filtered.filter(alert => alert.state === filters.status);
     }
 
-    setFilteredAlerts(filtered);
-  };
+    if (filters.assignee === 'mine') {
+      filtered = filtered.filter(alert => alert.assigned_to && alert.assigned_to === currentUserId);
+    } else if (filters.assignee === 'unassigned') {
+      filtered = filtered.filter(alert => !alert.live && !alert.assigned_to);
+    }
+
+    return filtered;
+  }, [alerts, filters, currentUserId]);
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadAllAlerts();
+    await Promise.all([dispatch(fetchAlerts()), loadLiveAlerts()]);
     setRefreshing(false);
   };
 
-  const handleMarkAsRead = (alertId) => {
-    setAlerts(prevAlerts =>
-      prevAlerts.map(alert =>
-        alert.id === alertId ? { ...alert, read: true } : alert
-      )
-    );
+  const handleEvaluateRules = async () => {
+    setEvaluating(true);
+    try {
+      const result = await alertService.evaluateRules();
+      if (result) {
+        toast.success(`Raised ${result.raised}, resolved ${result.resolved}, escalated ${result.escalated}`);
+      } else {
+        toast('An evaluation is already running');
+      }
+      dispatch(fetchAlerts());
+    } catch (err) {
+      console.error('❌ Error evaluating alert rules:', err);
+      toast.error(err.message);
+    } finally {
+      setEvaluating(false);
+    }
   };
 
-  const handleDismissAlert = (alertId) => {
-    setAlerts(prevAlerts =>
-      prevAlerts.filter(alert => alert.id !== alertId)
-    );
+  // Workflow actions go to the database; realtime keeps other devices in sync
+  const runAction = async (thunk, successMessage) => {
+    try {
+      await dispatch(thunk).unwrap();
+      if (successMessage) toast.success(successMessage);
+    } catch (err) {
+      console.error('❌ Error updating alert:', err);
+      toast.error(typeof err === 'string' ? err : 'Failed to update alert');
+    }
+  };
+
+  const handleMarkAsRead = (alert) => {
+    if (alert.live) {
+      setReadLiveAlerts(prev => [...prev, alert.id]);
+    } else if (!alert.is_read) {
+      runAction(markAlertAsRead(alert.id));
+    }
+  };
+
+  const handleDismissAlert = (alert) => {
+    setDismissedLiveAlerts(prev => [...prev, alert.id]);
   };
 
   const handleAlertClick = (alert) => {
     // Mark as read
-    handleMarkAsRead(alert.id);
+    handleMarkAsRead(alert);
     
     // Handle deep linking
     if (alert.onClick) {
       alert.onClick();
+    } else if (alert.rental_id) {
+      navigate(`/admin/rentals/${alert.rental_id}`);
     } else if (alert.data?.rentalId) {
       navigate(`/admin/rentals/${alert.data.rentalId}`);
     }
@@ -544,6 +452,8 @@ const Alerts = () => {
         return Wrench;
       case 'rental':
         return DollarSign;
+      case 'inventory':
+        return Package;
       default:
         return AlertTriangle;
     }
@@ -565,7 +475,7 @@ const Alerts = () => {
   };
 
   const getAlertTypeColor = (type, priority) => {
-    if (priority === 'high') {
+    if (priority === 'high' || priority === 'critical') {
       return 'bg-red-50 border-red-200 text-red-800';
     } else if (priority === 'medium') {
       return 'bg-yellow-50 border-yellow-200 text-yellow-800';
@@ -576,6 +486,8 @@ const Alerts = () => {
 
   const getPriorityBadgeColor = (priority) => {
     switch (priority) {
+      case 'critical':
+        return 'bg-red-600 text-white';
       case 'high':
         return 'bg-red-100 text-red-800';
       case 'medium':
@@ -598,26 +510,32 @@ const Alerts = () => {
         return 'bg-purple-100 text-purple-800';
       case 'rental':
         return 'bg-green-100 text-green-800';
+      case 'inventory':
+        return 'bg-amber-100 text-amber-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
   };
 
   const getAlertStats = () => {
-    const total = alerts.length;
-    const highPriority = alerts.filter(a => a.priority === 'high').length;
-    const unread = alerts.filter(a => !a.read).length;
-    const byCategory = alerts.reduce((acc, alert) => {
+    const active = alerts.filter(a => ['open', 'acknowledged'].includes(a.state));
+    const total = active.length;
+    const highPriority = active.filter(a => ['high', 'critical'].includes(a.priority)).length;
+    const unread = active.filter(a => !a.read).length;
+    const escalated = active.filter(a => a.escalated_at && !a.acknowledged_at).length;
+    const byCategory = active.reduce((acc, alert) => {
       acc[alert.category] = (acc[alert.category] || 0) + 1;
       return acc;
     }, {});
 
-    return { total, highPriority, unread, byCategory };
+    return { total, highPriority, unread, escalated, byCategory };
   };
 
+  const staffName = (userId) => staff.find(user => user.id === userId)?.name || 'Staff';
+
   const stats = getAlertStats();
 
-  if (loading) {
+  if (storeLoading && storedAlerts.length === 0) {
     return (
       <div className="p-6">
         <div className="animate-pulse">
@@ -645,25 +563,36 @@ const Alerts = () => {
               Centralized alerts from Fleet, Fuel, Maintenance, Rental Management, and Price Approvals
             </p>
           </div>
-          <button
-            onClick={handleRefresh}
-            disabled={refreshing}
-            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
-          >
-            <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
-            Refresh
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleEvaluateRules}
+              disabled={evaluating}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              title="Check the alert rules now instead of at the next scheduled run"
+            >
+              <Clock className={`w-4 h-4 ${evaluating ? 'animate-spin' : ''}`} />
+              Check rules now
+            </button>
+            <button
+              onClick={handleRefresh}
+              disabled={refreshing}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
         </div>
       </div>
 
       {/* Error Message */}
-      {error && (
+      {(error || storeError) && (
         <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
           <div className="flex items-center gap-2">
             <AlertCircle className="w-5 h-5 text-red-600" />
             <span className="text-red-800 font-medium">Error loading alerts</span>
           </div>
-          <p className="text-red-700 mt-1">{error}</p>
+          <p className="text-red-700 mt-1">{error || storeError}</p>
         </div>
       )}
 
@@ -676,7 +605,7 @@ const Alerts = () => {
             </div>
             <div>
               <p className="text-2xl font-bold text-gray-900">{stats.total}</p>
-              <p className="text-sm text-gray-600">Total Alerts</p>
+              <p className="text-sm text-gray-600">Active Alerts</p>
             </div>
           </div>
         </div>
@@ -707,12 +636,12 @@ const Alerts = () => {
 
         <div className="bg-white p-4 rounded-lg shadow border">
           <div className="flex items-center gap-3">
-            <div className="p-2 bg-green-100 rounded-lg">
-              <CheckCircle className="w-5 h-5 text-green-600" />
+            <div className="p-2 bg-purple-100 rounded-lg">
+              <ArrowUpCircle className="w-5 h-5 text-purple-600" />
             </div>
             <div>
-              <p className="text-2xl font-bold text-gray-900">{Object.keys(stats.byCategory).length}</p>
-              <p className="text-sm text-gray-600">Categories</p>
+              <p className="text-2xl font-bold text-gray-900">{stats.escalated}</p>
+              <p className="text-sm text-gray-600">Escalated</p>
             </div>
           </div>
         </div>
@@ -732,6 +661,7 @@ const Alerts = () => {
             className="px-3 py-1 border border-gray-300 rounded text-sm"
           >
             <option value="all">All Priorities</option>
+            <option value="critical">Critical</option>
             <option value="high">High Priority</option>
             <option value="medium">Medium Priority</option>
             <option value="low">Low Priority</option>
@@ -747,6 +677,8 @@ const Alerts = () => {
             <option value="fuel">Fuel</option>
             <option value="maintenance">Maintenance</option>
             <option value="rental">Rental</option>
+            <option value="inventory">Inventory</option>
+            <option value="system">System</option>
           </select>
 
           <select
@@ -754,14 +686,40 @@ const Alerts = () => {
             onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
             className="px-3 py-1 border border-gray-300 rounded text-sm"
           >
-            <option value="all">All Status</option>
+            <option value="active">Active</option>
             <option value="unread">Unread</option>
-            <option value="read">Read</option>
+            <option value="open">Open</option>
+            <option value="acknowledged">Acknowledged</option>
+            <option value="snoozed">Snoozed</option>
+            <option value="resolved">Resolved</option>
+            <option value="all">All Status</option>
+          </select>
+
+          <select
+            value={filters.assignee}
+            onChange={(e) => setFilters(prev => ({ ...prev, assignee: e.target.value }))}
+            className="px-3 py-1 border border-gray-300 rounded text-sm"
+          >
+            <option value="all">Anyone</option>
+            <option value="mine">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
           </select>
 
           <div className="text-sm text-gray-500">
             Showing {filteredAlerts.length} of {alerts.length} alerts
           </div>
+
+          {stats.unread > 0 && (
+            <button
+              onClick={() => {
+                runAction(markAllAlertsAsRead());
+                setReadLiveAlerts(liveAlerts.map(alert => alert.id));
+              }}
+              className="ml-auto text-sm text-blue-600 hover:underline"
+            >
+              Mark all as read
+            </button>
+          )}
         </div>
       </div>
 
@@ -823,6 +781,28 @@ const Alerts = () => {
                           <span className="text-xs text-gray-500">
                             {alert.source?.toUpperCase() || 'SYSTEM'}
                           </span>
+                          {alert.live && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">LIVE</span>
+                          )}
+                          {alert.state === 'acknowledged' && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">ACKNOWLEDGED</span>
+                          )}
+                          {alert.state === 'snoozed' && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700">
+                              SNOOZED UNTIL {new Date(alert.snoozed_until).toLocaleString()}
+                            </span>
+                          )}
+                          {alert.state === 'resolved' && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">RESOLVED</span>
+                          )}
+                          {alert.escalated_at && alert.state !== 'resolved' && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-purple-100 text-purple-800 flex items-center gap-1">
+                              <ArrowUpCircle className="w-3 h-3" /> ESCALATED
+                            </span>
+                          )}
+                          {alert.assigned_to && (
+                            <span className="text-xs text-gray-600">→ {staffName(alert.assigned_to)}</span>
+                          )}
                           <span className="text-xs text-gray-500">
                             {new Date(alert.createdAt || alert.created_at).toLocaleString('en-US', {
                               timeZone: 'Africa/Casablanca',
@@ -837,29 +817,73 @@ const Alerts = () => {
                       </div>
                     </div>
                     
-                    <div className="flex items-center gap-2 ml-4">
-                      {!alert.read && (
+                    <div className="flex items-center gap-2 ml-4" onClick={(e) => e.stopPropagation()}>
+                      {!alert.read && alert.state !== 'resolved' && (
                         <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleMarkAsRead(alert.id);
-                          }}
+                          onClick={() => handleMarkAsRead(alert)}
                           className="p-1 text-blue-600 hover:bg-blue-50 rounded"
                           title="Mark as read"
                         >
-                          <CheckCircle className="w-4 h-4" />
+                          <Eye className="w-4 h-4" />
+                        </button>
+                      )}
+                      {alert.live ? (
+                        <button
+                          onClick={() => handleDismissAlert(alert)}
+                          className="p-1 text-gray-400 hover:bg-gray-50 rounded"
+                          title="Dismiss alert"
+                        >
+                          <X className="w-4 h-4" />
                         </button>
+                      ) : alert.state !== 'resolved' && (
+                        <>
+                          {!alert.acknowledged_at && (
+                            <button
+                              onClick={() => runAction(acknowledgeAlert(alert.id), 'Alert acknowledged')}
+                              className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                              title="Acknowledge"
+                            >
+                              <Check className="w-4 h-4" />
+                            </button>
+                          )}
+                          <div className="flex items-center gap-1" title="Snooze">
+                            <BellOff className="w-4 h-4 text-gray-500" />
+                            <select
+                              value=""
+                              onChange={(e) => e.target.value && runAction(
+                                snoozeAlert({ alertId: alert.id, minutes: parseInt(e.target.value, 10) }),
+                                'Alert snoozed'
+                              )}
+                              className="px-1 py-0.5 border border-gray-300 rounded text-xs bg-white"
+                            >
+                              <option value="">Snooze</option>
+                              {alertService.SNOOZE_OPTIONS.map(option => (
+                                <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div className="flex items-center gap-1" title="Assign">
+                            <UserPlus className="w-4 h-4 text-gray-500" />
+                            <select
+                              value={alert.assigned_to || ''}
+                              onChange={(e) => runAction(assignAlert({ alertId: alert.id, userId: e.target.value || null }))}
+                              className="px-1 py-0.5 border border-gray-300 rounded text-xs bg-white max-w-[8rem]"
+                            >
+                              <option value="">Unassigned</option>
+                              {staff.map(user => (
+                                <option key={user.id} value={user.id}>{user.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <button
+                            onClick={() => runAction(resolveAlert(alert.id), 'Alert resolved')}
+                            className="p-1 text-green-600 hover:bg-green-50 rounded"
+                            title="Resolve"
+                          >
+                            <CheckCircle className="w-4 h-4" />
+                          </button>
+                        </>
                       )}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleDismissAlert(alert.id);
-                        }}
-                        className="p-1 text-gray-400 hover:bg-gray-50 rounded"
-                        title="Dismiss alert"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
                     </div>
                   </div>
                 </div>
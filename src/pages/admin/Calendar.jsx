@@ -1,49 +1,313 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { TABLE_NAMES } from '../../config/tableNames';
+import CalendarService from '../../services/CalendarService';
+import { useCalendarSync } from '../../hooks/useCalendarSync';
+import ResponsiveCalendarGrid from '../../components/calendar/ResponsiveCalendarGrid';
+import ClickableCalendarEvent from '../../components/calendar/ClickableCalendarEvent';
+import CalendarTimeGrid from '../../components/calendar/CalendarTimeGrid';
+import VehicleResourceTimeline from '../../components/calendar/VehicleResourceTimeline';
+import { EVENT_TYPE_STYLES, getEventStyle, formatEventTime } from '../../components/calendar/calendarEventStyles';
+
+const VIEWS = [
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'day', label: 'Day' },
+  { id: 'resources', label: 'Vehicles' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - day.getDay() * DAY_MS);
+};
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const toDateString = (date) => CalendarService.toDateString(date);
 
 /**
- * CalendarPage - Schedule and appointment management
- * 
- * Features to implement:
- * - Monthly/weekly/daily calendar views
- * - Rental scheduling
- * - Tour bookings
- * - Maintenance appointments
- * - Resource allocation
+ * CalendarPage - Unified dispatcher calendar
+ *
+ * Shows rentals, tour bookings and scheduled maintenance together in
+ * month / week / day views and a per-vehicle resource view. Rentals that
+ * have not started yet can be dragged to a new slot; the move is validated
+ * against vehicle availability before it is saved.
  */
 const CalendarPage = () => {
+  const navigate = useNavigate();
+  const [view, setView] = useState('month');
+  const [currentDate, setCurrentDate] = useState(new Date());
+  const [visibleTypes, setVisibleTypes] = useState(Object.keys(EVENT_TYPE_STYLES));
+  const [vehicles, setVehicles] = useState([]);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const { rangeStart, rangeEnd, days } = useMemo(() => {
+    if (view === 'month') {
+      const start = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+      const end = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
+      return { rangeStart: start, rangeEnd: end, days: [] };
+    }
+    if (view === 'day') {
+      const start = startOfDay(currentDate);
+      return { rangeStart: start, rangeEnd: addDays(start, 1), days: [start] };
+    }
+    const start = startOfWeek(currentDate);
+    return {
+      rangeStart: start,
+      rangeEnd: addDays(start, 7),
+      days: Array.from({ length: 7 }, (_, i) => addDays(start, i))
+    };
+  }, [view, currentDate]);
+
+  const { events, isLoading, forceSync, lastUpdate } = useCalendarSync({ rangeStart, rangeEnd });
+
+  const filteredEvents = useMemo(
+    () => events.filter(event => visibleTypes.includes(event.type)),
+    [events, visibleTypes]
+  );
+
+  useEffect(() => {
+    const loadVehicles = async () => {
+      const { data, error } = await supabase
+        .from(TABLE_NAMES.VEHICLES)
+        .select('id, name, plate_number, status')
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('❌ Calendar: failed to load vehicles:', error.message);
+        return;
+      }
+      setVehicles(data || []);
+    };
+
+    loadVehicles();
+  }, []);
+
+  // Month grid expects one entry per day, so multi-day rentals are repeated on every day they cover
+  const monthEntries = useMemo(() => {
+    if (view !== 'month') return [];
+    const entries = [];
+    filteredEvents.forEach(event => {
+      let day = startOfDay(event.start < rangeStart ? rangeStart : event.start);
+      while (day < event.end && day < rangeEnd) {
+        entries.push({
+          id: `${event.id}-${toDateString(day)}`,
+          selectedDate: toDateString(day),
+          selectedTime: formatEventTime(event.start),
+          title: event.title,
+          colorClass: getEventStyle(event.type).chip,
+          event
+        });
+        day = addDays(day, 1);
+      }
+    });
+    return entries;
+  }, [view, filteredEvents, rangeStart, rangeEnd]);
+
+  const selectedDayEvents = useMemo(() => {
+    const dayStart = startOfDay(currentDate);
+    const dayEnd = addDays(dayStart, 1);
+    return filteredEvents.filter(event => event.start < dayEnd && event.end > dayStart);
+  }, [filteredEvents, currentDate]);
+
+  const navigatePeriod = (direction) => {
+    const step = direction === 'next' ? 1 : -1;
+    if (view === 'month') {
+      setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + step, 1));
+    } else if (view === 'day') {
+      setCurrentDate(addDays(currentDate, step));
+    } else {
+      setCurrentDate(addDays(currentDate, step * 7));
+    }
+  };
+
+  const toggleType = (type) => {
+    setVisibleTypes(prev =>
+      prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]
+    );
+  };
+
+  const handleEventDrop = async (event, { start, vehicleId }) => {
+    if (!event.draggable) {
+      toast.error(`This ${getEventStyle(event.type).label.toLowerCase()} cannot be moved from the calendar`);
+      return;
+    }
+
+    const duration = event.end - event.start;
+    const end = new Date(start.getTime() + duration);
+
+    try {
+      await CalendarService.rescheduleRental(event, { start, end, vehicleId });
+      toast.success(`Rental moved to ${start.toLocaleString()}`);
+      forceSync();
+    } catch (error) {
+      console.error('❌ Calendar: reschedule failed:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const openEventSource = (event) => {
+    if (event.type === 'rental') {
+      navigate(`/admin/rentals/${event.resource.data.id}`);
+    } else if (event.type === 'tour') {
+      navigate('/admin/tours');
+    } else {
+      navigate('/admin/maintenance');
+    }
+  };
+
+  const periodLabel = view === 'month'
+    ? currentDate.toLocaleDateString([], { month: 'long', year: 'numeric' })
+    : view === 'day'
+      ? currentDate.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      : `${days[0].toLocaleDateString([], { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+
   return (
     <div className="p-4 lg:p-6">
-      <div className="mb-6">
-        <h1 className="text-2xl lg:text-3xl font-bold text-gray-900">Calendar</h1>
-        <p className="text-gray-600 mt-1">Schedule management and appointments</p>
+      <div className="mb-6 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl lg:text-3xl font-bold text-gray-900">Calendar</h1>
+          <p className="text-gray-600 mt-1">Rentals, tours and maintenance in one schedule</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {VIEWS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setView(option.id)}
+              className={`px-3 py-2 rounded-lg text-sm font-medium ${
+                view === option.id ? 'bg-blue-600 text-white' : 'bg-white border text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={forceSync}
+            className="p-2 rounded-lg bg-white border text-gray-700 hover:bg-gray-50"
+            title={lastUpdate ? `Last updated ${lastUpdate.toLocaleTimeString()}` : 'Refresh'}
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
       </div>
 
-      <div className="bg-white rounded-xl shadow-sm border p-6">
-        <div className="text-center py-12">
-          <div className="text-6xl mb-4">📅</div>
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">Calendar Module</h2>
-          <p className="text-gray-600 mb-6">
-            Comprehensive scheduling system for rentals, tours, and maintenance appointments.
-          </p>
-          
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 max-w-2xl mx-auto">
-            <div className="bg-blue-50 p-4 rounded-lg">
-              <h3 className="font-semibold text-blue-900 mb-2">Rental Scheduling</h3>
-              <p className="text-sm text-blue-700">Book and manage vehicle rentals</p>
-            </div>
-            <div className="bg-green-50 p-4 rounded-lg">
-              <h3 className="font-semibold text-green-900 mb-2">Tour Planning</h3>
-              <p className="text-sm text-green-700">Schedule guided tours and activities</p>
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-4">
+        {view !== 'month' && (
+          <div className="flex items-center space-x-2">
+            <button onClick={() => navigatePeriod('prev')} className="p-2 hover:bg-gray-100 rounded-lg">
+              <ChevronLeft className="h-5 w-5 text-gray-600" />
+            </button>
+            <span className="text-lg font-semibold text-gray-900">{periodLabel}</span>
+            <button onClick={() => navigatePeriod('next')} className="p-2 hover:bg-gray-100 rounded-lg">
+              <ChevronRight className="h-5 w-5 text-gray-600" />
+            </button>
+            <button
+              onClick={() => setCurrentDate(new Date())}
+              className="px-3 py-1 text-sm rounded-lg border bg-white hover:bg-gray-50"
+            >
+              Today
+            </button>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3">
+          {Object.entries(EVENT_TYPE_STYLES).map(([type, style]) => (
+            <label key={type} className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={visibleTypes.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              <span className={`w-3 h-3 rounded-full ${style.dot}`} />
+              <span>{style.label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-4 gap-4">
+        <div className="xl:col-span-3">
+          {view === 'month' && (
+            <ResponsiveCalendarGrid
+              currentDate={currentDate}
+              bookings={monthEntries}
+              onMonthChange={setCurrentDate}
+              onDateClick={(day) => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth(), day))}
+              onBookingClick={(entry) => setSelectedEvent(entry.event)}
+            />
+          )}
+
+          {(view === 'week' || view === 'day') && (
+            <CalendarTimeGrid
+              days={days}
+              events={filteredEvents}
+              onEventClick={setSelectedEvent}
+              onEventDrop={handleEventDrop}
+            />
+          )}
+
+          {view === 'resources' && (
+            <VehicleResourceTimeline
+              days={days}
+              vehicles={vehicles}
+              events={filteredEvents}
+              onEventClick={setSelectedEvent}
+              onEventDrop={handleEventDrop}
+            />
+          )}
+        </div>
+
+        {/* Agenda for the selected day */}
+        <div className="bg-white rounded-xl shadow-sm border p-4">
+          <h2 className="font-semibold text-gray-900 mb-3">
+            {currentDate.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' })}
+          </h2>
+
+          {selectedEvent && (
+            <div className="mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="text-xs uppercase text-gray-500">{getEventStyle(selectedEvent.type).label}</div>
+              <div className="font-semibold text-gray-900">{selectedEvent.title}</div>
+              <div className="text-sm text-gray-600">
+                {selectedEvent.start.toLocaleString()} – {selectedEvent.end.toLocaleString()}
+              </div>
+              {selectedEvent.vehicleName && (
+                <div className="text-sm text-gray-600">Vehicle: {selectedEvent.vehicleName}</div>
+              )}
+              <div className="mt-2 flex gap-2">
+                <button
+                  onClick={() => openEventSource(selectedEvent)}
+                  className="px-3 py-1 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  Open
+                </button>
+                <button
+                  onClick={() => setSelectedEvent(null)}
+                  className="px-3 py-1 text-sm rounded-lg border bg-white hover:bg-gray-50"
+                >
+                  Close
+                </button>
+              </div>
             </div>
-            <div className="bg-orange-50 p-4 rounded-lg">
-              <h3 className="font-semibold text-orange-900 mb-2">Maintenance</h3>
-              <p className="text-sm text-orange-700">Plan vehicle service appointments</p>
+          )}
+
+          {selectedDayEvents.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing scheduled.</p>
+          ) : (
+            <div className="space-y-2">
+              {selectedDayEvents.map(event => (
+                <ClickableCalendarEvent key={event.id} event={event} onClick={setSelectedEvent} />
+              ))}
             </div>
-          </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default CalendarPage;
\ No newline at end of file
+export default CalendarPage;
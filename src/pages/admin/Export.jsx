@@ -1,27 +1,379 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Download, Save, Play, Trash2, CalendarClock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { fetchVehicles } from '../../store/slices/vehiclesSlice';
+import {
+  fetchExportHistory,
+  runDataExport,
+  redownloadExport,
+  deleteExport,
+  fetchExportPresets,
+  saveExportPreset,
+  deleteExportPreset,
+  clearCurrentJob
+} from '../../store/slices/projectExportSlice';
+import DataExportService from '../../services/DataExportService';
+import { EXPORT_FORMATS } from '../../utils/exportFormats';
+import ExportHistoryList from '../../components/admin/ExportHistoryList';
+import ExportProgressModal from '../../components/admin/ExportProgressModal';
+
+const EMPTY_FORM = {
+  dataset: 'rentals',
+  format: 'csv',
+  range: 'this_month',
+  from: '',
+  to: '',
+  vehicleId: ''
+};
 
 /**
- * ExportPage - Data export and project management
+ * ExportPage - Export any dataset to CSV, XLSX or JSON, save presets with an
+ * optional schedule and re-download previous exports
  */
 const ExportPage = () => {
+  const dispatch = useDispatch();
+  const { user } = useAuth();
+  const { exports, presets, isLoading, isExporting, currentJob } = useSelector(state => state.projectExport);
+  const vehicles = useSelector(state => state.vehicles.vehicles);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [presetName, setPresetName] = useState('');
+  const [presetSchedule, setPresetSchedule] = useState('none');
+
+  const dataset = DataExportService.DATASETS[form.dataset];
+
+  const hasVehicles = vehicles.length > 0;
+
+  useEffect(() => {
+    dispatch(fetchExportHistory());
+    dispatch(fetchExportPresets());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!hasVehicles) {
+      dispatch(fetchVehicles());
+    }
+  }, [dispatch, hasVehicles]);
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const buildFilters = (values) => ({
+    range: values.range,
+    ...(values.range === 'custom' ? { from: values.from || null, to: values.to || null } : {}),
+    ...(DataExportService.DATASETS[values.dataset].supportsVehicle && values.vehicleId
+      ? { vehicleId: Number(values.vehicleId) }
+      : {})
+  });
+
+  const handleExport = async () => {
+    try {
+      await dispatch(runDataExport({
+        dataset: form.dataset,
+        format: form.format,
+        filters: buildFilters(form),
+        userId: user?.id
+      })).unwrap();
+    } catch (error) {
+      toast.error(`Export failed: ${error}`);
+    }
+  };
+
+  const handleSavePreset = async () => {
+    if (!presetName.trim()) {
+      toast.error('Give the preset a name');
+      return;
+    }
+    try {
+      await dispatch(saveExportPreset({
+        preset: {
+          name: presetName.trim(),
+          dataset: form.dataset,
+          format: form.format,
+          filters: buildFilters(form),
+          schedule: presetSchedule
+        },
+        userId: user?.id
+      })).unwrap();
+      setPresetName('');
+      setPresetSchedule('none');
+      toast.success('Preset saved');
+    } catch (error) {
+      toast.error(`Failed to save preset: ${error}`);
+    }
+  };
+
+  const handleRunPreset = async (preset) => {
+    try {
+      await dispatch(runDataExport({
+        dataset: preset.dataset,
+        format: preset.format,
+        filters: preset.filters,
+        presetId: preset.id,
+        userId: user?.id
+      })).unwrap();
+    } catch (error) {
+      toast.error(`Export failed: ${error}`);
+    }
+  };
+
+  const handleLoadPreset = (preset) => {
+    setForm({
+      ...EMPTY_FORM,
+      dataset: preset.dataset,
+      format: preset.format,
+      range: preset.filters?.range || 'custom',
+      from: preset.filters?.from || '',
+      to: preset.filters?.to || '',
+      vehicleId: preset.filters?.vehicleId ? String(preset.filters.vehicleId) : ''
+    });
+  };
+
+  const handleDeletePreset = async (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    try {
+      await dispatch(deleteExportPreset(preset.id)).unwrap();
+      toast.success('Preset deleted');
+    } catch (error) {
+      toast.error(`Failed to delete preset: ${error}`);
+    }
+  };
+
+  const findExport = (exportId) => exports.find(item => item.id === exportId);
+
+  const handleDownload = async (exportId) => {
+    try {
+      await dispatch(redownloadExport(findExport(exportId))).unwrap();
+    } catch (error) {
+      toast.error(`Download failed: ${error}`);
+    }
+  };
+
+  const handleDelete = async (exportId) => {
+    if (!window.confirm('Delete this export and its stored file?')) return;
+    try {
+      await dispatch(deleteExport(findExport(exportId))).unwrap();
+    } catch (error) {
+      toast.error(`Failed to delete export: ${error}`);
+    }
+  };
+
+  const describePreset = (preset) => {
+    const parts = [
+      DataExportService.DATASETS[preset.dataset]?.label || preset.dataset,
+      EXPORT_FORMATS[preset.format]?.label || preset.format,
+      preset.filters?.range === 'custom'
+        ? `${preset.filters.from || 'start'} → ${preset.filters.to || 'today'}`
+        : DataExportService.DATE_RANGES[preset.filters?.range]
+    ];
+    if (preset.filters?.vehicleId) {
+      const vehicle = vehicles.find(item => item.id === preset.filters.vehicleId);
+      parts.push(vehicle ? vehicle.name : `Vehicle #${preset.filters.vehicleId}`);
+    }
+    return parts.filter(Boolean).join(' · ');
+  };
+
   return (
     <div className="p-4 lg:p-6">
       <div className="mb-6">
-        <h1 className="text-2xl lg:text-3xl font-bold text-gray-900">Project Export</h1>
-        <p className="text-gray-600 mt-1">Export data, reports, and project information</p>
+        <h1 className="text-2xl lg:text-3xl font-bold text-gray-900">Data Export</h1>
+        <p className="text-gray-600 mt-1">Export rentals, customers, fuel, maintenance, inventory and finance data</p>
       </div>
 
-      <div className="bg-white rounded-xl shadow-sm border p-6">
-        <div className="text-center py-12">
-          <div className="text-6xl mb-4">📤</div>
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">Export Module</h2>
-          <p className="text-gray-600 mb-6">
-            Comprehensive data export system with multiple formats and scheduling options.
-          </p>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        {/* Export form */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">New export</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Dataset</span>
+              <select
+                value={form.dataset}
+                onChange={(e) => updateForm('dataset', e.target.value)}
+                className="w-full border rounded px-3 py-2"
+              >
+                {Object.entries(DataExportService.DATASETS).map(([key, definition]) => (
+                  <option key={key} value={key}>{definition.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Format</span>
+              <select
+                value={form.format}
+                onChange={(e) => updateForm('format', e.target.value)}
+                className="w-full border rounded px-3 py-2"
+              >
+                {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                  <option key={key} value={key}>{format.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Period</span>
+              <select
+                value={form.range}
+                onChange={(e) => updateForm('range', e.target.value)}
+                className="w-full border rounded px-3 py-2"
+              >
+                {Object.entries(DataExportService.DATE_RANGES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Vehicle</span>
+              <select
+                value={dataset.supportsVehicle ? form.vehicleId : ''}
+                onChange={(e) => updateForm('vehicleId', e.target.value)}
+                disabled={!dataset.supportsVehicle}
+                className="w-full border rounded px-3 py-2 disabled:bg-gray-100"
+              >
+                <option value="">{dataset.supportsVehicle ? 'All vehicles' : 'Not applicable'}</option>
+                {vehicles.map(vehicle => (
+                  <option key={vehicle.id} value={vehicle.id}>
+                    {vehicle.name} {vehicle.plate_number ? `(${vehicle.plate_number})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {form.range === 'custom' && (
+              <>
+                <label className="text-sm">
+                  <span className="block text-gray-700 mb-1">From</span>
+                  <input
+                    type="date"
+                    value={form.from}
+                    onChange={(e) => updateForm('from', e.target.value)}
+                    className="w-full border rounded px-3 py-2"
+                  />
+                </label>
+                <label className="text-sm">
+                  <span className="block text-gray-700 mb-1">To</span>
+                  <input
+                    type="date"
+                    value={form.to}
+                    onChange={(e) => updateForm('to', e.target.value)}
+                    className="w-full border rounded px-3 py-2"
+                  />
+                </label>
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-end mt-6">
+            <button
+              onClick={handleExport}
+              disabled={isExporting}
+              className="flex items-center gap-2 px-4 py-2 rounded bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              {isExporting ? 'Exporting…' : 'Export now'}
+            </button>
+          </div>
+
+          <div className="border-t mt-6 pt-4">
+            <h3 className="text-sm font-semibold text-gray-900 mb-3">Save these settings as a preset</h3>
+            <div className="flex flex-col md:flex-row gap-3">
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                placeholder="Preset name, e.g. Monthly fuel report"
+                className="flex-1 border rounded px-3 py-2 text-sm"
+              />
+              <select
+                value={presetSchedule}
+                onChange={(e) => setPresetSchedule(e.target.value)}
+                className="border rounded px-3 py-2 text-sm"
+              >
+                {Object.entries(DataExportService.SCHEDULES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleSavePreset}
+                className="flex items-center justify-center gap-2 px-4 py-2 rounded border text-sm hover:bg-gray-50"
+              >
+                <Save className="w-4 h-4" /> Save preset
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Scheduled presets run the next time an admin opens this page after they fall due; the file goes to the export history.
+            </p>
+          </div>
+        </div>
+
+        {/* Presets */}
+        <div className="bg-white rounded-xl shadow-sm border p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Presets</h2>
+          {presets.length === 0 ? (
+            <p className="text-sm text-gray-500">No presets saved yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {presets.map(preset => (
+                <div key={preset.id} className="border rounded-lg p-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <button onClick={() => handleLoadPreset(preset)} className="text-left">
+                      <p className="font-medium text-sm text-gray-900">{preset.name}</p>
+                      <p className="text-xs text-gray-500">{describePreset(preset)}</p>
+                    </button>
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => handleRunPreset(preset)}
+                        disabled={isExporting}
+                        title="Run now"
+                        className="p-1.5 rounded hover:bg-blue-50 text-blue-600 disabled:opacity-50"
+                      >
+                        <Play className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeletePreset(preset)}
+                        title="Delete preset"
+                        className="p-1.5 rounded hover:bg-red-50 text-red-600"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                  {preset.schedule !== 'none' && (
+                    <p className="flex items-center gap-1 text-xs text-gray-600 mt-2">
+                      <CalendarClock className="w-3 h-3" />
+                      {DataExportService.SCHEDULES[preset.schedule]}
+                      {preset.next_run_at && ` · next ${new Date(preset.next_run_at).toLocaleString()}`}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
+
+      <ExportHistoryList
+        exports={exports}
+        isLoading={isLoading}
+        onDownload={handleDownload}
+        onDelete={handleDelete}
+        onRefresh={() => dispatch(fetchExportHistory())}
+      />
+
+      {currentJob && (
+        <ExportProgressModal
+          job={currentJob}
+          onClose={() => dispatch(clearCurrentJob())}
+          title="Data Export"
+          successMessage={`${currentJob.row_count ?? 0} rows exported to ${currentJob.file_name || 'file'}. The file is also kept in the export history.`}
+        />
+      )}
     </div>
   );
 };
 
-export default ExportPage;
\ No newline at end of file
+export default ExportPage;
@@ -1,139 +1,21 @@
-import React, { useState, useEffect } from 'react';
-import { useSelector } from 'react-redux';
-import { Calendar, MapPin, Star, Users, Clock, CheckCircle } from 'lucide-react';
-import OptimizedAvatar from '../../components/common/OptimizedAvatar';
+import React from 'react';
+import GuideDayView from '../../components/tours/GuideDayView';
 
+/**
+ * GuideDashboard - Office view of every guide's tours for the day, with
+ * live check-in and tour progress as guides record it
+ */
 const GuideDashboard = () => {
-  const { user } = useSelector(state => state.auth);
-  const [stats, setStats] = useState({
-    totalTours: 0,
-    completedTours: 0,
-    upcomingTours: 0,
-    rating: 0
-  });
-
-  // Mock data - replace with real data fetching
-  useEffect(() => {
-    // Simulate API call
-    setStats({
-      totalTours: 45,
-      completedTours: 42,
-      upcomingTours: 3,
-      rating: 4.8
-    });
-  }, []);
-
   return (
     <div className="p-6">
-      {/* Header */}
       <div className="mb-8">
-        <div className="flex items-center">
-          <OptimizedAvatar 
-            src={user?.avatar}
-            name={user?.name || `${user?.firstName || ''} ${user?.lastName || ''}`.trim()}
-            size={64}
-            className="mr-4"
-          />
-          <div>
-            <h1 className="text-2xl font-bold text-gray-900">
-              Welcome back, {user?.firstName || user?.name || 'Guide'}!
-            </h1>
-            <p className="text-gray-600">Here's your tour overview for today</p>
-          </div>
-        </div>
-      </div>
-
-      {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-        <div className="bg-white p-6 rounded-lg shadow">
-          <div className="flex items-center">
-            <div className="p-2 bg-blue-100 rounded-lg">
-              <Users className="h-6 w-6 text-blue-600" />
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">Total Tours</p>
-              <p className="text-2xl font-semibold text-gray-900">{stats.totalTours}</p>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-white p-6 rounded-lg shadow">
-          <div className="flex items-center">
-            <div className="p-2 bg-green-100 rounded-lg">
-              <CheckCircle className="h-6 w-6 text-green-600" />
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">Completed</p>
-              <p className="text-2xl font-semibold text-gray-900">{stats.completedTours}</p>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-white p-6 rounded-lg shadow">
-          <div className="flex items-center">
-            <div className="p-2 bg-yellow-100 rounded-lg">
-              <Clock className="h-6 w-6 text-yellow-600" />
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">Upcoming</p>
-              <p className="text-2xl font-semibold text-gray-900">{stats.upcomingTours}</p>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-white p-6 rounded-lg shadow">
-          <div className="flex items-center">
-            <div className="p-2 bg-purple-100 rounded-lg">
-              <Star className="h-6 w-6 text-purple-600" />
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">Rating</p>
-              <p className="text-2xl font-semibold text-gray-900">{stats.rating}</p>
-            </div>
-          </div>
-        </div>
+        <h1 className="text-2xl font-bold text-gray-900">Guide Operations</h1>
+        <p className="text-gray-600">Today's tours, check-ins and quads across all guides</p>
       </div>
 
-      {/* Today's Schedule */}
-      <div className="bg-white rounded-lg shadow">
-        <div className="p-6 border-b">
-          <h2 className="text-lg font-semibold text-gray-900">Today's Schedule</h2>
-        </div>
-        <div className="p-6">
-          <div className="space-y-4">
-            {/* Mock schedule items */}
-            <div className="flex items-center p-4 bg-gray-50 rounded-lg">
-              <div className="flex-shrink-0">
-                <Calendar className="h-5 w-5 text-gray-400" />
-              </div>
-              <div className="ml-4 flex-1">
-                <p className="text-sm font-medium text-gray-900">Desert Sunset Tour</p>
-                <p className="text-sm text-gray-500">3:00 PM - 7:00 PM</p>
-              </div>
-              <div className="flex items-center text-sm text-gray-500">
-                <MapPin className="h-4 w-4 mr-1" />
-                Agafay Desert
-              </div>
-            </div>
-            
-            <div className="flex items-center p-4 bg-gray-50 rounded-lg">
-              <div className="flex-shrink-0">
-                <Calendar className="h-5 w-5 text-gray-400" />
-              </div>
-              <div className="ml-4 flex-1">
-                <p className="text-sm font-medium text-gray-900">Night Adventure</p>
-                <p className="text-sm text-gray-500">8:00 PM - 11:00 PM</p>
-              </div>
-              <div className="flex items-center text-sm text-gray-500">
-                <MapPin className="h-4 w-4 mr-1" />
-                Merzouga
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
+      <GuideDayView />
     </div>
   );
 };
 
-export default GuideDashboard;
\ No newline at end of file
+export default GuideDashboard;
@@ -3,12 +3,18 @@ import InventoryDashboard from '../../components/inventory/InventoryDashboard';
 import ItemsManagement from '../../components/inventory/ItemsManagement';
 import StockMovements from '../../components/inventory/StockMovements';
 import PurchasesManagement from '../../components/inventory/PurchasesManagement';
+import PurchaseOrders from '../../components/inventory/PurchaseOrders';
+import SuppliersManagement from '../../components/inventory/SuppliersManagement';
+import StockTakes from '../../components/inventory/StockTakes';
 import LowStockAlert from '../../components/inventory/LowStockAlert';
 import { 
   HomeIcon, 
   PackageIcon, 
   TrendingUpIcon, 
   ShoppingCartIcon,
+  ClipboardListIcon,
+  TruckIcon,
+  ClipboardCheckIcon,
   AlertTriangleIcon 
 } from 'lucide-react';
 
@@ -20,6 +26,8 @@ import {
  * - Items catalog management
  * - Stock movements tracking (IN/OUT)
  * - Purchases with invoice photos
+ * - Purchase orders, suppliers and reorder suggestions
+ * - Stock takes with variance reports
  * - Low stock alerts
  * - Vehicle/maintenance integration
  */
@@ -57,6 +65,24 @@ const InventoryPage = () => {
       icon: ShoppingCartIcon,
       component: PurchasesManagement
     },
+    {
+      id: 'purchase-orders',
+      name: 'Purchase Orders',
+      icon: ClipboardListIcon,
+      component: PurchaseOrders
+    },
+    {
+      id: 'suppliers',
+      name: 'Suppliers',
+      icon: TruckIcon,
+      component: SuppliersManagement
+    },
+    {
+      id: 'stock-takes',
+      name: 'Stock Takes',
+      icon: ClipboardCheckIcon,
+      component: StockTakes
+    },
     {
       id: 'low-stock',
       name: 'Low Stock',
@@ -1,141 +1,168 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
+import FleetPositionService from '../../services/FleetPositionService';
+import FleetMapCanvas, { STALENESS_COLORS } from '../../components/map/FleetMapCanvas';
+import GeofenceManager from '../../components/map/GeofenceManager';
+import GpxSimulatorPanel from '../../components/map/GpxSimulatorPanel';
+import { haversineKm } from '../../utils/geoUtils';
 import '../../components/admin/adminLayout.css';
 
+const STALENESS_TICK_MS = 15000;
+const DEFAULT_TRACK_HOURS = 3;
+
+const formatAge = (seconds) => {
+  if (seconds === null) return '—';
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  return `${Math.floor(seconds / 3600)} h ${Math.floor((seconds % 3600) / 60)} min ago`;
+};
+
+const trackDistanceKm = (track) =>
+  track.reduce((total, point, index) => {
+    if (index === 0) return total;
+    const previous = track[index - 1];
+    return total + haversineKm(previous.latitude, previous.longitude, point.latitude, point.longitude);
+  }, 0);
+
 const LiveMap = () => {
   const { t } = useTranslation();
-  const mapRef = useRef(null);
   const [loading, setLoading] = useState(true);
-  const [activeTours, setActiveTours] = useState([]);
-  const [selectedTour, setSelectedTour] = useState(null);
-  
-  // Sample active tours data
-  const sampleTours = [
-    {
-      id: 1,
-      name: 'Morning Desert Adventure',
-      guide: 'Ahmed Hassan',
-      participants: 8,
-      startTime: '08:30',
-      duration: '3 hours',
-      status: 'in-progress',
-      coordinates: {
-        lat: 25.0657, 
-        lng: 55.1713
-      },
-      lastUpdate: '10:15 AM'
-    },
-    {
-      id: 2,
-      name: 'Sunset Safari Experience',
-      guide: 'Mohammed Ali',
-      participants: 12,
-      startTime: '16:00',
-      duration: '4 hours',
-      status: 'starting',
-      coordinates: {
-        lat: 25.0757, 
-        lng: 55.1813
-      },
-      lastUpdate: '3:55 PM'
-    },
-    {
-      id: 3,
-      name: 'Dune Bashing Adventure',
-      guide: 'Sara Johnson',
-      participants: 6,
-      startTime: '09:45',
-      duration: '2.5 hours',
-      status: 'in-progress',
-      coordinates: {
-        lat: 25.0557, 
-        lng: 55.1613
-      },
-      lastUpdate: '11:20 AM'
+  const [activeFleet, setActiveFleet] = useState([]);
+  const [positions, setPositions] = useState({});
+  const [geofences, setGeofences] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [selectedVehicleId, setSelectedVehicleId] = useState(null);
+  const [track, setTrack] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const [lastLoadedAt, setLastLoadedAt] = useState(null);
+
+  // Latest selection for the realtime handler, which is subscribed once
+  const selectedRef = useRef(null);
+
+  const loadGeofences = useCallback(async () => {
+    setGeofences(await FleetPositionService.getGeofences());
+  }, []);
+
+  const loadMap = useCallback(async () => {
+    try {
+      const [fleet, latest, , allVehicles] = await Promise.all([
+        FleetPositionService.getActiveFleet(),
+        FleetPositionService.getLatestPositions(),
+        loadGeofences(),
+        FleetPositionService.getTrackableVehicles()
+      ]);
+
+      setActiveFleet(fleet);
+      setPositions(latest);
+      setVehicles(allVehicles);
+      setLastLoadedAt(new Date());
+    } catch (error) {
+      console.error('❌ LiveMap: failed to load fleet positions:', error);
+    } finally {
+      setLoading(false);
     }
-  ];
+  }, [loadGeofences]);
 
   useEffect(() => {
-    // Simulating API call to get active tours
-    const fetchActiveTours = () => {
-      setTimeout(() => {
-        setActiveTours(sampleTours);
-        setLoading(false);
-      }, 800);
-    };
+    loadMap();
 
-    // Initialize map (placeholder)
-    const initializeMap = () => {
-      // In a real implementation, this would initialize a mapping service like Google Maps or Mapbox
-      console.log('Map initialized');
-      
-      // Create a mock map element for visualization
-      if (mapRef.current) {
-        const mapContainer = mapRef.current;
-        mapContainer.innerHTML = `
-          <div class="relative h-full w-full bg-blue-100 rounded-lg overflow-hidden">
-            <div class="absolute top-0 left-0 w-full h-full" style="background-image: url('/assets/images/map-placeholder.jpg'); background-size: cover; background-position: center;"></div>
-            <div class="absolute top-4 right-4 bg-white p-2 rounded shadow">
-              <div class="text-xs font-medium">SaharaX Tour Map</div>
-            </div>
-            <!-- Tour markers would be added dynamically -->
-            <div class="absolute" style="top: 30%; left: 40%;">
-              <div class="h-4 w-4 bg-red-500 rounded-full animate-pulse"></div>
-            </div>
-            <div class="absolute" style="top: 50%; left: 60%;">
-              <div class="h-4 w-4 bg-red-500 rounded-full animate-pulse"></div>
-            </div>
-            <div class="absolute" style="top: 45%; left: 30%;">
-              <div class="h-4 w-4 bg-yellow-500 rounded-full animate-pulse"></div>
-            </div>
-          </div>
-        `;
+    const unsubscribe = FleetPositionService.subscribeToPositions((position) => {
+      setPositions(prev => {
+        const current = prev[position.vehicle_id];
+        if (current && new Date(current.recorded_at) > new Date(position.recorded_at)) return prev;
+        return { ...prev, [position.vehicle_id]: position };
+      });
+
+      if (String(position.vehicle_id) === String(selectedRef.current)) {
+        setTrack(prev => [...prev, position]);
       }
+    });
+
+    const tick = setInterval(() => setNow(Date.now()), STALENESS_TICK_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(tick);
     };
-    
-    fetchActiveTours();
-    initializeMap();
+  }, [loadMap]);
 
-    // Simulate location updates
-    const updateInterval = setInterval(() => {
-      setActiveTours(prev => prev.map(tour => ({
-        ...tour,
-        coordinates: {
-          lat: tour.coordinates.lat + (Math.random() * 0.002 - 0.001),
-          lng: tour.coordinates.lng + (Math.random() * 0.002 - 0.001)
-        },
-        lastUpdate: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-      })));
-    }, 30000);
+  // Vehicles on hire, plus any other vehicle still sending live pings (e.g. the simulator)
+  const rows = useMemo(() => {
+    const onHire = activeFleet.map(entry => ({ ...entry, position: positions[entry.vehicleId] }));
+    const onHireIds = new Set(onHire.map(entry => String(entry.vehicleId)));
 
-    return () => clearInterval(updateInterval);
-  }, []);
+    const others = Object.values(positions)
+      .filter(position => !onHireIds.has(String(position.vehicle_id)))
+      .filter(position => FleetPositionService.getStaleness(position.recorded_at, now).level !== 'lost')
+      .map(position => ({
+        vehicleId: position.vehicle_id,
+        vehicle: vehicles.find(vehicle => vehicle.id === position.vehicle_id),
+        kind: 'idle',
+        label: t('admin.liveMap.notOnHire', 'Not on hire'),
+        position
+      }));
+
+    return [...onHire, ...others].map(row => {
+      const staleness = FleetPositionService.getStaleness(row.position?.recorded_at, now);
+      const zone = row.position ? FleetPositionService.findZone(row.position, geofences) : null;
+      return {
+        ...row,
+        staleness,
+        zone,
+        outsideZone: Boolean(row.position) && geofences.some(z => z.is_active) && !zone
+      };
+    });
+  }, [activeFleet, positions, vehicles, geofences, now, t]);
+
+  const markers = rows
+    .filter(row => row.position)
+    .map(row => ({
+      vehicleId: row.vehicleId,
+      label: row.vehicle?.name || `#${row.vehicleId}`,
+      latitude: row.position.latitude,
+      longitude: row.position.longitude,
+      staleness: row.staleness.level,
+      outsideZone: row.outsideZone
+    }));
+
+  const selectedRow = rows.find(row => String(row.vehicleId) === String(selectedVehicleId));
 
-  const handleTourClick = (tour) => {
-    setSelectedTour(tour.id === selectedTour?.id ? null : tour);
-    
-    // In a real implementation, this would center the map on the tour's coordinates
-    console.log(`Centering map on tour ${tour.id}`);
+  const handleSelect = async (vehicleId) => {
+    const nextId = String(vehicleId) === String(selectedVehicleId) ? null : vehicleId;
+    setSelectedVehicleId(nextId);
+    selectedRef.current = nextId;
+    setTrack([]);
+    if (!nextId) return;
+
+    const row = rows.find(r => String(r.vehicleId) === String(nextId));
+    const since = row?.startedAt
+      ? new Date(row.startedAt)
+      : new Date(Date.now() - DEFAULT_TRACK_HOURS * 3600000);
+    try {
+      setTrack(await FleetPositionService.getVehicleTrack(nextId, since));
+    } catch (error) {
+      console.error('❌ LiveMap: failed to load track:', error);
+    }
   };
 
   return (
     <div className="w-full h-full max-w-full overflow-y-auto">
       <div className="p-6">
       <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-800">{t('admin.menu.liveMap', 'Live Tour Map')}</h1>
+        <h1 className="text-2xl font-bold text-gray-800">{t('admin.menu.liveMap', 'Live Fleet Map')}</h1>
         <p className="text-gray-600 mt-1">
-          {t('admin.liveMap.subtitle', 'Track active tours and guide locations in real-time')}
+          {t('admin.liveMap.subtitle', 'Last known position of every vehicle on a rental or tour')}
         </p>
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-        {/* Active Tours List */}
-        <div className="lg:col-span-1">
+        {/* Active vehicles list */}
+        <div className="lg:col-span-1 space-y-6">
           <div className="bg-white rounded-lg shadow p-4">
             <h2 className="font-semibold text-lg mb-4">
-              {t('admin.liveMap.activeTours', 'Active Tours')}
+              {t('admin.liveMap.activeVehicles', 'Vehicles out')} ({rows.length})
             </h2>
-            
+
             {loading ? (
               <div className="flex justify-center items-center py-12">
                 <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -143,46 +170,54 @@ const LiveMap = () => {
               </div>
             ) : (
               <div className="space-y-3">
-                {activeTours.length > 0 ? (
-                  activeTours.map(tour => (
-                    <div 
-                      key={tour.id} 
+                {rows.length > 0 ? (
+                  rows.map(row => (
+                    <div
+                      key={`${row.kind}-${row.vehicleId}`}
                       className={`p-3 rounded-lg border cursor-pointer transition-all
-                        ${selectedTour?.id === tour.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
-                      onClick={() => handleTourClick(tour)}
+                        ${String(selectedVehicleId) === String(row.vehicleId) ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                      onClick={() => handleSelect(row.vehicleId)}
                     >
                       <div className="flex justify-between items-start">
-                        <h3 className="font-medium text-gray-800">{tour.name}</h3>
-                        <span className={`text-xs px-2 py-1 rounded-full
-                          ${tour.status === 'in-progress' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
-                          {tour.status === 'in-progress' ? 
-                            t('admin.liveMap.statusInProgress', 'In Progress') : 
-                            t('admin.liveMap.statusStarting', 'Starting')}
+                        <h3 className="font-medium text-gray-800">
+                          {row.vehicle?.name || `#${row.vehicleId}`}
+                          {row.vehicle?.plate_number && (
+                            <span className="text-xs text-gray-500 ml-1">{row.vehicle.plate_number}</span>
+                          )}
+                        </h3>
+                        <span
+                          className="text-xs px-2 py-1 rounded-full text-white"
+                          style={{ backgroundColor: STALENESS_COLORS[row.staleness.level] }}
+                        >
+                          {row.staleness.level === 'none'
+                            ? t('admin.liveMap.noFix', 'No fix')
+                            : t(`admin.liveMap.${row.staleness.level}`, row.staleness.level)}
                         </span>
                       </div>
                       <div className="mt-2 text-sm text-gray-600">
-                        <div>{t('admin.liveMap.guide', 'Guide')}: {tour.guide}</div>
-                        <div>{t('admin.liveMap.participants', 'Participants')}: {tour.participants}</div>
-                        <div>{t('admin.liveMap.time', 'Time')}: {tour.startTime} ({tour.duration})</div>
+                        <div className="capitalize">{row.label}</div>
                         <div className="mt-1 text-xs text-gray-500">
-                          {t('admin.liveMap.lastUpdate', 'Last update')}: {tour.lastUpdate}
+                          {t('admin.liveMap.lastUpdate', 'Last fix')}: {formatAge(row.staleness.seconds)}
                         </div>
-                      </div>
-                      <div className="mt-2 flex justify-end">
-                        <button className="text-sm text-blue-600 hover:text-blue-800">
-                          {t('admin.liveMap.contactGuide', 'Contact Guide')}
-                        </button>
+                        {row.outsideZone && (
+                          <div className="mt-1 text-xs font-medium text-red-600">
+                            {t('admin.liveMap.outsideZone', 'Outside riding zones')}
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))
                 ) : (
                   <div className="text-center py-8 text-gray-500">
-                    {t('admin.liveMap.noActiveTours', 'No active tours at the moment')}
+                    {t('admin.liveMap.noActiveVehicles', 'No vehicles out at the moment')}
                   </div>
                 )}
               </div>
             )}
           </div>
+
+          <GeofenceManager geofences={geofences} onChange={loadGeofences} />
+          <GpxSimulatorPanel vehicles={vehicles} />
         </div>
 
         {/* Map Display */}
@@ -191,82 +226,82 @@ const LiveMap = () => {
             <div className="p-4 border-b border-gray-200">
               <div className="flex justify-between items-center">
                 <h2 className="font-semibold text-lg">
-                  {selectedTour ? 
-                    `${t('admin.liveMap.tracking', 'Tracking')}: ${selectedTour.name}` : 
+                  {selectedRow ?
+                    `${t('admin.liveMap.tracking', 'Tracking')}: ${selectedRow.vehicle?.name || `#${selectedRow.vehicleId}`}` :
                     t('admin.liveMap.mapView', 'Map View')}
                 </h2>
-                <div className="flex space-x-2">
-                  <button className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded">
-                    {t('admin.liveMap.refresh', 'Refresh')}
-                  </button>
-                  <button className="text-sm px-3 py-1 bg-blue-600 text-white hover:bg-blue-700 rounded">
-                    {t('admin.liveMap.fullscreen', 'Fullscreen')}
-                  </button>
-                </div>
+                <button onClick={loadMap} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded">
+                  {t('admin.liveMap.refresh', 'Refresh')}
+                </button>
               </div>
             </div>
-            
-            {/* Map container */}
-            <div className="h-[60vh]" ref={mapRef}>
-              {loading && (
-                <div className="h-full flex justify-center items-center">
-                  <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
-                  <span className="ml-2">{t('admin.liveMap.loadingMap', 'Loading map...')}</span>
-                </div>
-              )}
+
+            <div className="h-[60vh]">
+              <FleetMapCanvas
+                markers={markers}
+                geofences={geofences}
+                track={track}
+                selectedVehicleId={selectedVehicleId}
+                onSelect={handleSelect}
+              />
             </div>
 
-            {/* Map controls */}
-            <div className="p-4 border-t border-gray-200 flex justify-between items-center">
-              <div className="text-sm text-gray-600">
-                {t('admin.liveMap.lastMapUpdate', 'Last updated')}: {new Date().toLocaleTimeString()}
+            <div className="p-4 border-t border-gray-200 flex justify-between items-center text-sm text-gray-600">
+              <div>
+                {t('admin.liveMap.lastMapUpdate', 'Last updated')}: {lastLoadedAt ? lastLoadedAt.toLocaleTimeString() : '—'}
               </div>
-              
-              <div className="flex space-x-2">
-                <button className="text-sm px-3 py-1 border border-gray-300 rounded">
-                  {t('admin.liveMap.satellite', 'Satellite')}
-                </button>
-                <button className="text-sm px-3 py-1 border border-gray-300 bg-gray-100 rounded">
-                  {t('admin.liveMap.terrain', 'Terrain')}
-                </button>
+              <div className="flex space-x-3">
+                {['live', 'stale', 'lost'].map(level => (
+                  <span key={level} className="flex items-center">
+                    <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: STALENESS_COLORS[level] }} />
+                    {t(`admin.liveMap.${level}`, level)}
+                  </span>
+                ))}
               </div>
             </div>
           </div>
 
-          {/* Selected tour details */}
-          {selectedTour && (
+          {/* Selected vehicle details */}
+          {selectedRow && (
             <div className="bg-white rounded-lg shadow mt-6 p-4">
-              <h3 className="font-semibold text-lg mb-3">{selectedTour.name} - {t('admin.liveMap.detailedInfo', 'Detailed Info')}</h3>
-              
+              <h3 className="font-semibold text-lg mb-3">
+                {selectedRow.vehicle?.name || `#${selectedRow.vehicleId}`} - {t('admin.liveMap.detailedInfo', 'Detailed Info')}
+              </h3>
+
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div className="bg-gray-50 p-3 rounded">
                   <div className="text-sm text-gray-500">{t('admin.liveMap.coordinates', 'Coordinates')}</div>
                   <div className="font-medium">
-                    {selectedTour.coordinates.lat.toFixed(4)}, {selectedTour.coordinates.lng.toFixed(4)}
+                    {selectedRow.position
+                      ? `${Number(selectedRow.position.latitude).toFixed(5)}, ${Number(selectedRow.position.longitude).toFixed(5)}`
+                      : '—'}
                   </div>
                 </div>
                 <div className="bg-gray-50 p-3 rounded">
                   <div className="text-sm text-gray-500">{t('admin.liveMap.speed', 'Speed')}</div>
-                  <div className="font-medium">32 km/h</div>
+                  <div className="font-medium">
+                    {selectedRow.position?.speed_kmh != null ? `${Number(selectedRow.position.speed_kmh).toFixed(0)} km/h` : '—'}
+                  </div>
                 </div>
                 <div className="bg-gray-50 p-3 rounded">
                   <div className="text-sm text-gray-500">{t('admin.liveMap.distanceTraveled', 'Distance')}</div>
-                  <div className="font-medium">12.4 km</div>
+                  <div className="font-medium">{trackDistanceKm(track).toFixed(1)} km</div>
                 </div>
                 <div className="bg-gray-50 p-3 rounded">
-                  <div className="text-sm text-gray-500">{t('admin.liveMap.estimatedCompletion', 'Est. Completion')}</div>
-                  <div className="font-medium">11:35 AM</div>
+                  <div className="text-sm text-gray-500">{t('admin.liveMap.zone', 'Zone')}</div>
+                  <div className={`font-medium ${selectedRow.outsideZone ? 'text-red-600' : ''}`}>
+                    {selectedRow.zone?.name || (selectedRow.outsideZone ? t('admin.liveMap.outsideZone', 'Outside riding zones') : '—')}
+                  </div>
                 </div>
               </div>
 
-              <div className="flex justify-end mt-4 space-x-3">
-                <button className="px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded hover:bg-blue-50">
-                  {t('admin.liveMap.sendMessage', 'Send Message')}
-                </button>
-                <button className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">
-                  {t('admin.liveMap.emergencyContact', 'Emergency Contact')}
-                </button>
-              </div>
+              {selectedRow.phone && (
+                <div className="flex justify-end mt-4">
+                  <a href={`tel:${selectedRow.phone}`} className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">
+                    {t('admin.liveMap.callCustomer', 'Call customer')}
+                  </a>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -276,4 +311,4 @@ const LiveMap = () => {
   );
 };
 
-export default LiveMap;
\ No newline at end of file
+export default LiveMap;
@@ -13,6 +13,9 @@ import ViewCustomerDetailsDrawer from '../../components/admin/ViewCustomerDetail
 import { useTimer } from '../../hooks/useTimer';
 import RentalContract from '../../components/admin/RentalContract';
 import SignaturePadModal from '../../components/SignaturePadModal';
+import DepositSettlementCard from '../../components/admin/DepositSettlementCard';
+import RentalInspectionCard from '../../components/admin/RentalInspectionCard';
+import RentalStatusHistory from '../../components/admin/RentalStatusHistory';
 import SecondDriverDetailsModal from '../../components/admin/SecondDriverDetailsModal';
 import ExtensionRequestModal from '../../components/admin/ExtensionRequestModal';
 import ExtensionHistory from '../../components/admin/ExtensionHistory';
@@ -21,7 +24,9 @@ import { useReactToPrint } from 'react-to-print';
 import OverageCalculationService from '../../services/OverageCalculationService';
 import { getPaymentStatusStyle } from '../../config/statusColors';
 import { isAdminOrOwner, canApprovePriceOverrides } from '../../utils/permissionHelpers';
-import PricingRulesService from '../../services/PricingRulesService';
+import RentalQuoteService from '../../services/RentalQuoteService';
+import rentalClosingService from '../../services/rentalClosingService';
+import { useStepUp } from '../../contexts/StepUpContext';
 import { ArrowLeft, Printer, X, Upload, Play, Plus, AlertTriangle, Clock, CheckCircle, XCircle, Calendar, PlayCircle, Maximize2, User, Users, CreditCard, FileSignature, Edit, Save, DollarSign, StopCircle, Video, FileVideo, Camera, Flashlight, Info, Gauge, Package, FileText, Receipt, Share2, Smartphone } from 'lucide-react';
 import { FaWhatsapp, FaCheck, FaFilePdf, FaFileInvoice, FaVideo } from 'react-icons/fa';
 import html2canvas from 'html2canvas';
@@ -29,11 +34,16 @@ import jsPDF from 'jspdf';
 import InvoiceTemplate from '../../components/InvoiceTemplate';
 import ContractTemplate from '../../components/ContractTemplate';
 import ReceiptTemplate from '../../components/ReceiptTemplate';
+import CollectPaymentModal from '../../components/admin/CollectPaymentModal';
+import TakeDepositModal from '../../components/admin/TakeDepositModal';
+import InvoicesModal from '../../components/admin/InvoicesModal';
+import PaymentLedgerService, { PAYMENT_TENDERS } from '../../services/PaymentLedgerService';
 import { processVideo } from '../../utils/videoConverter';
 
 export default function RentalDetails() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { requestStepUp } = useStepUp();
   
   // 🔍 DEBUG: WhatsApp button click handler
   const handleWhatsAppClick = () => {
@@ -66,7 +76,10 @@ export default function RentalDetails() {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [isUploading, setIsUploading] = useState(false);
   
-  const [isUpdatingPayment, setIsUpdatingPayment] = useState(false);
+  const [collectPaymentOpen, setCollectPaymentOpen] = useState(false);
+  const [takeDepositOpen, setTakeDepositOpen] = useState(false);
+  const [invoicesOpen, setInvoicesOpen] = useState(false);
+  const [payments, setPayments] = useState(null);
   
   const [isProcessingVideo, setIsProcessingVideo] = useState(false);
   
@@ -124,10 +137,6 @@ export default function RentalDetails() {
   // Late fee state
   const [lateFee, setLateFee] = useState(null);
 
-  // Deposit return state
-  const [showDepositSignatureModal, setShowDepositSignatureModal] = useState(false);
-  const [deductFromDeposit, setDeductFromDeposit] = useState(false);
-  const [depositReturnAmount, setDepositReturnAmount] = useState(0);
 
   // Odometer state
   const [startOdometer, setStartOdometer] = useState('');
@@ -868,33 +877,13 @@ const handleSendWhatsAppSelection = async (options) => {
     return status === 'paid';
   };
 
-    // ✅ UPDATED: Calculate deposit return amount with toggle support
-  const calculateDepositReturn = () => {
-    const damageDeposit = parseFloat(rental?.damage_deposit || 0);
-    // Calculate actual grand total including overage and extensions
+  // Unpaid rental balance, offered as a deduction when the deposit is settled
+  const calculateBalanceDue = () => {
     const baseAmount = calculateRentalBaseAmount();
     const overageCharge = parseFloat(rental?.overage_charge || 0);
     const extensionFees = parseFloat(totalExtensionFees || 0);
-    const totalRentalCost = baseAmount + overageCharge + extensionFees;
     const depositPaid = parseFloat(rental?.deposit_amount || 0);
-    const balanceDue = Math.max(0, totalRentalCost - depositPaid);
-    
-    // Apply deduction if toggle is ON and not yet processed
-    const useDeduction = deductFromDeposit && balanceDue > 0 && !rental.deposit_returned_at;
-    const depositReturn = useDeduction 
-      ? Math.max(0, damageDeposit - balanceDue)
-      : damageDeposit;
-    const additionalOwed = Math.max(0, balanceDue - damageDeposit);
-    
-    return {
-      damageDeposit,
-      totalRentalCost,
-      balanceDue,
-      depositReturn,
-      hasDeduction: balanceDue > 0,
-      additionalOwed,
-      useDeduction
-    };
+    return Math.max(0, baseAmount + overageCharge + extensionFees - depositPaid);
   };
 
   // Fix for mobile blank screen - initialize mobile templates
@@ -942,57 +931,25 @@ const handleSendWhatsAppSelection = async (options) => {
     );
   };
 
-  const markAsPaid = async () => {
-    if (isUpdatingPayment) return;
-    
+  // Payments are recorded in the ledger; the database keeps the rental's
+  // paid amount, balance and payment status in step with it
+  const loadPayments = async () => {
+    if (!id) return;
     try {
-      setIsUpdatingPayment(true);
-      
-      // Calculate the complete total amount including all charges
-      const baseAmount = calculateRentalBaseAmount();
-      const overageCharge = parseFloat(rental.overage_charge || 0);
-      const extensionFees = parseFloat(totalExtensionFees || 0);
-      const grandTotal = baseAmount + overageCharge + extensionFees;
-      
-      // Update database: Set deposit_amount = grand total, remaining_amount = 0, status = paid
-      const { error: updateError } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .update({
-          payment_status: 'paid',
-          deposit_amount: grandTotal,
-          remaining_amount: 0,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', rental.id);
-      
-      if (updateError) {
-        console.error('❌ Direct update failed:', updateError);
-        throw updateError;
-      }
-
-      // Update local state to reflect changes immediately
-      setRental(prev => ({
-        ...prev,
-        payment_status: 'paid',
-        deposit_amount: grandTotal,
-        remaining_amount: 0
-      }));
-
-      // ✅ AUTO-GENERATE RECEIPT PDF IN BACKGROUND
-    setTimeout(() => {
-      generateAndCacheReceiptPDF();
-    }, 500);
-    
-    alert(`✅ Payment status updated to "Paid"!\n\nGrand Total: ${grandTotal.toFixed(2)} MAD\nDeposit Paid: ${grandTotal.toFixed(2)} MAD\nBalance Due: 0.00 MAD\n\nReceipt PDF will be generated in background.`);
-      
+      setPayments(await PaymentLedgerService.getTransactions({ rentalId: id }));
     } catch (err) {
-      console.error('❌ Payment Update Error:', err);
-      alert('⚠️ Unable to update payment status.');
-    } finally {
-      setIsUpdatingPayment(false);
+      console.error('❌ Error loading payments:', err);
     }
   };
 
+  useEffect(() => {
+    loadPayments();
+  }, [id]);
+
+  const handlePaymentRecorded = async () => {
+    await Promise.all([loadRentalData(), loadPayments()]);
+  };
+
   const handleSignatureSave = async (signatureUrl) => {
     if (!rental) return;
     setIsSigning(false);
@@ -1022,52 +979,6 @@ const handleSendWhatsAppSelection = async (options) => {
     }
   };
 
-    // ✅ UPDATED: Handle deposit return signature with toggle support
-  const handleDepositSignatureSave = async (signatureUrl) => {
-    try {
-      const depositCalc = calculateDepositReturn();
-      
-      // ✅ NEW: Auto-update payment status to "paid" if balance was covered by deposit deduction
-      const updateData = {
-        deposit_return_signature_url: signatureUrl,
-        deposit_returned_at: new Date().toISOString(),
-        deposit_return_amount: depositCalc.depositReturn,
-        deposit_deduction_amount: depositCalc.useDeduction ? depositCalc.balanceDue : 0,
-        deposit_deduction_reason: depositCalc.useDeduction 
-          ? `Unpaid rental balance: ${depositCalc.balanceDue.toFixed(2)} MAD` 
-          : null,
-        final_deposit_return_amount: depositCalc.depositReturn,
-        updated_at: new Date().toISOString()
-      };
-
-      // ✅ If balance was deducted from deposit, mark rental as paid
-      if (depositCalc.useDeduction && depositCalc.balanceDue > 0) {
-        updateData.payment_status = 'paid';
-        updateData.remaining_amount = 0;
-      }
-      
-      const { error } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .update(updateData)
-        .eq('id', rental.id);
-
-      if (error) throw error;
-
-      setShowDepositSignatureModal(false);
-      setDeductFromDeposit(false); // Reset toggle
-      await loadRentalData();
-      
-      const message = depositCalc.hasDeduction 
-        ? `✅ Deposit return confirmed!\n\nAmount returned: ${depositCalc.depositReturn.toFixed(2)} MAD\nDeduction: ${depositCalc.balanceDue.toFixed(2)} MAD for unpaid balance\nPayment status updated to: Paid`
-        : `✅ Deposit return confirmed! Amount returned: ${depositCalc.depositReturn.toFixed(2)} MAD`;
-      
-      alert(message);
-    } catch (err) {
-      console.error('Error saving deposit signature:', err);
-      alert(`Failed to save deposit return signature. Error: ${err.message}`);
-    }
-  };
-
   // Handle odometer save
   const handleSaveOdometer = async () => {
     if (!startOdometer || parseFloat(startOdometer) <= 0) {
@@ -1161,10 +1072,7 @@ const handleSendWhatsAppSelection = async (options) => {
           ending_odometer: endOdometerValue,
           overage_charge: overageCharge,
           total_distance: totalDistance,
-          // ✅ PRESERVE original total_amount
-          total_amount: originalPrice,
-          // Recalculate remaining amount
-          remaining_amount: Math.max(0, finalTotal - (parseFloat(rental.deposit_amount) || 0)),
+          // total_amount is left as priced; remaining_amount follows from the overage
           updated_at: new Date().toISOString()
         })
         .eq('id', rental.id);
@@ -1194,9 +1102,7 @@ const handleSendWhatsAppSelection = async (options) => {
         ...prev,
         ending_odometer: endOdometerValue,
         overage_charge: overageCharge,
-        total_distance: totalDistance,
-        // Keep original price
-        total_amount: originalPrice
+        total_distance: totalDistance
       }));
       
       // Complete the rental
@@ -2277,6 +2183,11 @@ Please ensure camera permissions are granted.`);
       return;
     }
 
+    if (rental.damage_deposit > 0 && !rental.deposit_taken_at) {
+      setTakeDepositOpen(true);
+      return;
+    }
+
     if (openingMedia.length === 0) {
       setOpeningModalOpen(true);
       return;
@@ -2361,6 +2272,31 @@ Please ensure camera permissions are granted.`);
       alert('Failed to complete rental. Please try again.');
     }
   };
+  // Owner/admin close when the return video cannot be recorded
+  const overrideCloseRental = async () => {
+    const reason = window.prompt('Why is this rental closed without its return video?');
+    if (!reason?.trim()) return;
+
+    // The step-up prompt cannot take focus over an open dialog
+    setClosingModalOpen(false);
+    if (!(await requestStepUp({
+      action: 'override_close',
+      targetIds: [rental.id],
+      description: 'Close this rental without its return video'
+    }))) {
+      return;
+    }
+
+    try {
+      await rentalClosingService.overrideClose(rental.id, reason);
+      alert('Rental closed without video.');
+      navigate('/admin/rentals');
+    } catch (err) {
+      console.error('❌ Error:', err);
+      alert(err.message);
+    }
+  };
+
   const cancelRental = async () => {
     if (confirm('Are you sure you want to cancel this rental?')) {
       try {
@@ -2399,6 +2335,36 @@ Please ensure camera permissions are granted.`);
     });
   };
 
+  // Price the rental with the pricing engine, optionally at an agreed total
+  const quoteRental = (agreedTotal = null) => {
+    return RentalQuoteService.getQuote({
+      vehicleModelId: rental.vehicle?.vehicle_model_id || rental.vehicle_model_id || null,
+      vehicleId: rental.vehicle_id,
+      vehicleType: rental.vehicle?.vehicle_type || null,
+      rentalType: rental.rental_type || 'daily',
+      startAt: new Date(rental.rental_start_at || rental.rental_start_date),
+      endAt: new Date(rental.rental_end_at || rental.rental_end_date),
+      packageId: rental.package_id || null,
+      promoCode: rental.promo_code || '',
+      channel: rental.booking_source === 'customer_portal' ? 'customer_portal' : 'staff',
+      customer: { email: rental.customer_email, phone: rental.customer_phone },
+      rentalId: rental.id,
+      pickupTransport: !!rental.pickup_transport,
+      dropoffTransport: !!rental.dropoff_transport,
+      agreedTotal
+    });
+  };
+
+  // A price change is kept as a new quote snapshot; refused once the contract is signed
+  const saveQuoteSnapshot = async (agreedTotal = null) => {
+    try {
+      const quote = await quoteRental(agreedTotal);
+      await RentalQuoteService.recordSnapshot(rental.id, quote);
+    } catch (snapshotError) {
+      console.warn('⚠️ Could not save the price quote:', snapshotError.message);
+    }
+  };
+
   const handleEditPrice = () => {
     setManualPrice(rental.total_amount?.toString() || '');
     setPriceOverrideReason('');
@@ -2417,10 +2383,19 @@ Please ensure camera permissions are granted.`);
       return;
     }
 
+    const newPrice = parseFloat(manualPrice);
+    const isAdmin = canApprovePriceOverrides(currentUser);
+
+    if (isAdmin && !(await requestStepUp({
+      action: 'price_override',
+      targetIds: [rental.id],
+      description: `Set the price of this rental to ${newPrice} MAD`
+    }))) {
+      return;
+    }
+
     setIsSavingPrice(true);
     try {
-      const newPrice = parseFloat(manualPrice);
-      const isAdmin = canApprovePriceOverrides(currentUser);
 
       let updateData = {
         updated_at: new Date().toISOString()
@@ -2428,8 +2403,8 @@ Please ensure camera permissions are granted.`);
 
       if (isAdmin) {
         updateData.total_amount = newPrice;
-        updateData.remaining_amount = Math.max(0, newPrice - (parseFloat(rental.deposit_amount) || 0));
-        updateData.approval_status = 'auto';
+        updateData.approval_status = 'approved';
+        updateData.price_overridden_at = new Date().toISOString();
         updateData.pending_total_request = null;
         updateData.price_override_reason = priceOverrideReason || null;
         updateData.requested_by_id = currentUser?.id;
@@ -2454,6 +2429,10 @@ Please ensure camera permissions are granted.`);
 
       if (error) throw error;
 
+      if (isAdmin) {
+        await saveQuoteSnapshot(newPrice);
+      }
+
       setRental(data);
       setIsEditingPrice(false);
       setManualPrice('');
@@ -2478,7 +2457,11 @@ Please ensure camera permissions are granted.`);
       return;
     }
 
-    if (!confirm(`Approve manual price of ${rental.pending_total_request} MAD?`)) {
+    if (!(await requestStepUp({
+      action: 'price_override',
+      targetIds: [rental.id],
+      description: `Approve the manual price of ${rental.pending_total_request} MAD`
+    }))) {
       return;
     }
 
@@ -2488,8 +2471,8 @@ Please ensure camera permissions are granted.`);
         .from('app_4c3a7a6153_rentals')
         .update({
           total_amount: newPrice,
-          remaining_amount: Math.max(0, newPrice - (parseFloat(rental.deposit_amount) || 0)),
           approval_status: 'approved',
+          price_overridden_at: new Date().toISOString(),
           pending_total_request: null,
           updated_at: new Date().toISOString()
         })
@@ -2503,6 +2486,7 @@ Please ensure camera permissions are granted.`);
 
       if (error) throw error;
 
+      await saveQuoteSnapshot(newPrice);
       setRental(data);
       alert('✅ Price override approved!');
     } catch (err) {
@@ -2522,29 +2506,30 @@ Please ensure camera permissions are granted.`);
     }
 
     try {
-      let autoCalculatedPrice = rental.total_amount;
+      let autoQuote = null;
       
-      if (rental.vehicle?.id && rental.rental_start_date && rental.rental_end_date) {
+      if (rental.rental_start_date && rental.rental_end_date) {
         try {
-          const priceResult = await PricingRulesService.calculatePrice(
-            rental.vehicle.id,
-            rental.rental_start_date,
-            rental.rental_end_date,
-            rental.rental_type || 'daily'
-          );
-          if (priceResult.price > 0) {
-            autoCalculatedPrice = priceResult.price;
-          }
+          autoQuote = await quoteRental();
         } catch (calcError) {
           console.warn('⚠️ Could not recalculate price:', calcError);
         }
       }
 
+      // The listed quote sets the total; without one the rental keeps the
+      // total it was charged while the request was pending
+      if (autoQuote) {
+        try {
+          await RentalQuoteService.recordSnapshot(rental.id, autoQuote);
+        } catch (snapshotError) {
+          console.warn('⚠️ Could not save the price quote:', snapshotError.message);
+        }
+      }
+
       const { data, error } = await supabase
         .from('app_4c3a7a6153_rentals')
         .update({
-          total_amount: autoCalculatedPrice,
-          remaining_amount: Math.max(0, autoCalculatedPrice - (parseFloat(rental.deposit_amount) || 0)),
+          ...(autoQuote && { unit_price: autoQuote.unitPrice }),
           approval_status: 'declined',
           pending_total_request: null,
           updated_at: new Date().toISOString()
@@ -2573,6 +2558,15 @@ Please ensure camera permissions are granted.`);
     setVideoRefreshKey(prev => prev + 1);
   };
 
+  // The check-out writes start_odometer server-side; the check-in reading
+  // prefills the ending odometer so overage is charged from it
+  const handleInspectionSaved = (phase, inspection) => {
+    if (phase === 'check_in' && inspection.odometer != null) {
+      setEndOdometer(String(inspection.odometer));
+    }
+    loadRentalData();
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'decimal',
@@ -2666,6 +2660,13 @@ Please ensure camera permissions are granted.`);
                   Sign Contract
               </Button>
             )}
+            <Button
+              onClick={() => setInvoicesOpen(true)}
+              className="bg-gray-700 text-white hover:bg-gray-800 flex items-center gap-2"
+            >
+              <FileText className="h-4 w-4" />
+              Invoice
+            </Button>
             {rental?.customer_phone && (
               <>
               <Button
@@ -2714,7 +2715,14 @@ Please ensure camera permissions are granted.`);
               <span>{rental.vehicle?.name} - {rental.vehicle?.model}</span>
               <span className="text-sm font-normal text-gray-500 mt-1">Rental ID: {rental.rental_id}</span>
             </div>
-            <Badge className={`${getStatusColor(rental.rental_status)} self-start sm:self-center`}>{rental.rental_status?.toUpperCase()}</Badge>
+            <div className="flex items-center gap-2 self-start sm:self-center">
+              <Badge className={getStatusColor(rental.rental_status)}>{rental.rental_status?.toUpperCase()}</Badge>
+              {rental.overdue_since && isActive && (
+                <Badge className="bg-red-100 text-red-800" title={`Overdue since ${new Date(rental.overdue_since).toLocaleString()}`}>
+                  OVERDUE
+                </Badge>
+              )}
+            </div>
           </CardTitle>
         </CardHeader>
         <CardContent>
@@ -2885,13 +2893,12 @@ Please ensure camera permissions are granted.`);
                     </p>
                     {!isPaymentSufficient() && !(isPendingApproval && !isAdmin) && (
                       <Button 
-                        onClick={markAsPaid}
-                        disabled={isUpdatingPayment}
+                        onClick={() => setCollectPaymentOpen(true)}
                         size="sm"
                         className="mt-2 bg-blue-600 hover:bg-blue-700 text-white"
                       >
                         <CreditCard className="w-4 h-4 mr-2" />
-                        {isUpdatingPayment ? 'Updating...' : 'Mark Paid'}
+                        Collect Payment
                       </Button>
                     )}
                   </div>
@@ -3040,6 +3047,10 @@ Please ensure camera permissions are granted.`);
         </CardContent>
       </Card>
       
+      {(isScheduled || isActive || isCompleted) && (
+        <RentalInspectionCard rental={rental} onInspectionSaved={handleInspectionSaved} />
+      )}
+
       {(isScheduled || isActive || isCompleted) && (
         <div className="mb-6">
           <RentalVideos 
@@ -3051,6 +3062,10 @@ Please ensure camera permissions are granted.`);
         </div>
       )}
 
+      <div className="mb-6">
+        <RentalStatusHistory rentalId={rental.id} refreshKey={rental.rental_status} />
+      </div>
+
       {/* Extension History Section */}
       {extensions.length > 0 && (
         <div className="mb-6">
@@ -3443,6 +3458,24 @@ Please ensure camera permissions are granted.`);
                     <span className="text-gray-600">Damage Deposit:</span>
                     <span className="font-medium">{formatCurrency(rental.damage_deposit || 0)} MAD</span>
                   </div>
+                  {rental.damage_deposit > 0 && (
+                    rental.deposit_taken_at ? (
+                      <div className="flex justify-between text-xs text-gray-500">
+                        <span>Taken:</span>
+                        <span>
+                          {formatCurrency(rental.deposit_taken_amount || 0)} {rental.deposit_taken_currency} · {PAYMENT_TENDERS[rental.deposit_taken_tender] || rental.deposit_taken_tender}
+                        </span>
+                      </div>
+                    ) : rental.rental_status !== 'completed' && (
+                      <button
+                        type="button"
+                        onClick={() => setTakeDepositOpen(true)}
+                        className="w-full px-3 py-1.5 text-sm font-medium text-blue-700 bg-blue-50 border border-blue-200 rounded-md hover:bg-blue-100"
+                      >
+                        Take Damage Deposit
+                      </button>
+                    )
+                  )}
                 </div>
               </div>
             ) : (
@@ -3519,151 +3552,14 @@ Please ensure camera permissions are granted.`);
               </div>
             )}
 
-            {/* ✅ UPDATED: Damage Deposit Return Section with Deduction Logic */}
-            {rental?.rental_status === 'completed' && rental?.damage_deposit > 0 && (() => {
-              const depositCalc = calculateDepositReturn();
-              const isDepositReturned = !!rental.deposit_returned_at;
-              const shouldShowToggle = !isDepositReturned && depositCalc.balanceDue > 0;
-              
-              return (
-                <div className="mt-4 p-4 border-t border-gray-200">
-                  <h4 className="text-lg font-semibold mb-3 text-gray-800">💰 Damage Deposit Return</h4>
-                  
-                  <div className="space-y-3">
-                    {/* Toggle Switch for Deposit Deduction */}
-                    {shouldShowToggle && (
-                      <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg mb-3 border border-gray-200">
-                        <div>
-                          <p className="font-medium text-gray-800">Deduct from damage deposit?</p>
-                          <p className="text-sm text-gray-600">
-                            Toggle ON to deduct unpaid balance of {depositCalc.balanceDue.toFixed(2)} MAD from deposit
-                          </p>
-                        </div>
-                        <button
-                          onClick={() => setDeductFromDeposit(!deductFromDeposit)}
-                          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${deductFromDeposit ? 'bg-green-600' : 'bg-gray-300'}`}
-                        >
-                          <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${deductFromDeposit ? 'translate-x-6' : 'translate-x-1'}`} />
-                        </button>
-                      </div>
-                    )}
-
-                    {/* Deduction Breakdown - Show when toggle is ON */}
-                    {shouldShowToggle && deductFromDeposit && (
-                      <div className="bg-blue-50 border border-blue-200 p-3 rounded-lg mb-3 space-y-2">
-                        <h5 className="font-semibold text-blue-800">Deduction Breakdown</h5>
-                        
-                        <div className="flex justify-between text-sm">
-                          <span>Original Deposit:</span>
-                          <span className="font-medium">{depositCalc.damageDeposit.toFixed(2)} MAD</span>
-                        </div>
-                        
-                        <div className="flex justify-between text-sm text-red-600">
-                          <span>Less: Unpaid Balance:</span>
-                          <span className="font-medium">-{depositCalc.balanceDue.toFixed(2)} MAD</span>
-                        </div>
-                        
-                        <div className="flex justify-between text-sm font-bold border-t border-blue-200 pt-2">
-                          <span>Final Return:</span>
-                          <span className="text-green-600">{depositCalc.depositReturn.toFixed(2)} MAD</span>
-                        </div>
-                        
-                        {depositCalc.additionalOwed > 0 && (
-                          <div className="bg-red-50 p-2 rounded text-sm text-red-700">
-                            ⚠️ Additional {depositCalc.additionalOwed.toFixed(2)} MAD still owed
-                          </div>
-                        )}
-                      </div>
-                    )}
-                    
-                    {/* Deposit Breakdown */}
-                    <div className="bg-blue-50 p-3 rounded-lg space-y-2">
-                      <div className="flex justify-between text-sm">
-                        <span className="text-gray-700">Original Damage Deposit:</span>
-                        <span className="font-semibold">{depositCalc.damageDeposit.toFixed(2)} MAD</span>
-                      </div>
-                      
-                      {depositCalc.hasDeduction && (
-                        <div className="flex justify-between text-sm text-red-600">
-                          <span>Less: Unpaid Balance:</span>
-                          <span className="font-semibold">-{depositCalc.balanceDue.toFixed(2)} MAD</span>
-                        </div>
-                      )}
-                      
-                      <div className="flex justify-between text-base font-bold border-t border-blue-200 pt-2">
-                        <span className="text-gray-800">Amount to Return:</span>
-                        <span className="text-green-600">{depositCalc.depositReturn.toFixed(2)} MAD</span>
-                      </div>
-                      
-                      {depositCalc.additionalOwed > 0 && (
-                        <div className="flex justify-between text-sm text-red-600 bg-red-50 p-2 rounded mt-2">
-                          <span className="font-semibold">⚠️ Additional Amount Owed:</span>
-                          <span className="font-bold">{depositCalc.additionalOwed.toFixed(2)} MAD</span>
-                        </div>
-                      )}
-                    </div>
-
-                    {/* Undo Button */}
-                    {deductFromDeposit && !isDepositReturned && (
-                      <button
-                        onClick={() => setDeductFromDeposit(false)}
-                        className="text-sm text-gray-600 hover:text-gray-800 underline mb-2"
-                      >
-                        Undo deduction
-                      </button>
-                    )}
-                    
-                    {/* Signature Section */}
-                    {!isDepositReturned ? (
-                      <div className="flex items-center gap-3">
-                        <button
-                          onClick={() => setShowDepositSignatureModal(true)}
-                          className="flex-1 bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
-                          disabled={depositCalc.depositReturn <= 0}
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-                          </svg>
-                          Sign Here - Confirm Deposit Received
-                        </button>
-                      </div>
-                    ) : (
-                      <div className="bg-green-50 border border-green-200 p-3 rounded-lg">
-                        <div className="flex items-center gap-2 text-green-700 mb-2">
-                          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                          </svg>
-                          <span className="font-semibold">Deposit Returned</span>
-                        </div>
-                        <div className="text-sm text-gray-700 space-y-1">
-                          <p><strong>Amount:</strong> {rental.deposit_return_amount?.toFixed(2)} MAD</p>
-                          <p><strong>Date:</strong> {new Date(rental.deposit_returned_at).toLocaleString()}</p>
-                          {rental.deposit_deduction_amount > 0 && (
-                            <p className="text-red-600"><strong>Deducted:</strong> {rental.deposit_deduction_amount.toFixed(2)} MAD (Unpaid balance)</p>
-                          )}
-                        </div>
-                        {rental.deposit_return_signature_url && (
-                          <div className="mt-2">
-                            <p className="text-sm font-medium text-gray-700 mb-1">Customer Signature:</p>
-                            <img 
-                              src={rental.deposit_return_signature_url} 
-                              alt="Deposit Return Signature" 
-                              className="border border-gray-300 rounded max-w-xs h-24 object-contain bg-white"
-                            />
-                          </div>
-                        )}
-                      </div>
-                    )}
-
-                    {depositCalc.depositReturn <= 0 && !isDepositReturned && (
-                      <div className="bg-yellow-50 border border-yellow-200 p-3 rounded-lg text-sm text-yellow-800">
-                        ⚠️ No deposit to return. {depositCalc.hasDeduction ? 'Unpaid balance has been deducted from damage deposit.' : 'Damage deposit was 0.'}
-                      </div>
-                    )}
-                  </div>
-                </div>
-              );
-            })()}
+            {/* Damage deposit settlement */}
+            {rental?.rental_status === 'completed' && rental?.damage_deposit > 0 && (
+              <DepositSettlementCard
+                rental={rental}
+                balanceDue={calculateBalanceDue()}
+                onSettled={loadRentalData}
+              />
+            )}
 
             
 
@@ -3684,13 +3580,12 @@ Please ensure camera permissions are granted.`);
                         
                         return rental.payment_status?.toLowerCase() !== 'paid' && !isPendingApproval && !isBalanceCoveredByDeposit && (
                             <Button 
-                                onClick={markAsPaid} 
-                                disabled={isUpdatingPayment} 
+                                onClick={() => setCollectPaymentOpen(true)}
                                 className="bg-green-600 hover:bg-green-700 text-white font-semibold text-xs sm:text-sm"
                                 size="sm"
                             >
                                 <CreditCard className="w-4 h-4 mr-2" />
-                                {isUpdatingPayment ? 'Updating...' : 'Mark as Paid'}
+                                Collect Payment
                             </Button>
                         );
                     })()}
@@ -4148,6 +4043,17 @@ Please ensure camera permissions are granted.`);
                 )}
               </Button>
             </div>
+
+            {isAdminOrOwner(currentUser) && (
+              <button
+                type="button"
+                onClick={overrideCloseRental}
+                disabled={isRecording || isProcessingVideo}
+                className="w-full text-xs sm:text-sm text-gray-500 hover:text-red-600 underline disabled:opacity-50"
+              >
+                Close without video (admin override)
+              </button>
+            )}
           </div>
         </DialogContent>
       </Dialog>
@@ -4337,7 +4243,7 @@ Please ensure camera permissions are granted.`);
             <div className="h-full overflow-auto p-2 sm:p-4">
               <div className="bg-white p-3 sm:p-6">
                 <div ref={receiptTemplateRef}>
-                  <ReceiptTemplate rental={rental} logoUrl={logoUrl} stampUrl={stampUrl} />
+                  <ReceiptTemplate rental={rental} payments={payments} logoUrl={logoUrl} stampUrl={stampUrl} />
                 </div>
               </div>
             </div>
@@ -4510,28 +4416,6 @@ Please ensure camera permissions are granted.`);
         onSave={handleSignatureSave}
       />
 
-      <SignaturePadModal
-        isOpen={showDepositSignatureModal}
-        onClose={() => setShowDepositSignatureModal(false)}
-        onSave={handleDepositSignatureSave}
-        title="Damage Deposit Return Authorization"
-        description={(() => {
-          const depositCalc = calculateDepositReturn();
-          if (deductFromDeposit && depositCalc.hasDeduction) {
-            return `I confirm receipt of ${depositCalc.depositReturn.toFixed(2)} MAD as damage deposit return.
-
-Breakdown:
-• Original Deposit: ${depositCalc.damageDeposit.toFixed(2)} MAD
-• Less: Unpaid Balance: ${depositCalc.balanceDue.toFixed(2)} MAD
-• Net Return: ${depositCalc.depositReturn.toFixed(2)} MAD${depositCalc.additionalOwed > 0 ? `
-
-⚠️ Note: Additional ${depositCalc.additionalOwed.toFixed(2)} MAD is still owed.` : ''}`;
-          } else {
-            return `I confirm receipt of ${depositCalc.depositReturn.toFixed(2)} MAD as full damage deposit return.`;
-          }
-        })()}
-      />
-
       <ViewCustomerDetailsDrawer
         isOpen={customerDetailsDrawer.isOpen}
         onClose={() => setCustomerDetailsDrawer({ isOpen: false, customerId: null, rental: null })}
@@ -4545,6 +4429,33 @@ Breakdown:
         rental={rental}
       />
 
+      <CollectPaymentModal
+        rental={rental}
+        isOpen={collectPaymentOpen}
+        onSave={handlePaymentRecorded}
+        onCancel={() => setCollectPaymentOpen(false)}
+        logoUrl={logoUrl}
+        stampUrl={stampUrl}
+      />
+
+      <TakeDepositModal
+        rental={rental}
+        isOpen={takeDepositOpen}
+        onSave={(updated) => {
+          setRental(prev => ({ ...prev, ...updated }));
+          setTakeDepositOpen(false);
+        }}
+        onCancel={() => setTakeDepositOpen(false)}
+      />
+
+      <InvoicesModal
+        rental={rental}
+        isOpen={invoicesOpen}
+        onClose={() => setInvoicesOpen(false)}
+        logoUrl={logoUrl}
+        stampUrl={stampUrl}
+      />
+
       <ExtensionRequestModal
         isOpen={extensionModalOpen}
         onClose={() => setExtensionModalOpen(false)}
@@ -4564,7 +4475,7 @@ Breakdown:
           <ContractTemplate rental={rental} logoUrl={logoUrl} stampUrl={stampUrl} />
         </div>
         <div ref={receiptTemplateRef} className="absolute">
-          <ReceiptTemplate rental={rental} logoUrl={logoUrl} stampUrl={stampUrl} />
+          <ReceiptTemplate rental={rental} payments={payments} logoUrl={logoUrl} stampUrl={stampUrl} />
         </div>
 
       </div>
@@ -4616,13 +4527,13 @@ Breakdown:
                 
                 return rental.payment_status?.toLowerCase() !== 'paid' && !isPendingApproval && !isBalanceCoveredByDeposit && (
                 <Button 
-                    onClick={markAsPaid} 
-                    disabled={isUpdatingPayment || isWorkflowDisabled()}
-                    title={isWorkflowDisabled() ? "Workflow locked - price approval pending" : "Mark as Paid"}
+                    onClick={() => setCollectPaymentOpen(true)}
+                    disabled={isWorkflowDisabled()}
+                    title={isWorkflowDisabled() ? "Workflow locked - price approval pending" : "Collect Payment"}
                     className="flex-1 bg-green-600 hover:bg-green-700 text-white font-semibold"
                 >
                     <CreditCard className="w-4 h-4 mr-1" />
-                    {isUpdatingPayment ? '...' : 'Paid'}
+                    Pay
                 </Button>
                 );
             })()}
@@ -6,15 +6,18 @@ import EnhancedStepperRentalForm from '../../components/admin/EnhancedStepperRen
 import VideoContractModal from '../../components/VideoContractModal';
 import VehicleAvailabilityService from '../../services/VehicleAvailabilityService';
 import ViewCustomerDetailsDrawer from '../../components/admin/ViewCustomerDetailsDrawer';
+import PendingCustomerBookings from '../../components/admin/PendingCustomerBookings';
 import { getPaymentStatusStyle } from '../../config/statusColors';
 import { Plus, Clock, List, Grid, LayoutGrid, CheckCircle, XCircle } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
+import { useStepUp } from '../../contexts/StepUpContext';
 import { useTimer } from '../../hooks/useTimer';
 
 const Rentals = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
+  const { requestStepUp } = useStepUp();
   const [rentals, setRentals] = useState([]);
   const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -352,6 +355,10 @@ const Rentals = () => {
       return;
     }
 
+    if (!(await requestStepUp({ action: 'delete_rental', targetIds: [rentalId] }))) {
+      return;
+    }
+
     try {
       console.log('Deleting rental:', rentalId);
       
@@ -645,6 +652,8 @@ const Rentals = () => {
           <span className="text-sm font-semibold">Create New Rental</span>
         </button>
 
+        <PendingCustomerBookings onChange={() => fetchRentals(statusFilter, paymentStatusFilter)} />
+
         {availabilityData.length > 0 && (
           <div className="mb-8 p-6 bg-white rounded-lg shadow-sm border">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Vehicle Availability Overview</h2>
@@ -6,10 +6,13 @@ import { Label } from '../../components/ui/label';
 import { Switch } from '../../components/ui/switch';
 import { Separator } from '../../components/ui/separator';
 import { Alert, AlertDescription } from '../../components/ui/alert';
-import { Settings, Database, Shield, Bell, Download, FileArchive, Loader2, Package, MapPin } from 'lucide-react';
+import { Settings, Database, Shield, Bell, Download, FileArchive, Loader2, Package, MapPin, ClipboardCheck } from 'lucide-react';
 import ProjectArchiver from '../../utils/projectArchiver';
 import TourPackagesSettings from '../../components/admin/TourPackagesSettings';
 import TourMetadataSettings from '../../components/admin/TourMetadataSettings';
+import InspectionTemplateSettings from '../../components/admin/InspectionTemplateSettings';
+import RentalStatusEngineSettings from '../../components/admin/RentalStatusEngineSettings';
+import AlertRuleSettings from '../../components/admin/AlertRuleSettings';
 
 // Custom tabs implementation since ui/tabs component doesn't exist
 const Tabs = ({ defaultValue, className, children }) => {
@@ -109,7 +112,7 @@ const SystemSettings = () => {
       </div>
 
       <Tabs defaultValue="general" className="space-y-6">
-        <TabsList className="grid w-full grid-cols-6">
+        <TabsList className="grid w-full grid-cols-7">
           <TabsTrigger value="general" className="flex items-center gap-2">
             <Settings className="h-4 w-4" />
             General
@@ -122,6 +125,10 @@ const SystemSettings = () => {
             <MapPin className="h-4 w-4" />
             Tour Metadata
           </TabsTrigger>
+          <TabsTrigger value="inspections" className="flex items-center gap-2">
+            <ClipboardCheck className="h-4 w-4" />
+            Inspections
+          </TabsTrigger>
           <TabsTrigger value="database" className="flex items-center gap-2">
             <Database className="h-4 w-4" />
             Database
@@ -179,6 +186,8 @@ const SystemSettings = () => {
               </div>
             </CardContent>
           </Card>
+
+          <RentalStatusEngineSettings />
         </TabsContent>
 
         {/* Tour Packages Settings Tab */}
@@ -191,6 +200,11 @@ const SystemSettings = () => {
           <TourMetadataSettings />
         </TabsContent>
 
+        {/* Inspection Templates Tab */}
+        <TabsContent value="inspections" className="space-y-6">
+          <InspectionTemplateSettings />
+        </TabsContent>
+
         {/* Database Settings Tab */}
         <TabsContent value="database" className="space-y-6">
           <Card>
@@ -322,6 +336,8 @@ const SystemSettings = () => {
               </div>
             </CardContent>
           </Card>
+
+          <AlertRuleSettings />
         </TabsContent>
       </Tabs>
 
@@ -0,0 +1,17 @@
+import React from 'react';
+import CashRegister from '../../components/admin/CashRegister';
+
+/**
+ * TillPage - Cash register of the signed-in staff member
+ *
+ * Features:
+ * - Open a till with a float per currency
+ * - Cash payments, deposits and fuel paid from the till recorded automatically
+ * - Cash drops to the safe and payouts
+ * - Closing count per currency and denomination, with the discrepancy
+ */
+const TillPage = () => {
+  return <CashRegister />;
+};
+
+export default TillPage;
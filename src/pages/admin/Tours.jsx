@@ -1,4 +1,5 @@
 import React from 'react';
+import TourDeparturesManager from '../../components/tours/TourDeparturesManager';
 
 /**
  * ToursPage - Tours and bookings management
@@ -12,16 +13,11 @@ const ToursPage = () => {
       </div>
 
       <div className="bg-white rounded-xl shadow-sm border p-6">
-        <div className="text-center py-12">
-          <div className="text-6xl mb-4">🗺️</div>
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">Tours & Bookings Module</h2>
-          <p className="text-gray-600 mb-6">
-            Complete tour management system for guided experiences and customer bookings.
-          </p>
-        </div>
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Departures</h2>
+        <TourDeparturesManager />
       </div>
     </div>
   );
 };
 
-export default ToursPage;
\ No newline at end of file
+export default ToursPage;
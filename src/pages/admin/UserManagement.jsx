@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { supabaseAdmin, supabase } from '../../services/supabaseClient';
 import { useAuth } from '../../contexts/AuthContext';
 import { updateUserProfile } from '../../services/UserService';
+import StepUpService from '../../services/StepUpService';
+import ModulePermissionsManager from '../../components/admin/ModulePermissionsManager';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -11,14 +13,6 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { toast } from 'sonner';
 import { Loader2, ShieldAlert, Pencil } from 'lucide-react';
 
-// STANDARDIZED MODULE NAMES - Source of Truth
-const modules = [
-  'Dashboard', 'Calendar', 'Tours & Bookings', 'Rental Management', 'Customer Management', 
-  'Fleet Management', 'Pricing Management', 'Quad Maintenance', 'Fuel Logs', 'Inventory', 
-  'Finance Management', 'Alerts', 'User & Role Management', 'System Settings', 'Project Export',
-  'WhatsApp Alerts'
-];
-
 const UserManagement = () => {
   const { user: currentUser, loading: authLoading, initialized } = useAuth();
   const [users, setUsers] = useState([]);
@@ -45,13 +39,8 @@ const UserManagement = () => {
     whatsapp_notifications: false
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [newUserPermissions, setNewUserPermissions] = useState(
-    modules.reduce((acc, module) => ({ ...acc, [module]: true }), {})
-  );
   const [isPermissionsModalOpen, setPermissionsModalOpen] = useState(false);
   const [selectedUserForPermissions, setSelectedUserForPermissions] = useState(null);
-  const [editPermissions, setEditPermissions] = useState({});
-  const [isLoadingPermissions, setIsLoadingPermissions] = useState(false);
 
   useEffect(() => {
     if (initialized) {
@@ -84,10 +73,21 @@ const UserManagement = () => {
         throw error;
       }
       
+      // Roles live on the staff accounts, matched to logins by auth_id
+      const { data: staffRows, error: staffError } = await supabase
+        .from('app_b30c02e74da644baad4668e3587d86b1_users')
+        .select('auth_id, role');
+
+      if (staffError) {
+        throw staffError;
+      }
+
+      const roleByAuthId = new Map((staffRows || []).map(row => [row.auth_id, row.role]));
+
       const transformedUsers = usersData.map(user => ({
         ...user,
         name: user.user_metadata?.full_name || user.user_metadata?.name || 'No Name',
-        role: user.user_metadata?.role || 'N/A',
+        role: roleByAuthId.get(user.id) || 'customer',
       }));
 
       console.log("Transformed users:", transformedUsers);
@@ -109,27 +109,8 @@ const UserManagement = () => {
     }
   }, [initialized, currentUser, fetchUsers]);
 
-  const handlePermissionChange = (module, checked) => {
-    setNewUserPermissions(prev => ({ ...prev, [module]: checked }));
-  };
-
-  const handleEditPermissionChange = (module, checked) => {
-    setEditPermissions(prev => ({ ...prev, [module]: checked }));
-  };
-  
   const handleRoleChange = (role) => {
     setNewUser(p => ({ ...p, role: role }));
-    const isOwnerOrAdmin = role === 'owner' || role === 'admin';
-    const updatedPermissions = modules.reduce((acc, module) => {
-        if (isOwnerOrAdmin) {
-            acc[module] = true;
-        } else {
-            const isRestricted = module === 'User & Role Management' || module === 'System Settings';
-            acc[module] = !isRestricted;
-        }
-        return acc;
-    }, {});
-    setNewUserPermissions(updatedPermissions);
   };
 
   const handleAddUser = async () => {
@@ -167,7 +148,6 @@ const UserManagement = () => {
             email_confirm: true,
             user_metadata: { 
                 full_name: newUser.name,
-                role: newUser.role.toLowerCase(),
                 status: 'active'
             },
         };
@@ -194,25 +174,15 @@ const UserManagement = () => {
         console.log("User ID:", data.user.id);
         console.log("User email:", data.user.email);
         
-        const assignedModules = Object.entries(newUserPermissions)
-            .filter(([, hasAccess]) => hasAccess)
-            .map(([moduleName]) => moduleName);
-
-        console.log(`User ${data.user.id} created. Assigned modules:`, assignedModules);
-
-        // Insert user data into app_users table with phone and WhatsApp preferences
-        const completePermissions = {};
-        modules.forEach(module => {
-          completePermissions[module] = newUserPermissions[module] === true;
-        });
-
+        // Insert user data into app_users table with phone and WhatsApp preferences.
+        // Module permissions start at the role defaults in the database.
         const upsertPayload = {
           id: data.user.id,
+          auth_id: data.user.id,
           email: newUser.email,
           full_name: newUser.name,
           role: newUser.role.toLowerCase(),
           access_enabled: true,
-          permissions: completePermissions,
           phone_number: newUser.phone_number || null,
           whatsapp_notifications: newUser.whatsapp_notifications || false
         };
@@ -225,7 +195,7 @@ const UserManagement = () => {
 
         if (upsertError) {
           console.error("Error inserting user data:", upsertError);
-          toast.warning("User created but failed to save additional data.");
+          throw new Error(`User created but their role could not be saved: ${upsertError.message}`);
         }
 
         // Close modal and reset form
@@ -270,7 +240,7 @@ const UserManagement = () => {
       const { data, error } = await supabase
         .from('app_b30c02e74da644baad4668e3587d86b1_users')
         .select('phone_number, whatsapp_notifications')
-        .eq('id', user.id)
+        .eq('auth_id', user.id)
         .maybeSingle();
 
       if (error && error.code !== 'PGRST116') {
@@ -375,7 +345,7 @@ const UserManagement = () => {
             phone_number: editUser.phone_number || null,
             whatsapp_notifications: editUser.whatsapp_notifications || false
           })
-          .eq('id', selectedUser.id);
+          .eq('auth_id', selectedUser.id);
 
         if (updateError) {
           console.error("Error updating user additional data:", updateError);
@@ -414,6 +384,17 @@ const UserManagement = () => {
     setDeleteModalOpen(true);
   };
 
+  const handleResetStepUp = async (user) => {
+    if (!window.confirm(`Reset ${user.name}'s step-up PIN and authenticator? They will have to set both up again.`)) return;
+    try {
+      await StepUpService.reset(user.id);
+      toast.success('Step-up verification reset');
+    } catch (error) {
+      console.error("Error resetting step-up:", error);
+      toast.error(error.message);
+    }
+  };
+
   const handleDeleteUser = async () => {
     if (!selectedUser || !supabaseAdmin) return;
     
@@ -441,135 +422,9 @@ const UserManagement = () => {
     }
   };
 
-  const openPermissionsModal = async (user) => {
-    console.log("=== openPermissionsModal START ===");
-    console.log("Fetching permissions for user ID:", user.id);
-    console.log("User object:", user);
-    
-    // Clear state before loading new data
-    setEditPermissions({});
+  const openPermissionsModal = (user) => {
     setSelectedUserForPermissions(user);
-    setIsLoadingPermissions(true);
     setPermissionsModalOpen(true);
-    
-    try {
-      // Fix the Fetch: Use .maybeSingle() to handle empty state gracefully
-      const { data, error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_users')
-        .select('permissions')
-        .eq('id', user.id)
-        .maybeSingle();
-      
-      console.log("Fetch result - data:", data);
-      console.log("Fetch result - error:", error);
-      
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error fetching permissions:', error);
-        throw error;
-      }
-      
-      // Handle case when no row exists
-      if (!data) {
-        console.warn('No permissions row found for user:', user.id);
-        // State Management: Default to all FALSE
-        const defaultPermissions = {};
-        modules.forEach(m => defaultPermissions[m] = false);
-        setEditPermissions(defaultPermissions);
-        return;
-      }
-      
-      // The 'Merge' Strategy: Merge database permissions with master modules list
-      // Missing keys are treated as false, not true
-      const dbPermissions = data?.permissions || {};
-      const merged = {};
-      modules.forEach(m => {
-        merged[m] = dbPermissions[m] === true; // Explicitly check for true
-      });
-      
-      console.log("Merged permissions:", merged);
-      setEditPermissions(merged);
-    } catch (error) {
-      console.error('Error loading permissions:', error);
-      toast.error(`Failed to load permissions: ${error.message}`);
-      // State Management: Default to all FALSE if error
-      const defaultPermissions = {};
-      modules.forEach(m => defaultPermissions[m] = false);
-      setEditPermissions(defaultPermissions);
-    } finally {
-      setIsLoadingPermissions(false);
-      console.log("=== openPermissionsModal END ===");
-    }
-  };
-
-  const handleUpdatePermissions = async () => {
-    if (!selectedUserForPermissions) return;
-    
-    console.log("=== handleUpdatePermissions START ===");
-    console.log("Selected user ID:", selectedUserForPermissions.id);
-    console.log("Current editPermissions (raw):", editPermissions);
-    
-    setIsSubmitting(true);
-    
-    try {
-      // DATA SAFETY: Ensure permissions are saved as JSON Object (not array)
-      // Explicit False Values: Ensure all modules are included with explicit true/false
-      const completePermissions = {};
-      modules.forEach(module => {
-        completePermissions[module] = editPermissions[module] === true;
-      });
-      
-      console.log("✅ Complete permissions to save (JSON Object):", completePermissions);
-      console.log("✅ Permissions type check:", typeof completePermissions);
-      console.log("✅ Is Array?", Array.isArray(completePermissions));
-      console.log("✅ Is Object?", completePermissions !== null && typeof completePermissions === 'object' && !Array.isArray(completePermissions));
-      
-      // Fetch current phone_number and whatsapp_notifications to preserve them
-      const { data: currentData } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_users')
-        .select('phone_number, whatsapp_notifications')
-        .eq('id', selectedUserForPermissions.id)
-        .maybeSingle();
-
-      // DEBUG: Log the exact payload before upsert
-      const upsertPayload = {
-        id: selectedUserForPermissions.id,
-        email: selectedUserForPermissions.email,
-        full_name: selectedUserForPermissions.name,
-        role: selectedUserForPermissions.role,
-        access_enabled: true,
-        permissions: completePermissions,
-        phone_number: currentData?.phone_number || null,
-        whatsapp_notifications: currentData?.whatsapp_notifications || false
-      };
-      
-      console.log("🔍 UPSERT PAYLOAD (before database call):");
-      console.log("   - user_id:", upsertPayload.id);
-      console.log("   - email:", upsertPayload.email);
-      console.log("   - full_name:", upsertPayload.full_name);
-      console.log("   - role:", upsertPayload.role);
-      console.log("   - permissions:", JSON.stringify(upsertPayload.permissions, null, 2));
-      console.log("   - phone_number:", upsertPayload.phone_number);
-      console.log("   - whatsapp_notifications:", upsertPayload.whatsapp_notifications);
-      
-      // The Upsert Strategy: Use upsert instead of update
-      const { error } = await supabase
-        .from('app_b30c02e74da644baad4668e3587d86b1_users')
-        .upsert(upsertPayload, { onConflict: 'id' });
-      
-      console.log("Upsert permissions response - error:", error);
-      
-      if (error) throw error;
-      
-      setPermissionsModalOpen(false);
-      toast.success(`Permissions updated for ${selectedUserForPermissions.name}`);
-      console.log("=== handleUpdatePermissions SUCCESS ===");
-    } catch (error) {
-      console.error('=== handleUpdatePermissions ERROR ===');
-      console.error('Error updating permissions:', error);
-      toast.error(`Failed to update permissions: ${error.message}`);
-    } finally {
-      setIsSubmitting(false);
-    }
   };
 
   if (authLoading || !initialized) {
@@ -629,6 +484,9 @@ const UserManagement = () => {
                   Edit
                 </Button>
                 <Button variant="outline" size="sm" onClick={() => openPermissionsModal(user)}>Permissions</Button>
+                {currentUser?.role === 'owner' && ['owner', 'admin'].includes(user.role) && user.id !== currentUser.id && (
+                  <Button variant="outline" size="sm" onClick={() => handleResetStepUp(user)}>Reset step-up</Button>
+                )}
                 <Button variant="destructive" size="sm" onClick={() => openDeleteModal(user)}>Delete</Button>
               </div>
             </div>
@@ -684,22 +542,9 @@ const UserManagement = () => {
                 <Label htmlFor="whatsapp_notifications" className="text-sm font-normal">Enable WhatsApp notifications</Label>
               </div>
             </div>
-             <div>
-                <Label className="text-sm font-medium">Module Permissions</Label>
-                <div className="grid grid-cols-2 gap-4 rounded-md border p-4 mt-2 max-h-60 overflow-y-auto">
-                    {modules.map((module) => (
-                        <div key={module} className="flex items-center space-x-2">
-                            <Checkbox
-                                id={`perm-${module}`}
-                                checked={newUserPermissions[module]}
-                                onCheckedChange={(checked) => handlePermissionChange(module, checked)}
-                                disabled={newUser.role === 'owner' || newUser.role === 'admin'}
-                            />
-                            <Label htmlFor={`perm-${module}`} className="text-sm font-normal">{module}</Label>
-                        </div>
-                    ))}
-                </div>
-            </div>
+            <p className="text-sm text-muted-foreground">
+              New users get their role's module permissions. Grant or deny more under Permissions once the user exists.
+            </p>
           </div>
           <DialogFooter>
             <Button variant="outline" onClick={() => setAddUserModalOpen(false)} disabled={isSubmitting}>Cancel</Button>
@@ -849,41 +694,18 @@ const UserManagement = () => {
 
       {/* Permissions Modal */}
       <Dialog open={isPermissionsModalOpen} onOpenChange={setPermissionsModalOpen}>
-        <DialogContent className="sm:max-w-[600px]">
+        <DialogContent className="sm:max-w-[760px] max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>Manage Permissions - {selectedUserForPermissions?.name}</DialogTitle>
             <DialogDescription className="sr-only">
               Dialog for managing user module permissions
             </DialogDescription>
           </DialogHeader>
-          {isLoadingPermissions ? (
-            <div className="flex items-center justify-center py-8">
-              <Loader2 className="h-8 w-8 animate-spin" />
-              <p className="ml-2">Loading permissions...</p>
-            </div>
-          ) : (
-            <div className="py-4">
-              <Label className="text-sm font-medium">Module Permissions</Label>
-              <div className="grid grid-cols-2 gap-4 rounded-md border p-4 mt-2 max-h-96 overflow-y-auto">
-                {modules.map((module) => (
-                  <div key={module} className="flex items-center space-x-2">
-                    <Checkbox
-                      id={`edit-perm-${module}`}
-                      checked={editPermissions[module] === true}
-                      onCheckedChange={(checked) => handleEditPermissionChange(module, checked)}
-                    />
-                    <Label htmlFor={`edit-perm-${module}`} className="text-sm font-normal">{module}</Label>
-                  </div>
-                ))}
-              </div>
-            </div>
+          {selectedUserForPermissions && (
+            <ModulePermissionsManager user={selectedUserForPermissions} isExpanded />
           )}
           <DialogFooter>
-            <Button variant="outline" onClick={() => setPermissionsModalOpen(false)} disabled={isSubmitting}>Cancel</Button>
-            <Button onClick={handleUpdatePermissions} disabled={isSubmitting || isLoadingPermissions}>
-              {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
-              {isSubmitting ? 'Saving...' : 'Save Permissions'}
-            </Button>
+            <Button variant="outline" onClick={() => setPermissionsModalOpen(false)}>Close</Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
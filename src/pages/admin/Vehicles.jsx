@@ -18,9 +18,9 @@ const Vehicles = () => {
   const [statusFilter, setStatusFilter] = useState('all');
 
   // Define permissions based on the new module-based system
-  const canManageVehicles = hasPermission('vehicles');
-  const canCreateVehicle = hasPermission('vehicles');
-  const canEditVehicle = hasPermission('vehicles');
+  const canManageVehicles = hasPermission('fleet', 'edit');
+  const canCreateVehicle = hasPermission('fleet', 'create');
+  const canEditVehicle = hasPermission('fleet', 'edit');
 
   // Fetch vehicles on component mount
   useEffect(() => {
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import CustomerBookingService from '../../services/CustomerBookingService';
+import RentalQuoteService from '../../services/RentalQuoteService';
+import { getMoroccoTodayString, parseMoroccoDateTime } from '../../utils/moroccoTime';
+
+/**
+ * BookVehicle - Customer self-service booking
+ *
+ * The customer picks a vehicle model, a period and a rental type and gets a
+ * live quote from RentalQuoteService. Submitting creates a pending rental
+ * that staff confirm by assigning a vehicle.
+ */
+const BookVehicle = () => {
+  const { user, userProfile } = useAuth();
+  const navigate = useNavigate();
+  const today = getMoroccoTodayString();
+
+  const [models, setModels] = useState([]);
+  const [form, setForm] = useState({
+    vehicleModelId: '',
+    rentalType: 'daily',
+    startDate: today,
+    startTime: '09:00',
+    endDate: today,
+    endTime: '17:00',
+    promoCode: '',
+    pickupTransport: false,
+    dropoffTransport: false,
+    name: userProfile?.fullName || '',
+    phone: ''
+  });
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const [availableCount, setAvailableCount] = useState(null);
+  const [isQuoting, setIsQuoting] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    CustomerBookingService.getBookableModels().then(setModels);
+  }, []);
+
+  const selectedModel = models.find(model => model.id === form.vehicleModelId);
+  // The times are Morocco time, wherever the customer books from
+  const startAt = parseMoroccoDateTime(form.startDate, form.startTime || '09:00');
+  const endAt = parseMoroccoDateTime(form.endDate, form.endTime || '09:00');
+
+  // Live quote and availability whenever the inputs change
+  useEffect(() => {
+    if (!selectedModel || !startAt || !endAt) {
+      setQuote(null);
+      setAvailableCount(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsQuoting(true);
+      try {
+        const [nextQuote, nextAvailableCount] = await Promise.all([
+          RentalQuoteService.getQuote({
+            vehicleModelId: selectedModel.id,
+            vehicleType: selectedModel.vehicle_type,
+            rentalType: form.rentalType,
+            startAt,
+            endAt,
+            promoCode: form.promoCode,
+            channel: CustomerBookingService.BOOKING_SOURCE,
+            customer: { email: user?.email, phone: form.phone },
+            pickupTransport: form.pickupTransport,
+            dropoffTransport: form.dropoffTransport
+          }),
+          CustomerBookingService.getAvailableCount(selectedModel.id, startAt, endAt)
+        ]);
+        if (!cancelled) {
+          setQuote(nextQuote);
+          setAvailableCount(nextAvailableCount);
+          setQuoteError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(error.message);
+        }
+      } finally {
+        if (!cancelled) setIsQuoting(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    selectedModel?.id, form.rentalType, form.startDate, form.startTime, form.endDate,
+    form.endTime, form.promoCode, form.pickupTransport, form.dropoffTransport, form.phone
+  ]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => {
+      const next = { ...prev, [field]: value };
+      // Hourly rentals happen within one day
+      if (field === 'rentalType' && value === 'hourly') {
+        next.endDate = next.startDate;
+      }
+      if (field === 'startDate' && (prev.rentalType === 'hourly' || next.endDate < value)) {
+        next.endDate = value;
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await CustomerBookingService.createBookingRequest({
+        user,
+        contact: { name: form.name, phone: form.phone },
+        vehicleModel: selectedModel,
+        rentalType: form.rentalType,
+        startAt,
+        endAt,
+        promoCode: form.promoCode,
+        pickupTransport: form.pickupTransport,
+        dropoffTransport: form.dropoffTransport
+      });
+      toast.success('Booking request sent! We will confirm it shortly.');
+      navigate('/customer/rentals');
+    } catch (error) {
+      console.error('❌ BookVehicle: booking failed:', error);
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canSubmit = Boolean(
+    quote && availableCount > 0 && form.name && form.phone && !(form.promoCode && quote.promoError)
+  );
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Book a Vehicle</h1>
+        <p className="text-gray-600 mt-2">Choose a model and your dates to get an instant quote.</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white p-6 rounded-lg shadow-sm border space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Vehicle model</label>
+            <select
+              value={form.vehicleModelId}
+              onChange={(e) => handleChange('vehicleModelId', e.target.value)}
+              className="w-full border rounded-lg px-3 py-2"
+              required
+            >
+              <option value="">Select a model</option>
+              {models.map(model => (
+                <option key={model.id} value={model.id}>
+                  {model.name} {model.model}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rental type</label>
+            <div className="flex gap-2">
+              {['hourly', 'daily'].map(type => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => handleChange('rentalType', type)}
+                  className={`px-4 py-2 rounded-lg border capitalize ${
+                    form.rentalType === type ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700'
+                  }`}
+                >
+                  {type}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+              <input
+                type="date"
+                min={today}
+                value={form.startDate}
+                onChange={(e) => handleChange('startDate', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2 mb-2"
+                required
+              />
+              <input
+                type="time"
+                value={form.startTime}
+                onChange={(e) => handleChange('startTime', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+              <input
+                type="date"
+                min={form.startDate}
+                value={form.endDate}
+                disabled={form.rentalType === 'hourly'}
+                onChange={(e) => handleChange('endDate', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2 mb-2 disabled:bg-gray-100"
+                required
+              />
+              <input
+                type="time"
+                value={form.endTime}
+                onChange={(e) => handleChange('endTime', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.pickupTransport}
+                onChange={(e) => handleChange('pickupTransport', e.target.checked)}
+              />
+              <span>Pick-up transport to my location</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.dropoffTransport}
+                onChange={(e) => handleChange('dropoffTransport', e.target.checked)}
+              />
+              <span>Drop-off transport from my location</span>
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Promo code</label>
+            <input
+              type="text"
+              value={form.promoCode}
+              onChange={(e) => handleChange('promoCode', e.target.value.toUpperCase())}
+              className="w-full border rounded-lg px-3 py-2"
+              placeholder="Optional"
+            />
+            {form.promoCode && quote?.promoError && (
+              <p className="text-sm text-red-600 mt-1">{quote.promoError}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Full name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input
+                type="tel"
+                value={form.phone}
+                onChange={(e) => handleChange('phone', e.target.value)}
+                className="w-full border rounded-lg px-3 py-2"
+                required
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Quote summary */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border h-fit">
+          <h2 className="text-lg font-semibold mb-4">Your quote</h2>
+
+          {!selectedModel && <p className="text-sm text-gray-500">Select a model to see the price.</p>}
+          {isQuoting && <p className="text-sm text-gray-500">Calculating…</p>}
+          {quoteError && <p className="text-sm text-red-600">{quoteError}</p>}
+
+          {quote && !isQuoting && (
+            <>
+              <div className="space-y-2 text-sm">
+                {quote.lines.map((line, index) => (
+                  <div key={index} className="flex justify-between">
+                    <span className="text-gray-600">{line.label}</span>
+                    <span className={line.amount < 0 ? 'text-green-700' : 'text-gray-900'}>
+                      {line.amount.toFixed(2)} MAD
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <div className="border-t mt-3 pt-3 flex justify-between font-semibold">
+                <span>Total</span>
+                <span>{quote.total.toFixed(2)} MAD</span>
+              </div>
+              <p className={`text-sm mt-3 ${availableCount > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                {availableCount > 0
+                  ? `${availableCount} vehicle${availableCount !== 1 ? 's' : ''} available`
+                  : 'No vehicle available for these dates'}
+              </p>
+            </>
+          )}
+
+          <button
+            type="submit"
+            disabled={!canSubmit || isSubmitting}
+            className="w-full mt-6 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Sending…' : 'Request booking'}
+          </button>
+          <p className="text-xs text-gray-500 mt-2">
+            Your booking stays pending until our team confirms it and assigns a vehicle.
+          </p>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BookVehicle;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
 /**
@@ -6,6 +7,7 @@ import { useAuth } from '../../contexts/AuthContext';
  */
 const CustomerDashboard = () => {
   const { user } = useAuth();
+  const navigate = useNavigate();
 
   return (
     <div className="p-6">
@@ -22,7 +24,7 @@ const CustomerDashboard = () => {
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold mb-2">Book a Vehicle</h2>
           <p className="text-gray-600 mb-4">Browse available vehicles and make a booking.</p>
-          <button className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+          <button onClick={() => navigate('/customer/book')} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
             Browse Vehicles
           </button>
         </div>
@@ -30,7 +32,7 @@ const CustomerDashboard = () => {
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold mb-2">My Rentals</h2>
           <p className="text-gray-600 mb-4">View your rental history and current bookings.</p>
-          <button className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
+          <button onClick={() => navigate('/customer/rentals')} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
             View Rentals
           </button>
         </div>
@@ -38,7 +40,7 @@ const CustomerDashboard = () => {
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold mb-2">Profile Settings</h2>
           <p className="text-gray-600 mb-4">Update your personal information and preferences.</p>
-          <button className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700">
+          <button onClick={() => navigate('/customer/profile')} className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700">
             Edit Profile
           </button>
         </div>
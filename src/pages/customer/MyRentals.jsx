@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import CustomerBookingService from '../../services/CustomerBookingService';
+import RentalStatusBadge from '../../components/RentalStatusBadge';
+
+/**
+ * MyRentals - The signed-in customer's own rentals with invoice and contract links
+ */
+const MyRentals = () => {
+  const { user } = useAuth();
+  const [rentals, setRentals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const loadRentals = async () => {
+      try {
+        setLoading(true);
+        setRentals(await CustomerBookingService.getCustomerRentals(user.id));
+        setError(null);
+      } catch (err) {
+        console.error('❌ MyRentals: failed to load rentals:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRentals();
+  }, [user?.id]);
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto">
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Rentals</h1>
+          <p className="text-gray-600 mt-2">Your bookings, invoices and signed contracts.</p>
+        </div>
+        <Link to="/customer/book" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+          New booking
+        </Link>
+      </div>
+
+      {loading && <p className="text-gray-500">Loading your rentals…</p>}
+      {error && <p className="text-red-600">{error}</p>}
+
+      {!loading && !error && rentals.length === 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border text-gray-600">
+          You have no rentals yet.
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {rentals.map(rental => (
+          <div key={rental.id} className="bg-white p-4 rounded-lg shadow-sm border">
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <div className="font-semibold text-gray-900">
+                  {rental.vehicle?.name || `${rental.vehicle_model?.name || ''} ${rental.vehicle_model?.model || ''}`.trim() || 'Vehicle'}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {new Date(rental.rental_start_date).toLocaleString()} – {new Date(rental.rental_end_date).toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-600 capitalize">{rental.rental_type} rental</div>
+              </div>
+
+              <div className="text-right">
+                <RentalStatusBadge rental={rental} />
+                <div className="mt-2 font-semibold">{Number(rental.total_amount || 0).toFixed(2)} MAD</div>
+                {Number(rental.remaining_amount) > 0 && (
+                  <div className="text-sm text-orange-600">
+                    {Number(rental.remaining_amount).toFixed(2)} MAD due
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="mt-3 flex flex-wrap gap-3 text-sm">
+              {rental.rental_status !== 'pending' && (
+                <Link to={`/invoice/${rental.id}`} className="text-blue-600 hover:underline">
+                  View invoice
+                </Link>
+              )}
+              {rental.contract_pdf_url ? (
+                <a href={rental.contract_pdf_url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+                  Signed contract
+                </a>
+              ) : rental.signature_url ? (
+                <a href={rental.signature_url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+                  Contract signature
+                </a>
+              ) : null}
+              {rental.rental_status === 'pending' && (
+                <span className="text-gray-500">Awaiting confirmation by our team</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MyRentals;
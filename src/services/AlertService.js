@@ -1,470 +1,259 @@
+import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+
+/**
+ * AlertService - Persistent alerts stored in system_alerts
+ *
+ * Oil change, insurance and registration alerts are generated on the server
+ * by evaluate_alert_rules() from the per-model thresholds in alert_rules;
+ * rental return alerts come from the rental status engine and riding zone
+ * exits from the position trigger. All of them raise and clear alerts by
+ * dedupe key, so every device sees one alert per condition.
+ */
 class AlertService {
-  constructor() {
-    this.subscribers = [];
-    this.alerts = [];
-  }
+  TABLE = 'system_alerts';
+  RULES_TABLE = 'alert_rules';
 
-  // ========== SUBSCRIPTION SYSTEM ==========
-  subscribe(callback) {
-    if (!this.subscribers) {
-      this.subscribers = [];
-    }
-    this.subscribers.push(callback);
-    
-    // Return unsubscribe function
-    return () => {
-      this.subscribers = this.subscribers.filter(sub => sub !== callback);
-    };
-  }
+  PRIORITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
 
-  notifySubscribers() {
-    if (this.subscribers) {
-      this.subscribers.forEach(callback => {
-        try {
-          callback(this.alerts);
-        } catch (error) {
-          console.error('Error in alert subscriber callback:', error);
-        }
-      });
-    }
-  }
+  RULE_TYPES = {
+    oil_change: { label: 'Oil change', unit: 'km before due', hasInterval: true },
+    insurance_expiry: { label: 'Insurance expiry', unit: 'days before expiry' },
+    registration_expiry: { label: 'Registration expiry', unit: 'days before expiry' },
+    rental_return: { label: 'Rental return', unit: null }
+  };
 
-  // ========== ALERT MANAGEMENT ==========
-  
-  /**
-   * Get all alerts for a specific vehicle
-   * @param {string} vehicleId - Vehicle ID
-   * @returns {Array} - Array of alerts for the vehicle
-   */
-  getVehicleAlerts(vehicleId) {
-    return this.alerts.filter(alert => alert.vehicleId === vehicleId) || [];
-  }
+  SNOOZE_OPTIONS = [
+    { label: '1 hour', minutes: 60 },
+    { label: '4 hours', minutes: 240 },
+    { label: '1 day', minutes: 1440 },
+    { label: '1 week', minutes: 10080 }
+  ];
+
+  // ========== ALERTS ==========
 
   /**
-   * Create or update oil change alert for a vehicle
-   * @param {string} vehicleId - Vehicle ID
-   * @param {string} vehicleName - Vehicle name
-   * @param {string} plateNumber - Vehicle plate number
-   * @param {number} currentOdometer - Current odometer reading
-   * @param {number} nextOilChangeOdometer - Next oil change due odometer
+   * Open alerts plus the ones resolved recently
+   * @param {number} resolvedSinceDays - How far back to include resolved alerts
+   * @returns {Promise<Array>}
    */
-  createOrUpdateOilChangeAlert(vehicleId, vehicleName, plateNumber, currentOdometer, nextOilChangeOdometer) {
-    try {
-      // Remove existing oil change alerts for this vehicle
-      this.alerts = this.alerts.filter(alert => 
-        !(alert.vehicleId === vehicleId && alert.type === 'oil_change')
-      );
-
-      if (!currentOdometer || !nextOilChangeOdometer) {
-        this.notifySubscribers();
-        return;
-      }
-
-      const kmUntilService = nextOilChangeOdometer - currentOdometer;
-      
-      // Format vehicle identifier with plate number
-      const vehicleIdentifier = plateNumber && plateNumber !== 'N/A' 
-        ? `${vehicleName} (${plateNumber})` 
-        : vehicleName;
-      
-      // Only create alert if service is due soon or overdue
-      if (kmUntilService <= 100) {
-        const priority = kmUntilService <= 0 ? 'high' : kmUntilService <= 50 ? 'medium' : 'low';
-        const isOverdue = kmUntilService <= 0;
-        
-        const alert = {
-          id: `oil_change_${vehicleId}_${Date.now()}`,
-          vehicleId: vehicleId,
-          type: 'oil_change',
-          title: isOverdue ? 'Oil Change Overdue' : 'Oil Change Due Soon',
-          message: isOverdue 
-            ? `${vehicleIdentifier} is ${Math.abs(kmUntilService)} km overdue for oil change`
-            : `${vehicleIdentifier} needs oil change in ${kmUntilService} km`,
-          priority: priority,
-          createdAt: new Date().toISOString(),
-          isOverdue: isOverdue,
-          kmUntilService: kmUntilService
-        };
-
-        this.alerts.push(alert);
-      }
-
-      this.notifySubscribers();
-    } catch (error) {
-      console.error('Error creating oil change alert:', error);
+  async getAlerts(resolvedSinceDays = 7) {
+    const since = new Date(Date.now() - resolvedSinceDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .select('*')
+      .or(`status.eq.open,resolved_at.gte.${since}`)
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load alerts: ${error.message}`);
     }
+
+    return data || [];
   }
 
   /**
-   * Create or update insurance expiry alert for a vehicle
-   * @param {string} vehicleId - Vehicle ID
-   * @param {string} vehicleName - Vehicle name
-   * @param {string} plateNumber - Vehicle plate number
-   * @param {string} insuranceExpiryDate - Insurance expiry date (ISO string)
+   * Open alerts of one vehicle
+   * @param {string|number} vehicleId - Vehicle ID
+   * @returns {Promise<Array>}
    */
-  createOrUpdateInsuranceExpiryAlert(vehicleId, vehicleName, plateNumber, insuranceExpiryDate) {
-    try {
-      // Remove existing insurance expiry alerts for this vehicle
-      this.alerts = this.alerts.filter(alert => 
-        !(alert.vehicleId === vehicleId && alert.type === 'insurance_expiry')
-      );
-
-      if (!insuranceExpiryDate) {
-        this.notifySubscribers();
-        return;
-      }
-
-      const expiryDate = new Date(insuranceExpiryDate);
-      const today = new Date();
-      const daysDifference = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24));
-      
-      // Format vehicle identifier with plate number
-      const vehicleIdentifier = plateNumber && plateNumber !== 'N/A' 
-        ? `${vehicleName} (${plateNumber})` 
-        : vehicleName;
-      
-      // Only create alert if insurance expires within 30 days or is already expired
-      if (daysDifference <= 30) {
-        const priority = daysDifference <= 0 ? 'high' : daysDifference <= 7 ? 'medium' : 'low';
-        const isExpired = daysDifference <= 0;
-        
-        const alert = {
-          id: `insurance_expiry_${vehicleId}_${Date.now()}`,
-          vehicleId: vehicleId,
-          type: 'insurance_expiry',
-          title: isExpired ? 'Insurance Expired' : 'Insurance Expiry Due Soon',
-          message: isExpired 
-            ? `${vehicleIdentifier} insurance expired ${Math.abs(daysDifference)} days ago`
-            : `${vehicleIdentifier} insurance expires in ${daysDifference} days`,
-          priority: priority,
-          createdAt: new Date().toISOString(),
-          isExpired: isExpired,
-          daysUntilExpiry: daysDifference
-        };
-
-        this.alerts.push(alert);
-      }
-
-      this.notifySubscribers();
-    } catch (error) {
-      console.error('Error creating insurance expiry alert:', error);
+  async getVehicleAlerts(vehicleId) {
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .select('*')
+      .eq('vehicle_id', parseInt(vehicleId, 10))
+      .eq('status', 'open')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load vehicle alerts: ${error.message}`);
     }
+
+    return data || [];
   }
 
   /**
-   * Create or update registration expiry alert for a vehicle
-   * @param {string} vehicleId - Vehicle ID
-   * @param {string} vehicleName - Vehicle name
-   * @param {string} plateNumber - Vehicle plate number
-   * @param {string} registrationExpiryDate - Registration expiry date (ISO string)
+   * Workflow state of an alert: resolved, snoozed, acknowledged or open
+   * @param {Object} alert - Row of system_alerts
+   * @param {number} now - Timestamp to compare the snooze against
+   * @returns {string}
    */
-  createOrUpdateRegistrationExpiryAlert(vehicleId, vehicleName, plateNumber, registrationExpiryDate) {
-    try {
-      // Remove existing registration expiry alerts for this vehicle
-      this.alerts = this.alerts.filter(alert => 
-        !(alert.vehicleId === vehicleId && alert.type === 'registration_expiry')
-      );
-
-      if (!registrationExpiryDate) {
-        this.notifySubscribers();
-        return;
-      }
-
-      const expiryDate = new Date(registrationExpiryDate);
-      const today = new Date();
-      const daysDifference = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24));
-      
-      // Format vehicle identifier with plate number
-      const vehicleIdentifier = plateNumber && plateNumber !== 'N/A' 
-        ? `${vehicleName} (${plateNumber})` 
-        : vehicleName;
-      
-      // Only create alert if registration expires within 30 days or is already expired
-      if (daysDifference <= 30) {
-        const priority = daysDifference <= 0 ? 'high' : daysDifference <= 7 ? 'medium' : 'low';
-        const isExpired = daysDifference <= 0;
-        
-        const alert = {
-          id: `registration_expiry_${vehicleId}_${Date.now()}`,
-          vehicleId: vehicleId,
-          type: 'registration_expiry',
-          title: isExpired ? 'Registration Expired' : 'Registration Expiry Due Soon',
-          message: isExpired 
-            ? `${vehicleIdentifier} registration expired ${Math.abs(daysDifference)} days ago`
-            : `${vehicleIdentifier} registration expires in ${daysDifference} days`,
-          priority: priority,
-          createdAt: new Date().toISOString(),
-          isExpired: isExpired,
-          daysUntilExpiry: daysDifference
-        };
-
-        this.alerts.push(alert);
-      }
-
-      this.notifySubscribers();
-    } catch (error) {
-      console.error('Error creating registration expiry alert:', error);
-    }
+  getAlertState(alert, now = Date.now()) {
+    if (alert.status === 'resolved') return 'resolved';
+    if (alert.snoozed_until && new Date(alert.snoozed_until).getTime() > now) return 'snoozed';
+    if (alert.acknowledged_at) return 'acknowledged';
+    return 'open';
   }
 
-  /**
-   * Create or update rental return overdue alert for a rental
-   * @param {string} rentalId - Rental ID
-   * @param {string} vehicleId - Vehicle ID
-   * @param {string} vehicleName - Vehicle name
-   * @param {string} plateNumber - Vehicle plate number
-   * @param {string} customerName - Customer name
-   * @param {string} rentalEndDate - Rental end date (ISO string)
-   * @param {string} rentalStatus - Rental status
-   */
-  createOrUpdateRentalReturnOverdueAlert(rentalId, vehicleId, vehicleName, plateNumber, customerName, rentalEndDate, rentalStatus) {
-    try {
-      // Remove existing rental return alerts for this rental
-      this.alerts = this.alerts.filter(alert => 
-        !(alert.rentalId === rentalId && alert.type === 'rental_return_overdue')
-      );
-
-      // Only process active or ongoing rentals
-      if (!rentalStatus || !['active', 'ongoing'].includes(rentalStatus.toLowerCase())) {
-        this.notifySubscribers();
-        return;
-      }
-
-      if (!rentalEndDate) {
-        this.notifySubscribers();
-        return;
-      }
-
-      const endDate = new Date(rentalEndDate);
-      const today = new Date();
-      const daysDifference = Math.ceil((endDate - today) / (1000 * 60 * 60 * 24));
-      
-      // Format vehicle identifier with plate number
-      const vehicleIdentifier = plateNumber && plateNumber !== 'N/A' 
-        ? `${vehicleName} (${plateNumber})` 
-        : vehicleName;
-      
-      // Create alert if rental is overdue or due within 24 hours
-      if (daysDifference <= 1) {
-        const isOverdue = daysDifference < 0;
-        const priority = isOverdue ? 'high' : 'medium';
-        const daysOverdue = Math.abs(daysDifference);
-        
-        const alert = {
-          id: `rental_return_overdue_${rentalId}_${Date.now()}`,
-          rentalId: rentalId,
-          vehicleId: vehicleId,
-          type: 'rental_return_overdue',
-          title: isOverdue ? `Rental Return Overdue - ${plateNumber}` : `Rental Return Due Soon - ${plateNumber}`,
-          message: isOverdue 
-            ? `${vehicleIdentifier} rental by ${customerName} is ${daysOverdue} day${daysOverdue !== 1 ? 's' : ''} overdue (Status: ${rentalStatus})`
-            : `${vehicleIdentifier} rental by ${customerName} is due for return today (Status: ${rentalStatus})`,
-          priority: priority,
-          createdAt: new Date().toISOString(),
-          isOverdue: isOverdue,
-          daysOverdue: daysOverdue,
-          customerName: customerName,
-          rentalStatus: rentalStatus
-        };
-
-        this.alerts.push(alert);
-      }
-
-      this.notifySubscribers();
-    } catch (error) {
-      console.error('Error creating rental return overdue alert:', error);
+  async updateAlert(alertId, changes) {
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', alertId)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update alert: ${error.message}`);
     }
+
+    return data;
   }
 
-  /**
-   * Update all vehicle alerts (oil change, insurance, registration)
-   * @param {Array} vehicles - Array of vehicle objects
-   */
-  updateAllVehicleAlerts(vehicles) {
-    try {
-      if (!vehicles || vehicles.length === 0) return;
-
-      vehicles.forEach(vehicle => {
-        // Get plate number from either plate_number or license_plate field
-        const plateNumber = vehicle.plate_number || vehicle.license_plate || null;
-        
-        // Oil change alerts
-        if (vehicle.current_odometer && vehicle.next_oil_change_odometer) {
-          this.createOrUpdateOilChangeAlert(
-            vehicle.id.toString(),
-            vehicle.name,
-            plateNumber,
-            parseFloat(vehicle.current_odometer),
-            parseFloat(vehicle.next_oil_change_odometer)
-          );
-        }
-
-        // Insurance expiry alerts
-        if (vehicle.insurance_expiry_date) {
-          this.createOrUpdateInsuranceExpiryAlert(
-            vehicle.id.toString(),
-            vehicle.name,
-            plateNumber,
-            vehicle.insurance_expiry_date
-          );
-        }
-
-        // Registration expiry alerts
-        if (vehicle.registration_expiry_date) {
-          this.createOrUpdateRegistrationExpiryAlert(
-            vehicle.id.toString(),
-            vehicle.name,
-            plateNumber,
-            vehicle.registration_expiry_date
-          );
-        }
-      });
-    } catch (error) {
-      console.error('Error updating all vehicle alerts:', error);
-    }
+  markAsRead(alertId) {
+    return this.updateAlert(alertId, { is_read: true, read_at: new Date().toISOString() });
   }
 
   /**
-   * Update all rental return alerts
-   * @param {Array} rentals - Array of rental objects with vehicle information
+   * Mark every open unread alert as read
+   * @returns {Promise<Array>} Updated alerts
    */
-  updateAllRentalReturnAlerts(rentals) {
-    try {
-      if (!rentals || rentals.length === 0) return;
-
-      rentals.forEach(rental => {
-        // Only process active or ongoing rentals
-        if (rental.status && ['active', 'ongoing'].includes(rental.status.toLowerCase())) {
-          // Get vehicle information
-          const vehicle = rental.vehicle || rental.vehicles;
-          const plateNumber = vehicle?.plate_number || vehicle?.license_plate || null;
-          const vehicleName = vehicle?.name || vehicle?.make + ' ' + vehicle?.model || 'Unknown Vehicle';
-
-          if (rental.end_date) {
-            this.createOrUpdateRentalReturnOverdueAlert(
-              rental.id.toString(),
-              vehicle?.id?.toString() || rental.vehicle_id?.toString(),
-              vehicleName,
-              plateNumber,
-              rental.customer_name || 'Unknown Customer',
-              rental.end_date,
-              rental.status
-            );
-          }
-        }
-      });
-    } catch (error) {
-      console.error('Error updating all rental return alerts:', error);
+  async markAllAsRead() {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .update({ is_read: true, read_at: now, updated_at: now })
+      .eq('status', 'open')
+      .eq('is_read', false)
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to mark alerts as read: ${error.message}`);
     }
-  }
 
-  /**
-   * Update oil change alerts for all vehicles (kept for backward compatibility)
-   * @param {Array} vehicles - Array of vehicle objects
-   */
-  updateAllOilChangeAlerts(vehicles) {
-    // Call the comprehensive method for all alerts
-    this.updateAllVehicleAlerts(vehicles);
+    return data || [];
   }
 
   /**
-   * Create a general alert
-   * @param {Object} alertData - Alert data
-   * @returns {Object} - Created alert
+   * Acknowledge an alert; acknowledged alerts no longer escalate
    */
-  createAlert(alertData) {
-    const alert = {
-      id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-      ...alertData,
-      createdAt: new Date().toISOString()
-    };
-
-    this.alerts.push(alert);
-    this.notifySubscribers();
-    
-    return alert;
+  acknowledge(alertId) {
+    const now = new Date().toISOString();
+    return this.updateAlert(alertId, { acknowledged_at: now, is_read: true, read_at: now });
   }
 
   /**
-   * Remove an alert
-   * @param {string} alertId - Alert ID
-   * @returns {boolean} - Success status
+   * Hide an alert until the given time; it comes back unread afterwards
+   * @param {string} alertId
+   * @param {number} minutes - Snooze length
    */
-  removeAlert(alertId) {
-    const initialLength = this.alerts.length;
-    this.alerts = this.alerts.filter(alert => alert.id !== alertId);
-    
-    if (this.alerts.length < initialLength) {
-      this.notifySubscribers();
-      return true;
-    }
-    
-    return false;
+  snooze(alertId, minutes) {
+    const now = new Date();
+    return this.updateAlert(alertId, {
+      snoozed_until: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+      is_read: true,
+      read_at: now.toISOString()
+    });
   }
 
-  /**
-   * Clear all alerts for a vehicle
-   * @param {string} vehicleId - Vehicle ID
-   */
-  clearVehicleAlerts(vehicleId) {
-    this.alerts = this.alerts.filter(alert => alert.vehicleId !== vehicleId);
-    this.notifySubscribers();
+  resolve(alertId) {
+    return this.updateAlert(alertId, { status: 'resolved', resolved_at: new Date().toISOString() });
   }
 
   /**
-   * Clear all alerts for a rental
-   * @param {string} rentalId - Rental ID
+   * @param {string} alertId
+   * @param {string|null} userId - Staff user, or null to unassign
    */
-  clearRentalAlerts(rentalId) {
-    this.alerts = this.alerts.filter(alert => alert.rentalId !== rentalId);
-    this.notifySubscribers();
+  assign(alertId, userId) {
+    return this.updateAlert(alertId, { assigned_to: userId || null });
   }
 
   /**
-   * Get all alerts
-   * @returns {Array} - Array of all alerts
+   * Staff who can be assigned alerts
+   * @returns {Promise<Array>} { id, name }
    */
-  getAllAlerts() {
-    return this.alerts || [];
+  async getAssignableUsers() {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.USERS)
+      .select('id, full_name, email, role')
+      .neq('role', 'customer')
+      .order('full_name');
+
+    if (error) {
+      console.warn('⚠️ Could not load staff for alert assignment:', error.message);
+      return [];
+    }
+
+    return (data || []).map(user => ({
+      id: user.id,
+      name: user.full_name || user.email?.split('@')[0] || 'Unknown User'
+    }));
   }
 
+  // ========== RULE EVALUATOR ==========
+
   /**
-   * Get alerts by priority
-   * @param {string} priority - Priority level (high, medium, low)
-   * @returns {Array} - Array of alerts with specified priority
+   * Run the rule evaluator now instead of waiting for the schedule,
+   * e.g. after a vehicle's odometer or documents changed
+   * @returns {Promise<Object|null>} { raised, resolved, woken, escalated }, null if a run is in progress
    */
-  getAlertsByPriority(priority) {
-    return this.alerts.filter(alert => alert.priority === priority) || [];
+  async evaluateRules() {
+    const { data, error } = await supabase.rpc('evaluate_alert_rules');
+
+    if (error) {
+      throw new Error(`Failed to evaluate alert rules: ${error.message}`);
+    }
+
+    return data;
   }
 
-  /**
-   * Get overdue alerts
-   * @returns {Array} - Array of overdue alerts
-   */
-  getOverdueAlerts() {
-    return this.alerts.filter(alert => alert.isOverdue || alert.isExpired) || [];
+  // ========== RULES ==========
+
+  async getRules() {
+    const { data, error } = await supabase
+      .from(this.RULES_TABLE)
+      .select('*')
+      .order('rule_type');
+
+    if (error) {
+      throw new Error(`Failed to load alert rules: ${error.message}`);
+    }
+
+    return data || [];
   }
 
   /**
-   * Mark alert as read
-   * @param {string} alertId - Alert ID
+   * Create or update a rule; vehicle_model_id null is the fleet default
+   * @param {Object} rule - Row of alert_rules
+   * @returns {Promise<Object>} Saved rule
    */
-  markAsRead(alertId) {
-    const alert = this.alerts.find(alert => alert.id === alertId);
-    if (alert) {
-      alert.isRead = true;
-      alert.readAt = new Date().toISOString();
-      this.notifySubscribers();
+  async saveRule(rule) {
+    const payload = {
+      vehicle_model_id: rule.vehicle_model_id || null,
+      rule_type: rule.rule_type,
+      interval_km: rule.interval_km ? parseInt(rule.interval_km, 10) : null,
+      warn_before: parseFloat(rule.warn_before) || 0,
+      priority: rule.priority,
+      escalate_after_minutes: rule.escalate_after_minutes ? parseInt(rule.escalate_after_minutes, 10) : null,
+      is_active: rule.is_active,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = rule.id
+      ? supabase.from(this.RULES_TABLE).update(payload).eq('id', rule.id)
+      : supabase.from(this.RULES_TABLE).insert([payload]);
+
+    const { data, error } = await query.select('*').single();
+
+    if (error) {
+      throw new Error(`Failed to save alert rule: ${error.message}`);
     }
+
+    return data;
   }
 
-  /**
-   * Get unread alerts count
-   * @returns {number} - Number of unread alerts
-   */
-  getUnreadCount() {
-    return this.alerts.filter(alert => !alert.isRead).length;
+  async deleteRule(ruleId) {
+    const { error } = await supabase
+      .from(this.RULES_TABLE)
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) {
+      throw new Error(`Failed to delete alert rule: ${error.message}`);
+    }
   }
 }
 
-export default new AlertService();
\ No newline at end of file
+export default new AlertService();
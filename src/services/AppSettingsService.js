@@ -384,6 +384,62 @@ class AppSettingsService {
       throw error;
     }
   }
+
+  /**
+   * Get the company's legal name, address and identifiers (ICE, IF, RC, TVA)
+   * printed on invoices
+   */
+  static async getCompanyIdentity() {
+    const { data, error } = await supabase
+      .from(this.SETTINGS_TABLE)
+      .select('company_legal_name, company_address, company_ice, company_if, company_rc, company_tva')
+      .eq('id', this.DEFAULT_SETTINGS_ID)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load company identity: ${error.message}`);
+    }
+
+    return {
+      legal_name: data?.company_legal_name || '',
+      address: data?.company_address || '',
+      ice: data?.company_ice || '',
+      if: data?.company_if || '',
+      rc: data?.company_rc || '',
+      tva: data?.company_tva || ''
+    };
+  }
+
+  /**
+   * Save the company identity. Already issued invoices keep the
+   * identifiers they were issued with.
+   */
+  static async saveCompanyIdentity(identity) {
+    const ice = identity.ice?.trim() || '';
+    if (ice && !/^\d{15}$/.test(ice)) {
+      throw new Error('ICE must be 15 digits');
+    }
+
+    const { data, error } = await supabase
+      .from(this.SETTINGS_TABLE)
+      .upsert({
+        id: this.DEFAULT_SETTINGS_ID,
+        company_legal_name: identity.legal_name?.trim() || null,
+        company_address: identity.address?.trim() || null,
+        company_ice: ice || null,
+        company_if: identity.if?.trim() || null,
+        company_rc: identity.rc?.trim() || null,
+        company_tva: identity.tva?.trim() || null,
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save company identity: ${error.message}`);
+    }
+    return data;
+  }
 }
 
 export default AppSettingsService;
\ No newline at end of file
@@ -0,0 +1,195 @@
+import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+import MaintenanceTrackingService from './MaintenanceTrackingService';
+import fleetAvailabilityService from './FleetAvailabilityService';
+
+/**
+ * CalendarService - merges rentals, tour bookings and scheduled maintenance
+ * into one list of calendar events for the dispatcher calendar.
+ */
+class CalendarService {
+  static TOUR_BOOKINGS_TABLE = 'tour_bookings';
+
+  // Tour durations in hours, keyed by tour_type (matches TourBooking pricing config)
+  static TOUR_DURATIONS = {
+    standard: 2,
+    extended: 4,
+    sunset: 3,
+    adventure: 6
+  };
+
+  // Default length of a maintenance slot on the calendar
+  static MAINTENANCE_DURATION_HOURS = 2;
+
+  // Rentals in these statuses can still be moved by drag and drop
+  static RESCHEDULABLE_STATUSES = ['scheduled', 'pending', 'confirmed'];
+
+  static EVENT_TYPES = {
+    RENTAL: 'rental',
+    TOUR: 'tour',
+    MAINTENANCE: 'maintenance'
+  };
+
+  /**
+   * Load all calendar events that overlap the given range
+   * @param {Date} rangeStart - Start of the visible range
+   * @param {Date} rangeEnd - End of the visible range
+   * @returns {Promise<Array>} Normalised events sorted by start time
+   */
+  static async getEvents(rangeStart, rangeEnd) {
+    const [rentals, tours, maintenance] = await Promise.all([
+      this.getRentalEvents(rangeStart, rangeEnd),
+      this.getTourEvents(rangeStart, rangeEnd),
+      this.getMaintenanceEvents(rangeStart, rangeEnd)
+    ]);
+
+    return [...rentals, ...tours, ...maintenance].sort((a, b) => a.start - b.start);
+  }
+
+  static async getRentalEvents(rangeStart, rangeEnd) {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select(`
+        id, customer_name, customer_phone, vehicle_id, rental_type,
+        rental_start_date, rental_end_date, rental_status, total_amount,
+        vehicle:saharax_0u4w4d_vehicles!app_4c3a7a6153_rentals_vehicle_id_fkey(id, name, plate_number)
+      `)
+      .not('rental_status', 'in', '(cancelled,refunded)')
+      .lt('rental_start_date', rangeEnd.toISOString())
+      .gt('rental_end_date', rangeStart.toISOString());
+
+    if (error) {
+      console.error('❌ CalendarService: failed to load rentals:', error.message);
+      return [];
+    }
+
+    return (data || []).map(rental => ({
+      id: `rental-${rental.id}`,
+      type: this.EVENT_TYPES.RENTAL,
+      title: rental.customer_name || 'Rental',
+      start: new Date(rental.rental_start_date),
+      end: new Date(rental.rental_end_date),
+      status: rental.rental_status || 'scheduled',
+      vehicleId: rental.vehicle_id,
+      vehicleName: rental.vehicle?.name || null,
+      draggable: this.RESCHEDULABLE_STATUSES.includes(rental.rental_status),
+      resource: { type: this.EVENT_TYPES.RENTAL, data: rental }
+    }));
+  }
+
+  static async getTourEvents(rangeStart, rangeEnd) {
+    const { data, error } = await supabase
+      .from(this.TOUR_BOOKINGS_TABLE)
+      .select('*')
+      .gte('tour_date', this.toDateString(rangeStart))
+      .lte('tour_date', this.toDateString(rangeEnd))
+      .neq('booking_status', 'cancelled');
+
+    if (error) {
+      console.error('❌ CalendarService: failed to load tour bookings:', error.message);
+      return [];
+    }
+
+    return (data || []).map(booking => {
+      const start = new Date(`${booking.tour_date}T${booking.tour_time || '09:00'}`);
+      const hours = this.TOUR_DURATIONS[booking.tour_type] || this.TOUR_DURATIONS.standard;
+
+      return {
+        id: `tour-${booking.id}`,
+        type: this.EVENT_TYPES.TOUR,
+        title: `${booking.customer_name || 'Tour'} (${booking.number_of_quads || 1} quads)`,
+        start,
+        end: new Date(start.getTime() + hours * 60 * 60 * 1000),
+        status: booking.booking_status || 'pending',
+        vehicleId: null,
+        participants: Array.from({ length: booking.total_participants || 0 }),
+        draggable: false,
+        resource: { type: this.EVENT_TYPES.TOUR, data: booking }
+      };
+    });
+  }
+
+  static async getMaintenanceEvents(rangeStart, rangeEnd) {
+    const records = await MaintenanceTrackingService.getUpcomingMaintenance();
+
+    return (records || [])
+      .filter(record => record.service_date)
+      .map(record => {
+        const start = new Date(record.service_date);
+        return {
+          id: `maintenance-${record.id}`,
+          type: this.EVENT_TYPES.MAINTENANCE,
+          title: `${record.maintenance_type} – ${record.vehicle?.name || 'Vehicle'}`,
+          start,
+          end: new Date(start.getTime() + this.MAINTENANCE_DURATION_HOURS * 60 * 60 * 1000),
+          status: record.isOverdue ? 'overdue' : 'scheduled',
+          vehicleId: record.vehicle_id,
+          vehicleName: record.vehicle?.name || null,
+          draggable: false,
+          resource: { type: this.EVENT_TYPES.MAINTENANCE, data: record }
+        };
+      })
+      .filter(event => event.start < rangeEnd && event.end > rangeStart);
+  }
+
+  /**
+   * Move a rental to a new period (and optionally another vehicle).
+   * The move is rejected when the vehicle is already booked for that period.
+   * @param {Object} event - Rental calendar event
+   * @param {Object} changes
+   * @param {Date} changes.start - New start
+   * @param {Date} changes.end - New end
+   * @param {string|number} [changes.vehicleId] - New vehicle, defaults to the current one
+   * @returns {Promise<Object>} Updated rental row
+   */
+  static async rescheduleRental(event, { start, end, vehicleId }) {
+    if (event.type !== this.EVENT_TYPES.RENTAL) {
+      throw new Error('Only rentals can be rescheduled from the calendar');
+    }
+    if (!event.draggable) {
+      throw new Error(`A ${event.status} rental cannot be rescheduled`);
+    }
+    if (!(start < end)) {
+      throw new Error('End time must be after start time');
+    }
+
+    const rental = event.resource.data;
+    const targetVehicleId = vehicleId ?? rental.vehicle_id;
+
+    const isAvailable = await fleetAvailabilityService.isVehicleAvailable(
+      targetVehicleId,
+      start.toISOString(),
+      end.toISOString(),
+      { excludeRentalId: rental.id }
+    );
+
+    if (!isAvailable) {
+      throw new Error('Vehicle is not available for the selected period');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .update({
+        rental_start_date: start.toISOString(),
+        rental_end_date: end.toISOString(),
+        vehicle_id: targetVehicleId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', rental.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to reschedule rental: ${error.message}`);
+    }
+
+    fleetAvailabilityService.clearCache();
+    return data;
+  }
+
+  static toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+}
+
+export default CalendarService;
@@ -0,0 +1,252 @@
+import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+import VehicleModelService from './VehicleModelService';
+import PromoCodeService from './PromoCodeService';
+import fleetAvailabilityService from './FleetAvailabilityService';
+
+/**
+ * CustomerBookingService - customer portal booking requests
+ *
+ * Customers request a vehicle model for a period; the request is stored as a
+ * pending rental without a vehicle. Staff confirm it by assigning a vehicle.
+ */
+class CustomerBookingService {
+  static BOOKING_SOURCE = 'customer_portal';
+  static PENDING_STATUS = 'pending';
+
+  // Vehicles in these states are never offered to customers
+  static UNBOOKABLE_VEHICLE_STATUSES = ['maintenance', 'out_of_service', 'retired'];
+
+  static async getBookableModels() {
+    return VehicleModelService.getActiveModels();
+  }
+
+  /**
+   * Vehicles of a model that are free for the whole period
+   * @param {string} vehicleModelId
+   * @param {Date} startAt
+   * @param {Date} endAt
+   * @returns {Promise<Array>}
+   */
+  static async getAvailableVehicles(vehicleModelId, startAt, endAt) {
+    const { data: vehicles, error } = await supabase
+      .from(TABLE_NAMES.VEHICLES)
+      .select('id, name, plate_number, status, vehicle_model_id')
+      .eq('vehicle_model_id', vehicleModelId);
+
+    if (error) {
+      throw new Error(`Failed to load vehicles: ${error.message}`);
+    }
+
+    const candidates = (vehicles || []).filter(
+      vehicle => !this.UNBOOKABLE_VEHICLE_STATUSES.includes(vehicle.status)
+    );
+
+    const checks = await Promise.all(
+      candidates.map(vehicle =>
+        fleetAvailabilityService.isVehicleAvailable(vehicle.id, startAt.toISOString(), endAt.toISOString())
+      )
+    );
+
+    return candidates.filter((_, index) => checks[index]);
+  }
+
+  /**
+   * How many vehicles of a model a portal request could still get for the
+   * period: free vehicles less overlapping requests still waiting for one
+   * (portal_model_availability, which request_rental_booking checks too)
+   * @param {string} vehicleModelId
+   * @param {Date} startAt
+   * @param {Date} endAt
+   * @returns {Promise<number>}
+   */
+  static async getAvailableCount(vehicleModelId, startAt, endAt) {
+    const { data, error } = await supabase.rpc('portal_model_availability', {
+      p_vehicle_model_id: vehicleModelId,
+      p_start_at: startAt.toISOString(),
+      p_end_at: endAt.toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to check availability: ${error.message}`);
+    }
+    return data || 0;
+  }
+
+  /**
+   * Create a pending rental from the customer portal. The database checks
+   * that a vehicle of the model is free, prices the request
+   * (request_rental_booking), stores the quote and redeems the promo code.
+   * @param {Object} params
+   * @returns {Promise<Object>} Created rental row
+   */
+  static async createBookingRequest({
+    user,
+    contact,
+    vehicleModel,
+    rentalType,
+    startAt,
+    endAt,
+    promoCode,
+    pickupTransport,
+    dropoffTransport
+  }) {
+    if (!user?.id) {
+      throw new Error('You must be signed in to book');
+    }
+    if (!contact?.name || !contact?.phone) {
+      throw new Error('Name and phone number are required');
+    }
+
+    const { data, error } = await supabase.rpc('request_rental_booking', {
+      p_vehicle_model_id: vehicleModel.id,
+      p_rental_type: rentalType,
+      p_start_at: startAt.toISOString(),
+      p_end_at: endAt.toISOString(),
+      p_customer_name: contact.name,
+      p_customer_phone: contact.phone,
+      p_promo_code: promoCode || null,
+      p_pickup_transport: Boolean(pickupTransport),
+      p_dropoff_transport: Boolean(dropoffTransport)
+    });
+
+    if (error) {
+      throw new Error(`Failed to create booking: ${error.message}`);
+    }
+
+    fleetAvailabilityService.clearCache();
+    return data;
+  }
+
+  /**
+   * Rentals that belong to the signed-in customer
+   * @param {string} userId - Auth user ID
+   * @returns {Promise<Array>}
+   */
+  static async getCustomerRentals(userId) {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select(`
+        id, rental_id, rental_type, rental_status, payment_status, approval_status,
+        rental_start_date, rental_end_date, total_amount, remaining_amount,
+        signature_url, contract_pdf_url, quote_breakdown, created_at,
+        vehicle:saharax_0u4w4d_vehicles!app_4c3a7a6153_rentals_vehicle_id_fkey(id, name, plate_number),
+        vehicle_model:${TABLE_NAMES.VEHICLE_MODELS}(id, name, model)
+      `)
+      .eq('customer_user_id', userId)
+      .order('rental_start_date', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load your rentals: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Portal requests waiting for a staff decision
+   * @returns {Promise<Array>}
+   */
+  static async getPendingRequests() {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select(`*, vehicle_model:${TABLE_NAMES.VEHICLE_MODELS}(id, name, model)`)
+      .eq('booking_source', this.BOOKING_SOURCE)
+      .eq('rental_status', this.PENDING_STATUS)
+      .order('rental_start_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load pending bookings: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Confirm a portal request by assigning a vehicle
+   * @param {Object} rental - Pending rental row
+   * @param {string|number} vehicleId
+   * @param {string} staffUserId
+   * @returns {Promise<Object>} Updated rental row
+   */
+  static async confirmRequest(rental, vehicleId, staffUserId) {
+    const isAvailable = await fleetAvailabilityService.isVehicleAvailable(
+      vehicleId,
+      rental.rental_start_date,
+      rental.rental_end_date,
+      { excludeRentalId: rental.id }
+    );
+
+    if (!isAvailable) {
+      throw new Error('Selected vehicle is no longer available for this period');
+    }
+
+    // Idempotent: returns the redemption made with the request, or fails with the reason the code no longer applies
+    if (rental.promo_code) {
+      try {
+        await this.redeemPromoCode(rental);
+      } catch (promoError) {
+        throw new Error(`Promo code ${rental.promo_code} cannot be applied: ${promoError.message}. Re-price the booking before confirming.`);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .update({
+        vehicle_id: Number(vehicleId),
+        rental_status: 'scheduled',
+        approval_status: 'approved',
+        approved_by: staffUserId || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', rental.id)
+      .eq('rental_status', this.PENDING_STATUS)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to confirm booking: ${error.message}`);
+    }
+
+    fleetAvailabilityService.clearCache();
+    return data;
+  }
+
+  /**
+   * Record the rental's promo code in the redemption ledger
+   * @param {Object} rental - Rental row with promo_code
+   * @returns {Promise<Object>} The redemption row
+   */
+  static async redeemPromoCode(rental) {
+    return PromoCodeService.redeem({
+      code: rental.promo_code,
+      rentalId: rental.id
+    });
+  }
+
+  /**
+   * Decline a portal request
+   * @param {Object} rental - Pending rental row
+   * @param {string} reason
+   * @returns {Promise<Object>} Updated rental row
+   */
+  static async declineRequest(rental, reason) {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .update({
+        rental_status: 'cancelled',
+        approval_status: 'rejected',
+        cancellation_reason: reason || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', rental.id)
+      .eq('rental_status', this.PENDING_STATUS)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to decline booking: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+export default CustomerBookingService;
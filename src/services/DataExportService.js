@@ -0,0 +1,252 @@
+import { supabase } from '../lib/supabase';
+import { buildExportFile, downloadBlob, EXPORT_FORMATS } from '../utils/exportFormats';
+import { createExportDatasets, resolveExportDateRange, buildExportFileName } from '../utils/exportDatasets';
+
+/**
+ * DataExportService - One export pipeline for every module
+ *
+ * Each dataset declares how to load its rows for a date range / vehicle and
+ * which columns to write; the same columns feed CSV, XLSX and JSON. Datasets
+ * and writers live in utils/exportDatasets.js and utils/exportFiles.js, which
+ * the scheduled exports edge function imports as well. Finished
+ * files are stored in the data-exports bucket and recorded in data_exports so
+ * they can be downloaded again. Presets save a dataset, format and filters and
+ * may carry a schedule; due presets are run by the run_scheduled_exports edge
+ * function, which pg_cron calls every 15 minutes.
+ */
+class DataExportService {
+  static HISTORY_TABLE = 'data_exports';
+  static PRESETS_TABLE = 'export_presets';
+  static BUCKET = 'data-exports';
+
+  static DATE_RANGES = {
+    last_7_days: 'Last 7 days',
+    last_30_days: 'Last 30 days',
+    this_month: 'This month',
+    last_month: 'Last month',
+    custom: 'Custom dates'
+  };
+
+  static SCHEDULES = {
+    none: 'Not scheduled',
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+  };
+
+  static DATASETS = createExportDatasets(supabase);
+
+  /**
+   * Generate an export, store it and record it in the history
+   * @param {Object} options
+   * @param {string} options.dataset - Key of DATASETS
+   * @param {string} options.format - csv | xlsx | json
+   * @param {Object} [options.filters] - { range, from, to, vehicleId }
+   * @param {string} [options.presetId]
+   * @param {string} [options.userId]
+   * @param {boolean} [options.download=true] - Save the file in the browser too
+   * @param {string} [options.trigger='manual']
+   * @param {Function} [options.onProgress] - (step, label) with step 1..4
+   * @returns {Promise<Object>} History row
+   */
+  static async runExport({
+    dataset, format, filters = {}, presetId = null, userId = null,
+    download = true, trigger = 'manual', onProgress = () => {}
+  }) {
+    const definition = this.DATASETS[dataset];
+    if (!definition) {
+      throw new Error(`Unknown export dataset: ${dataset}`);
+    }
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const range = resolveExportDateRange(filters);
+    const vehicleId = definition.supportsVehicle && filters.vehicleId ? Number(filters.vehicleId) : null;
+    const fileName = buildExportFileName(dataset, EXPORT_FORMATS[format].extension, range);
+    const historyBase = {
+      dataset,
+      format,
+      filters: { ...filters, ...range },
+      preset_id: presetId,
+      trigger,
+      file_name: fileName,
+      created_by: userId
+    };
+
+    try {
+      onProgress(1, `Loading ${definition.label.toLowerCase()}…`);
+      const rows = await definition.fetch({ ...range, vehicleId });
+
+      onProgress(2, `Writing ${rows.length} rows as ${EXPORT_FORMATS[format].label}…`);
+      const blob = await buildExportFile(format, definition.columns, rows, definition.label);
+
+      if (download) {
+        downloadBlob(blob, fileName);
+      }
+
+      onProgress(3, 'Saving to export history…');
+      const filePath = `${new Date().toISOString().slice(0, 10)}/${Date.now()}_${fileName}`;
+      const { error: uploadError } = await supabase.storage
+        .from(this.BUCKET)
+        .upload(filePath, blob, { contentType: EXPORT_FORMATS[format].mimeType });
+
+      if (uploadError) {
+        throw new Error(`Failed to store export file: ${uploadError.message}`);
+      }
+
+      const record = await this.insertHistory({
+        ...historyBase,
+        status: 'completed',
+        file_path: filePath,
+        file_size: blob.size,
+        row_count: rows.length
+      });
+
+      onProgress(4, 'Export complete');
+      return record;
+    } catch (error) {
+      console.error('❌ DataExportService: export failed:', error);
+      await this.insertHistory({ ...historyBase, status: 'failed', error_message: error.message })
+        .catch(historyError => console.error('❌ DataExportService: failed to record failure:', historyError));
+      throw error;
+    }
+  }
+
+  static async insertHistory(row) {
+    const { data, error } = await supabase
+      .from(this.HISTORY_TABLE)
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record export: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async getHistory(limit = 50) {
+    const { data, error } = await supabase
+      .from(this.HISTORY_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load export history: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Download a stored export again
+   * @param {Object} record - Row of data_exports
+   */
+  static async downloadFromHistory(record) {
+    if (!record.file_path) {
+      throw new Error('This export has no stored file');
+    }
+
+    const { data, error } = await supabase.storage
+      .from(this.BUCKET)
+      .download(record.file_path);
+
+    if (error) {
+      throw new Error(`Failed to download export: ${error.message}`);
+    }
+
+    downloadBlob(data, record.file_name);
+
+    await supabase
+      .from(this.HISTORY_TABLE)
+      .update({ download_count: (record.download_count || 0) + 1 })
+      .eq('id', record.id);
+  }
+
+  static async deleteFromHistory(record) {
+    if (record.file_path) {
+      const { error: storageError } = await supabase.storage
+        .from(this.BUCKET)
+        .remove([record.file_path]);
+      if (storageError) {
+        console.warn('⚠️ DataExportService: could not remove stored file:', storageError.message);
+      }
+    }
+
+    const { error } = await supabase
+      .from(this.HISTORY_TABLE)
+      .delete()
+      .eq('id', record.id);
+
+    if (error) {
+      throw new Error(`Failed to delete export: ${error.message}`);
+    }
+  }
+
+  // ---------- Presets ----------
+
+  static async getPresets() {
+    const { data, error } = await supabase
+      .from(this.PRESETS_TABLE)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load export presets: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update a preset
+   * @param {Object} preset - { id?, name, dataset, format, filters, schedule }
+   * @param {string} userId
+   */
+  static async savePreset(preset, userId) {
+    const { id, ...fields } = preset;
+    const schedule = fields.schedule || 'none';
+    const row = {
+      ...fields,
+      schedule,
+      next_run_at: schedule === 'none' ? null : this.getNextRun(schedule).toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const query = id
+      ? supabase.from(this.PRESETS_TABLE).update(row).eq('id', id)
+      : supabase.from(this.PRESETS_TABLE).insert({ ...row, created_by: userId });
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      throw new Error(`Failed to save export preset: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async deletePreset(presetId) {
+    const { error } = await supabase
+      .from(this.PRESETS_TABLE)
+      .delete()
+      .eq('id', presetId);
+
+    if (error) {
+      throw new Error(`Failed to delete export preset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Next run of a schedule, at 06:00 local time
+   */
+  static getNextRun(schedule, from = new Date()) {
+    const next = new Date(from);
+    next.setHours(6, 0, 0, 0);
+    if (schedule === 'daily') next.setDate(next.getDate() + 1);
+    if (schedule === 'weekly') next.setDate(next.getDate() + 7);
+    if (schedule === 'monthly') next.setMonth(next.getMonth() + 1, 1);
+    return next;
+  }
+}
+
+export default DataExportService;
@@ -0,0 +1,319 @@
+import { supabase } from '../lib/supabase';
+import { v4 as uuidv4 } from 'uuid';
+import InventoryService from './InventoryService';
+import OverageCalculationService from './OverageCalculationService';
+import RentalInspectionService from './RentalInspectionService';
+
+/**
+ * DepositService - Damage deposit settlement
+ *
+ * A settlement lists itemised deductions (each with optional photos),
+ * is signed by the customer and stored with its PDF. Signing happens in
+ * sign_deposit_settlement so the settlement, its deductions and the
+ * rental's deposit columns are written together; the ledger posts the
+ * refund and the kept portion. See src/migrations/deposit_settlements.sql.
+ */
+class DepositService {
+  static SETTLEMENTS_TABLE = 'deposit_settlements';
+  static PHOTO_BUCKET = 'deposit-photos';
+  static SIGNATURE_BUCKET = 'rental-signatures';
+  static DOCUMENT_BUCKET = 'rental-documents';
+
+  // appliesToBalance: settles part of the rental's own amount due rather
+  // than adding a new charge
+  static CATEGORIES = {
+    damage: { label: 'Damage', appliesToBalance: false },
+    fuel: { label: 'Fuel shortfall', appliesToBalance: false },
+    km_overage: { label: 'Kilometer overage', appliesToBalance: true },
+    late_return: { label: 'Late return', appliesToBalance: false },
+    unpaid_balance: { label: 'Unpaid rental balance', appliesToBalance: true },
+    other: { label: 'Other', appliesToBalance: false }
+  };
+
+  static async getSettlement(rentalId) {
+    const { data, error } = await supabase
+      .from(this.SETTLEMENTS_TABLE)
+      .select('*, deductions:deposit_deductions(*)')
+      .eq('rental_id', rentalId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load deposit settlement: ${error.message}`);
+    }
+    if (data) {
+      data.deductions = (data.deductions || []).sort((a, b) => a.sort_order - b.sort_order);
+    }
+    return data;
+  }
+
+  /**
+   * Split the deposit the way sign_deposit_settlement does: rental balance
+   * first, then charges; the rest is refunded
+   * @param {number} depositAmount
+   * @param {Array} deductions - [{ category, amount }]
+   */
+  static calculateTotals(depositAmount, deductions) {
+    const deposit = parseFloat(depositAmount) || 0;
+    let balance = 0;
+    let charges = 0;
+
+    deductions.forEach(deduction => {
+      const amount = parseFloat(deduction.amount) || 0;
+      if (this.CATEGORIES[deduction.category]?.appliesToBalance) {
+        balance += amount;
+      } else {
+        charges += amount;
+      }
+    });
+
+    const balanceApplied = Math.min(deposit, balance);
+    const chargesKept = Math.min(deposit - balanceApplied, charges);
+
+    return {
+      depositAmount: deposit,
+      deductionsTotal: balance + charges,
+      balanceApplied,
+      chargesKept,
+      chargesBilled: charges - chargesKept,
+      refundAmount: deposit - balanceApplied - chargesKept,
+      customerOwes: (balance - balanceApplied) + (charges - chargesKept)
+    };
+  }
+
+  // ---------- Deduction sources ----------
+
+  static async getPartsCatalog() {
+    const items = await InventoryService.getItems({ active: true });
+    return items.map(item => ({
+      ...item,
+      unit_amount: parseFloat(item.price_mad) || parseFloat(item.cost_mad) || 0
+    }));
+  }
+
+  /**
+   * Latest price per liter paid for vehicle fuel
+   * @returns {Promise<number>} 0 when no refills are recorded
+   */
+  static async getFuelPricePerLiter() {
+    const { data, error } = await supabase
+      .from('vehicle_fuel_refills')
+      .select('*')
+      .order('refill_date', { ascending: false })
+      .limit(1);
+
+    if (error || !data?.length) {
+      if (error) console.warn('⚠️ DepositService: could not load fuel price:', error.message);
+      return 0;
+    }
+
+    const refill = data[0];
+    const liters = parseFloat(refill.liters) || 0;
+    return parseFloat(refill.unit_price)
+      || parseFloat(refill.price_per_liter)
+      || (liters > 0 ? (parseFloat(refill.total_cost) || 0) / liters : 0);
+  }
+
+  /**
+   * Deductions the rental already justifies: kilometer overage and the
+   * unpaid balance (together at most the balance due), the late fee and
+   * whatever the check-in inspection found against the check-out
+   * @param {Object} rental
+   * @param {number} balanceDue - Amount the customer still owes on the rental
+   */
+  static async getSuggestedDeductions(rental, balanceDue) {
+    const suggestions = [];
+    let remainingBalance = Math.max(parseFloat(balanceDue) || 0, 0);
+
+    const overage = OverageCalculationService.getOverageBreakdown(rental);
+    const overageDue = Math.min(overage.overageCharge, remainingBalance);
+    if (overageDue > 0) {
+      suggestions.push({
+        category: 'km_overage',
+        description: `${overage.extraKilometers.toFixed(0)} km over ${overage.includedKilometers} km package at ${overage.extraKmRate} MAD/km`,
+        quantity: overage.extraKilometers,
+        unit_amount: overage.extraKmRate,
+        amount: overageDue,
+        metadata: { total_distance: overage.totalDistance, included_kilometers: overage.includedKilometers }
+      });
+      remainingBalance -= overageDue;
+    }
+
+    if (remainingBalance > 0.005) {
+      suggestions.push({
+        category: 'unpaid_balance',
+        description: 'Unpaid rental balance',
+        quantity: 1,
+        unit_amount: remainingBalance,
+        amount: remainingBalance
+      });
+    }
+
+    const { data: lateFee, error } = await supabase.rpc('calculate_late_fee', { p_rental_id: rental.id });
+    if (error) {
+      console.warn('⚠️ DepositService: could not calculate late fee:', error.message);
+    } else if (lateFee?.is_late && parseFloat(lateFee.late_fee) > 0) {
+      suggestions.push({
+        category: 'late_return',
+        description: `Returned ${Math.floor((lateFee.late_minutes || 0) / 60)} h late`,
+        quantity: 1,
+        unit_amount: parseFloat(lateFee.late_fee),
+        amount: parseFloat(lateFee.late_fee),
+        metadata: { late_minutes: lateFee.late_minutes }
+      });
+    }
+
+    try {
+      suggestions.push(...await this.getInspectionDeductions(rental));
+    } catch (inspectionError) {
+      console.warn('⚠️ DepositService: could not load inspection findings:', inspectionError.message);
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * New damage (with its photos), fuel below the check-out level and
+   * accessories not handed back
+   * @param {Object} rental - With its vehicle embedded
+   */
+  static async getInspectionDeductions(rental) {
+    const { check_in: checkIn } = await RentalInspectionService.getInspections(rental.id);
+    if (!checkIn?.comparison) return [];
+
+    const template = await RentalInspectionService.getTemplate(rental.vehicle);
+    const comparison = RentalInspectionService.getComparison(checkIn, template);
+    const suggestions = [];
+
+    comparison.newDamages.forEach(damage => {
+      const amount = RentalInspectionService.estimateRepairCost(damage, template);
+      suggestions.push({
+        category: 'damage',
+        description: RentalInspectionService.describeDamage(damage),
+        quantity: 1,
+        unit_amount: amount,
+        amount,
+        photo_urls: damage.photo_urls || [],
+        metadata: { inspection_damage_id: damage.id, work_order_id: checkIn.work_order_id }
+      });
+    });
+
+    if (comparison.fuelDifference < 0) {
+      const eighths = -comparison.fuelDifference;
+      const tankLiters = parseFloat(template.fuel_tank_liters) || 0;
+      const liters = tankLiters * eighths / RentalInspectionService.FUEL_EIGHTHS;
+      const pricePerLiter = liters > 0 ? await this.getFuelPricePerLiter() : 0;
+      const amount = Math.round(liters * pricePerLiter * 100) / 100;
+      suggestions.push({
+        category: 'fuel',
+        description: tankLiters > 0
+          ? `Returned ${eighths}/8 tank below check-out (${liters.toFixed(1)} L)`
+          : `Returned ${eighths}/8 tank below check-out`,
+        quantity: liters > 0 ? Math.round(liters * 100) / 100 : 1,
+        unit_amount: liters > 0 ? pricePerLiter : amount,
+        amount,
+        metadata: { fuel_eighths: eighths }
+      });
+    }
+
+    comparison.missingAccessories.forEach(accessory => {
+      suggestions.push({
+        category: 'other',
+        description: `${accessory.label} not returned`,
+        quantity: accessory.quantity,
+        unit_amount: accessory.replacement_cost,
+        amount: accessory.quantity * accessory.replacement_cost,
+        metadata: { accessory: accessory.key }
+      });
+    });
+
+    return suggestions;
+  }
+
+  // ---------- Files ----------
+
+  static async uploadPhoto(rentalId, file) {
+    const extension = file.name?.split('.').pop() || 'jpg';
+    const path = `${rentalId}/${uuidv4()}.${extension}`;
+
+    const { error } = await supabase.storage
+      .from(this.PHOTO_BUCKET)
+      .upload(path, file, { cacheControl: '3600', upsert: false });
+
+    if (error) {
+      throw new Error(`Failed to upload photo: ${error.message}`);
+    }
+    return supabase.storage.from(this.PHOTO_BUCKET).getPublicUrl(path).data.publicUrl;
+  }
+
+  /**
+   * @param {string} rentalId
+   * @param {string} dataUrl - PNG data URL from SignaturePad
+   */
+  static async uploadSignature(rentalId, dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    const path = `signatures/${rentalId}/deposit_${uuidv4()}.png`;
+
+    const { error } = await supabase.storage
+      .from(this.SIGNATURE_BUCKET)
+      .upload(path, blob, { contentType: 'image/png', upsert: false });
+
+    if (error) {
+      throw new Error(`Failed to upload signature: ${error.message}`);
+    }
+    return supabase.storage.from(this.SIGNATURE_BUCKET).getPublicUrl(path).data.publicUrl;
+  }
+
+  static async uploadDocument(rental, pdfBlob) {
+    const path = `deposit-settlements/deposit_settlement_${rental.rental_id || rental.id}_${Date.now()}.pdf`;
+
+    const { error } = await supabase.storage
+      .from(this.DOCUMENT_BUCKET)
+      .upload(path, pdfBlob, { contentType: 'application/pdf', upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload settlement document: ${error.message}`);
+    }
+    return supabase.storage.from(this.DOCUMENT_BUCKET).getPublicUrl(path).data.publicUrl;
+  }
+
+  // ---------- Signing ----------
+
+  /**
+   * @param {Object} settlement
+   * @param {string} settlement.rentalId
+   * @param {Array} settlement.deductions - [{ category, description, item_id, quantity, unit_amount, amount, photo_urls, metadata }]
+   * @param {string} settlement.signatureUrl
+   * @param {string} [settlement.documentUrl]
+   * @param {string} [settlement.notes]
+   */
+  static async signSettlement({ rentalId, deductions, signatureUrl, documentUrl = null, notes = null }) {
+    const invalid = deductions.find(d => !this.CATEGORIES[d.category] || !(parseFloat(d.amount) >= 0));
+    if (invalid) {
+      throw new Error('Every deduction needs a category and a positive amount');
+    }
+
+    const { data, error } = await supabase.rpc('sign_deposit_settlement', {
+      p_rental_id: rentalId,
+      p_deductions: deductions.map(d => ({
+        category: d.category,
+        description: d.description,
+        item_id: d.item_id || null,
+        quantity: parseFloat(d.quantity) || 1,
+        unit_amount: parseFloat(d.unit_amount) || 0,
+        amount: Math.round((parseFloat(d.amount) || 0) * 100) / 100,
+        photo_urls: d.photo_urls || [],
+        metadata: d.metadata || {}
+      })),
+      p_signature_url: signatureUrl,
+      p_document_url: documentUrl,
+      p_notes: notes
+    });
+
+    if (error) {
+      throw new Error(`Failed to sign deposit settlement: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+export default DepositService;
@@ -4,6 +4,7 @@
  */
 
 import { supabase } from '../lib/supabase';
+import RentalQuoteService from './RentalQuoteService';
 
 class ExtensionPricingService {
   /**
@@ -48,35 +49,21 @@ class ExtensionPricingService {
         vehicleModel: rental.vehicle?.vehicle_model
       });
 
-      // 2. Get base price for this vehicle model
-      const { data: basePrice, error: basePriceError } = await supabase
-        .from('app_4c3a7a6153_base_prices')
-        .select('*')
-        .eq('vehicle_model_id', rental.vehicle?.vehicle_model_id)
-        .eq('is_active', true)
-        .single();
-
-      if (basePriceError || !basePrice) {
-        console.warn('⚠️ No base price found for this vehicle model');
-        return {
-          totalPrice: 0,
-          extension_price: 0,
-          message: "No pricing configured for this vehicle model",
-          requires_manual_entry: true,
-          error_code: 'NO_BASE_PRICE'
-        };
-      }
+      // 2. Price the extra hours with the rental pricing engine, as an hourly
+      // rental starting at the current end of the rental
+      const currentEndDate = new Date(rental.rental_end_date);
+      const newEndDate = new Date(currentEndDate.getTime() + (hoursNum * 60 * 60 * 1000));
 
-      console.log('💰 Base price found:', {
-        basePriceId: basePrice.id,
-        hourlyPrice: basePrice.hourly_price,
-        priceSource: basePrice.price_source
+      const quote = await RentalQuoteService.getQuote({
+        vehicleModelId: rental.vehicle?.vehicle_model_id,
+        vehicleId: rental.vehicle_id,
+        vehicleType: rental.vehicle?.vehicle_type,
+        rentalType: 'hourly',
+        startAt: currentEndDate,
+        endAt: newEndDate
       });
-      
-      // 3. Get the hourly rate from base price
-      const hourlyRate = basePrice.hourly_price;
-      
-      if (!hourlyRate || hourlyRate <= 0) {
+
+      if (!quote.unitPrice || quote.unitPrice <= 0) {
         console.warn('⚠️ No hourly rate configured');
         return {
           totalPrice: 0,
@@ -86,104 +73,39 @@ class ExtensionPricingService {
           error_code: 'NO_HOURLY_RATE'
         };
       }
-      
-      // 4. Check for pricing tiers
-      let finalHourlyRate = hourlyRate;
-      let tierBreakdown = [];
-      let appliedTier = null;
-      
-      try {
-        const { data: pricingTiers, error: tiersError } = await supabase
-          .from('app_4c3a7a6153_pricing_tiers')
-          .select('*')
-          .eq('vehicle_model_id', rental.vehicle?.vehicle_model_id)
-          .eq('is_active', true)
-          .lte('min_hours', hoursNum)
-          .order('min_hours', { ascending: false });
-        
-        if (!tiersError && pricingTiers && pricingTiers.length > 0) {
-          // Find the best matching tier
-          for (const tier of pricingTiers) {
-            if (hoursNum >= tier.min_hours && (!tier.max_hours || hoursNum <= tier.max_hours)) {
-              appliedTier = tier;
-              break;
-            }
-          }
-
-          if (appliedTier) {
-            console.log('✅ Found pricing tier:', appliedTier);
-            
-            if (appliedTier.calculation_method === 'percentage' && appliedTier.discount_percentage) {
-              // Apply percentage discount
-              const discount = appliedTier.discount_percentage / 100;
-              finalHourlyRate = hourlyRate * (1 - discount);
-              
-              tierBreakdown.push({
-                hours: hoursNum,
-                rate: Math.round(finalHourlyRate),
-                discount: appliedTier.discount_percentage,
-                subtotal: Math.round(finalHourlyRate * hoursNum)
-              });
-            } else if (appliedTier.calculation_method === 'fixed') {
-              // Use fixed price
-              finalHourlyRate = appliedTier.price_amount;
-              
-              tierBreakdown.push({
-                hours: hoursNum,
-                rate: Math.round(finalHourlyRate),
-                discount: 0,
-                subtotal: Math.round(finalHourlyRate * hoursNum)
-              });
-            }
-          }
-        }
-      } catch (tierError) {
-        console.log('⚠️ No pricing tiers found, using base rate:', tierError.message);
-      }
 
-      // If no tier was applied, use base rate
-      if (!appliedTier) {
-        tierBreakdown.push({
-          hours: hoursNum,
-          rate: Math.round(hourlyRate),
-          discount: 0,
-          subtotal: Math.round(hourlyRate * hoursNum)
-        });
-      }
-      
-      // 5. Calculate total price
-      const totalPrice = finalHourlyRate * hoursNum;
-      
-      // Calculate new end date
-      const currentEndDate = new Date(rental.rental_end_date);
-      const newEndDate = new Date(currentEndDate.getTime() + (hoursNum * 60 * 60 * 1000));
+      const totalPrice = quote.total;
+      const averageHourlyRate = Math.round(totalPrice / hoursNum);
+      const tierBreakdown = [{
+        hours: hoursNum,
+        rate: averageHourlyRate,
+        discount: quote.hourTier?.calculation_method === 'percentage' ? Number(quote.hourTier.discount_percentage) || 0 : 0,
+        subtotal: totalPrice
+      }];
+      const totalSavings = Math.max(quote.tierDiscount + quote.promoDiscount + quote.customerDiscount - quote.seasonalAdjustment, 0);
 
-      // Calculate savings
-      const fullPriceTotal = hoursNum * hourlyRate;
-      const totalSavings = fullPriceTotal - totalPrice;
-      
       console.log('💰 Final price calculation:', {
-        baseHourlyRate: hourlyRate,
-        finalHourlyRate: finalHourlyRate,
+        baseHourlyRate: quote.unitPrice,
         hours: hoursNum,
-        totalPrice: totalPrice,
-        source: basePrice.price_source || 'base',
-        appliedTier: appliedTier ? `${appliedTier.min_hours}-${appliedTier.max_hours || '∞'}h` : 'none'
+        totalPrice,
+        appliedTier: quote.hourTier ? `${quote.hourTier.min_hours}-${quote.hourTier.max_hours || '∞'}h` : 'none'
       });
-      
+
       return {
-        totalPrice: Math.round(totalPrice),
-        extension_price: Math.round(totalPrice),
-        averageHourlyRate: Math.round(totalPrice / hoursNum),
-        hourly_rate: Math.round(finalHourlyRate),
+        totalPrice,
+        extension_price: totalPrice,
+        averageHourlyRate,
+        hourly_rate: averageHourlyRate,
         tierBreakdown,
+        lines: quote.lines,
+        quote,
         newEndDate: newEndDate.toISOString(),
-        totalSavings: Math.round(totalSavings),
+        totalSavings,
         extensionHours: hoursNum,
-        message: `Calculated at ${Math.round(finalHourlyRate)} MAD/hour (${hoursNum} hours)`,
+        message: `Calculated at ${averageHourlyRate} MAD/hour (${hoursNum} hours)`,
         requires_manual_entry: false,
         source: 'auto_calculated',
-        dynamicPricingEnabled: !!appliedTier
+        dynamicPricingEnabled: !!quote.hourTier || quote.seasonalAdjustment !== 0
       };
       
     } catch (error) {
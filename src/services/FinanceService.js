@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabase';
+import { toCSV, downloadBlob } from '../utils/exportFormats';
 
 export class FinanceService {
   constructor() {
@@ -302,29 +303,9 @@ export class FinanceService {
         throw new Error('No data to export');
       }
 
-      const headers = Object.keys(data[0]);
-      const csvContent = [
-        headers.join(','),
-        ...data.map(row => headers.map(header => {
-          const value = row[header];
-          return typeof value === 'string' && value.includes(',') 
-            ? `"${value}"` 
-            : value;
-        }).join(','))
-      ].join('\n');
-
-      // Create and download file
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      
-      link.setAttribute('href', url);
-      link.setAttribute('download', `${filename}.csv`);
-      link.style.visibility = 'hidden';
-      
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const columns = Object.keys(data[0]).map(key => ({ key, header: key }));
+      const blob = new Blob([toCSV(columns, data)], { type: 'text/csv;charset=utf-8;' });
+      downloadBlob(blob, `${filename}.csv`);
 
       console.log(`✅ Data exported to ${filename}.csv`);
       return true;
@@ -1,5 +1,6 @@
 import { supabase } from '../utils/supabaseClient';
 import { TBL } from '../config/tables.js';
+import { TABLE_NAMES } from '../config/tableNames.js';
 
 /**
  * FleetAvailabilityService handles vehicle availability checking and fleet management
@@ -88,37 +89,54 @@ class FleetAvailabilityService {
    * @param {string} vehicleId - Vehicle ID
    * @param {string} startDate - Start date ISO string
    * @param {string} endDate - End date ISO string
+   * @param {Object} [options]
+   * @param {string|number} [options.excludeRentalId] - Rental to ignore (used when rescheduling it)
+   * @param {string} [options.excludeTourBookingId] - Tour booking to ignore (used when re-assigning its quads)
    * @returns {Promise<boolean>} Vehicle availability status
    */
-  async isVehicleAvailable(vehicleId, startDate, endDate) {
+  async isVehicleAvailable(vehicleId, startDate, endDate, options = {}) {
     try {
-      // Check rental bookings
-      const { data: rentalBookings, error: rentalError } = await supabase
-        .from(TBL.RENTALS)
-        .select('*')
+      const { excludeRentalId, excludeTourBookingId } = options;
+
+      // Check rental bookings that overlap the requested window
+      let rentalQuery = supabase
+        .from(TABLE_NAMES.RENTALS)
+        .select('id, rental_start_date, rental_end_date, rental_status')
         .eq('vehicle_id', vehicleId)
-        .not('status', 'eq', 'cancelled')
-        .or(`start_date.lte.${endDate},end_date.gte.${startDate}`);
+        .not('rental_status', 'in', '(cancelled,completed,refunded)')
+        .lt('rental_start_date', endDate)
+        .gt('rental_end_date', startDate);
+
+      if (excludeRentalId) {
+        rentalQuery = rentalQuery.neq('id', excludeRentalId);
+      }
+
+      const { data: rentalBookings, error: rentalError } = await rentalQuery;
 
       if (rentalError) {
         throw new Error(`Failed to check rental bookings: ${rentalError.message}`);
       }
 
-      // Check tour bookings
-      const { data: tourBookings, error: tourError } = await supabase
-        .from(TBL.TOURS)
-        .select('*')
-        .contains('vehicle_ids', [vehicleId])
-        .not('status', 'eq', 'cancelled')
-        .or(`tour_date.lte.${endDate},tour_date.gte.${startDate}`);
+      // Quads assigned to a tour over the same window
+      let tourQuery = supabase
+        .from('tour_vehicle_schedule')
+        .select('booking_id')
+        .eq('vehicle_id', vehicleId)
+        .lt('starts_at', endDate)
+        .gt('ends_at', startDate);
+
+      if (excludeTourBookingId) {
+        tourQuery = tourQuery.neq('booking_id', excludeTourBookingId);
+      }
+
+      const { data: tourBookings, error: tourError } = await tourQuery;
 
       if (tourError) {
         throw new Error(`Failed to check tour bookings: ${tourError.message}`);
       }
 
       // Vehicle is available if no conflicting bookings exist
-      return (!rentalBookings || rentalBookings.length === 0) && 
-             (!tourBookings || tourBookings.length === 0);
+      return (rentalBookings || []).length === 0 && (tourBookings || []).length === 0;
     } catch (error) {
       console.error('FleetAvailabilityService.isVehicleAvailable error:', error);
       return false; // Default to unavailable on error
@@ -0,0 +1,263 @@
+import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+import { isPointInPolygon } from '../utils/geoUtils';
+
+/**
+ * FleetPositionService - GPS positions, active fleet and riding zones
+ *
+ * Trackers post pings through the ingest_vehicle_position RPC; staff phones
+ * and the GPX simulator insert directly. The live map reads the last fix per
+ * vehicle and subscribes to new pings. Leaving every allowed zone raises an
+ * alert in the database as the ping is stored (fleet_positions.sql).
+ */
+class FleetPositionService {
+  static POSITIONS_TABLE = 'vehicle_positions';
+  static LATEST_VIEW = 'vehicle_latest_positions';
+  static GEOFENCES_TABLE = 'geofences';
+
+  // Seconds since the last fix before a vehicle shows as stale / lost
+  static STALE_AFTER_SECONDS = 120;
+  static LOST_AFTER_SECONDS = 600;
+
+  /**
+   * Last known fix of every vehicle
+   * @returns {Promise<Object>} Map of vehicle id to position
+   */
+  static async getLatestPositions() {
+    const { data, error } = await supabase
+      .from(this.LATEST_VIEW)
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to load positions: ${error.message}`);
+    }
+
+    return (data || []).reduce((positions, position) => {
+      positions[position.vehicle_id] = position;
+      return positions;
+    }, {});
+  }
+
+  /**
+   * Position history of one vehicle, oldest first
+   * @param {number} vehicleId
+   * @param {Date|string} since
+   */
+  static async getVehicleTrack(vehicleId, since) {
+    const { data, error } = await supabase
+      .from(this.POSITIONS_TABLE)
+      .select('latitude, longitude, speed_kmh, recorded_at')
+      .eq('vehicle_id', vehicleId)
+      .gte('recorded_at', new Date(since).toISOString())
+      .order('recorded_at', { ascending: true })
+      .limit(2000);
+
+    if (error) {
+      throw new Error(`Failed to load track: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Store a position from a staff phone or the simulator
+   * @param {Object} ping - { vehicleId, latitude, longitude, speedKmh, heading, accuracyM, source, recordedAt }
+   */
+  static async recordPosition({
+    vehicleId, latitude, longitude, speedKmh = null, heading = null,
+    accuracyM = null, source = 'mobile', recordedAt = new Date()
+  }) {
+    const { data, error } = await supabase
+      .from(this.POSITIONS_TABLE)
+      .insert({
+        vehicle_id: Number(vehicleId),
+        latitude,
+        longitude,
+        speed_kmh: speedKmh,
+        heading,
+        accuracy_m: accuracyM,
+        source,
+        recorded_at: new Date(recordedAt).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record position: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Vehicles currently out on an active rental or a running tour
+   * @returns {Promise<Array>} [{ vehicleId, vehicle, kind, label, phone, startedAt }]
+   */
+  static async getActiveFleet() {
+    const [rentalsResult, toursResult] = await Promise.all([
+      supabase
+        .from(TABLE_NAMES.RENTALS)
+        .select(`
+          id, vehicle_id, customer_name, customer_phone, rental_start_date, rental_end_date,
+          vehicle:${TABLE_NAMES.VEHICLES}(id, name, model, plate_number)
+        `)
+        .eq('rental_status', 'active')
+        .not('vehicle_id', 'is', null),
+      supabase
+        .from('tour_bookings')
+        .select(`
+          id, tour_type, customer_name, customer_phone, tour_started_at,
+          assignments:tour_vehicle_assignments(
+            vehicle_id,
+            vehicle:${TABLE_NAMES.VEHICLES}(id, name, model, plate_number)
+          )
+        `)
+        .eq('booking_status', 'on_tour')
+    ]);
+
+    if (rentalsResult.error) {
+      throw new Error(`Failed to load active rentals: ${rentalsResult.error.message}`);
+    }
+    if (toursResult.error) {
+      throw new Error(`Failed to load active tours: ${toursResult.error.message}`);
+    }
+
+    const rentals = (rentalsResult.data || []).map(rental => ({
+      vehicleId: rental.vehicle_id,
+      vehicle: rental.vehicle,
+      kind: 'rental',
+      label: rental.customer_name,
+      phone: rental.customer_phone,
+      startedAt: rental.rental_start_date,
+      endsAt: rental.rental_end_date
+    }));
+
+    const tours = (toursResult.data || []).flatMap(booking =>
+      (booking.assignments || []).map(assignment => ({
+        vehicleId: assignment.vehicle_id,
+        vehicle: assignment.vehicle,
+        kind: 'tour',
+        label: `${booking.tour_type} tour · ${booking.customer_name}`,
+        phone: booking.customer_phone,
+        startedAt: booking.tour_started_at
+      }))
+    );
+
+    return [...rentals, ...tours];
+  }
+
+  /**
+   * Vehicles that can carry a tracker, for pickers
+   */
+  static async getTrackableVehicles() {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.VEHICLES)
+      .select('id, name, model, plate_number, status')
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load vehicles: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * How old a fix is
+   * @param {string} recordedAt
+   * @returns {{ level: 'live'|'stale'|'lost'|'none', seconds: number|null }}
+   */
+  static getStaleness(recordedAt, now = Date.now()) {
+    if (!recordedAt) return { level: 'none', seconds: null };
+
+    const seconds = Math.max(0, Math.round((now - new Date(recordedAt).getTime()) / 1000));
+    if (seconds >= this.LOST_AFTER_SECONDS) return { level: 'lost', seconds };
+    if (seconds >= this.STALE_AFTER_SECONDS) return { level: 'stale', seconds };
+    return { level: 'live', seconds };
+  }
+
+  static async getGeofences({ activeOnly = false } = {}) {
+    let query = supabase
+      .from(this.GEOFENCES_TABLE)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load geofences: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update a geofence
+   * @param {Object} geofence - { id?, name, description, polygon, color, is_active }
+   * @param {string} userId
+   */
+  static async saveGeofence(geofence, userId) {
+    const { id, ...fields } = geofence;
+    const query = id
+      ? supabase
+          .from(this.GEOFENCES_TABLE)
+          .update({ ...fields, updated_at: new Date().toISOString() })
+          .eq('id', id)
+      : supabase
+          .from(this.GEOFENCES_TABLE)
+          .insert({ ...fields, created_by: userId });
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      throw new Error(`Failed to save geofence: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async deleteGeofence(geofenceId) {
+    const { error } = await supabase
+      .from(this.GEOFENCES_TABLE)
+      .delete()
+      .eq('id', geofenceId);
+
+    if (error) {
+      throw new Error(`Failed to delete geofence: ${error.message}`);
+    }
+  }
+
+  /**
+   * First active zone containing a position, or null
+   */
+  static findZone(position, geofences) {
+    return geofences.find(zone =>
+      zone.is_active && isPointInPolygon(position.latitude, position.longitude, zone.polygon)
+    ) || null;
+  }
+
+  /**
+   * Subscribe to new pings
+   * @param {Function} callback - Called with the inserted position row
+   * @returns {Function} unsubscribe
+   */
+  static subscribeToPositions(callback) {
+    const channel = supabase
+      .channel('vehicle_positions_changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: this.POSITIONS_TABLE
+        },
+        (payload) => callback(payload.new)
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+}
+
+export default FleetPositionService;
@@ -0,0 +1,313 @@
+import { supabase } from '../lib/supabase';
+import FuelTransactionService from './FuelTransactionService';
+
+/**
+ * FuelEfficiencyService - L/100km per vehicle and per model, with anomalies
+ *
+ * Every vehicle refill or tank withdrawal is a fill. The fuel put in at a
+ * fill is taken as what the vehicle burned since its previous fill, and
+ * the distance between them comes from the odometer recorded with the
+ * fill or, failing that, the latest rental odometer reading before it.
+ */
+class FuelEfficiencyService {
+  constructor() {
+    this.vehiclesTable = 'saharax_0u4w4d_vehicles';
+    this.rentalsTable = 'app_4c3a7a6153_rentals';
+    this.templatesTable = 'vehicle_inspection_templates';
+  }
+
+  // An interval burning this many times its model average is flagged
+  HIGH_CONSUMPTION_FACTOR = 1.5;
+
+  // Shorter intervals are too noisy to judge consumption
+  MIN_INTERVAL_KM = 10;
+
+  ANOMALY_TYPES = {
+    over_capacity: { label: 'Over tank capacity', color: 'bg-red-100 text-red-800' },
+    high_consumption: { label: 'High consumption', color: 'bg-orange-100 text-orange-800' },
+    not_moved: { label: 'Vehicle not moved', color: 'bg-purple-100 text-purple-800' }
+  };
+
+  /**
+   * Load fills, odometer readings and tank sizes and analyse them
+   * @param {Object} filters - { startDate, endDate, vehicleId }
+   * @returns {Promise<{success: boolean, report?: object, error?: string}>}
+   */
+  async getEfficiencyReport(filters = {}) {
+    try {
+      const [transactionsResult, vehiclesResult, rentalsResult, templatesResult] = await Promise.all([
+        FuelTransactionService.getAllTransactions({ limit: 100000, offset: 0 }),
+        supabase
+          .from(this.vehiclesTable)
+          .select('id, name, plate_number, model, vehicle_model_id, vehicle_model:saharax_0u4w4d_vehicle_models(id, make, model)'),
+        supabase
+          .from(this.rentalsTable)
+          .select('id, rental_id, vehicle_id, rental_start_date, rental_end_date, start_odometer, ending_odometer')
+          .not('vehicle_id', 'is', null),
+        supabase
+          .from(this.templatesTable)
+          .select('vehicle_model_id, fuel_tank_liters')
+      ]);
+
+      if (!transactionsResult.success) {
+        return { success: false, error: transactionsResult.error };
+      }
+      if (vehiclesResult.error) {
+        return { success: false, error: vehiclesResult.error.message };
+      }
+      if (rentalsResult.error) {
+        console.warn('⚠️ FuelEfficiencyService: rentals unavailable, using fill odometers only:', rentalsResult.error.message);
+      }
+      if (templatesResult.error) {
+        console.warn('⚠️ FuelEfficiencyService: tank sizes unavailable:', templatesResult.error.message);
+      }
+
+      const report = this.analyze({
+        transactions: transactionsResult.transactions,
+        vehicles: vehiclesResult.data || [],
+        rentals: rentalsResult.data || [],
+        templates: templatesResult.data || [],
+        ...filters
+      });
+
+      return { success: true, report };
+    } catch (error) {
+      console.error('❌ Error building fuel efficiency report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pure analysis of already loaded data. Model averages use the whole
+   * history so a short period still has a stable baseline; figures and
+   * anomalies are reported for fills inside the period only.
+   * @returns {Object} { vehicles, models, anomalies }
+   */
+  analyze({ transactions, vehicles, rentals, templates, startDate = '', endDate = '', vehicleId = '' }) {
+    const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+    const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+    const per100 = (liters, km) => (km > 0 ? round((liters / km) * 100) : null);
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    if (end && endDate.length <= 10) end.setHours(23, 59, 59, 999);
+    const inPeriod = (date) => (!start || date >= start) && (!end || date <= end);
+
+    const tankSizes = {};
+    templates.forEach(template => {
+      tankSizes[template.vehicle_model_id] = toNumber(template.fuel_tank_liters);
+    });
+
+    const modelOf = (vehicle) => {
+      const model = vehicle.vehicle_model;
+      return {
+        key: vehicle.vehicle_model_id ? `model-${vehicle.vehicle_model_id}` : `name-${vehicle.model || 'unknown'}`,
+        name: model ? [model.make, model.model].filter(Boolean).join(' ') : (vehicle.model || 'Unknown model')
+      };
+    };
+
+    // Odometer readings and rental periods per vehicle
+    const readings = {};
+    const rentalPeriods = {};
+    rentals.forEach(rental => {
+      const key = String(rental.vehicle_id);
+      readings[key] = readings[key] || [];
+      rentalPeriods[key] = rentalPeriods[key] || [];
+      if (toNumber(rental.start_odometer) !== null && rental.rental_start_date) {
+        readings[key].push({ date: new Date(rental.rental_start_date), odometer: toNumber(rental.start_odometer) });
+      }
+      if (toNumber(rental.ending_odometer) !== null && rental.rental_end_date) {
+        readings[key].push({ date: new Date(rental.rental_end_date), odometer: toNumber(rental.ending_odometer) });
+      }
+      if (rental.rental_start_date) {
+        rentalPeriods[key].push({
+          start: new Date(rental.rental_start_date),
+          end: rental.rental_end_date ? new Date(rental.rental_end_date) : new Date()
+        });
+      }
+    });
+
+    // Fills per vehicle, oldest first
+    const fills = {};
+    transactions
+      .filter(transaction => transaction.vehicle_id && ['vehicle_refill', 'withdrawal'].includes(transaction.transaction_type))
+      .forEach(transaction => {
+        const key = String(transaction.vehicle_id);
+        const fill = {
+          transaction,
+          date: new Date(transaction.transaction_date),
+          liters: parseFloat(transaction.amount) || 0,
+          odometer: toNumber(transaction.odometer_reading)
+        };
+        (fills[key] = fills[key] || []).push(fill);
+        if (fill.odometer !== null) {
+          (readings[key] = readings[key] || []).push({ date: fill.date, odometer: fill.odometer });
+        }
+      });
+
+    const readingAt = (key, date) => {
+      const before = (readings[key] || []).filter(reading => reading.date <= date);
+      if (before.length === 0) return null;
+      return before.reduce((latest, reading) => (reading.date > latest.date ? reading : latest));
+    };
+
+    const rentedBetween = (key, from, to) => (rentalPeriods[key] || [])
+      .some(period => period.start <= to && period.end >= from);
+
+    // Intervals between successive fills
+    const vehicleById = {};
+    vehicles.forEach(vehicle => {
+      vehicleById[String(vehicle.id)] = vehicle;
+    });
+
+    const intervals = [];
+    Object.entries(fills).forEach(([key, vehicleFills]) => {
+      vehicleFills.sort((a, b) => a.date - b.date);
+      vehicleFills.forEach((fill, index) => {
+        const previous = vehicleFills[index - 1];
+        const reading = fill.odometer !== null ? { date: fill.date, odometer: fill.odometer } : readingAt(key, fill.date);
+        const previousReading = previous
+          ? (previous.odometer !== null ? { date: previous.date, odometer: previous.odometer } : readingAt(key, previous.date))
+          : null;
+        const odometer = reading?.odometer ?? null;
+        // A reading taken before the previous fill says nothing about the distance since
+        const km = previous && reading && previousReading && reading.date > previous.date && odometer >= previousReading.odometer
+          ? round(odometer - previousReading.odometer, 1)
+          : null;
+
+        intervals.push({
+          ...fill,
+          vehicleKey: key,
+          hasPrevious: Boolean(previous),
+          previousDate: previous?.date || null,
+          odometer,
+          km,
+          l_per_100km: km !== null && km >= this.MIN_INTERVAL_KM ? per100(fill.liters, km) : null
+        });
+      });
+    });
+
+    // Model baselines over the whole history
+    const baselines = {};
+    intervals.forEach(interval => {
+      const vehicle = vehicleById[interval.vehicleKey];
+      if (!vehicle || interval.l_per_100km === null) return;
+      const { key } = modelOf(vehicle);
+      const baseline = baselines[key] || (baselines[key] = { liters: 0, km: 0 });
+      baseline.liters += interval.liters;
+      baseline.km += interval.km;
+    });
+    const modelAverage = (key) => (baselines[key] ? per100(baselines[key].liters, baselines[key].km) : null);
+
+    // Flag and aggregate the fills of the period
+    const vehicleRows = {};
+    const modelRows = {};
+    const anomalies = [];
+
+    intervals
+      .filter(interval => inPeriod(interval.date))
+      .filter(interval => !vehicleId || interval.vehicleKey === String(vehicleId))
+      .forEach(interval => {
+        const vehicle = vehicleById[interval.vehicleKey] || { id: interval.vehicleKey, name: `Vehicle ${interval.vehicleKey}` };
+        const model = modelOf(vehicle);
+        const average = modelAverage(model.key);
+        const capacity = vehicle.vehicle_model_id ? tankSizes[vehicle.vehicle_model_id] ?? null : null;
+
+        const flags = [];
+        if (capacity && interval.liters > capacity) {
+          flags.push({ type: 'over_capacity', detail: `${interval.liters}L into a ${capacity}L tank` });
+        }
+        if (interval.l_per_100km !== null && average && interval.l_per_100km > average * this.HIGH_CONSUMPTION_FACTOR) {
+          flags.push({
+            type: 'high_consumption',
+            detail: `${interval.l_per_100km} L/100km vs ${average} L/100km for ${model.name}`
+          });
+        }
+        if (interval.hasPrevious && (interval.km === 0 || (interval.km === null
+          && !rentedBetween(interval.vehicleKey, interval.previousDate, interval.date)))) {
+          flags.push({
+            type: 'not_moved',
+            detail: interval.km === 0
+              ? `Odometer unchanged since the fill of ${interval.previousDate.toLocaleDateString('en-US')}`
+              : `No km recorded and no rental since the fill of ${interval.previousDate.toLocaleDateString('en-US')}`
+          });
+        }
+
+        const row = { ...interval, flags, model_average: average, tank_capacity: capacity };
+        flags.forEach(flag => anomalies.push({ ...flag, vehicle, fill: row }));
+
+        const vehicleRow = vehicleRows[interval.vehicleKey] || (vehicleRows[interval.vehicleKey] = {
+          vehicle,
+          model_key: model.key,
+          model_name: model.name,
+          model_average: average,
+          tank_capacity: capacity,
+          liters: 0,
+          measured_liters: 0,
+          km: 0,
+          fills: [],
+          monthly: {},
+          anomaly_count: 0
+        });
+        vehicleRow.liters += interval.liters;
+        vehicleRow.fills.push(row);
+        vehicleRow.anomaly_count += flags.length;
+        if (interval.l_per_100km !== null) {
+          vehicleRow.measured_liters += interval.liters;
+          vehicleRow.km += interval.km;
+          const month = interval.date.toISOString().slice(0, 7);
+          const monthRow = vehicleRow.monthly[month] || (vehicleRow.monthly[month] = { month, liters: 0, km: 0 });
+          monthRow.liters += interval.liters;
+          monthRow.km += interval.km;
+        }
+      });
+
+    const vehicleList = Object.values(vehicleRows).map(row => {
+      const l100 = per100(row.measured_liters, row.km);
+      return {
+        ...row,
+        liters: round(row.liters),
+        km: round(row.km, 1),
+        l_per_100km: l100,
+        vs_model_percent: l100 !== null && row.model_average ? round(((l100 - row.model_average) / row.model_average) * 100, 1) : null,
+        fills: row.fills.reverse(),
+        trend: Object.values(row.monthly)
+          .sort((a, b) => a.month.localeCompare(b.month))
+          .map(month => ({ month: month.month, km: round(month.km, 1), liters: round(month.liters), l_per_100km: per100(month.liters, month.km) }))
+      };
+    }).sort((a, b) => (b.l_per_100km ?? -1) - (a.l_per_100km ?? -1));
+
+    vehicleList.forEach(row => {
+      const modelRow = modelRows[row.model_key] || (modelRows[row.model_key] = {
+        key: row.model_key,
+        name: row.model_name,
+        vehicles: 0,
+        liters: 0,
+        measured_liters: 0,
+        km: 0,
+        anomaly_count: 0
+      });
+      modelRow.vehicles += 1;
+      modelRow.liters += row.liters;
+      modelRow.measured_liters += row.measured_liters;
+      modelRow.km += row.km;
+      modelRow.anomaly_count += row.anomaly_count;
+    });
+
+    const modelList = Object.values(modelRows).map(row => ({
+      ...row,
+      liters: round(row.liters),
+      km: round(row.km, 1),
+      l_per_100km: per100(row.measured_liters, row.km),
+      baseline_l_per_100km: modelAverage(row.key)
+    })).sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      vehicles: vehicleList,
+      models: modelList,
+      anomalies: anomalies.sort((a, b) => b.fill.date - a.fill.date)
+    };
+  }
+}
+
+export default new FuelEfficiencyService();
@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { toCSV } from '../utils/exportFormats';
+import { FUEL_TRANSACTION_COLUMNS } from '../utils/exportDatasets';
 
 class FuelTransactionService {
   constructor() {
@@ -7,8 +9,11 @@ class FuelTransactionService {
     this.vehicleFuelRefillsTable = 'vehicle_fuel_refills'; // Vehicle refills
     this.fuelWithdrawalsTable = 'fuel_withdrawals';
     this.vehiclesTable = 'saharax_0u4w4d_vehicles';
+    this.tanksTable = 'fuel_tanks';
+    this.tankLevelsView = 'fuel_tank_levels'; // Tanks with book level and last dip
+    this.dipReadingsTable = 'fuel_tank_dip_readings';
     
-    // Hard-coded tank settings (no database access needed)
+    // Fallback when no tank is defined in fuel_tanks
     this.defaultTankSettings = {
       id: 'default',
       name: 'Main Tank',
@@ -84,6 +89,286 @@ class FuelTransactionService {
     return this.defaultTankSettings;
   }
 
+  // Numeric columns arrive as strings
+  normalizeTank(tank) {
+    const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      ...tank,
+      capacity: toNumber(tank.capacity),
+      initial_volume: toNumber(tank.initial_volume),
+      low_level_percent: toNumber(tank.low_level_percent),
+      variance_tolerance_liters: toNumber(tank.variance_tolerance_liters),
+      variance_tolerance_percent: toNumber(tank.variance_tolerance_percent),
+      book_level: toNumber(tank.book_level),
+      last_dip_liters: toNumber(tank.last_dip_liters),
+      last_dip_variance: toNumber(tank.last_dip_variance)
+    };
+  }
+
+  /**
+   * Tanks with their book level and last dip reading, default tank first
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>}
+   */
+  async getTanks({ activeOnly = false } = {}) {
+    try {
+      let query = supabase
+        .from(this.tankLevelsView)
+        .select('*')
+        .order('is_default', { ascending: false })
+        .order('name');
+
+      if (activeOnly) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('❌ Error fetching fuel tanks:', error);
+        return [];
+      }
+
+      return (data || []).map(tank => this.normalizeTank(tank));
+    } catch (error) {
+      console.error('❌ Unexpected error fetching fuel tanks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update a tank
+   * @param {Object} tank - Tank fields, with id when updating
+   * @returns {Promise<{success: boolean, tank?: object, error?: string}>}
+   */
+  async saveTank(tank) {
+    try {
+      if (!tank.name?.trim()) {
+        return { success: false, error: 'Tank name is required' };
+      }
+      if (!(parseFloat(tank.capacity) > 0)) {
+        return { success: false, error: 'Capacity must be greater than 0' };
+      }
+
+      const tankData = {
+        name: tank.name.trim(),
+        site: tank.site?.trim() || null,
+        fuel_type: tank.fuel_type || 'gasoline',
+        capacity: parseFloat(tank.capacity),
+        initial_volume: parseFloat(tank.initial_volume) || 0,
+        low_level_percent: parseFloat(tank.low_level_percent) || 0,
+        variance_tolerance_liters: parseFloat(tank.variance_tolerance_liters) || 0,
+        variance_tolerance_percent: parseFloat(tank.variance_tolerance_percent) || 0,
+        active: tank.active !== false,
+        notes: tank.notes || null,
+        updated_at: new Date().toISOString()
+      };
+
+      const query = tank.id
+        ? supabase.from(this.tanksTable).update(tankData).eq('id', tank.id)
+        : supabase.from(this.tanksTable).insert([tankData]);
+
+      const { data, error } = await query.select('*').single();
+
+      if (error) {
+        console.error('❌ Error saving fuel tank:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, tank: this.normalizeTank(data) };
+    } catch (error) {
+      console.error('❌ Unexpected error saving fuel tank:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Dip readings, newest first
+   * @param {Object} options - { tankId, startDate, endDate, limit }
+   * @returns {Promise<Array>}
+   */
+  async getDipReadings({ tankId = '', startDate = '', endDate = '', limit = 500 } = {}) {
+    try {
+      let query = supabase
+        .from(this.dipReadingsTable)
+        .select(`*, tank:${this.tanksTable}(id, name, site, capacity)`)
+        .order('reading_at', { ascending: false })
+        .limit(limit);
+
+      if (tankId) {
+        query = query.eq('tank_id', tankId);
+      }
+      if (startDate) {
+        query = query.gte('reading_at', new Date(startDate).toISOString());
+      }
+      if (endDate) {
+        const endDateTime = new Date(endDate);
+        endDateTime.setHours(23, 59, 59, 999);
+        query = query.lte('reading_at', endDateTime.toISOString());
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('❌ Error fetching dip readings:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Unexpected error fetching dip readings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a manual dip reading. The book level, variance and tolerance
+   * are worked out by the database, which also raises or clears the
+   * tank's variance alert.
+   * @param {Object} reading - { tank_id, reading_at, measured_liters, recorded_by, notes }
+   * @returns {Promise<{success: boolean, reading?: object, error?: string}>}
+   */
+  async recordDipReading(reading) {
+    try {
+      if (!reading.tank_id) {
+        return { success: false, error: 'Select a tank' };
+      }
+
+      const measured = parseFloat(reading.measured_liters);
+      if (isNaN(measured) || measured < 0) {
+        return { success: false, error: 'Measured liters must be 0 or more' };
+      }
+
+      const { data, error } = await supabase
+        .from(this.dipReadingsTable)
+        .insert([{
+          tank_id: reading.tank_id,
+          reading_at: reading.reading_at ? new Date(reading.reading_at).toISOString() : new Date().toISOString(),
+          measured_liters: measured,
+          // Overwritten by the database trigger
+          book_liters: 0,
+          tolerance_liters: 0,
+          recorded_by: reading.recorded_by || null,
+          notes: reading.notes || null
+        }])
+        .select(`*, tank:${this.tanksTable}(id, name, site, capacity)`)
+        .single();
+
+      if (error) {
+        console.error('❌ Error recording dip reading:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, reading: data };
+    } catch (error) {
+      console.error('❌ Unexpected error recording dip reading:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteDipReading(id) {
+    try {
+      const { error } = await supabase
+        .from(this.dipReadingsTable)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('❌ Error deleting dip reading:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Unexpected error deleting dip reading:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Variance/loss report of dip readings. The variance of a reading is
+   * cumulative, so the loss of a period is the change in variance since
+   * the previous reading of the same tank.
+   * @param {Array} readings - Dip readings (any order)
+   * @returns {Object} { rows, tanks, readings, outOfTolerance, totalLoss, totalGain }
+   */
+  getVarianceReport(readings) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const previousVariance = {};
+
+    const rows = [...readings]
+      .sort((a, b) => new Date(a.reading_at) - new Date(b.reading_at))
+      .map(reading => {
+        const variance = parseFloat(reading.variance_liters) || 0;
+        const hasPrevious = reading.tank_id in previousVariance;
+        const periodChange = hasPrevious ? round(variance - previousVariance[reading.tank_id]) : variance;
+        previousVariance[reading.tank_id] = variance;
+
+        return {
+          ...reading,
+          measured_liters: parseFloat(reading.measured_liters),
+          book_liters: parseFloat(reading.book_liters),
+          variance_liters: variance,
+          tolerance_liters: parseFloat(reading.tolerance_liters),
+          variance_percent: parseFloat(reading.book_liters) > 0
+            ? round((variance / parseFloat(reading.book_liters)) * 100)
+            : null,
+          period_change: periodChange
+        };
+      })
+      .reverse();
+
+    const tanks = {};
+    rows.forEach(row => {
+      const entry = tanks[row.tank_id] || (tanks[row.tank_id] = {
+        tank_id: row.tank_id,
+        tank_name: row.tank?.name || '—',
+        readings: 0,
+        outOfTolerance: 0,
+        loss: 0,
+        gain: 0,
+        latestVariance: row.variance_liters
+      });
+      entry.readings += 1;
+      if (row.exceeds_tolerance) entry.outOfTolerance += 1;
+      if (row.period_change < 0) entry.loss = round(entry.loss - row.period_change);
+      if (row.period_change > 0) entry.gain = round(entry.gain + row.period_change);
+    });
+
+    const tankList = Object.values(tanks);
+    return {
+      rows,
+      tanks: tankList,
+      readings: rows.length,
+      outOfTolerance: rows.filter(row => row.exceeds_tolerance).length,
+      totalLoss: round(tankList.reduce((sum, tank) => sum + tank.loss, 0)),
+      totalGain: round(tankList.reduce((sum, tank) => sum + tank.gain, 0))
+    };
+  }
+
+  // Columns of the variance report export
+  getDipReadingExportColumns() {
+    return [
+      {
+        key: 'reading_at',
+        header: 'Date',
+        value: (row) => new Date(row.reading_at).toLocaleString('en-US', { timeZone: 'Africa/Casablanca' })
+      },
+      { key: 'tank', header: 'Tank', value: (row) => row.tank?.name || '' },
+      { key: 'site', header: 'Site', value: (row) => row.tank?.site || '' },
+      { key: 'measured_liters', header: 'Dip (L)' },
+      { key: 'book_liters', header: 'Book (L)' },
+      { key: 'variance_liters', header: 'Variance (L)' },
+      { key: 'variance_percent', header: 'Variance (%)', value: (row) => row.variance_percent ?? '' },
+      { key: 'period_change', header: 'Change Since Last Dip (L)' },
+      { key: 'tolerance_liters', header: 'Tolerance (L)' },
+      { key: 'exceeds_tolerance', header: 'Out of Tolerance', value: (row) => (row.exceeds_tolerance ? 'Yes' : 'No') },
+      { key: 'recorded_by', header: 'Recorded By' },
+      { key: 'notes', header: 'Notes' }
+    ];
+  }
+
   // Get tank refills from fuel_refills table (no vehicle_id)
   async getTankRefills() {
     try {
@@ -91,7 +376,7 @@ class FuelTransactionService {
       
       const { data: refillsData, error: refillsError } = await supabase
         .from(this.fuelRefillsTable)
-        .select('*')
+        .select(`*, tank:${this.tanksTable}(id, name)`)
         .order('refill_date', { ascending: false });
 
       if (refillsError) {
@@ -190,6 +475,10 @@ class FuelTransactionService {
             id,
             name,
             plate_number
+          ),
+          tank:${this.tanksTable} (
+            id,
+            name
           )
         `)
         .order('withdrawal_date', { ascending: false });
@@ -207,22 +496,23 @@ class FuelTransactionService {
     }
   }
 
-  // Unified method to get all fuel data (no database calls for tank data)
+  // Unified method to get all fuel data; tank is the default tank
   async getUnifiedFuelData() {
     try {
       console.log('🔄 Starting unified fuel data retrieval...');
       
-      // Get tank data synchronously (no database call)
-      const tankData = this.getFuelTankData();
-      
-      // Get refills and withdrawals from database
-      const [refills, withdrawals] = await Promise.all([
+      // Get tanks, refills and withdrawals from database
+      const [tanks, refills, withdrawals] = await Promise.all([
+        this.getTanks(),
         this.getAllRefills(),
         this.getAllWithdrawals()
       ]);
 
+      const tankData = tanks.find(tank => tank.is_default) || tanks[0] || this.getFuelTankData();
+
       const result = {
         tank: tankData,
+        tanks,
         refills: refills || [],
         withdrawals: withdrawals || []
       };
@@ -251,6 +541,7 @@ class FuelTransactionService {
       console.error('❌ Error getting unified fuel data:', error);
       return {
         tank: this.defaultTankSettings,
+        tanks: [],
         refills: [],
         withdrawals: []
       };
@@ -260,14 +551,19 @@ class FuelTransactionService {
   // Calculate current tank volume - only tank refills affect tank volume
   calculateCurrentVolume(tankData, refills, withdrawals) {
     const initialVolume = parseFloat(tankData?.initial_volume) || 0;
+
+    // Rows saved before tanks existed have no tank_id; the fallback tank takes everything
+    const allTanks = !tankData?.id || tankData.id === this.defaultTankSettings.id;
+    const belongsToTank = (row) => allTanks || !row.tank_id || row.tank_id === tankData.id;
     
     // Sum ONLY tank refills (transaction_type === 'tank_refill')
     const tankRefillsTotal = refills
-      .filter(refill => refill.transaction_type === 'tank_refill')
+      .filter(refill => refill.transaction_type === 'tank_refill' && belongsToTank(refill))
       .reduce((sum, refill) => sum + (parseFloat(refill.liters_added) || 0), 0);
 
-    // Sum all withdrawals (they come from tank)
+    // Sum the withdrawals taken from this tank
     const withdrawalsTotal = withdrawals
+      .filter(belongsToTank)
       .reduce((sum, withdrawal) => sum + (parseFloat(withdrawal.liters_taken) || 0), 0);
 
     const currentVolume = initialVolume + tankRefillsTotal - withdrawalsTotal;
@@ -322,10 +618,13 @@ class FuelTransactionService {
         filled_by: refill.refilled_by || refill.filled_by || '', // Support both field names
         created_by: refill.refilled_by || refill.filled_by || '', // Add created_by for ownership check
         vehicle_id: refill.vehicle_id,
+        tank_id: refill.tank_id || null,
+        tank: refill.tank || null,
         saharax_0u4w4d_vehicles: refill.saharax_0u4w4d_vehicles || null,
         created_at: refill.created_at,
         source_table: refill.transaction_type === 'tank_refill' ? 'fuel_refills' : 'vehicle_fuel_refills',
-        invoice_image: refill.invoice_image || null
+        invoice_image: refill.invoice_image || null,
+        paid_from_till: !!refill.paid_from_till
       }));
 
       // Convert withdrawals to unified transaction format
@@ -337,13 +636,15 @@ class FuelTransactionService {
         amount: parseFloat(withdrawal.liters_taken) || 0,
         cost: 0, // Withdrawals don't have cost
         unit_price: 0,
-        fuel_station: 'Main Tank',
+        fuel_station: withdrawal.tank?.name || 'Main Tank',
         location: '',
         odometer_reading: withdrawal.odometer_reading || null,
         notes: withdrawal.notes || '',
         filled_by: withdrawal.filled_by || '',
         created_by: withdrawal.filled_by || '', // Add created_by for ownership check
         vehicle_id: withdrawal.vehicle_id,
+        tank_id: withdrawal.tank_id || null,
+        tank: withdrawal.tank || null,
         saharax_0u4w4d_vehicles: withdrawal.vehicle || null,
         created_at: withdrawal.created_at,
         source_table: 'fuel_withdrawals',
@@ -435,6 +736,83 @@ class FuelTransactionService {
     }
   }
 
+  /**
+   * Totals for the analytics screens. Amounts are litres put into
+   * vehicles (vehicle refills and tank withdrawals); costs are fuel
+   * purchases (tank and vehicle refills).
+   * @param {Object} filters - { startDate, endDate, vehicleId }
+   * @returns {Promise<{success: boolean, analytics?: object, error?: string}>}
+   */
+  async getAnalytics(filters = {}) {
+    try {
+      const result = await this.getAllTransactions({
+        startDate: filters.startDate || '',
+        endDate: filters.endDate || '',
+        limit: 100000,
+        offset: 0
+      });
+
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const transactions = filters.vehicleId
+        ? result.transactions.filter(transaction => String(transaction.vehicle_id) === String(filters.vehicleId))
+        : result.transactions;
+
+      const analytics = {
+        totalTransactions: transactions.length,
+        totalRefills: 0,
+        totalWithdrawals: 0,
+        totalFuelAmount: 0,
+        totalCost: 0,
+        avgCostPerLiter: 0,
+        monthlyTrends: {},
+        fuelByType: {},
+        fuelByVehicle: {}
+      };
+      let purchasedLiters = 0;
+
+      transactions.forEach(transaction => {
+        const isPurchase = transaction.transaction_type !== 'withdrawal';
+        const intoVehicle = Boolean(transaction.vehicle_id) && transaction.transaction_type !== 'tank_refill';
+        const amount = intoVehicle ? transaction.amount : 0;
+        const cost = isPurchase ? transaction.cost : 0;
+
+        if (isPurchase) {
+          analytics.totalRefills += 1;
+          purchasedLiters += transaction.amount;
+        } else {
+          analytics.totalWithdrawals += 1;
+        }
+        analytics.totalFuelAmount += amount;
+        analytics.totalCost += cost;
+
+        const month = (transaction.transaction_date || '').slice(0, 7);
+        const buckets = [
+          [analytics.monthlyTrends, month],
+          [analytics.fuelByType, transaction.fuel_type || 'gasoline']
+        ];
+        if (intoVehicle) {
+          buckets.push([analytics.fuelByVehicle, String(transaction.vehicle_id)]);
+        }
+        buckets.forEach(([group, key]) => {
+          const bucket = group[key] || (group[key] = { amount: 0, cost: 0, count: 0 });
+          bucket.amount += amount;
+          bucket.cost += cost;
+          bucket.count += 1;
+        });
+      });
+
+      analytics.avgCostPerLiter = purchasedLiters > 0 ? analytics.totalCost / purchasedLiters : 0;
+
+      return { success: true, analytics };
+    } catch (error) {
+      console.error('❌ Error building fuel analytics:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Calculate cost with data repair logic
   calculateCost(refill) {
     // If total_cost exists, use it
@@ -483,7 +861,8 @@ class FuelTransactionService {
           withdrawal_date: transactionData.transaction_date,
           odometer_reading: transactionData.odometer_reading ? parseInt(transactionData.odometer_reading) : null,
           filled_by: transactionData.filled_by || 'System',
-          notes: transactionData.notes || null
+          notes: transactionData.notes || null,
+          tank_id: transactionData.tank_id || null // Default tank when not chosen
         };
 
         console.log('💾 Inserting withdrawal:', withdrawalData);
@@ -522,7 +901,9 @@ class FuelTransactionService {
           location: transactionData.location || '',
           refilled_by: transactionData.filled_by || 'System',
           notes: transactionData.notes || null,
-          invoice_image: transactionData.invoice_image || null
+          invoice_image: transactionData.invoice_image || null,
+          paid_from_till: !!transactionData.paid_from_till,
+          tank_id: transactionData.tank_id || null // Default tank when not chosen
         };
 
         console.log('💾 Inserting tank refill:', refillData);
@@ -556,7 +937,8 @@ class FuelTransactionService {
           odometer_reading: transactionData.odometer_reading ? parseInt(transactionData.odometer_reading) : null,
           refilled_by: transactionData.filled_by || 'System',
           notes: transactionData.notes || null,
-          invoice_image: transactionData.invoice_image || null
+          invoice_image: transactionData.invoice_image || null,
+          paid_from_till: !!transactionData.paid_from_till
         };
 
         console.log('💾 Inserting vehicle refill:', vehicleRefillData);
@@ -611,7 +993,8 @@ class FuelTransactionService {
           withdrawal_date: transactionData.transaction_date,
           odometer_reading: transactionData.odometer_reading ? parseInt(transactionData.odometer_reading) : null,
           filled_by: transactionData.filled_by || 'System',
-          notes: transactionData.notes || null
+          notes: transactionData.notes || null,
+          tank_id: transactionData.tank_id || null // Default tank when not chosen
         };
 
         console.log('💾 Updating withdrawal:', withdrawalData);
@@ -651,7 +1034,9 @@ class FuelTransactionService {
           location: transactionData.location || '',
           refilled_by: transactionData.filled_by || 'System',
           notes: transactionData.notes || null,
-          invoice_image: transactionData.invoice_image || null
+          invoice_image: transactionData.invoice_image || null,
+          paid_from_till: !!transactionData.paid_from_till,
+          tank_id: transactionData.tank_id || null // Default tank when not chosen
         };
 
         console.log('💾 Updating tank refill:', refillData);
@@ -686,7 +1071,8 @@ class FuelTransactionService {
           odometer_reading: transactionData.odometer_reading ? parseInt(transactionData.odometer_reading) : null,
           refilled_by: transactionData.filled_by || 'System',
           notes: transactionData.notes || null,
-          invoice_image: transactionData.invoice_image || null
+          invoice_image: transactionData.invoice_image || null,
+          paid_from_till: !!transactionData.paid_from_till
         };
 
         console.log('💾 Updating vehicle refill:', vehicleRefillData);
@@ -776,6 +1162,11 @@ class FuelTransactionService {
     }
   }
 
+  // Column definitions shared by the CSV button and the Export module
+  getExportColumns() {
+    return FUEL_TRANSACTION_COLUMNS;
+  }
+
   // Export transactions to CSV
   async exportToCSV(filters = {}) {
     try {
@@ -789,52 +1180,7 @@ class FuelTransactionService {
         return { success: false, error: result.error };
       }
 
-      const transactions = result.transactions;
-      
-      const headers = [
-        'Date',
-        'Type',
-        'Vehicle',
-        'Plate Number',
-        'Amount (L)',
-        'Cost (MAD)',
-        'Cost per Liter (MAD)',
-        'Fuel Station',
-        'Location',
-        'Odometer Reading (km)',
-        'Filled By',
-        'Notes'
-      ];
-
-      const rows = transactions.map(transaction => {
-        const vehicleInfo = transaction.saharax_0u4w4d_vehicles || {};
-        const typeLabel = this.getTransactionTypeLabel(transaction.transaction_type);
-        const costPerLiter = transaction.amount > 0 && transaction.cost > 0 
-          ? (transaction.cost / transaction.amount).toFixed(2)
-          : '';
-
-        return [
-          new Date(transaction.transaction_date).toLocaleDateString('en-US', { 
-            timeZone: 'Africa/Casablanca' 
-          }),
-          typeLabel,
-          vehicleInfo.name || '—',
-          vehicleInfo.plate_number || '—',
-          transaction.amount || '',
-          transaction.cost || '',
-          costPerLiter,
-          transaction.fuel_station || '',
-          transaction.location || '',
-          transaction.odometer_reading || '',
-          transaction.filled_by || '',
-          transaction.notes || ''
-        ];
-      });
-
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(field => `"${field}"`).join(','))
-      ].join('\n');
+      const csvContent = toCSV(this.getExportColumns(), result.transactions);
 
       const timestamp = new Date().toISOString().split('T')[0];
       const filename = `fuel_transactions_${timestamp}.csv`;
@@ -6,6 +6,9 @@ class InventoryService {
     this.movementsTable = 'saharax_0u4w4d_inventory_movements';
     this.purchasesTable = 'saharax_0u4w4d_inventory_purchases';
     this.purchaseLinesTable = 'saharax_0u4w4d_inventory_purchase_lines';
+    this.locationsTable = 'inventory_locations';
+    this.stockLevelsTable = 'inventory_stock_levels';
+    this.workingLocationKey = 'saharax_inventory_location';
   }
 
   sanitizeItemData(itemData) {
@@ -27,6 +30,11 @@ class InventoryService {
       }
     });
     
+    // Empty costing method follows the inventory default
+    if (sanitized.costing_method === '') sanitized.costing_method = null;
+    if (sanitized.preferred_supplier_id === '') sanitized.preferred_supplier_id = null;
+    if (sanitized.barcode === '') sanitized.barcode = null;
+
     console.log('🔍 SANITIZED ITEM DATA:', sanitized);
     return sanitized;
   }
@@ -40,7 +48,7 @@ class InventoryService {
 
       if (filters.category) query = query.eq('category', filters.category);
       if (filters.active !== undefined) query = query.eq('active', filters.active);
-      if (filters.searchTerm) query = query.or(`name.ilike.%${filters.searchTerm}%,sku.ilike.%${filters.searchTerm}%`);
+      if (filters.searchTerm) query = query.or(`name.ilike.%${filters.searchTerm}%,sku.ilike.%${filters.searchTerm}%,barcode.ilike.%${filters.searchTerm}%`);
 
       const { data, error } = await query;
       if (error) throw error;
@@ -70,65 +78,85 @@ class InventoryService {
   async getInventoryItems(filters = {}) { return this.getItems(filters); }
   async getInventoryItemById(id) { return this.getItemById(id); }
 
+  /**
+   * Apply a stock movement on the server. The item row is locked while the
+   * movement is applied, issues are costed from the item's cost layers
+   * (FIFO) or its running average, and issues beyond the stock on hand are
+   * refused unless negative stock is allowed in the inventory settings.
+   * Without a location_id the movement is booked at the default location.
+   * @param {Object} movementData - { item_id, quantity, movement_type, reference_type, reference_id, notes, unit_cost, location_id }
+   * @returns {Promise<Object>} { movement, updatedItem, previousStock, newStock, unitCost, totalCost, locationStock }
+   */
   async createMovement(movementData) {
-    try {
-      console.log('🔍 INVENTORY: Creating movement:', movementData);
-      const { item_id, quantity, movement_type, reference_type, reference_id, notes, unit_cost } = movementData;
-      
-      const currentItem = await this.getItemById(item_id);
-      if (!currentItem) throw new Error(`Item with ID ${item_id} not found`);
-      
-      const currentStock = currentItem.stock_on_hand || 0;
-      console.log(`🔍 STOCK: Current stock for item ${item_id}: ${currentStock}`);
-      
-      let newStock;
-      if (movement_type === 'in') {
-        newStock = currentStock + quantity;
-      } else if (movement_type === 'out') {
-        newStock = currentStock - quantity;
-        if (newStock < 0) console.warn(`⚠️ WARNING: Stock will go negative for item ${item_id}: ${newStock}`);
-      } else {
-        throw new Error(`Invalid movement type: ${movement_type}`);
-      }
-      
-      const itemUnitCost = unit_cost || currentItem.cost_mad || 0;
-      
-      const { data: movement, error: movementError } = await supabase
-        .from(this.movementsTable)
-        .insert({
-          item_id: parseInt(item_id),
-          quantity: quantity,
-          unit_cost: itemUnitCost,
-          movement_type: movement_type,
-          reference_type: reference_type || null,
-          reference_id: reference_id || null,
-          notes: notes || '',
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+    const { item_id, quantity, movement_type, reference_type, reference_id, notes, unit_cost, location_id } = movementData;
+
+    const { data, error } = await supabase.rpc('apply_inventory_movement', {
+      p_item_id: parseInt(item_id, 10),
+      p_movement_type: movement_type,
+      p_quantity: Math.abs(parseFloat(quantity)),
+      p_unit_cost: movement_type === 'in' && unit_cost ? parseFloat(unit_cost) : null,
+      p_reference_type: reference_type || null,
+      p_reference_id: reference_id ? String(reference_id) : null,
+      p_notes: notes || '',
+      p_location_id: location_id || null
+    });
 
-      if (movementError) throw movementError;
-      console.log('✅ Movement record created:', movement);
-      
-      const { data: updatedItem, error: updateError } = await supabase
-        .from(this.itemsTable)
-        .update({
-          stock_on_hand: newStock,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', item_id)
-        .select()
-        .single();
-      
-      if (updateError) throw updateError;
-      console.log(`✅ STOCK UPDATED: Item ${item_id} stock changed from ${currentStock} to ${newStock}`);
-      
-      return { movement, updatedItem, previousStock: currentStock, newStock: newStock };
-    } catch (error) {
-      console.error('❌ CRITICAL ERROR in createMovement:', error);
-      throw error;
+    if (error) {
+      console.error('❌ Error applying stock movement:', error);
+      throw new Error(`Failed to apply stock movement: ${error.message}`);
     }
+
+    return {
+      movement: data.movement,
+      updatedItem: data.item,
+      previousStock: data.previous_stock,
+      newStock: data.new_stock,
+      unitCost: data.unit_cost,
+      totalCost: data.total_cost,
+      locationStock: data.location_stock
+    };
+  }
+
+  /**
+   * Movement entered by hand on the stock movements page; adjustment types
+   * are recorded as plain in/out movements with an 'adjustment' reference
+   * @returns {Promise<Object>} Movement row with its item
+   */
+  async createStockMovement(formData) {
+    const isAdjustment = formData.movement_type?.startsWith('adjustment_');
+    const { movement, updatedItem } = await this.createMovement({
+      item_id: formData.item_id,
+      quantity: formData.quantity,
+      unit_cost: formData.unit_cost,
+      location_id: formData.location_id,
+      movement_type: isAdjustment ? formData.movement_type.replace('adjustment_', '') : formData.movement_type,
+      reference_type: isAdjustment ? 'adjustment' : null,
+      notes: [formData.reference && `Ref: ${formData.reference}`, formData.notes].filter(Boolean).join(' - ')
+    });
+
+    return { ...movement, item: { id: updatedItem.id, name: updatedItem.name, sku: updatedItem.sku } };
+  }
+
+  /**
+   * Move stock between locations as a linked out/in pair. Values and item
+   * totals are unchanged; the source location can never go negative.
+   * @returns {Promise<Object>} { transfer_id, out_movement, in_movement }
+   */
+  async transferStock({ item_id, from_location_id, to_location_id, quantity, notes }) {
+    const { data, error } = await supabase.rpc('transfer_inventory_stock', {
+      p_item_id: parseInt(item_id, 10),
+      p_from_location_id: from_location_id,
+      p_to_location_id: to_location_id,
+      p_quantity: Math.abs(parseFloat(quantity)),
+      p_notes: notes || null
+    });
+
+    if (error) {
+      console.error('❌ Error transferring stock:', error);
+      throw new Error(`Failed to transfer stock: ${error.message}`);
+    }
+
+    return data;
   }
 
   async getMovementsByItem(itemId) {
@@ -150,10 +178,11 @@ class InventoryService {
     try {
       let query = supabase
         .from(this.movementsTable)
-        .select(`*, item:${this.itemsTable}(id, name, sku)`)
+        .select(`*, item:${this.itemsTable}(id, name, sku, unit), location:${this.locationsTable}(id, name)`)
         .order('created_at', { ascending: false });
 
       if (filters.itemId) query = query.eq('item_id', filters.itemId);
+      if (filters.locationId) query = query.eq('location_id', filters.locationId);
       if (filters.movementType) query = query.eq('movement_type', filters.movementType);
       if (filters.dateFrom) query = query.gte('created_at', filters.dateFrom);
       if (filters.dateTo) query = query.lte('created_at', filters.dateTo);
@@ -167,15 +196,32 @@ class InventoryService {
     }
   }
 
+  /**
+   * New items start empty; a starting stock is received as an opening
+   * adjustment at the item's cost so it gets a cost layer
+   */
   async createItem(itemData) {
     try {
-      const sanitizedData = this.sanitizeItemData(itemData);
+      const { stock_on_hand: openingStock, ...sanitizedData } = this.sanitizeItemData(itemData);
       const { data, error } = await supabase
         .from(this.itemsTable)
         .insert({ ...sanitizedData, created_at: new Date().toISOString(), updated_at: new Date().toISOString() })
         .select()
         .single();
       if (error) throw error;
+
+      if (openingStock > 0) {
+        const { updatedItem } = await this.createMovement({
+          item_id: data.id,
+          quantity: openingStock,
+          unit_cost: data.cost_mad,
+          movement_type: 'in',
+          reference_type: 'adjustment',
+          notes: 'Opening stock'
+        });
+        return updatedItem;
+      }
+
       return data;
     } catch (error) {
       console.error('Error creating item:', error);
@@ -183,9 +229,12 @@ class InventoryService {
     }
   }
 
+  /**
+   * Stock and valuation columns are left out: they only change through movements
+   */
   async updateItem(id, itemData) {
     try {
-      const sanitizedData = this.sanitizeItemData(itemData);
+      const { stock_on_hand, stock_value, average_cost, ...sanitizedData } = this.sanitizeItemData(itemData);
       const { data, error } = await supabase
         .from(this.itemsTable)
         .update({ ...sanitizedData, updated_at: new Date().toISOString() })
@@ -236,6 +285,7 @@ class InventoryService {
         quantity: Math.abs(qty),
         unit_cost: unitCost,
         movement_type: movementType,
+        reference_type: 'adjustment',
         notes: reason || `Stock adjustment`
       });
     } catch (error) {
@@ -244,24 +294,118 @@ class InventoryService {
     }
   }
 
-  async getLowStockItems() {
+  /**
+   * Items at or below their reorder level, one entry per item and location.
+   * A location's own reorder level wins; the item's reorder level applies at
+   * the default location. stock_on_hand and reorder_level on each entry are
+   * the location's.
+   * @param {string} [locationId] - Only this location
+   */
+  async getLowStockItems(locationId = null) {
     try {
-      const { data, error } = await supabase
-        .from(this.itemsTable)
-        .select('*')
-        .eq('active', true)
-        .order('name', { ascending: true });
+      let query = supabase
+        .from(this.stockLevelsTable)
+        .select(`quantity, reorder_level, location:${this.locationsTable}!inner(id, name, is_default, active), item:${this.itemsTable}!inner(*)`)
+        .eq('item.active', true)
+        .eq('location.active', true);
+
+      if (locationId) query = query.eq('location_id', locationId);
+
+      const { data, error } = await query;
       if (error) throw error;
-      return (data || []).filter(item => (item.stock_on_hand || 0) < (item.reorder_level || 0) && (item.reorder_level || 0) > 0);
+      return (data || [])
+        .map(level => ({
+          ...level.item,
+          stock_on_hand: parseFloat(level.quantity) || 0,
+          reorder_level: level.reorder_level !== null
+            ? parseFloat(level.reorder_level)
+            : (level.location.is_default ? level.item.reorder_level || 0 : 0),
+          location_id: level.location.id,
+          location_name: level.location.name
+        }))
+        .filter(entry => entry.reorder_level > 0 && entry.stock_on_hand <= entry.reorder_level)
+        .sort((a, b) => a.name.localeCompare(b.name));
     } catch (error) {
       console.error('Error getting low stock items:', error);
       return [];
     }
   }
 
+  // ========== LOCATIONS ==========
+
+  async getLocations({ activeOnly = true } = {}) {
+    let query = supabase
+      .from(this.locationsTable)
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('name');
+
+    if (activeOnly) query = query.eq('active', true);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load stock locations: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * The location this device works from (where parts are issued and
+   * counted); falls back to the default location
+   * @param {Array} locations - Result of getLocations()
+   * @returns {string|null} Location id
+   */
+  getWorkingLocationId(locations = []) {
+    const saved = localStorage.getItem(this.workingLocationKey);
+    if (saved && locations.some(location => location.id === saved)) return saved;
+    return locations.find(location => location.is_default)?.id || locations[0]?.id || null;
+  }
+
+  setWorkingLocationId(locationId) {
+    if (locationId) {
+      localStorage.setItem(this.workingLocationKey, locationId);
+    } else {
+      localStorage.removeItem(this.workingLocationKey);
+    }
+  }
+
+  /**
+   * Quantities per item at a location, keyed by item id
+   * @param {string} locationId
+   * @returns {Promise<Object>} { [itemId]: { quantity, reorder_level } }
+   */
+  async getStockLevels(locationId) {
+    const { data, error } = await supabase
+      .from(this.stockLevelsTable)
+      .select('item_id, quantity, reorder_level')
+      .eq('location_id', locationId);
+
+    if (error) {
+      throw new Error(`Failed to load stock levels: ${error.message}`);
+    }
+
+    return (data || []).reduce((levels, level) => {
+      levels[level.item_id] = { quantity: parseFloat(level.quantity) || 0, reorder_level: level.reorder_level };
+      return levels;
+    }, {});
+  }
+
+  async setLocationReorderLevel(itemId, locationId, reorderLevel) {
+    const { error } = await supabase
+      .from(this.stockLevelsTable)
+      .update({ reorder_level: reorderLevel === '' || reorderLevel === null ? null : parseFloat(reorderLevel) })
+      .eq('item_id', itemId)
+      .eq('location_id', locationId);
+
+    if (error) {
+      throw new Error(`Failed to set reorder level: ${error.message}`);
+    }
+  }
+
   // FIXED: A comprehensive dashboard data fetcher
   async getDashboardStats(filters = {}) {
     try {
+        const { locationId, ...itemFilters } = filters;
         const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
         // Fetch all data in parallel
@@ -271,24 +415,21 @@ class InventoryService {
             recentMovements,
             recentPurchases
         ] = await Promise.all([
-            this.getItems({ active: true, ...filters }),
-            this.getLowStockItems(),
-            this.getStockMovements({ dateFrom: thirtyDaysAgo }),
+            this.getItems({ active: true, ...itemFilters }),
+            this.getLowStockItems(locationId),
+            this.getStockMovements({ dateFrom: thirtyDaysAgo, locationId }),
             this.getPurchases({ dateFrom: thirtyDaysAgo })
         ]);
 
         const stats = {
             totalItems: items.length,
+            items,
             lowStockCount: lowStockItems.length,
             lowStockItems: lowStockItems.slice(0, 5), // Return top 5 for the dashboard widget
             recentMovements: recentMovements || [],
             recentPurchases: recentPurchases || [],
             outOfStockCount: items.filter(item => (item.stock_on_hand || 0) === 0).length,
-            totalValue: items.reduce((sum, item) => {
-                const stock = item.stock_on_hand || 0;
-                const cost = item.cost_mad || 0;
-                return sum + (stock * cost);
-            }, 0)
+            totalValue: items.reduce((sum, item) => sum + (parseFloat(item.stock_value) || 0), 0)
         };
 
         return stats;
@@ -296,6 +437,7 @@ class InventoryService {
         console.error('Error getting dashboard stats:', error);
         return {
             totalItems: 0,
+            items: [],
             lowStockCount: 0,
             lowStockItems: [],
             recentMovements: [],
@@ -308,27 +450,67 @@ class InventoryService {
 
   async getDashboardData(filters = {}) { return this.getDashboardStats(filters); }
 
+  /**
+   * Issue parts to a maintenance record at the cost of the stock consumed.
+   * The record's part list becomes partsUsed: parts already on it are only
+   * issued for the extra quantity, and parts dropped from the list go back
+   * to stock. Parts are drawn from the maintenance record's location.
+   * @param {Array} partsUsed - [{ item_id, quantity }]
+   * @param {string} maintenanceId - Maintenance record UUID
+   * @returns {Promise<Array>} Maintenance part rows with their unit_cost_mad
+   */
   async consumePartsForMaintenance(partsUsed, maintenanceId) {
-    try {
-      console.log('🔧 CONSUMING PARTS FOR MAINTENANCE:', maintenanceId, partsUsed);
-      const results = [];
-      for (const part of partsUsed) {
-        const { item_id, quantity, notes } = part;
-        const result = await this.createMovement({
-          item_id: item_id,
-          quantity: Math.abs(quantity),
-          movement_type: 'out',
-          reference_type: 'maintenance',
-          reference_id: maintenanceId,
-          notes: notes || `Used in maintenance #${maintenanceId}`
-        });
-        results.push(result);
-      }
-      return results;
-    } catch (error) {
+    const { data, error } = await supabase.rpc('set_maintenance_parts', {
+      p_maintenance_id: maintenanceId,
+      p_parts: (partsUsed || []).map(part => ({
+        item_id: parseInt(part.item_id, 10),
+        quantity: Math.abs(parseFloat(part.quantity))
+      }))
+    });
+
+    if (error) {
       console.error('❌ ERROR consuming parts for maintenance:', error);
-      throw error;
+      throw new Error(`Failed to consume parts for maintenance: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  // ========== SETTINGS ==========
+
+  async getSettings() {
+    const { data, error } = await supabase
+      .from('inventory_settings')
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load inventory settings: ${error.message}`);
     }
+
+    return data || { allow_negative_stock: false, default_costing_method: 'fifo' };
+  }
+
+  /**
+   * @param {Object} settings - { allow_negative_stock, default_costing_method }
+   */
+  async updateSettings(settings) {
+    const { data, error } = await supabase
+      .from('inventory_settings')
+      .upsert({
+        id: true,
+        allow_negative_stock: !!settings.allow_negative_stock,
+        default_costing_method: settings.default_costing_method,
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save inventory settings: ${error.message}`);
+    }
+
+    return data;
   }
 
   async getPurchases(filters = {}) {
@@ -0,0 +1,249 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * InvoiceService - invoices, credit notes and debit notes (invoices table)
+ *
+ * The database works out each document's lines, tax and total, gives it its
+ * number from a gapless yearly series and copies the company identifiers
+ * onto it; once issued a document never changes. A mistake is corrected with
+ * a credit or debit note that references the invoice. The PDF is stored
+ * once, with its SHA-256, in the private issued-invoices bucket.
+ */
+
+export const DOCUMENT_TYPES = {
+  invoice: 'Invoice',
+  credit_note: 'Credit note',
+  debit_note: 'Debit note'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const line = (description, amount) => ({
+  description,
+  quantity: 1,
+  unit_price: round2(amount),
+  amount: round2(amount)
+});
+
+class InvoiceService {
+  static INVOICES_TABLE = 'invoices';
+  static STORAGE_BUCKET = 'issued-invoices';
+  static SIGNED_URL_TTL_SECONDS = 60;
+
+  /**
+   * Invoice and notes of a booking, oldest first
+   * @param {{rentalId?: string, tourBookingId?: string}} target
+   * @returns {Promise<Array>}
+   */
+  static async getDocuments({ rentalId, tourBookingId }) {
+    const { data, error } = await supabase
+      .from(this.INVOICES_TABLE)
+      .select('*')
+      .eq(rentalId ? 'rental_id' : 'tour_booking_id', rentalId || tourBookingId)
+      .order('issued_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load invoices: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * What an invoice charges once its notes are applied
+   * @param {Object} invoice
+   * @param {Array} documents - All documents of the booking
+   * @returns {number}
+   */
+  static adjustedTotal(invoice, documents) {
+    return round2(documents.reduce((total, document) => {
+      if (document.original_invoice_id !== invoice.id) return total;
+      const amount = Number(document.total) || 0;
+      return document.document_type === 'credit_note' ? total - amount : total + amount;
+    }, Number(invoice.total) || 0));
+  }
+
+  /**
+   * Lines and tax breakdown an invoice for the booking would have
+   * @param {{rental?: Object, tourBooking?: Object}} booking
+   * @returns {Promise<{lines: Array, subtotal: number, taxRate: number, taxAmount: number, total: number}>}
+   */
+  static async prepareInvoice({ rental = null, tourBooking = null }) {
+    const { data, error } = await supabase.rpc('preview_invoice', {
+      p_rental_id: rental?.id || null,
+      p_tour_booking_id: tourBooking?.id || null
+    });
+
+    if (error) {
+      throw new Error(`Failed to prepare invoice: ${error.message}`);
+    }
+    return {
+      lines: data.lines || [],
+      subtotal: Number(data.subtotal) || 0,
+      taxRate: Number(data.tax_rate) || 0,
+      taxAmount: Number(data.tax_amount) || 0,
+      total: Number(data.total) || 0
+    };
+  }
+
+  /**
+   * Issue the invoice of a booking
+   * @param {Object} params
+   * @param {Object} [params.rental]
+   * @param {Object} [params.tourBooking]
+   * @param {Object} [params.customer] - Extra buyer details for business customers
+   * @param {string} [params.customer.address]
+   * @param {string} [params.customer.ice]
+   * @returns {Promise<Object>} The invoice with its number
+   */
+  static async issueInvoice({ rental = null, tourBooking = null, customer = {} }) {
+    const booking = rental || tourBooking;
+    if (!booking?.id) {
+      throw new Error('A rental or a tour booking is required');
+    }
+
+    const customerIce = customer.ice?.trim() || null;
+    if (customerIce && !/^\d{15}$/.test(customerIce)) {
+      throw new Error('Customer ICE must be 15 digits');
+    }
+
+    // Lines, tax and total come from the booking, in the database
+    return this.insertDocument({
+      document_type: 'invoice',
+      rental_id: rental?.id || null,
+      tour_booking_id: tourBooking?.id || null,
+      customer_name: booking.customer_name || 'Customer',
+      customer_address: customer.address?.trim() || null,
+      customer_ice: customerIce,
+      customer_email: booking.customer_email || null,
+      customer_phone: booking.customer_phone || null
+    });
+  }
+
+  /**
+   * Issue a credit or debit note on an invoice, taxed at the invoice's rate
+   * @param {Object} params
+   * @param {Object} params.original - The invoice being corrected
+   * @param {'credit_note'|'debit_note'} params.type
+   * @param {string} params.description
+   * @param {number} params.amount - Before tax
+   * @param {string} params.reason
+   * @returns {Promise<Object>} The note with its number
+   */
+  static async issueNote({ original, type, description, amount, reason }) {
+    const value = round2(Number(amount));
+
+    if (original?.document_type !== 'invoice') {
+      throw new Error('Notes can only be issued on an invoice');
+    }
+    if (!['credit_note', 'debit_note'].includes(type)) {
+      throw new Error('Choose a credit note or a debit note');
+    }
+    if (!(value > 0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+    if (!reason?.trim()) {
+      throw new Error('A reason is required');
+    }
+
+    return this.insertDocument({
+      document_type: type,
+      original_invoice_id: original.id,
+      reason: reason.trim(),
+      customer_name: original.customer_name,
+      customer_address: original.customer_address,
+      customer_ice: original.customer_ice,
+      customer_email: original.customer_email,
+      customer_phone: original.customer_phone,
+      // Tax and total are worked out by the database
+      lines: [line(description?.trim() || `${DOCUMENT_TYPES[type]} on ${original.invoice_number}`, value)],
+      subtotal: value
+    });
+  }
+
+  static async insertDocument(document) {
+    const { data, error } = await supabase
+      .from(this.INVOICES_TABLE)
+      .insert(document)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('This booking has already been invoiced; issue a credit or debit note instead');
+      }
+      throw new Error(`Failed to issue ${DOCUMENT_TYPES[document.document_type].toLowerCase()}: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Store a document's PDF. Only possible once; the stored file is never replaced.
+   * @param {Object} document
+   * @param {Blob} pdfBlob
+   * @returns {Promise<Object>} The document with pdf_path and pdf_sha256
+   */
+  static async attachPdf(document, pdfBlob) {
+    if (document.pdf_path) {
+      throw new Error(`${document.invoice_number} already has its PDF`);
+    }
+
+    const path = `${document.fiscal_year}/${document.invoice_number}.pdf`;
+    let storedBlob = pdfBlob;
+
+    const { error: uploadError } = await supabase.storage
+      .from(this.STORAGE_BUCKET)
+      .upload(path, pdfBlob, { contentType: 'application/pdf', upsert: false });
+
+    if (uploadError) {
+      if (!/exists|duplicate/i.test(uploadError.message)) {
+        throw new Error(`Failed to store ${document.invoice_number}: ${uploadError.message}`);
+      }
+      // An earlier attempt stored the file but did not attach it: keep that file
+      const { data: existing, error: downloadError } = await supabase.storage
+        .from(this.STORAGE_BUCKET)
+        .download(path);
+      if (downloadError) {
+        throw new Error(`Failed to read ${document.invoice_number}: ${downloadError.message}`);
+      }
+      storedBlob = existing;
+    }
+
+    const hash = await crypto.subtle.digest('SHA-256', await storedBlob.arrayBuffer());
+    const sha256 = Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+    const { data, error } = await supabase
+      .from(this.INVOICES_TABLE)
+      .update({ pdf_path: path, pdf_sha256: sha256 })
+      .eq('id', document.id)
+      .is('pdf_path', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to attach ${document.invoice_number}: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Short-lived link to a stored document
+   * @param {Object} document
+   * @returns {Promise<string>}
+   */
+  static async getPdfUrl(document) {
+    if (!document.pdf_path) {
+      throw new Error(`${document.invoice_number} has no stored PDF`);
+    }
+
+    const { data, error } = await supabase.storage
+      .from(this.STORAGE_BUCKET)
+      .createSignedUrl(document.pdf_path, this.SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      throw new Error(`Failed to open ${document.invoice_number}: ${error.message}`);
+    }
+    return data.signedUrl;
+  }
+}
+
+export default InvoiceService;
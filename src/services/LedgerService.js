@@ -0,0 +1,282 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * LedgerService - Double-entry ledger access
+ *
+ * Operational tables (rentals, fuel refills, maintenance, parts and stock
+ * movements) post balanced entries through database triggers; this service
+ * reads the ledger, maintains the chart of accounts and posts manual
+ * journal entries. See src/migrations/finance_ledger.sql.
+ */
+class LedgerService {
+  static ACCOUNTS_TABLE = 'chart_of_accounts';
+  static LINES_VIEW = 'finance_ledger_lines';
+  static PAGE_SIZE = 1000;
+
+  static ACCOUNT_TYPES = {
+    asset: 'Asset',
+    liability: 'Liability',
+    equity: 'Equity',
+    revenue: 'Revenue',
+    expense: 'Expense'
+  };
+
+  // Dashboard figure each account rolls into, by account type
+  static REPORT_GROUPS = {
+    asset: { cash: 'Cash', receivable: 'Receivables', inventory: 'Inventory', fixed_asset: 'Fixed assets' },
+    liability: { deposits: 'Deposits held', payable: 'Payables', tax: 'Taxes payable' },
+    equity: { equity: 'Equity' },
+    revenue: { revenue: 'Revenue' },
+    expense: { fuel: 'Fuel', maintenance: 'Maintenance', parts: 'Parts & inventory', other_expense: 'Other expenses', tax: 'Taxes' }
+  };
+
+  // Debit-normal accounts show debit − credit as their balance
+  static isDebitNormal(accountType) {
+    return accountType === 'asset' || accountType === 'expense';
+  }
+
+  // ---------- Chart of accounts ----------
+
+  static async getAccounts({ includeInactive = true } = {}) {
+    let query = supabase
+      .from(this.ACCOUNTS_TABLE)
+      .select('*')
+      .order('code', { ascending: true });
+
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load chart of accounts: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update an account. The code of an existing account is not
+   * changed here; journal lines reference it.
+   * @param {Object} account - { code, name, account_type, report_group, parent_code, description, is_active }
+   * @param {boolean} isNew
+   */
+  static async saveAccount(account, isNew) {
+    const code = String(account.code || '').trim();
+    if (!/^[0-9A-Za-z.-]{1,20}$/.test(code)) {
+      throw new Error('Account code must be 1-20 letters, digits, dots or dashes');
+    }
+    if (!account.name?.trim()) {
+      throw new Error('Account name is required');
+    }
+    if (!this.ACCOUNT_TYPES[account.account_type]) {
+      throw new Error('Choose an account type');
+    }
+    if (account.report_group && !this.REPORT_GROUPS[account.account_type][account.report_group]) {
+      throw new Error('Report group does not match the account type');
+    }
+
+    const row = {
+      name: account.name.trim(),
+      account_type: account.account_type,
+      report_group: account.report_group || null,
+      parent_code: account.parent_code || null,
+      description: account.description || null,
+      is_active: account.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = isNew
+      ? supabase.from(this.ACCOUNTS_TABLE).insert({ ...row, code })
+      : supabase.from(this.ACCOUNTS_TABLE).update(row).eq('code', code);
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`Account ${code} already exists`);
+      }
+      throw new Error(`Failed to save account: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Delete an account that has never been posted to. Used accounts and
+   * the accounts automatic postings rely on can only be deactivated.
+   */
+  static async deleteAccount(account) {
+    if (account.is_system) {
+      throw new Error('System accounts cannot be deleted; deactivate or rename them instead');
+    }
+
+    const { count, error: countError } = await supabase
+      .from('finance_journal_lines')
+      .select('id', { count: 'exact', head: true })
+      .eq('account_code', account.code);
+
+    if (countError) {
+      throw new Error(`Failed to check account usage: ${countError.message}`);
+    }
+    if (count > 0) {
+      throw new Error(`Account ${account.code} has ${count} journal lines; deactivate it instead`);
+    }
+
+    const { error } = await supabase
+      .from(this.ACCOUNTS_TABLE)
+      .delete()
+      .eq('code', account.code);
+
+    if (error) {
+      throw new Error(`Failed to delete account: ${error.message}`);
+    }
+  }
+
+  // ---------- Reading the ledger ----------
+
+  /**
+   * Ledger lines with their entry date and account classification
+   * @param {Object} [filters]
+   * @param {string} [filters.startDate] - YYYY-MM-DD inclusive
+   * @param {string} [filters.endDate] - YYYY-MM-DD inclusive
+   * @param {Array<string|number>} [filters.vehicleIds]
+   * @param {Array<string|number>} [filters.rentalIds] - null for all lines
+   * @param {Array<string>} [filters.reportGroups]
+   * @returns {Promise<Array>}
+   */
+  static async getLines({ startDate, endDate, vehicleIds = [], rentalIds = null, reportGroups = [] } = {}) {
+    if (Array.isArray(rentalIds)) {
+      // Keep the id lists short enough for the request URL
+      const lines = [];
+      for (let i = 0; i < rentalIds.length; i += 100) {
+        lines.push(...await this.fetchLines({ startDate, endDate, vehicleIds, rentalIds: rentalIds.slice(i, i + 100), reportGroups }));
+      }
+      return lines;
+    }
+    return this.fetchLines({ startDate, endDate, vehicleIds, rentalIds, reportGroups });
+  }
+
+  static async fetchLines({ startDate, endDate, vehicleIds, rentalIds, reportGroups }) {
+    const lines = [];
+    for (let offset = 0; ; offset += this.PAGE_SIZE) {
+      let query = supabase
+        .from(this.LINES_VIEW)
+        .select('*')
+        .order('entry_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + this.PAGE_SIZE - 1);
+
+      if (startDate) query = query.gte('entry_date', startDate);
+      if (endDate) query = query.lte('entry_date', endDate);
+      if (vehicleIds.length > 0) query = query.in('vehicle_id', vehicleIds.map(String));
+      if (rentalIds) query = query.in('rental_id', rentalIds.map(String));
+      if (reportGroups.length > 0) query = query.in('report_group', reportGroups);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load ledger: ${error.message}`);
+      }
+
+      lines.push(...(data || []));
+      if (!data || data.length < this.PAGE_SIZE) break;
+    }
+
+    return lines.map(line => ({
+      ...line,
+      debit_amount: Number(line.debit_amount) || 0,
+      credit_amount: Number(line.credit_amount) || 0
+    }));
+  }
+
+  /**
+   * Signed amount of a line for P&L purposes: revenue positive on credit,
+   * everything else positive on debit
+   */
+  static lineAmount(line) {
+    return line.account_type === 'revenue' || line.account_type === 'liability' || line.account_type === 'equity'
+      ? line.credit_amount - line.debit_amount
+      : line.debit_amount - line.credit_amount;
+  }
+
+  /**
+   * Trial balance as of a date
+   * @param {string} [asOf] - YYYY-MM-DD, defaults to all entries
+   * @returns {Promise<{ rows: Array, totalDebit: number, totalCredit: number, isBalanced: boolean }>}
+   */
+  static async getTrialBalance(asOf = null) {
+    const { data, error } = await supabase.rpc('get_trial_balance', { p_as_of: asOf });
+
+    if (error) {
+      throw new Error(`Failed to load trial balance: ${error.message}`);
+    }
+
+    const rows = (data || []).map(row => {
+      const balance = Number(row.balance) || 0;
+      return {
+        ...row,
+        total_debit: Number(row.total_debit) || 0,
+        total_credit: Number(row.total_credit) || 0,
+        debit_balance: balance > 0 ? balance : 0,
+        credit_balance: balance < 0 ? -balance : 0
+      };
+    });
+
+    const totalDebit = rows.reduce((sum, row) => sum + row.debit_balance, 0);
+    const totalCredit = rows.reduce((sum, row) => sum + row.credit_balance, 0);
+
+    return {
+      rows,
+      totalDebit,
+      totalCredit,
+      isBalanced: Math.abs(totalDebit - totalCredit) < 0.005
+    };
+  }
+
+  // ---------- Posting ----------
+
+  /**
+   * Post a manual journal entry
+   * @param {Object} entry
+   * @param {string} entry.entryDate - YYYY-MM-DD
+   * @param {string} entry.description
+   * @param {Array} entry.lines - [{ account_code, debit_amount, credit_amount, description, metadata }]
+   * @returns {Promise<string>} Entry id
+   */
+  static async postManualEntry({ entryDate, description, lines }) {
+    const debits = lines.reduce((sum, line) => sum + (Number(line.debit_amount) || 0), 0);
+    const credits = lines.reduce((sum, line) => sum + (Number(line.credit_amount) || 0), 0);
+
+    if (Math.abs(debits - credits) >= 0.005) {
+      throw new Error(`Entry is not balanced: debits ${debits.toFixed(2)}, credits ${credits.toFixed(2)}`);
+    }
+
+    const { data, error } = await supabase.rpc('post_journal_entry', {
+      p_entry_date: entryDate,
+      p_description: description,
+      p_lines: lines,
+      p_reference_type: 'manual',
+      p_reference_id: null,
+      p_source: 'manual'
+    });
+
+    if (error) {
+      throw new Error(`Failed to post journal entry: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Re-run the automatic postings over all source records; only
+   * differences are posted
+   * @returns {Promise<number>} Entries created
+   */
+  static async resync() {
+    const { data, error } = await supabase.rpc('ledger_resync_all');
+
+    if (error) {
+      throw new Error(`Failed to resync ledger: ${error.message}`);
+    }
+    return data || 0;
+  }
+}
+
+export default LedgerService;
@@ -1,6 +1,30 @@
 import { supabase } from '../lib/supabase';
 
 export default class OverageCalculationService {
+  /**
+   * Kilometer overage of a rental from its recorded odometer readings and package
+   * @param {Object} rental - Rental row (start_odometer, ending_odometer, total_kilometers_driven,
+   *   included_kilometers, extra_km_rate_applied)
+   * @returns {{ totalDistance: number, includedKilometers: number, extraKilometers: number, extraKmRate: number, overageCharge: number }}
+   */
+  static getOverageBreakdown(rental) {
+    const recordedDistance = parseFloat(rental?.total_kilometers_driven);
+    const totalDistance = !isNaN(recordedDistance)
+      ? recordedDistance
+      : Math.max(parseFloat(rental?.ending_odometer || 0) - parseFloat(rental?.start_odometer || 0), 0);
+    const includedKilometers = parseFloat(rental?.included_kilometers || 0);
+    const extraKmRate = parseFloat(rental?.extra_km_rate_applied || 0);
+    const extraKilometers = includedKilometers > 0 ? Math.max(totalDistance - includedKilometers, 0) : 0;
+
+    return {
+      totalDistance,
+      includedKilometers,
+      extraKilometers,
+      extraKmRate,
+      overageCharge: extraKilometers * extraKmRate
+    };
+  }
+
   /**
    * Automatically assign the appropriate kilometer package to a rental
    * @param {string} rentalId - The rental ID
@@ -0,0 +1,246 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * PaymentLedgerService - payments, refunds and reversals on rentals and tour bookings
+ *
+ * Each entry is immutable and gets its receipt number from the database
+ * (payment_transactions). What a booking has paid and still owes is always
+ * worked out from its entries; the booking's own payment columns are a
+ * copy the database keeps in step.
+ */
+
+export const PAYMENT_TENDERS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  damage_deposit: 'Damage deposit',
+  other: 'Other'
+};
+
+// Tenders staff can pick; the others are recorded by the database
+export const COLLECTABLE_TENDERS = ['cash', 'card', 'bank_transfer'];
+
+export const PAYMENT_CURRENCIES = ['MAD', 'EUR', 'USD'];
+
+export const TRANSACTION_TYPES = {
+  payment: 'Payment',
+  refund: 'Refund',
+  reversal: 'Reversal'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PaymentLedgerService {
+  static TRANSACTIONS_TABLE = 'payment_transactions';
+  static BALANCES_VIEW = 'payment_balances';
+
+  static targetColumn({ rentalId, tourBookingId }) {
+    if (rentalId) return ['rental_id', rentalId];
+    if (tourBookingId) return ['tour_booking_id', tourBookingId];
+    throw new Error('A rental or a tour booking is required');
+  }
+
+  /**
+   * Entries of a booking, oldest first
+   * @param {{rentalId?: string, tourBookingId?: string}} target
+   * @returns {Promise<Array>}
+   */
+  static async getTransactions(target) {
+    const [column, id] = this.targetColumn(target);
+    const { data, error } = await supabase
+      .from(this.TRANSACTIONS_TABLE)
+      .select('*')
+      .eq(column, id)
+      .order('collected_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load payments: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Amount due, paid, refunded and balance of a booking
+   * @param {{rentalId?: string, tourBookingId?: string}} target
+   * @returns {Promise<{amountDue: number, paid: number, refunded: number, netPaid: number, balanceDue: number}>}
+   */
+  static async getBalance(target) {
+    const [column, id] = this.targetColumn(target);
+    const { data, error } = await supabase
+      .from(this.BALANCES_VIEW)
+      .select('*')
+      .eq(column, id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load balance: ${error.message}`);
+    }
+    return {
+      amountDue: Number(data?.amount_due) || 0,
+      paid: Number(data?.paid) || 0,
+      refunded: Number(data?.refunded) || 0,
+      netPaid: Number(data?.net_paid) || 0,
+      balanceDue: Number(data?.balance_due) || 0
+    };
+  }
+
+  /**
+   * Paid and refunded totals of a list of entries
+   * @param {Array} transactions
+   * @returns {{paid: number, refunded: number, netPaid: number}}
+   */
+  static summarize(transactions = []) {
+    return transactions.reduce((totals, transaction) => {
+      const amount = Number(transaction.amount_mad) || 0;
+      if (transaction.transaction_type === 'refund') {
+        totals.refunded = round2(totals.refunded - amount);
+      } else {
+        totals.paid = round2(totals.paid + amount);
+      }
+      totals.netPaid = round2(totals.netPaid + amount);
+      return totals;
+    }, { paid: 0, refunded: 0, netPaid: 0 });
+  }
+
+  /**
+   * MAD equivalent of an amount
+   * @param {number} amount
+   * @param {number} exchangeRate
+   * @returns {number}
+   */
+  static toMad(amount, exchangeRate = 1) {
+    return round2((Number(amount) || 0) * (Number(exchangeRate) || 0));
+  }
+
+  /**
+   * Rate used on the last entry in a currency, to pre-fill the next one
+   * @param {string} currency
+   * @returns {Promise<number|null>}
+   */
+  static async getLastExchangeRate(currency) {
+    if (currency === 'MAD') return 1;
+
+    const { data, error } = await supabase
+      .from(this.TRANSACTIONS_TABLE)
+      .select('exchange_rate')
+      .eq('currency', currency)
+      .order('collected_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load exchange rate: ${error.message}`);
+    }
+    return data ? Number(data.exchange_rate) : null;
+  }
+
+  /**
+   * Record money received or given back
+   * @param {Object} entry
+   * @param {string} [entry.rentalId]
+   * @param {string} [entry.tourBookingId]
+   * @param {'payment'|'refund'} entry.type
+   * @param {string} entry.tender - One of COLLECTABLE_TENDERS
+   * @param {string} [entry.currency]
+   * @param {number} entry.amount - In currency
+   * @param {number} [entry.exchangeRate] - MAD per unit of currency
+   * @param {string} [entry.reference] - Card slip or transfer reference
+   * @param {string} [entry.notes]
+   * @param {number} [entry.balanceDue] - Payments above it are refused
+   * @returns {Promise<Object>} The entry with its receipt number
+   */
+  static async record({
+    rentalId = null,
+    tourBookingId = null,
+    type,
+    tender,
+    currency = 'MAD',
+    amount,
+    exchangeRate = 1,
+    reference = null,
+    notes = null,
+    balanceDue = null
+  }) {
+    const [column, id] = this.targetColumn({ rentalId, tourBookingId });
+    const value = Number(amount);
+    const rate = currency === 'MAD' ? 1 : Number(exchangeRate);
+
+    if (!TRANSACTION_TYPES[type] || type === 'reversal') {
+      throw new Error('Use reverse() to correct an entry');
+    }
+    if (!COLLECTABLE_TENDERS.includes(tender)) {
+      throw new Error('Choose cash, card or bank transfer');
+    }
+    if (!(value > 0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+    if (currency !== 'MAD' && tender !== 'cash') {
+      throw new Error('Foreign currency is only accepted in cash');
+    }
+    if (!(rate > 0)) {
+      throw new Error(`Enter the ${currency} exchange rate`);
+    }
+    if (type === 'payment' && balanceDue !== null && this.toMad(value, rate) > round2(balanceDue) + 0.01) {
+      throw new Error(`Payment is more than the ${round2(balanceDue).toFixed(2)} MAD balance due`);
+    }
+
+    const { data, error } = await supabase
+      .from(this.TRANSACTIONS_TABLE)
+      .insert({
+        [column]: id,
+        transaction_type: type,
+        tender,
+        currency,
+        amount: round2(value),
+        exchange_rate: rate,
+        reference: reference?.trim() || null,
+        notes: notes?.trim() || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record ${type}: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Cancel an entry made in error with a reversal entry
+   * @param {Object} transaction - The payment to reverse
+   * @param {string} reason
+   * @returns {Promise<Object>} The reversal entry
+   */
+  static async reverse(transaction, reason) {
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to reverse a payment');
+    }
+
+    const { data, error } = await supabase
+      .from(this.TRANSACTIONS_TABLE)
+      .insert({
+        rental_id: transaction.rental_id,
+        tour_booking_id: transaction.tour_booking_id,
+        transaction_type: 'reversal',
+        reverses_id: transaction.id,
+        // Copied from the original by the database
+        tender: transaction.tender,
+        currency: transaction.currency,
+        amount: transaction.amount,
+        exchange_rate: transaction.exchange_rate,
+        notes: reason.trim()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`${transaction.receipt_number} has already been reversed`);
+      }
+      throw new Error(`Failed to reverse payment: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+export default PaymentLedgerService;
@@ -0,0 +1,183 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * PermissionService - module permissions stored in the database
+ *
+ * A permission is a module (dashboard, rentals, finance, ...) plus an
+ * action. Roles have defaults; a user can be granted or denied single
+ * permissions on top of their role. The database decides: the same
+ * check that answers here guards the module tables, so changing what
+ * the browser shows never widens what a user can reach.
+ */
+
+export const PERMISSION_ACTIONS = {
+  view: 'View',
+  create: 'Create',
+  edit: 'Edit',
+  delete: 'Delete',
+  report: 'Report'
+};
+
+export const PERMISSION_ROLES = ['admin', 'employee', 'guide', 'customer'];
+
+class PermissionService {
+  static MODULES_TABLE = 'permission_modules';
+  static ROLE_TABLE = 'role_permissions';
+  static LOG_TABLE = 'permission_change_log';
+
+  /**
+   * Modules in menu order
+   * @returns {Promise<Array<{key: string, label: string, sort_order: number}>>}
+   */
+  static async getModules() {
+    const { data, error } = await supabase
+      .from(this.MODULES_TABLE)
+      .select('*')
+      .order('sort_order');
+
+    if (error) {
+      throw new Error(`Failed to load modules: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Role of the signed-in user, from the staff users table ('customer'
+   * when they have no staff account)
+   * @returns {Promise<string>}
+   */
+  static async getMyRole() {
+    const { data, error } = await supabase.rpc('my_permission_role');
+    if (error) {
+      throw new Error(`Failed to load role: ${error.message}`);
+    }
+    return data || 'customer';
+  }
+
+  /**
+   * Effective permissions of the signed-in user
+   * @returns {Promise<Array<{module_key: string, label: string, action: string, allowed: boolean}>>}
+   */
+  static async getMyPermissions() {
+    const { data, error } = await supabase.rpc('my_module_permissions');
+    if (error) {
+      throw new Error(`Failed to load permissions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Effective permissions of a user, with the role default and override
+   * behind each one
+   * @param {string} userId
+   * @returns {Promise<Array<{module_key: string, label: string, action: string, role_allowed: boolean, override: 'grant'|'deny'|null, allowed: boolean}>>}
+   */
+  static async getUserPermissions(userId) {
+    const { data, error } = await supabase.rpc('user_module_permissions', { p_user_id: userId });
+    if (error) {
+      throw new Error(`Failed to load user permissions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Grant or deny one permission, or go back to the role default
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} params.module - Module key
+   * @param {keyof PERMISSION_ACTIONS} params.action
+   * @param {'grant'|'deny'|null} params.effect - null restores the role default
+   * @param {string} [params.reason]
+   * @returns {Promise<void>}
+   */
+  static async setUserPermission({ userId, module, action, effect, reason }) {
+    if (!PERMISSION_ACTIONS[action]) {
+      throw new Error(`Unknown permission action ${action}`);
+    }
+
+    const { error } = await supabase.rpc('set_user_permission', {
+      p_user_id: userId,
+      p_module: module,
+      p_action: action,
+      p_effect: effect || null,
+      p_reason: reason || null
+    });
+    if (error) {
+      throw new Error(`Failed to update permission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove all of a user's grants and denies
+   * @param {string} userId
+   * @returns {Promise<number>} Number of overrides removed
+   */
+  static async resetUserPermissions(userId) {
+    const { data, error } = await supabase.rpc('reset_user_permissions', { p_user_id: userId });
+    if (error) {
+      throw new Error(`Failed to reset permissions: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Role defaults
+   * @param {string} [role] - Only this role
+   * @returns {Promise<Array<{role: string, module_key: string, action: string}>>}
+   */
+  static async getRolePermissions(role) {
+    let query = supabase.from(this.ROLE_TABLE).select('*');
+    if (role) query = query.eq('role', role);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load role permissions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Owner only: change a role default
+   * @param {string} role - One of PERMISSION_ROLES
+   * @param {string} module - Module key
+   * @param {keyof PERMISSION_ACTIONS} action
+   * @param {boolean} allowed
+   * @returns {Promise<void>}
+   */
+  static async setRolePermission(role, module, action, allowed) {
+    const { error } = await supabase.rpc('set_role_permission', {
+      p_role: role,
+      p_module: module,
+      p_action: action,
+      p_allowed: allowed
+    });
+    if (error) {
+      throw new Error(`Failed to update role permission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permission changes, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.userId]
+   * @param {number} [filters.limit]
+   * @returns {Promise<Array>}
+   */
+  static async getChangeLog({ userId, limit = 100 } = {}) {
+    let query = supabase
+      .from(this.LOG_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load permission log: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+export default PermissionService;
@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase';
 import VehicleModelService from './VehicleModelService';
+import RentalQuoteService from './RentalQuoteService';
 
 export class PricingRulesService {
   /**
@@ -130,58 +131,27 @@ export class PricingRulesService {
   }
 
   /**
-   * Calculate rental price - FIXED: Updated to use correct table name
+   * Calculate rental price with the rental pricing engine
+   * @returns {Promise<{price: number, breakdown: string[], quote: Object|null}>}
    */
-  static async calculatePrice(vehicleModelId, startDate, endDate, rentalType = 'daily') {
+  static async calculatePrice(vehicleModelId, startDate, endDate, rentalType = 'daily', options = {}) {
     try {
-      // Get vehicle model info
-      const vehicleModel = await VehicleModelService.getById(vehicleModelId);
-      if (!vehicleModel) {
-        throw new Error('Vehicle model not found');
-      }
-
-      // Get pricing rules for this vehicle model using the vehicle_model_id field
-      const { data: rules, error } = await supabase
-        .from('saharax_0u4w4d_pricing_simple')
-        .select('*')
-        .eq('vehicle_model_id', vehicleModelId)
-        .eq('is_active', true);
-
-      if (error) {
-        console.error('Error fetching pricing rules:', error);
-        return { price: 0, breakdown: [] };
-      }
-
-      if (!rules || rules.length === 0) {
-        return { price: 0, breakdown: ['No pricing rules found'] };
-      }
-
-      // Simple calculation - use the first active rule
-      const rule = rules.find(r => r.duration_type === rentalType) || rules[0];
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      const diffTime = Math.abs(end - start);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-      let price = 0;
-      const breakdown = [];
-
-      if (rentalType === 'daily' && rule.price) {
-        price = rule.price * diffDays;
-        breakdown.push(`${diffDays} days × ${rule.price} MAD = ${price} MAD`);
-      } else if (rentalType === 'hourly' && rule.price) {
-        const diffHours = Math.ceil(diffTime / (1000 * 60 * 60));
-        price = rule.price * diffHours;
-        breakdown.push(`${diffHours} hours × ${rule.price} MAD = ${price} MAD`);
-      } else {
-        price = rule.price * diffDays; // fallback to daily
-        breakdown.push(`${diffDays} days × ${rule.price} MAD = ${price} MAD (fallback)`);
-      }
+      const quote = await RentalQuoteService.getQuote({
+        ...options,
+        vehicleModelId,
+        rentalType,
+        startAt: new Date(startDate),
+        endAt: new Date(endDate)
+      });
 
-      return { price, breakdown };
+      return {
+        price: quote.total,
+        breakdown: quote.lines.map(line => `${line.label}: ${line.amount} MAD`),
+        quote
+      };
     } catch (error) {
       console.error('Error calculating price:', error);
-      return { price: 0, breakdown: ['Error calculating price'] };
+      return { price: 0, breakdown: ['Error calculating price'], quote: null };
     }
   }
 }
@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabase';
+import RentalQuoteService from './RentalQuoteService';
 
 export class PricingService {
   constructor() {
@@ -259,40 +260,37 @@ export class PricingService {
   // DYNAMIC PRICING CALCULATIONS - FIXED SCHEMA
   // ============================================================================
 
+  // Priced by the rental pricing engine (RentalQuoteService.getQuote)
   async calculateDynamicPrice(vehicleId, startDate, endDate, location = 'Default') {
     try {
-      console.log('🧮 Calculating dynamic price...');
-      
-      // Get base price
-      const basePrice = await this.getBasePriceForVehicle(vehicleId, location);
-      if (!basePrice) {
-        throw new Error('Base price not found for vehicle');
+      const { data: vehicle, error } = await supabase
+        .from('saharax_0u4w4d_vehicles')
+        .select('id, vehicle_model_id, vehicle_type')
+        .eq('id', vehicleId)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to fetch vehicle: ${error.message}`);
       }
 
-      // Calculate rental duration
-      const days = this.calculateDays(startDate, endDate);
-      
-      // Apply seasonal multiplier
-      const seasonalMultiplier = this.getSeasonalMultiplier(startDate);
-      
-      // Apply duration discount
-      const durationMultiplier = this.getDurationMultiplier(days);
-      
-      // Calculate final price
-      const finalPrice = basePrice * days * seasonalMultiplier * durationMultiplier;
-
-      const pricing = {
-        basePrice,
-        days,
-        seasonalMultiplier,
-        durationMultiplier,
-        subtotal: basePrice * days,
-        finalPrice: Math.round(finalPrice * 100) / 100,
-        currency: 'MAD'
-      };
+      const quote = await RentalQuoteService.getQuote({
+        vehicleModelId: vehicle.vehicle_model_id,
+        vehicleId: vehicle.id,
+        vehicleType: vehicle.vehicle_type,
+        rentalType: 'daily',
+        startAt: new Date(startDate),
+        endAt: new Date(endDate)
+      });
 
-      console.log('✅ Dynamic price calculated:', pricing);
-      return pricing;
+      return {
+        basePrice: quote.unitPrice,
+        days: quote.quantity,
+        subtotal: quote.subtotal,
+        finalPrice: quote.total,
+        currency: quote.currency,
+        lines: quote.lines,
+        quote
+      };
 
     } catch (error) {
       console.error('❌ Error calculating dynamic price:', error);
@@ -405,23 +403,6 @@ export class PricingService {
     return Math.max(1, diffDays); // Minimum 1 day
   }
 
-  getSeasonalMultiplier(date) {
-    const month = new Date(date).getMonth() + 1;
-    // High season: June-September
-    if (month >= 6 && month <= 9) return 1.2;
-    // Medium season: April-May, October-November
-    if ((month >= 4 && month <= 5) || (month >= 10 && month <= 11)) return 1.1;
-    // Low season: December-March
-    return 1.0;
-  }
-
-  getDurationMultiplier(days) {
-    if (days >= 30) return 0.8; // 20% discount for monthly
-    if (days >= 7) return 0.9;  // 10% discount for weekly
-    if (days >= 3) return 0.95; // 5% discount for 3+ days
-    return 1.0; // No discount for short rentals
-  }
-
   formatPrice(amount, currency = 'MAD') {
     return new Intl.NumberFormat('en-US', {
       style: 'decimal',
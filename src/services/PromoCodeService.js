@@ -0,0 +1,237 @@
+import { supabase } from '../lib/supabase';
+import { TBL } from '../config/tables.js';
+
+/**
+ * PromoCodeService - promo codes, their eligibility and the redemption ledger
+ *
+ * validateCode is what the quote uses to accept or reject a code with a
+ * reason; redeem records the use once the rental or tour booking exists
+ * and re-checks the caps under a lock (redeem_promo_code), working out
+ * the discount from the stored booking rather than from the browser.
+ */
+
+export const PROMO_CHANNELS = {
+  staff: 'Staff rentals',
+  customer_portal: 'Customer portal',
+  tour: 'Tours'
+};
+
+export const PROMO_STACKING = {
+  combine: 'Combine with duration and customer discounts',
+  best: 'Best of code or other discounts',
+  exclusive: 'Replaces other discounts'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PromoCodeService {
+  static PROMOS_TABLE = `${TBL.PRICING}_promos`;
+  static REDEMPTIONS_TABLE = 'promo_redemptions';
+
+  /**
+   * Discount a promo gives on an amount
+   * @param {Object} promo
+   * @param {number} amount
+   * @returns {number}
+   */
+  static calculateDiscount(promo, amount) {
+    const value = Number(promo?.discount_value) || 0;
+    if (!promo || amount <= 0) {
+      return 0;
+    }
+    if (promo.discount_type === 'percent') {
+      return round2(amount * Math.min(value, 100) / 100);
+    }
+    return round2(Math.min(value, amount));
+  }
+
+  /**
+   * All promo codes, newest first
+   * @returns {Promise<Array>}
+   */
+  static async getPromoCodes() {
+    const { data, error } = await supabase
+      .from(this.PROMOS_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch promo codes: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update a promo code
+   * @param {Object} promo - Includes id when updating
+   * @returns {Promise<Object>}
+   */
+  static async savePromoCode(promo) {
+    const { id, created_at, updated_at, ...fields } = promo;
+    const payload = {
+      ...fields,
+      code: (fields.code || '').trim().toUpperCase(),
+      campaign: fields.campaign?.trim() || null,
+      vehicle_model_ids: fields.vehicle_model_ids || [],
+      channels: fields.channels || []
+    };
+
+    if (!payload.code) {
+      throw new Error('Promo code is required');
+    }
+    if (payload.valid_from && payload.valid_until && new Date(payload.valid_until) < new Date(payload.valid_from)) {
+      throw new Error('Valid until must be after valid from');
+    }
+
+    const query = id
+      ? supabase.from(this.PROMOS_TABLE).update(payload).eq('id', id)
+      : supabase.from(this.PROMOS_TABLE).insert(payload);
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`Promo code ${payload.code} already exists`);
+      }
+      throw new Error(`Failed to save promo code: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Delete a promo code that has never been redeemed
+   * @param {string} id
+   */
+  static async deletePromoCode(id) {
+    const { error } = await supabase
+      .from(this.PROMOS_TABLE)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      if (error.code === '23503') {
+        throw new Error('This promo code has been redeemed; deactivate it instead');
+      }
+      throw new Error(`Failed to delete promo code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a code against everything except the stacking rule
+   * (validate_promo_code: only staff read the promo codes table)
+   * @param {string} code
+   * @param {Object} context
+   * @param {'staff'|'customer_portal'|'tour'} context.channel
+   * @param {string} [context.vehicleModelId] - Rentals only
+   * @param {number} [context.durationHours] - Rentals only
+   * @param {{email?: string, phone?: string}} [context.customer]
+   * @param {string} [context.rentalId] - A rental being re-quoted keeps a code it already redeemed
+   * @returns {Promise<{promo: Object|null, error: string|null}>}
+   */
+  static async validateCode(code, {
+    channel,
+    vehicleModelId = null,
+    durationHours = null,
+    customer = null,
+    rentalId = null
+  } = {}) {
+    const normalized = (code || '').trim().toUpperCase();
+    if (!normalized) {
+      return { promo: null, error: null };
+    }
+
+    const { data, error } = await supabase.rpc('validate_promo_code', {
+      p_code: normalized,
+      p_channel: channel,
+      p_vehicle_model_id: vehicleModelId,
+      p_duration_hours: durationHours,
+      p_email: customer?.email || null,
+      p_phone: customer?.phone || null,
+      p_rental_id: rentalId
+    });
+
+    if (error) {
+      throw new Error(`Failed to check promo code: ${error.message}`);
+    }
+    return { promo: data?.promo || null, error: data?.error || null };
+  }
+
+  /**
+   * Record the use of a code for a rental or a tour booking. Store the
+   * rental's quote first: the discount is taken from its quote lines.
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} [params.rentalId]
+   * @param {string} [params.tourBookingId]
+   * @returns {Promise<Object>} The redemption row
+   */
+  static async redeem({ code, rentalId = null, tourBookingId = null }) {
+    const { data, error } = await supabase.rpc('redeem_promo_code', {
+      p_code: code,
+      p_rental_id: rentalId,
+      p_tour_booking_id: tourBookingId
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  /**
+   * Redemptions of a promo code, newest first
+   * @param {string} promoId
+   * @returns {Promise<Array>}
+   */
+  static async getRedemptions(promoId) {
+    const { data, error } = await supabase
+      .from(this.REDEMPTIONS_TABLE)
+      .select('*')
+      .eq('promo_id', promoId)
+      .order('redeemed_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch promo redemptions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Redemption count and discount given per promo code
+   * @returns {Promise<Object>} Keyed by promo id
+   */
+  static async getRedemptionTotals() {
+    const { data, error } = await supabase
+      .from(this.REDEMPTIONS_TABLE)
+      .select('promo_id, discount_amount')
+      .eq('status', 'redeemed');
+
+    if (error) {
+      throw new Error(`Failed to fetch promo redemptions: ${error.message}`);
+    }
+    return (data || []).reduce((totals, redemption) => {
+      const entry = totals[redemption.promo_id] || { redemptions: 0, discount: 0 };
+      entry.redemptions += 1;
+      entry.discount = round2(entry.discount + (Number(redemption.discount_amount) || 0));
+      totals[redemption.promo_id] = entry;
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Redemptions, discount cost and revenue per campaign
+   * @returns {Promise<Array>}
+   */
+  static async getCampaignPerformance() {
+    const { data, error } = await supabase
+      .from('promo_campaign_performance')
+      .select('*')
+      .order('revenue', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch campaign performance: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+export default PromoCodeService;
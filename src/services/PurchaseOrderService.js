@@ -0,0 +1,327 @@
+import { supabase } from '../utils/supabaseClient';
+import InventoryService from './InventoryService';
+
+/**
+ * PurchaseOrderService - Suppliers, purchase orders and reorder suggestions
+ *
+ * Orders are drafted, sent to the supplier, then received (possibly in
+ * several deliveries) through receive_purchase_order(), which books the
+ * stock in at the order's unit costs.
+ */
+class PurchaseOrderService {
+  constructor() {
+    this.suppliersTable = 'inventory_suppliers';
+    this.ordersTable = 'inventory_purchase_orders';
+    this.linesTable = 'inventory_purchase_order_lines';
+    this.itemsTable = 'saharax_0u4w4d_inventory_items';
+  }
+
+  STATUSES = {
+    draft: { label: 'Draft', color: 'bg-gray-100 text-gray-800' },
+    sent: { label: 'Sent', color: 'bg-blue-100 text-blue-800' },
+    partially_received: { label: 'Partially received', color: 'bg-yellow-100 text-yellow-800' },
+    received: { label: 'Received', color: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'Cancelled', color: 'bg-red-100 text-red-800' }
+  };
+
+  OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+  // ========== SUPPLIERS ==========
+
+  async getSuppliers({ activeOnly = false } = {}) {
+    let query = supabase
+      .from(this.suppliersTable)
+      .select('*')
+      .order('name');
+
+    if (activeOnly) query = query.eq('active', true);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load suppliers: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update a supplier
+   * @param {Object} supplier - Row of inventory_suppliers
+   * @returns {Promise<Object>} Saved supplier
+   */
+  async saveSupplier(supplier) {
+    const payload = {
+      name: supplier.name?.trim(),
+      contact_name: supplier.contact_name || null,
+      phone: supplier.phone || null,
+      email: supplier.email || null,
+      address: supplier.address || null,
+      tax_id: supplier.tax_id || null,
+      payment_terms: supplier.payment_terms || null,
+      lead_time_days: parseInt(supplier.lead_time_days, 10) || 0,
+      notes: supplier.notes || null,
+      active: supplier.active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    if (!payload.name) {
+      throw new Error('Supplier name is required');
+    }
+
+    const query = supplier.id
+      ? supabase.from(this.suppliersTable).update(payload).eq('id', supplier.id)
+      : supabase.from(this.suppliersTable).insert([payload]);
+
+    const { data, error } = await query.select('*').single();
+    if (error) {
+      throw new Error(`Failed to save supplier: ${error.message}`);
+    }
+    return data;
+  }
+
+  async deleteSupplier(supplierId) {
+    const { error } = await supabase
+      .from(this.suppliersTable)
+      .delete()
+      .eq('id', supplierId);
+
+    if (error) {
+      // Suppliers with orders are kept for the order history
+      if (error.code === '23503') {
+        throw new Error('This supplier has purchase orders; deactivate it instead');
+      }
+      throw new Error(`Failed to delete supplier: ${error.message}`);
+    }
+  }
+
+  // ========== PURCHASE ORDERS ==========
+
+  async getPurchaseOrders(filters = {}) {
+    let query = supabase
+      .from(this.ordersTable)
+      .select(`*, supplier:${this.suppliersTable}(*), lines:${this.linesTable}(*, item:${this.itemsTable}(id, name, sku, unit))`)
+      .order('created_at', { ascending: false });
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.supplierId) query = query.eq('supplier_id', filters.supplierId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load purchase orders: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getPurchaseOrder(orderId) {
+    const { data, error } = await supabase
+      .from(this.ordersTable)
+      .select(`*, supplier:${this.suppliersTable}(*), lines:${this.linesTable}(*, item:${this.itemsTable}(id, name, sku, unit))`)
+      .eq('id', orderId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to load purchase order: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Create a draft order, or replace the header and lines of a draft
+   * @param {Object} order - { id?, supplier_id, location_id, order_date, expected_date, notes, lines: [{ item_id, quantity_ordered, unit_cost_mad }] }
+   * @returns {Promise<Object>} Saved order with supplier and lines
+   */
+  async saveDraft(order) {
+    const lines = (order.lines || [])
+      .filter(line => line.item_id && parseFloat(line.quantity_ordered) > 0)
+      .map(line => ({
+        item_id: parseInt(line.item_id, 10),
+        quantity_ordered: parseFloat(line.quantity_ordered),
+        unit_cost_mad: parseFloat(line.unit_cost_mad) || 0
+      }));
+
+    if (!order.supplier_id) {
+      throw new Error('Select a supplier');
+    }
+    if (lines.length === 0) {
+      throw new Error('Add at least one item');
+    }
+
+    const header = {
+      supplier_id: order.supplier_id,
+      location_id: order.location_id || null,
+      order_date: order.order_date || new Date().toISOString().split('T')[0],
+      expected_date: order.expected_date || null,
+      notes: order.notes || null,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = order.id
+      ? supabase.from(this.ordersTable).update(header).eq('id', order.id).eq('status', 'draft')
+      : supabase.from(this.ordersTable).insert([header]);
+
+    const { data: saved, error } = await query.select('id').single();
+    if (error) {
+      throw new Error(`Failed to save purchase order: ${error.message}`);
+    }
+
+    if (order.id) {
+      const { error: deleteError } = await supabase
+        .from(this.linesTable)
+        .delete()
+        .eq('purchase_order_id', saved.id);
+
+      if (deleteError) {
+        throw new Error(`Failed to update purchase order lines: ${deleteError.message}`);
+      }
+    }
+
+    const { error: linesError } = await supabase
+      .from(this.linesTable)
+      .insert(lines.map(line => ({ ...line, purchase_order_id: saved.id })));
+
+    if (linesError) {
+      throw new Error(`Failed to save purchase order lines: ${linesError.message}`);
+    }
+
+    return this.getPurchaseOrder(saved.id);
+  }
+
+  async setStatus(orderId, status) {
+    const { data, error } = await supabase
+      .from(this.ordersTable)
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', orderId)
+      .select('id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update purchase order: ${error.message}`);
+    }
+    return this.getPurchaseOrder(data.id);
+  }
+
+  markSent(orderId) { return this.setStatus(orderId, 'sent'); }
+  reopen(orderId) { return this.setStatus(orderId, 'draft'); }
+  cancel(orderId) { return this.setStatus(orderId, 'cancelled'); }
+
+  async deletePurchaseOrder(orderId) {
+    const { error } = await supabase
+      .from(this.ordersTable)
+      .delete()
+      .eq('id', orderId);
+
+    if (error) {
+      throw new Error(`Failed to delete purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Receive a delivery against a sent order
+   * @param {string} orderId
+   * @param {Array} lines - [{ line_id, quantity }]
+   * @param {string} [notes] - Movement note, e.g. the delivery note number
+   * @returns {Promise<Object>} Updated order with supplier and lines
+   */
+  async receive(orderId, lines, notes = null) {
+    const { error } = await supabase.rpc('receive_purchase_order', {
+      p_purchase_order_id: orderId,
+      p_lines: lines
+        .filter(line => parseFloat(line.quantity) > 0)
+        .map(line => ({ line_id: line.line_id, quantity: parseFloat(line.quantity) })),
+      p_notes: notes
+    });
+
+    if (error) {
+      throw new Error(`Failed to receive purchase order: ${error.message}`);
+    }
+    return this.getPurchaseOrder(orderId);
+  }
+
+  // ========== REORDERING ==========
+
+  /**
+   * Items that will run short before a new order could arrive.
+   *
+   * Weekly usage is the item's issues over the last `weeks` weeks
+   * (adjustments and transfers between locations excluded). The reorder point is the larger of the item's
+   * reorder level and the usage expected during the supplier's lead time;
+   * an item is suggested when stock plus what is already on order is at or
+   * below it, for enough to reach its max stock level or cover another
+   * `weeks` weeks of usage above the reorder point, whichever is more.
+   * @param {Object} options
+   * @param {number} options.weeks - Consumption window and cover to order
+   * @returns {Promise<Array>} [{ item, supplier, weeklyUsage, reorderPoint, onOrder, suggestedQuantity }]
+   */
+  async getReorderSuggestions({ weeks = 4 } = {}) {
+    const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const [items, movements, suppliers, openOrders] = await Promise.all([
+      InventoryService.getItems({ active: true }),
+      InventoryService.getStockMovements({ movementType: 'out', dateFrom: since }),
+      this.getSuppliers(),
+      this.getPurchaseOrders().then(orders => orders.filter(order => this.OPEN_STATUSES.includes(order.status)))
+    ]);
+
+    const consumed = {};
+    movements
+      .filter(movement => !['adjustment', 'transfer'].includes(movement.reference_type))
+      .forEach(movement => {
+        consumed[movement.item_id] = (consumed[movement.item_id] || 0) + (parseFloat(movement.quantity) || 0);
+      });
+
+    const onOrder = {};
+    openOrders.forEach(order => order.lines.forEach(line => {
+      onOrder[line.item_id] = (onOrder[line.item_id] || 0) + (line.quantity_ordered - line.quantity_received);
+    }));
+
+    return items.reduce((suggestions, item) => {
+      const supplier = suppliers.find(s => s.id === item.preferred_supplier_id) || null;
+      const leadDays = supplier ? supplier.lead_time_days : 7;
+      const weeklyUsage = (consumed[item.id] || 0) / weeks;
+      const reorderPoint = Math.max(item.reorder_level || 0, Math.ceil(weeklyUsage * leadDays / 7));
+      const projected = (item.stock_on_hand || 0) + (onOrder[item.id] || 0);
+
+      if (reorderPoint <= 0 || projected > reorderPoint) return suggestions;
+
+      const target = Math.max(item.max_stock_level || 0, reorderPoint + Math.ceil(weeklyUsage * weeks));
+      suggestions.push({
+        item,
+        supplier,
+        weeklyUsage: Math.round(weeklyUsage * 100) / 100,
+        reorderPoint,
+        onOrder: onOrder[item.id] || 0,
+        suggestedQuantity: Math.max(Math.ceil(target - projected), 1)
+      });
+      return suggestions;
+    }, []);
+  }
+
+  /**
+   * One draft order per supplier from the chosen suggestions, at each
+   * item's cost price
+   * @param {Array} suggestions - Entries from getReorderSuggestions, with supplier set
+   * @returns {Promise<Array>} Created orders
+   */
+  async createDraftsFromSuggestions(suggestions) {
+    const bySupplier = {};
+    suggestions.forEach(suggestion => {
+      if (!suggestion.supplier) return;
+      (bySupplier[suggestion.supplier.id] = bySupplier[suggestion.supplier.id] || []).push(suggestion);
+    });
+
+    const created = [];
+    for (const [supplierId, entries] of Object.entries(bySupplier)) {
+      created.push(await this.saveDraft({
+        supplier_id: supplierId,
+        notes: 'Created from reorder suggestions',
+        lines: entries.map(entry => ({
+          item_id: entry.item.id,
+          quantity_ordered: entry.suggestedQuantity,
+          unit_cost_mad: entry.item.cost_mad || 0
+        }))
+      }));
+    }
+    return created;
+  }
+}
+
+export default new PurchaseOrderService();
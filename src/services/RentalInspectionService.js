@@ -0,0 +1,260 @@
+import { supabase } from '../lib/supabase';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * RentalInspectionService - Structured check-out / check-in inspections
+ *
+ * Staff mark damage on a per-model diagram and record the odometer, fuel
+ * level and accessories handed over. Saving goes through
+ * save_rental_inspection, which compares a check-in with the check-out,
+ * flags new damage and opens a Body Work order for it.
+ * See src/migrations/rental_inspections.sql.
+ */
+class RentalInspectionService {
+  static INSPECTIONS_TABLE = 'rental_inspections';
+  static TEMPLATES_TABLE = 'vehicle_inspection_templates';
+  static PHOTO_BUCKET = 'inspection-photos';
+
+  static PHASES = {
+    check_out: 'Check-out',
+    check_in: 'Check-in'
+  };
+
+  static DAMAGE_TYPES = {
+    scratch: 'Scratch',
+    dent: 'Dent',
+    crack: 'Crack',
+    broken: 'Broken',
+    missing: 'Missing'
+  };
+
+  // Share of the panel's repair cost suggested as a deduction
+  static SEVERITIES = {
+    minor: { label: 'Minor', costFactor: 0.25 },
+    moderate: { label: 'Moderate', costFactor: 0.5 },
+    severe: { label: 'Severe', costFactor: 1 }
+  };
+
+  static FUEL_EIGHTHS = 8;
+
+  // Quad seen from above, in a 100 x 160 diagram; used for models
+  // without their own template
+  static DEFAULT_TEMPLATE = {
+    panels: [
+      { id: 'headlight', label: 'Headlight', x: 38, y: 0, w: 24, h: 8, repair_cost: 400 },
+      { id: 'front_rack', label: 'Front rack', x: 38, y: 9, w: 24, h: 19, repair_cost: 500 },
+      { id: 'front_fender_left', label: 'Front fender (left)', x: 20, y: 12, w: 17, h: 32, repair_cost: 600 },
+      { id: 'front_fender_right', label: 'Front fender (right)', x: 63, y: 12, w: 17, h: 32, repair_cost: 600 },
+      { id: 'wheel_front_left', label: 'Front wheel (left)', x: 0, y: 16, w: 18, h: 30, repair_cost: 900 },
+      { id: 'wheel_front_right', label: 'Front wheel (right)', x: 82, y: 16, w: 18, h: 30, repair_cost: 900 },
+      { id: 'handlebar', label: 'Handlebar & controls', x: 24, y: 46, w: 52, h: 10, repair_cost: 350 },
+      { id: 'fuel_tank', label: 'Fuel tank cover', x: 36, y: 58, w: 28, h: 18, repair_cost: 800 },
+      { id: 'footrest_left', label: 'Footrest & side (left)', x: 20, y: 58, w: 14, h: 48, repair_cost: 400 },
+      { id: 'footrest_right', label: 'Footrest & side (right)', x: 66, y: 58, w: 14, h: 48, repair_cost: 400 },
+      { id: 'seat', label: 'Seat', x: 36, y: 78, w: 28, h: 28, repair_cost: 450 },
+      { id: 'rear_fender_left', label: 'Rear fender (left)', x: 20, y: 108, w: 17, h: 32, repair_cost: 600 },
+      { id: 'rear_fender_right', label: 'Rear fender (right)', x: 63, y: 108, w: 17, h: 32, repair_cost: 600 },
+      { id: 'wheel_rear_left', label: 'Rear wheel (left)', x: 0, y: 112, w: 18, h: 30, repair_cost: 900 },
+      { id: 'wheel_rear_right', label: 'Rear wheel (right)', x: 82, y: 112, w: 18, h: 30, repair_cost: 900 },
+      { id: 'rear_rack', label: 'Rear rack', x: 38, y: 108, w: 24, h: 32, repair_cost: 500 },
+      { id: 'tail_light', label: 'Tail light', x: 38, y: 142, w: 24, h: 8, repair_cost: 250 },
+      { id: 'exhaust', label: 'Exhaust', x: 64, y: 144, w: 16, h: 12, repair_cost: 700 }
+    ],
+    accessories: [
+      { key: 'helmet', label: 'Helmet', default_quantity: 1, replacement_cost: 350 },
+      { key: 'goggles', label: 'Goggles', default_quantity: 1, replacement_cost: 120 }
+    ],
+    fuel_tank_liters: null
+  };
+
+  // ---------- Templates ----------
+
+  /**
+   * Diagram, accessories and tank size for a vehicle's model
+   * @param {Object} vehicle - Row from saharax_0u4w4d_vehicles
+   * @returns {Promise<Object>} { panels, accessories, fuel_tank_liters, isDefault }
+   */
+  static async getTemplate(vehicle) {
+    const modelId = vehicle?.vehicle_model_id;
+    if (!modelId) {
+      return { ...this.DEFAULT_TEMPLATE, isDefault: true };
+    }
+
+    const { data, error } = await supabase
+      .from(this.TEMPLATES_TABLE)
+      .select('*')
+      .eq('vehicle_model_id', modelId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('⚠️ RentalInspectionService: could not load inspection template:', error.message);
+    }
+    if (!data) {
+      return { ...this.DEFAULT_TEMPLATE, vehicle_model_id: modelId, isDefault: true };
+    }
+
+    return {
+      vehicle_model_id: modelId,
+      panels: data.panels?.length ? data.panels : this.DEFAULT_TEMPLATE.panels,
+      accessories: data.accessories || [],
+      fuel_tank_liters: data.fuel_tank_liters,
+      isDefault: false
+    };
+  }
+
+  static async saveTemplate(vehicleModelId, { panels, accessories, fuel_tank_liters }) {
+    const { data, error } = await supabase
+      .from(this.TEMPLATES_TABLE)
+      .upsert({
+        vehicle_model_id: vehicleModelId,
+        panels,
+        accessories,
+        fuel_tank_liters: fuel_tank_liters === '' || fuel_tank_liters == null ? null : parseFloat(fuel_tank_liters),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'vehicle_model_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save inspection template: ${error.message}`);
+    }
+    return data;
+  }
+
+  // ---------- Inspections ----------
+
+  /**
+   * @param {string} rentalId
+   * @returns {Promise<{check_out: Object|null, check_in: Object|null}>} Each with its damages
+   */
+  static async getInspections(rentalId) {
+    const { data, error } = await supabase
+      .from(this.INSPECTIONS_TABLE)
+      .select('*, damages:rental_inspection_damages(*)')
+      .eq('rental_id', rentalId);
+
+    if (error) {
+      throw new Error(`Failed to load inspections: ${error.message}`);
+    }
+
+    const result = { check_out: null, check_in: null };
+    (data || []).forEach(inspection => {
+      inspection.damages = (inspection.damages || [])
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      result[inspection.phase] = inspection;
+    });
+    return result;
+  }
+
+  /**
+   * @param {Object} inspection
+   * @param {string} inspection.rentalId
+   * @param {'check_out'|'check_in'} inspection.phase
+   * @param {number|string} inspection.odometer
+   * @param {number} inspection.fuelLevel - Eighths of a tank (0-8)
+   * @param {Object} inspection.accessories - { [key]: quantity }
+   * @param {Array} inspection.damages - [{ panel_id, panel_label, damage_type, severity, notes, photo_urls }]
+   * @param {string} [inspection.notes]
+   */
+  static async saveInspection({ rentalId, phase, odometer, fuelLevel, accessories, damages, notes = null }) {
+    const reading = odometer === '' || odometer == null ? null : parseFloat(odometer);
+    if (reading !== null && (isNaN(reading) || reading < 0)) {
+      throw new Error('Enter a valid odometer reading');
+    }
+    if (!(fuelLevel >= 0 && fuelLevel <= this.FUEL_EIGHTHS)) {
+      throw new Error('Select the fuel level');
+    }
+    const invalid = damages.find(d => !d.panel_id || !this.DAMAGE_TYPES[d.damage_type] || !this.SEVERITIES[d.severity]);
+    if (invalid) {
+      throw new Error('Every damage needs a panel, a type and a severity');
+    }
+
+    const { data, error } = await supabase.rpc('save_rental_inspection', {
+      p_rental_id: rentalId,
+      p_phase: phase,
+      p_odometer: reading,
+      p_fuel_level: fuelLevel,
+      p_accessories: accessories || {},
+      p_damages: damages.map(d => ({
+        panel_id: d.panel_id,
+        panel_label: d.panel_label,
+        damage_type: d.damage_type,
+        severity: d.severity,
+        notes: d.notes || null,
+        photo_urls: d.photo_urls || []
+      })),
+      p_notes: notes || null
+    });
+
+    if (error) {
+      throw new Error(`Failed to save ${this.PHASES[phase] || phase} inspection: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async uploadPhoto(rentalId, file) {
+    const extension = file.name?.split('.').pop() || 'jpg';
+    const path = `${rentalId}/${uuidv4()}.${extension}`;
+
+    const { error } = await supabase.storage
+      .from(this.PHOTO_BUCKET)
+      .upload(path, file, { cacheControl: '3600', upsert: false });
+
+    if (error) {
+      throw new Error(`Failed to upload photo: ${error.message}`);
+    }
+    return supabase.storage.from(this.PHOTO_BUCKET).getPublicUrl(path).data.publicUrl;
+  }
+
+  // ---------- Comparison ----------
+
+  static formatFuelLevel(level) {
+    if (level == null) return '—';
+    if (level === 0) return 'Empty';
+    if (level === this.FUEL_EIGHTHS) return 'Full';
+    return `${level}/${this.FUEL_EIGHTHS}`;
+  }
+
+  static describeDamage(damage) {
+    return `${damage.panel_label || damage.panel_id}: ${this.DAMAGE_TYPES[damage.damage_type] || damage.damage_type} (${this.SEVERITIES[damage.severity]?.label || damage.severity})`;
+  }
+
+  /**
+   * What the check-in found compared with the check-out, as stored by
+   * save_rental_inspection
+   * @returns {Object|null} { newDamages, fuelDifference, distance, missingAccessories: [{ key, label, quantity, replacement_cost }] }
+   */
+  static getComparison(checkIn, template) {
+    if (!checkIn?.comparison) return null;
+
+    const accessories = template?.accessories || [];
+    const missing = Object.entries(checkIn.comparison.missing_accessories || {}).map(([key, quantity]) => {
+      const accessory = accessories.find(a => a.key === key);
+      return {
+        key,
+        label: accessory?.label || key,
+        quantity: parseFloat(quantity) || 0,
+        replacement_cost: parseFloat(accessory?.replacement_cost) || 0
+      };
+    });
+
+    return {
+      newDamages: (checkIn.damages || []).filter(d => d.is_new),
+      fuelDifference: checkIn.comparison.fuel_difference,
+      distance: checkIn.comparison.distance,
+      missingAccessories: missing
+    };
+  }
+
+  /**
+   * Suggested repair charge for a damage: the panel's repair cost scaled
+   * by severity
+   */
+  static estimateRepairCost(damage, template) {
+    const panel = template?.panels?.find(p => p.id === damage.panel_id);
+    const cost = parseFloat(panel?.repair_cost) || 0;
+    return Math.round(cost * (this.SEVERITIES[damage.severity]?.costFactor || 1) * 100) / 100;
+  }
+}
+
+export default RentalInspectionService;
@@ -0,0 +1,158 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * RentalQuoteService - the rental pricing engine
+ *
+ * Every screen that prices a rental (admin wizard, customer portal, price
+ * approvals, pricing previews) goes through getQuote, which asks the
+ * database engine (quote_rental in rental_pricing_engine.sql). Portal
+ * booking requests and quote snapshots are priced by the same function,
+ * so the same inputs always give the same itemised quote: each day (or
+ * hour) at its seasonal rate in Morocco time, minus the hourly package or
+ * duration tier, minus a promo code, minus the customer type discount,
+ * plus pick-up / drop-off transport.
+ *
+ * The quote a rental was priced with is stored as an immutable snapshot
+ * (rental_quote_snapshots) together with the engine version.
+ */
+
+const toISO = (value) => (value instanceof Date ? value.toISOString() : value || null);
+
+class RentalQuoteService {
+  /**
+   * Unit price for a vehicle model, falling back to the direct price list
+   * @param {string} vehicleModelId
+   * @param {'hourly'|'daily'} rentalType
+   * @param {string|number} [vehicleId] - Used for the direct price fallback
+   * @returns {Promise<number>}
+   */
+  static async getUnitPrice(vehicleModelId, rentalType, vehicleId = null) {
+    const { data, error } = await supabase.rpc('rental_unit_price', {
+      p_vehicle_model_id: vehicleModelId || null,
+      p_rental_type: rentalType,
+      p_vehicle_id: vehicleId != null && vehicleId !== '' ? Number(vehicleId) : null
+    });
+
+    if (error) {
+      throw new Error(`Failed to fetch unit price: ${error.message}`);
+    }
+    return Number(data) || 0;
+  }
+
+  /**
+   * Build an itemised quote
+   *
+   * An agreed unit price (a staff override) is taken as is: it is not
+   * scaled by seasons and no tier or customer type discount applies to it.
+   * A km package sets the included kilometers and the extra km rate; the
+   * unit price still comes from the model's base price. Transport fees are
+   * the ones in the app settings.
+   *
+   * @param {Object} params
+   * @param {string} [params.vehicleModelId]
+   * @param {string|number} [params.vehicleId]
+   * @param {string} [params.vehicleType] - Used to match duration tiers
+   * @param {'hourly'|'daily'} params.rentalType
+   * @param {Date} params.startAt
+   * @param {Date} params.endAt
+   * @param {string} [params.packageId] - Km package
+   * @param {string} [params.promoCode]
+   * @param {'staff'|'customer_portal'|'tour'} [params.channel] - Checked against the promo code's channels
+   * @param {{email?: string, phone?: string}} [params.customer] - For per-customer promo caps
+   * @param {string} [params.rentalId] - When re-quoting a saved rental
+   * @param {boolean} [params.pickupTransport]
+   * @param {boolean} [params.dropoffTransport]
+   * @param {'regular'|'loyalty'|'corporate'} [params.customerType]
+   * @param {number} [params.unitPrice] - Agreed unit price replacing the listed one
+   * @param {number} [params.agreedTotal] - Approved total; the difference becomes an adjustment line
+   * @returns {Promise<Object>} Quote with line items and totals
+   */
+  static async getQuote({
+    vehicleModelId = null,
+    vehicleId = null,
+    vehicleType = null,
+    rentalType,
+    startAt,
+    endAt,
+    packageId = null,
+    promoCode = '',
+    channel = 'staff',
+    customer = null,
+    rentalId = null,
+    pickupTransport = false,
+    dropoffTransport = false,
+    customerType = 'regular',
+    unitPrice = null,
+    agreedTotal = null
+  }) {
+    if (!startAt || !endAt || !(startAt < endAt)) {
+      throw new Error('End of rental must be after its start');
+    }
+
+    const { data, error } = await supabase.rpc('quote_rental', {
+      p_inputs: {
+        vehicleModelId,
+        vehicleId: vehicleId != null && vehicleId !== '' ? Number(vehicleId) : null,
+        vehicleType,
+        rentalType,
+        startAt: toISO(startAt),
+        endAt: toISO(endAt),
+        packageId,
+        promoCode: promoCode || null,
+        channel,
+        customer: customer ? { email: customer.email || null, phone: customer.phone || null } : null,
+        rentalId,
+        pickupTransport: Boolean(pickupTransport),
+        dropoffTransport: Boolean(dropoffTransport),
+        customerType,
+        unitPrice: unitPrice != null && unitPrice !== '' ? Number(unitPrice) : null,
+        agreedTotal: agreedTotal != null && agreedTotal !== '' ? Number(agreedTotal) : null
+      }
+    });
+
+    if (error) {
+      throw new Error(`Failed to price the rental: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Store a quote as the rental's immutable price snapshot. The database
+   * prices the quote's inputs again rather than taking its figures.
+   * Refused once the contract is signed and a snapshot already exists.
+   * @param {string} rentalId
+   * @param {Object} quote - Result of getQuote
+   * @returns {Promise<Object>} The snapshot row
+   */
+  static async recordSnapshot(rentalId, quote) {
+    const { data, error } = await supabase.rpc('record_rental_quote', {
+      p_rental_id: rentalId,
+      p_inputs: quote.inputs
+    });
+
+    if (error) {
+      throw new Error(`Failed to save the rental quote: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Quote snapshots of a rental, newest first
+   * @param {string} rentalId
+   * @returns {Promise<Array>}
+   */
+  static async getSnapshots(rentalId) {
+    const { data, error } = await supabase
+      .from('rental_quote_snapshots')
+      .select('*')
+      .eq('rental_id', rentalId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch quote snapshots: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+export default RentalQuoteService;
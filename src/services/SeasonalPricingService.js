@@ -1,5 +1,7 @@
 import { supabase } from '../lib/supabase';
 
+const round2 = (value) => Math.round(value * 100) / 100;
+
 export class SeasonalPricingService {
   // Get all seasonal pricing rules
   static async getSeasonalRules() {
@@ -8,7 +10,7 @@ export class SeasonalPricingService {
         .from('seasonal_pricing_rules')
         .select(`
           *,
-          saharax_0u4w4d_vehicle_models!inner(id, make, model, vehicle_type)
+          saharax_0u4w4d_vehicle_models(id, make, model, vehicle_type)
         `)
         .eq('active', true)
         .order('start_date');
@@ -27,7 +29,8 @@ export class SeasonalPricingService {
       const { data, error } = await supabase
         .from('seasonal_pricing_rules')
         .upsert({
-          vehicle_model_id: ruleData.vehicle_model_id,
+          ...(ruleData.id ? { id: ruleData.id } : {}),
+          vehicle_model_id: ruleData.vehicle_model_id || null,
           season_name: ruleData.season_name,
           multiplier: parseFloat(ruleData.multiplier),
           start_date: ruleData.start_date,
@@ -45,6 +48,144 @@ export class SeasonalPricingService {
     }
   }
 
+  // Get weekday rules (e.g. a weekend rate)
+  static async getWeekdayRules() {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_weekday_rules')
+        .select(`
+          *,
+          saharax_0u4w4d_vehicle_models(id, make, model, vehicle_type)
+        `)
+        .eq('active', true)
+        .order('name');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching weekday rules:', error);
+      throw error;
+    }
+  }
+
+  // Create or update weekday rule
+  static async upsertWeekdayRule(ruleData) {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_weekday_rules')
+        .upsert({
+          ...(ruleData.id ? { id: ruleData.id } : {}),
+          vehicle_model_id: ruleData.vehicle_model_id || null,
+          name: ruleData.name,
+          days_of_week: ruleData.days_of_week.map(day => parseInt(day)),
+          multiplier: parseFloat(ruleData.multiplier),
+          active: true,
+          description: ruleData.description
+        })
+        .select();
+
+      if (error) throw error;
+      return data?.[0];
+    } catch (error) {
+      console.error('Error upserting weekday rule:', error);
+      throw error;
+    }
+  }
+
+  // Get holiday calendars with their dates
+  static async getHolidayCalendars() {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_holiday_calendars')
+        .select(`
+          *,
+          saharax_0u4w4d_vehicle_models(id, make, model, vehicle_type),
+          dates:pricing_holiday_dates(id, label, start_date, end_date)
+        `)
+        .eq('active', true)
+        .order('name');
+
+      if (error) throw error;
+      return (data || []).map(calendar => ({
+        ...calendar,
+        dates: (calendar.dates || []).sort((a, b) => a.start_date.localeCompare(b.start_date))
+      }));
+    } catch (error) {
+      console.error('Error fetching holiday calendars:', error);
+      throw error;
+    }
+  }
+
+  // Create or update holiday calendar
+  static async upsertHolidayCalendar(calendarData) {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_holiday_calendars')
+        .upsert({
+          ...(calendarData.id ? { id: calendarData.id } : {}),
+          vehicle_model_id: calendarData.vehicle_model_id || null,
+          name: calendarData.name,
+          kind: calendarData.kind || 'custom',
+          multiplier: parseFloat(calendarData.multiplier),
+          active: true,
+          description: calendarData.description
+        })
+        .select();
+
+      if (error) throw error;
+      return data?.[0];
+    } catch (error) {
+      console.error('Error upserting holiday calendar:', error);
+      throw error;
+    }
+  }
+
+  // Add a date (or date range) to a holiday calendar
+  static async addHolidayDate(calendarId, dateData) {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_holiday_dates')
+        .insert({
+          calendar_id: calendarId,
+          label: dateData.label,
+          start_date: dateData.start_date,
+          end_date: dateData.end_date || dateData.start_date
+        })
+        .select();
+
+      if (error) throw error;
+      return data?.[0];
+    } catch (error) {
+      console.error('Error adding holiday date:', error);
+      throw error;
+    }
+  }
+
+  static async deleteHolidayDate(id) {
+    try {
+      const { error } = await supabase
+        .from('pricing_holiday_dates')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting holiday date:', error);
+      throw error;
+    }
+  }
+
+  // Seasons, weekday rules and holiday calendars, loaded in one go
+  static async getPricingCalendar() {
+    const [seasons, weekdayRules, holidays] = await Promise.all([
+      this.getSeasonalRules(),
+      this.getWeekdayRules(),
+      this.getHolidayCalendars()
+    ]);
+    return { seasons, weekdayRules, holidays };
+  }
+
   // Get discount rules
   static async getDiscountRules() {
     try {
@@ -94,109 +235,53 @@ export class SeasonalPricingService {
     }
   }
 
-  // Calculate dynamic pricing with all factors
-  static async calculateDynamicPrice(vehicleModelId, startDate, endDate, customerType = 'regular') {
+  // Calculate dynamic pricing with all factors. Priced by the rental
+  // pricing engine so the result matches the rental quote; kept in this
+  // shape for existing callers.
+  static async calculateDynamicPrice(vehicleModelId, startDate, endDate, customerType = 'regular', rentalType = 'daily') {
     try {
       const start = new Date(startDate);
       const end = new Date(endDate);
-      const diffTime = Math.abs(end - start);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      const advanceBookingDays = Math.ceil((start - new Date()) / (1000 * 60 * 60 * 24));
+      const diffDays = Math.max(Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24)), 1);
 
-      // Get base price from existing service
-      const { PricingService } = await import('./PricingService');
-      const baseCalculation = await PricingService.calculateRentalPrice(vehicleModelId, startDate, endDate);
-      
-      let finalPrice = baseCalculation.totalPrice;
-      let appliedModifiers = [];
-
-      // Apply seasonal multipliers
-      const seasonalRules = await this.getSeasonalRules();
-      const applicableSeasonalRule = seasonalRules.find(rule => {
-        const ruleStart = new Date(rule.start_date);
-        const ruleEnd = new Date(rule.end_date);
-        return rule.vehicle_model_id === vehicleModelId && 
-               start >= ruleStart && end <= ruleEnd;
+      const { default: RentalQuoteService } = await import('./RentalQuoteService');
+      const quote = await RentalQuoteService.getQuote({
+        vehicleModelId,
+        rentalType,
+        startAt: start,
+        endAt: end,
+        customerType
       });
 
-      if (applicableSeasonalRule) {
-        finalPrice *= applicableSeasonalRule.multiplier;
-        appliedModifiers.push({
-          type: 'seasonal',
-          name: applicableSeasonalRule.season_name,
-          multiplier: applicableSeasonalRule.multiplier,
-          description: applicableSeasonalRule.description
-        });
-      }
+      const basePrice = round2(quote.unitPrice * quote.quantity);
+      const appliedModifiers = [];
 
-      // Apply discount rules
-      const discountRules = await this.getDiscountRules();
-      const applicableDiscounts = discountRules.filter(rule => {
-        if (rule.vehicle_model_id && rule.vehicle_model_id !== vehicleModelId) return false;
-        if (rule.min_days && diffDays < rule.min_days) return false;
-        if (rule.max_days && diffDays > rule.max_days) return false;
-        if (rule.min_advance_booking && advanceBookingDays < rule.min_advance_booking) return false;
-        if (rule.max_advance_booking && advanceBookingDays > rule.max_advance_booking) return false;
-        if (rule.valid_from && start < new Date(rule.valid_from)) return false;
-        if (rule.valid_to && end > new Date(rule.valid_to)) return false;
-        return true;
+      // One entry per seasonal modifier, with the number of slots it applied to
+      quote.lines.filter(line => line.type === 'base').forEach(line => {
+        line.modifiers.forEach(modifier => {
+          const existing = appliedModifiers.find(applied => applied.type === modifier.type && applied.name === modifier.name);
+          if (existing) {
+            existing.slots += line.quantity;
+          } else {
+            appliedModifiers.push({ ...modifier, slots: line.quantity });
+          }
+        });
       });
-
-      // Apply best discount (highest value)
-      let bestDiscount = null;
-      let maxDiscountValue = 0;
-
-      applicableDiscounts.forEach(discount => {
-        let discountValue = 0;
-        if (discount.discount_unit === 'percentage') {
-          discountValue = finalPrice * (discount.discount_value / 100);
-        } else {
-          discountValue = discount.discount_value;
-        }
-
-        if (discountValue > maxDiscountValue) {
-          maxDiscountValue = discountValue;
-          bestDiscount = discount;
-        }
+      quote.lines.filter(line => line.type !== 'base' && line.amount < 0).forEach(line => {
+        appliedModifiers.push({ type: line.type, name: line.label, value: -line.amount });
       });
 
-      if (bestDiscount) {
-        finalPrice -= maxDiscountValue;
-        appliedModifiers.push({
-          type: 'discount',
-          name: bestDiscount.discount_type,
-          value: maxDiscountValue,
-          unit: bestDiscount.discount_unit,
-          description: bestDiscount.description
-        });
-      }
-
-      // Customer type multipliers
-      const customerMultipliers = {
-        'loyalty': 0.9,
-        'corporate': 0.85,
-        'regular': 1.0
-      };
-
-      if (customerType !== 'regular') {
-        const multiplier = customerMultipliers[customerType] || 1.0;
-        finalPrice *= multiplier;
-        appliedModifiers.push({
-          type: 'customer',
-          name: customerType,
-          multiplier: multiplier,
-          description: `${customerType} customer discount`
-        });
-      }
-
       return {
-        basePrice: baseCalculation.totalPrice,
-        finalPrice: Math.max(finalPrice, 0), // Ensure non-negative
-        savings: baseCalculation.totalPrice - finalPrice,
+        basePrice,
+        finalPrice: quote.total,
+        savings: round2(basePrice - quote.total),
         days: diffDays,
-        pricePerDay: finalPrice / diffDays,
+        quantity: quote.quantity,
+        unitPrice: quote.unitPrice,
+        pricePerDay: round2(quote.total / diffDays),
         appliedModifiers,
-        calculation: baseCalculation
+        lines: quote.lines,
+        quote
       };
     } catch (error) {
       console.error('Error calculating dynamic price:', error);
@@ -274,6 +359,38 @@ export class SeasonalPricingService {
     }
   }
 
+  // Delete weekday rule
+  static async deleteWeekdayRule(id) {
+    try {
+      const { error } = await supabase
+        .from('pricing_weekday_rules')
+        .update({ active: false })
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting weekday rule:', error);
+      throw error;
+    }
+  }
+
+  // Delete holiday calendar
+  static async deleteHolidayCalendar(id) {
+    try {
+      const { error } = await supabase
+        .from('pricing_holiday_calendars')
+        .update({ active: false })
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting holiday calendar:', error);
+      throw error;
+    }
+  }
+
   // Delete discount rule
   static async deleteDiscountRule(id) {
     try {
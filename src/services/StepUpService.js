@@ -0,0 +1,177 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * StepUpService - PIN plus authenticator check before sensitive actions
+ *
+ * Owners and admins enroll a PIN and an authenticator app (TOTP), and get
+ * recovery codes for when the phone is not at hand. Verifying returns a
+ * grant for one action on the listed records, valid five minutes; the
+ * database refuses the action without it. PINs, secrets and lockouts live
+ * in the database only, and every attempt is audited there.
+ */
+
+export const STEP_UP_ACTIONS = {
+  override_close: 'Close a rental without its video',
+  price_override: 'Override a rental price',
+  delete_rental: 'Delete a rental',
+  delete_customer: 'Delete a customer',
+  delete_vehicle: 'Delete a vehicle',
+  release_deposit: 'Release a deposit'
+};
+
+export const STEP_UP_EVENTS = {
+  verified: 'Verified',
+  failed: 'Failed',
+  locked: 'Locked out',
+  used: 'Used',
+  pin_set: 'PIN set',
+  totp_enrolled: 'Authenticator set up',
+  recovery_codes_generated: 'New recovery codes',
+  reset: 'Reset by owner'
+};
+
+class StepUpService {
+  static AUDIT_TABLE = 'step_up_audit_log';
+
+  /**
+   * Enrollment state of the signed-in user
+   * @returns {Promise<{has_pin: boolean, totp_enabled: boolean, totp_enabled_at: string|null, locked_until: string|null, recovery_codes_left: number}>}
+   */
+  static async getStatus() {
+    const { data, error } = await supabase.rpc('step_up_status');
+    if (error) {
+      throw new Error(`Failed to load step-up status: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Set or change the PIN. Changing needs the current PIN, and a code once
+   * the authenticator is set up.
+   * @param {Object} params
+   * @param {string} params.newPin - 6 to 12 digits
+   * @param {string} [params.currentPin]
+   * @param {string} [params.code] - Authenticator or recovery code
+   * @returns {Promise<{ok: boolean, error?: string, locked_until?: string}>}
+   */
+  static async setPin({ newPin, currentPin, code }) {
+    if (!/^\d{6,12}$/.test(newPin || '')) {
+      throw new Error('The PIN must be 6 to 12 digits');
+    }
+
+    const { data, error } = await supabase.rpc('step_up_set_pin', {
+      p_new_pin: newPin,
+      p_current_pin: currentPin || null,
+      p_code: code || null
+    });
+    if (error) {
+      throw new Error(`Failed to set PIN: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Start authenticator enrollment
+   * @returns {Promise<{secret: string, uri: string}>} Secret to type in, and the otpauth:// URI for the QR code
+   */
+  static async beginTotpEnrollment() {
+    const { data, error } = await supabase.rpc('step_up_begin_totp');
+    if (error) {
+      throw new Error(`Failed to start authenticator setup: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Finish authenticator enrollment with a code from the app
+   * @param {string} code
+   * @returns {Promise<string[]>} Recovery codes, shown once
+   */
+  static async confirmTotpEnrollment(code) {
+    const { data, error } = await supabase.rpc('step_up_confirm_totp', { p_code: code?.trim() });
+    if (error) {
+      throw new Error(`Failed to set up authenticator: ${error.message}`);
+    }
+    return data.recovery_codes;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} pin
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<{ok: boolean, recovery_codes?: string[], error?: string, locked_until?: string}>}
+   */
+  static async regenerateRecoveryCodes(pin, code) {
+    const { data, error } = await supabase.rpc('step_up_regenerate_recovery_codes', {
+      p_pin: pin,
+      p_code: code
+    });
+    if (error) {
+      throw new Error(`Failed to create recovery codes: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Check PIN and code for an action on some records
+   * @param {Object} params
+   * @param {keyof STEP_UP_ACTIONS} params.action
+   * @param {string[]} params.targetIds - Records the action applies to
+   * @param {string} params.pin
+   * @param {string} params.code - Authenticator or recovery code
+   * @returns {Promise<{verified: boolean, grant_id?: string, expires_at?: string, error?: string, locked_until?: string}>}
+   */
+  static async verify({ action, targetIds, pin, code }) {
+    if (!STEP_UP_ACTIONS[action]) {
+      throw new Error(`Unknown step-up action ${action}`);
+    }
+
+    const { data, error } = await supabase.rpc('step_up_verify', {
+      p_action: action,
+      p_target_ids: (targetIds || []).map(String),
+      p_pin: pin,
+      p_code: code
+    });
+    if (error) {
+      throw new Error(`Failed to verify: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Owner only: clear someone's PIN, authenticator and recovery codes
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  static async reset(userId) {
+    const { error } = await supabase.rpc('step_up_reset', { p_user_id: userId });
+    if (error) {
+      throw new Error(`Failed to reset step-up: ${error.message}`);
+    }
+  }
+
+  /**
+   * Audit log, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.userId]
+   * @param {number} [filters.limit]
+   * @returns {Promise<Array>}
+   */
+  static async getAuditLog({ userId, limit = 100 } = {}) {
+    let query = supabase
+      .from(this.AUDIT_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load step-up log: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+export default StepUpService;
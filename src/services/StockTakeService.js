@@ -0,0 +1,166 @@
+import { supabase } from '../utils/supabaseClient';
+
+/**
+ * StockTakeService - Counted stock takes and their variance reports
+ *
+ * start_stock_take() snapshots the expected quantities at a location;
+ * counts are recorded line by line, and post_stock_take() books every
+ * variance as one 'stock_take' adjustment, which the ledger posts as
+ * inventory shrinkage.
+ */
+class StockTakeService {
+  constructor() {
+    this.takesTable = 'inventory_stock_takes';
+    this.linesTable = 'inventory_stock_take_lines';
+    this.itemsTable = 'saharax_0u4w4d_inventory_items';
+    this.locationsTable = 'inventory_locations';
+  }
+
+  STATUSES = {
+    counting: { label: 'Counting', color: 'bg-blue-100 text-blue-800' },
+    posted: { label: 'Posted', color: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'Cancelled', color: 'bg-gray-100 text-gray-800' }
+  };
+
+  async getStockTakes() {
+    const { data, error } = await supabase
+      .from(this.takesTable)
+      .select(`*, location:${this.locationsTable}(id, name)`)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      throw new Error(`Failed to load stock takes: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getStockTake(stockTakeId) {
+    const { data, error } = await supabase
+      .from(this.takesTable)
+      .select(`*, location:${this.locationsTable}(id, name), lines:${this.linesTable}(*, item:${this.itemsTable}(id, name, sku, barcode, category, unit))`)
+      .eq('id', stockTakeId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to load stock take: ${error.message}`);
+    }
+
+    data.lines = (data.lines || []).sort((a, b) => (a.item?.name || '').localeCompare(b.item?.name || ''));
+    return data;
+  }
+
+  /**
+   * Freeze the expected quantities at a location and open the count
+   * @param {Object} options - { locationId, category, notes }
+   * @returns {Promise<Object>} The new stock take with its lines
+   */
+  async start({ locationId, category = null, notes = null }) {
+    if (!locationId) {
+      throw new Error('Select a location to count');
+    }
+
+    const { data, error } = await supabase.rpc('start_stock_take', {
+      p_location_id: locationId,
+      p_category: category || null,
+      p_notes: notes || null
+    });
+
+    if (error) {
+      throw new Error(`Failed to start stock take: ${error.message}`);
+    }
+    return this.getStockTake(data.id);
+  }
+
+  /**
+   * Record (or clear, with an empty quantity) the count of one line
+   * @returns {Promise<Object>} Updated line
+   */
+  async recordCount(lineId, quantity, notes) {
+    const changes = {
+      counted_quantity: quantity === '' || quantity === null || quantity === undefined ? null : parseFloat(quantity)
+    };
+    if (notes !== undefined) changes.notes = notes || null;
+
+    const { data, error } = await supabase
+      .from(this.linesTable)
+      .update(changes)
+      .eq('id', lineId)
+      .select(`*, item:${this.itemsTable}(id, name, sku, barcode, category, unit)`)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record count: ${error.message}`);
+    }
+    return data;
+  }
+
+  async post(stockTakeId) {
+    const { error } = await supabase.rpc('post_stock_take', { p_stock_take_id: stockTakeId });
+
+    if (error) {
+      throw new Error(`Failed to post stock take: ${error.message}`);
+    }
+    return this.getStockTake(stockTakeId);
+  }
+
+  async cancel(stockTakeId) {
+    const { error } = await supabase
+      .from(this.takesTable)
+      .update({ status: 'cancelled' })
+      .eq('id', stockTakeId);
+
+    if (error) {
+      throw new Error(`Failed to cancel stock take: ${error.message}`);
+    }
+    return this.getStockTake(stockTakeId);
+  }
+
+  /**
+   * Line matching a scanned barcode or typed SKU, exact and case-insensitive
+   * @param {Array} lines - Lines of a stock take
+   * @param {string} code
+   * @returns {Object|null}
+   */
+  findLineByCode(lines, code) {
+    const needle = (code || '').trim().toLowerCase();
+    if (!needle) return null;
+    return lines.find(line => [line.item?.barcode, line.item?.sku]
+      .some(value => value && value.toLowerCase() === needle)) || null;
+  }
+
+  /**
+   * Variance report of a stock take. Before posting, variances are
+   * estimated against the snapshot at its cost; afterwards they are the
+   * posted ones, net of stock that moved during the count.
+   * @param {Object} stockTake - Stock take with lines
+   * @returns {Object} { rows, counted, uncounted, shortages, surpluses, shrinkageValue, surplusValue, netValue }
+   */
+  getVarianceReport(stockTake) {
+    const rows = (stockTake.lines || []).map(line => {
+      const counted = line.counted_quantity !== null && line.counted_quantity !== undefined;
+      const varianceQuantity = counted ? parseFloat(line.variance_quantity) : null;
+      const varianceValue = line.variance_value_mad !== null && line.variance_value_mad !== undefined
+        ? parseFloat(line.variance_value_mad)
+        : counted ? Math.round(varianceQuantity * parseFloat(line.unit_cost_mad) * 100) / 100 : null;
+
+      return { ...line, counted, varianceQuantity, varianceValue };
+    });
+
+    const shrinkageValue = rows.filter(row => row.varianceValue < 0).reduce((sum, row) => sum + row.varianceValue, 0);
+    const surplusValue = rows.filter(row => row.varianceValue > 0).reduce((sum, row) => sum + row.varianceValue, 0);
+
+    return {
+      rows,
+      counted: rows.filter(row => row.counted).length,
+      uncounted: rows.filter(row => !row.counted).length,
+      shortages: rows.filter(row => row.varianceQuantity < 0).length,
+      surpluses: rows.filter(row => row.varianceQuantity > 0).length,
+      shrinkageValue: Math.round(shrinkageValue * 100) / 100,
+      surplusValue: Math.round(surplusValue * 100) / 100,
+      netValue: Math.round((shrinkageValue + surplusValue) * 100) / 100
+    };
+  }
+}
+
+export default new StockTakeService();
@@ -0,0 +1,333 @@
+import { supabase } from '../lib/supabase';
+import { PAYMENT_CURRENCIES, COLLECTABLE_TENDERS } from './PaymentLedgerService';
+
+/**
+ * TillService - cash till sessions per staff member and shift
+ *
+ * A session opens with a float and closes with a count of notes and
+ * coins. The database records every cash movement into the open till of
+ * the person who made it (cash payments, cash deposits taken and returned,
+ * fuel paid from the till) and works out the expected amount and discrepancy at
+ * closing. A manager other than the cashier signs the count off.
+ */
+
+export const TILL_MOVEMENT_TYPES = {
+  payment: 'Cash payment',
+  refund: 'Cash refund',
+  reversal: 'Payment reversed',
+  deposit_in: 'Deposit taken',
+  deposit_out: 'Deposit returned',
+  fuel: 'Fuel',
+  cash_drop: 'Cash drop to safe',
+  payout: 'Payout'
+};
+
+export const TILL_STATUSES = {
+  open: 'Open',
+  closed: 'Awaiting sign-off',
+  approved: 'Signed off'
+};
+
+// Notes and coins counted at closing, largest first
+export const DENOMINATIONS = {
+  MAD: [200, 100, 50, 20, 10, 5, 2, 1, 0.5],
+  EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1],
+  USD: [100, 50, 20, 10, 5, 2, 1, 0.25, 0.1]
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class TillService {
+  static SESSIONS_TABLE = 'till_sessions';
+  static MOVEMENTS_TABLE = 'till_movements';
+  static DAILY_REPORT_VIEW = 'till_daily_cash_report';
+
+  /**
+   * The signed-in user's open till, if any
+   * @returns {Promise<Object|null>}
+   */
+  static async getOpenSession() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return null;
+
+    const { data, error } = await supabase
+      .from(this.SESSIONS_TABLE)
+      .select('*')
+      .eq('staff_id', user.id)
+      .eq('status', 'open')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load till: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Sessions, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.startDate] - First business date (YYYY-MM-DD)
+   * @param {string} [filters.endDate] - Last business date (YYYY-MM-DD)
+   * @param {string} [filters.status]
+   * @param {string} [filters.staffId]
+   * @returns {Promise<Array>}
+   */
+  static async getSessions({ startDate, endDate, status, staffId } = {}) {
+    let query = supabase
+      .from(this.SESSIONS_TABLE)
+      .select('*')
+      .order('opened_at', { ascending: false });
+
+    if (startDate) query = query.gte('business_date', startDate);
+    if (endDate) query = query.lte('business_date', endDate);
+    if (status) query = query.eq('status', status);
+    if (staffId) query = query.eq('staff_id', staffId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load tills: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Movements of a session, oldest first
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  static async getMovements(sessionId) {
+    const { data, error } = await supabase
+      .from(this.MOVEMENTS_TABLE)
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load till movements: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Cash moved by staff with no till open, oldest first
+   * @param {Object} [filters]
+   * @param {string} [filters.startDate]
+   * @param {string} [filters.endDate]
+   * @returns {Promise<Array>}
+   */
+  static async getMovementsOutsideTill({ startDate, endDate } = {}) {
+    let query = supabase
+      .from(this.MOVEMENTS_TABLE)
+      .select('*')
+      .is('session_id', null)
+      .order('created_at', { ascending: true });
+
+    if (startDate) query = query.gte('created_at', `${startDate}T00:00:00`);
+    if (endDate) query = query.lte('created_at', `${endDate}T23:59:59`);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load till movements: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Expected cash per currency: float plus movements
+   * @param {Object} session
+   * @param {Array} movements
+   * @returns {Object<string, number>}
+   */
+  static expectedCash(session, movements) {
+    const expected = {};
+    Object.entries(session.opening_float || {}).forEach(([currency, amount]) => {
+      expected[currency] = round2((expected[currency] || 0) + Number(amount));
+    });
+    movements.forEach(movement => {
+      expected[movement.currency] = round2((expected[movement.currency] || 0) + Number(movement.amount));
+    });
+    return expected;
+  }
+
+  /**
+   * Total of a denomination count
+   * @param {Object<string, number>} counts - Denomination to number of notes or coins
+   * @returns {number}
+   */
+  static countTotal(counts = {}) {
+    return round2(Object.entries(counts).reduce(
+      (sum, [denomination, count]) => sum + Number(denomination) * (Number(count) || 0), 0
+    ));
+  }
+
+  /**
+   * Open a till for the signed-in user
+   * @param {Object<string, number>} openingFloat - Amount per currency
+   * @returns {Promise<Object>}
+   */
+  static async openSession(openingFloat) {
+    const float = {};
+    Object.entries(openingFloat || {}).forEach(([currency, amount]) => {
+      const value = round2(Number(amount) || 0);
+      if (!PAYMENT_CURRENCIES.includes(currency)) {
+        throw new Error(`${currency} is not accepted at the till`);
+      }
+      if (value < 0) {
+        throw new Error('Opening float cannot be negative');
+      }
+      if (value > 0 || currency === 'MAD') {
+        float[currency] = value;
+      }
+    });
+
+    const { data, error } = await supabase.rpc('open_till_session', { p_opening_float: float });
+    if (error) {
+      throw new Error(`Failed to open till: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Take cash out of the open till to the safe or for a payout
+   * @param {Object} params
+   * @param {'cash_drop'|'payout'} params.type
+   * @param {string} params.currency
+   * @param {number} params.amount
+   * @param {string} params.description
+   * @returns {Promise<Object>}
+   */
+  static async addMovement({ type, currency, amount, description }) {
+    const value = round2(Number(amount));
+    if (!['cash_drop', 'payout'].includes(type)) {
+      throw new Error('Choose a cash drop or a payout');
+    }
+    if (!(value > 0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+    if (!description?.trim()) {
+      throw new Error('Say what the cash was for');
+    }
+
+    const { data, error } = await supabase.rpc('add_till_movement', {
+      p_type: type,
+      p_currency: currency,
+      p_amount: value,
+      p_description: description.trim()
+    });
+    if (error) {
+      throw new Error(`Failed to record ${TILL_MOVEMENT_TYPES[type].toLowerCase()}: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Record the damage deposit of a rental as the signed-in staff member takes it.
+   * A cash deposit goes in their till; card and transfer deposits do not.
+   * @param {Object} params
+   * @param {string} params.rentalId
+   * @param {'cash'|'card'|'bank_transfer'} params.tender
+   * @param {string} [params.currency]
+   * @param {number} [params.exchangeRate] - MAD per unit of currency
+   * @returns {Promise<Object>} The rental
+   */
+  static async takeDamageDeposit({ rentalId, tender, currency = 'MAD', exchangeRate = 1 }) {
+    const rate = currency === 'MAD' ? 1 : Number(exchangeRate);
+    if (!COLLECTABLE_TENDERS.includes(tender)) {
+      throw new Error('Choose cash, card or bank transfer');
+    }
+    if (currency !== 'MAD' && tender !== 'cash') {
+      throw new Error('Foreign currency is only accepted in cash');
+    }
+    if (!(rate > 0)) {
+      throw new Error(`Enter the ${currency} exchange rate`);
+    }
+
+    const { data, error } = await supabase.rpc('take_damage_deposit', {
+      p_rental_id: rentalId,
+      p_tender: tender,
+      p_currency: currency,
+      p_exchange_rate: rate
+    });
+    if (error) {
+      throw new Error(`Failed to record the damage deposit: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Close a till with its count. Notes are required when the count is off.
+   * @param {string} sessionId
+   * @param {Object<string, Object<string, number>>} counts - Currency, then denomination to count
+   * @param {string} [notes]
+   * @returns {Promise<Object>} The closed session with expected, counted and discrepancy
+   */
+  static async closeSession(sessionId, counts, notes = '') {
+    const cleaned = {};
+    Object.entries(counts || {}).forEach(([currency, byDenomination]) => {
+      const entries = Object.entries(byDenomination || {})
+        .map(([denomination, count]) => [denomination, Number(count) || 0])
+        .filter(([, count]) => count !== 0);
+      entries.forEach(([, count]) => {
+        if (!Number.isInteger(count) || count < 0) {
+          throw new Error('Counts must be whole numbers');
+        }
+      });
+      if (entries.length > 0) {
+        cleaned[currency] = Object.fromEntries(entries);
+      }
+    });
+
+    const { data, error } = await supabase.rpc('close_till_session', {
+      p_session_id: sessionId,
+      p_counts: cleaned,
+      p_notes: notes?.trim() || null
+    });
+    if (error) {
+      throw new Error(`Failed to close till: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Manager sign-off of a closed till
+   * @param {string} sessionId
+   * @param {string} [notes]
+   * @returns {Promise<Object>}
+   */
+  static async approveSession(sessionId, notes = '') {
+    const { data, error } = await supabase.rpc('approve_till_session', {
+      p_session_id: sessionId,
+      p_notes: notes?.trim() || null
+    });
+    if (error) {
+      throw new Error(`Failed to sign off till: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Daily cash report, one row per business date and currency, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.startDate]
+   * @param {string} [filters.endDate]
+   * @returns {Promise<Array>}
+   */
+  static async getDailyReport({ startDate, endDate } = {}) {
+    let query = supabase
+      .from(this.DAILY_REPORT_VIEW)
+      .select('*')
+      .order('business_date', { ascending: false })
+      .order('currency', { ascending: true });
+
+    if (startDate) query = query.gte('business_date', startDate);
+    if (endDate) query = query.lte('business_date', endDate);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load cash report: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+export default TillService;
@@ -0,0 +1,128 @@
+import { supabase } from '../lib/supabase';
+import TourOperationsService from './TourOperationsService';
+
+/**
+ * TourCapacityService - tour departures, seat reservation and quad allocation
+ *
+ * A booking takes quads and seats on a departure through reserve_tour_seats,
+ * which locks the departure row, so capacity can never be oversold, and
+ * picks the booking's quads from the fleet in the same transaction with the
+ * availability check of rentals (vehicle_is_free). Quads can be changed
+ * later through QuadSelectionModal.
+ */
+class TourCapacityService {
+  static DEPARTURES_TABLE = 'tour_departures';
+  static AVAILABILITY_VIEW = 'tour_departure_availability';
+
+  /**
+   * Departures with the quads and seats left on them
+   * @param {Object} filters
+   * @param {string} filters.from - YYYY-MM-DD
+   * @param {string} [filters.to] - YYYY-MM-DD, defaults to from
+   * @param {string} [filters.tourType]
+   * @param {boolean} [filters.bookableOnly] - Only scheduled departures
+   * @returns {Promise<Array>}
+   */
+  static async getDepartures({ from, to = from, tourType = null, bookableOnly = false }) {
+    let query = supabase
+      .from(this.AVAILABILITY_VIEW)
+      .select('*')
+      .gte('departure_date', from)
+      .lte('departure_date', to)
+      .order('departure_date', { ascending: true })
+      .order('departure_time', { ascending: true });
+
+    if (tourType) {
+      query = query.eq('tour_type', tourType);
+    }
+    if (bookableOnly) {
+      query = query.eq('status', 'scheduled');
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load tour departures: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Create or update a departure
+   * @param {Object} departure - Includes id when updating
+   * @returns {Promise<Object>}
+   */
+  static async saveDeparture(departure) {
+    const { id, ...fields } = departure;
+    const payload = {
+      tour_type: fields.tour_type,
+      departure_date: fields.departure_date,
+      departure_time: fields.departure_time,
+      duration_hours: Number(fields.duration_hours),
+      quad_capacity: parseInt(fields.quad_capacity, 10),
+      seat_capacity: parseInt(fields.seat_capacity, 10),
+      guide_capacity: parseInt(fields.guide_capacity, 10),
+      quads_per_guide: parseInt(fields.quads_per_guide, 10),
+      status: fields.status || 'scheduled',
+      notes: fields.notes?.trim() || null
+    };
+
+    if (!payload.tour_type || !payload.departure_date || !payload.departure_time) {
+      throw new Error('Tour type, date and time are required');
+    }
+    if ([payload.quad_capacity, payload.seat_capacity, payload.guide_capacity].some(value => isNaN(value) || value < 0)) {
+      throw new Error('Capacities must be zero or more');
+    }
+
+    const query = id
+      ? supabase.from(this.DEPARTURES_TABLE).update(payload).eq('id', id)
+      : supabase.from(this.DEPARTURES_TABLE).insert(payload);
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A departure of this tour already exists at that date and time');
+      }
+      throw new Error(`Failed to save tour departure: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Book a departure: reserve its quads and seats and assign quads from the fleet
+   * @param {Object} params
+   * @param {Object} params.departure - Row from getDepartures
+   * @param {Object} params.booking - tour_bookings columns; the price is set by the database
+   * @param {boolean} [params.allowWaitlist] - Waitlist instead of rejecting when full
+   * @returns {Promise<{booking: Object, waitlisted: boolean}>}
+   */
+  static async reserve({ departure, booking, allowWaitlist = false }) {
+    const { data: created, error } = await supabase.rpc('reserve_tour_seats', {
+      p_departure_id: departure.id,
+      p_booking: booking,
+      p_allow_waitlist: allowWaitlist
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return { booking: created, waitlisted: created.booking_status === TourOperationsService.TOUR_STATUS.WAITLISTED };
+  }
+
+  /**
+   * Pick quads again for a booking that has none (or too few) yet
+   * @param {Object} booking - tour_bookings row
+   * @returns {Promise<number>} Quads assigned
+   */
+  static async autoAssignQuads(booking) {
+    const { data, error } = await supabase.rpc('assign_tour_quads', { p_booking_id: booking.id });
+
+    if (error) {
+      throw new Error(`Failed to assign quads: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+export default TourCapacityService;
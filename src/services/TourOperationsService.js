@@ -0,0 +1,226 @@
+import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+import TransactionalRentalService from './TransactionalRentalService';
+import { getMoroccoTodayString } from '../utils/moroccoTime';
+
+/**
+ * TourOperationsService - day-of-tour operations for guides
+ *
+ * Loads a guide's tours with participants and assigned quads, assigns
+ * tours to guides, records participant check-in / no-show and starts or
+ * ends a tour, which also moves the assigned quads in and out of use.
+ */
+class TourOperationsService {
+  static BOOKINGS_TABLE = 'tour_bookings';
+  static PARTICIPANTS_TABLE = 'tour_participants';
+  static ASSIGNMENTS_TABLE = 'tour_vehicle_assignments';
+
+  static TOUR_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    ON_TOUR: 'on_tour',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    WAITLISTED: 'waitlisted'
+  };
+
+  static CHECK_IN_STATUS = {
+    EXPECTED: 'expected',
+    CHECKED_IN: 'checked_in',
+    NO_SHOW: 'no_show'
+  };
+
+  /**
+   * Tours of one day with participants and quads
+   * @param {Object} [options]
+   * @param {string} [options.date] - YYYY-MM-DD, defaults to today in Morocco
+   * @param {string} [options.guideId] - Only tours assigned to this guide
+   * @returns {Promise<Array>}
+   */
+  static async getDayTours({ date = getMoroccoTodayString(), guideId = null } = {}) {
+    let query = supabase
+      .from(this.BOOKINGS_TABLE)
+      .select(`
+        *,
+        participants:${this.PARTICIPANTS_TABLE}(*),
+        assignments:${this.ASSIGNMENTS_TABLE}(
+          id, vehicle_id, participant_count,
+          vehicle:${TABLE_NAMES.VEHICLES}(id, name, model, plate_number, status)
+        )
+      `)
+      .eq('tour_date', date)
+      .neq('booking_status', this.TOUR_STATUS.CANCELLED)
+      .order('tour_time', { ascending: true });
+
+    if (guideId) {
+      query = query.eq('assigned_guide_id', guideId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load tours: ${error.message}`);
+    }
+
+    return (data || []).map(booking => ({
+      ...booking,
+      participants: [...(booking.participants || [])].sort(
+        (a, b) => (a.participant_number || 0) - (b.participant_number || 0)
+      ),
+      assignments: booking.assignments || []
+    }));
+  }
+
+  /**
+   * Record a participant as checked in, no-show, or back to expected
+   * @param {string} participantId
+   * @param {string} status - One of CHECK_IN_STATUS
+   * @param {string} userId - Guide recording the change
+   */
+  static async setParticipantCheckIn(participantId, status, userId) {
+    if (!Object.values(this.CHECK_IN_STATUS).includes(status)) {
+      throw new Error(`Invalid check-in status: ${status}`);
+    }
+
+    const isExpected = status === this.CHECK_IN_STATUS.EXPECTED;
+    const { data, error } = await supabase
+      .from(this.PARTICIPANTS_TABLE)
+      .update({
+        check_in_status: status,
+        checked_in_at: isExpected ? null : new Date().toISOString(),
+        checked_in_by: isExpected ? null : userId
+      })
+      .eq('id', participantId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update check-in: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Replace the quads assigned to a booking with a QuadSelectionModal selection,
+   * in one transaction (save_tour_quad_assignments)
+   * @param {string} bookingId
+   * @param {Object} selection - { selectedQuads: [{ quadId, participantCount }] }
+   * @returns {Promise<Array>} The booking's new assignments
+   */
+  static async saveQuadAssignments(bookingId, selection) {
+    const { data, error } = await supabase.rpc('save_tour_quad_assignments', {
+      p_booking_id: bookingId,
+      p_quads: (selection?.selectedQuads || []).map(quad => ({
+        vehicleId: Number(quad.quadId),
+        participantCount: quad.participantCount || 1
+      }))
+    });
+
+    if (error) {
+      throw new Error(`Failed to save quad assignments: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Guides who can lead a tour
+   * @returns {Promise<Array>} { id, name }
+   */
+  static async getGuides() {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.USERS)
+      .select('id, full_name, email')
+      .eq('role', 'guide')
+      .order('full_name');
+
+    if (error) {
+      throw new Error(`Failed to load guides: ${error.message}`);
+    }
+
+    return (data || []).map(guide => ({
+      id: guide.id,
+      name: guide.full_name || guide.email?.split('@')[0] || 'Unknown guide'
+    }));
+  }
+
+  /**
+   * Assign a booking to a guide, who then sees it on their day view
+   * @param {string} bookingId
+   * @param {string|null} guideId - null leaves the tour unassigned
+   */
+  static async assignGuide(bookingId, guideId) {
+    return this.updateBooking(bookingId, { assigned_guide_id: guideId || null });
+  }
+
+  /**
+   * Start a tour: mark it on tour and put its quads in use
+   * @param {Object} booking - Booking from getDayTours
+   * @param {string} userId
+   */
+  static async startTour(booking, userId) {
+    if (booking.booking_status === this.TOUR_STATUS.ON_TOUR) {
+      throw new Error('Tour is already in progress');
+    }
+    if (booking.booking_status === this.TOUR_STATUS.COMPLETED) {
+      throw new Error('Tour has already ended');
+    }
+    if (booking.booking_status === this.TOUR_STATUS.WAITLISTED) {
+      throw new Error('Tour booking is still on the waitlist');
+    }
+
+    const startedAt = new Date().toISOString();
+    const updated = await this.updateBooking(booking.id, {
+      booking_status: this.TOUR_STATUS.ON_TOUR,
+      tour_started_at: startedAt,
+      tour_started_by: userId
+    });
+
+    // Quads on a tour are out of the rental pool, same as a rented vehicle
+    await this.setAssignedVehiclesStatus(booking, 'rented');
+    return updated;
+  }
+
+  /**
+   * End a tour: mark it completed and release its quads
+   * @param {Object} booking - Booking from getDayTours
+   * @param {string} userId
+   */
+  static async endTour(booking, userId) {
+    if (booking.booking_status !== this.TOUR_STATUS.ON_TOUR) {
+      throw new Error('Tour has not been started');
+    }
+
+    const updated = await this.updateBooking(booking.id, {
+      booking_status: this.TOUR_STATUS.COMPLETED,
+      tour_ended_at: new Date().toISOString(),
+      tour_ended_by: userId
+    });
+
+    await this.setAssignedVehiclesStatus(booking, 'available');
+    return updated;
+  }
+
+  static async updateBooking(bookingId, changes) {
+    const { data, error } = await supabase
+      .from(this.BOOKINGS_TABLE)
+      .update(changes)
+      .eq('id', bookingId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update tour: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async setAssignedVehiclesStatus(booking, status) {
+    await Promise.all(
+      (booking.assignments || []).map(assignment =>
+        TransactionalRentalService.updateVehicleStatus(assignment.vehicle_id, status)
+      )
+    );
+  }
+}
+
+export default TourOperationsService;
@@ -1,4 +1,26 @@
 import { supabase, supabaseAdmin } from './supabaseClient';
+import PermissionService from './PermissionService';
+import { TABLE_NAMES } from '../config/tableNames';
+
+/**
+ * Sets a staff member's role on their row in the users table, which is
+ * where every permission check reads it. Goes through the signed-in
+ * user's client so the database decides who may give which role.
+ */
+const setStaffRole = async (userId, role) => {
+  const { data, error } = await supabase
+    .from(TABLE_NAMES.USERS)
+    .update({ role })
+    .eq('auth_id', userId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to update role: ${error.message}`);
+  }
+  if (!data || data.length === 0) {
+    throw new Error('Failed to update role: this user has no staff account');
+  }
+};
 
 /**
  * Fetches all users from Supabase Auth.
@@ -49,12 +71,14 @@ export const addUser = async (email, password, name, role) => {
 };
 
 /**
- * Updates a user's metadata (name and role).
+ * Updates a user's name and role.
  */
 export const updateUser = async (userId, name, role) => {
   if (!supabaseAdmin) {
     throw new Error('Admin client not initialized. Service role key is missing.');
   }
+
+  await setStaffRole(userId, role);
   
   console.log('=== updateUser START ===');
   console.log('User ID:', userId);
@@ -62,7 +86,7 @@ export const updateUser = async (userId, name, role) => {
   console.log('Role:', role);
   
   const { data, error } = await supabaseAdmin.auth.admin.updateUserById(userId, {
-    user_metadata: { name, role },
+    user_metadata: { name },
   });
   
   console.log('Update user response - data:', data);
@@ -94,11 +118,14 @@ export const updateUserProfile = async (userId, updates) => {
   console.log('User ID:', userId);
   console.log('Updates:', { ...updates, password: updates.password ? '***' : undefined });
   
+  if (updates.role) {
+    await setStaffRole(userId, updates.role);
+  }
+
   const updatePayload = {
     email: updates.email,
     user_metadata: { 
-      full_name: updates.name,
-      role: updates.role 
+      full_name: updates.name
     },
   };
   
@@ -136,36 +163,22 @@ export const deleteUser = async (userId) => {
 };
 
 /**
- * Sets the permissions for a user.
+ * Sets which modules a user may view, as overrides only where the
+ * list differs from their role default.
+ * @param {string} userId - The user's UUID
+ * @param {string[]} moduleKeys - Keys of the modules the user may view
  */
-export const setUserPermissions = async (userId, moduleIds) => {
-  // First, delete existing permissions for the user
-  const { error: deleteError } = await supabase
-    .from('user_permissions')
-    .delete()
-    .eq('user_id', userId);
-
-  if (deleteError) {
-    console.error('Error clearing old permissions:', deleteError);
-    throw deleteError;
-  }
-
-  // Then, insert the new permissions
-  if (moduleIds.length > 0) {
-    const permissionsToInsert = moduleIds.map(moduleId => ({
-      user_id: userId,
-      module_id: moduleId,
-      has_access: true,
-    }));
-
-    const { error: insertError } = await supabase
-      .from('user_permissions')
-      .insert(permissionsToInsert);
-
-    if (insertError) {
-      console.error('Error setting new permissions:', insertError);
-      throw insertError;
-    }
+export const setUserPermissions = async (userId, moduleKeys) => {
+  const permissions = await PermissionService.getUserPermissions(userId);
+
+  for (const entry of permissions.filter(p => p.action === 'view')) {
+    const hasAccess = moduleKeys.includes(entry.module_key);
+    await PermissionService.setUserPermission({
+      userId,
+      module: entry.module_key,
+      action: 'view',
+      effect: entry.role_allowed === hasAccess ? null : (hasAccess ? 'grant' : 'deny')
+    });
   }
 };
 
@@ -1,7 +1,13 @@
 /**
  * Audit logging service for tracking rental actions
+ *
+ * Entries go to rental_audit_log. Status changes are logged there by a
+ * database trigger (including those made by the status engine), so the
+ * helpers below add the device and location context of user actions.
  */
 
+import { supabase } from '../lib/supabase';
+
 // Get user agent and device information
 const getDeviceInfo = () => {
   const userAgent = navigator.userAgent;
@@ -90,24 +96,17 @@ export const logRentalAction = async ({
       }
     };
 
-    // Send to backend API
-    const response = await fetch('/api/rentals/audit-log', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${localStorage.getItem('token')}`
-      },
-      body: JSON.stringify(auditEntry)
-    });
+    const { data, error } = await supabase
+      .from('rental_audit_log')
+      .insert(auditEntry)
+      .select()
+      .single();
 
-    if (!response.ok) {
-      throw new Error(`Audit log failed: ${response.statusText}`);
+    if (error) {
+      throw new Error(`Audit log failed: ${error.message}`);
     }
 
-    const result = await response.json();
-    console.log('Audit log created:', result);
-    
-    return result;
+    return data;
     
   } catch (error) {
     console.error('Error creating audit log:', error);
@@ -273,17 +272,17 @@ export const logRentalCancel = async (rentalId, userId, reason, rentalData) => {
  */
 export const getRentalAuditLogs = async (rentalId) => {
   try {
-    const response = await fetch(`/api/rentals/${rentalId}/audit-logs`, {
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`
-      }
-    });
+    const { data, error } = await supabase
+      .from('rental_audit_log')
+      .select('*')
+      .eq('rental_id', rentalId)
+      .order('performed_at', { ascending: false });
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch audit logs: ${response.statusText}`);
+    if (error) {
+      throw new Error(`Failed to fetch audit logs: ${error.message}`);
     }
 
-    return await response.json();
+    return data || [];
     
   } catch (error) {
     console.error('Error fetching audit logs:', error);
@@ -301,6 +300,8 @@ export const formatAuditLogEntry = (logEntry) => {
     'start_rental': 'Started Rental',
     'complete_rental': 'Completed Rental',
     'cancel_rental': 'Cancelled Rental',
+    'status_change': 'Status Changed',
+    'marked_overdue': 'Marked Overdue',
     'capture_out_media': 'Captured Opening Media',
     'capture_in_media': 'Captured Closing Media',
     'delete_out_media': 'Deleted Opening Media',
@@ -318,7 +319,8 @@ export const formatAuditLogEntry = (logEntry) => {
       hour: '2-digit',
       minute: '2-digit'
     }),
-    deviceSummary: logEntry.device_info ? 
+    deviceSummary: logEntry.source === 'engine' ? 'Status engine' :
+      logEntry.device_info ? 
       `${logEntry.device_info.platform} - ${logEntry.device_info.userAgent.split(' ')[0]}` : 
       'Unknown Device'
   };
@@ -1,7 +1,9 @@
 import { supabase } from '../lib/supabase';
+import { TABLE_NAMES } from '../config/tableNames';
+import LedgerService from './LedgerService';
 
 // ============================================================================
-// TypeScript Interfaces for Finance Dashboard v2 - ENHANCED WITH OPEX TRACKING
+// TypeScript Interfaces for Finance Dashboard v2 - figures come from the ledger
 // ============================================================================
 
 export interface Vehicle {
@@ -196,1194 +198,693 @@ export const handleApiError = (error: any, context: string = 'API call'): never
 };
 
 // ============================================================================
-// CRITICAL EMERGENCY DEBUGGING FUNCTIONS
+// LEDGER HELPERS
 // ============================================================================
 
+interface PLTotals {
+  revenue: number;
+  maintenanceCosts: number;
+  fuelCosts: number;
+  inventoryCosts: number;
+  otherCosts: number;
+  taxes: number;
+}
+
+const emptyTotals = (): PLTotals => ({
+  revenue: 0,
+  maintenanceCosts: 0,
+  fuelCosts: 0,
+  inventoryCosts: 0,
+  otherCosts: 0,
+  taxes: 0
+});
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
 /**
- * EMERGENCY: Comprehensive debugging function to investigate app_4c3a7a6153_rentals table
+ * Add one ledger line to P&L totals. Only revenue and expense accounts
+ * count, except tax accounts which are reported whatever their type.
  */
-const debugRentalDataAccess = async () => {
-  console.log('🚨🚨🚨 CRITICAL EMERGENCY RENTAL DEBUG: Starting comprehensive investigation...');
-  console.log('🔍 Target table: app_4c3a7a6153_rentals');
-  console.log('🔍 Timestamp:', new Date().toISOString());
-  
-  const debugResults = {
-    tableAccessible: false,
-    recordCount: 0,
-    columns: [],
-    sampleData: null,
-    hasRentalId: false,
-    vehicleJoinWorks: false,
-    errors: []
-  };
-  
-  try {
-    // STEP 1: Test basic table existence and access
-    console.log('🔍 STEP 1: Testing table existence and basic access...');
-    const { data: countData, error: countError, count } = await supabase
-      .from('app_4c3a7a6153_rentals')
-      .select('*', { count: 'exact', head: true });
-    
-    console.log('📊 Table access result:', { 
-      count, 
-      error: countError?.message || null,
-      accessible: !countError,
-      errorCode: countError?.code || null,
-      errorDetails: countError?.details || null
-    });
-    
-    if (countError) {
-      console.error('❌ CRITICAL: Table not accessible:', countError);
-      debugResults.errors.push(`Table access failed: ${countError.message}`);
-      return debugResults;
+const addLineToTotals = (totals: PLTotals, line: any): PLTotals => {
+  const amount = LedgerService.lineAmount(line);
+
+  if (line.report_group === 'tax') {
+    totals.taxes += amount;
+  } else if (line.account_type === 'revenue') {
+    totals.revenue += amount;
+  } else if (line.account_type === 'expense') {
+    switch (line.report_group) {
+      case 'fuel': totals.fuelCosts += amount; break;
+      case 'maintenance': totals.maintenanceCosts += amount; break;
+      case 'parts': totals.inventoryCosts += amount; break;
+      default: totals.otherCosts += amount;
     }
-    
-    debugResults.tableAccessible = true;
-    debugResults.recordCount = count || 0;
-    
-    // STEP 2: Get sample records to analyze structure
-    console.log('🔍 STEP 2: Getting sample records to analyze structure...');
-    const { data: sampleData, error: sampleError } = await supabase
-      .from('app_4c3a7a6153_rentals')
-      .select('*')
-      .limit(10);
-    
-    console.log('📋 Sample records result:', { 
-      recordCount: sampleData?.length || 0,
-      error: sampleError?.message || null,
-      columns: sampleData?.[0] ? Object.keys(sampleData[0]) : [],
-      hasRentalId: sampleData?.some(r => r.rental_id),
-      sampleCustomers: sampleData?.slice(0, 5).map(r => ({
-        customer_name: r.customer_name,
-        name: r.name,
-        client_name: r.client_name,
-        id: r.id,
-        vehicle_id: r.vehicle_id
-      })) || []
-    });
-    
-    if (sampleError) {
-      debugResults.errors.push(`Sample query failed: ${sampleError.message}`);
-    } else {
-      debugResults.sampleData = sampleData;
-      debugResults.columns = sampleData?.[0] ? Object.keys(sampleData[0]) : [];
-      debugResults.hasRentalId = sampleData?.some(r => r.rental_id) || false;
-    }
-    
-    // STEP 3: Test vehicle JOIN specifically
-    console.log('🔍 STEP 3: Testing vehicle JOIN with saharax_0u4w4d_vehicles...');
-    const { data: joinData, error: joinError } = await supabase
-      .from('app_4c3a7a6153_rentals')
-      .select(`
-        id,
-        customer_name,
-        vehicle_id,
-        saharax_0u4w4d_vehicles(
-          make,
-          model,
-          plate_number
-        )
-      `)
-      .limit(5);
-    
-    console.log('🚗 Vehicle JOIN result:', {
-      recordCount: joinData?.length || 0,
-      error: joinError?.message || null,
-      hasVehicleData: joinData?.some(r => r.saharax_0u4w4d_vehicles),
-      sampleVehicles: joinData?.map(r => ({
-        vehicle_id: r.vehicle_id,
-        vehicle_data: r.saharax_0u4w4d_vehicles
-      })) || []
-    });
-    
-    if (joinError) {
-      debugResults.errors.push(`Vehicle JOIN failed: ${joinError.message}`);
-    } else {
-      debugResults.vehicleJoinWorks = joinData?.some(r => r.saharax_0u4w4d_vehicles) || false;
-    }
-    
-    // STEP 4: Test alternative queries
-    console.log('🔍 STEP 4: Testing alternative query approaches...');
-    
-    // Try without JOIN first
-    const { data: noJoinData, error: noJoinError } = await supabase
-      .from('app_4c3a7a6153_rentals')
-      .select('id, customer_name, vehicle_id, total_amount, created_at')
-      .limit(5);
-    
-    console.log('📊 No-JOIN query result:', {
-      recordCount: noJoinData?.length || 0,
-      error: noJoinError?.message || null,
-      sampleRecords: noJoinData || []
-    });
-    
-    // FINAL SUMMARY
-    console.log('🎯 EMERGENCY DEBUG SUMMARY:', debugResults);
-    console.log('🚨 CRITICAL FINDINGS:');
-    console.log(`   - Table accessible: ${debugResults.tableAccessible}`);
-    console.log(`   - Record count: ${debugResults.recordCount}`);
-    console.log(`   - Has rental_id column: ${debugResults.hasRentalId}`);
-    console.log(`   - Vehicle JOIN works: ${debugResults.vehicleJoinWorks}`);
-    console.log(`   - Available columns: ${debugResults.columns.join(', ')}`);
-    console.log(`   - Errors: ${debugResults.errors.join('; ')}`);
-    
-    return debugResults;
-    
-  } catch (error) {
-    console.error('❌ CRITICAL: Emergency debug completely failed:', error);
-    debugResults.errors.push(`Debug failed: ${error.message}`);
-    return debugResults;
   }
+  return totals;
+};
+
+const sumTotals = (lines: any[]): PLTotals => lines.reduce(addLineToTotals, emptyTotals());
+
+const totalCostsOf = (totals: PLTotals): number =>
+  totals.maintenanceCosts + totals.fuelCosts + totals.inventoryCosts + totals.otherCosts;
+
+const percentChange = (current: number, previous: number): number => {
+  if (!previous) return 0;
+  return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+};
+
+const addDays = (dateString: string, days: number): string => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
 };
 
+const daysBetween = (from: string, to: string): number =>
+  Math.round((new Date(`${to}T00:00:00Z`).getTime() - new Date(`${from}T00:00:00Z`).getTime()) / (1000 * 60 * 60 * 24));
+
+const customerKey = (rental: any): string => rental.customer_email || rental.customer_name || String(rental.id);
+
 // ============================================================================
-// FINANCE API SERVICE CLASS - ENHANCED WITH OPEX TRACKING
+// FINANCE API SERVICE CLASS - READS THE DOUBLE-ENTRY LEDGER
 // ============================================================================
 
 class FinanceApiServiceV2 {
-  private debugInfo: any = null;
-  private tableExistenceCache: Map<string, boolean> = new Map();
-  
-  // ============================================================================
-  // CRITICAL FIX: TABLE EXISTENCE CHECKER TO PREVENT 404 ERRORS
-  // ============================================================================
 
   /**
-   * CRITICAL FIX: Check if table exists before querying to prevent 404 errors
+   * Rental ids of the selected customers, or null when no customer filter
    */
-  private async checkTableExists(tableName: string): Promise<boolean> {
-    // Use cache to avoid repeated checks
-    if (this.tableExistenceCache.has(tableName)) {
-      return this.tableExistenceCache.get(tableName)!;
+  private async getCustomerRentalIds(filters: FinanceFiltersV2): Promise<string[] | null> {
+    if (!filters.customerIds || filters.customerIds.length === 0) {
+      return null;
     }
 
-    try {
-      const { error } = await supabase
-        .from(tableName)
-        .select('*', { count: 'exact', head: true });
-      
-      const exists = !error;
-      this.tableExistenceCache.set(tableName, exists);
-      
-      if (!exists) {
-        console.log(`⚠️ Table ${tableName} does not exist - skipping queries to prevent 404 errors`);
-      }
-      
-      return exists;
-    } catch (error) {
-      console.log(`⚠️ Table ${tableName} check failed - assuming does not exist to prevent 404 errors`);
-      this.tableExistenceCache.set(tableName, false);
-      return false;
+    const list = filters.customerIds.map(id => `"${String(id).replace(/"/g, '')}"`).join(',');
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select('id')
+      .or(`customer_email.in.(${list}),customer_name.in.(${list})`);
+
+    if (error) handleApiError(error, 'Customer filter');
+    return (data || []).map(rental => String(rental.id));
+  }
+
+  private async getPeriodLines(filters: FinanceFiltersV2, startDate = filters.startDate, endDate = filters.endDate) {
+    const rentalIds = await this.getCustomerRentalIds(filters);
+    return LedgerService.getLines({
+      startDate,
+      endDate,
+      vehicleIds: filters.vehicleIds || [],
+      rentalIds
+    });
+  }
+
+  private async getRentalsByIds(ids: string[]): Promise<Map<string, any>> {
+    const rentals = new Map<string, any>();
+    for (let i = 0; i < ids.length; i += 100) {
+      const { data, error } = await supabase
+        .from(TABLE_NAMES.RENTALS)
+        .select('*')
+        .in('id', ids.slice(i, i + 100));
+
+      if (error) handleApiError(error, 'Rental lookup');
+      (data || []).forEach(rental => rentals.set(String(rental.id), rental));
     }
+    return rentals;
   }
-  
+
   // ============================================================================
-  // FIXED: OPERATIONAL EXPENSE TRACKING METHODS - NO MORE 404 ERRORS
+  // REFERENCE DATA
   // ============================================================================
 
-  /**
-   * CRITICAL FIX: Get maintenance costs for a vehicle within date range - NO 404 ERRORS
-   */
-  async getMaintenanceCosts(vehicleId: string, startDate: string, endDate: string): Promise<number> {
-    try {
-      console.log(`🔧 MAINTENANCE COSTS: Calculating for vehicle ${vehicleId} from ${startDate} to ${endDate}`);
-      
-      // CRITICAL FIX: Check table existence BEFORE making any queries to prevent 404 errors
-      const possibleTables = [
-        'maintenance_records',
-        'vehicle_maintenance', 
-        'quad_maintenance',
-        'maintenance_logs',
-        'service_records'
-      ];
-      
-      let maintenanceData = null;
-      let usedTable = '';
-      
-      for (const tableName of possibleTables) {
-        // CRITICAL: Check existence BEFORE querying to prevent 404 errors
-        const tableExists = await this.checkTableExists(tableName);
-        if (!tableExists) {
-          continue; // Skip to next table without making query
-        }
-        
-        try {
-          const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('vehicle_id', vehicleId)
-            .gte('maintenance_date', startDate)
-            .lte('maintenance_date', endDate);
-          
-          if (!error && data && data.length > 0) {
-            maintenanceData = data;
-            usedTable = tableName;
-            console.log(`✅ Found maintenance data in table: ${tableName}`);
-            break;
-          }
-        } catch (err) {
-          // Query failed, continue to next
-          continue;
-        }
-      }
-      
-      if (!maintenanceData) {
-        console.log('⚠️ No maintenance table found, using fallback calculation');
-        // Generate realistic maintenance costs based on vehicle usage
-        const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-        const maintenanceCostPerDay = 15 + Math.random() * 10; // 15-25 MAD per day
-        return Math.round(daysDiff * maintenanceCostPerDay);
+  async getVehicles(orgId: string = 'current'): Promise<Vehicle[]> {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.VEHICLES)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) handleApiError(error, 'Vehicle fetch');
+
+    return (data || []).map(vehicle => {
+      const make = vehicle.make || vehicle.brand || '';
+      const model = vehicle.model || '';
+      return {
+        ...vehicle,
+        id: String(vehicle.id),
+        make,
+        model,
+        plate_number: vehicle.plate_number || '',
+        display_name: `${vehicle.plate_number || vehicle.name} - ${[make, model].filter(Boolean).join(' ') || vehicle.name}`,
+        is_active: vehicle.status !== 'out_of_service',
+        org_id: orgId
+      };
+    });
+  }
+
+  async getCustomers(orgId: string = 'current'): Promise<Customer[]> {
+    const { data, error } = await supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select('customer_name, customer_email')
+      .not('customer_name', 'is', null);
+
+    if (error) handleApiError(error, 'Customer fetch');
+
+    const customers = new Map<string, Customer>();
+    (data || []).forEach(rental => {
+      const id = customerKey(rental);
+      if (!customers.has(id)) {
+        customers.set(id, {
+          id,
+          name: rental.customer_name,
+          email: rental.customer_email || '',
+          org_id: orgId
+        });
       }
-      
-      // Calculate total maintenance costs
-      const totalCosts = maintenanceData.reduce((sum, record) => {
-        const cost = Number(record.cost || record.total_cost || record.amount || record.maintenance_cost || 0);
-        const partsCost = Number(record.parts_cost || 0);
-        const laborCost = Number(record.labor_cost || 0);
-        return sum + cost + partsCost + laborCost;
-      }, 0);
-      
-      console.log(`✅ Maintenance costs calculated: ${totalCosts} MAD from ${maintenanceData.length} records`);
-      return Math.round(totalCosts);
-      
-    } catch (error) {
-      console.error('❌ Maintenance costs calculation failed:', error);
-      // Fallback: estimate based on time period
-      const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-      return Math.round(daysDiff * 18); // 18 MAD per day fallback
-    }
+    });
+    return [...customers.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // ============================================================================
+  // OVERVIEW
+  // ============================================================================
+
+  async getRentalRevenue(filters: FinanceFiltersV2): Promise<number> {
+    const lines = await this.getPeriodLines(filters);
+    return round2(sumTotals(lines).revenue);
+  }
+
+  async getKPIData(filters: FinanceFiltersV2): Promise<KPIData> {
+    const periodDays = daysBetween(filters.startDate, filters.endDate) + 1;
+    const previousEnd = addDays(filters.startDate, -1);
+    const previousStart = addDays(previousEnd, -(periodDays - 1));
+
+    const [currentLines, previousLines] = await Promise.all([
+      this.getPeriodLines(filters),
+      this.getPeriodLines(filters, previousStart, previousEnd)
+    ]);
+
+    const current = sumTotals(currentLines);
+    const previous = sumTotals(previousLines);
+
+    const totalExpenses = totalCostsOf(current);
+    const previousExpenses = totalCostsOf(previous);
+    const grossProfit = current.revenue - totalExpenses - current.taxes;
+    const previousProfit = previous.revenue - previousExpenses - previous.taxes;
+
+    return {
+      totalRevenue: round2(current.revenue),
+      totalExpenses: round2(totalExpenses),
+      maintenanceCosts: round2(current.maintenanceCosts),
+      fuelCosts: round2(current.fuelCosts),
+      inventoryCosts: round2(current.inventoryCosts),
+      otherCosts: round2(current.otherCosts),
+      taxes: round2(current.taxes),
+      grossProfit: round2(grossProfit),
+      revenueChange: percentChange(current.revenue, previous.revenue),
+      expensesChange: percentChange(totalExpenses, previousExpenses),
+      taxesChange: percentChange(current.taxes, previous.taxes),
+      profitChange: percentChange(grossProfit, previousProfit),
+      currency: 'MAD',
+      period: `${filters.startDate} – ${filters.endDate}`
+    };
   }
 
   /**
-   * CRITICAL FIX: Get fuel costs for a vehicle within date range - NO 404 ERRORS
+   * Daily series, or monthly when the period is longer than three months
    */
-  async getFuelCosts(vehicleId: string, startDate: string, endDate: string): Promise<number> {
-    try {
-      console.log(`⛽ FUEL COSTS: Calculating for vehicle ${vehicleId} from ${startDate} to ${endDate}`);
-      
-      // CRITICAL FIX: Check table existence BEFORE making any queries to prevent 404 errors
-      const possibleTables = [
-        'fuel_logs',
-        'fuel_records',
-        'vehicle_fuel',
-        'fuel_entries',
-        'gas_logs'
-      ];
-      
-      let fuelData = null;
-      let usedTable = '';
-      
-      for (const tableName of possibleTables) {
-        // CRITICAL: Check existence BEFORE querying to prevent 404 errors
-        const tableExists = await this.checkTableExists(tableName);
-        if (!tableExists) {
-          continue; // Skip to next table without making query
-        }
-        
-        try {
-          const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('vehicle_id', vehicleId)
-            .gte('fuel_date', startDate)
-            .lte('fuel_date', endDate);
-          
-          if (!error && data && data.length > 0) {
-            fuelData = data;
-            usedTable = tableName;
-            console.log(`✅ Found fuel data in table: ${tableName}`);
-            break;
-          }
-        } catch (err) {
-          // Query failed, continue to next
-          continue;
-        }
-      }
-      
-      if (!fuelData) {
-        console.log('⚠️ No fuel table found, using fallback calculation');
-        // Generate realistic fuel costs based on vehicle usage
-        const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-        const fuelCostPerDay = 25 + Math.random() * 15; // 25-40 MAD per day
-        return Math.round(daysDiff * fuelCostPerDay);
-      }
-      
-      // Calculate total fuel costs
-      const totalCosts = fuelData.reduce((sum, record) => {
-        const cost = Number(record.total_cost || record.cost || record.amount || record.fuel_cost || 0);
-        return sum + cost;
-      }, 0);
-      
-      console.log(`✅ Fuel costs calculated: ${totalCosts} MAD from ${fuelData.length} records`);
-      return Math.round(totalCosts);
-      
-    } catch (error) {
-      console.error('❌ Fuel costs calculation failed:', error);
-      // Fallback: estimate based on time period
-      const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-      return Math.round(daysDiff * 30); // 30 MAD per day fallback
+  async getTrendData(filters: FinanceFiltersV2): Promise<TrendData[]> {
+    const lines = await this.getPeriodLines(filters);
+    const monthly = daysBetween(filters.startDate, filters.endDate) > 92;
+    const bucketOf = (date: string) => (monthly ? date.slice(0, 7) : date);
+
+    const buckets = new Map<string, PLTotals>();
+    for (let day = filters.startDate; day <= filters.endDate; day = addDays(day, 1)) {
+      if (!buckets.has(bucketOf(day))) buckets.set(bucketOf(day), emptyTotals());
     }
+    lines.forEach(line => {
+      const bucket = buckets.get(bucketOf(line.entry_date));
+      if (bucket) addLineToTotals(bucket, line);
+    });
+
+    return [...buckets.entries()].map(([date, totals]) => {
+      const expenses = totalCostsOf(totals);
+      return {
+        date,
+        revenue: round2(totals.revenue),
+        expenses: round2(expenses),
+        maintenanceCosts: round2(totals.maintenanceCosts),
+        fuelCosts: round2(totals.fuelCosts),
+        inventoryCosts: round2(totals.inventoryCosts),
+        taxes: round2(totals.taxes),
+        grossRevenue: round2(totals.revenue),
+        netRevenue: round2(totals.revenue - expenses - totals.taxes)
+      };
+    });
   }
 
-  /**
-   * CRITICAL FIX: Get inventory costs for a vehicle within date range - NO 404 ERRORS
-   */
-  async getInventoryCosts(vehicleId: string, startDate: string, endDate: string): Promise<number> {
-    try {
-      console.log(`📦 INVENTORY COSTS: Calculating for vehicle ${vehicleId} from ${startDate} to ${endDate}`);
-      
-      // CRITICAL FIX: Check table existence BEFORE making any queries to prevent 404 errors
-      const possibleTables = [
-        'inventory_usage',
-        'parts_usage',
-        'inventory_records',
-        'consumables_usage',
-        'spare_parts_usage'
-      ];
-      
-      let inventoryData = null;
-      let usedTable = '';
-      
-      for (const tableName of possibleTables) {
-        // CRITICAL: Check existence BEFORE querying to prevent 404 errors
-        const tableExists = await this.checkTableExists(tableName);
-        if (!tableExists) {
-          continue; // Skip to next table without making query
-        }
-        
-        try {
-          const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('vehicle_id', vehicleId)
-            .gte('usage_date', startDate)
-            .lte('usage_date', endDate);
-          
-          if (!error && data && data.length > 0) {
-            inventoryData = data;
-            usedTable = tableName;
-            console.log(`✅ Found inventory data in table: ${tableName}`);
-            break;
-          }
-        } catch (err) {
-          // Query failed, continue to next
-          continue;
-        }
-      }
-      
-      if (!inventoryData) {
-        console.log('⚠️ No inventory table found, using fallback calculation');
-        // Generate realistic inventory costs based on vehicle usage
-        const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-        const inventoryCostPerDay = 8 + Math.random() * 7; // 8-15 MAD per day
-        return Math.round(daysDiff * inventoryCostPerDay);
+  async getTopVehiclesByProfit(filters: FinanceFiltersV2, limit: number = 5): Promise<VehicleProfitData[]> {
+    const [lines, vehicles] = await Promise.all([
+      this.getPeriodLines(filters),
+      this.getVehicles(filters.orgId)
+    ]);
+
+    const byVehicle = new Map<string, PLTotals>();
+    lines.forEach(line => {
+      if (!line.vehicle_id) return;
+      if (!byVehicle.has(line.vehicle_id)) byVehicle.set(line.vehicle_id, emptyTotals());
+      addLineToTotals(byVehicle.get(line.vehicle_id)!, line);
+    });
+
+    return [...byVehicle.entries()]
+      .map(([vehicleId, totals]) => {
+        const vehicle = vehicles.find(v => v.id === vehicleId);
+        const totalCosts = totalCostsOf(totals);
+        const profit = totals.revenue - totalCosts;
+        return {
+          vehicleId,
+          vehicleName: vehicle?.display_name || `Vehicle ${vehicleId}`,
+          make: vehicle?.make || '',
+          model: vehicle?.model || '',
+          plateNumber: vehicle?.plate_number || '',
+          revenue: round2(totals.revenue),
+          maintenanceCosts: round2(totals.maintenanceCosts),
+          fuelCosts: round2(totals.fuelCosts),
+          inventoryCosts: round2(totals.inventoryCosts),
+          otherCosts: round2(totals.otherCosts),
+          totalCosts: round2(totalCosts),
+          profit: round2(profit),
+          profitMargin: totals.revenue ? Math.round((profit / totals.revenue) * 1000) / 10 : 0
+        };
+      })
+      .sort((a, b) => b.profit - a.profit)
+      .slice(0, limit);
+  }
+
+  // ============================================================================
+  // VEHICLE FINANCE (LIFETIME)
+  // ============================================================================
+
+  async getVehicleFinanceData(vehicleIds: string[], filters: FinanceFiltersV2): Promise<VehicleFinanceData> {
+    const lines = (await LedgerService.getLines({ vehicleIds: vehicleIds || [] }))
+      .filter(line => line.vehicle_id);
+
+    const lifetime = sumTotals(lines);
+    const lifetimeTotalCosts = totalCostsOf(lifetime);
+
+    // One event per journal entry
+    const events = new Map<string, VehicleFinanceEvent & { totals: PLTotals }>();
+    lines.forEach(line => {
+      if (!events.has(line.entry_id)) {
+        events.set(line.entry_id, {
+          date: line.entry_date,
+          eventType: line.reference_type || 'manual',
+          source: line.entry_description || '',
+          revenue: 0, maintenanceCost: 0, fuelCost: 0, inventoryCost: 0, otherCost: 0, tax: 0, net: 0,
+          totals: emptyTotals()
+        });
       }
-      
-      // Calculate total inventory costs
-      const totalCosts = inventoryData.reduce((sum, record) => {
-        const cost = Number(record.total_cost || record.cost || record.amount || record.parts_cost || 0);
-        return sum + cost;
-      }, 0);
-      
-      console.log(`✅ Inventory costs calculated: ${totalCosts} MAD from ${inventoryData.length} records`);
-      return Math.round(totalCosts);
-      
-    } catch (error) {
-      console.error('❌ Inventory costs calculation failed:', error);
-      // Fallback: estimate based on time period
-      const daysDiff = Math.ceil((new Date(endDate).getTime() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24));
-      return Math.round(daysDiff * 10); // 10 MAD per day fallback
-    }
+      addLineToTotals(events.get(line.entry_id)!.totals, line);
+    });
+
+    const eventList: VehicleFinanceEvent[] = [...events.values()]
+      .map(({ totals, ...event }) => ({
+        ...event,
+        revenue: round2(totals.revenue),
+        maintenanceCost: round2(totals.maintenanceCosts),
+        fuelCost: round2(totals.fuelCosts),
+        inventoryCost: round2(totals.inventoryCosts),
+        otherCost: round2(totals.otherCosts),
+        tax: round2(totals.taxes),
+        net: round2(totals.revenue - totalCostsOf(totals) - totals.taxes)
+      }))
+      .filter(event => event.revenue || event.net)
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    const months = new Map<string, PLTotals>();
+    lines.forEach(line => {
+      const month = line.entry_date.slice(0, 7);
+      if (!months.has(month)) months.set(month, emptyTotals());
+      addLineToTotals(months.get(month)!, line);
+    });
+    const trendData = [...months.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, totals]) => ({
+        date,
+        netMargin: totals.revenue
+          ? Math.round(((totals.revenue - totalCostsOf(totals)) / totals.revenue) * 1000) / 10
+          : 0
+      }));
+
+    return {
+      lifetimeRevenue: round2(lifetime.revenue),
+      lifetimeMaintenanceCosts: round2(lifetime.maintenanceCosts),
+      lifetimeFuelCosts: round2(lifetime.fuelCosts),
+      lifetimeInventoryCosts: round2(lifetime.inventoryCosts),
+      lifetimeOtherCosts: round2(lifetime.otherCosts),
+      lifetimeTotalCosts: round2(lifetimeTotalCosts),
+      grossProfit: round2(lifetime.revenue - lifetimeTotalCosts),
+      utilizationPercent: await this.getUtilizationPercent(vehicleIds || [], filters),
+      events: eventList,
+      trendData
+    };
   }
 
   /**
-   * Get comprehensive vehicle costs breakdown
+   * Rented days over available vehicle-days in the filter period
    */
-  async getVehicleCostsBreakdown(vehicleId: string, startDate: string, endDate: string) {
-    console.log(`💰 COMPREHENSIVE COSTS: Fetching all costs for vehicle ${vehicleId}`);
-    
-    const [maintenanceCosts, fuelCosts, inventoryCosts] = await Promise.all([
-      this.getMaintenanceCosts(vehicleId, startDate, endDate),
-      this.getFuelCosts(vehicleId, startDate, endDate),
-      this.getInventoryCosts(vehicleId, startDate, endDate)
+  private async getUtilizationPercent(vehicleIds: string[], filters: FinanceFiltersV2): Promise<number> {
+    let query = supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select('vehicle_id, rental_start_date, rental_end_date, rental_status')
+      .lte('rental_start_date', `${filters.endDate}T23:59:59`)
+      .gte('rental_end_date', filters.startDate)
+      .not('rental_status', 'in', '(cancelled,refunded)');
+    if (vehicleIds.length > 0) query = query.in('vehicle_id', vehicleIds);
+
+    const [{ data: rentals, error }, vehicleCount] = await Promise.all([
+      query,
+      vehicleIds.length > 0 ? Promise.resolve(vehicleIds.length) : this.getVehicles().then(v => v.length)
     ]);
-    
-    const otherCosts = Math.round((maintenanceCosts + fuelCosts + inventoryCosts) * 0.1); // 10% other costs
-    const totalCosts = maintenanceCosts + fuelCosts + inventoryCosts + otherCosts;
-    
-    const breakdown = {
-      maintenanceCosts,
-      fuelCosts,
-      inventoryCosts,
-      otherCosts,
-      totalCosts
-    };
-    
-    console.log(`✅ Vehicle costs breakdown:`, breakdown);
-    return breakdown;
+    if (error) handleApiError(error, 'Utilization');
+
+    const periodDays = daysBetween(filters.startDate, filters.endDate) + 1;
+    if (!vehicleCount || periodDays <= 0) return 0;
+
+    const rentedDays = (rentals || []).reduce((sum, rental) => {
+      const start = rental.rental_start_date.slice(0, 10) > filters.startDate ? rental.rental_start_date.slice(0, 10) : filters.startDate;
+      const end = rental.rental_end_date.slice(0, 10) < filters.endDate ? rental.rental_end_date.slice(0, 10) : filters.endDate;
+      return sum + Math.max(daysBetween(start, end) + 1, 0);
+    }, 0);
+
+    return Math.min(100, Math.round((rentedDays / (periodDays * vehicleCount)) * 100));
   }
 
   // ============================================================================
-  // ENHANCED RENTAL DATA FUNCTIONS WITH OPEX INTEGRATION
+  // RENTAL P&L
   // ============================================================================
 
   /**
-   * ENHANCED: Get rental data with comprehensive OpEx breakdown
+   * Rentals starting in the period with their ledger revenue and the vehicle
+   * costs posted while each rental was out (split between rentals of the
+   * same vehicle on the same day)
    */
   async getRentalPLData(
     filters: FinanceFiltersV2,
     page: number = 1,
     pageSize: number = 50,
-    sortBy: string = 'created_at',
+    sortBy: string = 'closedAt',
     sortOrder: 'asc' | 'desc' = 'desc',
     searchTerm?: string
   ): Promise<{ data: RentalPLRow[]; total: number; pages: number }> {
-    console.log('🚨🚨🚨 ENHANCED RENTAL P&L: Starting with OpEx integration...');
-    console.log('🔍 Input parameters:', { filters, page, pageSize, sortBy, sortOrder, searchTerm });
-    console.log('🔍 Current time:', new Date().toISOString());
-    
-    try {
-      // EMERGENCY STEP 1: Run comprehensive debugging
-      console.log('🚨 EMERGENCY STEP 1: Running comprehensive table debugging...');
-      this.debugInfo = await debugRentalDataAccess();
-      
-      if (!this.debugInfo.tableAccessible) {
-        console.error('❌ CRITICAL FAILURE: Table completely inaccessible');
-        console.error('❌ Errors:', this.debugInfo.errors);
-        return await this.generateEnhancedFallbackData(pageSize);
-      }
-      
-      if (this.debugInfo.recordCount === 0) {
-        console.error('❌ CRITICAL: Table accessible but contains NO DATA');
-        return await this.generateEnhancedFallbackData(pageSize);
-      }
-      
-      console.log('✅ Table is accessible with', this.debugInfo.recordCount, 'records');
-      
-      // EMERGENCY STEP 2: Use the SIMPLEST possible query - NO JOINS, NO FILTERS
-      console.log('🚨 EMERGENCY STEP 2: Using simplest possible query...');
-      
-      const { data: rawRentals, error: rawError } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(200); // Get more data
-      
-      console.log('📊 Raw rental query result:', {
-        recordCount: rawRentals?.length || 0,
-        error: rawError?.message || null,
-        sampleRecord: rawRentals?.[0] || null
-      });
-      
-      if (rawError) {
-        console.error('❌ Raw rental query failed:', rawError);
-        return await this.generateEnhancedFallbackData(pageSize);
-      }
-      
-      if (!rawRentals || rawRentals.length === 0) {
-        console.error('❌ Raw rental query returned no data');
-        return await this.generateEnhancedFallbackData(pageSize);
-      }
-      
-      // EMERGENCY STEP 3: Get vehicles separately (no JOIN)
-      console.log('🚨 EMERGENCY STEP 3: Getting vehicles separately...');
-      const vehicles = await this.getVehiclesEmergency();
-      console.log(`🚗 Vehicles loaded: ${vehicles.length}`);
-      
-      // EMERGENCY STEP 4: Transform data with COMPREHENSIVE OPEX BREAKDOWN
-      console.log('🚨 EMERGENCY STEP 4: Transforming data with comprehensive OpEx breakdown...');
-      
-      const transformedData = await Promise.all(rawRentals.map(async (rental, index) => {
-        // Find matching vehicle by ID
-        const vehicle = vehicles.find(v => v.id === rental.vehicle_id);
-        
-        // Extract customer name from ANY possible field
-        const customerName = rental.customer_name || 
-                            rental.name || 
-                            rental.client_name ||
-                            rental.customer ||
-                            rental.user_name ||
-                            rental.renter_name ||
-                            `Customer-${rental.id}`;
-        
-        // Extract email from ANY possible field
-        const customerEmail = rental.customer_email || 
-                            rental.email || 
-                            rental.client_email ||
-                            rental.user_email ||
-                            '';
-        
-        // SEPARATE Vehicle and Model information
-        let plateNumber = 'N/A';
-        let vehicleModel = 'Unknown Model';
-        let vehicleDisplay = 'Unknown Vehicle';
-        
-        if (vehicle) {
-          plateNumber = vehicle.plate_number || 'N/A';
-          const make = vehicle.make || 'SEGWAY';
-          const model = vehicle.model || 'AT6';
-          
-          // Vehicle display shows plate number only
-          vehicleDisplay = plateNumber;
-          
-          // Model shows make and model
-          vehicleModel = `${make} ${model}`;
-        } else {
-          // Fallback when no vehicle found
-          vehicleDisplay = `Vehicle-${rental.vehicle_id || 'Unknown'}`;
-          vehicleModel = 'Unknown Model';
-          plateNumber = 'N/A';
-        }
-        
-        // Extract revenue from ANY possible field
-        const revenue = Number(rental.total_amount || 
-                              rental.amount || 
-                              rental.price || 
-                              rental.cost ||
-                              rental.rental_amount ||
-                              rental.daily_rate ||
-                              (1000 + Math.random() * 1500)); // Realistic fallback
-        
-        // Extract rental period for cost calculation
-        const startDate = rental.start_date || rental.rental_start_date || rental.created_at || new Date().toISOString();
-        const endDate = rental.end_date || rental.rental_end_date || rental.closed_at || rental.updated_at || new Date().toISOString();
-        
-        // COMPREHENSIVE OPEX CALCULATION
-        let maintenanceCosts = 0;
-        let fuelCosts = 0;
-        let inventoryCosts = 0;
-        let otherCosts = 0;
-        
-        if (rental.vehicle_id && vehicle) {
-          try {
-            const costsBreakdown = await this.getVehicleCostsBreakdown(rental.vehicle_id, startDate, endDate);
-            maintenanceCosts = costsBreakdown.maintenanceCosts;
-            fuelCosts = costsBreakdown.fuelCosts;
-            inventoryCosts = costsBreakdown.inventoryCosts;
-            otherCosts = costsBreakdown.otherCosts;
-          } catch (error) {
-            console.log(`⚠️ Cost calculation failed for vehicle ${rental.vehicle_id}, using estimates`);
-            // Fallback to percentage-based estimates
-            maintenanceCosts = Math.round(revenue * (0.12 + Math.random() * 0.08)); // 12-20%
-            fuelCosts = Math.round(revenue * (0.15 + Math.random() * 0.10)); // 15-25%
-            inventoryCosts = Math.round(revenue * (0.05 + Math.random() * 0.05)); // 5-10%
-            otherCosts = Math.round(revenue * (0.03 + Math.random() * 0.04)); // 3-7%
-          }
-        } else {
-          // Fallback estimates when no vehicle data
-          maintenanceCosts = Math.round(revenue * 0.15); // 15%
-          fuelCosts = Math.round(revenue * 0.20); // 20%
-          inventoryCosts = Math.round(revenue * 0.07); // 7%
-          otherCosts = Math.round(revenue * 0.05); // 5%
-        }
-        
-        const totalCosts = maintenanceCosts + fuelCosts + inventoryCosts + otherCosts;
-        const taxes = revenue * 0.12; // 12% taxes
-        const grossProfit = revenue - totalCosts - taxes;
-        const profitPercent = revenue > 0 ? (grossProfit / revenue) * 100 : 0;
-        
-        // Handle rental_id with multiple fallback strategies
-        let rentalId = rental.rental_id;
-        if (!rentalId) {
-          // Generate based on creation date and index
-          const date = new Date(rental.created_at || Date.now());
-          const year = date.getFullYear();
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const dayOfYear = Math.floor((date - new Date(year, 0, 0)) / (1000 * 60 * 60 * 24));
-          rentalId = `RNT-${year}-${String(dayOfYear + index).padStart(3, '0')}`;
-        }
-        
-        // Extract status
-        const status = rental.rental_status || 
-                      rental.status || 
-                      rental.state ||
-                      'completed';
-        
-        // Extract dates
-        const closedAt = rental.closed_at || 
-                        rental.completed_at ||
-                        rental.end_date ||
-                        rental.rental_end_date ||
-                        rental.updated_at ||
-                        rental.created_at || 
-                        new Date().toISOString();
-        
-        const transformedRow: RentalPLRow = {
-          id: rental.id,
-          rentalId: rentalId,
-          customer: customerName,
-          vehicleDisplay: vehicleDisplay, // Just plate number
-          plateNumber: plateNumber, // Separate plate number field
-          vehicleModel: vehicleModel, // Make and model
-          revenue: Math.round(revenue),
-          maintenanceCosts: Math.round(maintenanceCosts),
-          fuelCosts: Math.round(fuelCosts),
-          inventoryCosts: Math.round(inventoryCosts),
-          otherCosts: Math.round(otherCosts),
-          totalCosts: Math.round(totalCosts),
-          taxes: Math.round(taxes),
-          grossProfit: Math.round(grossProfit),
-          profitPercent: Math.round(profitPercent * 10) / 10,
-          closedAt: closedAt,
-          vehicleId: rental.vehicle_id || vehicle?.id || 'unknown',
-          customerId: customerEmail || customerName || rental.id,
-          status: status,
-          payment_status: rental.payment_status || 'paid'
-        };
-        
-        return transformedRow;
-      }));
-      
-      console.log('✅ ENHANCED Data transformation SUCCESS:', {
-        originalRecords: rawRentals.length,
-        transformedRecords: transformedData.length,
-        sampleTransformed: transformedData[0],
-        customerNames: transformedData.slice(0, 10).map(r => r.customer),
-        rentalIds: transformedData.slice(0, 10).map(r => r.rentalId),
-        plateNumbers: transformedData.slice(0, 10).map(r => r.plateNumber),
-        vehicleModels: transformedData.slice(0, 5).map(r => r.vehicleModel),
-        costsBreakdown: transformedData.slice(0, 3).map(r => ({
-          maintenance: r.maintenanceCosts,
-          fuel: r.fuelCosts,
-          inventory: r.inventoryCosts,
-          other: r.otherCosts,
-          total: r.totalCosts
-        }))
-      });
-      
-      // EMERGENCY STEP 5: Apply search filter if provided
-      let filteredData = transformedData;
-      if (searchTerm && searchTerm.trim()) {
-        const searchLower = searchTerm.toLowerCase();
-        filteredData = transformedData.filter(rental =>
-          rental.rentalId.toLowerCase().includes(searchLower) ||
-          rental.customer.toLowerCase().includes(searchLower) ||
-          rental.vehicleDisplay.toLowerCase().includes(searchLower) ||
-          rental.plateNumber.toLowerCase().includes(searchLower) ||
-          rental.vehicleModel.toLowerCase().includes(searchLower)
-        );
-        console.log(`🔍 Search filter applied for "${searchTerm}": ${filteredData.length} results`);
-      }
-      
-      // EMERGENCY STEP 6: Apply sorting
-      filteredData.sort((a, b) => {
-        let aValue = a[sortBy as keyof RentalPLRow];
-        let bValue = b[sortBy as keyof RentalPLRow];
-        
-        if (typeof aValue === 'number' && typeof bValue === 'number') {
-          return sortOrder === 'asc' ? aValue - bValue : bValue - aValue;
-        }
-        
-        aValue = String(aValue || '').toLowerCase();
-        bValue = String(bValue || '').toLowerCase();
-        
-        if (aValue < bValue) return sortOrder === 'asc' ? -1 : 1;
-        if (aValue > bValue) return sortOrder === 'asc' ? 1 : -1;
-        return 0;
-      });
-      
-      // EMERGENCY STEP 7: Apply pagination
-      const total = filteredData.length;
-      const pages = Math.ceil(total / pageSize);
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedData = filteredData.slice(startIndex, endIndex);
-      
-      console.log('🎉🎉🎉 ENHANCED SUCCESS - RENTAL P&L WITH OPEX LOADED:', {
-        totalRecords: total,
-        pages,
-        currentPage: page,
-        displayedRecords: paginatedData.length,
-        sampleCustomers: paginatedData.slice(0, 5).map(r => r.customer),
-        sampleRentalIds: paginatedData.slice(0, 5).map(r => r.rentalId),
-        samplePlateNumbers: paginatedData.slice(0, 5).map(r => r.plateNumber),
-        sampleVehicleModels: paginatedData.slice(0, 3).map(r => r.vehicleModel),
-        enhancedCostsBreakdown: paginatedData.slice(0, 3).map(r => ({
-          maintenance: r.maintenanceCosts,
-          fuel: r.fuelCosts,
-          inventory: r.inventoryCosts,
-          other: r.otherCosts,
-          total: r.totalCosts,
-          profit: r.grossProfit,
-          margin: r.profitPercent
-        })),
-        tableInfo: {
-          accessible: this.debugInfo.tableAccessible,
-          recordCount: this.debugInfo.recordCount,
-          hasRentalId: this.debugInfo.hasRentalId,
-          columns: this.debugInfo.columns
-        }
+    let query = supabase
+      .from(TABLE_NAMES.RENTALS)
+      .select(`*, vehicle:${TABLE_NAMES.VEHICLES}(id, name, model, plate_number)`)
+      .gte('rental_start_date', filters.startDate)
+      .lte('rental_start_date', `${filters.endDate}T23:59:59`)
+      .order('rental_start_date', { ascending: false });
+
+    if (filters.vehicleIds?.length > 0) query = query.in('vehicle_id', filters.vehicleIds);
+
+    const customerRentalIds = await this.getCustomerRentalIds(filters);
+    if (customerRentalIds) query = query.in('id', customerRentalIds.length ? customerRentalIds : ['00000000-0000-0000-0000-000000000000']);
+
+    const { data: rentals, error } = await query;
+    if (error) handleApiError(error, 'Rental P&L');
+    if (!rentals || rentals.length === 0) return { data: [], total: 0, pages: 0 };
+
+    const rentalLines = await LedgerService.getLines({ rentalIds: rentals.map(r => String(r.id)) });
+
+    // Vehicle costs not tied to a rental, within the rentals' span
+    const startDates = rentals.map(r => r.rental_start_date.slice(0, 10)).sort();
+    const endDates = rentals.map(r => (r.rental_end_date || r.rental_start_date).slice(0, 10)).sort();
+    const vehicleIds = [...new Set(rentals.map(r => String(r.vehicle_id)).filter(id => id && id !== 'null'))];
+    const vehicleCostLines = vehicleIds.length === 0 ? [] : (await LedgerService.getLines({
+      startDate: startDates[0],
+      endDate: endDates[endDates.length - 1],
+      vehicleIds
+    })).filter(line => !line.rental_id && line.account_type === 'expense');
+
+    const totalsByRental = new Map<string, PLTotals>();
+    rentals.forEach(rental => totalsByRental.set(String(rental.id), emptyTotals()));
+    rentalLines.forEach(line => {
+      const totals = totalsByRental.get(line.rental_id);
+      if (totals) addLineToTotals(totals, line);
+    });
+
+    vehicleCostLines.forEach(line => {
+      const sharing = rentals.filter(rental =>
+        String(rental.vehicle_id) === line.vehicle_id &&
+        rental.rental_start_date.slice(0, 10) <= line.entry_date &&
+        (rental.rental_end_date || rental.rental_start_date).slice(0, 10) >= line.entry_date &&
+        !['cancelled', 'refunded'].includes(rental.rental_status)
+      );
+      sharing.forEach(rental => {
+        const share = { ...line, debit_amount: line.debit_amount / sharing.length, credit_amount: line.credit_amount / sharing.length };
+        addLineToTotals(totalsByRental.get(String(rental.id))!, share);
       });
-      
-      return {
-        data: paginatedData,
-        total,
-        pages
-      };
-      
-    } catch (error) {
-      console.error('❌❌❌ ENHANCED RENTAL P&L COMPLETE FAILURE:', error);
-      console.error('❌ Error stack:', error.stack);
-      console.error('❌ Falling back to enhanced emergency data...');
-      return await this.generateEnhancedFallbackData(pageSize);
-    }
-  }
+    });
 
-  /**
-   * Generate ENHANCED fallback data with OpEx breakdown when everything fails
-   */
-  private async generateEnhancedFallbackData(pageSize: number): Promise<{ data: RentalPLRow[]; total: number; pages: number }> {
-    console.log('🚨🚨🚨 GENERATING ENHANCED FALLBACK DATA WITH OPEX - ALL SYSTEMS FAILED');
-    
-    // Use the EXACT customer names mentioned by the user
-    const realCustomers = ['kjbjk', 'Hshshs', 'kjgh'];
-    const additionalCustomers = ['Ahmed Hassan', 'Fatima Al-Zahra', 'Omar Benali', 'Aisha Mansouri', 'Youssef Alami', 'Laila Benjelloun', 'Rachid Tazi', 'Nadia Chraibi'];
-    const allCustomers = [...realCustomers, ...additionalCustomers];
-    
-    // Realistic plate numbers and vehicle combinations
-    const vehicleData = [
-      { plate: '41111', make: 'SEGWAY', model: 'AT6' },
-      { plate: '41888', make: 'SEGWAY', model: 'AT5' },
-      { plate: '40000', make: 'SEGWAY', model: 'AT6' },
-      { plate: '42000', make: 'SEGWAY', model: 'AT7' },
-      { plate: '43000', make: 'SEGWAY', model: 'AT8' },
-      { plate: 'ABC-123', make: 'SEGWAY', model: 'AT6' },
-      { plate: 'XYZ-789', make: 'SEGWAY', model: 'AT5' }
-    ];
-    
-    const mockData: RentalPLRow[] = Array.from({ length: 25 }, (_, i) => {
-      const revenue = 800 + Math.random() * 1400; // 800-2200 MAD
-      
-      // Realistic OpEx breakdown
-      const maintenanceCosts = Math.round(revenue * (0.12 + Math.random() * 0.08)); // 12-20%
-      const fuelCosts = Math.round(revenue * (0.15 + Math.random() * 0.10)); // 15-25%
-      const inventoryCosts = Math.round(revenue * (0.05 + Math.random() * 0.05)); // 5-10%
-      const otherCosts = Math.round(revenue * (0.03 + Math.random() * 0.04)); // 3-7%
-      const totalCosts = maintenanceCosts + fuelCosts + inventoryCosts + otherCosts;
-      const taxes = revenue * 0.12; // 12% taxes
-      const grossProfit = revenue - totalCosts - taxes;
-      
-      // Ensure the first 3 records use the exact customer names mentioned
-      const customerIndex = i < realCustomers.length ? i : (i % allCustomers.length);
-      const vehicleIndex = i % vehicleData.length;
-      const vehicleInfo = vehicleData[vehicleIndex];
-      
+    let rows: RentalPLRow[] = rentals.map(rental => {
+      const totals = totalsByRental.get(String(rental.id))!;
+      const totalCosts = totalCostsOf(totals);
+      const grossProfit = totals.revenue - totalCosts - totals.taxes;
+      const plateNumber = rental.vehicle?.plate_number || 'N/A';
       return {
-        id: `fallback_${i + 1}`,
-        rentalId: `RNT-2025-${String(i + 1).padStart(3, '0')}`,
-        customer: allCustomers[customerIndex],
-        vehicleDisplay: vehicleInfo.plate, // Just plate number
-        plateNumber: vehicleInfo.plate,
-        vehicleModel: `${vehicleInfo.make} ${vehicleInfo.model}`, // Make and model
-        revenue: Math.round(revenue),
-        maintenanceCosts: Math.round(maintenanceCosts),
-        fuelCosts: Math.round(fuelCosts),
-        inventoryCosts: Math.round(inventoryCosts),
-        otherCosts: Math.round(otherCosts),
-        totalCosts: Math.round(totalCosts),
-        taxes: Math.round(taxes),
-        grossProfit: Math.round(grossProfit),
-        profitPercent: Math.round((grossProfit / revenue) * 100 * 10) / 10,
-        closedAt: new Date(Date.now() - Math.random() * 60 * 24 * 60 * 60 * 1000).toISOString(), // Last 60 days
-        vehicleId: String(vehicleIndex + 1),
-        customerId: `customer_${i + 1}`,
-        status: ['completed', 'active', 'scheduled'][i % 3],
-        payment_status: ['paid', 'pending', 'partial'][i % 3]
+        id: String(rental.id),
+        rentalId: rental.rental_id || String(rental.id).slice(0, 8).toUpperCase(),
+        customer: rental.customer_name || 'Unknown customer',
+        vehicleDisplay: plateNumber,
+        plateNumber,
+        vehicleModel: rental.vehicle ? [rental.vehicle.name, rental.vehicle.model].filter(Boolean).join(' ') : 'Unknown Model',
+        revenue: round2(totals.revenue),
+        maintenanceCosts: round2(totals.maintenanceCosts),
+        fuelCosts: round2(totals.fuelCosts),
+        inventoryCosts: round2(totals.inventoryCosts),
+        otherCosts: round2(totals.otherCosts),
+        totalCosts: round2(totalCosts),
+        taxes: round2(totals.taxes),
+        grossProfit: round2(grossProfit),
+        profitPercent: totals.revenue ? Math.round((grossProfit / totals.revenue) * 1000) / 10 : 0,
+        closedAt: rental.rental_end_date || rental.rental_start_date,
+        vehicleId: String(rental.vehicle_id || ''),
+        customerId: customerKey(rental),
+        status: rental.rental_status || 'scheduled',
+        payment_status: rental.payment_status || 'unpaid'
       };
     });
-    
-    console.log('🚨 ENHANCED fallback data generated:', {
-      recordCount: mockData.length,
-      sampleCustomers: mockData.slice(0, 5).map(r => r.customer),
-      sampleRentalIds: mockData.slice(0, 5).map(r => r.rentalId),
-      samplePlateNumbers: mockData.slice(0, 5).map(r => r.plateNumber),
-      sampleVehicleModels: mockData.slice(0, 5).map(r => r.vehicleModel),
-      enhancedCostsBreakdown: mockData.slice(0, 3).map(r => ({
-        maintenance: r.maintenanceCosts,
-        fuel: r.fuelCosts,
-        inventory: r.inventoryCosts,
-        other: r.otherCosts,
-        total: r.totalCosts,
-        profit: r.grossProfit,
-        margin: r.profitPercent
-      })),
-      note: 'This is ENHANCED fallback data with OpEx breakdown - check console for database connection issues'
+
+    if (searchTerm && searchTerm.trim()) {
+      const searchLower = searchTerm.toLowerCase();
+      rows = rows.filter(row =>
+        row.rentalId.toLowerCase().includes(searchLower) ||
+        row.customer.toLowerCase().includes(searchLower) ||
+        row.plateNumber.toLowerCase().includes(searchLower) ||
+        row.vehicleModel.toLowerCase().includes(searchLower)
+      );
+    }
+
+    rows.sort((a, b) => {
+      const aValue = a[sortBy as keyof RentalPLRow];
+      const bValue = b[sortBy as keyof RentalPLRow];
+      if (typeof aValue === 'number' && typeof bValue === 'number') {
+        return sortOrder === 'asc' ? aValue - bValue : bValue - aValue;
+      }
+      const comparison = String(aValue || '').localeCompare(String(bValue || ''));
+      return sortOrder === 'asc' ? comparison : -comparison;
     });
-    
+
+    const total = rows.length;
+    const startIndex = (page - 1) * pageSize;
     return {
-      data: mockData.slice(0, pageSize),
-      total: mockData.length,
-      pages: Math.ceil(mockData.length / pageSize)
+      data: rows.slice(startIndex, startIndex + pageSize),
+      total,
+      pages: Math.ceil(total / pageSize)
     };
   }
 
+  // ============================================================================
+  // RECEIVABLES AND CUSTOMERS
+  // ============================================================================
+
   /**
-   * CRITICAL FIX: Emergency vehicle fetching with comprehensive plate number debugging
+   * Open receivable balance per customer as of the period end, aged from
+   * each rental's end date
    */
-  async getVehiclesEmergency(): Promise<Vehicle[]> {
-    try {
-      console.log('🚗🚗🚗 CRITICAL VEHICLE DEBUG: Fetching vehicles from saharax_0u4w4d_vehicles...');
-      
-      // STEP 1: Get ALL possible fields to debug plate number issue
-      const { data: vehicles, error } = await supabase
-        .from('saharax_0u4w4d_vehicles')
-        .select('*') // Select ALL fields to debug
-        .limit(50);
-      
-      console.log('🚗 CRITICAL VEHICLE QUERY RESULT:', {
-        recordCount: vehicles?.length || 0,
-        error: error?.message || null,
-        rawSampleVehicle: vehicles?.[0] || null
-      });
-      
-      if (error) {
-        console.error('❌ CRITICAL: Vehicle query failed:', error);
-        return this.generateComprehensiveFallbackVehicles();
-      }
-      
-      if (!vehicles || vehicles.length === 0) {
-        console.log('⚠️ CRITICAL: Vehicle query returned no data, using fallback');
-        return this.generateComprehensiveFallbackVehicles();
-      }
-      
-      // STEP 2: DEBUG - Log all available fields in first vehicle
-      console.log('🔍🔍🔍 CRITICAL PLATE NUMBER DEBUG:');
-      console.log('Available fields in vehicle record:', Object.keys(vehicles[0] || {}));
-      console.log('Sample vehicle data:', vehicles[0]);
-      
-      // STEP 3: COMPREHENSIVE plate number extraction with multiple field names
-      const processedVehicles = vehicles.map((vehicle, index) => {
-        // Try MULTIPLE possible field names for plate number
-        const plateNumber = vehicle.plate_number || 
-                           vehicle.plate || 
-                           vehicle.license_plate || 
-                           vehicle.registration_number || 
-                           vehicle.registration || 
-                           vehicle.vehicle_number ||
-                           vehicle.license_number ||
-                           vehicle.reg_number ||
-                           vehicle.number_plate ||
-                           vehicle.vehicle_plate ||
-                           `PLATE-${index + 1}`; // Fallback with index
-        
-        const make = vehicle.make || vehicle.brand || vehicle.manufacturer || 'SEGWAY';
-        const model = vehicle.model || vehicle.type || vehicle.variant || 'AT6';
-        
-        console.log(`🚗 Vehicle ${index + 1} processed:`, {
-          id: vehicle.id,
-          originalPlateField: vehicle.plate_number,
-          extractedPlate: plateNumber,
-          make: make,
-          model: model,
-          allFields: Object.keys(vehicle)
+  async getARAgingData(filters: FinanceFiltersV2): Promise<ARAgingData[]> {
+    const rentalIds = await this.getCustomerRentalIds(filters);
+    const lines = await LedgerService.getLines({
+      endDate: filters.endDate,
+      vehicleIds: filters.vehicleIds || [],
+      rentalIds,
+      reportGroups: ['receivable']
+    });
+
+    const balances = new Map<string, number>();
+    lines.forEach(line => {
+      if (!line.rental_id) return;
+      balances.set(line.rental_id, (balances.get(line.rental_id) || 0) + line.debit_amount - line.credit_amount);
+    });
+
+    const openIds = [...balances.entries()].filter(([, balance]) => balance > 0.005).map(([id]) => id);
+    const rentals = await this.getRentalsByIds(openIds);
+
+    const byCustomer = new Map<string, ARAgingData>();
+    openIds.forEach(rentalId => {
+      const rental = rentals.get(rentalId) || {};
+      const key = customerKey({ ...rental, id: rentalId });
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          customerId: key,
+          customerName: rental.customer_name || 'Unknown customer',
+          current: 0, days30: 0, days60: 0, days90: 0, over90: 0, totalOutstanding: 0
         });
-        
-        return {
-          ...vehicle,
-          make: make,
-          model: model,
-          plate_number: plateNumber,
-          display_name: `${plateNumber} - ${make} ${model}`,
-          is_active: true,
-          org_id: 'default'
-        };
-      });
-      
-      console.log('✅ CRITICAL SUCCESS: Vehicles processed with plate numbers:', {
-        totalVehicles: processedVehicles.length,
-        samplePlateNumbers: processedVehicles.slice(0, 5).map(v => v.plate_number),
-        sampleDisplayNames: processedVehicles.slice(0, 5).map(v => v.display_name)
-      });
-      
-      return processedVehicles;
-      
-    } catch (error) {
-      console.error('❌ CRITICAL: Vehicle fetch completely failed:', error);
-      return this.generateComprehensiveFallbackVehicles();
-    }
-  }
+      }
 
-  /**
-   * Generate comprehensive fallback vehicles with plate numbers
-   */
-  private generateComprehensiveFallbackVehicles(): Vehicle[] {
-    const fallbackVehicles = [
-      { id: '1', make: 'SEGWAY', model: 'AT6', plate_number: '41111' },
-      { id: '2', make: 'SEGWAY', model: 'AT5', plate_number: '41888' },
-      { id: '3', make: 'SEGWAY', model: 'AT6', plate_number: '40000' },
-      { id: '4', make: 'SEGWAY', model: 'AT7', plate_number: '42000' },
-      { id: '5', make: 'SEGWAY', model: 'AT8', plate_number: '43000' },
-      { id: '6', make: 'SEGWAY', model: 'AT6', plate_number: 'ABC-123' },
-      { id: '7', make: 'SEGWAY', model: 'AT5', plate_number: 'XYZ-789' }
-    ];
-    
-    return fallbackVehicles.map(v => ({
-      ...v,
-      is_active: true,
-      org_id: 'fallback',
-      display_name: `${v.plate_number} - ${v.make} ${v.model}`
-    }));
+      const row = byCustomer.get(key)!;
+      const balance = round2(balances.get(rentalId)!);
+      const dueDate = (rental.rental_end_date || rental.rental_start_date || filters.endDate).slice(0, 10);
+      const age = daysBetween(dueDate, filters.endDate);
+
+      if (age <= 0) row.current += balance;
+      else if (age <= 30) row.days30 += balance;
+      else if (age <= 60) row.days60 += balance;
+      else if (age <= 90) row.days90 += balance;
+      else row.over90 += balance;
+      row.totalOutstanding += balance;
+    });
+
+    return [...byCustomer.values()]
+      .map(row => ({
+        ...row,
+        current: round2(row.current),
+        days30: round2(row.days30),
+        days60: round2(row.days60),
+        days90: round2(row.days90),
+        over90: round2(row.over90),
+        totalOutstanding: round2(row.totalOutstanding)
+      }))
+      .sort((a, b) => b.totalOutstanding - a.totalOutstanding);
   }
 
   /**
-   * Get rental revenue with emergency debugging
+   * Per customer: revenue credited, revenue reversed (discounts and
+   * cancellations) and cash refunded in the period
    */
-  async getRentalRevenue(filters: FinanceFiltersV2): Promise<number> {
-    console.log('💵 EMERGENCY RENTAL REVENUE: Calculating from app_4c3a7a6153_rentals...');
-    
-    try {
-      const { data: rentals, error } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .select('total_amount, amount, price, cost, rental_amount, daily_rate')
-        .limit(200);
-      
-      console.log('💵 Revenue query result:', {
-        recordCount: rentals?.length || 0,
-        error: error?.message || null,
-        sampleAmounts: rentals?.slice(0, 5).map(r => ({
-          total_amount: r.total_amount,
-          amount: r.amount,
-          price: r.price,
-          cost: r.cost
-        })) || []
-      });
-      
-      if (error || !rentals || rentals.length === 0) {
-        console.error('❌ Revenue query failed, using fallback');
-        return 125000; // Higher realistic fallback
+  async getCustomerAnalysisData(filters: FinanceFiltersV2): Promise<CustomerAnalysisRow[]> {
+    const lines = (await this.getPeriodLines(filters)).filter(line => line.rental_id);
+    const rentals = await this.getRentalsByIds([...new Set(lines.map(line => line.rental_id))]);
+
+    const byCustomer = new Map<string, CustomerAnalysisRow & { rentalIds: Set<string> }>();
+    lines.forEach(line => {
+      const rental = rentals.get(line.rental_id) || { id: line.rental_id, customer_name: line.customer_name };
+      const key = customerKey(rental);
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          customerId: key,
+          customerName: rental.customer_name || 'Unknown customer',
+          rentals: 0, revenue: 0, discounts: 0, refunds: 0, net: 0,
+          lastActivity: line.entry_date,
+          rentalIds: new Set()
+        });
       }
-      
-      const totalRevenue = rentals.reduce((sum, rental) => {
-        const amount = Number(rental.total_amount || rental.amount || rental.price || rental.cost || rental.rental_amount || rental.daily_rate || 0);
-        return sum + amount;
-      }, 0);
-      
-      const finalRevenue = totalRevenue > 0 ? totalRevenue : 125000;
-      
-      console.log(`✅ Revenue calculated: ${finalRevenue} MAD from ${rentals.length} rentals`);
-      return finalRevenue;
-      
-    } catch (error) {
-      console.error('❌ Revenue calculation failed:', error);
-      return 125000;
-    }
+
+      const row = byCustomer.get(key)!;
+      row.rentalIds.add(line.rental_id);
+      if (line.entry_date > row.lastActivity) row.lastActivity = line.entry_date;
+
+      if (line.account_type === 'revenue') {
+        row.revenue += line.credit_amount;
+        row.discounts += line.debit_amount;
+      } else if (line.report_group === 'cash' && line.component === 'payment') {
+        row.refunds += line.credit_amount;
+      }
+    });
+
+    return [...byCustomer.values()].map(({ rentalIds, ...row }) => ({
+      ...row,
+      rentals: rentalIds.size,
+      revenue: round2(row.revenue),
+      discounts: round2(row.discounts),
+      refunds: round2(row.refunds),
+      net: round2(row.revenue - row.discounts)
+    }));
   }
 
   // ============================================================================
-  // ENHANCED FUNCTIONS WITH OPEX INTEGRATION
+  // EXPORTS
   // ============================================================================
 
-  async getVehicles(orgId: string = 'current'): Promise<Vehicle[]> {
-    return this.getVehiclesEmergency();
-  }
-
-  async getCustomers(orgId: string = 'current'): Promise<Customer[]> {
-    console.log('👥 EMERGENCY CUSTOMERS: Fetching from app_4c3a7a6153_rentals...');
-    
-    try {
-      const { data: rentals, error } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .select('customer_name, customer_email, name, email, client_name, client_email, user_name, user_email')
-        .limit(200);
-      
-      if (error || !rentals) {
-        console.error('❌ Customer query failed:', error);
-        return this.generateFallbackCustomers();
-      }
-      
-      const uniqueCustomers: Customer[] = [];
-      const seen = new Set();
-      
-      rentals.forEach(rental => {
-        const name = rental.customer_name || rental.name || rental.client_name || rental.user_name || 'Unknown Customer';
-        const email = rental.customer_email || rental.email || rental.client_email || rental.user_email || '';
-        const key = `${name}-${email}`;
-        
-        if (!seen.has(key) && name !== 'Unknown Customer') {
-          seen.add(key);
-          uniqueCustomers.push({
-            id: email || name,
-            name: name,
-            email: email,
-            org_id: 'default'
+  async exportPeriodPL(filters: FinanceFiltersV2): Promise<ExportData> {
+    const lines = await this.getPeriodLines(filters);
+    const headers = ['Account', 'Name', 'Type', 'Amount (MAD)'];
+
+    const byAccount = new Map<string, any>();
+    lines
+      .filter(line => line.account_type === 'revenue' || line.account_type === 'expense')
+      .forEach(line => {
+        if (!byAccount.has(line.account_code)) {
+          byAccount.set(line.account_code, {
+            'Account': line.account_code,
+            'Name': line.account_name,
+            'Type': line.account_type,
+            'Amount (MAD)': 0
           });
         }
+        byAccount.get(line.account_code)['Amount (MAD)'] += LedgerService.lineAmount(line);
       });
-      
-      console.log(`✅ Customers extracted: ${uniqueCustomers.length}`);
-      return uniqueCustomers.length > 0 ? uniqueCustomers : this.generateFallbackCustomers();
-      
-    } catch (error) {
-      console.error('❌ Customer fetch failed:', error);
-      return this.generateFallbackCustomers();
-    }
-  }
-
-  private generateFallbackCustomers(): Customer[] {
-    const customers = ['kjbjk', 'Hshshs', 'kjgh', 'Ahmed Hassan', 'Fatima Al-Zahra', 'Omar Benali'];
-    return customers.map((name, i) => ({
-      id: `customer_${i + 1}`,
-      name: name,
-      email: `${name.toLowerCase().replace(' ', '.')}@example.com`,
-      org_id: 'fallback'
-    }));
-  }
-
-  async getKPIData(filters: FinanceFiltersV2): Promise<KPIData> {
-    try {
-      const rentalRevenue = await this.getRentalRevenue(filters);
-      
-      const totalRevenue = rentalRevenue;
-      // Enhanced OpEx breakdown
-      const maintenanceCosts = totalRevenue * 0.18; // 18% maintenance
-      const fuelCosts = totalRevenue * 0.22; // 22% fuel
-      const inventoryCosts = totalRevenue * 0.08; // 8% inventory
-      const otherCosts = totalRevenue * 0.05; // 5% other
-      const totalExpenses = maintenanceCosts + fuelCosts + inventoryCosts + otherCosts;
-      const taxes = totalRevenue * 0.12; // 12% taxes
-      const grossProfit = totalRevenue - totalExpenses - taxes;
 
-      return {
-        totalRevenue,
-        totalExpenses,
-        maintenanceCosts,
-        fuelCosts,
-        inventoryCosts,
-        otherCosts,
-        taxes,
-        grossProfit,
-        revenueChange: 18.5,
-        expensesChange: -2.8,
-        taxesChange: 9.2,
-        profitChange: 28.7,
-        currency: 'MAD',
-        period: `${filters.startDate} – ${filters.endDate}`
-      };
-    } catch (error) {
-      console.error('❌ KPI calculation failed:', error);
-      return {
-        totalRevenue: 225000,
-        totalExpenses: 119250,
-        maintenanceCosts: 40500,
-        fuelCosts: 49500,
-        inventoryCosts: 18000,
-        otherCosts: 11250,
-        taxes: 27000,
-        grossProfit: 78750,
-        revenueChange: 18.5,
-        expensesChange: -2.8,
-        taxesChange: 9.2,
-        profitChange: 28.7,
-        currency: 'MAD',
-        period: `${filters.startDate} – ${filters.endDate}`
-      };
-    }
-  }
+    const totals = sumTotals(lines);
+    const data = [...byAccount.values()]
+      .sort((a, b) => a['Account'].localeCompare(b['Account']))
+      .map(row => ({ ...row, 'Amount (MAD)': round2(row['Amount (MAD)']) }));
+    data.push({
+      'Account': '',
+      'Name': 'Net result',
+      'Type': '',
+      'Amount (MAD)': round2(totals.revenue - totalCostsOf(totals) - totals.taxes)
+    });
 
-  async getTrendData(filters: FinanceFiltersV2): Promise<TrendData[]> {
-    const data: TrendData[] = [];
-    
-    for (let i = 0; i < 14; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const revenue = 12000 + Math.random() * 8000;
-      
-      // Enhanced OpEx breakdown for trends
-      const maintenanceCosts = revenue * (0.16 + Math.random() * 0.04);
-      const fuelCosts = revenue * (0.20 + Math.random() * 0.06);
-      const inventoryCosts = revenue * (0.06 + Math.random() * 0.04);
-      const totalExpenses = maintenanceCosts + fuelCosts + inventoryCosts;
-      
-      data.push({
-        date: date.toISOString().split('T')[0],
-        revenue: Math.round(revenue),
-        expenses: Math.round(totalExpenses),
-        maintenanceCosts: Math.round(maintenanceCosts),
-        fuelCosts: Math.round(fuelCosts),
-        inventoryCosts: Math.round(inventoryCosts),
-        taxes: Math.round(revenue * 0.12),
-        grossRevenue: Math.round(revenue),
-        netRevenue: Math.round(revenue * 0.88)
-      });
-    }
-    
-    return data.reverse();
+    return { filename: `period_pl_${filters.startDate}_${filters.endDate}.csv`, data, headers };
   }
 
-  async getTopVehiclesByProfit(filters: FinanceFiltersV2, limit: number = 5): Promise<VehicleProfitData[]> {
-    const vehicles = await this.getVehicles(filters.orgId);
-    
-    return vehicles.slice(0, limit).map((vehicle, index) => {
-      const revenue = 35000 - (index * 3000) + Math.random() * 5000;
-      
-      // Enhanced OpEx breakdown
-      const maintenanceCosts = revenue * (0.15 + Math.random() * 0.05);
-      const fuelCosts = revenue * (0.20 + Math.random() * 0.08);
-      const inventoryCosts = revenue * (0.07 + Math.random() * 0.03);
-      const otherCosts = revenue * (0.04 + Math.random() * 0.02);
-      const totalCosts = maintenanceCosts + fuelCosts + inventoryCosts + otherCosts;
-      const profit = revenue - totalCosts;
-      
-      return {
-        vehicleId: vehicle.id,
-        vehicleName: `${vehicle.plate_number} - ${vehicle.make} ${vehicle.model}`,
-        make: vehicle.make,
-        model: vehicle.model,
-        plateNumber: vehicle.plate_number,
-        revenue: Math.round(revenue),
-        maintenanceCosts: Math.round(maintenanceCosts),
-        fuelCosts: Math.round(fuelCosts),
-        inventoryCosts: Math.round(inventoryCosts),
-        otherCosts: Math.round(otherCosts),
-        totalCosts: Math.round(totalCosts),
-        profit: Math.round(profit),
-        profitMargin: Math.round((profit / revenue) * 100 * 10) / 10
-      };
-    }).sort((a, b) => b.profit - a.profit);
-  }
+  async exportVehicleProfitability(filters: FinanceFiltersV2): Promise<ExportData> {
+    const vehicles = await this.getTopVehiclesByProfit(filters, Number.MAX_SAFE_INTEGER);
+    const headers = ['Vehicle', 'Plate Number', 'Revenue (MAD)', 'Maintenance (MAD)', 'Fuel (MAD)', 'Parts (MAD)', 'Other (MAD)', 'Total Costs (MAD)', 'Profit (MAD)', 'Margin %'];
 
-  async getVehicleFinanceData(vehicleIds: string[], filters: FinanceFiltersV2): Promise<VehicleFinanceData> {
-    const lifetimeRevenue = 95000;
-    
-    // Enhanced OpEx breakdown
-    const lifetimeMaintenanceCosts = lifetimeRevenue * 0.17;
-    const lifetimeFuelCosts = lifetimeRevenue * 0.21;
-    const lifetimeInventoryCosts = lifetimeRevenue * 0.08;
-    const lifetimeOtherCosts = lifetimeRevenue * 0.04;
-    const lifetimeTotalCosts = lifetimeMaintenanceCosts + lifetimeFuelCosts + lifetimeInventoryCosts + lifetimeOtherCosts;
-    
     return {
-      lifetimeRevenue,
-      lifetimeMaintenanceCosts: Math.round(lifetimeMaintenanceCosts),
-      lifetimeFuelCosts: Math.round(lifetimeFuelCosts),
-      lifetimeInventoryCosts: Math.round(lifetimeInventoryCosts),
-      lifetimeOtherCosts: Math.round(lifetimeOtherCosts),
-      lifetimeTotalCosts: Math.round(lifetimeTotalCosts),
-      grossProfit: Math.round(lifetimeRevenue - lifetimeTotalCosts),
-      utilizationPercent: 88,
-      events: [],
-      trendData: []
+      filename: `vehicle_profitability_${filters.startDate}_${filters.endDate}.csv`,
+      headers,
+      data: vehicles.map(vehicle => ({
+        'Vehicle': vehicle.vehicleName,
+        'Plate Number': vehicle.plateNumber,
+        'Revenue (MAD)': vehicle.revenue,
+        'Maintenance (MAD)': vehicle.maintenanceCosts,
+        'Fuel (MAD)': vehicle.fuelCosts,
+        'Parts (MAD)': vehicle.inventoryCosts,
+        'Other (MAD)': vehicle.otherCosts,
+        'Total Costs (MAD)': vehicle.totalCosts,
+        'Profit (MAD)': vehicle.profit,
+        'Margin %': vehicle.profitMargin
+      }))
     };
   }
 
-  async getARAgingData(filters: FinanceFiltersV2): Promise<ARAgingData[]> {
-    return [];
-  }
-
-  async getCustomerAnalysisData(filters: FinanceFiltersV2): Promise<CustomerAnalysisRow[]> {
-    return [];
-  }
-
-  async exportPeriodPL(filters: FinanceFiltersV2): Promise<ExportData> {
-    return { filename: 'export.csv', data: [], headers: [] };
-  }
-
-  async exportVehicleProfitability(filters: FinanceFiltersV2): Promise<ExportData> {
-    return { filename: 'export.csv', data: [], headers: [] };
-  }
-
   async exportARAging(filters: FinanceFiltersV2): Promise<ExportData> {
-    return { filename: 'export.csv', data: [], headers: [] };
+    const aging = await this.getARAgingData(filters);
+    const headers = ['Customer', 'Current', '1-30 days', '31-60 days', '61-90 days', 'Over 90 days', 'Total Outstanding'];
+
+    return {
+      filename: `ar_aging_${filters.endDate}.csv`,
+      headers,
+      data: aging.map(row => ({
+        'Customer': row.customerName,
+        'Current': row.current,
+        '1-30 days': row.days30,
+        '31-60 days': row.days60,
+        '61-90 days': row.days90,
+        'Over 90 days': row.over90,
+        'Total Outstanding': row.totalOutstanding
+      }))
+    };
   }
 
   formatCurrencyDisplay(amount: number, currency: string = 'MAD'): string {
@@ -1,5 +1,7 @@
 import { supabase } from '../utils/supabaseClient';
 import videoCaptureService from './videoCaptureService';
+import StepUpService from './StepUpService';
+import PermissionService from './PermissionService';
 
 /**
  * Service for handling rental closing operations with video validation
@@ -20,7 +22,7 @@ class RentalClosingService {
         };
       }
 
-      const userRole = user.user_metadata?.role;
+      const userRole = await PermissionService.getMyRole();
       const canClose = ['owner', 'admin'].includes(userRole);
 
       return {
@@ -152,7 +154,7 @@ class RentalClosingService {
         rentalId,
         actionType: 'close_success',
         performedBy: user.id,
-        userRole: user.user_metadata?.role || 'unknown',
+        userRole: permissionCheck.userRole || 'unknown',
         success: true,
         sessionData: { videoId, method: 'video_validated' }
       });
@@ -173,7 +175,7 @@ class RentalClosingService {
           rentalId,
           actionType: 'close_failed',
           performedBy: user.id,
-          userRole: user.user_metadata?.role || 'unknown',
+          userRole: await PermissionService.getMyRole().catch(() => 'unknown'),
           success: false,
           failureReason: error.message
         });
@@ -184,133 +186,54 @@ class RentalClosingService {
   }
 
   /**
-   * Admin override close (without video)
+   * Admin override close (without video). The PIN and authenticator (or
+   * recovery) code are checked by the database, which also refuses the
+   * close without that check and writes both to the audit logs.
    */
   async adminOverrideClose(rentalId, reason, pin, totpCode) {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) {
-        throw new Error('User not authenticated');
-      }
-
-      const userRole = user.user_metadata?.role;
-      if (!['owner', 'admin'].includes(userRole)) {
-        throw new Error('Only Owner and Admin can use override');
-      }
-
-      // Validate PIN (simplified - in production, use proper hashing)
-      const isValidPin = await this.validateAdminPin(user.id, pin);
-      if (!isValidPin) {
-        throw new Error('Invalid PIN');
-      }
-
-      // Log override attempt
-      await videoCaptureService.logAuditEvent({
-        rentalId,
-        actionType: 'override_attempt',
-        performedBy: user.id,
-        userRole,
-        success: false,
-        overrideReason: reason
-      });
-
-      // Update rental with override flag
-      const { data: updatedRental, error: updateError } = await supabase
-        .from('app_4c3a7a6153_rentals')
-        .update({
-          rental_status: 'completed',
-          updated_at: new Date().toISOString(),
-          notes: `${updatedRental?.notes || ''}\n\n[ADMIN OVERRIDE] Closed without video by ${user.email}. Reason: ${reason}`
-        })
-        .eq('id', rentalId)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
-
-      // Log successful override
-      await videoCaptureService.logAuditEvent({
-        rentalId,
-        actionType: 'override_success',
-        performedBy: user.id,
-        userRole,
-        success: true,
-        overrideReason: reason,
-        overrideApprovedBy: user.id
-      });
-
-      return {
-        rental: updatedRental,
-        overrideUsed: true,
-        overrideReason: reason,
-        closedAt: new Date().toISOString(),
-        closedBy: user.id
-      };
-    } catch (error) {
-      console.error('Error in admin override:', error);
-      
-      // Log failure
-      const { data: { user } } = await supabase.auth.getUser();
-      if (user) {
-        await videoCaptureService.logAuditEvent({
-          rentalId,
-          actionType: 'override_attempt',
-          performedBy: user.id,
-          userRole: user.user_metadata?.role || 'unknown',
-          success: false,
-          failureReason: error.message,
-          overrideReason: reason
-        });
-      }
-      
-      throw error;
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to close without the video');
     }
-  }
 
-  /**
-   * Validate admin PIN (simplified implementation)
-   */
-  async validateAdminPin(userId, pin) {
-    try {
-      // In a real implementation, this would check against hashed PINs
-      // For demo purposes, we'll use a simple check
-      const { data, error } = await supabase
-        .from('admin_override_settings')
-        .select('pin_hash')
-        .eq('user_id', userId)
-        .eq('is_enabled', true)
-        .single();
+    const verification = await StepUpService.verify({
+      action: 'override_close',
+      targetIds: [rentalId],
+      pin,
+      code: totpCode
+    });
+    if (!verification.verified) {
+      throw new Error(verification.error);
+    }
 
-      if (error || !data) {
-        // If no PIN is set, create a default one (1234 for demo)
-        const defaultPinHash = await this.hashPin('1234');
-        await supabase
-          .from('admin_override_settings')
-          .upsert({
-            user_id: userId,
-            pin_hash: defaultPinHash,
-            is_enabled: true
-          });
-        return pin === '1234';
-      }
+    const updatedRental = await this.overrideClose(rentalId, reason);
 
-      const hashedPin = await this.hashPin(pin);
-      return hashedPin === data.pin_hash;
-    } catch (error) {
-      console.error('Error validating admin PIN:', error);
-      return false;
-    }
+    return {
+      rental: updatedRental,
+      overrideUsed: true,
+      overrideReason: reason,
+      closedAt: updatedRental.completed_at,
+      closedBy: user.id
+    };
   }
 
   /**
-   * Hash PIN (simplified - use proper crypto in production)
+   * Close a rental without its video once step-up verification for
+   * 'override_close' on it has been granted
    */
-  async hashPin(pin) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(pin);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  async overrideClose(rentalId, reason) {
+    const { data, error } = await supabase.rpc('override_close_rental', {
+      p_rental_id: rentalId,
+      p_reason: reason.trim()
+    });
+    if (error) {
+      console.error('Error in admin override:', error);
+      throw new Error(`Failed to close rental: ${error.message}`);
+    }
+    return data;
   }
 
   /**
@@ -1,13 +1,19 @@
 /**
  * Rental Status Management Service
  * Handles rental status transitions, validation, and time-based operations
+ *
+ * Time-based transitions (activation, overdue) are applied by the
+ * database status engine, run_rental_status_engine, every five minutes.
+ * See src/migrations/rental_status_engine.sql.
  */
 
+import { supabase } from '../lib/supabase';
 import { logRentalStart, logRentalComplete, logRentalCancel } from './auditLogService';
 
 // Rental status constants
 export const RENTAL_STATUS = {
   SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
   RENTED: 'rented',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
@@ -310,44 +316,55 @@ export const getTimeUntilEnd = (rental) => {
 };
 
 /**
- * Evaluate rental status based on current time and rental dates
- * Updated workflow: scheduled -> rented -> completed
+ * Evaluate rental status based on current time and rental dates, with the
+ * rules of the database status engine: a scheduled rental becomes active
+ * at its start time; a rental past its end stays out (overdue) until it
+ * is completed by staff. Used for previews; the engine applies them.
  * @param {Object} rental - Rental object with start/end dates and current status
  * @param {boolean} autoActivate - Whether auto-activation is enabled
+ * @param {boolean} requirePayment - Whether only paid rentals are activated
  * @returns {string} Updated rental status
  */
-export const evaluateRentalStatus = (rental, autoActivate = true) => {
+export const evaluateRentalStatus = (rental, autoActivate = true, requirePayment = true) => {
   // Don't override cancelled or refunded statuses
   if (rental.payment_status === 'refunded' || rental.rental_status === 'cancelled') {
     return rental.rental_status;
   }
 
-  const now = getCasablancaTime();
+  if (!rental.rental_start_date || !rental.rental_end_date) {
+    console.warn('⚠️ Missing rental dates for status evaluation:', rental.id);
+    return rental.rental_status || RENTAL_STATUS.SCHEDULED;
+  }
+
+  const now = new Date();
   const startDate = new Date(rental.rental_start_date);
   const endDate = new Date(rental.rental_end_date);
 
-  if (!startDate || !endDate) {
-    console.warn('⚠️ Missing rental dates for status evaluation:', rental.id);
-    return rental.rental_status || 'scheduled';
+  if (
+    rental.rental_status === RENTAL_STATUS.SCHEDULED &&
+    autoActivate &&
+    now >= startDate &&
+    now < endDate &&
+    (!requirePayment || rental.payment_status === 'paid')
+  ) {
+    return RENTAL_STATUS.ACTIVE;
   }
 
-  // Apply new status rules
-  if (now >= endDate) {
-    // Auto-complete when past end date
-    return 'completed';
-  } else if (now >= startDate && rental.rental_status === 'rented') {
-    // Stay rented if already rented and within rental period
-    return 'rented';
-  } else if (now >= startDate && autoActivate && rental.rental_status === 'scheduled') {
-    // Auto-activate if enabled and at/after start time
-    return 'rented';
-  } else if (now < startDate) {
-    // Before start time - stay scheduled unless manually activated
-    return rental.rental_status === 'rented' ? 'rented' : 'scheduled';
-  }
+  return rental.rental_status || RENTAL_STATUS.SCHEDULED;
+};
 
-  // Default fallback
-  return rental.rental_status || 'scheduled';
+/**
+ * Whether a rental out on the road is past its end date plus grace
+ * @param {Object} rental - Rental object
+ * @param {number} graceMinutes - Minutes allowed after the end date
+ * @returns {boolean}
+ */
+export const isRentalOverdue = (rental, graceMinutes = 0) => {
+  if (rental?.overdue_since) return true;
+  if (![RENTAL_STATUS.ACTIVE, RENTAL_STATUS.RENTED].includes(rental?.rental_status) || !rental.rental_end_date) {
+    return false;
+  }
+  return Date.now() > new Date(rental.rental_end_date).getTime() + graceMinutes * 60 * 1000;
 };
 
 /**
@@ -531,32 +548,64 @@ export const getStatusBadgeConfig = (status) => {
   };
 };
 
+// ---------- Status engine ----------
+
 /**
- * Log status change for audit trail
- * @param {Object} rental - Rental object
- * @param {string} oldStatus - Previous status
- * @param {string} newStatus - New status
- * @param {string} trigger - What triggered the change ('manual', 'auto', 'system')
- * @param {string} userId - User who made the change
+ * Run the database status engine now instead of waiting for its schedule
+ * @returns {Promise<Object|null>} The run's counts, or null when a run was already in progress
  */
-export const logStatusChange = (rental, oldStatus, newStatus, trigger, userId) => {
-  console.log(`Rental ${rental.id} status changed: ${oldStatus} → ${newStatus} (${trigger}) by ${userId}`);
-  
-  // This could be enhanced to send to analytics or logging service
-  const logEntry = {
-    rentalId: rental.id,
-    oldStatus,
-    newStatus,
-    trigger,
-    userId,
-    timestamp: getCasablancaTime().toISOString(),
-    timezone: 'Africa/Casablanca'
-  };
+export const runStatusEngine = async () => {
+  const { data, error } = await supabase.rpc('run_rental_status_engine');
 
-  // Store in local storage for debugging (remove in production)
-  const logs = JSON.parse(localStorage.getItem('rentalStatusLogs') || '[]');
-  logs.push(logEntry);
-  localStorage.setItem('rentalStatusLogs', JSON.stringify(logs.slice(-100))); // Keep last 100 logs
+  if (error) {
+    throw new Error(`Failed to run status engine: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * @param {number} limit - Number of runs to return
+ * @returns {Promise<Array>} Most recent engine runs first
+ */
+export const getStatusEngineRuns = async (limit = 10) => {
+  const { data, error } = await supabase
+    .from('rental_status_engine_runs')
+    .select('*')
+    .order('ran_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load status engine runs: ${error.message}`);
+  }
+  return data || [];
+};
+
+export const getStatusEngineSettings = async () => {
+  const { data, error } = await supabase
+    .from('rental_status_engine_settings')
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load status engine settings: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * @param {Object} settings - { auto_activate, require_payment_to_activate, overdue_grace_minutes, due_soon_hours }
+ */
+export const updateStatusEngineSettings = async (settings) => {
+  const { data, error } = await supabase
+    .from('rental_status_engine_settings')
+    .upsert({ id: true, ...settings, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save status engine settings: ${error.message}`);
+  }
+  return data;
 };
 
 export default {
@@ -573,10 +622,14 @@ export default {
   getTimeUntilStart,
   getTimeUntilEnd,
   evaluateRentalStatus,
+  isRentalOverdue,
   batchEvaluateRentalStatuses,
   sortRentalsByStatusAndTime,
   getAvailableActions,
   getStatusBadge,
   getStatusBadgeConfig,
-  logStatusChange
+  runStatusEngine,
+  getStatusEngineRuns,
+  getStatusEngineSettings,
+  updateStatusEngineSettings
 };
\ No newline at end of file
@@ -1,29 +1,30 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { supabase } from '../../utils/supabaseClient';
+import alertService from '../../services/AlertService';
 
 // Initial state
 const initialState = {
   alerts: [],
   isLoading: false,
+  loaded: false,
   error: null,
-  subscription: null,
 };
 
+// One realtime channel per app, however many components ask for it
+let alertsChannel = null;
+
 // Async thunks for interacting with Supabase
 export const fetchAlerts = createAsyncThunk(
   'alerts/fetchAlerts',
   async (_, { rejectWithValue }) => {
     try {
-      const { data, error } = await supabase
-        .from('app_3c652a5149_alerts')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      return data;
+      return await alertService.getAlerts();
     } catch (err) {
       return rejectWithValue(err.message);
     }
+  },
+  {
+    condition: (_, { getState }) => !getState().alerts.isLoading
   }
 );
 
@@ -31,15 +32,7 @@ export const markAlertAsRead = createAsyncThunk(
   'alerts/markAlertAsRead',
   async (alertId, { rejectWithValue }) => {
     try {
-      const { data, error } = await supabase
-        .from('app_3c652a5149_alerts')
-        .update({ is_read: true, read_at: new Date().toISOString() })
-        .eq('id', alertId)
-        .select('*')
-        .single();
-
-      if (error) throw error;
-      return data;
+      return await alertService.markAsRead(alertId);
     } catch (err) {
       return rejectWithValue(err.message);
     }
@@ -50,32 +43,51 @@ export const markAllAlertsAsRead = createAsyncThunk(
   'alerts/markAllAlertsAsRead',
   async (_, { rejectWithValue }) => {
     try {
-      const { data, error } = await supabase
-        .from('app_3c652a5149_alerts')
-        .update({ is_read: true, read_at: new Date().toISOString() })
-        .eq('is_read', false)
-        .select('*');
-
-      if (error) throw error;
-      return data;
+      return await alertService.markAllAsRead();
+    } catch (err) {
+      return rejectWithValue(err.message);
+    }
+  }
+);
+
+export const acknowledgeAlert = createAsyncThunk(
+  'alerts/acknowledgeAlert',
+  async (alertId, { rejectWithValue }) => {
+    try {
+      return await alertService.acknowledge(alertId);
+    } catch (err) {
+      return rejectWithValue(err.message);
+    }
+  }
+);
+
+export const snoozeAlert = createAsyncThunk(
+  'alerts/snoozeAlert',
+  async ({ alertId, minutes }, { rejectWithValue }) => {
+    try {
+      return await alertService.snooze(alertId, minutes);
+    } catch (err) {
+      return rejectWithValue(err.message);
+    }
+  }
+);
+
+export const resolveAlert = createAsyncThunk(
+  'alerts/resolveAlert',
+  async (alertId, { rejectWithValue }) => {
+    try {
+      return await alertService.resolve(alertId);
     } catch (err) {
       return rejectWithValue(err.message);
     }
   }
 );
 
-export const createAlert = createAsyncThunk(
-  'alerts/createAlert',
-  async (alertData, { rejectWithValue }) => {
+export const assignAlert = createAsyncThunk(
+  'alerts/assignAlert',
+  async ({ alertId, userId }, { rejectWithValue }) => {
     try {
-      const { data, error } = await supabase
-        .from('app_3c652a5149_alerts')
-        .insert([alertData])
-        .select('*')
-        .single();
-
-      if (error) throw error;
-      return data;
+      return await alertService.assign(alertId, userId);
     } catch (err) {
       return rejectWithValue(err.message);
     }
@@ -86,21 +98,23 @@ export const createAlert = createAsyncThunk(
 export const setupAlertsRealtimeSubscription = createAsyncThunk(
   'alerts/setupRealtimeSubscription',
   async (_, { dispatch }) => {
-    const subscription = supabase
+    if (alertsChannel) return;
+
+    alertsChannel = supabase
       .channel('alerts-channel')
-      .on('postgres_changes', 
-        { 
-          event: 'INSERT', 
-          schema: 'public', 
-          table: 'app_3c652a5149_alerts' 
-        }, 
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: alertService.TABLE
+        },
         (payload) => {
           // Update the redux store
           dispatch(alertAdded(payload.new));
-          
+
           // Dispatch a custom event for components to listen to
-          const event = new CustomEvent('supabase:alert-insert', { 
-            detail: payload.new 
+          const event = new CustomEvent('supabase:alert-insert', {
+            detail: payload.new
           });
           document.dispatchEvent(event);
         }
@@ -109,31 +123,35 @@ export const setupAlertsRealtimeSubscription = createAsyncThunk(
         {
           event: 'UPDATE',
           schema: 'public',
-          table: 'app_3c652a5149_alerts'
+          table: alertService.TABLE
         },
         (payload) => {
           dispatch(alertUpdated(payload.new));
         }
       )
       .subscribe();
-
-    return subscription;
   }
 );
 
+const upsertAlert = (state, alert) => {
+  const index = state.alerts.findIndex(existing => existing.id === alert.id);
+  if (index !== -1) {
+    state.alerts[index] = alert;
+  } else {
+    state.alerts.unshift(alert);
+  }
+};
+
 // Create the alerts slice
 const alertsSlice = createSlice({
   name: 'alerts',
   initialState,
   reducers: {
     alertAdded: (state, action) => {
-      state.alerts.unshift(action.payload);
+      upsertAlert(state, action.payload);
     },
     alertUpdated: (state, action) => {
-      const index = state.alerts.findIndex(alert => alert.id === action.payload.id);
-      if (index !== -1) {
-        state.alerts[index] = action.payload;
-      }
+      upsertAlert(state, action.payload);
     },
     setFilterOptions: (state, action) => {
       state.filterOptions = action.payload;
@@ -148,6 +166,7 @@ const alertsSlice = createSlice({
       })
       .addCase(fetchAlerts.fulfilled, (state, action) => {
         state.isLoading = false;
+        state.loaded = true;
         state.alerts = action.payload;
       })
       .addCase(fetchAlerts.rejected, (state, action) => {
@@ -155,34 +174,24 @@ const alertsSlice = createSlice({
         state.error = action.payload;
       })
 
-      // Handle markAlertAsRead
-      .addCase(markAlertAsRead.fulfilled, (state, action) => {
-        const index = state.alerts.findIndex(alert => alert.id === action.payload.id);
-        if (index !== -1) {
-          state.alerts[index] = action.payload;
-        }
-      })
-
       // Handle markAllAlertsAsRead
       .addCase(markAllAlertsAsRead.fulfilled, (state, action) => {
-        // Update each alert that was marked as read
-        action.payload.forEach(updatedAlert => {
-          const index = state.alerts.findIndex(alert => alert.id === updatedAlert.id);
-          if (index !== -1) {
-            state.alerts[index] = updatedAlert;
-          }
-        });
+        action.payload.forEach(updatedAlert => upsertAlert(state, updatedAlert));
       })
 
-      // Handle createAlert
-      .addCase(createAlert.fulfilled, (state, action) => {
-        state.alerts.unshift(action.payload);
-      })
-      
-      // Handle setupAlertsRealtimeSubscription
-      .addCase(setupAlertsRealtimeSubscription.fulfilled, (state, action) => {
-        state.subscription = action.payload;
-      });
+      // Single-alert workflow actions all return the updated row
+      .addMatcher(
+        (action) => [
+          markAlertAsRead.fulfilled.type,
+          acknowledgeAlert.fulfilled.type,
+          snoozeAlert.fulfilled.type,
+          resolveAlert.fulfilled.type,
+          assignAlert.fulfilled.type
+        ].includes(action.type),
+        (state, action) => {
+          upsertAlert(state, action.payload);
+        }
+      );
   },
 });
 
@@ -192,8 +201,14 @@ export const { alertAdded, alertUpdated, setFilterOptions } = alertsSlice.action
 // Selectors
 export const selectAllAlerts = (state) => state.alerts.alerts;
 export const selectIsLoading = (state) => state.alerts.isLoading;
+export const selectAlertsLoaded = (state) => state.alerts.loaded;
 export const selectError = (state) => state.alerts.error;
-export const selectUnreadAlertsCount = (state) => 
-  state.alerts.alerts.filter(alert => !alert.is_read).length;
+export const selectUnreadAlertsCount = (state) => {
+  const now = Date.now();
+  // Snoozed and resolved alerts do not count until they come back
+  return state.alerts.alerts.filter(alert =>
+    !alert.is_read && ['open', 'acknowledged'].includes(alertService.getAlertState(alert, now))
+  ).length;
+};
 
-export default alertsSlice.reducer;
\ No newline at end of file
+export default alertsSlice.reducer;
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import PricingService from '../../services/PricingService';
+import { calculateRentalPricing as quoteRentalPricing } from '../../utils/pricingHelpers';
 
 // Async thunks
 export const fetchPricingRules = createAsyncThunk(
@@ -21,7 +22,7 @@ export const calculateRentalPricing = createAsyncThunk(
   'pricing/calculateRental',
   async (rentalParams, { rejectWithValue }) => {
     try {
-      const result = await PricingService.calculateRentalPricing(rentalParams);
+      const result = await quoteRentalPricing(rentalParams);
       if (result.success) {
         return result;
       }
@@ -1,14 +1,103 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import DataExportService from '../../services/DataExportService';
 
 const initialState = {
   exports: [],
+  presets: [],
   isExporting: false,
+  isLoading: false,
   progress: 0,
+  currentJob: null,
   error: null,
   lastExport: null,
   exportCount: 0
 };
 
+const EXPORT_STEPS = 4;
+
+export const fetchExportHistory = createAsyncThunk(
+  'projectExport/fetchExportHistory',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await DataExportService.getHistory();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const runDataExport = createAsyncThunk(
+  'projectExport/runDataExport',
+  async (options, { dispatch, rejectWithValue }) => {
+    try {
+      return await DataExportService.runExport({
+        ...options,
+        onProgress: (step, label) => dispatch(setProgress({ step, label }))
+      });
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const redownloadExport = createAsyncThunk(
+  'projectExport/redownloadExport',
+  async (record, { rejectWithValue }) => {
+    try {
+      await DataExportService.downloadFromHistory(record);
+      return record.id;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteExport = createAsyncThunk(
+  'projectExport/deleteExport',
+  async (record, { rejectWithValue }) => {
+    try {
+      await DataExportService.deleteFromHistory(record);
+      return record.id;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchExportPresets = createAsyncThunk(
+  'projectExport/fetchExportPresets',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await DataExportService.getPresets();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const saveExportPreset = createAsyncThunk(
+  'projectExport/saveExportPreset',
+  async ({ preset, userId }, { rejectWithValue }) => {
+    try {
+      return await DataExportService.savePreset(preset, userId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteExportPreset = createAsyncThunk(
+  'projectExport/deleteExportPreset',
+  async (presetId, { rejectWithValue }) => {
+    try {
+      await DataExportService.deletePreset(presetId);
+      return presetId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 const projectExportSlice = createSlice({
   name: 'projectExport',
   initialState,
@@ -17,7 +106,19 @@ const projectExportSlice = createSlice({
       state.isExporting = action.payload;
     },
     setProgress: (state, action) => {
-      state.progress = action.payload;
+      if (typeof action.payload === 'number') {
+        state.progress = action.payload;
+        return;
+      }
+      const { step, label } = action.payload;
+      state.progress = Math.round((step / EXPORT_STEPS) * 100);
+      if (state.currentJob) {
+        state.currentJob.progress = {
+          currentStep: label,
+          totalSteps: EXPORT_STEPS,
+          currentStepProgress: step
+        };
+      }
     },
     addExport: (state, action) => {
       state.exports.push(action.payload);
@@ -33,7 +134,87 @@ const projectExportSlice = createSlice({
     resetProgress: (state) => {
       state.progress = 0;
       state.isExporting = false;
+    },
+    clearCurrentJob: (state) => {
+      state.currentJob = null;
+      state.progress = 0;
     }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchExportHistory.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(fetchExportHistory.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.exports = action.payload;
+        state.exportCount = action.payload.length;
+      })
+      .addCase(fetchExportHistory.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(runDataExport.pending, (state) => {
+        state.isExporting = true;
+        state.progress = 0;
+        state.error = null;
+        state.currentJob = {
+          status: 'processing',
+          progress: { currentStep: 'Starting export…', totalSteps: EXPORT_STEPS, currentStepProgress: 0 }
+        };
+      })
+      .addCase(runDataExport.fulfilled, (state, action) => {
+        state.isExporting = false;
+        state.progress = 100;
+        state.exports.unshift(action.payload);
+        state.exportCount += 1;
+        state.lastExport = action.payload;
+        state.currentJob = { ...action.payload, status: 'completed' };
+      })
+      .addCase(runDataExport.rejected, (state, action) => {
+        state.isExporting = false;
+        state.error = action.payload;
+        state.currentJob = { status: 'failed', error_message: action.payload };
+      })
+      .addCase(redownloadExport.fulfilled, (state, action) => {
+        const record = state.exports.find(item => item.id === action.payload);
+        if (record) {
+          record.download_count = (record.download_count || 0) + 1;
+        }
+      })
+      .addCase(redownloadExport.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteExport.fulfilled, (state, action) => {
+        state.exports = state.exports.filter(item => item.id !== action.payload);
+        state.exportCount = state.exports.length;
+      })
+      .addCase(deleteExport.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(fetchExportPresets.fulfilled, (state, action) => {
+        state.presets = action.payload;
+      })
+      .addCase(fetchExportPresets.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(saveExportPreset.fulfilled, (state, action) => {
+        const index = state.presets.findIndex(preset => preset.id === action.payload.id);
+        if (index >= 0) {
+          state.presets[index] = action.payload;
+        } else {
+          state.presets.push(action.payload);
+        }
+      })
+      .addCase(saveExportPreset.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteExportPreset.fulfilled, (state, action) => {
+        state.presets = state.presets.filter(preset => preset.id !== action.payload);
+      })
+      .addCase(deleteExportPreset.rejected, (state, action) => {
+        state.error = action.payload;
+      });
   }
 });
 
@@ -43,7 +224,8 @@ export const {
   addExport,
   setError,
   clearError,
-  resetProgress
+  resetProgress,
+  clearCurrentJob
 } = projectExportSlice.actions;
 
-export default projectExportSlice.reducer;
\ No newline at end of file
+export default projectExportSlice.reducer;
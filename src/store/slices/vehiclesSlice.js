@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { supabase } from '../../lib/supabase';
+import { TABLE_NAMES } from '../../config/tableNames';
 
 // Async thunk for fetching vehicles
 export const fetchVehicles = createAsyncThunk(
@@ -88,6 +89,65 @@ export const deleteVehicle = createAsyncThunk(
   }
 );
 
+// Async thunk for vehicles free over a period (used by QuadSelectionModal)
+export const getAvailableVehiclesForBooking = createAsyncThunk(
+  'vehicles/getAvailableVehiclesForBooking',
+  async ({ startDate, endDate, location, excludeTourBookingId = null }, { rejectWithValue }) => {
+    try {
+      const { data: allVehicles, error } = await supabase
+        .from('saharax_0u4w4d_vehicles')
+        .select('*')
+        .not('status', 'in', '(maintenance,out_of_service)')
+        .order('name', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const { data: overlapping, error: rentalsError } = await supabase
+        .from(TABLE_NAMES.RENTALS)
+        .select('vehicle_id')
+        .not('rental_status', 'in', '(cancelled,completed,refunded)')
+        .lt('rental_start_date', endDate)
+        .gt('rental_end_date', startDate);
+
+      if (rentalsError) {
+        throw rentalsError;
+      }
+
+      let tourQuery = supabase
+        .from('tour_vehicle_schedule')
+        .select('vehicle_id')
+        .lt('starts_at', endDate)
+        .gt('ends_at', startDate);
+
+      if (excludeTourBookingId) {
+        tourQuery = tourQuery.neq('booking_id', excludeTourBookingId);
+      }
+
+      const { data: onTours, error: toursError } = await tourQuery;
+
+      if (toursError) {
+        throw toursError;
+      }
+
+      const busyIds = new Set([
+        ...(overlapping || []).map(rental => rental.vehicle_id),
+        ...(onTours || []).map(assignment => assignment.vehicle_id)
+      ]);
+      const availableVehicles = (allVehicles || []).filter(vehicle => {
+        if (busyIds.has(vehicle.id)) return false;
+        if (location && vehicle.location && vehicle.location.toLowerCase() !== location.toLowerCase()) return false;
+        return true;
+      });
+
+      return { availableVehicles, allVehicles: allVehicles || [] };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Function to check vehicle alerts
 export const checkVehicleAlerts = (vehicleId) => {
   return (dispatch, getState) => {
@@ -220,7 +280,8 @@ const initialState = {
   vehicles: [],
   loading: false,
   error: null,
-  alerts: []
+  alerts: [],
+  availableForBooking: null
 };
 
 const vehiclesSlice = createSlice({
@@ -293,6 +354,19 @@ const vehiclesSlice = createSlice({
       .addCase(deleteVehicle.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      // Available vehicles for a booking period
+      .addCase(getAvailableVehiclesForBooking.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAvailableVehiclesForBooking.fulfilled, (state, action) => {
+        state.loading = false;
+        state.availableForBooking = action.payload;
+      })
+      .addCase(getAvailableVehiclesForBooking.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
       });
   }
 });
@@ -32,9 +32,9 @@ export const closeRentalWithVideo = createAsyncThunk(
 // Async thunk for admin override
 export const adminOverrideClose = createAsyncThunk(
   'videoClosing/adminOverrideClose',
-  async ({ rentalId, reason, pin }, { rejectWithValue }) => {
+  async ({ rentalId, reason, pin, totpCode }, { rejectWithValue }) => {
     try {
-      const result = await rentalClosingService.adminOverrideClose(rentalId, reason, pin);
+      const result = await rentalClosingService.adminOverrideClose(rentalId, reason, pin, totpCode);
       return result;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -0,0 +1,315 @@
+// Datasets of the Export module: how each one loads its rows for a date range
+// and vehicle, and which columns it writes. DataExportService builds them on
+// the browser's Supabase client and the run_scheduled_exports edge function on
+// its service role client, so a manual export and a scheduled one write the
+// same file. Only files that import nothing else may be imported here, with
+// their extension, so that Deno can load this module too.
+
+import { TABLE_NAMES } from '../config/tableNames.js';
+import { getMoroccoTodayString } from './moroccoTime.js';
+
+export const EXPORT_MAX_ROWS = 50000;
+
+const TIME_ZONE = 'Africa/Casablanca';
+
+const MAINTENANCE_TYPES = {
+  oil_change: 'Oil Change',
+  brake_service: 'Brake Service',
+  filter_replacement: 'Filter Replacement',
+  tire_service: 'Tire Service',
+  engine_service: 'Engine Service',
+  transmission_service: 'Transmission Service',
+  electrical_service: 'Electrical Service',
+  body_work: 'Body Work',
+  general_inspection: 'General Inspection',
+  other: 'Other'
+};
+
+const FUEL_TRANSACTION_TYPES = {
+  tank_refill: 'Tank Refill',
+  vehicle_refill: 'Vehicle Refill',
+  withdrawal: 'Withdrawal'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-GB', { timeZone: TIME_ZONE }) : '');
+const toNumber = (value) => (value === null || value === undefined || value === '' ? '' : Number(value));
+
+const runQuery = async (query) => {
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data || [];
+};
+
+// Column definitions shared by the fuel CSV button and the Export module
+export const FUEL_TRANSACTION_COLUMNS = [
+  {
+    key: 'transaction_date',
+    header: 'Date',
+    value: (row) => new Date(row.transaction_date).toLocaleDateString('en-US', { timeZone: TIME_ZONE })
+  },
+  { key: 'transaction_type', header: 'Type', value: (row) => FUEL_TRANSACTION_TYPES[row.transaction_type] || row.transaction_type },
+  { key: 'vehicle', header: 'Vehicle', value: (row) => row.saharax_0u4w4d_vehicles?.name || '—' },
+  { key: 'plate_number', header: 'Plate Number', value: (row) => row.saharax_0u4w4d_vehicles?.plate_number || '—' },
+  { key: 'amount', header: 'Amount (L)', value: (row) => row.amount || '' },
+  { key: 'cost', header: 'Cost (MAD)', value: (row) => row.cost || '' },
+  {
+    key: 'cost_per_liter',
+    header: 'Cost per Liter (MAD)',
+    value: (row) => (row.amount > 0 && row.cost > 0 ? Number((row.cost / row.amount).toFixed(2)) : '')
+  },
+  { key: 'fuel_station', header: 'Fuel Station' },
+  { key: 'location', header: 'Location' },
+  { key: 'odometer_reading', header: 'Odometer Reading (km)' },
+  { key: 'filled_by', header: 'Filled By' },
+  { key: 'notes', header: 'Notes' }
+];
+
+// Same unified rows as FuelTransactionService.getAllTransactions
+const fetchFuelTransactions = async (client, { from, to, vehicleId }) => {
+  const [tankRefills, vehicleRefills, withdrawals] = await Promise.all([
+    runQuery(client.from('fuel_refills').select('*, tank:fuel_tanks(id, name)')),
+    runQuery(client.from('vehicle_fuel_refills').select(`*, ${TABLE_NAMES.VEHICLES}(id, name, plate_number)`)),
+    runQuery(client.from('fuel_withdrawals').select(`*, vehicle:${TABLE_NAMES.VEHICLES}(id, name, plate_number), tank:fuel_tanks(id, name)`))
+  ]);
+
+  const refillCost = (refill) => {
+    if (parseFloat(refill.total_cost) > 0) return parseFloat(refill.total_cost);
+    const liters = parseFloat(refill.liters_added) || parseFloat(refill.liters) || 0;
+    const unitPrice = parseFloat(refill.unit_price) || parseFloat(refill.price_per_liter) || 0;
+    return liters > 0 && unitPrice > 0 ? liters * unitPrice : 0;
+  };
+  const refillRow = (transactionType) => (refill) => ({
+    transaction_date: refill.refill_date,
+    transaction_type: transactionType,
+    amount: parseFloat(refill.liters) || parseFloat(refill.liters_added) || 0,
+    cost: refillCost(refill),
+    fuel_station: refill.fuel_station || (transactionType === 'vehicle_refill' ? 'Direct Fill' : 'Main Station'),
+    location: refill.location || '',
+    odometer_reading: refill.odometer_reading || null,
+    notes: refill.notes || '',
+    filled_by: refill.refilled_by || refill.filled_by || '',
+    vehicle_id: refill.vehicle_id,
+    saharax_0u4w4d_vehicles: transactionType === 'vehicle_refill' ? refill.saharax_0u4w4d_vehicles || null : null
+  });
+
+  const endOfDay = to ? new Date(`${to}T23:59:59.999`) : null;
+  return [
+    ...tankRefills.map(refillRow('tank_refill')),
+    ...vehicleRefills.map(refillRow('vehicle_refill')),
+    ...withdrawals.map(withdrawal => ({
+      transaction_date: withdrawal.withdrawal_date,
+      transaction_type: 'withdrawal',
+      amount: parseFloat(withdrawal.liters_taken) || 0,
+      cost: 0,
+      fuel_station: withdrawal.tank?.name || 'Main Tank',
+      location: '',
+      odometer_reading: withdrawal.odometer_reading || null,
+      notes: withdrawal.notes || '',
+      filled_by: withdrawal.filled_by || '',
+      vehicle_id: withdrawal.vehicle_id,
+      saharax_0u4w4d_vehicles: withdrawal.vehicle || null
+    }))
+  ]
+    .filter(row => !vehicleId || row.vehicle_id === vehicleId)
+    .filter(row => !from || new Date(row.transaction_date) >= new Date(from))
+    .filter(row => !endOfDay || new Date(row.transaction_date) <= endOfDay)
+    .sort((a, b) => new Date(b.transaction_date) - new Date(a.transaction_date))
+    .slice(0, EXPORT_MAX_ROWS);
+};
+
+/**
+ * Build the export datasets on a Supabase client
+ * @param {Object} client - Browser or service role Supabase client
+ * @returns {Object} Dataset key -> { label, supportsVehicle, fetch, columns }
+ */
+export const createExportDatasets = (client) => ({
+  rentals: {
+    label: 'Rentals',
+    supportsVehicle: true,
+    fetch: ({ from, to, vehicleId }) => {
+      let query = client
+        .from(TABLE_NAMES.RENTALS)
+        .select(`*, vehicle:${TABLE_NAMES.VEHICLES}(name, plate_number)`)
+        .order('rental_start_date', { ascending: true })
+        .limit(EXPORT_MAX_ROWS);
+      if (from) query = query.gte('rental_start_date', from);
+      if (to) query = query.lte('rental_start_date', `${to}T23:59:59`);
+      if (vehicleId) query = query.eq('vehicle_id', vehicleId);
+      return runQuery(query);
+    },
+    columns: [
+      { key: 'id', header: 'Rental ID' },
+      { key: 'customer_name', header: 'Customer' },
+      { key: 'customer_phone', header: 'Phone' },
+      { key: 'customer_email', header: 'Email' },
+      { key: 'vehicle', header: 'Vehicle', value: (row) => row.vehicle?.name || '' },
+      { key: 'plate_number', header: 'Plate Number', value: (row) => row.vehicle?.plate_number || '' },
+      { key: 'rental_type', header: 'Rental Type' },
+      { key: 'rental_start_date', header: 'Start', value: (row) => formatDateTime(row.rental_start_date) },
+      { key: 'rental_end_date', header: 'End', value: (row) => formatDateTime(row.rental_end_date) },
+      { key: 'rental_status', header: 'Status' },
+      { key: 'payment_status', header: 'Payment Status' },
+      { key: 'total_amount', header: 'Total (MAD)', value: (row) => toNumber(row.total_amount) },
+      { key: 'deposit_amount', header: 'Deposit (MAD)', value: (row) => toNumber(row.deposit_amount) },
+      { key: 'remaining_amount', header: 'Remaining (MAD)', value: (row) => toNumber(row.remaining_amount) }
+    ]
+  },
+
+  customers: {
+    label: 'Customers',
+    supportsVehicle: false,
+    fetch: ({ from, to }) => {
+      let query = client
+        .from('app_4c3a7a6153_customers')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(EXPORT_MAX_ROWS);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lte('created_at', `${to}T23:59:59`);
+      return runQuery(query);
+    },
+    columns: [
+      { key: 'id', header: 'Customer ID' },
+      { key: 'full_name', header: 'Full Name' },
+      { key: 'phone', header: 'Phone' },
+      { key: 'email', header: 'Email' },
+      { key: 'nationality', header: 'Nationality' },
+      { key: 'id_number', header: 'ID Number' },
+      { key: 'licence_number', header: 'Licence Number' },
+      { key: 'licence_expiry_date', header: 'Licence Expiry' },
+      { key: 'address', header: 'Address' },
+      { key: 'created_at', header: 'Created', value: (row) => formatDateTime(row.created_at) }
+    ]
+  },
+
+  fuel_transactions: {
+    label: 'Fuel transactions',
+    supportsVehicle: true,
+    fetch: (range) => fetchFuelTransactions(client, range),
+    columns: FUEL_TRANSACTION_COLUMNS
+  },
+
+  maintenance: {
+    label: 'Maintenance records',
+    supportsVehicle: true,
+    fetch: ({ from, to, vehicleId }) => {
+      let query = client
+        .from('app_687f658e98_maintenance')
+        .select(`*, vehicle:${TABLE_NAMES.VEHICLES}(name, plate_number)`)
+        .order('service_date', { ascending: true })
+        .limit(EXPORT_MAX_ROWS);
+      if (from) query = query.gte('service_date', from);
+      if (to) query = query.lte('service_date', to);
+      if (vehicleId) query = query.eq('vehicle_id', vehicleId);
+      return runQuery(query);
+    },
+    columns: [
+      { key: 'id', header: 'Record ID' },
+      { key: 'service_date', header: 'Service Date' },
+      { key: 'vehicle', header: 'Vehicle', value: (row) => row.vehicle?.name || '' },
+      { key: 'plate_number', header: 'Plate Number', value: (row) => row.vehicle?.plate_number || '' },
+      {
+        key: 'maintenance_type',
+        header: 'Type',
+        value: (row) => MAINTENANCE_TYPES[row.maintenance_type] || row.maintenance_type || ''
+      },
+      { key: 'status', header: 'Status' },
+      { key: 'cost', header: 'Cost (MAD)', value: (row) => parseFloat(row.cost) || 0 },
+      { key: 'odometer_reading', header: 'Odometer (km)' },
+      { key: 'technician', header: 'Technician' },
+      { key: 'notes', header: 'Notes' }
+    ]
+  },
+
+  inventory_movements: {
+    label: 'Inventory movements',
+    supportsVehicle: false,
+    fetch: ({ from, to }) => {
+      let query = client
+        .from('saharax_0u4w4d_inventory_movements')
+        .select('*, item:saharax_0u4w4d_inventory_items(id, name, sku, unit)')
+        .order('created_at', { ascending: false })
+        .limit(EXPORT_MAX_ROWS);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lte('created_at', `${to}T23:59:59`);
+      return runQuery(query);
+    },
+    columns: [
+      { key: 'created_at', header: 'Date', value: (row) => formatDateTime(row.created_at) },
+      { key: 'item', header: 'Item', value: (row) => row.item?.name || '' },
+      { key: 'sku', header: 'SKU', value: (row) => row.item?.sku || '' },
+      { key: 'movement_type', header: 'Direction' },
+      { key: 'quantity', header: 'Quantity', value: (row) => toNumber(row.quantity) },
+      { key: 'unit_cost', header: 'Unit Cost (MAD)', value: (row) => toNumber(row.unit_cost) },
+      {
+        key: 'total_cost',
+        header: 'Total Cost (MAD)',
+        value: (row) => Number(((Number(row.quantity) || 0) * (Number(row.unit_cost) || 0)).toFixed(2))
+      },
+      { key: 'reference_type', header: 'Reference Type' },
+      { key: 'reference_id', header: 'Reference' },
+      { key: 'notes', header: 'Notes' }
+    ]
+  },
+
+  finance_ledger: {
+    label: 'Finance ledger',
+    supportsVehicle: true,
+    fetch: async ({ from, to, vehicleId }) => {
+      let query = client
+        .from('finance_journal_lines')
+        .select('*, entry:finance_journal_entries!inner(entry_date, description, reference_type, reference_id)')
+        .limit(EXPORT_MAX_ROWS);
+      if (from) query = query.gte('entry.entry_date', from);
+      if (to) query = query.lte('entry.entry_date', to);
+      if (vehicleId) query = query.eq('metadata->>vehicle_id', String(vehicleId));
+      const lines = await runQuery(query);
+      // Ordering by an embedded column only sorts the embed, so sort here
+      return lines.sort((a, b) => (a.entry?.entry_date || '').localeCompare(b.entry?.entry_date || ''));
+    },
+    columns: [
+      { key: 'entry_date', header: 'Date', value: (row) => row.entry?.entry_date || '' },
+      { key: 'entry_description', header: 'Entry', value: (row) => row.entry?.description || '' },
+      { key: 'reference_type', header: 'Reference Type', value: (row) => row.entry?.reference_type || '' },
+      { key: 'reference_id', header: 'Reference', value: (row) => row.entry?.reference_id || '' },
+      { key: 'account_code', header: 'Account' },
+      { key: 'description', header: 'Line' },
+      { key: 'debit_amount', header: 'Debit (MAD)', value: (row) => toNumber(row.debit_amount) },
+      { key: 'credit_amount', header: 'Credit (MAD)', value: (row) => toNumber(row.credit_amount) }
+    ]
+  }
+});
+
+/**
+ * Turn preset filters into concrete YYYY-MM-DD bounds
+ * @param {Object} filters - { range, from, to }
+ * @returns {{ from: string|null, to: string|null }}
+ */
+export const resolveExportDateRange = (filters = {}, today = getMoroccoTodayString()) => {
+  const [year, month, day] = today.split('-').map(Number);
+  const iso = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  switch (filters.range) {
+    case 'last_7_days':
+      return { from: iso(new Date(year, month - 1, day - 6)), to: today };
+    case 'last_30_days':
+      return { from: iso(new Date(year, month - 1, day - 29)), to: today };
+    case 'this_month':
+      return { from: iso(new Date(year, month - 1, 1)), to: today };
+    case 'last_month':
+      return { from: iso(new Date(year, month - 2, 1)), to: iso(new Date(year, month - 1, 0)) };
+    default:
+      return { from: filters.from || null, to: filters.to || null };
+  }
+};
+
+export const buildExportFileName = (datasetKey, extension, { from, to }) => {
+  const period = from || to ? `_${from || 'start'}_to_${to || 'today'}` : `_${getMoroccoTodayString()}`;
+  return `${datasetKey}${period}.${extension}`;
+};
@@ -0,0 +1,114 @@
+// Serialisers shared by every data export: CSV, XLSX and JSON.
+// A column is { key, header, value? } where value(row) overrides row[key].
+//
+// This file imports nothing so the run_scheduled_exports edge function can
+// import it as well; callers pass their own JSZip for XLSX. The browser uses
+// it through utils/exportFormats.js.
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+const getCellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined || value === null ? '' : value;
+};
+
+const escapeCsvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (columns, rows) => [
+  columns.map(column => escapeCsvField(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvField(getCellValue(column, row))).join(','))
+].join('\n');
+
+export const toJSON = (columns, rows) => JSON.stringify(
+  rows.map(row => columns.reduce((record, column) => {
+    record[column.key] = getCellValue(column, row);
+    return record;
+  }, {})),
+  null,
+  2
+);
+
+// ---------- XLSX (minimal SpreadsheetML package, one sheet, inline strings) ----------
+
+// Control characters other than tab, line feed and carriage return are not allowed in XML 1.0
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+const escapeXml = (value) => Array.from(String(value)).filter(isXmlChar).join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+const xlsxCell = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+export const toXLSX = (columns, rows, sheetName, JSZip) => {
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Export');
+
+  const sheetRows = [
+    columns.map(column => column.header),
+    ...rows.map(row => columns.map(column => getCellValue(column, row)))
+  ].map((values, rowIndex) =>
+    `<row r="${rowIndex + 1}">${values.map((value, columnIndex) =>
+      xlsxCell(value, `${columnLetter(columnIndex)}${rowIndex + 1}`)
+    ).join('')}</row>`
+  ).join('');
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`);
+  zip.file('_rels/.rels', `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+  zip.file('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`);
+  zip.file('xl/worksheets/sheet1.xml', `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`);
+
+  return zip.generateAsync({ type: 'blob', mimeType: EXPORT_FORMATS.xlsx.mimeType });
+};
+
+/**
+ * Build an export file in the requested format
+ * @param {Function} JSZip - JSZip constructor, used for XLSX
+ * @returns {Promise<Blob>}
+ */
+export const buildExportFile = async (format, columns, rows, sheetName, JSZip) => {
+  switch (format) {
+    case 'csv':
+      // BOM so Excel opens UTF-8 (Arabic / accented names) correctly
+      return new Blob(['\uFEFF', toCSV(columns, rows)], { type: EXPORT_FORMATS.csv.mimeType });
+    case 'json':
+      return new Blob([toJSON(columns, rows)], { type: EXPORT_FORMATS.json.mimeType });
+    case 'xlsx':
+      return toXLSX(columns, rows, sheetName, JSZip);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
@@ -0,0 +1,21 @@
+// Browser side of the data exports: the serialisers of exportFiles.js bound to
+// the bundled JSZip, and saving a file to the user's disk.
+
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import * as exportFiles from './exportFiles.js';
+
+export { EXPORT_FORMATS, toCSV, toJSON } from './exportFiles.js';
+
+export const toXLSX = (columns, rows, sheetName = 'Export') => exportFiles.toXLSX(columns, rows, sheetName, JSZip);
+
+/**
+ * Build an export file in the requested format
+ * @returns {Promise<Blob>}
+ */
+export const buildExportFile = (format, columns, rows, sheetName) =>
+  exportFiles.buildExportFile(format, columns, rows, sheetName, JSZip);
+
+export const downloadBlob = (blob, filename) => {
+  saveAs(blob, filename);
+};
@@ -1,5 +1,7 @@
 // Utility functions for formatting data in the Fuel Management System
 
+import { toCSV, downloadBlob } from './exportFormats';
+
 export const formatCurrency = (amount) => {
   if (amount === null || amount === undefined || isNaN(amount)) {
     return 'N/A';
@@ -82,48 +84,27 @@ export const exportToCSV = (data, filename = 'fuel_transactions') => {
     return;
   }
 
-  const headers = [
-    'Date & Time',
-    'Vehicle',
-    'Plate Number',
-    'Type',
-    'Amount (L)',
-    'Fuel Type',
-    'Cost (MAD)',
-    'Cost per Liter (MAD)',
-    'Station',
-    'Location',
-    'Odometer',
-    'Notes'
+  const columns = [
+    { key: 'transaction_date', header: 'Date & Time', value: (transaction) => formatDate(transaction.transaction_date) },
+    { key: 'vehicle', header: 'Vehicle', value: (transaction) => transaction.vehicle?.name || 'N/A' },
+    { key: 'plate_number', header: 'Plate Number', value: (transaction) => transaction.vehicle?.plate_number || 'N/A' },
+    { key: 'transaction_type', header: 'Type' },
+    { key: 'amount', header: 'Amount (L)' },
+    { key: 'fuel_type', header: 'Fuel Type', value: (transaction) => transaction.fuel_type || 'N/A' },
+    { key: 'cost', header: 'Cost (MAD)', value: (transaction) => transaction.cost || 'N/A' },
+    {
+      key: 'cost_per_liter',
+      header: 'Cost per Liter (MAD)',
+      value: (transaction) => calculateCostPerLiter(transaction.cost, transaction.amount).toFixed(2)
+    },
+    { key: 'fuel_station', header: 'Station', value: (transaction) => transaction.fuel_station || 'N/A' },
+    { key: 'location', header: 'Location', value: (transaction) => transaction.location || 'N/A' },
+    { key: 'odometer_reading', header: 'Odometer', value: (transaction) => transaction.odometer_reading || 'N/A' },
+    { key: 'notes', header: 'Notes' }
   ];
 
-  const csvContent = [
-    headers.join(','),
-    ...data.map(transaction => [
-      formatDate(transaction.transaction_date),
-      transaction.vehicle?.name || 'N/A',
-      transaction.vehicle?.plate_number || 'N/A',
-      transaction.transaction_type,
-      transaction.amount,
-      transaction.fuel_type || 'N/A',
-      transaction.cost || 'N/A',
-      calculateCostPerLiter(transaction.cost, transaction.amount).toFixed(2),
-      transaction.fuel_station || 'N/A',
-      transaction.location || 'N/A',
-      transaction.odometer_reading || 'N/A',
-      `"${transaction.notes || ''}"` // Wrap notes in quotes to handle commas
-    ].join(','))
-  ].join('\n');
-
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  link.setAttribute('href', url);
-  link.setAttribute('download', `${filename}_${new Date().toISOString().split('T')[0]}.csv`);
-  link.style.visibility = 'hidden';
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  const blob = new Blob([toCSV(columns, data)], { type: 'text/csv;charset=utf-8;' });
+  downloadBlob(blob, `${filename}_${new Date().toISOString().split('T')[0]}.csv`);
 };
 
 export const getQuickDateRanges = () => {
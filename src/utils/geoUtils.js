@@ -0,0 +1,76 @@
+// Geometry helpers for vehicle positions and geofences.
+// Polygons are arrays of [latitude, longitude] pairs, as stored in geofences.polygon.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points in kilometres
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting; zones are a few km across so a flat projection is accurate enough
+export const isPointInPolygon = (lat, lng, polygon) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (lngI > lng) !== (lngJ > lng) &&
+      lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Parse "lat, lng" lines (one point per line) into a polygon
+export const parseCoordinateList = (text) => {
+  const points = (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line.split(/[,\s;]+/).map(Number));
+
+  const invalid = points.find(([lat, lng]) =>
+    !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180
+  );
+  if (invalid) {
+    throw new Error(`Invalid coordinate: ${invalid.join(', ')}`);
+  }
+  if (points.length < 3) {
+    throw new Error('A zone needs at least 3 points');
+  }
+  return points.map(([lat, lng]) => [lat, lng]);
+};
+
+export const formatCoordinateList = (polygon) =>
+  (polygon || []).map(([lat, lng]) => `${lat}, ${lng}`).join('\n');
+
+// Bounding box of a set of [lat, lng] points, padded by a fraction of its size
+export const getBounds = (points, padding = 0.1) => {
+  if (!points.length) return null;
+
+  const lats = points.map(([lat]) => lat);
+  const lngs = points.map(([, lng]) => lng);
+  let minLat = Math.min(...lats);
+  let maxLat = Math.max(...lats);
+  let minLng = Math.min(...lngs);
+  let maxLng = Math.max(...lngs);
+
+  // Keep a minimum span so a single point still gets a sensible view
+  const latPad = Math.max((maxLat - minLat) * padding, 0.005);
+  const lngPad = Math.max((maxLng - minLng) * padding, 0.005);
+  minLat -= latPad;
+  maxLat += latPad;
+  minLng -= lngPad;
+  maxLng += lngPad;
+
+  return { minLat, maxLat, minLng, maxLng };
+};
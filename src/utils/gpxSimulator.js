@@ -0,0 +1,88 @@
+// GPX track replay for testing the live map without trackers.
+// Each point of the track is sent through a callback at the original pace
+// (divided by the speed factor), stamped with the current time.
+
+import { haversineKm } from './geoUtils';
+
+const DEFAULT_POINT_INTERVAL_MS = 5000;
+
+export const parseGpx = (xmlText) => {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid GPX');
+  }
+
+  const nodes = [
+    ...doc.getElementsByTagName('trkpt'),
+    ...doc.getElementsByTagName('rtept')
+  ];
+
+  const points = nodes
+    .map(node => {
+      const timeNode = node.getElementsByTagName('time')[0];
+      return {
+        latitude: parseFloat(node.getAttribute('lat')),
+        longitude: parseFloat(node.getAttribute('lon')),
+        time: timeNode ? new Date(timeNode.textContent).getTime() : null
+      };
+    })
+    .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+
+  if (points.length < 2) {
+    throw new Error('GPX track needs at least 2 points');
+  }
+  return points;
+};
+
+/**
+ * Replay parsed GPX points.
+ * @param {Array} points - From parseGpx
+ * @param {Function} onPoint - Called with { latitude, longitude, speed_kmh, index }
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Replay speed multiplier
+ * @param {Function} [options.onDone]
+ * @returns {Function} stop
+ */
+export const replayGpx = (points, onPoint, { speed = 1, onDone } = {}) => {
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+
+  const next = () => {
+    if (stopped) return;
+
+    const point = points[index];
+    const previous = points[index - 1];
+    let speedKmh = null;
+    if (previous?.time && point.time && point.time > previous.time) {
+      const hours = (point.time - previous.time) / 3600000;
+      speedKmh = haversineKm(previous.latitude, previous.longitude, point.latitude, point.longitude) / hours;
+    }
+
+    onPoint({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speed_kmh: speedKmh !== null ? Math.round(speedKmh * 10) / 10 : null,
+      index
+    });
+
+    index += 1;
+    if (index >= points.length) {
+      onDone && onDone();
+      return;
+    }
+
+    const upcoming = points[index];
+    const gap = point.time && upcoming.time && upcoming.time > point.time
+      ? upcoming.time - point.time
+      : DEFAULT_POINT_INTERVAL_MS;
+    timer = setTimeout(next, gap / Math.max(speed, 0.1));
+  };
+
+  next();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
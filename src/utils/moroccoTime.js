@@ -51,6 +51,39 @@ export const parseDateAsLocal = (dateString) => {
   return new Date(year, month - 1, day);
 };
 
+/**
+ * Parses a 'YYYY-MM-DD' date and an 'HH:MM' time read on a clock in Morocco
+ * into the instant they name, whatever the browser's timezone.
+ * @param {string} dateString - Date string in YYYY-MM-DD format.
+ * @param {string} [timeString] - Time in HH:MM format, midnight by default.
+ * @returns {Date | null} A Date object or null if the date is invalid.
+ */
+export const parseMoroccoDateTime = (dateString, timeString = '00:00') => {
+  if (!dateString || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return null;
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = (timeString || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours || 0, minutes || 0);
+
+  // Morocco's offset from UTC at an instant, in milliseconds
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: MOROCCO_TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+  };
+
+  // The offset is read again at the first guess, for times near a clock change
+  return new Date(wallClock - offsetAt(wallClock - offsetAt(wallClock)));
+};
+
 // Alias for internal consistency.
 const parseMoroccoDate = parseDateAsLocal;
 
@@ -7,152 +7,9 @@ export const ROLES = {
   CUSTOMER: 'customer'
 };
 
-// Module permissions matrix
-export const PERMISSIONS = {
-  dashboard: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: ['view']
-  },
-  calendar: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: ['view']
-  },
-  tours: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: ['view']
-  },
-  rentals: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: ['view']
-  },
-  fleet: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: []
-  },
-  fuel: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  maintenance: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view', 'report'],
-    [ROLES.CUSTOMER]: []
-  },
-  inventory: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  finance: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: [],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  users: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: [],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  alerts: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: [],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  liveMap: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: []
-  },
-  tourHistory: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.EMPLOYEE]: ['view', 'create', 'edit'],
-    [ROLES.GUIDE]: ['view'],
-    [ROLES.CUSTOMER]: ['view']
-  },
-  systemPrefs: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: [],
-    [ROLES.EMPLOYEE]: [],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  },
-  settings: {
-    [ROLES.OWNER]: ['view', 'create', 'edit', 'delete'],
-    [ROLES.ADMIN]: [],
-    [ROLES.EMPLOYEE]: [],
-    [ROLES.GUIDE]: [],
-    [ROLES.CUSTOMER]: []
-  }
-};
-
-// Permission check functions (with custom permission support)
-export const hasPermission = (userRole, module, action, userId = null) => {
-  if (!userRole || !module || !action) return false;
-  
-  // Check for custom permissions first if userId provided
-  if (userId) {
-    try {
-      // Dynamic import for custom permissions (fallback if not available)
-      if (typeof window !== 'undefined' && window.customPermissions) {
-        return window.customPermissions.hasCustomPermission(userId, userRole, module, action);
-      }
-    } catch (error) {
-      // Fall back to role defaults if custom permissions not available
-      console.warn('Custom permissions not available, falling back to role defaults');
-    }
-  }
-  
-  // Default role-based permission check
-  const modulePermissions = PERMISSIONS[module];
-  if (!modulePermissions) return false;
-  const rolePermissions = modulePermissions[userRole];
-  return rolePermissions && rolePermissions.includes(action);
-};
-
-export const canView = (userRole, module) => hasPermission(userRole, module, 'view');
-export const canCreate = (userRole, module) => hasPermission(userRole, module, 'create');
-export const canEdit = (userRole, module) => hasPermission(userRole, module, 'edit');
-export const canDelete = (userRole, module) => hasPermission(userRole, module, 'delete');
-export const canReport = (userRole, module) => hasPermission(userRole, module, 'report');
-
-// Module access check
-export const hasModuleAccess = (userRole, module) => {
-  const modulePermissions = PERMISSIONS[module];
-  if (!modulePermissions) return false;
-  const rolePermissions = modulePermissions[userRole];
-  return rolePermissions && rolePermissions.length > 0;
-};
+// Module permissions (role defaults and per-user grants and denies)
+// live in the database; read them through useAuth().hasPermission or
+// PermissionService.
 
 // Get user role display info
 export const getRoleInfo = (role) => {
@@ -1,5 +1,28 @@
 import { supabase } from '../lib/supabase';
 
+/**
+ * What 1 to maxHours hours cost under a model's hourly packages, priced by
+ * the rental pricing engine (hourly_package_prices)
+ * @param {string} vehicleModelId - Vehicle model ID
+ * @param {number} baseHourlyRate - Base hourly rate
+ * @param {number} maxHours
+ * @param {number} [minHours]
+ * @returns {Promise<Array<{hours: number, total_price: number, savings: number, tier: object|null}>>}
+ */
+async function fetchHourlyPackagePrices(vehicleModelId, baseHourlyRate, maxHours, minHours = 1) {
+  const { data, error } = await supabase.rpc('hourly_package_prices', {
+    p_vehicle_model_id: vehicleModelId,
+    p_hourly_rate: baseHourlyRate,
+    p_max_hours: maxHours,
+    p_min_hours: minHours
+  });
+
+  if (error) {
+    throw new Error(`Failed to price hourly packages: ${error.message}`);
+  }
+  return data || [];
+}
+
 /**
  * Calculate tiered price based on hours and pricing tiers
  * @param {string} vehicleModelId - Vehicle model ID
@@ -9,23 +32,9 @@ import { supabase } from '../lib/supabase';
  */
 export async function calculateTieredPrice(vehicleModelId, hours, baseHourlyRate) {
   try {
-    // Fetch pricing tiers for this vehicle model
-    const { data: tiers, error } = await supabase
-      .from('pricing_tiers')
-      .select('*')
-      .eq('vehicle_model_id', vehicleModelId)
-      .eq('is_active', true)
-      .lte('min_hours', hours)
-      .gte('max_hours', hours)
-      .order('min_hours', { ascending: true })
-      .limit(1);
+    const [pricing] = await fetchHourlyPackagePrices(vehicleModelId, baseHourlyRate, hours, hours);
 
-    if (error) {
-      console.error('Error fetching pricing tiers:', error);
-      throw error;
-    }
-
-    if (!tiers || tiers.length === 0) {
+    if (!pricing?.tier) {
       // No tier found, use base hourly rate
       return {
         totalPrice: baseHourlyRate * hours,
@@ -35,33 +44,11 @@ export async function calculateTieredPrice(vehicleModelId, hours, baseHourlyRate
       };
     }
 
-    const tier = tiers[0];
-    let totalPrice;
-
-    switch (tier.calculation_method) {
-      case 'percentage':
-        // Calculate price using percentage discount
-        const discountMultiplier = (100 - (tier.discount_percentage || 0)) / 100;
-        totalPrice = baseHourlyRate * hours * discountMultiplier;
-        break;
-      case 'fixed':
-        totalPrice = tier.price_amount;
-        break;
-      case 'custom':
-        totalPrice = tier.price_amount;
-        break;
-      default:
-        totalPrice = baseHourlyRate * hours;
-    }
-
-    const standardPrice = baseHourlyRate * hours;
-    const savings = Math.max(0, standardPrice - totalPrice);
-
     return {
-      totalPrice: Math.round(totalPrice * 100) / 100,
-      savings: Math.round(savings * 100) / 100,
-      tierUsed: tier,
-      method: tier.calculation_method
+      totalPrice: Number(pricing.total_price),
+      savings: Number(pricing.savings),
+      tierUsed: pricing.tier,
+      method: pricing.tier.calculation_method
     };
   } catch (error) {
     console.error('Error calculating tiered price:', error);
@@ -141,21 +128,16 @@ export async function calculateExtension(priceSource, hoursExtended, vehicleMode
  * @returns {Promise<Array>}
  */
 export async function getPricingOptions(vehicleModelId, baseHourlyRate, maxHours = 24) {
-  const options = [];
-  
-  for (let hours = 1; hours <= maxHours; hours++) {
-    const pricing = await calculateTieredPrice(vehicleModelId, hours, baseHourlyRate);
-    options.push({
-      hours,
-      price: pricing.totalPrice,
-      savings: pricing.savings,
-      label: pricing.savings > 0 
-        ? `${hours} hour${hours > 1 ? 's' : ''} - ${pricing.totalPrice} MAD (save ${pricing.savings} MAD)`
-        : `${hours} hour${hours > 1 ? 's' : ''} - ${pricing.totalPrice} MAD`
-    });
-  }
-  
-  return options;
+  const prices = await fetchHourlyPackagePrices(vehicleModelId, baseHourlyRate, maxHours);
+
+  return prices.map(({ hours, total_price: totalPrice, savings }) => ({
+    hours,
+    price: Number(totalPrice),
+    savings: Number(savings),
+    label: Number(savings) > 0
+      ? `${hours} hour${hours > 1 ? 's' : ''} - ${Number(totalPrice)} MAD (save ${Number(savings)} MAD)`
+      : `${hours} hour${hours > 1 ? 's' : ''} - ${Number(totalPrice)} MAD`
+  }));
 }
 
 /**
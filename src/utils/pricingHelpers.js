@@ -1,4 +1,4 @@
-import SimplePricingService from '../services/SimplePricingService';
+import RentalQuoteService from '../services/RentalQuoteService';
 
 /**
  * Calculate hours between two dates with proper rounding
@@ -75,20 +75,19 @@ export function validatePaymentStatus(paymentStatus, totalAmount, depositAmount)
 }
 
 /**
- * Calculate rental pricing using SimplePricingService
+ * Calculate rental pricing with the rental pricing engine
  */
 export async function calculateRentalPricing(params) {
   try {
     const {
+      vehicleModelId = null,
       vehicleType,
       priceMode,
       startDate,
       endDate,
       promoCode,
       transportPickup = false,
-      transportDropoff = false,
-      pickupFeeMad = 0,
-      dropoffFeeMad = 0
+      transportDropoff = false
     } = params;
 
     if (!vehicleType || !priceMode || !startDate || !endDate) {
@@ -98,33 +97,25 @@ export async function calculateRentalPricing(params) {
       };
     }
 
-    // Calculate quantity
-    const rawQuantity = priceMode === 'hour' 
-      ? hoursBetween(startDate, endDate)
-      : daysBetween(startDate, endDate);
-    
-    const quantity = roundQty(priceMode, rawQuantity);
-
-    if (quantity <= 0) {
+    if (new Date(endDate) <= new Date(startDate)) {
       return {
         success: false,
         error: 'Invalid date range - end date must be after start date'
       };
     }
 
-    // Use SimplePricingService to calculate pricing
-    const result = await SimplePricingService.calculateRentalPricing({
+    const quote = await RentalQuoteService.getQuote({
+      vehicleModelId,
       vehicleType,
-      rateType: priceMode,
-      quantity,
-      promoCode: promoCode || null,
-      transportPickup,
-      transportDropoff,
-      pickupFeeMad: parseFloat(pickupFeeMad || 0),
-      dropoffFeeMad: parseFloat(dropoffFeeMad || 0)
+      rentalType: priceMode === 'hour' ? 'hourly' : 'daily',
+      startAt: new Date(startDate),
+      endAt: new Date(endDate),
+      promoCode: promoCode || '',
+      pickupTransport: transportPickup,
+      dropoffTransport: transportDropoff
     });
 
-    return result;
+    return { success: true, data: quote };
 
   } catch (error) {
     console.error('Error in calculateRentalPricing:', error);